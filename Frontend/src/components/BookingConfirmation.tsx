@@ -19,6 +19,8 @@ interface BookingConfirmationProps {
     detailsData: any;
   };
   customerId: string;
+  // Shown when the stored charges differ from what was entered at booking
+  chargesNote?: string;
   onBookMore: () => void;
   onViewInvoice: () => void;
 }
@@ -26,6 +28,7 @@ interface BookingConfirmationProps {
 const BookingConfirmation: React.FC<BookingConfirmationProps> = ({
   bookingData,
   customerId,
+  chargesNote,
   onBookMore,
   onViewInvoice
 }) => {
@@ -204,12 +207,19 @@ const BookingConfirmation: React.FC<BookingConfirmationProps> = ({
                 <div><strong>Packing Charge:</strong> ₹{detailsData?.packingCharge || '0'}</div>
                 <div><strong>Other Charge:</strong> ₹{detailsData?.otherCharge || '0'}</div>
                 <div><strong>Fuel Charge:</strong> {detailsData?.fuelCharge || '0'}%</div>
+                {detailsData?.fuelSurcharge && <div><strong>Fuel Surcharge:</strong> ₹{detailsData.fuelSurcharge}</div>}
+                {detailsData?.odaCharge && detailsData.odaCharge !== '0.00' && <div><strong>ODA Charge:</strong> ₹{detailsData.odaCharge}</div>}
+                {detailsData?.codCharge && detailsData.codCharge !== '0.00' && <div><strong>COD Charge:</strong> ₹{detailsData.codCharge}</div>}
                 <div className="border-t border-emerald-300 pt-2 mt-2">
+                  <div><strong>Total:</strong> ₹{detailsData?.total || '0'}</div>
                   <div><strong>SGST:</strong> ₹{detailsData?.sgstAmount || '0'}</div>
                   <div><strong>CGST:</strong> ₹{detailsData?.cgstAmount || '0'}</div>
                   <div><strong>IGST:</strong> ₹{detailsData?.igstAmount || '0'}</div>
-                  <div className="font-bold text-lg"><strong>Total:</strong> ₹{detailsData?.total || '0'}</div>
+                  <div className="font-bold text-lg"><strong>Grand Total:</strong> ₹{detailsData?.grandTotal || detailsData?.total || '0'}</div>
                 </div>
+                {chargesNote && (
+                  <p className="text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-md p-2 mt-2">{chargesNote}</p>
+                )}
               </div>
             </div>
 
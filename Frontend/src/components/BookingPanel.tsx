@@ -42,6 +42,8 @@ import imageCompression from 'browser-image-compression';
 import ImageUploadWithPreview from './ImageUploadWithPreview';
 import InvoicePopup from './InvoicePopup';
 import BookingConfirmation from './BookingConfirmation';
+import DeliveryEstimate from './DeliveryEstimate';
+import { calculatePiecesVolumetricWeight } from '@/utils/calc';
 
 const API_BASE: string = (import.meta as any).env?.VITE_API_BASE_URL || 'http://localhost:5000';
 
@@ -1352,6 +1354,11 @@ const BookingPanel: React.FC = () => {
     grandTotal: ''
   });
 
+  // Charges the server priced and stored for the submitted booking; the confirmation and
+  // receipt show these instead of the rates entered in the panel
+  const [bookedCharges, setBookedCharges] = useState<Record<string, string> | null>(null);
+  const [bookedChargesNote, setBookedChargesNote] = useState('');
+
   const [showCustomFuelCharge, setShowCustomFuelCharge] = useState(false);
 
   // Modal states
@@ -1940,11 +1947,11 @@ const BookingPanel: React.FC = () => {
 
     let subtotal = freight + awb + localCollection + doorDelivery + loadingUnloading + fov + dda + hamali + packing + other;
 
-    // Apply fuel charge if exists
+    // Apply fuel charge if exists (on freight only, as the server prices it)
     if (detailsData.fuelCharge) {
       const fuelPercentage = parseFloat(detailsData.fuelCharge);
       if (!isNaN(fuelPercentage) && fuelPercentage > 0) {
-        const fuelAmount = (subtotal * fuelPercentage) / 100;
+        const fuelAmount = (freight * fuelPercentage) / 100;
         subtotal += fuelAmount;
       }
     }
@@ -2093,6 +2100,33 @@ const BookingPanel: React.FC = () => {
     return formattedInteger + '.' + decimalPart;
   };
 
+  // Charges stored with a booking, in the panel's field names and number format
+  const toBookedCharges = (saved: Record<string, unknown>): Record<string, string> => {
+    const amount = (value: unknown) => formatIndianNumberWithDecimals(String(value ?? 0));
+    return {
+      freightCharge: amount(saved.freightCharge),
+      awbCharge: amount(saved.awbCharge),
+      localCollection: amount(saved.localCollection),
+      doorDelivery: amount(saved.doorDelivery),
+      loadingUnloading: amount(saved.loadingUnloading),
+      demurrageCharge: amount(saved.demurrageCharge),
+      ddaCharge: amount(saved.ddaCharge),
+      hamaliCharge: amount(saved.hamaliCharge),
+      packingCharge: amount(saved.packingCharge),
+      otherCharge: amount(saved.otherCharge),
+      fuelCharge: String(saved.fuelCharge ?? 0),
+      fuelChargeType: 'percentage',
+      fuelSurcharge: amount(saved.fuelSurcharge),
+      odaCharge: amount(saved.odaCharge),
+      codCharge: amount(saved.codCharge),
+      total: amount(saved.total),
+      sgstAmount: amount(saved.sgst),
+      cgstAmount: amount(saved.cgst),
+      igstAmount: amount(saved.igst),
+      grandTotal: amount(saved.grandTotal)
+    };
+  };
+
   // GST validation function
   const validateGSTFormat = (value: string) => {
     // Remove any non-alphanumeric characters
@@ -2147,14 +2181,7 @@ const BookingPanel: React.FC = () => {
   };
 
   const calculateVolumetricWeight = () => {
-    const total = shipmentData.dimensions.reduce((sum, dim) => {
-      const l = parseFloat(dim.length) || 0;
-      const b = parseFloat(dim.breadth) || 0;
-      const h = parseFloat(dim.height) || 0;
-      const multiplier = dim.unit === 'cm' ? 1 : (dim.unit === 'mm' ? 0.1 : 100);
-      return sum + (l * b * h * multiplier);
-    }, 0);
-    const volumetric = Math.round((total / 5000) * 100) / 100;
+    const volumetric = calculatePiecesVolumetricWeight(shipmentData.dimensions, shipmentData.mode);
     
     // Update shipment data with calculated volumetric weight
     if (shipmentData.volumetricWeight !== volumetric) {
@@ -2569,8 +2596,10 @@ const BookingPanel: React.FC = () => {
       // Process shipmentData to convert numeric fields
       const processedShipmentData = {
         ...shipmentData,
+        isChargeableFixed,
         // Parse numeric fields to remove commas and convert to numbers
         actualWeight: parseInvoiceValue(shipmentData.actualWeight),
+        perKgWeight: parseInvoiceValue(shipmentData.perKgWeight),
         // volumetricWeight and chargeableWeight are already numbers, no need to parse
         volumetricWeight: shipmentData.volumetricWeight,
         chargeableWeight: shipmentData.chargeableWeight,
@@ -2610,10 +2639,26 @@ const BookingPanel: React.FC = () => {
       console.log('🚀 Starting booking submission...');
       console.log('Submitting booking with payload:', fullPayload);
       
-      const fullRes = await axios.post(`${API_BASE}/api/form`, fullPayload);
+      // The server prices the booking on the retail plan; the rates entered here are kept
+      // only for office users allowed to override them, so send who is booking
+      const bookingToken = localStorage.getItem('officeToken');
+      const fullRes = await axios.post(`${API_BASE}/api/form`, fullPayload, bookingToken
+        ? { headers: { Authorization: `Bearer ${bookingToken}` } }
+        : undefined);
 
       console.log('Booking submission response:', fullRes.data);
 
+      // Show what the server charged, and say so when it differs from the rates entered here
+      const savedCharges = fullRes?.data?.data?.detailsData;
+      if (savedCharges) {
+        const charged = Number(savedCharges.grandTotal) || 0;
+        const entered = parseInvoiceValue(detailsData.grandTotal || '');
+        setBookedCharges(toBookedCharges(savedCharges));
+        setBookedChargesNote(Math.abs(charged - entered) > 0.01
+          ? `Charges were priced on the current rate card: ₹${formatIndianNumberWithDecimals(String(charged))} instead of the ₹${formatIndianNumberWithDecimals(String(entered)) || '0.00'} entered.`
+          : '');
+      }
+
       const backendId = fullRes?.data?.data?._id || fullRes?.data?.bookingId || fullRes?.data?.customerId || fullRes?.data?.id;
       const fallbackId = `OCL${Date.now().toString().slice(-6)}`;
       setGeneratedCustomerId(backendId || fallbackId);
@@ -5698,6 +5743,16 @@ const BookingPanel: React.FC = () => {
                         </div>
                       </div>
 
+                      <DeliveryEstimate
+                        className="mb-4"
+                        originPincode={originData.pincode}
+                        originState={originData.state}
+                        destinationPincode={destinationData.pincode}
+                        destinationState={destinationData.state}
+                        service={shipmentData.services}
+                        mode={shipmentData.mode}
+                      />
+
                       {/* Insurance */}
                       <div className="mb-4">
                         <label className="block text-lg font-semibold text-blue-700 mb-4">Insurance</label>
@@ -7331,8 +7386,9 @@ const BookingPanel: React.FC = () => {
                     uploadData,
                     billData,
                     paymentData,
-                    detailsData
+                    detailsData: bookedCharges || detailsData
                   }}
+                  chargesNote={bookedChargesNote}
                   customerId={generatedCustomerId}
                   onBookMore={() => {
                     // Reset all booking states
@@ -7471,6 +7527,8 @@ const BookingPanel: React.FC = () => {
                     setShowOTPVerification(false);
                     setGeneratedCustomerId('');
                     setIsBookingSubmitted(false);
+                    setBookedCharges(null);
+                    setBookedChargesNote('');
                     
                     // Reset all form data
                     resetAllFormData();
@@ -7809,7 +7867,7 @@ const BookingPanel: React.FC = () => {
             uploadData,
             paymentData,
             billData,
-            detailsData
+            detailsData: isBookingSubmitted && bookedCharges ? bookedCharges : detailsData
           }}
         />
         </div>
@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react';
+import { CalendarClock, Loader2 } from 'lucide-react';
+
+interface DeliveryEstimateProps {
+  originPincode?: string;
+  destinationPincode?: string;
+  originState?: string;
+  destinationState?: string;
+  service?: string;
+  mode?: string;
+  className?: string;
+}
+
+interface Estimate {
+  estimatedDelivery: string;
+  dispatchDate: string;
+  transitDays: number;
+  afterCutoff: boolean;
+  cutoffHour: number;
+  skippedHolidays: Array<{ date: string; name: string }>;
+  note: string | null;
+}
+
+const formatDay = (date: string) => new Date(`${date}T00:00:00`).toLocaleDateString('en-IN', {
+  weekday: 'short',
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+// Expected delivery date for the booking being filled in, from /api/eta/estimate
+const DeliveryEstimate: React.FC<DeliveryEstimateProps> = ({
+  originPincode,
+  destinationPincode,
+  originState,
+  destinationState,
+  service,
+  mode,
+  className = ''
+}) => {
+  const [estimate, setEstimate] = useState<Estimate | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!destinationPincode || !/^\d{6}$/.test(destinationPincode)) {
+      setEstimate(null);
+      return;
+    }
+
+    let cancelled = false;
+    const fetchEstimate = async () => {
+      try {
+        setLoading(true);
+        const params = new URLSearchParams({
+          destinationPincode,
+          originPincode: originPincode || '',
+          originState: originState || '',
+          destinationState: destinationState || '',
+          service: service || '',
+          mode: mode || ''
+        });
+        const response = await fetch(`/api/eta/estimate?${params.toString()}`);
+        const result = await response.json();
+        if (!cancelled) {
+          setEstimate(response.ok && result.success ? result.data : null);
+        }
+      } catch (error) {
+        console.error('Error fetching delivery estimate:', error);
+        if (!cancelled) setEstimate(null);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchEstimate();
+    return () => {
+      cancelled = true;
+    };
+  }, [originPincode, destinationPincode, originState, destinationState, service, mode]);
+
+  if (!loading && !estimate) {
+    return null;
+  }
+
+  return (
+    <div className={`flex items-start gap-2 rounded-lg border border-blue-200 bg-blue-50 px-3 py-2 text-sm ${className}`}>
+      {loading ? (
+        <Loader2 className="h-4 w-4 animate-spin text-blue-600 mt-0.5" />
+      ) : (
+        <CalendarClock className="h-4 w-4 text-blue-600 mt-0.5" />
+      )}
+      {estimate && (
+        <div>
+          <div className="text-gray-800">
+            Expected delivery by <span className="font-semibold">{formatDay(estimate.estimatedDelivery)}</span>
+          </div>
+          <div className="text-xs text-gray-500">
+            {estimate.afterCutoff
+              ? `Booked after the ${estimate.cutoffHour}:00 cutoff, pickup on ${formatDay(estimate.dispatchDate)}`
+              : `Pickup on ${formatDay(estimate.dispatchDate)}`}
+            {estimate.transitDays > 0 && `, ${estimate.transitDays} working day${estimate.transitDays === 1 ? '' : 's'} in transit`}
+            {estimate.skippedHolidays.length > 0 && ` (excludes ${estimate.skippedHolidays.map(holiday => holiday.name).join(', ')})`}
+          </div>
+          {estimate.note && <div className="text-xs text-amber-700">{estimate.note}</div>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DeliveryEstimate;
@@ -0,0 +1,171 @@
+import React, { useState } from 'react';
+import { Loader2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+
+export type NdrAction = 'reattempt' | 'update_address' | 'update_phone' | 'return';
+
+export interface NdrInstruction {
+  action: NdrAction;
+  reattemptDate?: string;
+  updatedPhone?: string;
+  updatedAddress?: {
+    flatBuilding: string;
+    locality: string;
+    landmark: string;
+    pincode: string;
+  };
+  remarks?: string;
+}
+
+interface NdrInstructionDialogProps {
+  open: boolean;
+  consignmentNumber?: number;
+  submitting: boolean;
+  onClose: () => void;
+  onSubmit: (instruction: NdrInstruction) => void;
+}
+
+const emptyAddress = { flatBuilding: '', locality: '', landmark: '', pincode: '' };
+
+const NdrInstructionDialog: React.FC<NdrInstructionDialogProps> = ({ open, consignmentNumber, submitting, onClose, onSubmit }) => {
+  const [action, setAction] = useState<NdrAction>('reattempt');
+  const [reattemptDate, setReattemptDate] = useState('');
+  const [updatedPhone, setUpdatedPhone] = useState('');
+  const [updatedAddress, setUpdatedAddress] = useState(emptyAddress);
+  const [remarks, setRemarks] = useState('');
+
+  const handleClose = () => {
+    setAction('reattempt');
+    setReattemptDate('');
+    setUpdatedPhone('');
+    setUpdatedAddress(emptyAddress);
+    setRemarks('');
+    onClose();
+  };
+
+  const handleSubmit = () => {
+    onSubmit({
+      action,
+      reattemptDate: action !== 'return' && reattemptDate ? reattemptDate : undefined,
+      updatedPhone: action === 'update_phone' ? updatedPhone : undefined,
+      updatedAddress: action === 'update_address' ? updatedAddress : undefined,
+      remarks
+    });
+  };
+
+  const setAddressField = (field: keyof typeof emptyAddress, value: string) => {
+    setUpdatedAddress(prev => ({ ...prev, [field]: value }));
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isOpen && handleClose()}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Delivery Instruction</DialogTitle>
+          <DialogDescription>
+            Tell us what to do with consignment #{consignmentNumber}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div>
+            <Label>Action</Label>
+            <Select value={action} onValueChange={(value) => setAction(value as NdrAction)}>
+              <SelectTrigger className="mt-1">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="reattempt">Reattempt delivery</SelectItem>
+                <SelectItem value="update_address">Update address and reattempt</SelectItem>
+                <SelectItem value="update_phone">Update phone and reattempt</SelectItem>
+                <SelectItem value="return">Return to origin</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+
+          {action !== 'return' && (
+            <div>
+              <Label htmlFor="ndr-reattempt-date">Reattempt On</Label>
+              <Input
+                id="ndr-reattempt-date"
+                type="date"
+                className="mt-1"
+                value={reattemptDate}
+                min={new Date(Date.now() + 330 * 60 * 1000).toISOString().split('T')[0]}
+                onChange={(e) => setReattemptDate(e.target.value)}
+              />
+            </div>
+          )}
+
+          {action === 'update_phone' && (
+            <div>
+              <Label htmlFor="ndr-phone">Receiver Phone</Label>
+              <Input
+                id="ndr-phone"
+                className="mt-1"
+                maxLength={10}
+                value={updatedPhone}
+                onChange={(e) => setUpdatedPhone(e.target.value.replace(/\D/g, ''))}
+              />
+            </div>
+          )}
+
+          {action === 'update_address' && (
+            <div className="grid grid-cols-2 gap-3">
+              <div className="col-span-2">
+                <Label htmlFor="ndr-flat">Flat / Building</Label>
+                <Input id="ndr-flat" className="mt-1" value={updatedAddress.flatBuilding} onChange={(e) => setAddressField('flatBuilding', e.target.value)} />
+              </div>
+              <div className="col-span-2">
+                <Label htmlFor="ndr-locality">Locality</Label>
+                <Input id="ndr-locality" className="mt-1" value={updatedAddress.locality} onChange={(e) => setAddressField('locality', e.target.value)} />
+              </div>
+              <div>
+                <Label htmlFor="ndr-landmark">Landmark</Label>
+                <Input id="ndr-landmark" className="mt-1" value={updatedAddress.landmark} onChange={(e) => setAddressField('landmark', e.target.value)} />
+              </div>
+              <div>
+                <Label htmlFor="ndr-pincode">Pincode</Label>
+                <Input id="ndr-pincode" className="mt-1" maxLength={6} value={updatedAddress.pincode} onChange={(e) => setAddressField('pincode', e.target.value.replace(/\D/g, ''))} />
+              </div>
+              <p className="col-span-2 text-xs text-gray-500">City and state are taken from the pincode.</p>
+            </div>
+          )}
+
+          <div>
+            <Label htmlFor="ndr-remarks">Remarks</Label>
+            <Textarea id="ndr-remarks" className="mt-1" rows={2} value={remarks} onChange={(e) => setRemarks(e.target.value)} />
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={handleClose} disabled={submitting}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleSubmit}
+            disabled={submitting}
+            className={action === 'return' ? 'bg-red-600 hover:bg-red-700' : ''}
+          >
+            {submitting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            {action === 'return' ? 'Return Shipment' : 'Submit Instruction'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default NdrInstructionDialog;
@@ -0,0 +1,275 @@
+import React, { useState, useEffect } from 'react';
+import * as XLSX from 'xlsx';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { BookOpen, Download, FileSpreadsheet, Loader2 } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+
+interface StatementEntry {
+  date: string;
+  type: 'invoice' | 'payment' | 'credit_note' | 'debit_note' | 'receipt' | 'tds';
+  reference: string;
+  description: string;
+  debit: number;
+  credit: number;
+  balance: number;
+}
+
+interface Statement {
+  corporate: { corporateId: string; companyName: string };
+  from: string;
+  to: string;
+  openingBalance: number;
+  entries: StatementEntry[];
+  totals: { debit: number; credit: number };
+  closingBalance: number;
+  aging: {
+    buckets: { label: string; amount: number }[];
+    invoices: { invoiceNumber: string; invoiceDate: string; dueDate: string; ageDays: number; bucket: string; balance: number }[];
+    onAccount: number;
+    total: number;
+  };
+}
+
+interface StatementOfAccountProps {
+  // Statement endpoint of the corporate or of the admin for one corporate
+  statementUrl: string;
+  token: string | null;
+}
+
+const formatAmount = (amount: number) => `₹${Math.abs(amount).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Positive balances are owed to OCL
+const formatBalance = (amount: number) => `${formatAmount(amount)} ${amount < 0 ? 'Cr' : 'Dr'}`;
+
+const formatDate = (date: string) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+// First day of the financial year (April) the given date falls in
+const financialYearStart = (date: Date) => {
+  const year = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${year}-04-01`;
+};
+
+const toInputDate = (date: Date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const StatementOfAccount: React.FC<StatementOfAccountProps> = ({ statementUrl, token }) => {
+  const [from, setFrom] = useState(financialYearStart(new Date()));
+  const [to, setTo] = useState(toInputDate(new Date()));
+  const [statement, setStatement] = useState<Statement | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [downloading, setDownloading] = useState(false);
+  const { toast } = useToast();
+
+  const query = `from=${from}&to=${to}`;
+
+  const fetchStatement = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch(`${statementUrl}?${query}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to load statement');
+      }
+      setStatement(result.data);
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : 'Failed to load statement',
+        variant: "destructive"
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchStatement();
+  }, [statementUrl]);
+
+  const handleDownloadPdf = async () => {
+    try {
+      setDownloading(true);
+      const response = await fetch(`${statementUrl}?${query}&format=pdf`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (!response.ok) {
+        throw new Error('Failed to generate statement');
+      }
+
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `statement-${from}-to-${to}.${blob.type === 'application/pdf' ? 'pdf' : 'html'}`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast({
+        title: "Download Failed",
+        description: error instanceof Error ? error.message : 'Failed to generate statement',
+        variant: "destructive"
+      });
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const handleDownloadXlsx = () => {
+    if (!statement) return;
+
+    const ledger = [
+      ['Date', 'Reference', 'Particulars', 'Debit', 'Credit', 'Balance'],
+      [statement.from, '', 'Opening balance', '', '', statement.openingBalance],
+      ...statement.entries.map(entry => [
+        new Date(entry.date).toLocaleDateString('en-GB'),
+        entry.reference,
+        entry.description,
+        entry.debit || '',
+        entry.credit || '',
+        entry.balance
+      ]),
+      [statement.to, '', 'Closing balance', statement.totals.debit, statement.totals.credit, statement.closingBalance]
+    ];
+    const aging = [
+      ['Invoice No.', 'Invoice Date', 'Due Date', 'Age (days)', 'Bucket', 'Outstanding'],
+      ...statement.aging.invoices.map(invoice => [
+        invoice.invoiceNumber,
+        new Date(invoice.invoiceDate).toLocaleDateString('en-GB'),
+        new Date(invoice.dueDate).toLocaleDateString('en-GB'),
+        invoice.ageDays,
+        invoice.bucket,
+        invoice.balance
+      ]),
+      [],
+      ...statement.aging.buckets.map(bucket => [`${bucket.label} days`, '', '', '', '', bucket.amount]),
+      ['On account', '', '', '', '', -statement.aging.onAccount],
+      ['Net outstanding', '', '', '', '', statement.aging.total]
+    ];
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(ledger), 'Statement');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(aging), 'Aging');
+    XLSX.writeFile(workbook, `statement-${statement.corporate.corporateId}-${statement.from}-to-${statement.to}.xlsx`);
+  };
+
+  return (
+    <Card className="border-0 shadow-lg">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <BookOpen className="h-5 w-5 text-blue-600" />
+          Statement of Account
+        </CardTitle>
+        <CardDescription>
+          Invoices, notes and payments with the running balance, and how old the outstanding is.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap items-end gap-3">
+          <div className="space-y-1">
+            <Label htmlFor="statementFrom">From</Label>
+            <Input id="statementFrom" type="date" value={from} max={to} onChange={e => setFrom(e.target.value)} className="w-40" />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="statementTo">To</Label>
+            <Input id="statementTo" type="date" value={to} min={from} onChange={e => setTo(e.target.value)} className="w-40" />
+          </div>
+          <Button onClick={fetchStatement} disabled={loading || !from || !to}>
+            {loading && <Loader2 className="h-4 w-4 animate-spin mr-2" />}
+            View
+          </Button>
+          <Button variant="outline" onClick={handleDownloadPdf} disabled={!statement || downloading}>
+            {downloading ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : <Download className="h-4 w-4 mr-2" />}
+            PDF
+          </Button>
+          <Button variant="outline" onClick={handleDownloadXlsx} disabled={!statement}>
+            <FileSpreadsheet className="h-4 w-4 mr-2" />
+            Excel
+          </Button>
+        </div>
+
+        {statement && (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-6 gap-3">
+              {statement.aging.buckets.map(bucket => (
+                <div key={bucket.label} className="rounded-lg border p-3">
+                  <div className="text-xs text-gray-500">{bucket.label} days</div>
+                  <div className="font-semibold">{formatAmount(bucket.amount)}</div>
+                </div>
+              ))}
+              <div className="rounded-lg border p-3">
+                <div className="text-xs text-gray-500">On account</div>
+                <div className="font-semibold text-green-700">{formatAmount(statement.aging.onAccount)}</div>
+              </div>
+              <div className="rounded-lg border p-3 bg-gray-50">
+                <div className="text-xs text-gray-500">Net outstanding</div>
+                <div className="font-semibold">{formatBalance(statement.aging.total)}</div>
+              </div>
+            </div>
+
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Date</TableHead>
+                  <TableHead>Reference</TableHead>
+                  <TableHead>Particulars</TableHead>
+                  <TableHead className="text-right">Debit</TableHead>
+                  <TableHead className="text-right">Credit</TableHead>
+                  <TableHead className="text-right">Balance</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                <TableRow className="bg-gray-50 font-medium">
+                  <TableCell className="text-sm">{formatDate(statement.from)}</TableCell>
+                  <TableCell></TableCell>
+                  <TableCell className="text-sm">Opening balance</TableCell>
+                  <TableCell></TableCell>
+                  <TableCell></TableCell>
+                  <TableCell className="text-sm text-right">{formatBalance(statement.openingBalance)}</TableCell>
+                </TableRow>
+                {statement.entries.map((entry, index) => (
+                  <TableRow key={`${entry.type}-${entry.reference}-${index}`}>
+                    <TableCell className="text-sm">{formatDate(entry.date)}</TableCell>
+                    <TableCell className="text-sm font-mono">{entry.reference}</TableCell>
+                    <TableCell className="text-sm">{entry.description}</TableCell>
+                    <TableCell className="text-sm text-right">{entry.debit ? formatAmount(entry.debit) : ''}</TableCell>
+                    <TableCell className="text-sm text-right text-green-700">{entry.credit ? formatAmount(entry.credit) : ''}</TableCell>
+                    <TableCell className="text-sm text-right">{formatBalance(entry.balance)}</TableCell>
+                  </TableRow>
+                ))}
+                <TableRow className="bg-gray-50 font-medium">
+                  <TableCell className="text-sm">{formatDate(statement.to)}</TableCell>
+                  <TableCell></TableCell>
+                  <TableCell className="text-sm">Closing balance</TableCell>
+                  <TableCell className="text-sm text-right">{formatAmount(statement.totals.debit)}</TableCell>
+                  <TableCell className="text-sm text-right">{formatAmount(statement.totals.credit)}</TableCell>
+                  <TableCell className="text-sm text-right">{formatBalance(statement.closingBalance)}</TableCell>
+                </TableRow>
+              </TableBody>
+            </Table>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default StatementOfAccount;
@@ -12,9 +12,12 @@ import {
 
 interface TimelineEvent {
   status: string;
+  label?: string;
   location: string;
   timestamp: string;
   description: string;
+  actor?: string;
+  remarks?: string;
 }
 
 interface TimelineProps {
@@ -25,8 +28,9 @@ export const Timeline: React.FC<TimelineProps> = ({ timeline }) => {
   const getStatusIcon = (status: string, isCompleted: boolean) => {
     const iconClass = `w-5 h-5 ${isCompleted ? 'text-success' : 'text-muted-foreground'}`;
     
-    switch (status.toLowerCase()) {
+    switch (status.toLowerCase().replace(/_/g, ' ')) {
       case 'order placed':
+      case 'booked':
         return <Package className={iconClass} />;
       case 'picked up':
         return <Truck className={iconClass} />;
@@ -97,21 +101,33 @@ export const Timeline: React.FC<TimelineProps> = ({ timeline }) => {
                 <div className="flex-1 min-w-0 pb-6">
                   <div className="flex items-center justify-between mb-1">
                     <h4 className={`font-semibold ${isCompleted ? 'text-success' : 'text-foreground'}`}>
-                      {event.status}
+                      {event.label || event.status}
                     </h4>
                     <span className="text-sm text-muted-foreground">
                       {formatDate(event.timestamp)}
                     </span>
                   </div>
                   
-                  <div className="flex items-center gap-2 mb-2">
-                    <MapPin className="w-4 h-4 text-brand-red" />
-                    <span className="text-sm font-medium">{event.location}</span>
-                  </div>
+                  {event.location && (
+                    <div className="flex items-center gap-2 mb-2">
+                      <MapPin className="w-4 h-4 text-brand-red" />
+                      <span className="text-sm font-medium">{event.location}</span>
+                    </div>
+                  )}
                   
                   <p className="text-sm text-muted-foreground">
                     {event.description}
                   </p>
+                  {event.remarks && (
+                    <p className="text-sm text-muted-foreground italic mt-1">
+                      {event.remarks}
+                    </p>
+                  )}
+                  {event.actor && (
+                    <p className="text-xs text-muted-foreground mt-1">
+                      Updated by {event.actor}
+                    </p>
+                  )}
                 </div>
               </motion.div>
             );
@@ -14,7 +14,8 @@ import {
   Truck,
   CheckCircle,
   AlertCircle,
-  MessageCircle
+  MessageCircle,
+  ShieldCheck
 } from "lucide-react";
 
 interface Shipment {
@@ -28,10 +29,17 @@ interface Shipment {
   service: string;
   timeline: {
     status: string;
+    label?: string;
     location: string;
     timestamp: string;
     description: string;
+    actor?: string;
+    remarks?: string;
   }[];
+  pod?: {
+    deliveredAt: string;
+    otpVerified: boolean;
+  } | null;
 }
 
 interface TrackingResultCardProps {
@@ -45,7 +53,7 @@ export const TrackingResultCard: React.FC<TrackingResultCardProps> = ({ shipment
   const [showWhatsappModal, setShowWhatsappModal] = useState(false);
 
   const getStatusIcon = (status: string) => {
-    switch (status.toLowerCase()) {
+    switch (status.toLowerCase().replace(/_/g, ' ')) {
       case 'delivered':
         return <CheckCircle className="w-5 h-5 text-success" />;
       case 'in transit':
@@ -58,7 +66,7 @@ export const TrackingResultCard: React.FC<TrackingResultCardProps> = ({ shipment
   };
 
   const getStatusColor = (status: string) => {
-    switch (status.toLowerCase()) {
+    switch (status.toLowerCase().replace(/_/g, ' ')) {
       case 'delivered':
         return 'bg-success text-success-foreground';
       case 'in transit':
@@ -150,7 +158,11 @@ export const TrackingResultCard: React.FC<TrackingResultCardProps> = ({ shipment
                 {shipment.estimatedDelivery && (
                   <p>
                     <span className="text-muted-foreground">Estimated:</span>{' '}
-                    {formatDate(shipment.estimatedDelivery)}
+                    {new Date(`${shipment.estimatedDelivery}T00:00:00`).toLocaleDateString('en-US', {
+                      year: 'numeric',
+                      month: 'short',
+                      day: 'numeric'
+                    })}
                   </p>
                 )}
                 {shipment.actualDelivery && (
@@ -165,6 +177,25 @@ export const TrackingResultCard: React.FC<TrackingResultCardProps> = ({ shipment
             </div>
           )}
 
+          {/* Proof of Delivery */}
+          {shipment.pod && (
+            <div className="bg-background/50 rounded-lg p-4 border border-brand-red/20">
+              <div className="flex items-center gap-2 mb-2">
+                <ShieldCheck className="w-4 h-4 text-success" />
+                <span className="font-medium">Proof of Delivery</span>
+              </div>
+              <div className="space-y-1 text-sm">
+                <p>
+                  <span className="text-muted-foreground">Delivered:</span>{' '}
+                  {new Date(shipment.pod.deliveredAt).toLocaleString('en-IN')}
+                </p>
+                {shipment.pod.otpVerified && (
+                  <p className="text-success font-medium">Receiver OTP verified</p>
+                )}
+              </div>
+            </div>
+          )}
+
           {/* WhatsApp Subscription */}
           <div className="flex items-center space-x-2 p-3 bg-background/30 rounded-lg border border-brand-red/20">
             <Checkbox
@@ -0,0 +1,384 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { CalendarClock, ChevronDown, ChevronRight, Loader2, Play, RefreshCw } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+import { getStoredAdminInfo } from '@/utils/auth';
+
+type BillingCycle = 'monthly' | 'fortnightly' | 'weekly' | 'manual';
+
+interface CorporateCycle {
+  _id: string;
+  corporateId: string;
+  companyName: string;
+  billingCycle: BillingCycle;
+  billedThrough: string | null;
+  duePeriod: { start: string; end: string } | null;
+}
+
+interface BillingResult {
+  _id: string;
+  companyName: string;
+  billingCycle: string;
+  periodStart: string;
+  periodEnd: string;
+  status: 'invoiced' | 'skipped' | 'failed';
+  reason?: string;
+  invoiceNumber?: string;
+  grandTotal?: number;
+  shipmentCount?: number;
+  emailedTo?: string;
+  emailError?: string;
+}
+
+interface BillingRun {
+  _id: string;
+  trigger: 'scheduled' | 'manual';
+  triggeredBy?: { name: string } | null;
+  startedAt: string;
+  finishedAt: string | null;
+  status: 'running' | 'completed' | 'failed';
+  error?: string | null;
+  results: BillingResult[];
+  invoicedCount: number;
+  skippedCount: number;
+  failedCount: number;
+  invoicedAmount: number;
+}
+
+const CYCLE_LABELS: Record<BillingCycle, string> = {
+  monthly: 'Monthly',
+  fortnightly: 'Fortnightly',
+  weekly: 'Weekly',
+  manual: 'Manual'
+};
+
+const formatAmount = (amount: number) => `₹${(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date: string) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+const formatDateTime = (date: string) => new Date(date).toLocaleString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// Last day of a period given its exclusive end
+const lastDay = (end: string) => formatDate(new Date(new Date(end).getTime() - 1).toISOString());
+
+const getResultBadge = (status: BillingResult['status']) => {
+  switch (status) {
+    case 'invoiced':
+      return <Badge className="bg-green-100 text-green-800">Invoiced</Badge>;
+    case 'failed':
+      return <Badge className="bg-red-100 text-red-800">Failed</Badge>;
+    default:
+      return <Badge variant="secondary">Skipped</Badge>;
+  }
+};
+
+const BillingRuns: React.FC = () => {
+  const [corporates, setCorporates] = useState<CorporateCycle[]>([]);
+  const [runs, setRuns] = useState<BillingRun[]>([]);
+  const [expandedRun, setExpandedRun] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [savingId, setSavingId] = useState<string | null>(null);
+  const { toast } = useToast();
+  const isSuperAdmin = getStoredAdminInfo()?.role === 'super_admin';
+
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`,
+    'Content-Type': 'application/json'
+  });
+
+  const showError = (description: string) => {
+    toast({
+      title: "Error",
+      description,
+      variant: "destructive",
+    });
+  };
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      const [corporatesResponse, runsResponse] = await Promise.all([
+        fetch('/api/billing/corporates', { headers: authHeaders() }),
+        fetch('/api/billing/runs?limit=20', { headers: authHeaders() })
+      ]);
+      const [corporatesResult, runsResult] = await Promise.all([corporatesResponse.json(), runsResponse.json()]);
+
+      if (!corporatesResult.success || !runsResult.success) {
+        throw new Error(corporatesResult.error || runsResult.error || 'Failed to load billing');
+      }
+      setCorporates(corporatesResult.data);
+      setRuns(runsResult.data.runs);
+    } catch (error) {
+      console.error('Error fetching billing runs:', error);
+      showError(error instanceof Error ? error.message : 'Failed to load billing');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const updateCycle = async (corporate: CorporateCycle, billingCycle: BillingCycle) => {
+    try {
+      setSavingId(corporate._id);
+      const response = await fetch(`/api/billing/corporates/${corporate._id}`, {
+        method: 'PATCH',
+        headers: authHeaders(),
+        body: JSON.stringify({ billingCycle })
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to update billing cycle');
+      }
+      toast({ title: "Billing Cycle Updated", description: result.message });
+      fetchData();
+    } catch (error) {
+      showError(error instanceof Error ? error.message : 'Failed to update billing cycle');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleRunNow = async () => {
+    const due = corporates.filter(corporate => corporate.duePeriod).length;
+    if (!window.confirm(`Invoice the ${due} corporate(s) whose billing period has closed? Invoices are emailed to them.`)) {
+      return;
+    }
+
+    try {
+      setRunning(true);
+      const response = await fetch('/api/billing/runs', {
+        method: 'POST',
+        headers: authHeaders()
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.data) {
+        throw new Error(result.error || 'Failed to run billing');
+      }
+      toast({
+        title: result.success ? "Billing Run Complete" : "Billing Run Failed",
+        description: result.error || result.message,
+        variant: result.success ? undefined : "destructive"
+      });
+      setExpandedRun(result.data._id);
+      fetchData();
+    } catch (error) {
+      showError(error instanceof Error ? error.message : 'Failed to run billing');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Automatic Billing</h2>
+          <p className="text-sm text-gray-500">Corporates are invoiced daily after 2 AM for the billing period that has just closed</p>
+        </div>
+        <div className="flex gap-2">
+          <Button variant="outline" size="sm" onClick={fetchData} disabled={loading}>
+            <RefreshCw className="h-4 w-4 mr-2" />
+            Refresh
+          </Button>
+          {isSuperAdmin && (
+            <Button size="sm" onClick={handleRunNow} disabled={running || loading}>
+              {running ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : <Play className="h-4 w-4 mr-2" />}
+              Run Now
+            </Button>
+          )}
+        </div>
+      </div>
+
+      <Card>
+        <CardHeader className="pb-3">
+          <CardTitle className="text-lg">Billing Runs</CardTitle>
+        </CardHeader>
+        <CardContent className="p-0">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead className="w-8"></TableHead>
+                <TableHead>Started</TableHead>
+                <TableHead>Trigger</TableHead>
+                <TableHead>Invoiced</TableHead>
+                <TableHead>Skipped</TableHead>
+                <TableHead>Failed</TableHead>
+                <TableHead>Amount</TableHead>
+                <TableHead>Status</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={8} className="text-center py-8">
+                    <Loader2 className="h-5 w-5 animate-spin inline mr-2" />
+                    Loading...
+                  </TableCell>
+                </TableRow>
+              ) : runs.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={8} className="text-center py-8 text-gray-500">
+                    No billing runs yet.
+                  </TableCell>
+                </TableRow>
+              ) : (
+                runs.map(run => (
+                  <React.Fragment key={run._id}>
+                    <TableRow className="cursor-pointer" onClick={() => setExpandedRun(expandedRun === run._id ? null : run._id)}>
+                      <TableCell>
+                        {expandedRun === run._id ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+                      </TableCell>
+                      <TableCell className="text-sm">{formatDateTime(run.startedAt)}</TableCell>
+                      <TableCell className="text-sm">
+                        {run.trigger === 'manual' ? `Manual${run.triggeredBy ? ` (${run.triggeredBy.name})` : ''}` : 'Scheduled'}
+                      </TableCell>
+                      <TableCell className="text-sm">{run.invoicedCount}</TableCell>
+                      <TableCell className="text-sm">{run.skippedCount}</TableCell>
+                      <TableCell className={`text-sm ${run.failedCount ? 'text-red-600 font-medium' : ''}`}>{run.failedCount}</TableCell>
+                      <TableCell className="text-sm font-medium">{formatAmount(run.invoicedAmount)}</TableCell>
+                      <TableCell>
+                        {run.status === 'completed' ? (
+                          <Badge className="bg-green-100 text-green-800">Completed</Badge>
+                        ) : run.status === 'failed' ? (
+                          <Badge className="bg-red-100 text-red-800" title={run.error || ''}>Failed</Badge>
+                        ) : (
+                          <Badge className="bg-blue-100 text-blue-800">Running</Badge>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                    {expandedRun === run._id && (
+                      <TableRow>
+                        <TableCell colSpan={8} className="bg-gray-50">
+                          {run.error && <p className="text-sm text-red-600 mb-2">{run.error}</p>}
+                          {run.results.length === 0 ? (
+                            <p className="text-sm text-gray-500">No corporate had a billing period to close.</p>
+                          ) : (
+                            <Table>
+                              <TableHeader>
+                                <TableRow>
+                                  <TableHead>Corporate</TableHead>
+                                  <TableHead>Period</TableHead>
+                                  <TableHead>Result</TableHead>
+                                  <TableHead>Invoice</TableHead>
+                                  <TableHead>Email</TableHead>
+                                </TableRow>
+                              </TableHeader>
+                              <TableBody>
+                                {run.results.map(result => (
+                                  <TableRow key={result._id}>
+                                    <TableCell className="text-sm font-medium">{result.companyName}</TableCell>
+                                    <TableCell className="text-sm">{formatDate(result.periodStart)} - {formatDate(result.periodEnd)}</TableCell>
+                                    <TableCell className="text-sm">
+                                      {getResultBadge(result.status)}
+                                      {result.reason && <div className="text-xs text-gray-500 mt-1">{result.reason}</div>}
+                                    </TableCell>
+                                    <TableCell className="text-sm">
+                                      {result.invoiceNumber ? (
+                                        <>
+                                          <div>{result.invoiceNumber}</div>
+                                          <div className="text-xs text-gray-500">{result.shipmentCount} shipments · {formatAmount(result.grandTotal || 0)}</div>
+                                        </>
+                                      ) : '-'}
+                                    </TableCell>
+                                    <TableCell className="text-sm">
+                                      {result.emailedTo || (result.emailError ? <span className="text-red-600">{result.emailError}</span> : '-')}
+                                    </TableCell>
+                                  </TableRow>
+                                ))}
+                              </TableBody>
+                            </Table>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    )}
+                  </React.Fragment>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader className="pb-3">
+          <CardTitle className="flex items-center gap-2 text-lg">
+            <CalendarClock className="h-5 w-5 text-blue-600" />
+            Billing Cycles
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="p-0">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Corporate</TableHead>
+                <TableHead>Cycle</TableHead>
+                <TableHead>Billed Through</TableHead>
+                <TableHead>Next Run Bills</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {corporates.map(corporate => (
+                <TableRow key={corporate._id}>
+                  <TableCell className="text-sm">
+                    <div className="font-medium">{corporate.companyName}</div>
+                    <div className="text-xs text-gray-500">{corporate.corporateId}</div>
+                  </TableCell>
+                  <TableCell>
+                    <Select
+                      value={corporate.billingCycle}
+                      onValueChange={value => updateCycle(corporate, value as BillingCycle)}
+                      disabled={savingId === corporate._id}
+                    >
+                      <SelectTrigger className="w-36 h-8">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {(Object.keys(CYCLE_LABELS) as BillingCycle[]).map(cycle => (
+                          <SelectItem key={cycle} value={cycle}>{CYCLE_LABELS[cycle]}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </TableCell>
+                  <TableCell className="text-sm">{corporate.billedThrough ? lastDay(corporate.billedThrough) : '-'}</TableCell>
+                  <TableCell className="text-sm">
+                    {corporate.duePeriod
+                      ? `Up to ${lastDay(corporate.duePeriod.end)}`
+                      : corporate.billingCycle === 'manual' ? 'Invoiced by admins' : 'Up to date'}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default BillingRuns;
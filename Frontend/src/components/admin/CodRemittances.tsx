@@ -0,0 +1,411 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter } from '@/components/ui/dialog';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Banknote, CheckCircle, Loader2, Plus, RefreshCw, X } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+
+interface CorporateRef {
+  _id: string;
+  corporateId?: string;
+  companyName?: string;
+}
+
+interface RemittableGroup {
+  corporate: CorporateRef;
+  count: number;
+  amount: number;
+  oldestCollectedAt: string;
+}
+
+interface Remittance {
+  _id: string;
+  remittanceNumber: string;
+  corporateId: CorporateRef | null;
+  shipments: { consignmentNumber: number; amount: number }[];
+  totalAmount: number;
+  status: 'pending' | 'paid' | 'cancelled';
+  utrReference?: string;
+  paymentMode: string;
+  paidAt: string | null;
+  createdAt: string;
+}
+
+const formatAmount = (amount: number) => `₹${amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date: string) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+const corporateName = (corporate: CorporateRef | null) =>
+  corporate?.companyName ? `${corporate.companyName} (${corporate.corporateId})` : 'Unknown corporate';
+
+const todayDate = () => new Date().toISOString().slice(0, 10);
+
+const CodRemittances: React.FC = () => {
+  const [remittable, setRemittable] = useState<RemittableGroup[]>([]);
+  const [remittances, setRemittances] = useState<Remittance[]>([]);
+  const [statusFilter, setStatusFilter] = useState('pending');
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [paying, setPaying] = useState<Remittance | null>(null);
+  const [payment, setPayment] = useState({ utrReference: '', paymentMode: 'neft', paidAt: todayDate() });
+  const { toast } = useToast();
+
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`,
+    'Content-Type': 'application/json'
+  });
+
+  const showError = (description: string) => {
+    toast({
+      title: "Error",
+      description,
+      variant: "destructive",
+    });
+  };
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      const [remittableResponse, remittancesResponse] = await Promise.all([
+        fetch('/api/cod/remittable', { headers: authHeaders() }),
+        fetch(`/api/cod/remittances?status=${statusFilter}`, { headers: authHeaders() })
+      ]);
+      const [remittableResult, remittancesResult] = await Promise.all([
+        remittableResponse.json(),
+        remittancesResponse.json()
+      ]);
+
+      if (!remittableResponse.ok || !remittableResult.success) {
+        throw new Error(remittableResult.error || 'Failed to load collected COD');
+      }
+      if (!remittancesResponse.ok || !remittancesResult.success) {
+        throw new Error(remittancesResult.error || 'Failed to load COD remittances');
+      }
+      setRemittable(remittableResult.data);
+      setRemittances(remittancesResult.data);
+    } catch (error) {
+      console.error('Error fetching COD remittances:', error);
+      showError(error instanceof Error ? error.message : 'Failed to load COD remittances');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+  }, [statusFilter]);
+
+  const handleCreate = async (group: RemittableGroup) => {
+    try {
+      setBusyId(group.corporate._id);
+      const response = await fetch('/api/cod/remittances', {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({ corporateId: group.corporate._id })
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.details?.join(', ') || result.error || 'Failed to create COD remittance');
+      }
+
+      toast({
+        title: "Remittance Created",
+        description: `${result.data.remittanceNumber}: ${formatAmount(result.data.totalAmount)} for ${corporateName(group.corporate)}`
+      });
+      fetchData();
+    } catch (error) {
+      showError(error instanceof Error ? error.message : 'Failed to create COD remittance');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePay = async () => {
+    if (!paying) return;
+
+    try {
+      setBusyId(paying._id);
+      const response = await fetch(`/api/cod/remittances/${paying._id}/pay`, {
+        method: 'PATCH',
+        headers: authHeaders(),
+        body: JSON.stringify(payment)
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.details?.join(', ') || result.error || 'Failed to mark COD remittance as paid');
+      }
+
+      toast({
+        title: "Remittance Paid",
+        description: `${paying.remittanceNumber} paid with UTR ${result.data.utrReference}`
+      });
+      setPaying(null);
+      fetchData();
+    } catch (error) {
+      showError(error instanceof Error ? error.message : 'Failed to mark COD remittance as paid');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCancel = async (remittance: Remittance) => {
+    try {
+      setBusyId(remittance._id);
+      const response = await fetch(`/api/cod/remittances/${remittance._id}/cancel`, {
+        method: 'PATCH',
+        headers: authHeaders()
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to cancel COD remittance');
+      }
+      fetchData();
+    } catch (error) {
+      showError(error instanceof Error ? error.message : 'Failed to cancel COD remittance');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const openPayDialog = (remittance: Remittance) => {
+    setPayment({ utrReference: '', paymentMode: 'neft', paidAt: todayDate() });
+    setPaying(remittance);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">COD Remittances</h2>
+          <p className="text-sm text-gray-500">Batch cash collected on delivery and record the bank transfer to each corporate</p>
+        </div>
+        <Button variant="outline" size="sm" onClick={fetchData} disabled={loading}>
+          <RefreshCw className="h-4 w-4 mr-2" />
+          Refresh
+        </Button>
+      </div>
+
+      <Card>
+        <CardHeader className="pb-3">
+          <CardTitle className="flex items-center gap-2 text-lg">
+            <Banknote className="h-5 w-5 text-emerald-600" />
+            Collected, Awaiting Remittance
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="p-0">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Corporate</TableHead>
+                <TableHead>Shipments</TableHead>
+                <TableHead>Amount</TableHead>
+                <TableHead>Oldest Collection</TableHead>
+                <TableHead></TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={5} className="text-center py-8">
+                    <Loader2 className="h-5 w-5 animate-spin inline mr-2" />
+                    Loading...
+                  </TableCell>
+                </TableRow>
+              ) : remittable.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={5} className="text-center py-8 text-gray-500">
+                    No collected COD is waiting to be remitted.
+                  </TableCell>
+                </TableRow>
+              ) : (
+                remittable.map(group => (
+                  <TableRow key={group.corporate._id}>
+                    <TableCell className="text-sm font-medium">{corporateName(group.corporate)}</TableCell>
+                    <TableCell className="text-sm">{group.count}</TableCell>
+                    <TableCell className="text-sm font-medium">{formatAmount(group.amount)}</TableCell>
+                    <TableCell className="text-sm">{group.oldestCollectedAt ? formatDate(group.oldestCollectedAt) : '-'}</TableCell>
+                    <TableCell className="text-right">
+                      <Button size="sm" disabled={busyId === group.corporate._id} onClick={() => handleCreate(group)}>
+                        {busyId === group.corporate._id ? <Loader2 className="h-4 w-4 animate-spin mr-1" /> : <Plus className="h-4 w-4 mr-1" />}
+                        Create Remittance
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader className="pb-3 flex flex-row items-center justify-between">
+          <CardTitle className="text-base">Remittance Batches</CardTitle>
+          <Select value={statusFilter} onValueChange={setStatusFilter}>
+            <SelectTrigger className="w-40 h-8">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="pending">Pending</SelectItem>
+              <SelectItem value="paid">Paid</SelectItem>
+              <SelectItem value="cancelled">Cancelled</SelectItem>
+              <SelectItem value="all">All</SelectItem>
+            </SelectContent>
+          </Select>
+        </CardHeader>
+        <CardContent className="p-0">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Remittance</TableHead>
+                <TableHead>Corporate</TableHead>
+                <TableHead>Shipments</TableHead>
+                <TableHead>Amount</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead>UTR Reference</TableHead>
+                <TableHead></TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {!loading && remittances.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={7} className="text-center py-8 text-gray-500">
+                    No remittances found.
+                  </TableCell>
+                </TableRow>
+              ) : (
+                remittances.map(remittance => (
+                  <TableRow key={remittance._id}>
+                    <TableCell className="text-sm">
+                      <div className="font-medium">{remittance.remittanceNumber}</div>
+                      <div className="text-xs text-gray-500">{formatDate(remittance.createdAt)}</div>
+                    </TableCell>
+                    <TableCell className="text-sm">{corporateName(remittance.corporateId)}</TableCell>
+                    <TableCell className="text-sm">{remittance.shipments.length}</TableCell>
+                    <TableCell className="text-sm font-medium">{formatAmount(remittance.totalAmount)}</TableCell>
+                    <TableCell>
+                      {remittance.status === 'paid' ? (
+                        <Badge className="bg-green-100 text-green-800 text-xs">Paid</Badge>
+                      ) : remittance.status === 'pending' ? (
+                        <Badge className="bg-amber-100 text-amber-800 text-xs">Pending</Badge>
+                      ) : (
+                        <Badge variant="secondary" className="text-xs">Cancelled</Badge>
+                      )}
+                    </TableCell>
+                    <TableCell className="text-sm">
+                      {remittance.utrReference ? (
+                        <>
+                          <div className="font-mono">{remittance.utrReference}</div>
+                          <div className="text-xs text-gray-500">
+                            {remittance.paymentMode.toUpperCase()}{remittance.paidAt && ` · ${formatDate(remittance.paidAt)}`}
+                          </div>
+                        </>
+                      ) : '-'}
+                    </TableCell>
+                    <TableCell className="text-right whitespace-nowrap">
+                      {remittance.status === 'pending' && (
+                        <>
+                          <Button size="sm" variant="ghost" className="text-green-600" onClick={() => openPayDialog(remittance)}>
+                            <CheckCircle className="h-4 w-4 mr-1" />
+                            Mark Paid
+                          </Button>
+                          <Button
+                            size="sm"
+                            variant="ghost"
+                            className="text-red-600"
+                            disabled={busyId === remittance._id}
+                            onClick={() => handleCancel(remittance)}
+                          >
+                            {busyId === remittance._id ? <Loader2 className="h-4 w-4 animate-spin" /> : <X className="h-4 w-4" />}
+                          </Button>
+                        </>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      <Dialog open={!!paying} onOpenChange={(open) => !open && setPaying(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Record Payout {paying?.remittanceNumber}</DialogTitle>
+          </DialogHeader>
+          {paying && (
+            <div className="space-y-4">
+              <p className="text-sm text-gray-600">
+                {formatAmount(paying.totalAmount)} to {corporateName(paying.corporateId)} for {paying.shipments.length} shipment(s)
+              </p>
+              <div className="space-y-1">
+                <Label htmlFor="codUtr">UTR Reference</Label>
+                <Input
+                  id="codUtr"
+                  placeholder="e.g. HDFCR52024101812345"
+                  value={payment.utrReference}
+                  onChange={e => setPayment(prev => ({ ...prev, utrReference: e.target.value.toUpperCase() }))}
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div className="space-y-1">
+                  <Label htmlFor="codPaymentMode">Transfer Mode</Label>
+                  <Select value={payment.paymentMode} onValueChange={value => setPayment(prev => ({ ...prev, paymentMode: value }))}>
+                    <SelectTrigger id="codPaymentMode">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="neft">NEFT</SelectItem>
+                      <SelectItem value="rtgs">RTGS</SelectItem>
+                      <SelectItem value="imps">IMPS</SelectItem>
+                      <SelectItem value="upi">UPI</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor="codPaidAt">Paid On</Label>
+                  <Input
+                    id="codPaidAt"
+                    type="date"
+                    max={todayDate()}
+                    value={payment.paidAt}
+                    onChange={e => setPayment(prev => ({ ...prev, paidAt: e.target.value }))}
+                  />
+                </div>
+              </div>
+            </div>
+          )}
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setPaying(null)}>Cancel</Button>
+            <Button onClick={handlePay} disabled={!payment.utrReference.trim() || busyId === paying?._id}>
+              {busyId === paying?._id && <Loader2 className="h-4 w-4 animate-spin mr-2" />}
+              Mark as Paid
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default CodRemittances;
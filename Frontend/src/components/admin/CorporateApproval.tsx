@@ -1,10 +1,11 @@
 import React, { useState, useEffect } from 'react';
-import { CheckCircle, Clock, X, Eye, Check, AlertCircle, DollarSign, User, Calendar, Building, Package, Truck, Plane, Zap, RotateCcw, TrendingUp, MapPin, RefreshCw, Search, Edit, Trash2, MoreVertical, Plus, Minus } from 'lucide-react';
+import { CheckCircle, Clock, X, Eye, Check, AlertCircle, DollarSign, User, Calendar, Building, Package, Truck, Plane, Zap, RotateCcw, TrendingUp, MapPin, RefreshCw, Search, Edit, Trash2, MoreVertical, Plus, Minus, History, Download, Upload, Store } from 'lucide-react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Textarea } from '@/components/ui/textarea';
 import {
   Table,
@@ -23,7 +24,18 @@ import {
   DialogTitle,
   DialogTrigger,
 } from '@/components/ui/dialog';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu';
 import { useToast } from '@/hooks/use-toast';
+import PricingVersionHistory from './PricingVersionHistory';
+import RateCardImportDialog from './RateCardImportDialog';
+import ZoneRatesEditor, { ZonePricing } from './ZoneRatesEditor';
+import { DEFAULT_VOLUMETRIC_DIVISORS, VOLUMETRIC_MODES } from '@/utils/calc';
+import { downloadRateCard } from '@/utils/rateCardSheet';
 
 interface CorporatePricing {
   _id: string;
@@ -42,12 +54,18 @@ interface CorporatePricing {
   notes?: string;
   createdAt: string;
   updatedAt: string;
+  fuelChargeMode?: 'fixed' | 'index';
   fuelChargePercentage?: number;
+  rtoChargePercentage?: number;
+  codCharge?: { percentage: number; minimum: number };
   doxPricing?: any;
   nonDoxSurfacePricing?: any;
   nonDoxAirPricing?: any;
   priorityPricing?: any;
   reversePricing?: any;
+  zonePricing?: ZonePricing;
+  volumetricDivisors?: Record<string, number>;
+  isRetail?: boolean;
   // Email approval workflow fields
   clientEmail?: string;
   clientName?: string;
@@ -80,11 +98,18 @@ const CorporateApproval = () => {
   const [showRejectDialog, setShowRejectDialog] = useState(false);
   const [showDeleteDialog, setShowDeleteDialog] = useState(false);
   const [showEditDialog, setShowEditDialog] = useState(false);
+  const [showVersionsDialog, setShowVersionsDialog] = useState(false);
+  const [showImportDialog, setShowImportDialog] = useState(false);
+  // Approved plans are re-priced through a new version rather than edited in place
+  const [versionForm, setVersionForm] = useState({ effectiveFrom: '', changeNote: '' });
   const [rejectionReason, setRejectionReason] = useState('');
   const [actionLoading, setActionLoading] = useState<string | null>(null);
   const [editFormData, setEditFormData] = useState({
     name: '',
+    fuelChargeMode: 'fixed',
     fuelChargePercentage: '',
+    rtoChargePercentage: '',
+    codCharge: { percentage: '', minimum: '' },
     doxPricing: {
       '01gm-250gm': { assam: '', neBySurface: '', neByAirAgtImp: '', restOfIndia: '' },
       '251gm-500gm': { assam: '', neBySurface: '', neByAirAgtImp: '', restOfIndia: '' },
@@ -108,6 +133,8 @@ const CorporateApproval = () => {
         byFlight: { normal: '', priority: '' }
       }
     },
+    zonePricing: {} as ZonePricing,
+    volumetricDivisors: {} as Record<string, string>,
     notes: ''
   });
 
@@ -201,6 +228,38 @@ const CorporateApproval = () => {
     }
   };
 
+  // Quote the public Shipping Rates page from this plan, or stop doing so
+  const handleToggleRetail = async (pricing: CorporatePricing) => {
+    setActionLoading(pricing._id);
+    try {
+      const response = await fetch(`/api/admin/corporate-pricing/${pricing._id}/retail`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
+        },
+        body: JSON.stringify({ isRetail: !pricing.isRetail })
+      });
+      const result = await response.json();
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to update retail pricing');
+      }
+      toast({
+        title: "Success",
+        description: result.message,
+      });
+      fetchPricingData();
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to update retail pricing",
+        variant: "destructive"
+      });
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
   const handleReject = async (id: string) => {
     if (!rejectionReason.trim()) {
       toast({
@@ -286,7 +345,13 @@ const CorporateApproval = () => {
 
     setEditFormData({
       name: pricing.name || '',
+      fuelChargeMode: pricing.fuelChargeMode || 'fixed',
       fuelChargePercentage: (pricing as any).fuelChargePercentage?.toString() || '15',
+      rtoChargePercentage: pricing.rtoChargePercentage?.toString() ?? '100',
+      codCharge: {
+        percentage: pricing.codCharge?.percentage?.toString() ?? '2',
+        minimum: pricing.codCharge?.minimum?.toString() ?? '50'
+      },
       doxPricing: {
         '01gm-250gm': {
           assam: getNestedValue(pricing.doxPricing, '01gm-250gm.assam'),
@@ -363,8 +428,14 @@ const CorporateApproval = () => {
           }
         }
       },
+      zonePricing: pricing.zonePricing || {},
+      volumetricDivisors: Object.fromEntries(VOLUMETRIC_MODES.map(({ key }) => [
+        key,
+        String(pricing.volumetricDivisors?.[key] ?? DEFAULT_VOLUMETRIC_DIVISORS[key])
+      ])),
       notes: pricing.notes || ''
     });
+    setVersionForm({ effectiveFrom: '', changeNote: '' });
     setShowEditDialog(true);
   };
 
@@ -401,6 +472,15 @@ const CorporateApproval = () => {
       const processedData = {
         ...editFormData,
         fuelChargePercentage: parseFloat(editFormData.fuelChargePercentage) || 15,
+        rtoChargePercentage: editFormData.rtoChargePercentage === '' ? 100 : parseFloat(editFormData.rtoChargePercentage),
+        codCharge: {
+          percentage: editFormData.codCharge.percentage === '' ? 2 : parseFloat(editFormData.codCharge.percentage),
+          minimum: editFormData.codCharge.minimum === '' ? 50 : parseFloat(editFormData.codCharge.minimum)
+        },
+        volumetricDivisors: Object.fromEntries(VOLUMETRIC_MODES.map(({ key }) => [
+          key,
+          parseFloat(editFormData.volumetricDivisors[key]) || DEFAULT_VOLUMETRIC_DIVISORS[key]
+        ])),
         doxPricing: Object.fromEntries(
           Object.entries(editFormData.doxPricing).map(([weight, regions]) => [
             weight,
@@ -467,14 +547,20 @@ const CorporateApproval = () => {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
         },
-        body: JSON.stringify(processedData)
+        body: JSON.stringify({
+          ...processedData,
+          ...(selectedPricing.status === 'approved' && {
+            effectiveFrom: versionForm.effectiveFrom ? new Date(versionForm.effectiveFrom).toISOString() : undefined,
+            changeNote: versionForm.changeNote
+          })
+        })
       });
       
       const result = await response.json();
       if (result.success) {
         toast({
           title: "Success",
-          description: "Corporate pricing updated successfully!",
+          description: result.message || "Corporate pricing updated successfully!",
         });
         setShowEditDialog(false);
         fetchPricingData();
@@ -677,6 +763,10 @@ const CorporateApproval = () => {
               <p className="text-sm text-gray-500 mt-1" style={{ fontFamily: 'Calibri' }}>{totalCount} total pricing submissions</p>
             </div>
             <div className="flex items-center space-x-3">
+              <Button variant="outline" size="sm" onClick={() => setShowImportDialog(true)} className="rounded-full px-4">
+                <Upload className="h-4 w-4 mr-2" />
+                Import Rate Card
+              </Button>
               <Button variant="outline" size="sm" onClick={() => fetchPricingData()} className="rounded-full px-4">
                 <RefreshCw className="h-4 w-4 mr-2" />
                 Refresh
@@ -757,7 +847,12 @@ const CorporateApproval = () => {
                       
                       return (
                         <tr key={pricing._id} className="hover:bg-gray-50 border-b border-gray-100 last:border-b-0">
-                          <td className="px-4 text-sm border-r border-gray-100 last:border-r-0" style={{ fontFamily: 'Calibri', lineHeight: '1' }}>{pricing.name}</td>
+                          <td className="px-4 text-sm border-r border-gray-100 last:border-r-0" style={{ fontFamily: 'Calibri', lineHeight: '1' }}>
+                            {pricing.name}
+                            {pricing.isRetail && (
+                              <Badge variant="outline" className="ml-2 text-[10px] border-orange-300 text-orange-700">Retail</Badge>
+                            )}
+                          </td>
                           <td className="px-4 text-sm border-r border-gray-100 last:border-r-0" style={{ fontFamily: 'Calibri', lineHeight: '1' }}>
                             <Badge variant={getStatusBadgeVariant(pricing.status)} className="flex items-center gap-1">
                               <StatusIcon className="h-3 w-3" />
@@ -811,6 +906,43 @@ const CorporateApproval = () => {
                                 <Edit className="h-4 w-4" style={{color:'#16a34a'}} />
                               </Button>
 
+                              <DropdownMenu>
+                                <DropdownMenuTrigger asChild>
+                                  <Button variant="ghost" size="sm" className="h-8 w-8 p-0" title="Export rate card">
+                                    <Download className="h-4 w-4" style={{color:'#0891b2'}} />
+                                  </Button>
+                                </DropdownMenuTrigger>
+                                <DropdownMenuContent align="end">
+                                  <DropdownMenuItem onClick={() => downloadRateCard(pricing, 'xlsx')}>Excel (.xlsx)</DropdownMenuItem>
+                                  <DropdownMenuItem onClick={() => downloadRateCard(pricing, 'csv')}>CSV (.csv)</DropdownMenuItem>
+                                </DropdownMenuContent>
+                              </DropdownMenu>
+
+                              {pricing.status === 'approved' && (
+                                <Button 
+                                  variant="ghost" 
+                                  size="sm" 
+                                  onClick={() => { setSelectedPricing(pricing); setShowVersionsDialog(true); }} 
+                                  className="h-8 w-8 p-0"
+                                  title="Version history"
+                                >
+                                  <History className="h-4 w-4" style={{color:'#7c3aed'}} />
+                                </Button>
+                              )}
+
+                              {pricing.status === 'approved' && (
+                                <Button
+                                  variant="ghost"
+                                  size="sm"
+                                  onClick={() => handleToggleRetail(pricing)}
+                                  disabled={actionLoading === pricing._id}
+                                  className="h-8 w-8 p-0"
+                                  title={pricing.isRetail ? 'Stop using for public rates' : 'Use for public rates'}
+                                >
+                                  <Store className="h-4 w-4" style={{color: pricing.isRetail ? '#ea580c' : '#9ca3af'}} />
+                                </Button>
+                              )}
+
                               {pricing.status === 'pending' && (
                                 <>
                                   <Button
@@ -931,7 +1063,27 @@ const CorporateApproval = () => {
                     <div>
                       <p className="text-xs font-medium text-gray-600" style={{ fontFamily: 'Calibri' }}>Fuel Charge</p>
                       <p className="text-sm font-semibold text-gray-800" style={{ fontFamily: 'Calibri' }}>
-                        {(selectedPricing as any).fuelChargePercentage || 15}%
+                        {selectedPricing.fuelChargeMode === 'index'
+                          ? `Fuel index (fallback ${selectedPricing.fuelChargePercentage || 15}%)`
+                          : `${selectedPricing.fuelChargePercentage || 15}%`}
+                      </p>
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <TrendingUp className="h-4 w-4 text-blue-600" />
+                    <div>
+                      <p className="text-xs font-medium text-gray-600" style={{ fontFamily: 'Calibri' }}>RTO Charge</p>
+                      <p className="text-sm font-semibold text-gray-800" style={{ fontFamily: 'Calibri' }}>
+                        {selectedPricing.rtoChargePercentage ?? 100}% of freight
+                      </p>
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <TrendingUp className="h-4 w-4 text-blue-600" />
+                    <div>
+                      <p className="text-xs font-medium text-gray-600" style={{ fontFamily: 'Calibri' }}>COD Charge</p>
+                      <p className="text-sm font-semibold text-gray-800" style={{ fontFamily: 'Calibri' }}>
+                        {selectedPricing.codCharge?.percentage ?? 2}% (min ₹{selectedPricing.codCharge?.minimum ?? 50})
                       </p>
                     </div>
                   </div>
@@ -1225,6 +1377,23 @@ const CorporateApproval = () => {
         </DialogContent>
       </Dialog>
 
+      {/* Rate Card Import Dialog */}
+      <RateCardImportDialog
+        open={showImportDialog}
+        onOpenChange={setShowImportDialog}
+        onImported={() => fetchPricingData()}
+      />
+
+      {/* Version History Dialog */}
+      {selectedPricing && (
+        <PricingVersionHistory
+          pricingId={selectedPricing._id}
+          pricingName={selectedPricing.name}
+          open={showVersionsDialog}
+          onOpenChange={setShowVersionsDialog}
+        />
+      )}
+
       {/* Edit Dialog */}
       <Dialog open={showEditDialog} onOpenChange={setShowEditDialog}>
         <DialogContent className="sm:max-w-5xl max-h-[85vh] overflow-y-auto">
@@ -1254,7 +1423,24 @@ const CorporateApproval = () => {
                   />
                 </div>
                 <div className="space-y-1">
-                  <Label htmlFor="editFuelCharge" className="text-xs font-medium text-gray-600" style={{ fontFamily: 'Calibri' }}>Fuel Charge Percentage</Label>
+                  <Label htmlFor="editFuelMode" className="text-xs font-medium text-gray-600" style={{ fontFamily: 'Calibri' }}>Fuel Surcharge</Label>
+                  <Select
+                    value={editFormData.fuelChargeMode}
+                    onValueChange={(value) => setEditFormData(prev => ({ ...prev, fuelChargeMode: value }))}
+                  >
+                    <SelectTrigger id="editFuelMode" className="rounded-lg shadow-sm">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="fixed">Fixed percentage</SelectItem>
+                      <SelectItem value="index">Follow fuel index</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor="editFuelCharge" className="text-xs font-medium text-gray-600" style={{ fontFamily: 'Calibri' }}>
+                    {editFormData.fuelChargeMode === 'index' ? 'Fallback Fuel Charge %' : 'Fuel Charge Percentage'}
+                  </Label>
                   <div className="relative">
                     <Input
                       id="editFuelCharge"
@@ -1270,6 +1456,48 @@ const CorporateApproval = () => {
                     <span className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-500 text-xs">%</span>
                   </div>
                 </div>
+                <div className="space-y-1">
+                  <Label htmlFor="editRtoCharge" className="text-xs font-medium text-gray-600" style={{ fontFamily: 'Calibri' }}>RTO Charge Percentage</Label>
+                  <div className="relative">
+                    <Input
+                      id="editRtoCharge"
+                      type="number"
+                      value={editFormData.rtoChargePercentage}
+                      onChange={(e) => setEditFormData(prev => ({ ...prev, rtoChargePercentage: e.target.value }))}
+                      className="rounded-lg shadow-sm focus:shadow-md transition-shadow pr-8"
+                      placeholder="100"
+                      min="0"
+                      max="200"
+                      step="1"
+                    />
+                    <span className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-500 text-xs">%</span>
+                  </div>
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor="editCodCharge" className="text-xs font-medium text-gray-600" style={{ fontFamily: 'Calibri' }}>COD Charge (% / Minimum ₹)</Label>
+                  <div className="grid grid-cols-2 gap-2">
+                    <Input
+                      id="editCodCharge"
+                      type="number"
+                      value={editFormData.codCharge.percentage}
+                      onChange={(e) => setEditFormData(prev => ({ ...prev, codCharge: { ...prev.codCharge, percentage: e.target.value } }))}
+                      className="rounded-lg shadow-sm focus:shadow-md transition-shadow"
+                      placeholder="2"
+                      min="0"
+                      max="100"
+                      step="0.1"
+                    />
+                    <Input
+                      type="number"
+                      value={editFormData.codCharge.minimum}
+                      onChange={(e) => setEditFormData(prev => ({ ...prev, codCharge: { ...prev.codCharge, minimum: e.target.value } }))}
+                      className="rounded-lg shadow-sm focus:shadow-md transition-shadow"
+                      placeholder="50"
+                      min="0"
+                      step="1"
+                    />
+                  </div>
+                </div>
                 <div className="space-y-1">
                   <Label htmlFor="editNotes" className="text-xs font-medium text-gray-600" style={{ fontFamily: 'Calibri' }}>Notes</Label>
                   <Input
@@ -1283,6 +1511,68 @@ const CorporateApproval = () => {
               </div>
             </div>
 
+            <div className="space-y-2">
+              <h3 className="text-sm font-semibold text-gray-800" style={{ fontFamily: 'Calibri' }}>Volumetric Divisors</h3>
+              <div className="grid grid-cols-3 gap-4">
+                {VOLUMETRIC_MODES.map(({ key, label }) => (
+                  <div key={key} className="space-y-1">
+                    <Label htmlFor={`editVolumetric-${key}`} className="text-xs font-medium text-gray-600" style={{ fontFamily: 'Calibri' }}>{label}</Label>
+                    <Input
+                      id={`editVolumetric-${key}`}
+                      type="number"
+                      value={editFormData.volumetricDivisors[key] ?? ''}
+                      onChange={(e) => setEditFormData(prev => ({
+                        ...prev,
+                        volumetricDivisors: { ...prev.volumetricDivisors, [key]: e.target.value }
+                      }))}
+                      className="rounded-lg shadow-sm focus:shadow-md transition-shadow"
+                      min="1000"
+                      step="100"
+                    />
+                  </div>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500" style={{ fontFamily: 'Calibri' }}>
+                L × B × H in cm divided by these gives the volumetric weight for each transport mode.
+              </p>
+            </div>
+
+            {selectedPricing?.status === 'approved' && (
+              <div className="space-y-3">
+                <h3 className="text-sm font-semibold text-gray-800 flex items-center gap-2" style={{ fontFamily: 'Calibri' }}>
+                  <History className="h-4 w-4 text-purple-600" />
+                  New Version
+                </h3>
+                <p className="text-xs text-gray-500" style={{ fontFamily: 'Calibri' }}>
+                  Rate changes to an approved plan are saved as a new version. Bookings before the effective date keep the current rates.
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                  <div className="space-y-1">
+                    <Label htmlFor="editEffectiveFrom" className="text-xs font-medium text-gray-600" style={{ fontFamily: 'Calibri' }}>Effective From</Label>
+                    <Input
+                      id="editEffectiveFrom"
+                      type="datetime-local"
+                      value={versionForm.effectiveFrom}
+                      onChange={(e) => setVersionForm(prev => ({ ...prev, effectiveFrom: e.target.value }))}
+                      className="rounded-lg shadow-sm focus:shadow-md transition-shadow"
+                    />
+                    <p className="text-[11px] text-gray-400" style={{ fontFamily: 'Calibri' }}>Leave empty to apply immediately</p>
+                  </div>
+                  <div className="space-y-1 md:col-span-2">
+                    <Label htmlFor="editChangeNote" className="text-xs font-medium text-gray-600" style={{ fontFamily: 'Calibri' }}>Change Note</Label>
+                    <Input
+                      id="editChangeNote"
+                      value={versionForm.changeNote}
+                      onChange={(e) => setVersionForm(prev => ({ ...prev, changeNote: e.target.value }))}
+                      className="rounded-lg shadow-sm focus:shadow-md transition-shadow"
+                      placeholder="Why are the rates changing? (optional)"
+                      maxLength={500}
+                    />
+                  </div>
+                </div>
+              </div>
+            )}
+
             {/* DOX Pricing */}
             <div className="space-y-3">
               <h3 className="text-sm font-semibold text-gray-800 flex items-center gap-2" style={{ fontFamily: 'Calibri' }}>
@@ -1503,6 +1793,18 @@ const CorporateApproval = () => {
                 </div>
               </div>
             </div>
+
+            {/* Special Zone Pricing */}
+            <div className="space-y-3">
+              <h3 className="text-sm font-semibold text-gray-800 flex items-center gap-2" style={{ fontFamily: 'Calibri' }}>
+                <MapPin className="h-4 w-4 text-blue-600" />
+                Special Zone Pricing
+              </h3>
+              <ZoneRatesEditor
+                value={editFormData.zonePricing}
+                onChange={(zonePricing) => setEditFormData(prev => ({ ...prev, zonePricing }))}
+              />
+            </div>
           </div>
           
           <DialogFooter>
@@ -16,6 +16,9 @@ import {
   TableRow,
 } from '@/components/ui/table';
 import { useToast } from '@/hooks/use-toast';
+import ZoneRatesEditor, { ZonePricing } from './ZoneRatesEditor';
+import { toTestShipment, zoneLabel, RateCardTestQuote } from '@/utils/rateCardTest';
+import { DEFAULT_VOLUMETRIC_DIVISORS, VOLUMETRIC_MODES } from '@/utils/calc';
 
 const CorporatePricing = () => {
   const { toast } = useToast();
@@ -26,6 +29,16 @@ const CorporatePricing = () => {
   
   // State for fuel charge percentage
   const [fuelChargePercentage, setFuelChargePercentage] = useState('15');
+  const [fuelChargeMode, setFuelChargeMode] = useState('fixed');
+  const [rtoChargePercentage, setRtoChargePercentage] = useState('100');
+  const [codChargePercentage, setCodChargePercentage] = useState('2');
+  const [codChargeMinimum, setCodChargeMinimum] = useState('50');
+
+  // cm³ per kg by transport mode for volumetric weight
+  const defaultVolumetricDivisors = () => Object.fromEntries(
+    VOLUMETRIC_MODES.map(({ key }) => [key, String(DEFAULT_VOLUMETRIC_DIVISORS[key])])
+  );
+  const [volumetricDivisors, setVolumetricDivisors] = useState<Record<string, string>>(defaultVolumetricDivisors);
   
   // State for email approval
   const [clientEmail, setClientEmail] = useState('');
@@ -131,8 +144,14 @@ const CorporatePricing = () => {
     deliveryType: 'normal' // 'normal' or 'priority' for reverse pricing
   });
 
-  const [calculatedPrice, setCalculatedPrice] = useState(null);
+  // Rates of special zones from the zone master
+  const [zonePricing, setZonePricing] = useState<ZonePricing>({});
+
+  const [calculation, setCalculation] = useState<RateCardTestQuote | null>(null);
+  const [isCalculating, setIsCalculating] = useState(false);
   const [isDataSaved, setIsDataSaved] = useState(false);
+  // The form is cleared after saving, so the calculator prices the rates that were saved
+  const [savedRates, setSavedRates] = useState(null);
 
   // Format price input to show .00 at the end
   const formatPriceInput = (value) => {
@@ -174,82 +193,8 @@ const CorporatePricing = () => {
     });
   };
 
-  // Check if pincode is in Assam
-  const isAssamPincode = (pincode) => {
-    const pin = parseInt(pincode);
-    return (pin >= 781000 && pin <= 781999) || 
-           (pin >= 782000 && pin <= 782999) || 
-           (pin >= 783000 && pin <= 783999) || 
-           (pin >= 784000 && pin <= 784999) || 
-           (pin >= 785000 && pin <= 785999) || 
-           (pin >= 786000 && pin <= 786999) || 
-           (pin >= 787000 && pin <= 787999) || 
-           (pin >= 788000 && pin <= 788999);
-  };
-
-  // Check if pincode is in North East (excluding Assam)
-  const isNorthEastPincode = (pincode) => {
-    const pin = parseInt(pincode);
-    return (pin >= 790000 && pin <= 791999) || // Arunachal Pradesh
-           (pin >= 793000 && pin <= 793999) || // Meghalaya
-           (pin >= 795000 && pin <= 795999) || // Manipur
-           (pin >= 796000 && pin <= 796999) || // Mizoram
-           (pin >= 797000 && pin <= 797999) || // Nagaland
-           (pin >= 737000 && pin <= 737999) || // Sikkim
-           (pin >= 799000 && pin <= 799999);   // Tripura
-  };
-
-  // Check if pincode is in rest of India (not Assam or North East)
-  const isRestOfIndiaPincode = (pincode) => {
-    return !isAssamPincode(pincode) && !isNorthEastPincode(pincode);
-  };
-
-  // Location classification logic
-  const classifyLocation = (pincode, isAirRoute = false) => {
-    const pin = parseInt(pincode);
-    
-    // Assam pincodes (781xxx, 782xxx, 783xxx, 784xxx, 785xxx, 786xxx, 787xxx, 788xxx)
-    if ((pin >= 781000 && pin <= 781999) || 
-        (pin >= 782000 && pin <= 782999) || 
-        (pin >= 783000 && pin <= 783999) || 
-        (pin >= 784000 && pin <= 784999) || 
-        (pin >= 785000 && pin <= 785999) || 
-        (pin >= 786000 && pin <= 786999) || 
-        (pin >= 787000 && pin <= 787999) || 
-        (pin >= 788000 && pin <= 788999)) {
-      return 'assam';
-    }
-    
-    // Kolkata pincodes (700xxx)
-    if (pin >= 700000 && pin <= 700999) {
-      return 'kol';
-    }
-    
-    // Tripura (799xxx) and Manipur (795xxx) - AGT IMP only for air routes
-    if (isAirRoute && ((pin >= 799000 && pin <= 799999) || (pin >= 795000 && pin <= 795999))) {
-      return 'neByAirAgtImp';
-    }
-    
-    // Tripura (799xxx) and Manipur (795xxx) - Surface route
-    if (!isAirRoute && ((pin >= 799000 && pin <= 799999) || (pin >= 795000 && pin <= 795999))) {
-      return 'neBySurface';
-    }
-    
-    // Other NE states (Arunachal Pradesh 790xxx, 791xxx, Nagaland 797xxx, Meghalaya 793xxx, Mizoram 796xxx, Sikkim 737xxx)
-    if ((pin >= 790000 && pin <= 791999) || 
-        (pin >= 793000 && pin <= 793999) || 
-        (pin >= 796000 && pin <= 796999) || 
-        (pin >= 797000 && pin <= 797999) || 
-        (pin >= 737000 && pin <= 737999)) {
-      return 'neBySurface';
-    }
-    
-    // Rest of India
-    return 'restOfIndia';
-  };
-
-  // Price calculation logic
-  const calculatePrice = () => {
+  // Price calculation on the saved rates, using the server pricing engine and zone master
+  const calculatePrice = async () => {
     if (!testInputs.destinationPincode || !testInputs.weight) {
       toast({
         title: "Error",
@@ -259,100 +204,39 @@ const CorporatePricing = () => {
       return;
     }
 
-    const weight = parseFloat(testInputs.weight);
-    let price = 0;
-    let serviceType = testInputs.type.toUpperCase();
-    let location = '';
-    let transportMode = '';
-    let chargeableWeight = weight;
-    let isMinimumWeightApplied = false;
+    setIsCalculating(true);
+    try {
+      const response = await fetch('/api/admin/corporate-pricing/preview-quote', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
+        },
+        body: JSON.stringify({ rates: savedRates, shipment: toTestShipment(testInputs) })
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to calculate price');
+      }
 
-    // Check if this is reverse pricing (from pincode provided and destination is Assam/North East)
-    if (testInputs.fromPincode && testInputs.type === 'non-dox') {
-      // Reverse pricing logic
-      // Apply minimum chargeable weight for reverse pricing
-      const minChargeableWeights = {
-        byRoad: 500,
-        byTrain: 100,
-        byFlight: 25
-      };
-      
-      chargeableWeight = Math.max(weight, minChargeableWeights[testInputs.transportMode]);
-      isMinimumWeightApplied = chargeableWeight > weight;
+      const quote: RateCardTestQuote = result.data;
+      setCalculation(quote);
 
-      if (isAssamPincode(testInputs.destinationPincode)) {
-        location = 'Assam';
-        const pricePerKg = parseFloat(reversePricing.toAssam[testInputs.transportMode][testInputs.deliveryType]) || 0;
-        price = pricePerKg * chargeableWeight; // Use chargeable weight for calculation
-        transportMode = testInputs.transportMode;
-      } else if (isNorthEastPincode(testInputs.destinationPincode)) {
-        location = 'North East';
-        const pricePerKg = parseFloat(reversePricing.toNorthEast[testInputs.transportMode][testInputs.deliveryType]) || 0;
-        price = pricePerKg * chargeableWeight; // Use chargeable weight for calculation
-        transportMode = testInputs.transportMode;
-      } else {
-        toast({
-          title: "Error",
-          description: "Reverse pricing is only available for Assam and North East destinations",
-          variant: "destructive"
-        });
-        return;
-      }
-    } else {
-      // Normal pricing logic
-      location = classifyLocation(testInputs.destinationPincode, testInputs.byAir);
-    
-    if (testInputs.type === 'dox') {
-      // DOX pricing logic
-      if (testInputs.priority) {
-        // Priority Service pricing
-        if (weight <= 500) {
-          price = parseFloat(priorityPricing['01gm-500gm'][location]) || 0;
-        } else {
-          // For weights above 500gm, use base price + additional 500gm charges
-          const basePrice = parseFloat(priorityPricing['01gm-500gm'][location]) || 0;
-          const additionalWeight = Math.ceil((weight - 500) / 500);
-          const additionalPrice = parseFloat(priorityPricing.add500gm[location]) || 0;
-          price = basePrice + (additionalWeight * additionalPrice);
-        }
-      } else {
-        // Standard Service pricing
-        if (weight <= 250) {
-          price = parseFloat(doxPricing['01gm-250gm'][location]) || 0;
-        } else if (weight <= 500) {
-          price = parseFloat(doxPricing['251gm-500gm'][location]) || 0;
-        } else {
-          // For weights above 500gm, use base price + additional 500gm charges
-          const basePrice = parseFloat(doxPricing['251gm-500gm'][location]) || 0;
-          const additionalWeight = Math.ceil((weight - 500) / 500);
-          const additionalPrice = parseFloat(doxPricing.add500gm[location]) || 0;
-          price = basePrice + (additionalWeight * additionalPrice);
-        }
-      }
-    } else {
-      // NON-DOX pricing logic (per kg)
-      if (testInputs.byAir) {
-        const pricePerKg = parseFloat(nonDoxAirPricing[location]) || 0;
-        price = pricePerKg * weight;
-      } else {
-        const pricePerKg = parseFloat(nonDoxSurfacePricing[location]) || 0;
-        price = pricePerKg * weight;
-        }
-      }
+      const weightText = quote.isMinimumWeightApplied ? ` (charged for ${quote.chargeableWeight}kg)` : '';
+      toast({
+        title: "Price Calculated",
+        description: `Calculated price: ₹${quote.freight.toFixed(2)} to ${zoneLabel(quote.breakdown.zone || quote.lane.destinationZone)}${weightText}`,
+      });
+    } catch (error) {
+      setCalculation(null);
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to calculate price",
+        variant: "destructive"
+      });
+    } finally {
+      setIsCalculating(false);
     }
-    
-    setCalculatedPrice(price);
-    
-    if (testInputs.priority) serviceType += ' (Priority)';
-    if (testInputs.byAir) serviceType += ' (By Air)';
-    if (transportMode) serviceType += ` (${transportMode})`;
-    
-    const fromText = testInputs.fromPincode ? ` from ${testInputs.fromPincode}` : '';
-    const weightText = isMinimumWeightApplied ? ` (charged for ${chargeableWeight}kg)` : '';
-    toast({
-      title: "Price Calculated",
-      description: `Calculated price: ₹${price.toFixed(2)} for ${serviceType}${fromText} to ${location}${weightText}`,
-    });
   };
 
   const handleSave = async () => {
@@ -412,7 +296,17 @@ const CorporatePricing = () => {
         nonDoxAirPricing,
         priorityPricing,
         reversePricing,
+        zonePricing,
+        volumetricDivisors: Object.fromEntries(
+          VOLUMETRIC_MODES.map(({ key }) => [key, parseFloat(volumetricDivisors[key]) || DEFAULT_VOLUMETRIC_DIVISORS[key]])
+        ),
+        fuelChargeMode,
         fuelChargePercentage: parseFloat(fuelChargePercentage) || 15,
+        rtoChargePercentage: rtoChargePercentage === '' ? 100 : parseFloat(rtoChargePercentage),
+        codCharge: {
+          percentage: codChargePercentage === '' ? 2 : parseFloat(codChargePercentage),
+          minimum: codChargeMinimum === '' ? 50 : parseFloat(codChargeMinimum)
+        },
         clientEmail: sendEmailApproval ? clientEmail.trim() : null,
         clientName: sendEmailApproval ? clientName.trim() : null,
         clientCompany: sendEmailApproval ? clientCompany.trim() : null,
@@ -432,6 +326,8 @@ const CorporatePricing = () => {
 
       if (result.success) {
         setIsDataSaved(true);
+        setSavedRates(pricingData);
+        setCalculation(null);
         const successMessage = sendEmailApproval && clientEmail 
           ? "Corporate pricing saved and approval email sent successfully!"
           : "Corporate pricing saved successfully! It will be sent to corporate clients for approval.";
@@ -444,6 +340,11 @@ const CorporatePricing = () => {
         // Reset form
         setPricingName('');
         setFuelChargePercentage('15');
+        setFuelChargeMode('fixed');
+        setRtoChargePercentage('100');
+        setCodChargePercentage('2');
+        setCodChargeMinimum('50');
+        setVolumetricDivisors(defaultVolumetricDivisors());
         setClientEmail('');
         setClientName('');
         setClientCompany('');
@@ -463,6 +364,7 @@ const CorporatePricing = () => {
           toAssam: { byRoad: { normal: '', priority: '' }, byTrain: { normal: '', priority: '' }, byFlight: { normal: '', priority: '' } },
           toNorthEast: { byRoad: { normal: '', priority: '' }, byTrain: { normal: '', priority: '' }, byFlight: { normal: '', priority: '' } }
         });
+        setZonePricing({});
       } else {
         throw new Error(result.error || 'Failed to save pricing');
       }
@@ -568,9 +470,27 @@ const CorporatePricing = () => {
               </p>
             </div>
             
+            <div className="space-y-2">
+              <Label htmlFor="fuelChargeMode" className="text-sm font-medium">
+                Fuel Surcharge
+              </Label>
+              <Select value={fuelChargeMode} onValueChange={setFuelChargeMode}>
+                <SelectTrigger id="fuelChargeMode" className="w-full">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="fixed">Fixed percentage for this plan</SelectItem>
+                  <SelectItem value="index">Follow the fuel surcharge index</SelectItem>
+                </SelectContent>
+              </Select>
+              <p className="text-xs text-gray-500">
+                Plans that follow the index charge the index rate in force on each booking date.
+              </p>
+            </div>
+
             <div className="space-y-2">
               <Label htmlFor="fuelChargePercentage" className="text-sm font-medium">
-                Fuel Charge Percentage <span className="text-red-500">*</span>
+                {fuelChargeMode === 'index' ? 'Fallback Fuel Charge Percentage' : 'Fuel Charge Percentage'} <span className="text-red-500">*</span>
               </Label>
               <div className="relative">
                 <Input
@@ -588,7 +508,90 @@ const CorporatePricing = () => {
                 <span className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-500 text-sm">%</span>
               </div>
               <p className="text-xs text-gray-500">
-                Enter the fuel charge percentage that will be applied to freight charges in settlement invoices.
+                {fuelChargeMode === 'index'
+                  ? 'Charged on bookings made before the fuel surcharge index has an entry.'
+                  : 'Enter the fuel charge percentage that will be applied to freight charges in settlement invoices.'}
+              </p>
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="rtoChargePercentage" className="text-sm font-medium">
+                RTO Charge Percentage
+              </Label>
+              <div className="relative">
+                <Input
+                  id="rtoChargePercentage"
+                  type="number"
+                  value={rtoChargePercentage}
+                  onChange={(e) => setRtoChargePercentage(e.target.value)}
+                  placeholder="100"
+                  min="0"
+                  max="200"
+                  step="1"
+                  className="w-full pr-8"
+                />
+                <span className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-500 text-sm">%</span>
+              </div>
+              <p className="text-xs text-gray-500">
+                Return-to-origin freight, as a percentage of the forward freight of the returned shipment.
+              </p>
+            </div>
+
+            <div className="space-y-2">
+              <Label className="text-sm font-medium">COD Charge</Label>
+              <div className="grid grid-cols-2 gap-3">
+                <div className="relative">
+                  <Input
+                    id="codChargePercentage"
+                    type="number"
+                    value={codChargePercentage}
+                    onChange={(e) => setCodChargePercentage(e.target.value)}
+                    placeholder="2"
+                    min="0"
+                    max="100"
+                    step="0.1"
+                    className="w-full pr-8"
+                  />
+                  <span className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-500 text-sm">%</span>
+                </div>
+                <div className="relative">
+                  <span className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-500 text-sm">₹</span>
+                  <Input
+                    id="codChargeMinimum"
+                    type="number"
+                    value={codChargeMinimum}
+                    onChange={(e) => setCodChargeMinimum(e.target.value)}
+                    placeholder="50"
+                    min="0"
+                    step="1"
+                    className="w-full pl-7"
+                  />
+                </div>
+              </div>
+              <p className="text-xs text-gray-500">
+                Fee on cash-on-delivery shipments: this percentage of the COD amount, but not less than the minimum.
+              </p>
+            </div>
+
+            <div className="space-y-2">
+              <Label className="text-sm font-medium">Volumetric Divisors</Label>
+              <div className="grid grid-cols-3 gap-3">
+                {VOLUMETRIC_MODES.map(({ key, label }) => (
+                  <div key={key} className="space-y-1">
+                    <Label htmlFor={`volumetric-${key}`} className="text-xs text-gray-600">{label}</Label>
+                    <Input
+                      id={`volumetric-${key}`}
+                      type="number"
+                      value={volumetricDivisors[key]}
+                      onChange={(e) => setVolumetricDivisors(prev => ({ ...prev, [key]: e.target.value }))}
+                      min="1000"
+                      step="100"
+                    />
+                  </div>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500">
+                Volumetric weight is L × B × H in cm divided by the divisor of the transport mode; the higher of actual and volumetric weight is charged.
               </p>
             </div>
           </div>
@@ -1358,6 +1361,16 @@ const CorporatePricing = () => {
         </CardContent>
       </Card>
 
+      {/* Section 6: Special Zone Pricing */}
+      <Card className="border border-gray-200 shadow-sm">
+        <CardHeader className="bg-blue-50 border-b border-gray-200 py-3">
+          <CardTitle className="text-lg font-semibold text-gray-800">Special Zone Pricing</CardTitle>
+        </CardHeader>
+        <CardContent className="p-4">
+          <ZoneRatesEditor value={zonePricing} onChange={setZonePricing} />
+        </CardContent>
+      </Card>
+
       {/* Testing Section - Only show after data is saved */}
       {isDataSaved && (
         <Card className="border border-gray-200 shadow-sm">
@@ -1529,6 +1542,7 @@ const CorporatePricing = () => {
               <div className="flex justify-center">
                 <Button 
                   onClick={calculatePrice}
+                  disabled={isCalculating}
                   className="bg-purple-600 hover:bg-purple-700 text-white px-8 py-2"
                 >
                   <Calculator className="h-4 w-4 mr-2" />
@@ -1537,65 +1551,49 @@ const CorporatePricing = () => {
               </div>
 
               {/* Results */}
-              {calculatedPrice !== null && (() => {
-                // Calculate chargeable weight for display
-                let displayChargeableWeight = parseFloat(testInputs.weight);
-                let displayIsMinimumWeightApplied = false;
-                
-                if (testInputs.fromPincode && testInputs.type === 'non-dox') {
-                  const minChargeableWeights = {
-                    byRoad: 500,
-                    byTrain: 100,
-                    byFlight: 25
-                  };
-                  displayChargeableWeight = Math.max(parseFloat(testInputs.weight), minChargeableWeights[testInputs.transportMode]);
-                  displayIsMinimumWeightApplied = displayChargeableWeight > parseFloat(testInputs.weight);
-                }
-                
-                return (
-                  <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
-                    <h3 className="text-lg font-semibold text-gray-800 mb-2">Calculation Results</h3>
-                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
-                      {testInputs.fromPincode && (
-                        <div>
-                          <span className="font-medium">From:</span> {testInputs.fromPincode}
-                        </div>
-                      )}
-                      <div>
-                        <span className="font-medium">To:</span> {testInputs.destinationPincode} 
-                        {!testInputs.fromPincode && ` (${classifyLocation(testInputs.destinationPincode, testInputs.byAir)})`}
-                        {testInputs.fromPincode && testInputs.type === 'non-dox' && (
-                          isAssamPincode(testInputs.destinationPincode) ? ' (Assam)' : 
-                          isNorthEastPincode(testInputs.destinationPincode) ? ' (North East)' : ''
-                        )}
-                      </div>
-                      <div>
-                        <span className="font-medium">Type:</span> {testInputs.type.toUpperCase()}
-                      </div>
-                      <div>
-                        <span className="font-medium">Weight:</span> {testInputs.weight} {testInputs.fromPincode ? 'Kg.' : (testInputs.type === 'dox' ? 'grams' : 'Kg.')}
-                        {displayIsMinimumWeightApplied && (
-                          <span className="text-orange-600 ml-2">
-                            (Charged for {displayChargeableWeight}kg - minimum chargeable weight)
-                          </span>
-                        )}
-                      </div>
+              {calculation && (
+                <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
+                  <h3 className="text-lg font-semibold text-gray-800 mb-2">Calculation Results</h3>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+                    {testInputs.fromPincode && (
                       <div>
-                        <span className="font-medium">Service:</span> 
-                        {testInputs.priority ? ' Priority' : ''}
-                        {testInputs.byAir ? ' By Air' : ''}
-                        {testInputs.transportMode && testInputs.fromPincode && testInputs.type === 'non-dox' ? ` ${testInputs.transportMode}` : ''}
-                        {testInputs.deliveryType && testInputs.fromPincode && testInputs.type === 'non-dox' ? ` (${testInputs.deliveryType} delivery)` : ''}
-                        {!testInputs.priority && !testInputs.byAir && !testInputs.transportMode ? ' Standard' : ''}
-                      </div>
-                      <div className="md:col-span-2">
-                        <span className="font-medium">Calculated Price:</span> 
-                        <span className="text-green-600 font-bold text-lg ml-2">₹{calculatedPrice.toFixed(2)}</span>
+                        <span className="font-medium">From:</span> {testInputs.fromPincode}
                       </div>
+                    )}
+                    <div>
+                      <span className="font-medium">To:</span> {testInputs.destinationPincode} ({zoneLabel(calculation.breakdown.zone || calculation.lane.destinationZone)})
+                      {calculation.lane.isOda && <span className="text-orange-600 ml-2">(ODA)</span>}
+                    </div>
+                    <div>
+                      <span className="font-medium">Type:</span> {testInputs.type.toUpperCase()}
+                    </div>
+                    <div>
+                      <span className="font-medium">Weight:</span> {testInputs.weight} {testInputs.fromPincode ? 'Kg.' : (testInputs.type === 'dox' ? 'grams' : 'Kg.')}
+                      {calculation.isMinimumWeightApplied && (
+                        <span className="text-orange-600 ml-2">
+                          (Charged for {calculation.chargeableWeight}kg - minimum chargeable weight)
+                        </span>
+                      )}
+                    </div>
+                    <div>
+                      <span className="font-medium">Service:</span> 
+                      {testInputs.priority ? ' Priority' : ''}
+                      {testInputs.byAir ? ' By Air' : ''}
+                      {testInputs.transportMode && testInputs.fromPincode && testInputs.type === 'non-dox' ? ` ${testInputs.transportMode}` : ''}
+                      {testInputs.deliveryType && testInputs.fromPincode && testInputs.type === 'non-dox' ? ` (${testInputs.deliveryType} delivery)` : ''}
+                      {!testInputs.priority && !testInputs.byAir && !testInputs.transportMode ? ' Standard' : ''}
+                    </div>
+                    <div>
+                      <span className="font-medium">Rate Slab:</span> {calculation.breakdown.weightSlab}
+                    </div>
+                    <div className="md:col-span-2">
+                      <span className="font-medium">Calculated Price:</span> 
+                      <span className="text-green-600 font-bold text-lg ml-2">₹{calculation.freight.toFixed(2)}</span>
+                      <span className="text-gray-500 ml-2">(₹{calculation.total.toFixed(2)} with AWB, fuel{calculation.odaCharge > 0 ? ', ODA' : ''} and GST)</span>
                     </div>
                   </div>
-                );
-              })()}
+                </div>
+              )}
 
               {/* Location Classification Info */}
               {/* <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
@@ -0,0 +1,554 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Loader2, RefreshCw, Search, FileText, ExternalLink } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+
+type ApplicationStatus = 'submitted' | 'under_review' | 'approved' | 'rejected';
+
+interface CreditApplication {
+  _id: string;
+  reference: string;
+  companyName: string;
+  contactPerson: string;
+  email: string;
+  phone: string;
+  address: string;
+  city: string;
+  state: string;
+  pincode: string;
+  panNumber: string;
+  gstNumber: string;
+  businessType: string;
+  monthlyVolume: string;
+  requestedCreditLimit: number | null;
+  status: ApplicationStatus;
+  reviewNotes?: string;
+  reviewedBy?: { name: string } | null;
+  reviewedAt?: string | null;
+  rejectionReason?: string;
+  corporate?: { corporateId: string; companyName: string } | null;
+  registrationEmailSent?: boolean;
+  registrationEmailError?: string | null;
+  createdAt: string;
+}
+
+interface ApplicationDetail extends CreditApplication {
+  documents: { type: string; label: string; originalName: string; size: number; url: string | null }[];
+  pricing?: { name: string; status: string } | null;
+  consignmentAssignment?: { startNumber: number; endNumber: number } | null;
+  defaultConsignmentCount: number;
+}
+
+interface Approval {
+  locality: string;
+  creditLimit: string;
+  creditPeriodDays: string;
+  billingCycle: string;
+  consignmentCount: string;
+  reviewNotes: string;
+}
+
+const statusStyles: Record<ApplicationStatus, { label: string; className: string }> = {
+  submitted: { label: 'Submitted', className: 'bg-blue-100 text-blue-800' },
+  under_review: { label: 'Under Review', className: 'bg-amber-100 text-amber-800' },
+  approved: { label: 'Approved', className: 'bg-green-100 text-green-800' },
+  rejected: { label: 'Rejected', className: 'bg-red-100 text-red-800' }
+};
+
+const formatAmount = (amount: number | null) => amount === null ? 'Not specified' : `₹${amount.toLocaleString('en-IN')}`;
+
+const formatDate = (date: string) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+const CreditApplications: React.FC = () => {
+  const [applications, setApplications] = useState<CreditApplication[]>([]);
+  const [counts, setCounts] = useState<Partial<Record<ApplicationStatus, number>>>({});
+  const [statusFilter, setStatusFilter] = useState('open');
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState<ApplicationDetail | null>(null);
+  const [reviewNotes, setReviewNotes] = useState('');
+  const [approval, setApproval] = useState<Approval | null>(null);
+  const [rejectionReason, setRejectionReason] = useState('');
+  const [rejecting, setRejecting] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const { toast } = useToast();
+
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`,
+    'Content-Type': 'application/json'
+  });
+
+  const showError = (description: string) => {
+    toast({
+      title: "Error",
+      description,
+      variant: "destructive",
+    });
+  };
+
+  const fetchApplications = async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({ status: statusFilter, limit: '50' });
+      if (search.trim()) params.set('search', search.trim());
+      const response = await fetch(`/api/credit-applications?${params}`, { headers: authHeaders() });
+      const result = await response.json();
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to load credit applications');
+      }
+      setApplications(result.data.applications);
+      setCounts(result.data.counts);
+    } catch (error) {
+      console.error('Error fetching credit applications:', error);
+      showError(error instanceof Error ? error.message : 'Failed to load credit applications');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchApplications();
+  }, [statusFilter]);
+
+  const openApplication = async (application: CreditApplication) => {
+    try {
+      const response = await fetch(`/api/credit-applications/${application._id}`, { headers: authHeaders() });
+      const result = await response.json();
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to load application');
+      }
+      setSelected(result.data);
+      setReviewNotes(result.data.reviewNotes || '');
+    } catch (error) {
+      showError(error instanceof Error ? error.message : 'Failed to load application');
+    }
+  };
+
+  const closeApplication = () => {
+    setSelected(null);
+    setApproval(null);
+    setRejecting(false);
+    setRejectionReason('');
+  };
+
+  const request = async (path: string, body: Record<string, unknown>, method = 'POST') => {
+    if (!selected) return false;
+    try {
+      setSaving(true);
+      const response = await fetch(`/api/credit-applications/${selected._id}${path}`, {
+        method,
+        headers: authHeaders(),
+        body: JSON.stringify(body)
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.details?.join(', ') || result.error || 'Failed to update application');
+      }
+      toast({ title: "Application Updated", description: result.message });
+      fetchApplications();
+      return true;
+    } catch (error) {
+      showError(error instanceof Error ? error.message : 'Failed to update application');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveReview = async () => {
+    if (await request('/review', { reviewNotes }, 'PATCH')) {
+      closeApplication();
+    }
+  };
+
+  const startApproval = () => {
+    if (!selected) return;
+    setApproval({
+      locality: selected.city,
+      creditLimit: selected.requestedCreditLimit === null ? '' : String(selected.requestedCreditLimit),
+      creditPeriodDays: '',
+      billingCycle: 'monthly',
+      consignmentCount: String(selected.defaultConsignmentCount),
+      reviewNotes
+    });
+  };
+
+  const handleApprove = async () => {
+    if (!approval) return;
+    const approved = await request('/approve', {
+      locality: approval.locality,
+      creditLimit: approval.creditLimit.trim() === '' ? null : Number(approval.creditLimit),
+      creditPeriodDays: approval.creditPeriodDays.trim() === '' ? null : Number(approval.creditPeriodDays),
+      billingCycle: approval.billingCycle,
+      consignmentCount: Number(approval.consignmentCount),
+      reviewNotes: approval.reviewNotes
+    });
+    if (approved) {
+      closeApplication();
+    }
+  };
+
+  const handleReject = async () => {
+    if (await request('/reject', { reason: rejectionReason })) {
+      closeApplication();
+    }
+  };
+
+  const isOpen = selected && ['submitted', 'under_review'].includes(selected.status);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Credit Applications</h2>
+          <p className="text-sm text-gray-500">
+            Applications from the Credit Account form. Approving one registers the corporate, drafts its pricing plan and assigns consignment numbers.
+          </p>
+        </div>
+        <Button variant="outline" size="sm" onClick={fetchApplications} disabled={loading}>
+          <RefreshCw className="h-4 w-4 mr-2" />
+          Refresh
+        </Button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <Select value={statusFilter} onValueChange={setStatusFilter}>
+          <SelectTrigger className="w-48">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="open">Open ({(counts.submitted || 0) + (counts.under_review || 0)})</SelectItem>
+            <SelectItem value="approved">Approved ({counts.approved || 0})</SelectItem>
+            <SelectItem value="rejected">Rejected ({counts.rejected || 0})</SelectItem>
+            <SelectItem value="all">All</SelectItem>
+          </SelectContent>
+        </Select>
+        <form
+          className="flex items-center gap-2"
+          onSubmit={e => {
+            e.preventDefault();
+            fetchApplications();
+          }}
+        >
+          <Input
+            placeholder="Company, reference, email or GSTIN"
+            value={search}
+            onChange={e => setSearch(e.target.value)}
+            className="w-72"
+          />
+          <Button type="submit" variant="outline" size="sm">
+            <Search className="h-4 w-4" />
+          </Button>
+        </form>
+      </div>
+
+      <Card>
+        <CardContent className="p-0">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Reference</TableHead>
+                <TableHead>Company</TableHead>
+                <TableHead>Contact</TableHead>
+                <TableHead>Monthly Volume</TableHead>
+                <TableHead>Credit Requested</TableHead>
+                <TableHead>Received</TableHead>
+                <TableHead>Status</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {loading && applications.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={7} className="text-center py-8">
+                    <Loader2 className="h-5 w-5 animate-spin inline mr-2" />
+                    Loading...
+                  </TableCell>
+                </TableRow>
+              ) : applications.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={7} className="text-center py-8 text-gray-500">
+                    No applications
+                  </TableCell>
+                </TableRow>
+              ) : (
+                applications.map(application => (
+                  <TableRow
+                    key={application._id}
+                    className="cursor-pointer hover:bg-gray-50"
+                    onClick={() => openApplication(application)}
+                  >
+                    <TableCell className="font-mono text-sm">{application.reference}</TableCell>
+                    <TableCell className="text-sm">
+                      <div className="font-medium">{application.companyName}</div>
+                      <div className="text-xs text-gray-500">
+                        {application.corporate ? application.corporate.corporateId : application.gstNumber || application.panNumber}
+                      </div>
+                    </TableCell>
+                    <TableCell className="text-sm">
+                      <div>{application.contactPerson}</div>
+                      <div className="text-xs text-gray-500">{application.email}</div>
+                    </TableCell>
+                    <TableCell className="text-sm">{application.monthlyVolume}</TableCell>
+                    <TableCell className="text-sm">{formatAmount(application.requestedCreditLimit)}</TableCell>
+                    <TableCell className="text-sm">{formatDate(application.createdAt)}</TableCell>
+                    <TableCell>
+                      <Badge className={statusStyles[application.status].className}>
+                        {statusStyles[application.status].label}
+                      </Badge>
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      <Dialog open={selected !== null} onOpenChange={open => !open && closeApplication()}>
+        <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+          {selected && (
+            <>
+              <DialogHeader>
+                <DialogTitle className="flex items-center gap-2">
+                  {selected.companyName}
+                  <Badge className={statusStyles[selected.status].className}>
+                    {statusStyles[selected.status].label}
+                  </Badge>
+                </DialogTitle>
+                <DialogDescription>
+                  {selected.reference}, received {formatDate(selected.createdAt)}
+                </DialogDescription>
+              </DialogHeader>
+
+              <div className="grid grid-cols-2 gap-3 text-sm">
+                <div><span className="text-gray-500">Contact:</span> {selected.contactPerson}</div>
+                <div><span className="text-gray-500">Phone:</span> {selected.phone}</div>
+                <div className="col-span-2"><span className="text-gray-500">Email:</span> {selected.email}</div>
+                <div className="col-span-2">
+                  <span className="text-gray-500">Address:</span> {selected.address}, {selected.city}, {selected.state} - {selected.pincode}
+                </div>
+                <div><span className="text-gray-500">PAN:</span> {selected.panNumber}</div>
+                <div><span className="text-gray-500">GSTIN:</span> {selected.gstNumber || '-'}</div>
+                <div><span className="text-gray-500">Business:</span> {selected.businessType}</div>
+                <div><span className="text-gray-500">Monthly volume:</span> {selected.monthlyVolume}</div>
+                <div className="col-span-2">
+                  <span className="text-gray-500">Credit requested:</span> {formatAmount(selected.requestedCreditLimit)}
+                </div>
+              </div>
+
+              <div className="space-y-2">
+                <div className="text-sm font-medium">KYC Documents</div>
+                {selected.documents.length === 0 ? (
+                  <p className="text-sm text-gray-500">No documents uploaded</p>
+                ) : (
+                  selected.documents.map((document, index) => (
+                    <div key={index} className="flex items-center justify-between rounded border p-2 text-sm">
+                      <div className="flex items-center gap-2">
+                        <FileText className="h-4 w-4 text-gray-500" />
+                        <span className="font-medium">{document.label}</span>
+                        <span className="text-gray-500">{document.originalName}</span>
+                      </div>
+                      {document.url ? (
+                        <a href={document.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline flex items-center gap-1">
+                          View <ExternalLink className="h-3 w-3" />
+                        </a>
+                      ) : (
+                        <span className="text-xs text-gray-400">Unavailable</span>
+                      )}
+                    </div>
+                  ))
+                )}
+              </div>
+
+              {selected.status === 'approved' && (
+                <div className="rounded-lg bg-green-50 p-3 text-sm space-y-1">
+                  <div>Registered as <span className="font-semibold">{selected.corporate?.corporateId}</span></div>
+                  {selected.pricing && <div>Pricing plan: {selected.pricing.name} ({selected.pricing.status})</div>}
+                  {selected.consignmentAssignment && (
+                    <div>Consignment numbers: {selected.consignmentAssignment.startNumber} - {selected.consignmentAssignment.endNumber}</div>
+                  )}
+                  {!selected.registrationEmailSent && (
+                    <div className="text-red-600">
+                      Login email not sent{selected.registrationEmailError && `: ${selected.registrationEmailError}`}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {selected.status === 'rejected' && (
+                <div className="rounded-lg bg-red-50 p-3 text-sm">
+                  Rejected{selected.reviewedBy?.name && ` by ${selected.reviewedBy.name}`}: {selected.rejectionReason}
+                </div>
+              )}
+
+              {isOpen && !approval && !rejecting && (
+                <div className="space-y-1">
+                  <Label htmlFor="reviewNotes">Review notes</Label>
+                  <Textarea
+                    id="reviewNotes"
+                    value={reviewNotes}
+                    onChange={e => setReviewNotes(e.target.value)}
+                    placeholder="e.g. GST certificate verified, awaiting bank reference"
+                  />
+                </div>
+              )}
+
+              {approval && (
+                <div className="space-y-3 rounded-lg border p-3">
+                  <div className="text-sm font-medium">Approve and register corporate</div>
+                  <div className="grid grid-cols-2 gap-3">
+                    <div className="space-y-1">
+                      <Label htmlFor="locality">Locality</Label>
+                      <Input
+                        id="locality"
+                        value={approval.locality}
+                        onChange={e => setApproval({ ...approval, locality: e.target.value })}
+                      />
+                    </div>
+                    <div className="space-y-1">
+                      <Label htmlFor="billingCycle">Billing cycle</Label>
+                      <Select value={approval.billingCycle} onValueChange={value => setApproval({ ...approval, billingCycle: value })}>
+                        <SelectTrigger id="billingCycle">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          <SelectItem value="monthly">Monthly</SelectItem>
+                          <SelectItem value="fortnightly">Fortnightly</SelectItem>
+                          <SelectItem value="weekly">Weekly</SelectItem>
+                          <SelectItem value="manual">Manual</SelectItem>
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    <div className="space-y-1">
+                      <Label htmlFor="approvalCreditLimit">Credit limit (₹)</Label>
+                      <Input
+                        id="approvalCreditLimit"
+                        type="number"
+                        min="0"
+                        placeholder="No limit"
+                        value={approval.creditLimit}
+                        onChange={e => setApproval({ ...approval, creditLimit: e.target.value })}
+                      />
+                    </div>
+                    <div className="space-y-1">
+                      <Label htmlFor="approvalCreditDays">Credit days</Label>
+                      <Input
+                        id="approvalCreditDays"
+                        type="number"
+                        min="0"
+                        placeholder="Month-end"
+                        value={approval.creditPeriodDays}
+                        onChange={e => setApproval({ ...approval, creditPeriodDays: e.target.value })}
+                      />
+                    </div>
+                    <div className="space-y-1">
+                      <Label htmlFor="consignmentCount">Consignment numbers</Label>
+                      <Input
+                        id="consignmentCount"
+                        type="number"
+                        min="1"
+                        value={approval.consignmentCount}
+                        onChange={e => setApproval({ ...approval, consignmentCount: e.target.value })}
+                      />
+                    </div>
+                  </div>
+                  <div className="space-y-1">
+                    <Label htmlFor="approvalNotes">Review notes</Label>
+                    <Textarea
+                      id="approvalNotes"
+                      value={approval.reviewNotes}
+                      onChange={e => setApproval({ ...approval, reviewNotes: e.target.value })}
+                    />
+                  </div>
+                  <p className="text-xs text-gray-500">
+                    The pricing plan is created as a draft for review in Corporate Pricing. Login details are emailed to {selected.email}.
+                  </p>
+                </div>
+              )}
+
+              {rejecting && (
+                <div className="space-y-1">
+                  <Label htmlFor="rejectionReason">Reason for rejection</Label>
+                  <Textarea
+                    id="rejectionReason"
+                    value={rejectionReason}
+                    onChange={e => setRejectionReason(e.target.value)}
+                    placeholder="e.g. GSTIN does not match the company name"
+                  />
+                </div>
+              )}
+
+              <DialogFooter>
+                {!isOpen ? (
+                  <Button variant="outline" onClick={closeApplication}>Close</Button>
+                ) : approval ? (
+                  <>
+                    <Button variant="outline" onClick={() => setApproval(null)}>Back</Button>
+                    <Button
+                      onClick={handleApprove}
+                      disabled={saving || !approval.locality.trim() || !approval.consignmentCount}
+                      className="bg-green-600 hover:bg-green-700"
+                    >
+                      {saving && <Loader2 className="h-4 w-4 animate-spin mr-2" />}
+                      Approve & Register
+                    </Button>
+                  </>
+                ) : rejecting ? (
+                  <>
+                    <Button variant="outline" onClick={() => setRejecting(false)}>Back</Button>
+                    <Button variant="destructive" onClick={handleReject} disabled={saving || !rejectionReason.trim()}>
+                      Reject Application
+                    </Button>
+                  </>
+                ) : (
+                  <>
+                    <Button variant="outline" className="text-red-600" onClick={() => setRejecting(true)}>Reject</Button>
+                    <Button variant="outline" onClick={handleSaveReview} disabled={saving}>
+                      Save as Under Review
+                    </Button>
+                    <Button onClick={startApproval} className="bg-green-600 hover:bg-green-700">Approve</Button>
+                  </>
+                )}
+              </DialogFooter>
+            </>
+          )}
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default CreditApplications;
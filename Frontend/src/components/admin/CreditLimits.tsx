@@ -0,0 +1,316 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Loader2, RefreshCw, ShieldOff } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+
+interface CorporateCredit {
+  _id: string;
+  corporateId: string;
+  companyName: string;
+  creditPeriodDays: number | null;
+  limit: number | null;
+  exposure: { unbilled: number; outstanding: number; total: number };
+  available: number | null;
+  utilisation: number | null;
+  status: 'unlimited' | 'ok' | 'warning' | 'override' | 'blocked';
+  override: { reason: string; grantedBy?: { name: string } | null; expiresAt: string } | null;
+}
+
+interface Terms {
+  creditLimit: string;
+  creditPeriodDays: string;
+}
+
+const formatAmount = (amount: number) => `₹${(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDateTime = (date: string) => new Date(date).toLocaleString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const CreditLimits: React.FC = () => {
+  const [corporates, setCorporates] = useState<CorporateCredit[]>([]);
+  const [terms, setTerms] = useState<Record<string, Terms>>({});
+  const [loading, setLoading] = useState(true);
+  const [savingId, setSavingId] = useState<string | null>(null);
+  const [overrideFor, setOverrideFor] = useState<CorporateCredit | null>(null);
+  const [overrideReason, setOverrideReason] = useState('');
+  const [overrideHours, setOverrideHours] = useState('24');
+  const { toast } = useToast();
+
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`,
+    'Content-Type': 'application/json'
+  });
+
+  const showError = (description: string) => {
+    toast({
+      title: "Error",
+      description,
+      variant: "destructive",
+    });
+  };
+
+  const fetchCorporates = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch('/api/credit/corporates', { headers: authHeaders() });
+      const result = await response.json();
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to load credit limits');
+      }
+      setCorporates(result.data);
+      setTerms(Object.fromEntries(result.data.map((corporate: CorporateCredit) => [corporate._id, {
+        creditLimit: corporate.limit === null ? '' : String(corporate.limit),
+        creditPeriodDays: corporate.creditPeriodDays === null ? '' : String(corporate.creditPeriodDays)
+      }])));
+    } catch (error) {
+      console.error('Error fetching credit limits:', error);
+      showError(error instanceof Error ? error.message : 'Failed to load credit limits');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchCorporates();
+  }, []);
+
+  const request = async (corporate: CorporateCredit, path: string, method: string, body?: Record<string, unknown>) => {
+    try {
+      setSavingId(corporate._id);
+      const response = await fetch(`/api/credit/corporates/${corporate._id}${path}`, {
+        method,
+        headers: authHeaders(),
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to update credit terms');
+      }
+      toast({ title: "Credit Updated", description: result.message });
+      fetchCorporates();
+      return true;
+    } catch (error) {
+      showError(error instanceof Error ? error.message : 'Failed to update credit terms');
+      return false;
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleSaveTerms = (corporate: CorporateCredit) => {
+    const { creditLimit, creditPeriodDays } = terms[corporate._id];
+    request(corporate, '', 'PATCH', {
+      creditLimit: creditLimit.trim() === '' ? null : Number(creditLimit),
+      creditPeriodDays: creditPeriodDays.trim() === '' ? null : Number(creditPeriodDays)
+    });
+  };
+
+  const handleGrantOverride = async () => {
+    if (!overrideFor) return;
+    const granted = await request(overrideFor, '/override', 'POST', {
+      reason: overrideReason,
+      hours: Number(overrideHours)
+    });
+    if (granted) {
+      setOverrideFor(null);
+      setOverrideReason('');
+      setOverrideHours('24');
+    }
+  };
+
+  const handleEndOverride = (corporate: CorporateCredit) => {
+    if (!window.confirm(`Enforce the credit limit of ${corporate.companyName} again?`)) return;
+    request(corporate, '/override', 'DELETE');
+  };
+
+  const getUsageBadge = (corporate: CorporateCredit) => {
+    if (corporate.limit === null) {
+      return <Badge variant="secondary">No limit</Badge>;
+    }
+    const used = `${corporate.utilisation ?? 100}%`;
+    if ((corporate.available ?? 0) <= 0) {
+      return <Badge className="bg-red-100 text-red-800">{used}</Badge>;
+    }
+    if (corporate.status === 'warning') {
+      return <Badge className="bg-amber-100 text-amber-800">{used}</Badge>;
+    }
+    return <Badge className="bg-green-100 text-green-800">{used}</Badge>;
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Credit Limits</h2>
+          <p className="text-sm text-gray-500">
+            Freight-paid bookings are refused once unbilled bookings plus unpaid invoices would pass the limit
+          </p>
+        </div>
+        <Button variant="outline" size="sm" onClick={fetchCorporates} disabled={loading}>
+          <RefreshCw className="h-4 w-4 mr-2" />
+          Refresh
+        </Button>
+      </div>
+
+      <Card>
+        <CardContent className="p-0">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Corporate</TableHead>
+                <TableHead>Limit (₹)</TableHead>
+                <TableHead>Credit Days</TableHead>
+                <TableHead>Unbilled</TableHead>
+                <TableHead>Unpaid Invoices</TableHead>
+                <TableHead>Used</TableHead>
+                <TableHead>Override</TableHead>
+                <TableHead></TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {loading && corporates.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={8} className="text-center py-8">
+                    <Loader2 className="h-5 w-5 animate-spin inline mr-2" />
+                    Loading...
+                  </TableCell>
+                </TableRow>
+              ) : (
+                corporates.map(corporate => (
+                  <TableRow key={corporate._id}>
+                    <TableCell className="text-sm">
+                      <div className="font-medium">{corporate.companyName}</div>
+                      <div className="text-xs text-gray-500">{corporate.corporateId}</div>
+                    </TableCell>
+                    <TableCell>
+                      <Input
+                        type="number"
+                        min="0"
+                        placeholder="No limit"
+                        value={terms[corporate._id]?.creditLimit ?? ''}
+                        onChange={e => setTerms(prev => ({ ...prev, [corporate._id]: { ...prev[corporate._id], creditLimit: e.target.value } }))}
+                        className="w-32 h-8"
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <Input
+                        type="number"
+                        min="0"
+                        placeholder="Month-end"
+                        value={terms[corporate._id]?.creditPeriodDays ?? ''}
+                        onChange={e => setTerms(prev => ({ ...prev, [corporate._id]: { ...prev[corporate._id], creditPeriodDays: e.target.value } }))}
+                        className="w-28 h-8"
+                      />
+                    </TableCell>
+                    <TableCell className="text-sm">{formatAmount(corporate.exposure.unbilled)}</TableCell>
+                    <TableCell className="text-sm">{formatAmount(corporate.exposure.outstanding)}</TableCell>
+                    <TableCell>{getUsageBadge(corporate)}</TableCell>
+                    <TableCell className="text-sm">
+                      {corporate.override ? (
+                        <div>
+                          <div className="text-xs">Until {formatDateTime(corporate.override.expiresAt)}</div>
+                          <div className="text-xs text-gray-500">
+                            {corporate.override.reason}
+                            {corporate.override.grantedBy?.name && ` (${corporate.override.grantedBy.name})`}
+                          </div>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            className="h-7 px-2 text-red-600"
+                            onClick={() => handleEndOverride(corporate)}
+                            disabled={savingId === corporate._id}
+                          >
+                            <ShieldOff className="h-3 w-3 mr-1" />
+                            End
+                          </Button>
+                        </div>
+                      ) : corporate.limit !== null ? (
+                        <Button variant="outline" size="sm" className="h-7" onClick={() => setOverrideFor(corporate)}>
+                          Override
+                        </Button>
+                      ) : '-'}
+                    </TableCell>
+                    <TableCell className="text-right">
+                      <Button size="sm" className="h-8" onClick={() => handleSaveTerms(corporate)} disabled={savingId === corporate._id}>
+                        {savingId === corporate._id && <Loader2 className="h-4 w-4 animate-spin mr-2" />}
+                        Save
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      <Dialog open={overrideFor !== null} onOpenChange={open => !open && setOverrideFor(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Override Credit Limit</DialogTitle>
+            <DialogDescription>
+              {overrideFor?.companyName} will be able to make freight-paid bookings past its limit until the override ends.
+            </DialogDescription>
+          </DialogHeader>
+          <div className="space-y-4">
+            <div className="space-y-1">
+              <Label htmlFor="overrideReason">Reason</Label>
+              <Textarea
+                id="overrideReason"
+                value={overrideReason}
+                onChange={e => setOverrideReason(e.target.value)}
+                placeholder="e.g. Payment of ₹2,00,000 confirmed by phone, cheque in transit"
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="overrideHours">Duration (hours, up to 168)</Label>
+              <Input
+                id="overrideHours"
+                type="number"
+                min="1"
+                max="168"
+                value={overrideHours}
+                onChange={e => setOverrideHours(e.target.value)}
+                className="w-32"
+              />
+            </div>
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setOverrideFor(null)}>Cancel</Button>
+            <Button onClick={handleGrantOverride} disabled={!overrideReason.trim() || savingId !== null}>
+              Grant Override
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default CreditLimits;
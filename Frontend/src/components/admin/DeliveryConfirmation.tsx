@@ -0,0 +1,453 @@
+import React, { useState } from 'react';
+import {
+  Search,
+  Send,
+  ShieldCheck,
+  Camera,
+  PenLine,
+  CheckCircle,
+  Loader2,
+  MapPin,
+  RefreshCw,
+  IndianRupee
+} from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/hooks/use-toast';
+
+interface TrackedShipment {
+  awb: string;
+  source: string;
+  origin: { city: string; state: string };
+  destination: { city: string; state: string };
+  currentStatus: string;
+  currentStatusLabel: string;
+  pod: { deliveredAt: string } | null;
+}
+
+type Step = 'lookup' | 'otp' | 'capture' | 'done';
+
+type CodCollectionMode = 'cash' | 'upi' | 'card';
+
+interface CourierBoyOption {
+  _id: string;
+  fullName: string;
+  phone?: string;
+}
+
+const DeliveryConfirmation = () => {
+  const [step, setStep] = useState<Step>('lookup');
+  const [consignmentNumber, setConsignmentNumber] = useState('');
+  const [shipment, setShipment] = useState<TrackedShipment | null>(null);
+  const [otpInfo, setOtpInfo] = useState<{
+    receiverName: string;
+    maskedPhone: string;
+    testMode: boolean;
+    codAmount: number;
+    assignedCourierBoyId: string | null;
+  } | null>(null);
+  const [otp, setOtp] = useState('');
+  const [receivedBy, setReceivedBy] = useState('');
+  const [relationship, setRelationship] = useState('');
+  const [location, setLocation] = useState('');
+  const [remarks, setRemarks] = useState('');
+  const [signature, setSignature] = useState<File | null>(null);
+  const [photo, setPhoto] = useState<File | null>(null);
+  const [codCollectionMode, setCodCollectionMode] = useState<CodCollectionMode>('cash');
+  const [codReference, setCodReference] = useState('');
+  const [courierBoys, setCourierBoys] = useState<CourierBoyOption[]>([]);
+  const [codCollectedBy, setCodCollectedBy] = useState('');
+  const [loading, setLoading] = useState(false);
+  const { toast } = useToast();
+
+  // Cash to collect before handing over the shipment, 0 when it is not COD
+  const codAmount = otpInfo?.codAmount || 0;
+
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
+  });
+
+  const resetForm = () => {
+    setStep('lookup');
+    setConsignmentNumber('');
+    setShipment(null);
+    setOtpInfo(null);
+    setOtp('');
+    setReceivedBy('');
+    setRelationship('');
+    setLocation('');
+    setRemarks('');
+    setSignature(null);
+    setPhoto(null);
+    setCodCollectionMode('cash');
+    setCodReference('');
+    setCodCollectedBy('');
+  };
+
+  const showError = (description: string) => {
+    toast({
+      title: "Error",
+      description,
+      variant: "destructive"
+    });
+  };
+
+  // Look up the consignment through the shared tracking endpoint
+  const handleLookup = async () => {
+    if (!consignmentNumber.trim()) return;
+
+    try {
+      setLoading(true);
+      const response = await fetch(`/api/track/${consignmentNumber.trim()}`);
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Consignment not found');
+      }
+
+      setShipment(result.data);
+      setLocation(result.data.destination.city || '');
+    } catch (error) {
+      setShipment(null);
+      showError(error instanceof Error ? error.message : 'Failed to find consignment');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchCourierBoys = async () => {
+    try {
+      const response = await fetch('/api/pod/courier-boys', { headers: authHeaders() });
+      const result = await response.json();
+      if (response.ok && result.success) {
+        setCourierBoys(result.data);
+      }
+    } catch (error) {
+      console.error('Failed to load courier boys:', error);
+    }
+  };
+
+  const handleSendOtp = async () => {
+    if (!shipment) return;
+
+    try {
+      setLoading(true);
+      const response = await fetch('/api/otp/delivery/send', {
+        method: 'POST',
+        headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ consignmentNumber: shipment.awb })
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to send delivery OTP');
+      }
+
+      setOtpInfo(result.data);
+      setReceivedBy(result.data.receiverName || '');
+      if (result.data.codAmount > 0) {
+        // The courier boy the shipment was assigned to usually collects the COD
+        setCodCollectedBy(result.data.assignedCourierBoyId || '');
+        await fetchCourierBoys();
+      }
+      setStep('otp');
+      toast({
+        title: "OTP Sent",
+        description: result.message
+      });
+    } catch (error) {
+      showError(error instanceof Error ? error.message : 'Failed to send delivery OTP');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleVerifyOtp = async () => {
+    if (!shipment || !otp.trim()) return;
+
+    try {
+      setLoading(true);
+      const response = await fetch('/api/otp/delivery/verify', {
+        method: 'POST',
+        headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ consignmentNumber: shipment.awb, otp: otp.trim() })
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        const attempts = typeof result.attemptsLeft === 'number' ? ` (${result.attemptsLeft} attempts left)` : '';
+        throw new Error(`${result.error || 'Invalid OTP'}${attempts}`);
+      }
+
+      setStep('capture');
+    } catch (error) {
+      showError(error instanceof Error ? error.message : 'Failed to verify OTP');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleComplete = async () => {
+    if (!shipment) return;
+    if (!signature || !photo) {
+      showError('Receiver signature and doorstep photo are both required');
+      return;
+    }
+    if (codAmount > 0 && !codCollectedBy) {
+      showError('Select the courier boy who collected the COD');
+      return;
+    }
+    if (codAmount > 0 && codCollectionMode !== 'cash' && !codReference.trim()) {
+      showError('Enter the UPI or card transaction reference of the COD payment');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const formData = new FormData();
+      formData.append('signature', signature);
+      formData.append('photo', photo);
+      formData.append('receivedBy', receivedBy);
+      formData.append('relationship', relationship);
+      formData.append('location', location);
+      formData.append('remarks', remarks);
+      if (codAmount > 0) {
+        formData.append('codAmount', String(codAmount));
+        formData.append('codCollectionMode', codCollectionMode);
+        formData.append('codReference', codReference.trim());
+        formData.append('codCollectedBy', codCollectedBy);
+      }
+
+      const response = await fetch(`/api/pod/${shipment.awb}/complete`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: formData
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to complete delivery');
+      }
+
+      setStep('done');
+      toast({
+        title: "Delivered",
+        description: `Consignment ${shipment.awb} marked as delivered`
+      });
+    } catch (error) {
+      showError(error instanceof Error ? error.message : 'Failed to complete delivery');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Delivery Confirmation</h2>
+          <p className="text-sm text-gray-500">Capture receiver OTP, signature and doorstep photo as proof of delivery</p>
+        </div>
+        <Button variant="outline" size="sm" onClick={resetForm}>
+          <RefreshCw className="h-4 w-4 mr-2" />
+          New Delivery
+        </Button>
+      </div>
+
+      {/* Consignment Lookup */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2 text-lg">
+            <Search className="h-5 w-5 text-blue-600" />
+            Consignment
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="flex gap-2">
+            <Input
+              placeholder="Enter or scan consignment number"
+              value={consignmentNumber}
+              onChange={(e) => setConsignmentNumber(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleLookup()}
+              disabled={step !== 'lookup'}
+            />
+            <Button onClick={handleLookup} disabled={loading || step !== 'lookup'}>
+              {loading && step === 'lookup' ? <Loader2 className="h-4 w-4 animate-spin" /> : 'Find'}
+            </Button>
+          </div>
+
+          {shipment && (
+            <div className="flex flex-wrap items-center justify-between gap-3 rounded-lg border p-3 bg-gray-50">
+              <div className="text-sm">
+                <div className="font-semibold">#{shipment.awb}</div>
+                <div className="flex items-center gap-1 text-gray-600">
+                  <MapPin className="h-3 w-3" />
+                  {shipment.origin.city} → {shipment.destination.city}, {shipment.destination.state}
+                </div>
+              </div>
+              <div className="flex items-center gap-2">
+                <Badge variant="secondary" className="capitalize">{shipment.source}</Badge>
+                <Badge>{shipment.currentStatusLabel}</Badge>
+              </div>
+              {shipment.pod ? (
+                <p className="w-full text-sm text-green-700">
+                  Already delivered on {new Date(shipment.pod.deliveredAt).toLocaleString('en-IN')}
+                </p>
+              ) : step === 'lookup' && (
+                <Button onClick={handleSendOtp} disabled={loading} className="w-full sm:w-auto">
+                  <Send className="h-4 w-4 mr-2" />
+                  Send OTP to Receiver
+                </Button>
+              )}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* OTP Verification */}
+      {step === 'otp' && otpInfo && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2 text-lg">
+              <ShieldCheck className="h-5 w-5 text-blue-600" />
+              Receiver OTP
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <p className="text-sm text-gray-600">
+              OTP sent to {otpInfo.receiverName || 'receiver'} on {otpInfo.maskedPhone}.
+              {otpInfo.testMode && ' Test mode is active - use 1234.'}
+            </p>
+            <div className="flex gap-2">
+              <Input
+                placeholder="Enter OTP"
+                value={otp}
+                maxLength={6}
+                onChange={(e) => setOtp(e.target.value.replace(/\D/g, ''))}
+                onKeyDown={(e) => e.key === 'Enter' && handleVerifyOtp()}
+              />
+              <Button onClick={handleVerifyOtp} disabled={loading || !otp}>
+                {loading ? <Loader2 className="h-4 w-4 animate-spin" /> : 'Verify'}
+              </Button>
+              <Button variant="outline" onClick={handleSendOtp} disabled={loading}>
+                Resend
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Signature and Photo */}
+      {step === 'capture' && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2 text-lg">
+              <Camera className="h-5 w-5 text-blue-600" />
+              Proof of Delivery
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {codAmount > 0 && (
+              <div className="rounded-lg border border-amber-200 bg-amber-50 p-4 space-y-3">
+                <p className="flex items-center gap-1 font-medium text-amber-900">
+                  <IndianRupee className="h-4 w-4" />
+                  Collect ₹{codAmount.toFixed(2)} cash on delivery before handing over the shipment
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <Label htmlFor="pod-cod-collector">Collected By</Label>
+                    <Select value={codCollectedBy} onValueChange={setCodCollectedBy}>
+                      <SelectTrigger id="pod-cod-collector">
+                        <SelectValue placeholder="Courier boy holding the payment" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {courierBoys.map(courierBoy => (
+                          <SelectItem key={courierBoy._id} value={courierBoy._id}>
+                            {courierBoy.fullName}{courierBoy.phone ? ` (${courierBoy.phone})` : ''}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div>
+                    <Label htmlFor="pod-cod-mode">Payment Mode</Label>
+                    <Select value={codCollectionMode} onValueChange={(value) => setCodCollectionMode(value as CodCollectionMode)}>
+                      <SelectTrigger id="pod-cod-mode">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="cash">Cash</SelectItem>
+                        <SelectItem value="upi">UPI</SelectItem>
+                        <SelectItem value="card">Card</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  {codCollectionMode !== 'cash' && (
+                    <div>
+                      <Label htmlFor="pod-cod-reference">Transaction Reference</Label>
+                      <Input id="pod-cod-reference" value={codReference} onChange={(e) => setCodReference(e.target.value)} />
+                    </div>
+                  )}
+                </div>
+              </div>
+            )}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <Label htmlFor="pod-received-by">Received By</Label>
+                <Input id="pod-received-by" value={receivedBy} onChange={(e) => setReceivedBy(e.target.value)} />
+              </div>
+              <div>
+                <Label htmlFor="pod-relationship">Relationship</Label>
+                <Input id="pod-relationship" placeholder="Self, Security, Family..." value={relationship} onChange={(e) => setRelationship(e.target.value)} />
+              </div>
+              <div>
+                <Label htmlFor="pod-location">Delivery Location</Label>
+                <Input id="pod-location" value={location} onChange={(e) => setLocation(e.target.value)} />
+              </div>
+              <div>
+                <Label htmlFor="pod-remarks">Remarks</Label>
+                <Input id="pod-remarks" value={remarks} onChange={(e) => setRemarks(e.target.value)} />
+              </div>
+              <div>
+                <Label htmlFor="pod-signature" className="flex items-center gap-1">
+                  <PenLine className="h-4 w-4" />
+                  Receiver Signature
+                </Label>
+                <Input id="pod-signature" type="file" accept="image/*" onChange={(e) => setSignature(e.target.files?.[0] || null)} />
+              </div>
+              <div>
+                <Label htmlFor="pod-photo" className="flex items-center gap-1">
+                  <Camera className="h-4 w-4" />
+                  Doorstep Photo
+                </Label>
+                <Input id="pod-photo" type="file" accept="image/*" capture="environment" onChange={(e) => setPhoto(e.target.files?.[0] || null)} />
+              </div>
+            </div>
+            <Button onClick={handleComplete} disabled={loading} className="bg-green-600 hover:bg-green-700">
+              {loading ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <CheckCircle className="h-4 w-4 mr-2" />}
+              Complete Delivery
+            </Button>
+          </CardContent>
+        </Card>
+      )}
+
+      {step === 'done' && shipment && (
+        <Card className="border-green-200 bg-green-50">
+          <CardContent className="flex items-center gap-3 p-6">
+            <CheckCircle className="h-6 w-6 text-green-600" />
+            <span className="text-green-800 font-medium">
+              Consignment #{shipment.awb} delivered to {receivedBy || 'receiver'}. Proof of delivery saved.
+              {codAmount > 0 && ` COD of ₹${codAmount.toFixed(2)} recorded.`}
+            </span>
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+};
+
+export default DeliveryConfirmation;
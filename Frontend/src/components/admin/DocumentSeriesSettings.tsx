@@ -0,0 +1,209 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Badge } from '@/components/ui/badge';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Hash, Loader2, RefreshCw, Save } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+
+interface Series {
+  documentType: 'tax_invoice' | 'credit_note' | 'debit_note' | 'quotation' | 'payment_receipt';
+  prefix: string;
+  padding: number;
+  financialYear: string;
+  lastNumber: number;
+  nextNumber: string;
+  isDefault: boolean;
+}
+
+const DOCUMENT_LABELS: Record<Series['documentType'], string> = {
+  tax_invoice: 'Tax Invoice',
+  credit_note: 'Credit Note',
+  debit_note: 'Debit Note',
+  quotation: 'Quotation',
+  payment_receipt: 'Payment Receipt'
+};
+
+// Previews a number the way the backend formats it: PREFIX/FY/000123
+const formatNumber = (prefix: string, financialYear: string, padding: number, sequence: number) =>
+  `${prefix || '?'}/${financialYear}/${String(sequence).padStart(padding || 0, '0')}`;
+
+const DocumentSeriesSettings: React.FC = () => {
+  const [series, setSeries] = useState<Series[]>([]);
+  const [drafts, setDrafts] = useState<Record<string, { prefix: string; padding: string }>>({});
+  const [loading, setLoading] = useState(true);
+  const [savingType, setSavingType] = useState<string | null>(null);
+  const { toast } = useToast();
+
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`,
+    'Content-Type': 'application/json'
+  });
+
+  const fetchSeries = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch('/api/document-series', { headers: authHeaders() });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to load document series');
+      }
+      setSeries(result.data);
+      setDrafts(Object.fromEntries(result.data.map((item: Series) => [
+        item.documentType,
+        { prefix: item.prefix, padding: String(item.padding) }
+      ])));
+    } catch (error) {
+      console.error('Error fetching document series:', error);
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : 'Failed to load document series',
+        variant: "destructive",
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSeries();
+  }, []);
+
+  const updateDraft = (documentType: string, field: 'prefix' | 'padding', value: string) => {
+    setDrafts(prev => ({ ...prev, [documentType]: { ...prev[documentType], [field]: value } }));
+  };
+
+  const handleSave = async (item: Series) => {
+    const draft = drafts[item.documentType];
+    try {
+      setSavingType(item.documentType);
+      const response = await fetch(`/api/document-series/${item.documentType}`, {
+        method: 'PUT',
+        headers: authHeaders(),
+        body: JSON.stringify({ prefix: draft.prefix, padding: draft.padding })
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.details?.join(', ') || result.error || 'Failed to update document series');
+      }
+
+      toast({
+        title: "Series Updated",
+        description: `Next ${DOCUMENT_LABELS[item.documentType].toLowerCase()}: ${result.data.nextNumber}`
+      });
+      fetchSeries();
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : 'Failed to update document series',
+        variant: "destructive",
+      });
+    } finally {
+      setSavingType(null);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Number Series</h2>
+          <p className="text-sm text-gray-500">Gap-free document numbers per financial year; every series restarts at 1 on 1 April</p>
+        </div>
+        <Button variant="outline" size="sm" onClick={fetchSeries} disabled={loading}>
+          <RefreshCw className="h-4 w-4 mr-2" />
+          Refresh
+        </Button>
+      </div>
+
+      <Card>
+        <CardHeader className="pb-3">
+          <CardTitle className="flex items-center gap-2 text-lg">
+            <Hash className="h-5 w-5 text-blue-600" />
+            Series {series[0] && `for FY ${series[0].financialYear}`}
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="p-0">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Document</TableHead>
+                <TableHead>Prefix</TableHead>
+                <TableHead>Digits</TableHead>
+                <TableHead>Issued This Year</TableHead>
+                <TableHead>Next Number</TableHead>
+                <TableHead></TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={6} className="text-center py-8">
+                    <Loader2 className="h-5 w-5 animate-spin inline mr-2" />
+                    Loading...
+                  </TableCell>
+                </TableRow>
+              ) : (
+                series.map(item => {
+                  const draft = drafts[item.documentType] || { prefix: item.prefix, padding: String(item.padding) };
+                  const changed = draft.prefix !== item.prefix || draft.padding !== String(item.padding);
+                  return (
+                    <TableRow key={item.documentType}>
+                      <TableCell className="text-sm font-medium">
+                        {DOCUMENT_LABELS[item.documentType]}
+                        {item.isDefault && <Badge variant="secondary" className="ml-2 text-xs">Default</Badge>}
+                      </TableCell>
+                      <TableCell>
+                        <Input
+                          value={draft.prefix}
+                          onChange={e => updateDraft(item.documentType, 'prefix', e.target.value.toUpperCase())}
+                          className="h-8 w-32 font-mono text-sm"
+                        />
+                      </TableCell>
+                      <TableCell>
+                        <Input
+                          type="number"
+                          min={3}
+                          max={10}
+                          value={draft.padding}
+                          onChange={e => updateDraft(item.documentType, 'padding', e.target.value)}
+                          className="h-8 w-20 text-sm"
+                        />
+                      </TableCell>
+                      <TableCell className="text-sm">{item.lastNumber}</TableCell>
+                      <TableCell className="text-sm font-mono">
+                        {formatNumber(draft.prefix, item.financialYear, parseInt(draft.padding), item.lastNumber + 1)}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        <Button
+                          size="sm"
+                          disabled={!changed || savingType === item.documentType}
+                          onClick={() => handleSave(item)}
+                        >
+                          {savingType === item.documentType ? <Loader2 className="h-4 w-4 animate-spin mr-1" /> : <Save className="h-4 w-4 mr-1" />}
+                          Save
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  );
+                })
+              )}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default DocumentSeriesSettings;
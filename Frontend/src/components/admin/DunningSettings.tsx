@@ -0,0 +1,308 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Switch } from '@/components/ui/switch';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { BellRing, Loader2, RefreshCw } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+
+interface CorporateDunning {
+  _id: string;
+  corporateId: string;
+  companyName: string;
+  email?: string;
+  dunningPaused?: boolean;
+  dunningPausedAt?: string | null;
+  dunningPausedBy?: { name: string } | null;
+  dunningPauseReason?: string | null;
+  bookingBlockDaysOverdue?: number | null;
+  overdueCount: number;
+  overdueAmount: number;
+  maxDaysOverdue: number;
+  bookingsBlocked: boolean;
+}
+
+interface Reminder {
+  _id: string;
+  invoiceNumber: string;
+  corporateId: { companyName: string } | null;
+  daysFromDue: number;
+  balanceDue: number;
+  sentTo: string | null;
+  sentAt: string;
+  status: 'sent' | 'failed';
+  error?: string | null;
+}
+
+const formatAmount = (amount: number) => `₹${(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date: string) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+const reminderLabel = (daysFromDue: number) => {
+  if (daysFromDue > 0) return `${daysFromDue} days overdue`;
+  if (daysFromDue === 0) return 'Due today';
+  return `Due in ${-daysFromDue} days`;
+};
+
+const DunningSettings: React.FC = () => {
+  const [corporates, setCorporates] = useState<CorporateDunning[]>([]);
+  const [reminders, setReminders] = useState<Reminder[]>([]);
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [blockDays, setBlockDays] = useState<Record<string, string>>({});
+  const [loading, setLoading] = useState(true);
+  const [savingId, setSavingId] = useState<string | null>(null);
+  const { toast } = useToast();
+
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`,
+    'Content-Type': 'application/json'
+  });
+
+  const showError = (description: string) => {
+    toast({
+      title: "Error",
+      description,
+      variant: "destructive",
+    });
+  };
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      const [corporatesResponse, remindersResponse] = await Promise.all([
+        fetch('/api/dunning/corporates', { headers: authHeaders() }),
+        fetch(`/api/dunning/reminders?limit=50${statusFilter !== 'all' ? `&status=${statusFilter}` : ''}`, { headers: authHeaders() })
+      ]);
+      const [corporatesResult, remindersResult] = await Promise.all([corporatesResponse.json(), remindersResponse.json()]);
+
+      if (!corporatesResult.success || !remindersResult.success) {
+        throw new Error(corporatesResult.error || remindersResult.error || 'Failed to load payment reminders');
+      }
+      setCorporates(corporatesResult.data);
+      setBlockDays(Object.fromEntries(corporatesResult.data.map((corporate: CorporateDunning) => [
+        corporate._id,
+        corporate.bookingBlockDaysOverdue ? String(corporate.bookingBlockDaysOverdue) : ''
+      ])));
+      setReminders(remindersResult.data.reminders);
+    } catch (error) {
+      console.error('Error fetching dunning:', error);
+      showError(error instanceof Error ? error.message : 'Failed to load payment reminders');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+  }, [statusFilter]);
+
+  const updateCorporate = async (corporate: CorporateDunning, update: Record<string, unknown>) => {
+    try {
+      setSavingId(corporate._id);
+      const response = await fetch(`/api/dunning/corporates/${corporate._id}`, {
+        method: 'PATCH',
+        headers: authHeaders(),
+        body: JSON.stringify(update)
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to update dunning settings');
+      }
+      toast({ title: "Dunning Updated", description: result.message });
+      fetchData();
+    } catch (error) {
+      showError(error instanceof Error ? error.message : 'Failed to update dunning settings');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handlePauseToggle = (corporate: CorporateDunning, paused: boolean) => {
+    if (!paused) {
+      updateCorporate(corporate, { dunningPaused: false });
+      return;
+    }
+
+    const reason = window.prompt(`Pause payment reminders for ${corporate.companyName}? Reason (optional):`);
+    if (reason === null) return;
+    updateCorporate(corporate, { dunningPaused: true, reason });
+  };
+
+  const handleBlockSave = (corporate: CorporateDunning) => {
+    const value = blockDays[corporate._id]?.trim() || '';
+    if (value === (corporate.bookingBlockDaysOverdue ? String(corporate.bookingBlockDaysOverdue) : '')) return;
+    updateCorporate(corporate, { bookingBlockDaysOverdue: value === '' ? null : Number(value) });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Payment Reminders</h2>
+          <p className="text-sm text-gray-500">
+            Reminders with the invoice attached go out daily after 9 AM: 3 days before the due date, on it, and 7, 15 and 30 days after
+          </p>
+        </div>
+        <Button variant="outline" size="sm" onClick={fetchData} disabled={loading}>
+          <RefreshCw className="h-4 w-4 mr-2" />
+          Refresh
+        </Button>
+      </div>
+
+      <Card>
+        <CardHeader className="pb-3">
+          <CardTitle className="flex items-center gap-2 text-lg">
+            <BellRing className="h-5 w-5 text-amber-600" />
+            Corporates
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="p-0">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Corporate</TableHead>
+                <TableHead>Overdue</TableHead>
+                <TableHead>Reminders</TableHead>
+                <TableHead>Block Bookings After (days overdue)</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {loading && corporates.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={4} className="text-center py-8">
+                    <Loader2 className="h-5 w-5 animate-spin inline mr-2" />
+                    Loading...
+                  </TableCell>
+                </TableRow>
+              ) : (
+                corporates.map(corporate => (
+                  <TableRow key={corporate._id}>
+                    <TableCell className="text-sm">
+                      <div className="font-medium">{corporate.companyName}</div>
+                      <div className="text-xs text-gray-500">{corporate.corporateId}</div>
+                    </TableCell>
+                    <TableCell className="text-sm">
+                      {corporate.overdueCount > 0 ? (
+                        <>
+                          <div className="font-medium text-red-600">{formatAmount(corporate.overdueAmount)}</div>
+                          <div className="text-xs text-gray-500">
+                            {corporate.overdueCount} invoice(s), oldest {corporate.maxDaysOverdue} days
+                          </div>
+                        </>
+                      ) : '-'}
+                    </TableCell>
+                    <TableCell className="text-sm">
+                      <div className="flex items-center gap-2">
+                        <Switch
+                          checked={!corporate.dunningPaused}
+                          onCheckedChange={checked => handlePauseToggle(corporate, !checked)}
+                          disabled={savingId === corporate._id}
+                        />
+                        <span>{corporate.dunningPaused ? 'Paused' : 'Active'}</span>
+                      </div>
+                      {corporate.dunningPaused && (
+                        <div className="text-xs text-gray-500 mt-1">
+                          {corporate.dunningPausedBy?.name ? `By ${corporate.dunningPausedBy.name}` : 'Paused'}
+                          {corporate.dunningPausedAt && ` on ${formatDate(corporate.dunningPausedAt)}`}
+                          {corporate.dunningPauseReason && `: ${corporate.dunningPauseReason}`}
+                        </div>
+                      )}
+                    </TableCell>
+                    <TableCell className="text-sm">
+                      <div className="flex items-center gap-2">
+                        <Input
+                          type="number"
+                          min="1"
+                          placeholder="Off"
+                          value={blockDays[corporate._id] ?? ''}
+                          onChange={e => setBlockDays(prev => ({ ...prev, [corporate._id]: e.target.value }))}
+                          onBlur={() => handleBlockSave(corporate)}
+                          disabled={savingId === corporate._id}
+                          className="w-24 h-8"
+                        />
+                        {corporate.bookingsBlocked && <Badge className="bg-red-100 text-red-800">Blocked</Badge>}
+                      </div>
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader className="pb-3">
+          <div className="flex items-center justify-between">
+            <CardTitle className="text-lg">Reminders Sent</CardTitle>
+            <Select value={statusFilter} onValueChange={setStatusFilter}>
+              <SelectTrigger className="w-36 h-8">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All</SelectItem>
+                <SelectItem value="sent">Sent</SelectItem>
+                <SelectItem value="failed">Failed</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+        </CardHeader>
+        <CardContent className="p-0">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Date</TableHead>
+                <TableHead>Corporate</TableHead>
+                <TableHead>Invoice</TableHead>
+                <TableHead>Reminder</TableHead>
+                <TableHead>Balance Due</TableHead>
+                <TableHead>Email</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {reminders.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={6} className="text-center py-8 text-gray-500">
+                    No reminders yet.
+                  </TableCell>
+                </TableRow>
+              ) : (
+                reminders.map(reminder => (
+                  <TableRow key={reminder._id}>
+                    <TableCell className="text-sm">{formatDate(reminder.sentAt)}</TableCell>
+                    <TableCell className="text-sm font-medium">{reminder.corporateId?.companyName || '-'}</TableCell>
+                    <TableCell className="text-sm">{reminder.invoiceNumber}</TableCell>
+                    <TableCell className="text-sm">{reminderLabel(reminder.daysFromDue)}</TableCell>
+                    <TableCell className="text-sm">{formatAmount(reminder.balanceDue)}</TableCell>
+                    <TableCell className="text-sm">
+                      {reminder.status === 'sent'
+                        ? reminder.sentTo
+                        : <span className="text-red-600">{reminder.error || 'Failed'}</span>}
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default DunningSettings;
@@ -0,0 +1,340 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Check, Fuel, Loader2, Pencil, Plus, Trash2, X } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+
+interface FuelRate {
+  _id: string;
+  effectiveFrom: string;
+  percentage: number;
+  note?: string;
+  createdBy?: { name: string } | null;
+}
+
+// Calendar date in India, matching how the server dates index entries
+const istToday = () => new Date(Date.now() + 330 * 60 * 1000).toISOString().slice(0, 10);
+
+// Index revisions usually start on the 1st of the next month
+const firstOfNextMonth = () => {
+  const [year, month] = istToday().split('-').map(Number);
+  return new Date(Date.UTC(year, month, 1)).toISOString().slice(0, 10);
+};
+
+const FuelSurchargeIndex: React.FC = () => {
+  const [rates, setRates] = useState<FuelRate[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [deletingId, setDeletingId] = useState<string | null>(null);
+  const [editing, setEditing] = useState<{ id: string; percentage: string; note: string } | null>(null);
+  const [form, setForm] = useState({ effectiveFrom: firstOfNextMonth(), percentage: '', note: '' });
+  const { toast } = useToast();
+
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`,
+    'Content-Type': 'application/json'
+  });
+
+  const fetchRates = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch('/api/fuel-surcharge', { headers: authHeaders() });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to load fuel surcharge index');
+      }
+      setRates(result.data);
+    } catch (error) {
+      console.error('Error fetching fuel surcharge index:', error);
+      toast({
+        title: "Error",
+        description: "Failed to load the fuel surcharge index. Please try again.",
+        variant: "destructive",
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchRates();
+  }, []);
+
+  const handleAdd = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const response = await fetch('/api/fuel-surcharge', {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({
+          effectiveFrom: form.effectiveFrom,
+          percentage: parseFloat(form.percentage),
+          note: form.note
+        })
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.details?.join(', ') || result.error || 'Failed to add fuel surcharge rate');
+      }
+
+      toast({ title: "Rate Added", description: `${form.percentage}% applies from ${form.effectiveFrom}.` });
+      setForm({ effectiveFrom: firstOfNextMonth(), percentage: '', note: '' });
+      fetchRates();
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : 'Failed to add fuel surcharge rate',
+        variant: "destructive",
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUpdate = async () => {
+    if (!editing) return;
+
+    try {
+      setSaving(true);
+      const response = await fetch(`/api/fuel-surcharge/${editing.id}`, {
+        method: 'PUT',
+        headers: authHeaders(),
+        body: JSON.stringify({ percentage: parseFloat(editing.percentage), note: editing.note })
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.details?.join(', ') || result.error || 'Failed to update fuel surcharge rate');
+      }
+      setRates(prev => prev.map(rate => rate._id === editing.id ? { ...rate, ...result.data } : rate));
+      setEditing(null);
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : 'Failed to update fuel surcharge rate',
+        variant: "destructive",
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (rate: FuelRate) => {
+    try {
+      setDeletingId(rate._id);
+      const response = await fetch(`/api/fuel-surcharge/${rate._id}`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to remove fuel surcharge rate');
+      }
+      setRates(prev => prev.filter(item => item._id !== rate._id));
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : 'Failed to remove fuel surcharge rate',
+        variant: "destructive",
+      });
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  const formatDay = (date: string) => new Date(`${date}T00:00:00`).toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric'
+  });
+
+  // Rates are listed newest first; the first one not in the future is in force today
+  const today = istToday();
+  const tomorrow = new Date(Date.parse(`${today}T00:00:00Z`) + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const currentId = rates.find(rate => rate.effectiveFrom <= today)?._id;
+
+  return (
+    <div className="space-y-4">
+      <Card>
+        <CardHeader className="pb-3">
+          <CardTitle className="flex items-center gap-2 text-lg">
+            <Fuel className="h-5 w-5 text-orange-600" />
+            Fuel Surcharge Index
+          </CardTitle>
+          <p className="text-sm text-gray-500">
+            Pricing plans set to follow the index charge the rate in force on each booking date. Past entries are published on the Fuel Surcharge page
+            and cannot be changed once they take effect: correct a rate by adding a new entry from a later date.
+          </p>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleAdd} className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+            <div className="space-y-1">
+              <Label htmlFor="fuelEffectiveFrom">Effective From</Label>
+              <Input
+                id="fuelEffectiveFrom"
+                type="date"
+                required
+                min={tomorrow}
+                value={form.effectiveFrom}
+                onChange={e => setForm(prev => ({ ...prev, effectiveFrom: e.target.value }))}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="fuelPercentage">Surcharge (%)</Label>
+              <Input
+                id="fuelPercentage"
+                type="number"
+                min="0"
+                max="100"
+                step="0.01"
+                required
+                placeholder="e.g. 12.5"
+                value={form.percentage}
+                onChange={e => setForm(prev => ({ ...prev, percentage: e.target.value }))}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="fuelNote">Note</Label>
+              <Input
+                id="fuelNote"
+                placeholder="e.g. Diesel price revision"
+                value={form.note}
+                onChange={e => setForm(prev => ({ ...prev, note: e.target.value }))}
+              />
+            </div>
+            <Button type="submit" disabled={saving} className="flex items-center gap-2">
+              {saving && !editing ? <Loader2 className="h-4 w-4 animate-spin" /> : <Plus className="h-4 w-4" />}
+              Add Rate
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader className="pb-3">
+          <CardTitle className="text-base">Index History</CardTitle>
+        </CardHeader>
+        <CardContent className="p-0">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Effective From</TableHead>
+                <TableHead>Surcharge</TableHead>
+                <TableHead>Note</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead></TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={5} className="text-center py-8">
+                    <Loader2 className="h-5 w-5 animate-spin inline mr-2" />
+                    Loading...
+                  </TableCell>
+                </TableRow>
+              ) : rates.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={5} className="text-center py-8 text-gray-500">
+                    No index entries yet. Plans set to follow the index charge their own percentage until one is added.
+                  </TableCell>
+                </TableRow>
+              ) : (
+                rates.map(rate => {
+                  const isEditing = editing?.id === rate._id;
+                  return (
+                    <TableRow key={rate._id}>
+                      <TableCell className="text-sm">{formatDay(rate.effectiveFrom)}</TableCell>
+                      <TableCell className="text-sm font-medium">
+                        {isEditing ? (
+                          <Input
+                            type="number"
+                            min="0"
+                            max="100"
+                            step="0.01"
+                            className="h-8 w-24"
+                            value={editing.percentage}
+                            onChange={e => setEditing({ ...editing, percentage: e.target.value })}
+                          />
+                        ) : `${rate.percentage}%`}
+                      </TableCell>
+                      <TableCell className="text-sm text-gray-600">
+                        {isEditing ? (
+                          <Input
+                            className="h-8"
+                            value={editing.note}
+                            onChange={e => setEditing({ ...editing, note: e.target.value })}
+                          />
+                        ) : rate.note || '-'}
+                      </TableCell>
+                      <TableCell>
+                        {rate._id === currentId ? (
+                          <Badge className="bg-green-100 text-green-800 text-xs">In force</Badge>
+                        ) : rate.effectiveFrom > today ? (
+                          <Badge variant="outline" className="text-xs">Scheduled</Badge>
+                        ) : (
+                          <Badge variant="secondary" className="text-xs">Past</Badge>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-right whitespace-nowrap">
+                        {isEditing ? (
+                          <>
+                            <Button size="sm" variant="ghost" className="text-green-600" disabled={saving} onClick={handleUpdate}>
+                              {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : <Check className="h-4 w-4" />}
+                            </Button>
+                            <Button size="sm" variant="ghost" onClick={() => setEditing(null)}>
+                              <X className="h-4 w-4" />
+                            </Button>
+                          </>
+                        ) : rate.effectiveFrom <= today ? (
+                          <span className="text-xs text-gray-400">Locked</span>
+                        ) : (
+                          <>
+                            <Button
+                              size="sm"
+                              variant="ghost"
+                              onClick={() => setEditing({ id: rate._id, percentage: String(rate.percentage), note: rate.note || '' })}
+                            >
+                              <Pencil className="h-4 w-4" />
+                            </Button>
+                            <Button
+                              size="sm"
+                              variant="ghost"
+                              className="text-red-600"
+                              disabled={deletingId === rate._id}
+                              onClick={() => handleDelete(rate)}
+                            >
+                              {deletingId === rate._id ? <Loader2 className="h-4 w-4 animate-spin" /> : <Trash2 className="h-4 w-4" />}
+                            </Button>
+                          </>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })
+              )}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default FuelSurchargeIndex;
@@ -0,0 +1,267 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { CalendarDays, Loader2, Plus, Trash2 } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+
+interface Holiday {
+  _id: string;
+  date: string;
+  name: string;
+  states: string[];
+}
+
+const currentYear = new Date().getFullYear();
+const years = [currentYear - 1, currentYear, currentYear + 1];
+
+const HolidayCalendar: React.FC = () => {
+  const [holidays, setHolidays] = useState<Holiday[]>([]);
+  const [year, setYear] = useState(String(currentYear));
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [deletingId, setDeletingId] = useState<string | null>(null);
+  const [form, setForm] = useState({ date: '', name: '', states: '' });
+  const { toast } = useToast();
+
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`,
+    'Content-Type': 'application/json'
+  });
+
+  const fetchHolidays = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch(`/api/eta/holidays?year=${year}`, { headers: authHeaders() });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to load holidays');
+      }
+      setHolidays(result.data);
+    } catch (error) {
+      console.error('Error fetching holidays:', error);
+      toast({
+        title: "Error",
+        description: "Failed to load holidays. Please try again.",
+        variant: "destructive",
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchHolidays();
+  }, [year]);
+
+  const handleAdd = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const response = await fetch('/api/eta/holidays', {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({
+          date: form.date,
+          name: form.name,
+          states: form.states.split(',').map(state => state.trim()).filter(Boolean)
+        })
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.details?.join(', ') || result.error || 'Failed to add holiday');
+      }
+
+      toast({ title: "Holiday Added", description: `${form.name} is now excluded from delivery estimates.` });
+      setForm({ date: '', name: '', states: '' });
+      if (form.date.startsWith(year)) {
+        fetchHolidays();
+      } else {
+        setYear(form.date.slice(0, 4));
+      }
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : 'Failed to add holiday',
+        variant: "destructive",
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (holiday: Holiday) => {
+    try {
+      setDeletingId(holiday._id);
+      const response = await fetch(`/api/eta/holidays/${holiday._id}`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to remove holiday');
+      }
+      setHolidays(prev => prev.filter(item => item._id !== holiday._id));
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : 'Failed to remove holiday',
+        variant: "destructive",
+      });
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  const formatDay = (date: string) => new Date(`${date}T00:00:00`).toLocaleDateString('en-IN', {
+    weekday: 'short',
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric'
+  });
+
+  return (
+    <div className="space-y-4">
+      <Card>
+        <CardHeader className="pb-3">
+          <CardTitle className="flex items-center gap-2 text-lg">
+            <CalendarDays className="h-5 w-5 text-blue-600" />
+            Holiday Calendar
+          </CardTitle>
+          <p className="text-sm text-gray-500">
+            No pickups or deliveries happen on these days. Sundays are always excluded from delivery estimates.
+          </p>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleAdd} className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+            <div className="space-y-1">
+              <Label htmlFor="holidayDate">Date</Label>
+              <Input
+                id="holidayDate"
+                type="date"
+                required
+                value={form.date}
+                onChange={e => setForm(prev => ({ ...prev, date: e.target.value }))}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="holidayName">Name</Label>
+              <Input
+                id="holidayName"
+                required
+                placeholder="e.g. Bihu"
+                value={form.name}
+                onChange={e => setForm(prev => ({ ...prev, name: e.target.value }))}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="holidayStates">States</Label>
+              <Input
+                id="holidayStates"
+                placeholder="All states (or comma separated)"
+                value={form.states}
+                onChange={e => setForm(prev => ({ ...prev, states: e.target.value }))}
+              />
+            </div>
+            <Button type="submit" disabled={saving} className="flex items-center gap-2">
+              {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : <Plus className="h-4 w-4" />}
+              Add Holiday
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader className="pb-3">
+          <div className="flex items-center justify-between">
+            <CardTitle className="text-base">Holidays in {year}</CardTitle>
+            <Select value={year} onValueChange={setYear}>
+              <SelectTrigger className="w-28 h-8 text-sm">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {years.map(item => (
+                  <SelectItem key={item} value={String(item)}>{item}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        </CardHeader>
+        <CardContent className="p-0">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Date</TableHead>
+                <TableHead>Holiday</TableHead>
+                <TableHead>Applies To</TableHead>
+                <TableHead></TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={4} className="text-center py-8">
+                    <Loader2 className="h-5 w-5 animate-spin inline mr-2" />
+                    Loading...
+                  </TableCell>
+                </TableRow>
+              ) : holidays.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={4} className="text-center py-8 text-gray-500">
+                    No holidays added for {year}
+                  </TableCell>
+                </TableRow>
+              ) : (
+                holidays.map(holiday => (
+                  <TableRow key={holiday._id}>
+                    <TableCell className="text-sm">{formatDay(holiday.date)}</TableCell>
+                    <TableCell className="text-sm font-medium">{holiday.name}</TableCell>
+                    <TableCell>
+                      {holiday.states.length === 0 ? (
+                        <Badge variant="secondary" className="text-xs">All states</Badge>
+                      ) : (
+                        <div className="flex flex-wrap gap-1">
+                          {holiday.states.map(state => (
+                            <Badge key={state} variant="outline" className="text-xs">{state}</Badge>
+                          ))}
+                        </div>
+                      )}
+                    </TableCell>
+                    <TableCell className="text-right">
+                      <Button
+                        size="sm"
+                        variant="ghost"
+                        className="text-red-600"
+                        disabled={deletingId === holiday._id}
+                        onClick={() => handleDelete(holiday)}
+                      >
+                        {deletingId === holiday._id ? <Loader2 className="h-4 w-4 animate-spin" /> : <Trash2 className="h-4 w-4" />}
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default HolidayCalendar;
@@ -15,10 +15,13 @@ import {
   DollarSign,
   ArrowLeft,
   Save,
-  X
+  X,
+  FileMinus
 } from 'lucide-react';
 import { useToast } from '@/hooks/use-toast';
 import Invoice from '@/components/corporate/Invoice';
+import InvoiceNotesDialog from './InvoiceNotesDialog';
+import StatementOfAccount from '@/components/StatementOfAccount';
 
 interface Corporate {
   _id: string;
@@ -45,7 +48,9 @@ interface InvoiceItem {
   fuelSurcharge?: number;
   cgst?: number;
   sgst?: number;
+  igst?: number;
   totalAmount: number;
+  lineType?: 'forward' | 'rto';
 }
 
 interface InvoiceData {
@@ -68,8 +73,10 @@ interface InvoiceData {
   fuelSurchargeTotal: number;
   cgstTotal: number;
   sgstTotal: number;
+  igstTotal?: number;
+  supplyType?: 'intra_state' | 'inter_state';
   grandTotal: number;
-  status: 'unpaid' | 'paid' | 'overdue';
+  status: 'unpaid' | 'partial' | 'paid' | 'overdue';
   dueDate: string;
   paymentDate?: string;
   paymentMethod?: string;
@@ -77,6 +84,20 @@ interface InvoiceData {
   remarks?: string;
 }
 
+// Generated invoice with the credit and debit notes raised against it
+interface IssuedInvoice {
+  _id: string;
+  invoiceNumber: string;
+  invoiceDate: string;
+  grandTotal: number;
+  creditNotesTotal?: number;
+  debitNotesTotal?: number;
+  amountPaid?: number;
+  tdsDeducted?: number;
+  status: 'unpaid' | 'partial' | 'paid' | 'overdue';
+  dueDate: string;
+}
+
 const InvoiceManagement = () => {
   const [corporates, setCorporates] = useState<Corporate[]>([]);
   const [invoices, setInvoices] = useState<InvoiceData[]>([]);
@@ -88,6 +109,8 @@ const InvoiceManagement = () => {
   const [showEditDialog, setShowEditDialog] = useState(false);
   const [editingInvoice, setEditingInvoice] = useState<InvoiceData | null>(null);
   const [editFormData, setEditFormData] = useState<Partial<InvoiceData>>({});
+  const [issuedInvoices, setIssuedInvoices] = useState<IssuedInvoice[]>([]);
+  const [notesInvoice, setNotesInvoice] = useState<IssuedInvoice | null>(null);
   const { toast } = useToast();
 
   useEffect(() => {
@@ -174,9 +197,36 @@ const InvoiceManagement = () => {
     }
   };
 
+  const fetchIssuedInvoices = async (corporateId: string) => {
+    try {
+      const response = await fetch(`/api/settlement/admin/invoices?corporateId=${corporateId}&limit=50`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
+        }
+      });
+      const data = await response.json();
+      setIssuedInvoices(response.ok && data.success ? data.data.invoices : []);
+    } catch (error) {
+      console.error('Error fetching issued invoices:', error);
+      setIssuedInvoices([]);
+    }
+  };
+
+  const amountSettled = (invoice: IssuedInvoice) => (invoice.amountPaid || 0) + (invoice.tdsDeducted || 0);
+
+  // Invoices marked paid before receipts were recorded only owe what notes changed since
+  const balanceDue = (invoice: IssuedInvoice) => {
+    const notesEffect = (invoice.debitNotesTotal || 0) - (invoice.creditNotesTotal || 0);
+    if (invoice.status === 'paid' && amountSettled(invoice) === 0) {
+      return Math.max(notesEffect, 0);
+    }
+    return invoice.grandTotal + notesEffect - amountSettled(invoice);
+  };
+
   const handleCorporateClick = (corporate: Corporate) => {
     setSelectedCorporate(corporate);
     fetchInvoices(corporate._id);
+    fetchIssuedInvoices(corporate._id);
   };
 
   // Auto-open the invoice when it's loaded (only if dialog is not already closed by user)
@@ -201,9 +251,6 @@ const InvoiceManagement = () => {
   const handleEditInvoice = (invoice: InvoiceData) => {
     setEditingInvoice(invoice);
     setEditFormData({
-      status: invoice.status,
-      paymentMethod: invoice.paymentMethod,
-      paymentReference: invoice.paymentReference,
       remarks: invoice.remarks
     });
     setShowEditDialog(true);
@@ -237,9 +284,10 @@ const InvoiceManagement = () => {
           fetchInvoices(selectedCorporate._id);
         }
       } else {
+        const errorData = await response.json().catch(() => ({}));
         toast({
           title: "Error",
-          description: "Failed to update invoice",
+          description: errorData.error || "Failed to update invoice",
           variant: "destructive"
         });
       }
@@ -257,6 +305,8 @@ const InvoiceManagement = () => {
     switch (status) {
       case 'paid':
         return <Badge className="bg-green-100 text-green-800">Paid</Badge>;
+      case 'partial':
+        return <Badge className="bg-blue-100 text-blue-800">Part Paid</Badge>;
       case 'overdue':
         return <Badge className="bg-red-100 text-red-800">Overdue</Badge>;
       default:
@@ -301,14 +351,15 @@ const InvoiceManagement = () => {
       awbNumber: shipment.awbNumber || '-',
       weight: shipment.weight || 0,
       freightCharges: shipment.freightCharges || 0,
-      totalAmount: shipment.totalAmount || 0
+      totalAmount: shipment.totalAmount || 0,
+      lineType: shipment.lineType || 'forward'
     }));
 
     const summary = {
       totalBills: invoice.shipments.length,
       totalAmount: invoice.grandTotal || 0,
       totalFreight: invoice.subtotal || 0,
-      gstAmount: (invoice.cgstTotal || 0) + (invoice.sgstTotal || 0)
+      gstAmount: (invoice.cgstTotal || 0) + (invoice.sgstTotal || 0) + (invoice.igstTotal || 0)
     };
 
     const convertedData = {
@@ -477,6 +528,68 @@ const InvoiceManagement = () => {
           </CardContent>
         </Card>
 
+        {/* Generated invoices, corrected through credit and debit notes */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center space-x-2">
+              <FileMinus className="h-5 w-5" />
+              <span>Issued Invoices</span>
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            {issuedInvoices.length === 0 ? (
+              <div className="text-center py-6 text-sm text-gray-500">No invoices have been generated for this corporate yet.</div>
+            ) : (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Invoice No.</TableHead>
+                    <TableHead>Date</TableHead>
+                    <TableHead>Total</TableHead>
+                    <TableHead>Credit Notes</TableHead>
+                    <TableHead>Debit Notes</TableHead>
+                    <TableHead>Received</TableHead>
+                    <TableHead>Balance Due</TableHead>
+                    <TableHead>Status</TableHead>
+                    <TableHead>Actions</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {issuedInvoices.map((invoice) => (
+                    <TableRow key={invoice._id}>
+                      <TableCell className="font-medium">{invoice.invoiceNumber}</TableCell>
+                      <TableCell>{formatDate(invoice.invoiceDate)}</TableCell>
+                      <TableCell>{formatCurrency(invoice.grandTotal)}</TableCell>
+                      <TableCell>{invoice.creditNotesTotal ? `-${formatCurrency(invoice.creditNotesTotal)}` : '-'}</TableCell>
+                      <TableCell>{invoice.debitNotesTotal ? `+${formatCurrency(invoice.debitNotesTotal)}` : '-'}</TableCell>
+                      <TableCell>{amountSettled(invoice) ? formatCurrency(amountSettled(invoice)) : '-'}</TableCell>
+                      <TableCell className="font-medium">{formatCurrency(balanceDue(invoice))}</TableCell>
+                      <TableCell>{getStatusBadge(invoice.status)}</TableCell>
+                      <TableCell>
+                        <Button variant="outline" size="sm" onClick={() => setNotesInvoice(invoice)}>
+                          <FileMinus className="h-4 w-4 mr-2" />
+                          Notes
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </CardContent>
+        </Card>
+
+        <StatementOfAccount
+          statementUrl={`/api/settlement/admin/statement/${selectedCorporate._id}`}
+          token={localStorage.getItem('adminToken')}
+        />
+
+        <InvoiceNotesDialog
+          invoice={notesInvoice}
+          onClose={() => setNotesInvoice(null)}
+          onChanged={() => fetchIssuedInvoices(selectedCorporate._id)}
+        />
+
         {/* Invoice View Dialog */}
         <Dialog open={showInvoiceDialog} onOpenChange={handleCloseInvoiceDialog}>
           <DialogContent className="max-w-6xl max-h-[90vh] overflow-y-auto">
@@ -525,42 +638,9 @@ const InvoiceManagement = () => {
               <DialogTitle>Edit Invoice</DialogTitle>
             </DialogHeader>
             <div className="space-y-4">
-              <div>
-                <label className="text-sm font-medium">Status</label>
-                <select
-                  className="w-full p-2 border rounded-md"
-                  value={editFormData.status || ''}
-                  onChange={(e) => setEditFormData(prev => ({ ...prev, status: e.target.value as any }))}
-                >
-                  <option value="unpaid">Unpaid</option>
-                  <option value="paid">Paid</option>
-                  <option value="overdue">Overdue</option>
-                </select>
-              </div>
-              
-              <div>
-                <label className="text-sm font-medium">Payment Method</label>
-                <select
-                  className="w-full p-2 border rounded-md"
-                  value={editFormData.paymentMethod || ''}
-                  onChange={(e) => setEditFormData(prev => ({ ...prev, paymentMethod: e.target.value }))}
-                >
-                  <option value="">Select Payment Method</option>
-                  <option value="cheque">Cheque</option>
-                  <option value="bank_transfer">Bank Transfer</option>
-                  <option value="cash">Cash</option>
-                  <option value="other">Other</option>
-                </select>
-              </div>
-
-              <div>
-                <label className="text-sm font-medium">Payment Reference</label>
-                <Input
-                  value={editFormData.paymentReference || ''}
-                  onChange={(e) => setEditFormData(prev => ({ ...prev, paymentReference: e.target.value }))}
-                  placeholder="Enter payment reference"
-                />
-              </div>
+              <p className="text-sm text-gray-600">
+                Status and payment details follow the receipts allocated to this invoice. Record payments from Payment Receipts.
+              </p>
 
               <div>
                 <label className="text-sm font-medium">Remarks</label>
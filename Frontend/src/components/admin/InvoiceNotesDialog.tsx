@@ -0,0 +1,351 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Badge } from '@/components/ui/badge';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Ban, Download, Loader2 } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+
+type NoteType = 'credit' | 'debit';
+
+interface LineBalance {
+  consignmentNumber: string;
+  lineType: 'forward' | 'rto';
+  bookingDate: string;
+  destination: string;
+  gstRate?: number;
+  invoiced: number;
+  credited: number;
+  debited: number;
+  creditable: number;
+}
+
+interface InvoiceNote {
+  _id: string;
+  noteNumber: string;
+  noteType: NoteType;
+  noteDate: string;
+  reason: string;
+  grandTotal: number;
+  status: 'issued' | 'cancelled';
+  lines: { consignmentNumber: string; lineType: 'forward' | 'rto'; taxableValue: number }[];
+}
+
+interface InvoiceNotesDialogProps {
+  invoice: { _id: string; invoiceNumber: string } | null;
+  onClose: () => void;
+  // Called after a note is issued or cancelled so the invoice list can refresh its balances
+  onChanged?: () => void;
+}
+
+const REASONS: { value: string; label: string }[] = [
+  { value: 'rate_revision', label: 'Rate revision' },
+  { value: 'weight_revision', label: 'Weight revision' },
+  { value: 'service_deficiency', label: 'Service deficiency' },
+  { value: 'shipment_cancelled', label: 'Shipment cancelled' },
+  { value: 'billing_error', label: 'Billing error' },
+  { value: 'other', label: 'Other' }
+];
+
+const formatCurrency = (amount: number) => new Intl.NumberFormat('en-IN', {
+  style: 'currency',
+  currency: 'INR'
+}).format(amount || 0);
+
+const lineKey = (line: { consignmentNumber: string; lineType: string }) => `${line.consignmentNumber}:${line.lineType}`;
+
+// Credit and debit notes of one invoice: what each line can still be credited, the notes
+// issued so far and a form to raise a new one
+const InvoiceNotesDialog: React.FC<InvoiceNotesDialogProps> = ({ invoice, onClose, onChanged }) => {
+  const [lines, setLines] = useState<LineBalance[]>([]);
+  const [notes, setNotes] = useState<InvoiceNote[]>([]);
+  const [supplyType, setSupplyType] = useState<'intra_state' | 'inter_state'>('intra_state');
+  const [loading, setLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [noteType, setNoteType] = useState<NoteType>('credit');
+  const [reason, setReason] = useState('rate_revision');
+  const [remarks, setRemarks] = useState('');
+  const [amounts, setAmounts] = useState<Record<string, string>>({});
+  const [descriptions, setDescriptions] = useState<Record<string, string>>({});
+  const { toast } = useToast();
+
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`,
+    'Content-Type': 'application/json'
+  });
+
+  const showError = (error: unknown, fallback: string) => {
+    toast({
+      title: "Error",
+      description: error instanceof Error ? error.message : fallback,
+      variant: "destructive",
+    });
+  };
+
+  const fetchBalances = async () => {
+    if (!invoice) return;
+    try {
+      setLoading(true);
+      const response = await fetch(`/api/invoice-notes/invoice/${invoice._id}/balances`, { headers: authHeaders() });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to load invoice lines');
+      }
+      setLines(result.data.lines);
+      setNotes(result.data.notes);
+      setSupplyType(result.data.supplyType);
+    } catch (error) {
+      showError(error, 'Failed to load invoice lines');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setAmounts({});
+    setDescriptions({});
+    setRemarks('');
+    fetchBalances();
+  }, [invoice?._id]);
+
+  const requestedLines = lines
+    .map(line => ({ line, amount: parseFloat(amounts[lineKey(line)] || '') }))
+    .filter(({ amount }) => amount > 0);
+
+  const taxableTotal = requestedLines.reduce((sum, { amount }) => sum + amount, 0);
+  const taxTotal = requestedLines.reduce((sum, { line, amount }) => sum + amount * (line.gstRate ?? 18) / 100, 0);
+
+  const handleIssue = async () => {
+    if (!invoice) return;
+    try {
+      setSubmitting(true);
+      const response = await fetch('/api/invoice-notes', {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({
+          invoiceId: invoice._id,
+          noteType,
+          reason,
+          remarks: remarks || undefined,
+          lines: requestedLines.map(({ line, amount }) => ({
+            consignmentNumber: line.consignmentNumber,
+            lineType: line.lineType,
+            taxableValue: amount,
+            description: descriptions[lineKey(line)] || undefined
+          }))
+        })
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.details?.join(', ') || result.error || 'Failed to issue note');
+      }
+
+      toast({ title: "Note Issued", description: result.message });
+      setAmounts({});
+      setDescriptions({});
+      setRemarks('');
+      fetchBalances();
+      onChanged?.();
+    } catch (error) {
+      showError(error, 'Failed to issue note');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCancel = async (note: InvoiceNote) => {
+    const cancellationReason = window.prompt(`Why is ${note.noteNumber} being cancelled?`);
+    if (!cancellationReason) return;
+    try {
+      const response = await fetch(`/api/invoice-notes/${note._id}/cancel`, {
+        method: 'PATCH',
+        headers: authHeaders(),
+        body: JSON.stringify({ reason: cancellationReason })
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to cancel note');
+      }
+
+      toast({ title: "Note Cancelled", description: result.message });
+      fetchBalances();
+      onChanged?.();
+    } catch (error) {
+      showError(error, 'Failed to cancel note');
+    }
+  };
+
+  const handleDownload = async (note: InvoiceNote) => {
+    try {
+      const response = await fetch(`/api/invoice-notes/${note._id}/pdf`, { headers: authHeaders() });
+      if (!response.ok) {
+        throw new Error('Failed to generate note');
+      }
+      const blob = await response.blob();
+      window.open(window.URL.createObjectURL(blob), '_blank');
+    } catch (error) {
+      showError(error, 'Failed to generate note');
+    }
+  };
+
+  return (
+    <Dialog open={!!invoice} onOpenChange={open => !open && onClose()}>
+      <DialogContent className="max-w-5xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Credit &amp; Debit Notes — {invoice?.invoiceNumber}</DialogTitle>
+        </DialogHeader>
+
+        {loading ? (
+          <div className="text-center py-8 text-sm text-gray-500">
+            <Loader2 className="h-5 w-5 animate-spin inline mr-2" />
+            Loading invoice lines...
+          </div>
+        ) : (
+          <div className="space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <Label>Note Type</Label>
+                <Select value={noteType} onValueChange={value => setNoteType(value as NoteType)}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="credit">Credit note (reduce amount)</SelectItem>
+                    <SelectItem value="debit">Debit note (add amount)</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <div>
+                <Label>Reason</Label>
+                <Select value={reason} onValueChange={setReason}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {REASONS.map(option => (
+                      <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div>
+                <Label>Tax</Label>
+                <p className="text-sm text-gray-600 pt-2">
+                  {supplyType === 'inter_state' ? 'IGST' : 'CGST + SGST'}, as on the invoice
+                </p>
+              </div>
+            </div>
+
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>AWB</TableHead>
+                  <TableHead>Destination</TableHead>
+                  <TableHead>Invoiced</TableHead>
+                  <TableHead>Credited</TableHead>
+                  <TableHead>Debited</TableHead>
+                  <TableHead>Taxable Amount</TableHead>
+                  <TableHead>Description</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {lines.map(line => (
+                  <TableRow key={lineKey(line)}>
+                    <TableCell className="text-sm font-medium">
+                      {line.consignmentNumber}
+                      {line.lineType === 'rto' && <Badge variant="outline" className="ml-2 text-xs">RTO</Badge>}
+                    </TableCell>
+                    <TableCell className="text-sm">{line.destination}</TableCell>
+                    <TableCell className="text-sm">{formatCurrency(line.invoiced)}</TableCell>
+                    <TableCell className="text-sm">{line.credited ? formatCurrency(line.credited) : '-'}</TableCell>
+                    <TableCell className="text-sm">{line.debited ? formatCurrency(line.debited) : '-'}</TableCell>
+                    <TableCell>
+                      <Input
+                        type="number"
+                        min={0}
+                        step="0.01"
+                        max={noteType === 'credit' ? line.creditable : undefined}
+                        placeholder={noteType === 'credit' ? `max ${line.creditable}` : '0.00'}
+                        value={amounts[lineKey(line)] || ''}
+                        onChange={e => setAmounts(prev => ({ ...prev, [lineKey(line)]: e.target.value }))}
+                        disabled={noteType === 'credit' && line.creditable <= 0}
+                        className="h-8 w-28 text-sm"
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <Input
+                        value={descriptions[lineKey(line)] || ''}
+                        onChange={e => setDescriptions(prev => ({ ...prev, [lineKey(line)]: e.target.value }))}
+                        placeholder="e.g. weight 2 kg to 1.5 kg"
+                        className="h-8 text-sm"
+                      />
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+
+            <div>
+              <Label>Remarks</Label>
+              <Textarea value={remarks} onChange={e => setRemarks(e.target.value)} rows={2} maxLength={500} />
+            </div>
+
+            <div className="flex items-center justify-between">
+              <p className="text-sm text-gray-600">
+                {requestedLines.length} line(s) · Taxable {formatCurrency(taxableTotal)} · Tax ≈ {formatCurrency(taxTotal)}
+              </p>
+              <Button onClick={handleIssue} disabled={submitting || requestedLines.length === 0}>
+                {submitting && <Loader2 className="h-4 w-4 animate-spin mr-2" />}
+                Issue {noteType === 'credit' ? 'Credit' : 'Debit'} Note
+              </Button>
+            </div>
+
+            {notes.length > 0 && (
+              <div>
+                <h4 className="text-sm font-semibold text-gray-800 mb-2">Issued Notes</h4>
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Note</TableHead>
+                      <TableHead>Date</TableHead>
+                      <TableHead>Reason</TableHead>
+                      <TableHead>Amount</TableHead>
+                      <TableHead></TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {notes.map(note => (
+                      <TableRow key={note._id}>
+                        <TableCell className="text-sm font-medium">
+                          {note.noteNumber}
+                          <Badge variant="outline" className="ml-2 text-xs">{note.noteType === 'credit' ? 'Credit' : 'Debit'}</Badge>
+                        </TableCell>
+                        <TableCell className="text-sm">{new Date(note.noteDate).toLocaleDateString('en-GB')}</TableCell>
+                        <TableCell className="text-sm">{REASONS.find(option => option.value === note.reason)?.label || note.reason}</TableCell>
+                        <TableCell className="text-sm">{formatCurrency(note.grandTotal)}</TableCell>
+                        <TableCell className="text-right space-x-2">
+                          <Button variant="outline" size="sm" onClick={() => handleDownload(note)}>
+                            <Download className="h-4 w-4" />
+                          </Button>
+                          <Button variant="outline" size="sm" onClick={() => handleCancel(note)} title="Cancel note">
+                            <Ban className="h-4 w-4" />
+                          </Button>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+            )}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default InvoiceNotesDialog;
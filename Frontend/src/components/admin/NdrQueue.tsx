@@ -0,0 +1,533 @@
+import React, { useState, useEffect } from 'react';
+import {
+  AlertTriangle,
+  RefreshCw,
+  Search,
+  Loader2,
+  Undo2,
+  CalendarClock,
+  Plus
+} from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { useToast } from '@/hooks/use-toast';
+import NdrInstructionDialog, { NdrInstruction } from '@/components/NdrInstructionDialog';
+
+interface NdrAttempt {
+  attemptNumber: number;
+  reason: string;
+  remarks?: string;
+  location?: string;
+  attemptedAt: string;
+  recordedBy?: { name?: string };
+}
+
+interface NdrCase {
+  _id: string;
+  consignmentNumber: number;
+  source: string;
+  corporateId?: { corporateId: string; companyName: string } | null;
+  receiverName?: string;
+  destinationCity?: string;
+  attempts: NdrAttempt[];
+  instructions: Array<{ action: string; requestedBy?: { type: string; name?: string }; requestedAt: string; remarks?: string }>;
+  status: 'pending_action' | 'reattempt_scheduled' | 'delivered' | 'rto';
+  nextAttemptDate?: string | null;
+  updatedAt: string;
+  returnLeg?: { status: 'initiated' | 'in_transit' | 'returned'; initiatedAt: string; returnedAt?: string | null } | null;
+}
+
+const statusStyles: { [key: string]: { label: string; className: string } } = {
+  pending_action: { label: 'Awaiting Action', className: 'bg-amber-100 text-amber-700' },
+  reattempt_scheduled: { label: 'Reattempt Scheduled', className: 'bg-blue-100 text-blue-700' },
+  delivered: { label: 'Delivered', className: 'bg-green-100 text-green-700' },
+  rto: { label: 'RTO', className: 'bg-red-100 text-red-700' }
+};
+
+const returnLegLabels: { [key: string]: string } = {
+  initiated: 'Return pending dispatch',
+  in_transit: 'Return in transit',
+  returned: 'Returned to shipper'
+};
+
+const NdrQueue = () => {
+  const [cases, setCases] = useState<NdrCase[]>([]);
+  const [reasons, setReasons] = useState<Array<{ value: string; label: string }>>([]);
+  const [maxAttempts, setMaxAttempts] = useState(3);
+  const [statusFilter, setStatusFilter] = useState('open');
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [recording, setRecording] = useState(false);
+  const [attemptForm, setAttemptForm] = useState({ consignmentNumber: '', reason: '', location: '', remarks: '' });
+  const [selectedCase, setSelectedCase] = useState<NdrCase | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [returning, setReturning] = useState(false);
+  const [updatingReturn, setUpdatingReturn] = useState<string | null>(null);
+  const { toast } = useToast();
+
+  const getToken = () => localStorage.getItem('adminToken') || localStorage.getItem('officeToken');
+
+  const reasonLabel = (value: string) => reasons.find(reason => reason.value === value)?.label || value;
+
+  const fetchCases = async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({ status: statusFilter });
+      if (search.trim()) {
+        params.append('search', search.trim());
+      }
+      const response = await fetch(`/api/ndr?${params.toString()}`, {
+        headers: { 'Authorization': `Bearer ${getToken()}` }
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to load NDR queue');
+      }
+      setCases(result.data);
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : 'Failed to load NDR queue',
+        variant: "destructive"
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    const fetchReasons = async () => {
+      try {
+        const response = await fetch('/api/ndr/reasons');
+        const result = await response.json();
+        if (result.success) {
+          setReasons(result.data.reasons);
+          setMaxAttempts(result.data.maxAttempts);
+        }
+      } catch (error) {
+        console.error('Error fetching NDR reasons:', error);
+      }
+    };
+    fetchReasons();
+  }, []);
+
+  // Search is applied on Enter, not on every keystroke
+  useEffect(() => {
+    fetchCases();
+  }, [statusFilter]);
+
+  const handleRecordAttempt = async () => {
+    if (!attemptForm.consignmentNumber.trim() || !attemptForm.reason) {
+      toast({
+        title: "Missing details",
+        description: "Consignment number and reason are required",
+        variant: "destructive"
+      });
+      return;
+    }
+
+    try {
+      setRecording(true);
+      const response = await fetch('/api/ndr', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${getToken()}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ ...attemptForm, consignmentNumber: attemptForm.consignmentNumber.trim() })
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to record failed attempt');
+      }
+
+      toast({
+        title: "NDR Recorded",
+        description: result.message
+      });
+      setAttemptForm({ consignmentNumber: '', reason: '', location: '', remarks: '' });
+      fetchCases();
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : 'Failed to record failed attempt',
+        variant: "destructive"
+      });
+    } finally {
+      setRecording(false);
+    }
+  };
+
+  const handleInitiateRto = async () => {
+    if (!attemptForm.consignmentNumber.trim()) {
+      toast({
+        title: "Missing details",
+        description: "Enter the consignment number to return",
+        variant: "destructive"
+      });
+      return;
+    }
+
+    try {
+      setReturning(true);
+      const response = await fetch('/api/ndr/rto', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${getToken()}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          consignmentNumber: attemptForm.consignmentNumber.trim(),
+          remarks: attemptForm.remarks
+        })
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to initiate RTO');
+      }
+
+      toast({
+        title: "RTO Initiated",
+        description: result.message
+      });
+      setAttemptForm({ consignmentNumber: '', reason: '', location: '', remarks: '' });
+      fetchCases();
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : 'Failed to initiate RTO',
+        variant: "destructive"
+      });
+    } finally {
+      setReturning(false);
+    }
+  };
+
+  const handleReturnLeg = async (ndrCase: NdrCase, status: 'in_transit' | 'returned') => {
+    try {
+      setUpdatingReturn(ndrCase._id);
+      const response = await fetch(`/api/ndr/rto/${ndrCase.consignmentNumber}`, {
+        method: 'PATCH',
+        headers: {
+          'Authorization': `Bearer ${getToken()}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ status })
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to update return');
+      }
+
+      toast({
+        title: "Return Updated",
+        description: `Consignment #${ndrCase.consignmentNumber}: ${result.message}`
+      });
+      fetchCases();
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : 'Failed to update return',
+        variant: "destructive"
+      });
+    } finally {
+      setUpdatingReturn(null);
+    }
+  };
+
+  const handleInstruction = async (instruction: NdrInstruction) => {
+    if (!selectedCase) return;
+
+    try {
+      setSubmitting(true);
+      const response = await fetch(`/api/ndr/${selectedCase._id}/instruction`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${getToken()}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(instruction)
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to save instruction');
+      }
+
+      toast({
+        title: "Instruction Saved",
+        description: `Consignment #${selectedCase.consignmentNumber} updated`
+      });
+      setSelectedCase(null);
+      fetchCases();
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : 'Failed to save instruction',
+        variant: "destructive"
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const formatDate = (dateString: string) => new Date(dateString).toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric'
+  });
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">NDR Queue</h2>
+          <p className="text-sm text-gray-500">
+            Failed deliveries awaiting action. Shipments move to RTO automatically after {maxAttempts} failed attempts.
+          </p>
+        </div>
+        <Button variant="outline" size="sm" onClick={fetchCases} disabled={loading}>
+          <RefreshCw className={`h-4 w-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </Button>
+      </div>
+
+      {/* Record Failed Attempt */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2 text-lg">
+            <Plus className="h-5 w-5 text-red-600" />
+            Record Failed Delivery Attempt
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="grid grid-cols-1 md:grid-cols-6 gap-3 items-end">
+            <div>
+              <Label htmlFor="ndr-cn">Consignment Number</Label>
+              <Input
+                id="ndr-cn"
+                className="mt-1"
+                value={attemptForm.consignmentNumber}
+                onChange={(e) => setAttemptForm(prev => ({ ...prev, consignmentNumber: e.target.value }))}
+              />
+            </div>
+            <div>
+              <Label>Reason</Label>
+              <Select value={attemptForm.reason} onValueChange={(value) => setAttemptForm(prev => ({ ...prev, reason: value }))}>
+                <SelectTrigger className="mt-1">
+                  <SelectValue placeholder="Select reason" />
+                </SelectTrigger>
+                <SelectContent>
+                  {reasons.map(reason => (
+                    <SelectItem key={reason.value} value={reason.value}>{reason.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <Label htmlFor="ndr-location">Location</Label>
+              <Input
+                id="ndr-location"
+                className="mt-1"
+                value={attemptForm.location}
+                onChange={(e) => setAttemptForm(prev => ({ ...prev, location: e.target.value }))}
+              />
+            </div>
+            <div>
+              <Label htmlFor="ndr-attempt-remarks">Remarks</Label>
+              <Input
+                id="ndr-attempt-remarks"
+                className="mt-1"
+                value={attemptForm.remarks}
+                onChange={(e) => setAttemptForm(prev => ({ ...prev, remarks: e.target.value }))}
+              />
+            </div>
+            <Button onClick={handleRecordAttempt} disabled={recording} className="bg-red-600 hover:bg-red-700">
+              {recording ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <AlertTriangle className="h-4 w-4 mr-2" />}
+              Record NDR
+            </Button>
+            <Button variant="outline" onClick={handleInitiateRto} disabled={returning} className="border-red-300 text-red-700">
+              {returning ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Undo2 className="h-4 w-4 mr-2" />}
+              Return to Origin
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Queue */}
+      <Card>
+        <CardHeader>
+          <div className="flex flex-col sm:flex-row gap-3 sm:items-center sm:justify-between">
+            <CardTitle className="text-lg">Cases</CardTitle>
+            <div className="flex gap-2">
+              <Select value={statusFilter} onValueChange={setStatusFilter}>
+                <SelectTrigger className="w-48">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="open">Open</SelectItem>
+                  <SelectItem value="pending_action">Awaiting Action</SelectItem>
+                  <SelectItem value="reattempt_scheduled">Reattempt Scheduled</SelectItem>
+                  <SelectItem value="rto">RTO</SelectItem>
+                  <SelectItem value="delivered">Delivered</SelectItem>
+                  <SelectItem value="all">All</SelectItem>
+                </SelectContent>
+              </Select>
+              <div className="relative">
+                <Search className="absolute left-2 top-2.5 h-4 w-4 text-gray-400" />
+                <Input
+                  placeholder="Consignment or receiver"
+                  className="pl-8 w-56"
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && fetchCases()}
+                />
+              </div>
+            </div>
+          </div>
+        </CardHeader>
+        <CardContent className="p-0">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Consignment</TableHead>
+                <TableHead>Receiver</TableHead>
+                <TableHead>Attempts</TableHead>
+                <TableHead>Last Reason</TableHead>
+                <TableHead>Latest Instruction</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead>Action</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={7} className="text-center py-8">
+                    <Loader2 className="h-5 w-5 animate-spin inline mr-2" />
+                    Loading NDR cases...
+                  </TableCell>
+                </TableRow>
+              ) : cases.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={7} className="text-center py-8 text-gray-500">
+                    No NDR cases found
+                  </TableCell>
+                </TableRow>
+              ) : (
+                cases.map(ndrCase => {
+                  const lastAttempt = ndrCase.attempts[ndrCase.attempts.length - 1];
+                  const lastInstruction = ndrCase.instructions[ndrCase.instructions.length - 1];
+                  const style = statusStyles[ndrCase.status];
+                  const isOpen = ndrCase.status === 'pending_action' || ndrCase.status === 'reattempt_scheduled';
+
+                  return (
+                    <TableRow key={ndrCase._id}>
+                      <TableCell>
+                        <div className="font-medium">#{ndrCase.consignmentNumber}</div>
+                        <div className="text-xs text-gray-500 capitalize">
+                          {ndrCase.corporateId?.companyName || ndrCase.source}
+                        </div>
+                      </TableCell>
+                      <TableCell>
+                        <div className="text-sm">{ndrCase.receiverName}</div>
+                        <div className="text-xs text-gray-500">{ndrCase.destinationCity}</div>
+                      </TableCell>
+                      <TableCell className="text-sm">
+                        {ndrCase.attempts.length} / {maxAttempts}
+                      </TableCell>
+                      <TableCell>
+                        {lastAttempt && (
+                          <>
+                            <div className="text-sm">{reasonLabel(lastAttempt.reason)}</div>
+                            <div className="text-xs text-gray-500">{formatDate(lastAttempt.attemptedAt)}</div>
+                          </>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-xs text-gray-600">
+                        {lastInstruction ? (
+                          <>
+                            <div className="capitalize">{lastInstruction.action.replace(/_/g, ' ')}</div>
+                            <div>by {lastInstruction.requestedBy?.name || lastInstruction.requestedBy?.type}</div>
+                          </>
+                        ) : '-'}
+                        {ndrCase.nextAttemptDate && (
+                          <div className="flex items-center gap-1 text-blue-700">
+                            <CalendarClock className="h-3 w-3" />
+                            {formatDate(ndrCase.nextAttemptDate)}
+                          </div>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <Badge className={`${style.className} border-0`}>
+                          {ndrCase.status === 'rto' && <Undo2 className="h-3 w-3 mr-1" />}
+                          {style.label}
+                        </Badge>
+                        {ndrCase.returnLeg && (
+                          <div className="text-xs text-gray-500 mt-1">{returnLegLabels[ndrCase.returnLeg.status]}</div>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        {isOpen && (
+                          <Button size="sm" variant="outline" onClick={() => setSelectedCase(ndrCase)}>
+                            Take Action
+                          </Button>
+                        )}
+                        {ndrCase.returnLeg?.status === 'initiated' && (
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            disabled={updatingReturn === ndrCase._id}
+                            onClick={() => handleReturnLeg(ndrCase, 'in_transit')}
+                          >
+                            Dispatch Return
+                          </Button>
+                        )}
+                        {ndrCase.returnLeg?.status === 'in_transit' && (
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            disabled={updatingReturn === ndrCase._id}
+                            onClick={() => handleReturnLeg(ndrCase, 'returned')}
+                          >
+                            Mark Returned
+                          </Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })
+              )}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      <NdrInstructionDialog
+        key={selectedCase?._id || 'none'}
+        open={!!selectedCase}
+        consignmentNumber={selectedCase?.consignmentNumber}
+        submitting={submitting}
+        onClose={() => setSelectedCase(null)}
+        onSubmit={handleInstruction}
+      />
+    </div>
+  );
+};
+
+export default NdrQueue;
@@ -0,0 +1,630 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter } from '@/components/ui/dialog';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Ban, Download, FileCheck, Loader2, Mail, Plus, RefreshCw, Wallet } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+
+interface CorporateOption {
+  _id: string;
+  corporateId: string;
+  companyName: string;
+}
+
+interface OpenInvoice {
+  _id: string;
+  invoiceNumber: string;
+  invoiceDate: string;
+  dueDate: string;
+  status: string;
+  netAmount: number;
+  amountPaid: number;
+  tdsDeducted: number;
+  balanceDue: number;
+}
+
+interface Receipt {
+  _id: string;
+  receiptNumber: string;
+  companyName: string;
+  receiptDate: string;
+  paymentMode: string;
+  reference?: string;
+  amountReceived: number;
+  allocatedAmount: number;
+  unallocatedAmount: number;
+  tdsAmount: number;
+  tdsSection?: string;
+  tdsCertificateNumber?: string;
+  allocations: { invoiceNumber: string; amount: number; tdsAmount: number }[];
+  status: 'active' | 'cancelled';
+  cancellationReason?: string;
+  emailedAt: string | null;
+}
+
+interface TdsRow {
+  corporateId: string;
+  companyName: string;
+  tdsAmount: number;
+  certifiedAmount: number;
+  pendingAmount: number;
+}
+
+const PAYMENT_MODES: { value: string; label: string }[] = [
+  { value: 'neft', label: 'NEFT' },
+  { value: 'rtgs', label: 'RTGS' },
+  { value: 'imps', label: 'IMPS' },
+  { value: 'upi', label: 'UPI' },
+  { value: 'cheque', label: 'Cheque' },
+  { value: 'demand_draft', label: 'Demand Draft' },
+  { value: 'cash', label: 'Cash' },
+  { value: 'other', label: 'Other' }
+];
+
+const formatAmount = (amount: number) => `₹${(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date: string) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+const todayDate = () => new Date().toISOString().slice(0, 10);
+
+const round = (value: number) => Math.round(value * 100) / 100;
+
+const emptyPayment = () => ({
+  corporateId: '',
+  receiptDate: todayDate(),
+  paymentMode: 'neft',
+  reference: '',
+  bankName: '',
+  amountReceived: '',
+  tdsSection: '',
+  remarks: '',
+  sendEmail: true
+});
+
+const PaymentReceipts: React.FC = () => {
+  const [receipts, setReceipts] = useState<Receipt[]>([]);
+  const [tdsRegister, setTdsRegister] = useState<{ financialYear: string; corporates: TdsRow[] } | null>(null);
+  const [corporates, setCorporates] = useState<CorporateOption[]>([]);
+  const [statusFilter, setStatusFilter] = useState('active');
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [recording, setRecording] = useState(false);
+  const [payment, setPayment] = useState(emptyPayment());
+  const [openInvoices, setOpenInvoices] = useState<OpenInvoice[]>([]);
+  const [allocations, setAllocations] = useState<Record<string, { amount: string; tdsAmount: string }>>({});
+  const { toast } = useToast();
+
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`,
+    'Content-Type': 'application/json'
+  });
+
+  const showError = (description: string) => {
+    toast({
+      title: "Error",
+      description,
+      variant: "destructive",
+    });
+  };
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      const [receiptsResponse, tdsResponse] = await Promise.all([
+        fetch(`/api/payments/receipts?status=${statusFilter}&limit=50`, { headers: authHeaders() }),
+        fetch('/api/payments/tds-register', { headers: authHeaders() })
+      ]);
+      const [receiptsResult, tdsResult] = await Promise.all([receiptsResponse.json(), tdsResponse.json()]);
+
+      if (!receiptsResponse.ok || !receiptsResult.success) {
+        throw new Error(receiptsResult.error || 'Failed to load payment receipts');
+      }
+      setReceipts(receiptsResult.data.receipts);
+      if (tdsResult.success) setTdsRegister(tdsResult.data);
+    } catch (error) {
+      console.error('Error fetching payment receipts:', error);
+      showError(error instanceof Error ? error.message : 'Failed to load payment receipts');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+  }, [statusFilter]);
+
+  const openRecordDialog = async () => {
+    setPayment(emptyPayment());
+    setOpenInvoices([]);
+    setAllocations({});
+    setRecording(true);
+    if (corporates.length === 0) {
+      try {
+        const response = await fetch('/api/admin/corporates', { headers: authHeaders() });
+        const data = await response.json();
+        setCorporates(data.corporates || []);
+      } catch (error) {
+        showError('Failed to load corporates');
+      }
+    }
+  };
+
+  const selectCorporate = async (corporateId: string) => {
+    setPayment(prev => ({ ...prev, corporateId }));
+    setAllocations({});
+    try {
+      const response = await fetch(`/api/payments/open-invoices/${corporateId}`, { headers: authHeaders() });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to load open invoices');
+      }
+      setOpenInvoices(result.data);
+    } catch (error) {
+      showError(error instanceof Error ? error.message : 'Failed to load open invoices');
+    }
+  };
+
+  // Settle the oldest invoices first with the amount received
+  const autoAllocate = () => {
+    let remaining = parseFloat(payment.amountReceived) || 0;
+    const next: Record<string, { amount: string; tdsAmount: string }> = {};
+    openInvoices.forEach(invoice => {
+      const tdsAmount = parseFloat(allocations[invoice._id]?.tdsAmount || '') || 0;
+      const amount = round(Math.min(remaining, Math.max(invoice.balanceDue - tdsAmount, 0)));
+      if (amount > 0 || tdsAmount > 0) {
+        next[invoice._id] = { amount: amount ? String(amount) : '', tdsAmount: tdsAmount ? String(tdsAmount) : '' };
+      }
+      remaining = round(remaining - amount);
+    });
+    setAllocations(next);
+  };
+
+  const updateAllocation = (invoiceId: string, field: 'amount' | 'tdsAmount', value: string) => {
+    setAllocations(prev => ({
+      ...prev,
+      [invoiceId]: { amount: '', tdsAmount: '', ...prev[invoiceId], [field]: value }
+    }));
+  };
+
+  const requestedAllocations = Object.entries(allocations)
+    .map(([invoiceId, allocation]) => ({
+      invoiceId,
+      amount: parseFloat(allocation.amount) || 0,
+      tdsAmount: parseFloat(allocation.tdsAmount) || 0
+    }))
+    .filter(allocation => allocation.amount + allocation.tdsAmount > 0);
+
+  const allocatedTotal = round(requestedAllocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+  const onAccount = round((parseFloat(payment.amountReceived) || 0) - allocatedTotal);
+
+  const handleRecord = async () => {
+    try {
+      setBusyId('record');
+      const response = await fetch('/api/payments/receipts', {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({ ...payment, allocations: requestedAllocations })
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.details?.join(', ') || result.error || 'Failed to record payment');
+      }
+
+      toast({
+        title: "Payment Recorded",
+        description: result.emailError ? `${result.message}: ${result.emailError}` : result.message,
+        variant: result.emailError ? "destructive" : undefined
+      });
+      setRecording(false);
+      fetchData();
+    } catch (error) {
+      showError(error instanceof Error ? error.message : 'Failed to record payment');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const receiptAction = async (receipt: Receipt, path: string, method: string, body?: object) => {
+    try {
+      setBusyId(receipt._id);
+      const response = await fetch(`/api/payments/receipts/${receipt._id}/${path}`, {
+        method,
+        headers: authHeaders(),
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Request failed');
+      }
+      toast({ title: "Done", description: result.message });
+      fetchData();
+    } catch (error) {
+      showError(error instanceof Error ? error.message : 'Request failed');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCancel = (receipt: Receipt) => {
+    const reason = window.prompt(`Why is ${receipt.receiptNumber} being cancelled (e.g. cheque bounced)?`);
+    if (reason) receiptAction(receipt, 'cancel', 'PATCH', { reason });
+  };
+
+  const handleCertificate = (receipt: Receipt) => {
+    const tdsCertificateNumber = window.prompt(`Form 16A certificate number for ${receipt.receiptNumber}`);
+    if (tdsCertificateNumber) receiptAction(receipt, 'tds-certificate', 'PATCH', { tdsCertificateNumber });
+  };
+
+  const handleDownload = async (receipt: Receipt) => {
+    try {
+      const response = await fetch(`/api/payments/receipts/${receipt._id}/pdf`, { headers: authHeaders() });
+      if (!response.ok) {
+        throw new Error('Failed to generate receipt');
+      }
+      const blob = await response.blob();
+      window.open(window.URL.createObjectURL(blob), '_blank');
+    } catch (error) {
+      showError(error instanceof Error ? error.message : 'Failed to generate receipt');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Payments</h2>
+          <p className="text-sm text-gray-500">Record money received from corporates, allocate it to invoices and track TDS</p>
+        </div>
+        <div className="flex gap-2">
+          <Button variant="outline" size="sm" onClick={fetchData} disabled={loading}>
+            <RefreshCw className="h-4 w-4 mr-2" />
+            Refresh
+          </Button>
+          <Button size="sm" onClick={openRecordDialog}>
+            <Plus className="h-4 w-4 mr-2" />
+            Record Payment
+          </Button>
+        </div>
+      </div>
+
+      <Card>
+        <CardHeader className="pb-3 flex flex-row items-center justify-between">
+          <CardTitle className="flex items-center gap-2 text-lg">
+            <Wallet className="h-5 w-5 text-emerald-600" />
+            Receipts
+          </CardTitle>
+          <Select value={statusFilter} onValueChange={setStatusFilter}>
+            <SelectTrigger className="w-40 h-8">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="active">Active</SelectItem>
+              <SelectItem value="cancelled">Cancelled</SelectItem>
+              <SelectItem value="all">All</SelectItem>
+            </SelectContent>
+          </Select>
+        </CardHeader>
+        <CardContent className="p-0">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Receipt</TableHead>
+                <TableHead>Corporate</TableHead>
+                <TableHead>Mode</TableHead>
+                <TableHead>Received</TableHead>
+                <TableHead>Invoices</TableHead>
+                <TableHead>TDS</TableHead>
+                <TableHead>On Account</TableHead>
+                <TableHead></TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={8} className="text-center py-8">
+                    <Loader2 className="h-5 w-5 animate-spin inline mr-2" />
+                    Loading...
+                  </TableCell>
+                </TableRow>
+              ) : receipts.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={8} className="text-center py-8 text-gray-500">
+                    No receipts found.
+                  </TableCell>
+                </TableRow>
+              ) : (
+                receipts.map(receipt => (
+                  <TableRow key={receipt._id}>
+                    <TableCell className="text-sm">
+                      <div className="font-medium">
+                        {receipt.receiptNumber}
+                        {receipt.status === 'cancelled' && <Badge variant="secondary" className="ml-2 text-xs">Cancelled</Badge>}
+                      </div>
+                      <div className="text-xs text-gray-500">{formatDate(receipt.receiptDate)}</div>
+                    </TableCell>
+                    <TableCell className="text-sm">{receipt.companyName}</TableCell>
+                    <TableCell className="text-sm">
+                      <div>{PAYMENT_MODES.find(mode => mode.value === receipt.paymentMode)?.label || receipt.paymentMode}</div>
+                      {receipt.reference && <div className="text-xs text-gray-500 font-mono">{receipt.reference}</div>}
+                    </TableCell>
+                    <TableCell className="text-sm font-medium">{formatAmount(receipt.amountReceived)}</TableCell>
+                    <TableCell className="text-sm">
+                      {receipt.allocations.map(allocation => (
+                        <div key={allocation.invoiceNumber} className="text-xs">
+                          {allocation.invoiceNumber}: {formatAmount(allocation.amount)}
+                        </div>
+                      ))}
+                    </TableCell>
+                    <TableCell className="text-sm">
+                      {receipt.tdsAmount > 0 ? (
+                        <>
+                          <div>{formatAmount(receipt.tdsAmount)}{receipt.tdsSection && ` u/s ${receipt.tdsSection}`}</div>
+                          <div className="text-xs text-gray-500">{receipt.tdsCertificateNumber ? `16A: ${receipt.tdsCertificateNumber}` : 'Certificate pending'}</div>
+                        </>
+                      ) : '-'}
+                    </TableCell>
+                    <TableCell className="text-sm">{receipt.unallocatedAmount > 0 ? formatAmount(receipt.unallocatedAmount) : '-'}</TableCell>
+                    <TableCell className="text-right whitespace-nowrap">
+                      <Button size="sm" variant="ghost" onClick={() => handleDownload(receipt)} title="Download receipt">
+                        <Download className="h-4 w-4" />
+                      </Button>
+                      {receipt.status === 'active' && (
+                        <>
+                          <Button
+                            size="sm"
+                            variant="ghost"
+                            disabled={busyId === receipt._id}
+                            onClick={() => receiptAction(receipt, 'email', 'POST')}
+                            title={receipt.emailedAt ? `Emailed ${formatDate(receipt.emailedAt)}; send again` : 'Email receipt'}
+                          >
+                            <Mail className="h-4 w-4" />
+                          </Button>
+                          {receipt.tdsAmount > 0 && !receipt.tdsCertificateNumber && (
+                            <Button size="sm" variant="ghost" onClick={() => handleCertificate(receipt)} title="Record TDS certificate">
+                              <FileCheck className="h-4 w-4" />
+                            </Button>
+                          )}
+                          <Button
+                            size="sm"
+                            variant="ghost"
+                            className="text-red-600"
+                            disabled={busyId === receipt._id}
+                            onClick={() => handleCancel(receipt)}
+                            title="Cancel receipt"
+                          >
+                            <Ban className="h-4 w-4" />
+                          </Button>
+                        </>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      {tdsRegister && tdsRegister.corporates.length > 0 && (
+        <Card>
+          <CardHeader className="pb-3">
+            <CardTitle className="text-base">TDS Register FY {tdsRegister.financialYear}</CardTitle>
+          </CardHeader>
+          <CardContent className="p-0">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Corporate</TableHead>
+                  <TableHead>TDS Deducted</TableHead>
+                  <TableHead>Certified</TableHead>
+                  <TableHead>Certificate Pending</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {tdsRegister.corporates.map(row => (
+                  <TableRow key={row.corporateId}>
+                    <TableCell className="text-sm font-medium">{row.companyName}</TableCell>
+                    <TableCell className="text-sm">{formatAmount(row.tdsAmount)}</TableCell>
+                    <TableCell className="text-sm">{formatAmount(row.certifiedAmount)}</TableCell>
+                    <TableCell className={`text-sm ${row.pendingAmount > 0 ? 'text-amber-700 font-medium' : ''}`}>{formatAmount(row.pendingAmount)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </CardContent>
+        </Card>
+      )}
+
+      <Dialog open={recording} onOpenChange={setRecording}>
+        <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>Record Payment</DialogTitle>
+          </DialogHeader>
+          <div className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="space-y-1 md:col-span-2">
+                <Label>Corporate</Label>
+                <Select value={payment.corporateId} onValueChange={selectCorporate}>
+                  <SelectTrigger>
+                    <SelectValue placeholder="Select corporate" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {corporates.map(corporate => (
+                      <SelectItem key={corporate._id} value={corporate._id}>
+                        {corporate.companyName} ({corporate.corporateId})
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="receiptDate">Received On</Label>
+                <Input
+                  id="receiptDate"
+                  type="date"
+                  max={todayDate()}
+                  value={payment.receiptDate}
+                  onChange={e => setPayment(prev => ({ ...prev, receiptDate: e.target.value }))}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label>Mode</Label>
+                <Select value={payment.paymentMode} onValueChange={value => setPayment(prev => ({ ...prev, paymentMode: value }))}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {PAYMENT_MODES.map(mode => (
+                      <SelectItem key={mode.value} value={mode.value}>{mode.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="receiptReference">UTR / Cheque No.</Label>
+                <Input
+                  id="receiptReference"
+                  value={payment.reference}
+                  onChange={e => setPayment(prev => ({ ...prev, reference: e.target.value.toUpperCase() }))}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="receiptBank">Bank</Label>
+                <Input
+                  id="receiptBank"
+                  value={payment.bankName}
+                  onChange={e => setPayment(prev => ({ ...prev, bankName: e.target.value }))}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="receiptAmount">Amount Received</Label>
+                <Input
+                  id="receiptAmount"
+                  type="number"
+                  min={0}
+                  step="0.01"
+                  value={payment.amountReceived}
+                  onChange={e => setPayment(prev => ({ ...prev, amountReceived: e.target.value }))}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="receiptTdsSection">TDS Section</Label>
+                <Input
+                  id="receiptTdsSection"
+                  placeholder="e.g. 194C"
+                  value={payment.tdsSection}
+                  onChange={e => setPayment(prev => ({ ...prev, tdsSection: e.target.value.toUpperCase() }))}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="receiptRemarks">Remarks</Label>
+                <Input
+                  id="receiptRemarks"
+                  value={payment.remarks}
+                  onChange={e => setPayment(prev => ({ ...prev, remarks: e.target.value }))}
+                />
+              </div>
+            </div>
+
+            {payment.corporateId && (
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <h4 className="text-sm font-semibold text-gray-800">Allocate to Invoices</h4>
+                  <Button size="sm" variant="outline" onClick={autoAllocate} disabled={!payment.amountReceived || openInvoices.length === 0}>
+                    Oldest First
+                  </Button>
+                </div>
+                {openInvoices.length === 0 ? (
+                  <p className="text-sm text-gray-500">No open invoices; the payment will be held on account.</p>
+                ) : (
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Invoice</TableHead>
+                        <TableHead>Due</TableHead>
+                        <TableHead>Balance</TableHead>
+                        <TableHead>Amount</TableHead>
+                        <TableHead>TDS</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {openInvoices.map(invoice => (
+                        <TableRow key={invoice._id}>
+                          <TableCell className="text-sm font-medium">{invoice.invoiceNumber}</TableCell>
+                          <TableCell className="text-sm">{formatDate(invoice.dueDate)}</TableCell>
+                          <TableCell className="text-sm">{formatAmount(invoice.balanceDue)}</TableCell>
+                          <TableCell>
+                            <Input
+                              type="number"
+                              min={0}
+                              step="0.01"
+                              value={allocations[invoice._id]?.amount || ''}
+                              onChange={e => updateAllocation(invoice._id, 'amount', e.target.value)}
+                              className="h-8 w-28 text-sm"
+                            />
+                          </TableCell>
+                          <TableCell>
+                            <Input
+                              type="number"
+                              min={0}
+                              step="0.01"
+                              value={allocations[invoice._id]?.tdsAmount || ''}
+                              onChange={e => updateAllocation(invoice._id, 'tdsAmount', e.target.value)}
+                              className="h-8 w-24 text-sm"
+                            />
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                )}
+                <p className={`text-sm mt-2 ${onAccount < 0 ? 'text-red-600' : 'text-gray-600'}`}>
+                  Allocated {formatAmount(allocatedTotal)} · {onAccount < 0 ? `Over-allocated by ${formatAmount(-onAccount)}` : `On account ${formatAmount(onAccount)}`}
+                </p>
+              </div>
+            )}
+
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={payment.sendEmail}
+                onChange={e => setPayment(prev => ({ ...prev, sendEmail: e.target.checked }))}
+              />
+              Email the receipt to the corporate
+            </label>
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setRecording(false)}>Cancel</Button>
+            <Button
+              onClick={handleRecord}
+              disabled={!payment.corporateId || !(parseFloat(payment.amountReceived) > 0) || onAccount < 0 || busyId === 'record'}
+            >
+              {busyId === 'record' && <Loader2 className="h-4 w-4 animate-spin mr-2" />}
+              Record Payment
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default PaymentReceipts;
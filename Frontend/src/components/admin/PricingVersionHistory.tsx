@@ -0,0 +1,303 @@
+import React, { useState, useEffect } from 'react';
+import { History, GitCompare, Loader2 } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { useToast } from '@/hooks/use-toast';
+
+interface PricingVersion {
+  _id: string;
+  version: number;
+  effectiveFrom: string;
+  effectiveTo: string | null;
+  changeNote?: string;
+  createdBy?: { name?: string; email?: string } | null;
+  isActive: boolean;
+  isScheduled: boolean;
+}
+
+interface RateChange {
+  path: string;
+  from: number | null;
+  to: number | null;
+}
+
+interface PricingVersionHistoryProps {
+  pricingId: string;
+  pricingName: string;
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+}
+
+// Readable names for the segments of a rate path such as "doxPricing.01gm-250gm.assam"
+const PATH_LABELS: Record<string, string> = {
+  doxPricing: 'DOX',
+  nonDoxSurfacePricing: 'Non-DOX Surface',
+  nonDoxAirPricing: 'Non-DOX Air',
+  priorityPricing: 'Priority',
+  reversePricing: 'Reverse',
+  zonePricing: 'Special Zones',
+  volumetricDivisors: 'Volumetric Divisor',
+  fuelChargeMode: 'Fuel Surcharge Mode',
+  fuelChargePercentage: 'Fuel Charge %',
+  rtoChargePercentage: 'RTO Charge %',
+  codCharge: 'COD Charge',
+  percentage: '%',
+  minimum: 'Minimum (₹)',
+  '01gm-250gm': '1gm - 250gm',
+  '251gm-500gm': '251gm - 500gm',
+  '01gm-500gm': '1gm - 500gm',
+  add500gm: 'Add. 500gm',
+  assam: 'Assam',
+  neBySurface: 'NE by Surface',
+  neByAirAgtImp: 'NE by Air (Agt/Imp)',
+  restOfIndia: 'Rest of India',
+  toAssam: 'To Assam',
+  toNorthEast: 'To North East',
+  byRoad: 'By Road',
+  byTrain: 'By Train',
+  byFlight: 'By Flight',
+  normal: 'Normal',
+  priority: 'Priority'
+};
+
+const formatPath = (path: string) =>
+  path.split('.').map(segment => PATH_LABELS[segment] || segment).join(' › ');
+
+const formatDateTime = (value: string | null) =>
+  value ? new Date(value).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' }) : '—';
+
+const formatRate = (value: number | null) => (value === null || value === undefined ? '—' : String(value));
+
+const PricingVersionHistory: React.FC<PricingVersionHistoryProps> = ({ pricingId, pricingName, open, onOpenChange }) => {
+  const { toast } = useToast();
+  const [versions, setVersions] = useState<PricingVersion[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [compareFrom, setCompareFrom] = useState('');
+  const [compareTo, setCompareTo] = useState('');
+  const [changes, setChanges] = useState<RateChange[] | null>(null);
+  const [diffLoading, setDiffLoading] = useState(false);
+
+  const fetchVersions = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch(`/api/admin/corporate-pricing/${pricingId}/versions`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
+        }
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to load pricing versions');
+      }
+
+      const list: PricingVersion[] = result.data;
+      setVersions(list);
+      // Default to comparing the two most recent versions
+      if (list.length >= 2) {
+        setCompareFrom(String(list[list.length - 2].version));
+        setCompareTo(String(list[list.length - 1].version));
+      } else {
+        setCompareFrom('');
+        setCompareTo('');
+      }
+    } catch (error) {
+      console.error('Error fetching pricing versions:', error);
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to load pricing versions",
+        variant: "destructive"
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchDiff = async (from: string, to: string) => {
+    try {
+      setDiffLoading(true);
+      const params = new URLSearchParams({ from, to });
+      const response = await fetch(`/api/admin/corporate-pricing/${pricingId}/versions/diff?${params}`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
+        }
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to compare versions');
+      }
+      setChanges(result.data.changes);
+    } catch (error) {
+      console.error('Error comparing pricing versions:', error);
+      setChanges(null);
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to compare versions",
+        variant: "destructive"
+      });
+    } finally {
+      setDiffLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (open) {
+      setChanges(null);
+      fetchVersions();
+    }
+  }, [open, pricingId]);
+
+  useEffect(() => {
+    if (open && compareFrom && compareTo && compareFrom !== compareTo) {
+      fetchDiff(compareFrom, compareTo);
+    } else {
+      setChanges(null);
+    }
+  }, [open, compareFrom, compareTo]);
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-4xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="text-2xl font-bold text-gray-800 flex items-center gap-2" style={{ fontFamily: 'Calibri' }}>
+            <History className="h-6 w-6 text-purple-600" />
+            Version History: {pricingName}
+          </DialogTitle>
+          <DialogDescription className="text-gray-600" style={{ fontFamily: 'Calibri' }}>
+            Each version is frozen once saved. Shipments are billed with the version in force on their booking date.
+          </DialogDescription>
+        </DialogHeader>
+
+        {loading ? (
+          <div className="flex items-center justify-center py-10 text-gray-500">
+            <Loader2 className="h-5 w-5 animate-spin mr-2" />
+            Loading versions...
+          </div>
+        ) : versions.length === 0 ? (
+          <p className="py-6 text-center text-sm text-gray-500" style={{ fontFamily: 'Calibri' }}>
+            No versions recorded yet. The first version is created when the plan is approved.
+          </p>
+        ) : (
+          <div className="space-y-6">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Version</TableHead>
+                  <TableHead>Effective From</TableHead>
+                  <TableHead>Effective To</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead>Change Note</TableHead>
+                  <TableHead>Created By</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {[...versions].reverse().map(version => (
+                  <TableRow key={version._id}>
+                    <TableCell className="font-medium">v{version.version}</TableCell>
+                    <TableCell>{formatDateTime(version.effectiveFrom)}</TableCell>
+                    <TableCell>{formatDateTime(version.effectiveTo)}</TableCell>
+                    <TableCell>
+                      {version.isActive ? (
+                        <Badge className="bg-green-100 text-green-800 border-green-200">Active</Badge>
+                      ) : version.isScheduled ? (
+                        <Badge className="bg-blue-100 text-blue-800 border-blue-200">Scheduled</Badge>
+                      ) : (
+                        <Badge variant="outline">Superseded</Badge>
+                      )}
+                    </TableCell>
+                    <TableCell className="max-w-xs truncate" title={version.changeNote}>{version.changeNote || '—'}</TableCell>
+                    <TableCell>{version.createdBy?.name || '—'}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+
+            {versions.length >= 2 && (
+              <div className="space-y-3">
+                <h3 className="text-sm font-semibold text-gray-800 flex items-center gap-2" style={{ fontFamily: 'Calibri' }}>
+                  <GitCompare className="h-4 w-4 text-purple-600" />
+                  Compare Versions
+                </h3>
+                <div className="grid grid-cols-2 gap-3 max-w-md">
+                  <div className="space-y-1">
+                    <Label className="text-xs font-medium text-gray-600">From</Label>
+                    <Select value={compareFrom} onValueChange={setCompareFrom}>
+                      <SelectTrigger>
+                        <SelectValue placeholder="Select version" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {versions.map(version => (
+                          <SelectItem key={version._id} value={String(version.version)}>v{version.version}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="space-y-1">
+                    <Label className="text-xs font-medium text-gray-600">To</Label>
+                    <Select value={compareTo} onValueChange={setCompareTo}>
+                      <SelectTrigger>
+                        <SelectValue placeholder="Select version" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {versions.map(version => (
+                          <SelectItem key={version._id} value={String(version.version)}>v{version.version}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                </div>
+
+                {compareFrom === compareTo ? (
+                  <p className="text-sm text-gray-500">Select two different versions to compare.</p>
+                ) : diffLoading ? (
+                  <div className="flex items-center text-sm text-gray-500">
+                    <Loader2 className="h-4 w-4 animate-spin mr-2" />
+                    Comparing...
+                  </div>
+                ) : changes && changes.length === 0 ? (
+                  <p className="text-sm text-gray-500">No rate differences between v{compareFrom} and v{compareTo}.</p>
+                ) : changes && (
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Rate</TableHead>
+                        <TableHead className="text-right">v{compareFrom}</TableHead>
+                        <TableHead className="text-right">v{compareTo}</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {changes.map(change => (
+                        <TableRow key={change.path}>
+                          <TableCell>{formatPath(change.path)}</TableCell>
+                          <TableCell className="text-right text-red-600">{formatRate(change.from)}</TableCell>
+                          <TableCell className="text-right text-green-700">{formatRate(change.to)}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default PricingVersionHistory;
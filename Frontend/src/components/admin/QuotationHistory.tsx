@@ -0,0 +1,538 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter } from '@/components/ui/dialog';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { ArrowRightLeft, CheckCircle, History, Loader2, RefreshCw, Search, X } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+
+interface Quotation {
+  _id: string;
+  quotationNumber: string;
+  customer: { name: string; email: string; phone?: string };
+  origin: string;
+  destination: string;
+  originPincode?: string;
+  destinationPincode: string;
+  weight: number;
+  ratePerKg: number;
+  totalAmount: number;
+  validUntil: string;
+  status: 'sent' | 'accepted' | 'expired';
+  acceptedAt: string | null;
+  conversion?: {
+    type?: 'booking' | 'pricing';
+    consignmentNumber?: number | null;
+    pricingId?: string | null;
+    convertedAt?: string;
+  };
+  createdBy?: { name: string } | null;
+  createdAt: string;
+}
+
+interface BookingDetails {
+  originPincode: string;
+  senderMobile: string;
+  senderAddress: string;
+  senderLocality: string;
+  receiverName: string;
+  receiverMobile: string;
+  receiverEmail: string;
+  receiverAddress: string;
+  receiverLocality: string;
+  consignmentNumber: string;
+}
+
+const emptyBookingDetails: BookingDetails = {
+  originPincode: '',
+  senderMobile: '',
+  senderAddress: '',
+  senderLocality: '',
+  receiverName: '',
+  receiverMobile: '',
+  receiverEmail: '',
+  receiverAddress: '',
+  receiverLocality: '',
+  consignmentNumber: ''
+};
+
+const formatAmount = (amount: number) => `₹${amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date: string) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+interface QuotationHistoryProps {
+  // Bumped by the generator after a quotation is sent so the list reloads
+  refreshKey?: number;
+}
+
+const QuotationHistory: React.FC<QuotationHistoryProps> = ({ refreshKey = 0 }) => {
+  const [quotations, setQuotations] = useState<Quotation[]>([]);
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [converting, setConverting] = useState<Quotation | null>(null);
+  const [target, setTarget] = useState<'booking' | 'pricing'>('booking');
+  const [booking, setBooking] = useState<BookingDetails>(emptyBookingDetails);
+  const { toast } = useToast();
+
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`,
+    'Content-Type': 'application/json'
+  });
+
+  const showError = (description: string) => {
+    toast({
+      title: "Error",
+      description,
+      variant: "destructive",
+    });
+  };
+
+  const fetchQuotations = async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({ status: statusFilter, page: String(page) });
+      if (search.trim()) params.set('search', search.trim());
+
+      const response = await fetch(`/api/quotations?${params}`, { headers: authHeaders() });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to load quotations');
+      }
+      setQuotations(result.data);
+      setTotalPages(result.pagination.totalPages || 1);
+    } catch (error) {
+      console.error('Error fetching quotations:', error);
+      showError(error instanceof Error ? error.message : 'Failed to load quotations');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchQuotations();
+  }, [statusFilter, page, refreshKey]);
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (page === 1) {
+      fetchQuotations();
+    } else {
+      setPage(1);
+    }
+  };
+
+  const updateStatus = async (quotation: Quotation, action: 'accept' | 'expire') => {
+    try {
+      setBusyId(quotation._id);
+      const response = await fetch(`/api/quotations/${quotation._id}/${action}`, {
+        method: 'PATCH',
+        headers: authHeaders()
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || `Failed to ${action} quotation`);
+      }
+
+      toast({
+        title: action === 'accept' ? "Quotation Accepted" : "Quotation Expired",
+        description: action === 'accept'
+          ? `${quotation.quotationNumber} can now be converted into a booking or pricing plan`
+          : `${quotation.quotationNumber} was withdrawn`
+      });
+      fetchQuotations();
+    } catch (error) {
+      showError(error instanceof Error ? error.message : `Failed to ${action} quotation`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const openConvertDialog = (quotation: Quotation) => {
+    setTarget('booking');
+    setBooking({ ...emptyBookingDetails, originPincode: quotation.originPincode || '' });
+    setConverting(quotation);
+  };
+
+  const handleBookingChange = (field: keyof BookingDetails, value: string) => {
+    setBooking(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleConvert = async () => {
+    if (!converting) return;
+
+    const body = target === 'booking'
+      ? {
+          target,
+          originPincode: booking.originPincode,
+          consignmentNumber: booking.consignmentNumber || undefined,
+          sender: {
+            mobileNumber: booking.senderMobile,
+            flatBuilding: booking.senderAddress,
+            locality: booking.senderLocality
+          },
+          receiver: {
+            name: booking.receiverName,
+            mobileNumber: booking.receiverMobile,
+            email: booking.receiverEmail,
+            flatBuilding: booking.receiverAddress,
+            locality: booking.receiverLocality
+          }
+        }
+      : { target };
+
+    try {
+      setBusyId(converting._id);
+      const response = await fetch(`/api/quotations/${converting._id}/convert`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify(body)
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.details?.join(', ') || result.error || 'Failed to convert quotation');
+      }
+
+      toast({
+        title: target === 'booking' ? "Booking Created" : "Pricing Draft Created",
+        description: result.message
+      });
+      setConverting(null);
+      fetchQuotations();
+    } catch (error) {
+      showError(error instanceof Error ? error.message : 'Failed to convert quotation');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const renderStatus = (quotation: Quotation) => {
+    if (quotation.status === 'accepted') {
+      return <Badge className="bg-green-100 text-green-800 text-xs">Accepted</Badge>;
+    }
+    if (quotation.status === 'expired') {
+      return <Badge variant="secondary" className="text-xs">Expired</Badge>;
+    }
+    return <Badge className="bg-blue-100 text-blue-800 text-xs">Sent</Badge>;
+  };
+
+  const renderConversion = (quotation: Quotation) => {
+    if (quotation.conversion?.type === 'booking') {
+      return <span className="text-xs text-gray-600">Booked as <span className="font-mono">{quotation.conversion.consignmentNumber}</span></span>;
+    }
+    if (quotation.conversion?.type === 'pricing') {
+      return <span className="text-xs text-gray-600">Pricing plan draft</span>;
+    }
+    return null;
+  };
+
+  const bookingIncomplete = !!converting && target === 'booking' && (
+    !/^\d{6}$/.test(converting.originPincode || booking.originPincode) ||
+    (!converting.customer.phone && !booking.senderMobile.trim()) ||
+    !booking.senderAddress.trim() ||
+    !booking.receiverName.trim() ||
+    !booking.receiverMobile.trim() ||
+    !booking.receiverAddress.trim()
+  );
+
+  return (
+    <div>
+      <Card className="shadow-lg border-0 rounded-2xl overflow-hidden">
+        <CardHeader className="pb-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+          <CardTitle className="flex items-center gap-2 text-lg">
+            <History className="h-5 w-5 text-blue-600" />
+            Quotation History
+          </CardTitle>
+          <div className="flex items-center gap-2">
+            <form onSubmit={handleSearch} className="flex items-center gap-2">
+              <Input
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Number, name, email or phone"
+                className="h-8 w-56 text-sm"
+              />
+              <Button type="submit" size="sm" variant="outline" className="h-8">
+                <Search className="h-4 w-4" />
+              </Button>
+            </form>
+            <Select value={statusFilter} onValueChange={(value) => { setStatusFilter(value); setPage(1); }}>
+              <SelectTrigger className="w-32 h-8">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All</SelectItem>
+                <SelectItem value="sent">Sent</SelectItem>
+                <SelectItem value="accepted">Accepted</SelectItem>
+                <SelectItem value="expired">Expired</SelectItem>
+              </SelectContent>
+            </Select>
+            <Button variant="outline" size="sm" className="h-8" onClick={fetchQuotations} disabled={loading}>
+              <RefreshCw className="h-4 w-4" />
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent className="p-0">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Quotation</TableHead>
+                <TableHead>Customer</TableHead>
+                <TableHead>Route</TableHead>
+                <TableHead>Total</TableHead>
+                <TableHead>Valid Until</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead></TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={7} className="text-center py-8">
+                    <Loader2 className="h-5 w-5 animate-spin inline mr-2" />
+                    Loading...
+                  </TableCell>
+                </TableRow>
+              ) : quotations.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={7} className="text-center py-8 text-gray-500">
+                    No quotations found.
+                  </TableCell>
+                </TableRow>
+              ) : (
+                quotations.map(quotation => (
+                  <TableRow key={quotation._id}>
+                    <TableCell className="text-sm">
+                      <div className="font-medium">{quotation.quotationNumber}</div>
+                      <div className="text-xs text-gray-500">
+                        {formatDate(quotation.createdAt)}{quotation.createdBy?.name && ` · ${quotation.createdBy.name}`}
+                      </div>
+                    </TableCell>
+                    <TableCell className="text-sm">
+                      <div className="font-medium">{quotation.customer.name}</div>
+                      <div className="text-xs text-gray-500">{quotation.customer.email}</div>
+                    </TableCell>
+                    <TableCell className="text-sm">
+                      <div>{quotation.origin} → {quotation.destination}</div>
+                      <div className="text-xs text-gray-500">{quotation.weight} kg @ ₹{quotation.ratePerKg}/kg</div>
+                    </TableCell>
+                    <TableCell className="text-sm font-medium">{formatAmount(quotation.totalAmount)}</TableCell>
+                    <TableCell className="text-sm">{formatDate(quotation.validUntil)}</TableCell>
+                    <TableCell>
+                      <div className="space-y-1">
+                        {renderStatus(quotation)}
+                        <div>{renderConversion(quotation)}</div>
+                      </div>
+                    </TableCell>
+                    <TableCell className="text-right whitespace-nowrap">
+                      {quotation.status === 'sent' && (
+                        <>
+                          <Button
+                            size="sm"
+                            variant="ghost"
+                            className="text-green-600"
+                            disabled={busyId === quotation._id}
+                            onClick={() => updateStatus(quotation, 'accept')}
+                          >
+                            <CheckCircle className="h-4 w-4 mr-1" />
+                            Accept
+                          </Button>
+                          <Button
+                            size="sm"
+                            variant="ghost"
+                            className="text-red-600"
+                            disabled={busyId === quotation._id}
+                            onClick={() => updateStatus(quotation, 'expire')}
+                          >
+                            {busyId === quotation._id ? <Loader2 className="h-4 w-4 animate-spin" /> : <X className="h-4 w-4" />}
+                          </Button>
+                        </>
+                      )}
+                      {quotation.status === 'accepted' && !quotation.conversion?.type && (
+                        <Button size="sm" variant="ghost" className="text-blue-600" onClick={() => openConvertDialog(quotation)}>
+                          <ArrowRightLeft className="h-4 w-4 mr-1" />
+                          Convert
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+          {totalPages > 1 && (
+            <div className="flex items-center justify-end gap-2 p-3 border-t">
+              <Button size="sm" variant="outline" disabled={page <= 1 || loading} onClick={() => setPage(page - 1)}>
+                Previous
+              </Button>
+              <span className="text-sm text-gray-600">Page {page} of {totalPages}</span>
+              <Button size="sm" variant="outline" disabled={page >= totalPages || loading} onClick={() => setPage(page + 1)}>
+                Next
+              </Button>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Dialog open={!!converting} onOpenChange={(open) => !open && setConverting(null)}>
+        <DialogContent className="max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>Convert {converting?.quotationNumber}</DialogTitle>
+          </DialogHeader>
+          {converting && (
+            <div className="space-y-4">
+              <p className="text-sm text-gray-600">
+                {converting.customer.name} · {converting.origin} → {converting.destination} · {converting.weight} kg @ ₹{converting.ratePerKg}/kg
+              </p>
+              <div className="grid grid-cols-2 gap-2">
+                <Button variant={target === 'booking' ? 'default' : 'outline'} onClick={() => setTarget('booking')}>
+                  Booking
+                </Button>
+                <Button variant={target === 'pricing' ? 'default' : 'outline'} onClick={() => setTarget('pricing')}>
+                  Pricing plan draft
+                </Button>
+              </div>
+
+              {target === 'pricing' ? (
+                <p className="text-sm text-gray-600">
+                  Creates a pending corporate pricing plan with ₹{converting.ratePerKg}/kg in the NON-DOX per kg rates.
+                  Fill in the remaining rates in Corporate Approval before approving it.
+                </p>
+              ) : (
+                <div className="space-y-4">
+                  <div className="grid grid-cols-2 gap-4">
+                    {!converting.originPincode && (
+                      <div className="space-y-1">
+                        <Label htmlFor="convertOriginPincode">Pickup Pincode *</Label>
+                        <Input
+                          id="convertOriginPincode"
+                          inputMode="numeric"
+                          maxLength={6}
+                          value={booking.originPincode}
+                          onChange={(e) => handleBookingChange('originPincode', e.target.value.replace(/\D/g, ''))}
+                        />
+                      </div>
+                    )}
+                    {!converting.customer.phone && (
+                      <div className="space-y-1">
+                        <Label htmlFor="convertSenderMobile">Sender Mobile *</Label>
+                        <Input
+                          id="convertSenderMobile"
+                          value={booking.senderMobile}
+                          onChange={(e) => handleBookingChange('senderMobile', e.target.value)}
+                        />
+                      </div>
+                    )}
+                    <div className="space-y-1">
+                      <Label htmlFor="convertSenderAddress">Sender Address *</Label>
+                      <Input
+                        id="convertSenderAddress"
+                        placeholder="Flat / building"
+                        value={booking.senderAddress}
+                        onChange={(e) => handleBookingChange('senderAddress', e.target.value)}
+                      />
+                    </div>
+                    <div className="space-y-1">
+                      <Label htmlFor="convertSenderLocality">Sender Locality</Label>
+                      <Input
+                        id="convertSenderLocality"
+                        value={booking.senderLocality}
+                        onChange={(e) => handleBookingChange('senderLocality', e.target.value)}
+                      />
+                    </div>
+                  </div>
+                  <div className="grid grid-cols-2 gap-4">
+                    <div className="space-y-1">
+                      <Label htmlFor="convertReceiverName">Receiver Name *</Label>
+                      <Input
+                        id="convertReceiverName"
+                        value={booking.receiverName}
+                        onChange={(e) => handleBookingChange('receiverName', e.target.value)}
+                      />
+                    </div>
+                    <div className="space-y-1">
+                      <Label htmlFor="convertReceiverMobile">Receiver Mobile *</Label>
+                      <Input
+                        id="convertReceiverMobile"
+                        value={booking.receiverMobile}
+                        onChange={(e) => handleBookingChange('receiverMobile', e.target.value)}
+                      />
+                    </div>
+                    <div className="space-y-1">
+                      <Label htmlFor="convertReceiverAddress">Receiver Address *</Label>
+                      <Input
+                        id="convertReceiverAddress"
+                        placeholder="Flat / building"
+                        value={booking.receiverAddress}
+                        onChange={(e) => handleBookingChange('receiverAddress', e.target.value)}
+                      />
+                    </div>
+                    <div className="space-y-1">
+                      <Label htmlFor="convertReceiverLocality">Receiver Locality</Label>
+                      <Input
+                        id="convertReceiverLocality"
+                        value={booking.receiverLocality}
+                        onChange={(e) => handleBookingChange('receiverLocality', e.target.value)}
+                      />
+                    </div>
+                    <div className="space-y-1">
+                      <Label htmlFor="convertReceiverEmail">Receiver Email</Label>
+                      <Input
+                        id="convertReceiverEmail"
+                        type="email"
+                        value={booking.receiverEmail}
+                        onChange={(e) => handleBookingChange('receiverEmail', e.target.value)}
+                      />
+                    </div>
+                    <div className="space-y-1">
+                      <Label htmlFor="convertConsignment">Consignment Number</Label>
+                      <Input
+                        id="convertConsignment"
+                        inputMode="numeric"
+                        placeholder="Generated if left blank"
+                        value={booking.consignmentNumber}
+                        onChange={(e) => handleBookingChange('consignmentNumber', e.target.value.replace(/\D/g, ''))}
+                      />
+                    </div>
+                  </div>
+                  <p className="text-xs text-gray-500">
+                    City, district and state are filled from the pincodes ({converting.originPincode || booking.originPincode || '------'} → {converting.destinationPincode}).
+                  </p>
+                </div>
+              )}
+            </div>
+          )}
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setConverting(null)}>Cancel</Button>
+            <Button onClick={handleConvert} disabled={bookingIncomplete || busyId === converting?._id}>
+              {busyId === converting?._id && <Loader2 className="h-4 w-4 animate-spin mr-2" />}
+              {target === 'booking' ? 'Create Booking' : 'Create Draft'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default QuotationHistory;
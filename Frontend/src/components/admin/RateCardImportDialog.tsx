@@ -0,0 +1,232 @@
+import React, { useState, useEffect } from 'react';
+import { AlertCircle, CheckCircle, Download, FileSpreadsheet, Loader2, Upload } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { useToast } from '@/hooks/use-toast';
+import {
+  downloadRateCard,
+  readRateCardFile,
+  rowsToRateCard,
+  type ImportedRateCard,
+  type RateCardSheetError
+} from '@/utils/rateCardSheet';
+
+interface RateCardImportDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  onImported: () => void;
+}
+
+interface PricingZoneSummary {
+  code: string;
+  category: string;
+  isActive: boolean;
+}
+
+const RateCardImportDialog: React.FC<RateCardImportDialogProps> = ({ open, onOpenChange, onImported }) => {
+  const { toast } = useToast();
+  const [zoneCodes, setZoneCodes] = useState<string[] | undefined>(undefined);
+  const [fileName, setFileName] = useState('');
+  const [plan, setPlan] = useState<ImportedRateCard | null>(null);
+  const [errors, setErrors] = useState<RateCardSheetError[]>([]);
+  const [name, setName] = useState('');
+  const [isReading, setIsReading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+
+    setFileName('');
+    setPlan(null);
+    setErrors([]);
+    setName('');
+
+    const fetchZones = async () => {
+      try {
+        const response = await fetch('/api/zones', {
+          headers: {
+            'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
+          }
+        });
+        const result = await response.json();
+        if (result.success) {
+          setZoneCodes(result.data
+            .filter((zone: PricingZoneSummary) => zone.category === 'special' && zone.isActive)
+            .map((zone: PricingZoneSummary) => zone.code));
+        }
+      } catch (error) {
+        console.error('Error fetching pricing zones:', error);
+      }
+    };
+    fetchZones();
+  }, [open]);
+
+  const handleFile = async (file: File | undefined) => {
+    if (!file) return;
+
+    setIsReading(true);
+    setFileName(file.name);
+    try {
+      const rows = await readRateCardFile(file);
+      const parsed = rowsToRateCard(rows, zoneCodes);
+      setPlan(parsed.plan);
+      setErrors(parsed.errors);
+      setName(parsed.plan.name);
+    } catch (error) {
+      console.error('Error reading rate card:', error);
+      setPlan(null);
+      setErrors([{ message: 'The file could not be read as a CSV or XLSX rate card' }]);
+    } finally {
+      setIsReading(false);
+    }
+  };
+
+  const handleCreate = async () => {
+    if (!plan || errors.length > 0 || !name.trim()) return;
+
+    setIsSaving(true);
+    try {
+      const response = await fetch('/api/admin/corporate-pricing', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
+        },
+        body: JSON.stringify({ ...plan, name: name.trim(), sendEmailApproval: false })
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to create pricing plan');
+      }
+
+      toast({
+        title: 'Rate Card Imported',
+        description: `"${name.trim()}" was created and is pending approval.`,
+      });
+      onOpenChange(false);
+      onImported();
+    } catch (error) {
+      toast({
+        title: 'Import Failed',
+        description: error instanceof Error ? error.message : 'Failed to create pricing plan',
+        variant: 'destructive',
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-2xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <FileSpreadsheet className="h-5 w-5 text-green-600" />
+            Import Rate Card
+          </DialogTitle>
+          <DialogDescription>
+            Upload a CSV or XLSX rate card in the exported layout. It is created as a new pending plan.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="flex items-center gap-3">
+            <Label
+              htmlFor="rateCardFile"
+              className="flex items-center gap-2 cursor-pointer rounded-md border border-gray-300 px-4 py-2 text-sm hover:bg-gray-50"
+            >
+              <Upload className="h-4 w-4" />
+              {fileName || 'Choose file'}
+            </Label>
+            <input
+              id="rateCardFile"
+              type="file"
+              accept=".csv,.xlsx,.xls"
+              className="hidden"
+              onChange={(e) => {
+                handleFile(e.target.files?.[0]);
+                e.target.value = '';
+              }}
+            />
+            <Button type="button" variant="ghost" size="sm" onClick={() => downloadRateCard({}, 'xlsx')}>
+              <Download className="h-4 w-4 mr-1" />
+              Template
+            </Button>
+            {isReading && <Loader2 className="h-4 w-4 animate-spin text-gray-500" />}
+          </div>
+
+          {errors.length > 0 && (
+            <div className="rounded-md border border-red-200 bg-red-50 p-3">
+              <p className="text-sm font-medium text-red-800 flex items-center gap-2 mb-2">
+                <AlertCircle className="h-4 w-4" />
+                {errors.length} problem{errors.length === 1 ? '' : 's'} found. Fix the sheet and upload it again.
+              </p>
+              <ul className="space-y-1 text-xs text-red-700 max-h-60 overflow-y-auto">
+                {errors.map((error, index) => (
+                  <li key={index}>
+                    {error.row ? <span className="font-semibold">Row {error.row}: </span> : null}
+                    {error.message}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {plan && errors.length === 0 && (
+            <div className="space-y-3 rounded-md border border-green-200 bg-green-50 p-3">
+              <p className="text-sm font-medium text-green-800 flex items-center gap-2">
+                <CheckCircle className="h-4 w-4" />
+                All rows are valid
+              </p>
+              <div className="space-y-1">
+                <Label htmlFor="importedPlanName" className="text-xs text-gray-600">Plan Name</Label>
+                <Input
+                  id="importedPlanName"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  className="bg-white"
+                />
+              </div>
+              <div className="grid grid-cols-3 gap-2 text-xs text-gray-700">
+                <div>
+                  Fuel Charge: <span className="font-semibold">
+                    {plan.fuelChargeMode === 'index' ? `Index (fallback ${plan.fuelChargePercentage}%)` : `${plan.fuelChargePercentage}%`}
+                  </span>
+                </div>
+                <div>RTO Charge: <span className="font-semibold">{plan.rtoChargePercentage}%</span></div>
+                <div>COD Charge: <span className="font-semibold">{plan.codCharge.percentage}% (min ₹{plan.codCharge.minimum})</span></div>
+                <div>Special Zones: <span className="font-semibold">{Object.keys(plan.zonePricing).length}</span></div>
+              </div>
+            </div>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleCreate}
+            disabled={!plan || errors.length > 0 || !name.trim() || isSaving}
+            className="bg-green-600 hover:bg-green-700 text-white"
+          >
+            {isSaving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Create Pending Plan
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default RateCardImportDialog;
@@ -7,6 +7,7 @@ import { Textarea } from '@/components/ui/textarea';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { useToast } from '@/hooks/use-toast';
 import { Loader2, Send, FileText, Plus, Trash2 } from 'lucide-react';
+import QuotationHistory from './QuotationHistory';
 
 interface AdditionalCharge {
   id: string;
@@ -20,6 +21,8 @@ interface QuotationFormData {
   customerPhone: string;
   origin: string;
   destination: string;
+  originPincode: string;
+  destinationPincode: string;
   weight: string;
   ratePerKg: string;
   gstRate: string;
@@ -29,14 +32,17 @@ interface QuotationFormData {
 const SingleQuotation = () => {
   const { toast } = useToast();
   const [isLoading, setIsLoading] = useState(false);
+  const [historyKey, setHistoryKey] = useState(0);
   const [formData, setFormData] = useState<QuotationFormData>({
     customerName: '',
     customerEmail: '',
     customerPhone: '',
     origin: '',
     destination: '',
+    originPincode: '',
+    destinationPincode: '',
     weight: '',
-    ratePerKg: '45',
+    ratePerKg: '',
     gstRate: '18',
     additionalCharges: []
   });
@@ -103,7 +109,7 @@ const SingleQuotation = () => {
     e.preventDefault();
     
     // Validation
-    if (!formData.customerName || !formData.customerEmail || !formData.origin || !formData.destination || !formData.weight) {
+    if (!formData.customerName || !formData.customerEmail || !formData.origin || !formData.destination || !formData.weight || !formData.ratePerKg) {
       toast({
         title: "Validation Error",
         description: "Please fill in all required fields",
@@ -112,6 +118,15 @@ const SingleQuotation = () => {
       return;
     }
 
+    if (!/^\d{6}$/.test(formData.destinationPincode) || (formData.originPincode && !/^\d{6}$/.test(formData.originPincode))) {
+      toast({
+        title: "Validation Error",
+        description: "Please enter valid 6 digit pincodes",
+        variant: "destructive"
+      });
+      return;
+    }
+
     setIsLoading(true);
     
     try {
@@ -129,8 +144,9 @@ const SingleQuotation = () => {
       if (result.success) {
         toast({
           title: "Quotation Sent",
-          description: `Quotation PDF has been sent to ${formData.customerEmail}`,
+          description: `Quotation ${result.data.quotationNumber} has been sent to ${formData.customerEmail}`,
         });
+        setHistoryKey(key => key + 1);
         
         // Reset form
         setFormData({
@@ -139,8 +155,10 @@ const SingleQuotation = () => {
           customerPhone: '',
           origin: '',
           destination: '',
+          originPincode: '',
+          destinationPincode: '',
           weight: '',
-          ratePerKg: '45',
+          ratePerKg: '',
           gstRate: '18',
           additionalCharges: []
         });
@@ -250,18 +268,47 @@ const SingleQuotation = () => {
               </div>
             </div>
 
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 sm:gap-4">
+              <div className="space-y-1.5 sm:space-y-2">
+                <Label htmlFor="originPincode" className="text-xs sm:text-sm font-medium text-gray-700">Origin Pincode</Label>
+                <Input
+                  id="originPincode"
+                  inputMode="numeric"
+                  maxLength={6}
+                  value={formData.originPincode}
+                  onChange={(e) => handleInputChange('originPincode', e.target.value.replace(/\D/g, ''))}
+                  placeholder="e.g., 781001"
+                  className="h-11 sm:h-10 text-sm shadow-sm border-gray-200 focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all duration-200"
+                />
+              </div>
+              <div className="space-y-1.5 sm:space-y-2">
+                <Label htmlFor="destinationPincode" className="text-xs sm:text-sm font-medium text-gray-700">Destination Pincode *</Label>
+                <Input
+                  id="destinationPincode"
+                  inputMode="numeric"
+                  maxLength={6}
+                  value={formData.destinationPincode}
+                  onChange={(e) => handleInputChange('destinationPincode', e.target.value.replace(/\D/g, ''))}
+                  placeholder="e.g., 500001"
+                  className="h-11 sm:h-10 text-sm shadow-sm border-gray-200 focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all duration-200"
+                  required
+                />
+              </div>
+            </div>
+
             {/* Pricing - Mobile Optimized */}
             <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 sm:gap-4">
               <div className="space-y-1.5 sm:space-y-2">
-                <Label htmlFor="ratePerKg" className="text-xs sm:text-sm font-medium text-gray-700">Rate/kg (₹)</Label>
+                <Label htmlFor="ratePerKg" className="text-xs sm:text-sm font-medium text-gray-700">Rate/kg (₹) *</Label>
                 <Input
                   id="ratePerKg"
                   type="number"
                   step="0.01"
                   value={formData.ratePerKg}
                   onChange={(e) => handleInputChange('ratePerKg', e.target.value)}
-                  placeholder="45.00"
+                  placeholder="0.00"
                   className="h-11 sm:h-10 text-sm shadow-sm border-gray-200 focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all duration-200"
+                  required
                 />
               </div>
               <div className="space-y-1.5 sm:space-y-2">
@@ -408,6 +455,9 @@ const SingleQuotation = () => {
           </form>
         </CardContent>
       </Card>
+      <div className="mt-6">
+        <QuotationHistory refreshKey={historyKey} />
+      </div>
     </div>
   );
 };
@@ -0,0 +1,493 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Switch } from '@/components/ui/switch';
+import { Badge } from '@/components/ui/badge';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Edit, Loader2, Map as MapIcon, Plus, Search, Trash2 } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+import { zoneLabel } from '@/utils/rateCardTest';
+
+interface PincodeRange {
+  from: number;
+  to: number;
+}
+
+interface PricingZone {
+  _id: string;
+  code: string;
+  name: string;
+  description?: string;
+  category: 'region' | 'special';
+  isOda: boolean;
+  pincodes: number[];
+  pincodeRanges: PincodeRange[];
+  districts: string[];
+  states: string[];
+  priority: number;
+  isActive: boolean;
+}
+
+interface ZoneResolution {
+  pincode: number;
+  district: string | null;
+  state: string | null;
+  region: string;
+  zones: string[];
+  isOda: boolean;
+  matches: { code: string; name: string; category: string; matchedBy: string }[];
+}
+
+const emptyForm = {
+  code: '',
+  name: '',
+  description: '',
+  isOda: false,
+  pincodes: '',
+  districts: '',
+  states: '',
+  priority: '0',
+  isActive: true
+};
+
+const splitList = (value: string) => value.split(/[,\n]+/).map(item => item.trim()).filter(Boolean);
+
+// "781001, 110001-110099" -> single pincodes and ranges
+const parsePincodes = (value: string) => {
+  const pincodes: number[] = [];
+  const pincodeRanges: PincodeRange[] = [];
+  value.split(/[\s,]+/).filter(Boolean).forEach(token => {
+    const [from, to] = token.split('-').map(part => parseInt(part));
+    if (to !== undefined && !isNaN(from) && !isNaN(to)) {
+      pincodeRanges.push({ from, to });
+    } else if (!isNaN(from)) {
+      pincodes.push(from);
+    }
+  });
+  return { pincodes, pincodeRanges };
+};
+
+const formatPincodes = (zone: PricingZone) => [
+  ...zone.pincodeRanges.map(range => `${range.from}-${range.to}`),
+  ...zone.pincodes.map(String)
+].join(', ');
+
+const ZoneMaster: React.FC = () => {
+  const [zones, setZones] = useState<PricingZone[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [deletingId, setDeletingId] = useState<string | null>(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingZone, setEditingZone] = useState<PricingZone | null>(null);
+  const [form, setForm] = useState(emptyForm);
+  const [checkPincode, setCheckPincode] = useState('');
+  const [checking, setChecking] = useState(false);
+  const [resolution, setResolution] = useState<ZoneResolution | null>(null);
+  const { toast } = useToast();
+
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`,
+    'Content-Type': 'application/json'
+  });
+
+  const fetchZones = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch('/api/zones', { headers: authHeaders() });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to load zones');
+      }
+      setZones(result.data);
+    } catch (error) {
+      console.error('Error fetching pricing zones:', error);
+      toast({
+        title: "Error",
+        description: "Failed to load pricing zones. Please try again.",
+        variant: "destructive",
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchZones();
+  }, []);
+
+  const openCreate = () => {
+    setEditingZone(null);
+    setForm(emptyForm);
+    setDialogOpen(true);
+  };
+
+  const openEdit = (zone: PricingZone) => {
+    setEditingZone(zone);
+    setForm({
+      code: zone.code,
+      name: zone.name,
+      description: zone.description || '',
+      isOda: zone.isOda,
+      pincodes: formatPincodes(zone),
+      districts: zone.districts.join(', '),
+      states: zone.states.join(', '),
+      priority: String(zone.priority ?? 0),
+      isActive: zone.isActive
+    });
+    setDialogOpen(true);
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const response = await fetch(editingZone ? `/api/zones/${editingZone._id}` : '/api/zones', {
+        method: editingZone ? 'PUT' : 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({
+          ...(editingZone ? {} : { code: form.code.trim() }),
+          name: form.name,
+          description: form.description,
+          isOda: form.isOda,
+          ...parsePincodes(form.pincodes),
+          districts: splitList(form.districts),
+          states: splitList(form.states),
+          priority: parseInt(form.priority) || 0,
+          isActive: form.isActive
+        })
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.details?.join(', ') || result.error || 'Failed to save zone');
+      }
+
+      toast({ title: editingZone ? "Zone Updated" : "Zone Added", description: `${form.name} is saved in the zone master.` });
+      setDialogOpen(false);
+      fetchZones();
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : 'Failed to save zone',
+        variant: "destructive",
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (zone: PricingZone) => {
+    try {
+      setDeletingId(zone._id);
+      const response = await fetch(`/api/zones/${zone._id}`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to remove zone');
+      }
+      setZones(prev => prev.filter(item => item._id !== zone._id));
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : 'Failed to remove zone',
+        variant: "destructive",
+      });
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  const handleCheck = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    try {
+      setChecking(true);
+      const response = await fetch(`/api/zones/resolve/${checkPincode.trim()}`, { headers: authHeaders() });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to check pincode');
+      }
+      setResolution(result.data);
+    } catch (error) {
+      setResolution(null);
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : 'Failed to check pincode',
+        variant: "destructive",
+      });
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <Card>
+        <CardHeader className="pb-3">
+          <div className="flex items-center justify-between">
+            <div>
+              <CardTitle className="flex items-center gap-2 text-lg">
+                <MapIcon className="h-5 w-5 text-blue-600" />
+                Zone Master
+              </CardTitle>
+              <p className="text-sm text-gray-500">
+                Pincodes, districts and states decide the rate card column a shipment is priced from.
+                Pincodes outside the Assam and North East regions are Rest of India.
+              </p>
+            </div>
+            <Button onClick={openCreate} className="flex items-center gap-2">
+              <Plus className="h-4 w-4" />
+              Add Special Zone
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleCheck} className="flex items-end gap-3">
+            <div className="space-y-1">
+              <Label htmlFor="zoneCheckPincode">Check a pincode</Label>
+              <Input
+                id="zoneCheckPincode"
+                required
+                maxLength={6}
+                placeholder="e.g. 781001"
+                value={checkPincode}
+                onChange={e => setCheckPincode(e.target.value.replace(/\D/g, ''))}
+                className="w-40"
+              />
+            </div>
+            <Button type="submit" variant="outline" disabled={checking} className="flex items-center gap-2">
+              {checking ? <Loader2 className="h-4 w-4 animate-spin" /> : <Search className="h-4 w-4" />}
+              Check
+            </Button>
+          </form>
+
+          {resolution && (
+            <div className="mt-3 rounded-lg border border-gray-200 bg-gray-50 p-3 text-sm space-y-1">
+              <div>
+                <span className="font-medium">{resolution.pincode}</span>
+                {resolution.district || resolution.state
+                  ? ` — ${[resolution.district, resolution.state].filter(Boolean).join(', ')}`
+                  : ' — not listed in the pincode master'}
+              </div>
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="text-gray-600">Region:</span>
+                <Badge variant="secondary">{zoneLabel(resolution.region)}</Badge>
+                {resolution.matches.filter(match => match.category === 'special').map(match => (
+                  <Badge key={match.code} variant="outline">{match.name} (by {match.matchedBy})</Badge>
+                ))}
+                {resolution.isOda && <Badge className="bg-orange-100 text-orange-800 border-orange-200">ODA</Badge>}
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardContent className="p-0">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Zone</TableHead>
+                <TableHead>Type</TableHead>
+                <TableHead>Pincodes</TableHead>
+                <TableHead>Districts</TableHead>
+                <TableHead>States</TableHead>
+                <TableHead>Priority</TableHead>
+                <TableHead></TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={7} className="text-center py-8">
+                    <Loader2 className="h-5 w-5 animate-spin inline mr-2" />
+                    Loading...
+                  </TableCell>
+                </TableRow>
+              ) : zones.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={7} className="text-center py-8 text-gray-500">
+                    No zones defined yet
+                  </TableCell>
+                </TableRow>
+              ) : (
+                zones.map(zone => (
+                  <TableRow key={zone._id} className={zone.isActive ? '' : 'opacity-60'}>
+                    <TableCell className="text-sm">
+                      <div className="font-medium">{zone.name}</div>
+                      <div className="text-xs text-gray-500">{zone.code}</div>
+                    </TableCell>
+                    <TableCell>
+                      <div className="flex flex-wrap gap-1">
+                        <Badge variant={zone.category === 'region' ? 'secondary' : 'outline'} className="text-xs capitalize">{zone.category}</Badge>
+                        {zone.isOda && <Badge className="text-xs bg-orange-100 text-orange-800 border-orange-200">ODA</Badge>}
+                        {!zone.isActive && <Badge variant="outline" className="text-xs">Inactive</Badge>}
+                      </div>
+                    </TableCell>
+                    <TableCell className="text-xs max-w-[200px] truncate" title={formatPincodes(zone)}>{formatPincodes(zone) || '—'}</TableCell>
+                    <TableCell className="text-xs max-w-[160px] truncate" title={zone.districts.join(', ')}>{zone.districts.join(', ') || '—'}</TableCell>
+                    <TableCell className="text-xs max-w-[160px] truncate" title={zone.states.join(', ')}>{zone.states.join(', ') || '—'}</TableCell>
+                    <TableCell className="text-sm">{zone.priority}</TableCell>
+                    <TableCell className="text-right whitespace-nowrap">
+                      <Button size="sm" variant="ghost" onClick={() => openEdit(zone)} title="Edit zone">
+                        <Edit className="h-4 w-4" />
+                      </Button>
+                      {zone.category === 'special' && (
+                        <Button
+                          size="sm"
+                          variant="ghost"
+                          className="text-red-600"
+                          disabled={deletingId === zone._id}
+                          onClick={() => handleDelete(zone)}
+                          title="Remove zone"
+                        >
+                          {deletingId === zone._id ? <Loader2 className="h-4 w-4 animate-spin" /> : <Trash2 className="h-4 w-4" />}
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      <Dialog open={dialogOpen} onOpenChange={setDialogOpen}>
+        <DialogContent className="sm:max-w-lg">
+          <form onSubmit={handleSave}>
+            <DialogHeader>
+              <DialogTitle>{editingZone ? `Edit ${editingZone.name}` : 'Add Special Zone'}</DialogTitle>
+              <DialogDescription>
+                A pincode match wins over a district match, and a district match over a state match.
+              </DialogDescription>
+            </DialogHeader>
+
+            <div className="grid gap-3 py-4">
+              <div className="grid grid-cols-2 gap-3">
+                <div className="space-y-1">
+                  <Label htmlFor="zoneCode">Code</Label>
+                  <Input
+                    id="zoneCode"
+                    required
+                    disabled={!!editingZone}
+                    placeholder="e.g. metro"
+                    value={form.code}
+                    onChange={e => setForm(prev => ({ ...prev, code: e.target.value.replace(/[^a-zA-Z0-9]/g, '') }))}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor="zoneName">Name</Label>
+                  <Input
+                    id="zoneName"
+                    required
+                    placeholder="e.g. Metro Cities"
+                    value={form.name}
+                    onChange={e => setForm(prev => ({ ...prev, name: e.target.value }))}
+                  />
+                </div>
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="zoneDescription">Description</Label>
+                <Input
+                  id="zoneDescription"
+                  value={form.description}
+                  onChange={e => setForm(prev => ({ ...prev, description: e.target.value }))}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="zonePincodes">Pincodes and ranges</Label>
+                <Textarea
+                  id="zonePincodes"
+                  rows={2}
+                  placeholder="e.g. 110001-110099, 400001"
+                  value={form.pincodes}
+                  onChange={e => setForm(prev => ({ ...prev, pincodes: e.target.value }))}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="zoneDistricts">Districts</Label>
+                <Input
+                  id="zoneDistricts"
+                  placeholder="Comma separated, as in the pincode master"
+                  value={form.districts}
+                  onChange={e => setForm(prev => ({ ...prev, districts: e.target.value }))}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="zoneStates">States</Label>
+                <Input
+                  id="zoneStates"
+                  placeholder="e.g. Jammu and Kashmir, Ladakh"
+                  value={form.states}
+                  onChange={e => setForm(prev => ({ ...prev, states: e.target.value }))}
+                />
+              </div>
+              <div className="grid grid-cols-3 gap-3 items-end">
+                <div className="space-y-1">
+                  <Label htmlFor="zonePriority">Priority</Label>
+                  <Input
+                    id="zonePriority"
+                    type="number"
+                    value={form.priority}
+                    onChange={e => setForm(prev => ({ ...prev, priority: e.target.value }))}
+                  />
+                </div>
+                <div className="flex items-center gap-2 pb-2">
+                  <Switch
+                    id="zoneIsOda"
+                    checked={form.isOda}
+                    onCheckedChange={checked => setForm(prev => ({ ...prev, isOda: checked }))}
+                  />
+                  <Label htmlFor="zoneIsOda">ODA surcharge</Label>
+                </div>
+                <div className="flex items-center gap-2 pb-2">
+                  <Switch
+                    id="zoneIsActive"
+                    checked={form.isActive}
+                    onCheckedChange={checked => setForm(prev => ({ ...prev, isActive: checked }))}
+                  />
+                  <Label htmlFor="zoneIsActive">Active</Label>
+                </div>
+              </div>
+            </div>
+
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setDialogOpen(false)}>Cancel</Button>
+              <Button type="submit" disabled={saving} className="flex items-center gap-2">
+                {saving && <Loader2 className="h-4 w-4 animate-spin" />}
+                {editingZone ? 'Save Changes' : 'Add Zone'}
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default ZoneMaster;
@@ -0,0 +1,195 @@
+import React, { useState, useEffect } from 'react';
+import { MapPin, Plus, Trash2 } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+
+export interface ZoneRates {
+  doxPricing: Record<string, string | number>;
+  nonDoxSurfacePricing: string | number;
+  nonDoxAirPricing: string | number;
+  priorityPricing: Record<string, string | number>;
+}
+
+export type ZonePricing = Record<string, ZoneRates>;
+
+interface SpecialZone {
+  _id: string;
+  code: string;
+  name: string;
+  isOda: boolean;
+  isActive: boolean;
+  category: string;
+}
+
+interface ZoneRatesEditorProps {
+  value: ZonePricing;
+  onChange: (value: ZonePricing) => void;
+}
+
+// Rate card cells a plan sets per special zone
+export const ZONE_RATE_CELLS: { table: keyof ZoneRates; slab?: string; label: string }[] = [
+  { table: 'doxPricing', slab: '01gm-250gm', label: 'DOX 1-250gm' },
+  { table: 'doxPricing', slab: '251gm-500gm', label: 'DOX 251-500gm' },
+  { table: 'doxPricing', slab: 'add500gm', label: 'DOX Add. 500gm' },
+  { table: 'priorityPricing', slab: '01gm-500gm', label: 'Priority 1-500gm' },
+  { table: 'priorityPricing', slab: 'add500gm', label: 'Priority Add. 500gm' },
+  { table: 'nonDoxSurfacePricing', label: 'Non-DOX Surface /kg' },
+  { table: 'nonDoxAirPricing', label: 'Non-DOX Air /kg' }
+];
+
+export const emptyZoneRates = (): ZoneRates => ({
+  doxPricing: { '01gm-250gm': '', '251gm-500gm': '', add500gm: '' },
+  nonDoxSurfacePricing: '',
+  nonDoxAirPricing: '',
+  priorityPricing: { '01gm-500gm': '', add500gm: '' }
+});
+
+const ZoneRatesEditor: React.FC<ZoneRatesEditorProps> = ({ value, onChange }) => {
+  const [zones, setZones] = useState<SpecialZone[]>([]);
+  const [zoneToAdd, setZoneToAdd] = useState('');
+
+  useEffect(() => {
+    const fetchZones = async () => {
+      try {
+        const response = await fetch('/api/zones', {
+          headers: {
+            'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
+          }
+        });
+        const result = await response.json();
+        if (result.success) {
+          setZones(result.data.filter((zone: SpecialZone) => zone.category === 'special' && zone.isActive));
+        }
+      } catch (error) {
+        console.error('Error fetching pricing zones:', error);
+      }
+    };
+    fetchZones();
+  }, []);
+
+  const pricedCodes = Object.keys(value || {});
+  const availableZones = zones.filter(zone => !pricedCodes.includes(zone.code));
+  const zoneName = (code: string) => zones.find(zone => zone.code === code)?.name || code;
+
+  const addZone = () => {
+    if (!zoneToAdd) return;
+    onChange({ ...value, [zoneToAdd]: emptyZoneRates() });
+    setZoneToAdd('');
+  };
+
+  const removeZone = (code: string) => {
+    const next = { ...value };
+    delete next[code];
+    onChange(next);
+  };
+
+  const cellValue = (code: string, table: keyof ZoneRates, slab?: string) => {
+    const rates = value[code];
+    const cell = slab ? (rates?.[table] as Record<string, string | number>)?.[slab] : rates?.[table];
+    return cell === undefined || cell === null ? '' : String(cell);
+  };
+
+  const updateCell = (code: string, table: keyof ZoneRates, slab: string | undefined, input: string) => {
+    if (input !== '' && !/^\d*\.?\d*$/.test(input)) return;
+    const rates = { ...emptyZoneRates(), ...value[code] };
+    const updated = slab
+      ? { ...rates, [table]: { ...(rates[table] as Record<string, string | number>), [slab]: input } }
+      : { ...rates, [table]: input };
+    onChange({ ...value, [code]: updated });
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-xs text-gray-600">
+        Special zones from the zone master (metro, ODA, J&amp;K...) can be priced separately.
+        Destinations in a zone without its own rates are charged from the Assam / North East / Rest of India columns.
+      </p>
+
+      {pricedCodes.length > 0 && (
+        <div className="overflow-x-auto">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Zone</TableHead>
+                {ZONE_RATE_CELLS.map(cell => (
+                  <TableHead key={`${cell.table}-${cell.slab || ''}`} className="text-center text-xs">{cell.label}</TableHead>
+                ))}
+                <TableHead />
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {pricedCodes.map(code => (
+                <TableRow key={code}>
+                  <TableCell className="font-medium whitespace-nowrap">
+                    {zoneName(code)}
+                    {zones.find(zone => zone.code === code)?.isOda && (
+                      <Badge variant="outline" className="ml-2 text-[10px]">ODA</Badge>
+                    )}
+                  </TableCell>
+                  {ZONE_RATE_CELLS.map(cell => (
+                    <TableCell key={`${cell.table}-${cell.slab || ''}`} className="p-1">
+                      <Input
+                        value={cellValue(code, cell.table, cell.slab)}
+                        onChange={(e) => updateCell(code, cell.table, cell.slab, e.target.value)}
+                        className="h-8 w-24 text-center text-sm"
+                        placeholder="0.00"
+                      />
+                    </TableCell>
+                  ))}
+                  <TableCell className="p-1">
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => removeZone(code)}
+                      className="h-8 w-8 p-0"
+                      title="Remove zone rates"
+                    >
+                      <Trash2 className="h-4 w-4 text-red-600" />
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      )}
+
+      {availableZones.length > 0 ? (
+        <div className="flex items-center gap-2">
+          <Select value={zoneToAdd} onValueChange={setZoneToAdd}>
+            <SelectTrigger className="w-64">
+              <SelectValue placeholder="Select a special zone" />
+            </SelectTrigger>
+            <SelectContent>
+              {availableZones.map(zone => (
+                <SelectItem key={zone._id} value={zone.code}>{zone.name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button type="button" variant="outline" size="sm" onClick={addZone} disabled={!zoneToAdd}>
+            <Plus className="h-4 w-4 mr-1" />
+            Add Zone Rates
+          </Button>
+        </div>
+      ) : zones.length === 0 && (
+        <p className="text-xs text-gray-500 flex items-center gap-1">
+          <MapPin className="h-3 w-3" />
+          No special zones are defined in the zone master.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ZoneRatesEditor;
@@ -0,0 +1,158 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { IndianRupee, Loader2 } from "lucide-react";
+
+type CodStage = 'pending' | 'collected' | 'remitted' | 'cancelled';
+
+type CodSummary = Record<CodStage, { count: number; amount: number }>;
+
+interface CodRemittance {
+  _id: string;
+  remittanceNumber: string;
+  shipments: { consignmentNumber: number; amount: number }[];
+  totalAmount: number;
+  status: 'pending' | 'paid' | 'cancelled';
+  utrReference?: string;
+  paymentMode: string;
+  paidAt: string | null;
+  createdAt: string;
+}
+
+const STAGES: { key: CodStage; label: string; hint: string; className: string }[] = [
+  { key: 'pending', label: 'To Collect', hint: 'Out for delivery', className: 'text-amber-700' },
+  { key: 'collected', label: 'Collected', hint: 'Awaiting remittance', className: 'text-blue-700' },
+  { key: 'remitted', label: 'Remitted', hint: 'Paid to your bank', className: 'text-green-700' },
+  { key: 'cancelled', label: 'Cancelled', hint: 'Returned to origin', className: 'text-gray-600' }
+];
+
+const formatAmount = (amount: number) => `₹${amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date: string) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+// Cash collected on the corporate's COD shipments and the batches it was paid out in
+const CodLedger: React.FC = () => {
+  const [summary, setSummary] = useState<CodSummary | null>(null);
+  const [remittances, setRemittances] = useState<CodRemittance[]>([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchLedger = async () => {
+      try {
+        const headers = { 'Authorization': `Bearer ${localStorage.getItem('corporateToken')}` };
+        const [summaryResponse, remittancesResponse] = await Promise.all([
+          fetch('/api/cod/corporate/summary', { headers }),
+          fetch('/api/cod/corporate/remittances', { headers })
+        ]);
+        const [summaryResult, remittancesResult] = await Promise.all([
+          summaryResponse.json(),
+          remittancesResponse.json()
+        ]);
+
+        if (summaryResult.success) setSummary(summaryResult.data);
+        if (remittancesResult.success) setRemittances(remittancesResult.data);
+      } catch (error) {
+        console.error('Error fetching COD ledger:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchLedger();
+  }, []);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-6 text-sm text-gray-500">
+        <Loader2 className="h-4 w-4 animate-spin mr-2" />
+        Loading COD ledger...
+      </div>
+    );
+  }
+
+  // Corporates that never booked COD do not need the ledger
+  if (!summary || STAGES.every(stage => summary[stage.key].count === 0)) {
+    return null;
+  }
+
+  return (
+    <Card className="border-0 shadow-lg">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <IndianRupee className="h-5 w-5 text-green-600" />
+          Cash on Delivery Ledger
+        </CardTitle>
+        <CardDescription>
+          COD collected from your receivers and remitted to your account
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          {STAGES.map(stage => (
+            <div key={stage.key} className="rounded-lg border border-gray-200 p-4">
+              <p className="text-sm text-gray-600">{stage.label}</p>
+              <p className={`text-xl font-bold ${stage.className}`}>{formatAmount(summary[stage.key].amount)}</p>
+              <p className="text-xs text-gray-500">{summary[stage.key].count} shipment(s) · {stage.hint}</p>
+            </div>
+          ))}
+        </div>
+
+        <div>
+          <h4 className="text-sm font-semibold text-gray-800 mb-2">Remittances</h4>
+          {remittances.length === 0 ? (
+            <p className="text-sm text-gray-500">No remittances yet. Collected COD is paid out in periodic batches.</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Remittance</TableHead>
+                  <TableHead>Shipments</TableHead>
+                  <TableHead>Amount</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead>UTR Reference</TableHead>
+                  <TableHead>Paid On</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {remittances.map(remittance => (
+                  <TableRow key={remittance._id}>
+                    <TableCell className="text-sm font-medium">{remittance.remittanceNumber}</TableCell>
+                    <TableCell className="text-sm">{remittance.shipments.length}</TableCell>
+                    <TableCell className="text-sm font-medium">{formatAmount(remittance.totalAmount)}</TableCell>
+                    <TableCell>
+                      {remittance.status === 'paid' ? (
+                        <Badge className="bg-green-100 text-green-800 text-xs">Paid</Badge>
+                      ) : remittance.status === 'pending' ? (
+                        <Badge className="bg-amber-100 text-amber-800 text-xs">Processing</Badge>
+                      ) : (
+                        <Badge variant="secondary" className="text-xs">Cancelled</Badge>
+                      )}
+                    </TableCell>
+                    <TableCell className="text-sm font-mono">
+                      {remittance.utrReference ? `${remittance.utrReference} (${remittance.paymentMode.toUpperCase()})` : '-'}
+                    </TableCell>
+                    <TableCell className="text-sm">{remittance.paidAt ? formatDate(remittance.paidAt) : '-'}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default CodLedger;
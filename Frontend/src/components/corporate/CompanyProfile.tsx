@@ -23,6 +23,7 @@ import {
   AlertCircle,
   Loader2
 } from "lucide-react";
+import WebhookSettings from "./WebhookSettings";
 
 interface CorporateProfile {
   id: string;
@@ -679,6 +680,9 @@ const CompanyProfile = () => {
           </Button>
         </div>
       )}
+
+      {/* Webhooks */}
+      <WebhookSettings />
     </div>
   );
 };
@@ -35,6 +35,7 @@ import {
 } from "lucide-react";
 import { useToast } from "@/hooks/use-toast";
 import { FileUploadWithPreview, uploadFiles, validateFile, compressImage, UploadedFileData } from "./upload";
+import DeliveryEstimate from "@/components/DeliveryEstimate";
 
 // Floating Label Input Component
 interface FloatingLabelInputProps {
@@ -245,6 +246,7 @@ interface CorporateBookingData {
     paymentMethod: string;
     terms: string;
     calculatedPrice: number;
+    codCharge: number;
     gst: number;
     finalPrice: number;
     serviceType: string;
@@ -256,9 +258,14 @@ interface CorporateBookingData {
   // Payment data
   paymentData: {
     paymentType: 'FP' | 'TP'; // FP = Freight Paid, TP = To Pay
+    isCod: boolean;
+    codAmount: string; // Collected from the receiver at delivery and remitted to the corporate
   };
 }
 
+// Highest amount a courier boy may collect on one shipment (matches the server limit)
+const MAX_COD_AMOUNT = 50000;
+
 const CorporateBookingPanel = () => {
   const [currentStep, setCurrentStep] = useState(1);
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -456,139 +463,67 @@ const CorporateBookingPanel = () => {
     fetchPricingData();
   }, []);
 
-  // Helper functions for pincode classification
-  const isAssamPincode = (pincode: string) => {
-    const pin = parseInt(pincode);
-    return pin >= 780000 && pin <= 788999;
-  };
-
-  const isNorthEastPincode = (pincode: string) => {
-    const pin = parseInt(pincode);
-    return pin >= 790000 && pin <= 799999;
-  };
-
-  // Location classification function
-  const classifyLocation = (pincode: string, byAir: boolean = false) => {
-    if (isAssamPincode(pincode)) {
-      return 'assam';
-    } else if (isNorthEastPincode(pincode)) {
-      return byAir ? 'neByAirAgtImp' : 'neBySurface';
-    } else {
-      return 'restOfIndia';
-    }
-  };
+  // COD amount for the server, 0 when the shipment is not cash on delivery
+  const codAmountToSend = () => (
+    bookingData.paymentData.isCod ? parseFloat(bookingData.paymentData.codAmount) || 0 : 0
+  );
 
-  // Calculate corporate pricing
-  const calculateCorporatePrice = () => {
+  // Price the booking on the server from the corporate's approved plan
+  const calculateCorporatePrice = async () => {
     if (!pricingData || !bookingData.destinationData.pincode || !bookingData.shipmentData.actualWeight) {
       return;
     }
 
-    const weight = parseFloat(bookingData.shipmentData.actualWeight);
-    const isPriority = bookingData.shipmentData.services === 'Priority';
-    const isAir = bookingData.shipmentData.mode === 'Air';
-    const natureOfConsignment = bookingData.shipmentData.natureOfConsignment;
-
-    let price = 0;
-    let location = '';
-    let transportMode = '';
-    let chargeableWeight = weight;
-    let isMinimumWeightApplied = false;
-
-    // Check if this is reverse pricing (only when using different address, not default corporate address)
-    if (!bookingData.originData.useCurrentAddress && natureOfConsignment === 'NON-DOX') {
-      // Reverse pricing logic
-      const minChargeableWeights = {
-        'Road': 500,
-        'Surface': 100,
-        'Air': 25
-      };
+    try {
+      const token = localStorage.getItem('corporateToken');
+      const response = await fetch('/api/corporate/calculate-price', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          originData: bookingData.originData,
+          destinationData: bookingData.destinationData,
+          shipmentData: {
+            natureOfConsignment: bookingData.shipmentData.natureOfConsignment,
+            services: bookingData.shipmentData.services,
+            mode: bookingData.shipmentData.mode,
+            actualWeight: bookingData.shipmentData.actualWeight,
+            dimensions: bookingData.shipmentData.dimensions
+          },
+          paymentData: { codAmount: codAmountToSend() }
+        })
+      });
+      const result = await response.json();
 
-      const modeKey = bookingData.shipmentData.mode === 'Air' ? 'Air' :
-                     bookingData.shipmentData.mode === 'Surface' ? 'Surface' : 'Road';
-
-      chargeableWeight = Math.max(weight, minChargeableWeights[modeKey as keyof typeof minChargeableWeights]);
-      isMinimumWeightApplied = chargeableWeight > weight;
-
-      if (isAssamPincode(bookingData.destinationData.pincode)) {
-        location = 'Assam';
-        const deliveryType = isPriority ? 'priority' : 'normal';
-        const transportKey = bookingData.shipmentData.mode === 'Air' ? 'byFlight' :
-                           bookingData.shipmentData.mode === 'Surface' ? 'byTrain' : 'byRoad';
-        const pricePerKg = parseFloat(pricingData.reversePricing.toAssam[transportKey as keyof typeof pricingData.reversePricing.toAssam][deliveryType as keyof typeof pricingData.reversePricing.toAssam.byRoad]) || 0;
-        price = pricePerKg * chargeableWeight;
-        transportMode = transportKey;
-      } else if (isNorthEastPincode(bookingData.destinationData.pincode)) {
-        location = 'North East';
-        const deliveryType = isPriority ? 'priority' : 'normal';
-        const transportKey = bookingData.shipmentData.mode === 'Air' ? 'byFlight' :
-                           bookingData.shipmentData.mode === 'Surface' ? 'byTrain' : 'byRoad';
-        const pricePerKg = parseFloat(pricingData.reversePricing.toNorthEast[transportKey as keyof typeof pricingData.reversePricing.toNorthEast][deliveryType as keyof typeof pricingData.reversePricing.toNorthEast.byRoad]) || 0;
-        price = pricePerKg * chargeableWeight;
-        transportMode = transportKey;
-      } else {
-        // Not applicable for reverse pricing
+      if (!response.ok || !result.success) {
         return;
       }
-    } else {
-      // Normal pricing logic
-      location = classifyLocation(bookingData.destinationData.pincode, isAir);
-
-      if (natureOfConsignment === 'DOX') {
-        // DOX pricing logic
-        if (isPriority) {
-          // Priority Service pricing
-          if (weight <= 500) {
-            price = parseFloat(pricingData.priorityPricing['01gm-500gm'][location as keyof typeof pricingData.priorityPricing['01gm-500gm']]) || 0;
-          } else {
-            // For weights above 500gm, use base price + additional 500gm charges
-            const basePrice = parseFloat(pricingData.priorityPricing['01gm-500gm'][location as keyof typeof pricingData.priorityPricing['01gm-500gm']]) || 0;
-            const additionalWeight = Math.ceil((weight - 500) / 500);
-            const additionalPrice = parseFloat(pricingData.priorityPricing.add500gm[location as keyof typeof pricingData.priorityPricing.add500gm]) || 0;
-            price = basePrice + (additionalWeight * additionalPrice);
-          }
-        } else {
-          // Standard Service pricing
-          if (weight <= 250) {
-            price = parseFloat(pricingData.doxPricing['01gm-250gm'][location as keyof typeof pricingData.doxPricing['01gm-250gm']]) || 0;
-          } else if (weight <= 500) {
-            price = parseFloat(pricingData.doxPricing['251gm-500gm'][location as keyof typeof pricingData.doxPricing['251gm-500gm']]) || 0;
-          } else {
-            // For weights above 500gm, use base price + additional 500gm charges
-            const basePrice = parseFloat(pricingData.doxPricing['251gm-500gm'][location as keyof typeof pricingData.doxPricing['251gm-500gm']]) || 0;
-            const additionalWeight = Math.ceil((weight - 500) / 500);
-            const additionalPrice = parseFloat(pricingData.doxPricing.add500gm[location as keyof typeof pricingData.doxPricing.add500gm]) || 0;
-            price = basePrice + (additionalWeight * additionalPrice);
-          }
-        }
-      } else {
-        // NON-DOX pricing logic (per kg)
-        if (isAir) {
-          const pricePerKg = parseFloat(pricingData.nonDoxAirPricing[location as keyof typeof pricingData.nonDoxAirPricing]) || 0;
-          price = pricePerKg * weight;
-        } else {
-          const pricePerKg = parseFloat(pricingData.nonDoxSurfacePricing[location as keyof typeof pricingData.nonDoxSurfacePricing]) || 0;
-          price = pricePerKg * weight;
+
+      const calculation = result.calculation;
+      setBookingData(prev => ({
+        ...prev,
+        shipmentData: {
+          ...prev.shipmentData,
+          volumetricWeight: calculation.volumetricWeight,
+          chargeableWeight: calculation.chargeableWeight
+        },
+        invoiceData: {
+          ...prev.invoiceData,
+          calculatedPrice: calculation.freight,
+          codCharge: calculation.codCharge,
+          gst: calculation.gst.total,
+          finalPrice: calculation.total,
+          serviceType: calculation.natureOfConsignment,
+          location: calculation.lane.location,
+          transportMode: calculation.transportMode,
+          chargeableWeight: calculation.chargeableWeight
         }
-      }
+      }));
+    } catch (error) {
+      console.error('Error calculating price:', error);
     }
-
-    const gst = price * 0.18;
-    const finalPrice = price + gst;
-
-    setBookingData(prev => ({
-      ...prev,
-      invoiceData: {
-        ...prev.invoiceData,
-        calculatedPrice: price,
-        gst: gst,
-        finalPrice: finalPrice,
-        serviceType: natureOfConsignment,
-        location: location,
-        transportMode: transportMode || bookingData.shipmentData.mode,
-        chargeableWeight: chargeableWeight
-      }
-    }));
   };
 
   const [bookingData, setBookingData] = useState<CorporateBookingData>({
@@ -657,6 +592,7 @@ const CorporateBookingPanel = () => {
       paymentMethod: 'Corporate Credit',
       terms: '',
       calculatedPrice: 0,
+      codCharge: 0,
       gst: 0,
       finalPrice: 0,
       serviceType: '',
@@ -665,7 +601,9 @@ const CorporateBookingPanel = () => {
       chargeableWeight: 0
     },
     paymentData: {
-      paymentType: 'FP' // Default to Freight Paid
+      paymentType: 'FP', // Default to Freight Paid
+      isCod: false,
+      codAmount: ''
     }
   });
 
@@ -676,11 +614,15 @@ const CorporateBookingPanel = () => {
     }
   }, [
     bookingData.originData.pincode,
+    bookingData.originData.useCurrentAddress,
     bookingData.destinationData.pincode,
     bookingData.shipmentData.actualWeight,
+    bookingData.shipmentData.dimensions,
     bookingData.shipmentData.natureOfConsignment,
     bookingData.shipmentData.services,
     bookingData.shipmentData.mode,
+    bookingData.paymentData.isCod,
+    bookingData.paymentData.codAmount,
     pricingData,
     currentStep
   ]);
@@ -1007,6 +949,11 @@ const CorporateBookingPanel = () => {
     } else if (currentStep === 4) {
       // Payment validation
       if (!bookingData.paymentData.paymentType) newErrors.paymentType = 'Payment type is required';
+      if (bookingData.paymentData.isCod) {
+        const codAmount = parseFloat(bookingData.paymentData.codAmount);
+        if (!(codAmount > 0)) newErrors.codAmount = 'Enter the amount to collect from the receiver';
+        else if (codAmount > MAX_COD_AMOUNT) newErrors.codAmount = `COD amount cannot be more than ₹${MAX_COD_AMOUNT.toLocaleString('en-IN')}`;
+      }
     }
 
     setErrors(newErrors);
@@ -1213,7 +1160,10 @@ const CorporateBookingPanel = () => {
           uploadedFiles: bookingData.shipmentData.uploadedFiles // Include uploaded file references
         },
         invoiceData: bookingData.invoiceData,
-        paymentData: bookingData.paymentData, // Include payment data with paymentType
+        paymentData: { // Include payment data with paymentType
+          paymentType: bookingData.paymentData.paymentType,
+          codAmount: codAmountToSend()
+        },
         bookingDate: new Date().toISOString(),
         status: 'booked',
         paymentStatus: 'unpaid'
@@ -1244,6 +1194,15 @@ const CorporateBookingPanel = () => {
             setShowConsignmentFinishedPopup(true);
             return;
           }
+          // Bookings on hold for overdue invoices or the credit limit must not be queued locally
+          if (response.status === 403) {
+            toast({
+              title: "Booking On Hold",
+              description: errorData.error,
+              variant: "destructive",
+            });
+            return;
+          }
           throw new Error(errorData.error || errorData.message || 'Failed to submit booking');
         }
 
@@ -1253,6 +1212,12 @@ const CorporateBookingPanel = () => {
         title: "Booking Submitted",
           description: `Your shipment has been booked successfully! Consignment Number: ${result.consignmentNumber}`,
         });
+        if (result.creditWarning) {
+          toast({
+            title: "Credit Limit",
+            description: result.creditWarning,
+          });
+        }
 
         // Dispatch event to notify other components about consignment usage update
         const corporateId = localStorage.getItem('corporateId');
@@ -1381,6 +1346,7 @@ const CorporateBookingPanel = () => {
         paymentMethod: 'Corporate Credit',
         terms: '',
         calculatedPrice: 0,
+        codCharge: 0,
         gst: 0,
         finalPrice: 0,
         serviceType: '',
@@ -1389,7 +1355,9 @@ const CorporateBookingPanel = () => {
         chargeableWeight: 0
       },
       paymentData: {
-        paymentType: 'FP' // Default to Freight Paid
+        paymentType: 'FP', // Default to Freight Paid
+        isCod: false,
+        codAmount: ''
       }
     });
   };
@@ -2408,7 +2376,7 @@ const CorporateBookingPanel = () => {
                                   shipmentData: { ...prev.shipmentData, dimensions: newDimensions }
                                 }));
                               }}
-                              placeholder="Length (cm)"
+                              placeholder={`Length (${dimension.unit})`}
                               type="number"
                               icon={<Package className="h-4 w-4" />}
                             />
@@ -2424,7 +2392,7 @@ const CorporateBookingPanel = () => {
                                   shipmentData: { ...prev.shipmentData, dimensions: newDimensions }
                                 }));
                               }}
-                              placeholder="Breadth (cm)"
+                              placeholder={`Breadth (${dimension.unit})`}
                               type="number"
                               icon={<Package className="h-4 w-4" />}
                             />
@@ -2440,7 +2408,7 @@ const CorporateBookingPanel = () => {
                                   shipmentData: { ...prev.shipmentData, dimensions: newDimensions }
                                 }));
                               }}
-                              placeholder="Height (cm)"
+                              placeholder={`Height (${dimension.unit})`}
                               type="number"
                               icon={<Package className="h-4 w-4" />}
                             />
@@ -2462,7 +2430,8 @@ const CorporateBookingPanel = () => {
                                 </SelectTrigger>
                                 <SelectContent>
                                   <SelectItem value="cm">cm</SelectItem>
-                                  <SelectItem value="in">in</SelectItem>
+                                  <SelectItem value="mm">mm</SelectItem>
+                                  <SelectItem value="m">m</SelectItem>
                                 </SelectContent>
                               </Select>
                               {index > 0 && (
@@ -2503,6 +2472,19 @@ const CorporateBookingPanel = () => {
                           <Plus className="h-4 w-4" />
                           Add Dimensions
                         </Button>
+
+                        {bookingData.shipmentData.chargeableWeight > 0 && (
+                          <div className="grid grid-cols-2 gap-4 p-4 bg-white/80 border border-blue-200 rounded-xl text-sm">
+                            <div>
+                              <div className="text-gray-600">Volumetric Weight</div>
+                              <div className="font-semibold text-blue-700">{bookingData.shipmentData.volumetricWeight} kg</div>
+                            </div>
+                            <div>
+                              <div className="text-gray-600">Chargeable Weight</div>
+                              <div className="font-semibold text-blue-700">{bookingData.shipmentData.chargeableWeight} kg</div>
+                            </div>
+                          </div>
+                        )}
                       </div>
 
                       <FloatingLabelInput
@@ -2602,6 +2584,15 @@ const CorporateBookingPanel = () => {
                       )}
                     </div>
                   </div>
+
+                  <DeliveryEstimate
+                    originPincode={bookingData.originData.useCurrentAddress ? corporateInfo?.pin : bookingData.originData.pincode}
+                    originState={bookingData.originData.useCurrentAddress ? corporateInfo?.state : bookingData.originData.state}
+                    destinationPincode={bookingData.destinationData.pincode}
+                    destinationState={bookingData.destinationData.state}
+                    service={bookingData.shipmentData.services}
+                    mode={bookingData.shipmentData.mode}
+                  />
                 </div>
               )}
 
@@ -2716,6 +2707,54 @@ const CorporateBookingPanel = () => {
                       {errors.paymentType && (
                         <p className="text-sm text-red-600 mt-2">{errors.paymentType}</p>
                       )}
+
+                      {/* Cash on delivery */}
+                      <div className="max-w-3xl mx-auto mt-6 p-5 rounded-xl border border-purple-200 bg-white">
+                        <div className="flex items-center gap-3">
+                          <Checkbox
+                            id="isCod"
+                            checked={bookingData.paymentData.isCod}
+                            onCheckedChange={(checked) => setBookingData(prev => ({
+                              ...prev,
+                              paymentData: { ...prev.paymentData, isCod: checked === true }
+                            }))}
+                          />
+                          <Label htmlFor="isCod" className="text-base font-medium text-gray-800 cursor-pointer">
+                            Cash on Delivery (COD)
+                          </Label>
+                        </div>
+                        <p className="text-sm text-gray-600 mt-1 ml-7">
+                          The courier collects this amount from the receiver and it is remitted to your account.
+                        </p>
+                        {bookingData.paymentData.isCod && (
+                          <div className="mt-4 ml-7 grid grid-cols-1 md:grid-cols-2 gap-4 items-end">
+                            <div className="space-y-1">
+                              <Label htmlFor="codAmount">Amount to Collect (₹)</Label>
+                              <Input
+                                id="codAmount"
+                                type="number"
+                                min="1"
+                                max={MAX_COD_AMOUNT}
+                                step="0.01"
+                                placeholder="e.g. 1499"
+                                value={bookingData.paymentData.codAmount}
+                                onChange={(e) => setBookingData(prev => ({
+                                  ...prev,
+                                  paymentData: { ...prev.paymentData, codAmount: e.target.value }
+                                }))}
+                              />
+                            </div>
+                            {bookingData.invoiceData.codCharge > 0 && (
+                              <p className="text-sm text-gray-700 pb-2">
+                                COD charge: <span className="font-semibold">₹{bookingData.invoiceData.codCharge.toFixed(2)}</span>
+                              </p>
+                            )}
+                          </div>
+                        )}
+                        {errors.codAmount && (
+                          <p className="text-sm text-red-600 mt-2 ml-7">{errors.codAmount}</p>
+                        )}
+                      </div>
                     </div>
                   </div>
                 </div>
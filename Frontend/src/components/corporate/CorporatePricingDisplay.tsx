@@ -16,6 +16,7 @@ import {
 } from '@/components/ui/table';
 import { DollarSign, Loader2, AlertCircle, CheckCircle, Calculator } from 'lucide-react';
 import { useToast } from '@/hooks/use-toast';
+import { toTestShipment, zoneLabel, RateCardTestQuote } from '@/utils/rateCardTest';
 
 interface PricingData {
   _id: string;
@@ -119,7 +120,8 @@ const CorporatePricingDisplay: React.FC = () => {
     deliveryType: 'normal' // 'normal' or 'priority' for reverse pricing
   });
 
-  const [calculatedPrice, setCalculatedPrice] = useState<number | null>(null);
+  const [calculation, setCalculation] = useState<RateCardTestQuote | null>(null);
+  const [isCalculating, setIsCalculating] = useState(false);
 
   useEffect(() => {
     fetchPricingData();
@@ -154,75 +156,8 @@ const CorporatePricingDisplay: React.FC = () => {
     return price ? `₹${price.toFixed(2)}` : 'N/A';
   };
 
-  // Helper functions from admin component
-  const isAssamPincode = (pincode: string): boolean => {
-    const pin = parseInt(pincode);
-    return (pin >= 781000 && pin <= 781999) || 
-           (pin >= 782000 && pin <= 782999) || 
-           (pin >= 783000 && pin <= 783999) || 
-           (pin >= 784000 && pin <= 784999) || 
-           (pin >= 785000 && pin <= 785999) || 
-           (pin >= 786000 && pin <= 786999) || 
-           (pin >= 787000 && pin <= 787999) || 
-           (pin >= 788000 && pin <= 788999);
-  };
-
-  const isNorthEastPincode = (pincode: string): boolean => {
-    const pin = parseInt(pincode);
-    return (pin >= 790000 && pin <= 791999) || // Arunachal Pradesh
-           (pin >= 793000 && pin <= 793999) || // Meghalaya
-           (pin >= 795000 && pin <= 795999) || // Manipur
-           (pin >= 796000 && pin <= 796999) || // Mizoram
-           (pin >= 797000 && pin <= 797999) || // Nagaland
-           (pin >= 737000 && pin <= 737999) || // Sikkim
-           (pin >= 799000 && pin <= 799999);   // Tripura
-  };
-
-  const classifyLocation = (pincode: string, isAirRoute: boolean = false): string => {
-    const pin = parseInt(pincode);
-    
-    // Assam pincodes (781xxx, 782xxx, 783xxx, 784xxx, 785xxx, 786xxx, 787xxx, 788xxx)
-    if ((pin >= 781000 && pin <= 781999) || 
-        (pin >= 782000 && pin <= 782999) || 
-        (pin >= 783000 && pin <= 783999) || 
-        (pin >= 784000 && pin <= 784999) || 
-        (pin >= 785000 && pin <= 785999) || 
-        (pin >= 786000 && pin <= 786999) || 
-        (pin >= 787000 && pin <= 787999) || 
-        (pin >= 788000 && pin <= 788999)) {
-      return 'assam';
-    }
-    
-    // Kolkata pincodes (700xxx)
-    if (pin >= 700000 && pin <= 700999) {
-      return 'kol';
-    }
-    
-    // Tripura (799xxx) and Manipur (795xxx) - AGT IMP only for air routes
-    if (isAirRoute && ((pin >= 799000 && pin <= 799999) || (pin >= 795000 && pin <= 795999))) {
-      return 'neByAirAgtImp';
-    }
-    
-    // Tripura (799xxx) and Manipur (795xxx) - Surface route
-    if (!isAirRoute && ((pin >= 799000 && pin <= 799999) || (pin >= 795000 && pin <= 795999))) {
-      return 'neBySurface';
-    }
-    
-    // Other NE states (Arunachal Pradesh 790xxx, 791xxx, Nagaland 797xxx, Meghalaya 793xxx, Mizoram 796xxx, Sikkim 737xxx)
-    if ((pin >= 790000 && pin <= 791999) || 
-        (pin >= 793000 && pin <= 793999) || 
-        (pin >= 796000 && pin <= 796999) || 
-        (pin >= 797000 && pin <= 797999) || 
-        (pin >= 737000 && pin <= 737999)) {
-      return 'neBySurface';
-    }
-    
-    // Rest of India
-    return 'restOfIndia';
-  };
-
-  // Price calculation logic from admin component
-  const calculatePrice = () => {
+  // Price a test shipment on the assigned plan with the server pricing engine and zone master
+  const calculatePrice = async () => {
     if (!pricingData) {
       toast({
         title: "Error",
@@ -241,99 +176,51 @@ const CorporatePricingDisplay: React.FC = () => {
       return;
     }
 
-    const weight = parseFloat(testInputs.weight);
-    let price = 0;
-    let serviceType = testInputs.type.toUpperCase();
-    let location = '';
-    let transportMode = '';
-    let chargeableWeight = weight;
-    let isMinimumWeightApplied = false;
-
-    // Check if this is reverse pricing (from pincode provided and destination is Assam/North East)
-    if (testInputs.fromPincode && testInputs.type === 'non-dox') {
-      // Reverse pricing logic
-      const minChargeableWeights = {
-        byRoad: 500,
-        byTrain: 100,
-        byFlight: 25
-      };
-      
-      chargeableWeight = Math.max(weight, minChargeableWeights[testInputs.transportMode as keyof typeof minChargeableWeights]);
-      isMinimumWeightApplied = chargeableWeight > weight;
-
-      if (isAssamPincode(testInputs.destinationPincode)) {
-        location = 'Assam';
-        const pricePerKg = parseFloat(pricingData.reversePricing.toAssam[testInputs.transportMode as keyof typeof pricingData.reversePricing.toAssam][testInputs.deliveryType as keyof typeof pricingData.reversePricing.toAssam.byRoad]) || 0;
-        price = pricePerKg * chargeableWeight;
-        transportMode = testInputs.transportMode;
-      } else if (isNorthEastPincode(testInputs.destinationPincode)) {
-        location = 'North East';
-        const pricePerKg = parseFloat(pricingData.reversePricing.toNorthEast[testInputs.transportMode as keyof typeof pricingData.reversePricing.toNorthEast][testInputs.deliveryType as keyof typeof pricingData.reversePricing.toNorthEast.byRoad]) || 0;
-        price = pricePerKg * chargeableWeight;
-        transportMode = testInputs.transportMode;
-      } else {
-        toast({
-          title: "Error",
-          description: "Reverse pricing is only available for Assam and North East destinations",
-          variant: "destructive"
-        });
-        return;
-      }
-    } else {
-      // Normal pricing logic
-      location = classifyLocation(testInputs.destinationPincode, testInputs.byAir);
-    
-      if (testInputs.type === 'dox') {
-        // DOX pricing logic
-        if (testInputs.priority) {
-          // Priority Service pricing
-          if (weight <= 500) {
-            price = parseFloat(pricingData.priorityPricing['01gm-500gm'][location as keyof typeof pricingData.priorityPricing['01gm-500gm']]) || 0;
-          } else {
-            // For weights above 500gm, use base price + additional 500gm charges
-            const basePrice = parseFloat(pricingData.priorityPricing['01gm-500gm'][location as keyof typeof pricingData.priorityPricing['01gm-500gm']]) || 0;
-            const additionalWeight = Math.ceil((weight - 500) / 500);
-            const additionalPrice = parseFloat(pricingData.priorityPricing.add500gm[location as keyof typeof pricingData.priorityPricing.add500gm]) || 0;
-            price = basePrice + (additionalWeight * additionalPrice);
-          }
-        } else {
-          // Standard Service pricing
-          if (weight <= 250) {
-            price = parseFloat(pricingData.doxPricing['01gm-250gm'][location as keyof typeof pricingData.doxPricing['01gm-250gm']]) || 0;
-          } else if (weight <= 500) {
-            price = parseFloat(pricingData.doxPricing['251gm-500gm'][location as keyof typeof pricingData.doxPricing['251gm-500gm']]) || 0;
-          } else {
-            // For weights above 500gm, use base price + additional 500gm charges
-            const basePrice = parseFloat(pricingData.doxPricing['251gm-500gm'][location as keyof typeof pricingData.doxPricing['251gm-500gm']]) || 0;
-            const additionalWeight = Math.ceil((weight - 500) / 500);
-            const additionalPrice = parseFloat(pricingData.doxPricing.add500gm[location as keyof typeof pricingData.doxPricing.add500gm]) || 0;
-            price = basePrice + (additionalWeight * additionalPrice);
+    const shipment = toTestShipment(testInputs);
+    setIsCalculating(true);
+    try {
+      const response = await fetch('/api/corporate/calculate-price', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('corporateToken')}`
+        },
+        body: JSON.stringify({
+          originData: shipment.reverse
+            ? { useCurrentAddress: false, pincode: shipment.originPincode }
+            : { useCurrentAddress: true },
+          destinationData: { pincode: shipment.destinationPincode },
+          shipmentData: {
+            actualWeight: shipment.actualWeight,
+            natureOfConsignment: shipment.natureOfConsignment,
+            services: shipment.services,
+            mode: shipment.mode
           }
-        }
-      } else {
-        // NON-DOX pricing logic (per kg)
-        if (testInputs.byAir) {
-          const pricePerKg = parseFloat(pricingData.nonDoxAirPricing[location as keyof typeof pricingData.nonDoxAirPricing]) || 0;
-          price = pricePerKg * weight;
-        } else {
-          const pricePerKg = parseFloat(pricingData.nonDoxSurfacePricing[location as keyof typeof pricingData.nonDoxSurfacePricing]) || 0;
-          price = pricePerKg * weight;
-        }
+        })
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to calculate price');
       }
+
+      const quote: RateCardTestQuote = result.calculation;
+      setCalculation(quote);
+
+      const weightText = quote.isMinimumWeightApplied ? ` (charged for ${quote.chargeableWeight}kg)` : '';
+      toast({
+        title: "Price Calculated",
+        description: `Calculated price: ₹${quote.freight.toFixed(2)} to ${zoneLabel(quote.breakdown.zone || quote.lane.destinationZone)}${weightText}`,
+      });
+    } catch (error) {
+      setCalculation(null);
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to calculate price",
+        variant: "destructive"
+      });
+    } finally {
+      setIsCalculating(false);
     }
-    
-    setCalculatedPrice(price);
-    
-    if (testInputs.priority) serviceType += ' (Priority)';
-    if (testInputs.byAir) serviceType += ' (By Air)';
-    if (transportMode) serviceType += ` (${transportMode})`;
-    
-    const fromText = testInputs.fromPincode ? ` from ${testInputs.fromPincode}` : '';
-    const weightText = isMinimumWeightApplied ? ` (charged for ${chargeableWeight}kg)` : '';
-    toast({
-      title: "Price Calculated",
-      description: `Calculated price: ₹${price.toFixed(2)} for ${serviceType}${fromText} to ${location}${weightText}`,
-    });
   };
 
   if (isLoading) {
@@ -564,6 +451,7 @@ const CorporatePricingDisplay: React.FC = () => {
             <div className="flex justify-center">
               <Button 
                 onClick={calculatePrice}
+                disabled={isCalculating}
                 className="bg-purple-600 hover:bg-purple-700 text-white px-8 py-2"
               >
                 <Calculator className="h-4 w-4 mr-2" />
@@ -572,65 +460,49 @@ const CorporatePricingDisplay: React.FC = () => {
             </div>
 
             {/* Results */}
-            {calculatedPrice !== null && (() => {
-              // Calculate chargeable weight for display
-              let displayChargeableWeight = parseFloat(testInputs.weight);
-              let displayIsMinimumWeightApplied = false;
-              
-              if (testInputs.fromPincode && testInputs.type === 'non-dox') {
-                const minChargeableWeights = {
-                  byRoad: 500,
-                  byTrain: 100,
-                  byFlight: 25
-                };
-                displayChargeableWeight = Math.max(parseFloat(testInputs.weight), minChargeableWeights[testInputs.transportMode as keyof typeof minChargeableWeights]);
-                displayIsMinimumWeightApplied = displayChargeableWeight > parseFloat(testInputs.weight);
-              }
-              
-              return (
-                <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
-                  <h3 className="text-lg font-semibold text-gray-800 mb-2">Calculation Results</h3>
-                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
-                    {testInputs.fromPincode && (
-                      <div>
-                        <span className="font-medium">From:</span> {testInputs.fromPincode}
-                      </div>
-                    )}
-                    <div>
-                      <span className="font-medium">To:</span> {testInputs.destinationPincode} 
-                      {!testInputs.fromPincode && ` (${classifyLocation(testInputs.destinationPincode, testInputs.byAir)})`}
-                      {testInputs.fromPincode && testInputs.type === 'non-dox' && (
-                        isAssamPincode(testInputs.destinationPincode) ? ' (Assam)' : 
-                        isNorthEastPincode(testInputs.destinationPincode) ? ' (North East)' : ''
-                      )}
-                    </div>
-                    <div>
-                      <span className="font-medium">Type:</span> {testInputs.type.toUpperCase()}
-                    </div>
-                    <div>
-                      <span className="font-medium">Weight:</span> {testInputs.weight} {testInputs.fromPincode ? 'Kg.' : (testInputs.type === 'dox' ? 'grams' : 'Kg.')}
-                      {displayIsMinimumWeightApplied && (
-                        <span className="text-orange-600 ml-2">
-                          (Charged for {displayChargeableWeight}kg - minimum chargeable weight)
-                        </span>
-                      )}
-                    </div>
+            {calculation && (
+              <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
+                <h3 className="text-lg font-semibold text-gray-800 mb-2">Calculation Results</h3>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+                  {testInputs.fromPincode && (
                     <div>
-                      <span className="font-medium">Service:</span> 
-                      {testInputs.priority ? ' Priority' : ''}
-                      {testInputs.byAir ? ' By Air' : ''}
-                      {testInputs.transportMode && testInputs.fromPincode && testInputs.type === 'non-dox' ? ` ${testInputs.transportMode}` : ''}
-                      {testInputs.deliveryType && testInputs.fromPincode && testInputs.type === 'non-dox' ? ` (${testInputs.deliveryType} delivery)` : ''}
-                      {!testInputs.priority && !testInputs.byAir && !testInputs.transportMode ? ' Standard' : ''}
-                    </div>
-                    <div className="md:col-span-2">
-                      <span className="font-medium">Calculated Price:</span> 
-                      <span className="text-green-600 font-bold text-lg ml-2">₹{calculatedPrice.toFixed(2)}</span>
+                      <span className="font-medium">From:</span> {testInputs.fromPincode}
                     </div>
+                  )}
+                  <div>
+                    <span className="font-medium">To:</span> {testInputs.destinationPincode} ({zoneLabel(calculation.breakdown.zone || calculation.lane.destinationZone)})
+                    {calculation.lane.isOda && <span className="text-orange-600 ml-2">(ODA)</span>}
+                  </div>
+                  <div>
+                    <span className="font-medium">Type:</span> {testInputs.type.toUpperCase()}
+                  </div>
+                  <div>
+                    <span className="font-medium">Weight:</span> {testInputs.weight} {testInputs.fromPincode ? 'Kg.' : (testInputs.type === 'dox' ? 'grams' : 'Kg.')}
+                    {calculation.isMinimumWeightApplied && (
+                      <span className="text-orange-600 ml-2">
+                        (Charged for {calculation.chargeableWeight}kg - minimum chargeable weight)
+                      </span>
+                    )}
+                  </div>
+                  <div>
+                    <span className="font-medium">Service:</span> 
+                    {testInputs.priority ? ' Priority' : ''}
+                    {testInputs.byAir ? ' By Air' : ''}
+                    {testInputs.transportMode && testInputs.fromPincode && testInputs.type === 'non-dox' ? ` ${testInputs.transportMode}` : ''}
+                    {testInputs.deliveryType && testInputs.fromPincode && testInputs.type === 'non-dox' ? ` (${testInputs.deliveryType} delivery)` : ''}
+                    {!testInputs.priority && !testInputs.byAir && !testInputs.transportMode ? ' Standard' : ''}
+                  </div>
+                  <div>
+                    <span className="font-medium">Rate Slab:</span> {calculation.breakdown.weightSlab}
+                  </div>
+                  <div className="md:col-span-2">
+                    <span className="font-medium">Calculated Price:</span> 
+                    <span className="text-green-600 font-bold text-lg ml-2">₹{calculation.freight.toFixed(2)}</span>
+                    <span className="text-gray-500 ml-2">(₹{calculation.total.toFixed(2)} with AWB, fuel{calculation.odaCharge > 0 ? ', ODA' : ''} and GST)</span>
                   </div>
                 </div>
-              );
-            })()}
+              </div>
+            )}
           </div>
         </CardContent>
       </Card>
@@ -15,6 +15,7 @@ import {
   User,
   HelpCircle,
   AlertTriangle,
+  PackageX,
 } from 'lucide-react';
 
 interface CorporateInfo {
@@ -167,6 +168,19 @@ const CorporateSidebar: React.FC<CorporateSidebarProps> = ({
             {!isSidebarCollapsed && <span className="font-medium text-sm">Shipments</span>}
           </button>
 
+          <button
+            onClick={() => setActiveTab('ndr')}
+            className={`w-full ${isSidebarCollapsed ? 'flex justify-center p-2' : 'text-left flex items-center gap-3 px-3 py-2'} rounded-xl transition ${
+              activeTab === 'ndr'
+                ? 'bg-gradient-to-r from-blue-500 to-blue-600 text-white shadow-md'
+                : 'text-gray-700 hover:bg-gray-50'
+            }`}
+            title={isSidebarCollapsed ? "Delivery Exceptions" : ""}
+          >
+            <PackageX className="h-5 w-5" />
+            {!isSidebarCollapsed && <span className="font-medium text-sm">Delivery Exceptions</span>}
+          </button>
+
           <button
             onClick={() => setActiveTab('complaints')}
             className={`w-full ${isSidebarCollapsed ? 'flex justify-center p-2' : 'text-left flex items-center gap-3 px-3 py-2'} rounded-xl transition ${
@@ -0,0 +1,94 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Progress } from "@/components/ui/progress";
+import { CreditCard } from "lucide-react";
+
+interface CreditSummary {
+  limit: number | null;
+  exposure: { unbilled: number; outstanding: number; total: number };
+  available: number | null;
+  utilisation: number | null;
+  status: 'unlimited' | 'ok' | 'warning' | 'override' | 'blocked';
+  override: { reason: string; expiresAt: string } | null;
+  creditPeriodDays: number | null;
+}
+
+const formatAmount = (amount: number) => `₹${amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// The corporate's credit limit and how much of it its unbilled bookings and unpaid invoices use
+const CreditLimitCard: React.FC = () => {
+  const [credit, setCredit] = useState<CreditSummary | null>(null);
+
+  useEffect(() => {
+    const fetchCredit = async () => {
+      try {
+        const response = await fetch('/api/credit/corporate/summary', {
+          headers: { 'Authorization': `Bearer ${localStorage.getItem('corporateToken')}` }
+        });
+        const result = await response.json();
+        if (result.success) setCredit(result.data);
+      } catch (error) {
+        console.error('Error fetching credit summary:', error);
+      }
+    };
+
+    fetchCredit();
+  }, []);
+
+  if (!credit || credit.limit === null) {
+    return null;
+  }
+
+  const used = credit.utilisation ?? 100;
+
+  return (
+    <Card className="border-0 shadow-lg">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <CreditCard className="h-5 w-5 text-blue-600" />
+          Credit Limit
+          {used >= 100 ? (
+            <Badge className="bg-red-100 text-red-800 text-xs">Limit reached</Badge>
+          ) : credit.status === 'warning' && (
+            <Badge className="bg-amber-100 text-amber-800 text-xs">Nearing limit</Badge>
+          )}
+        </CardTitle>
+        <CardDescription>
+          Freight-paid bookings not yet invoiced and unpaid invoices count towards your limit.
+          {credit.creditPeriodDays !== null && ` Invoices are due ${credit.creditPeriodDays} days from the invoice date.`}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <Progress value={Math.min(used, 100)} />
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          <div className="rounded-lg border p-3">
+            <div className="text-xs text-gray-500">Credit limit</div>
+            <div className="font-semibold">{formatAmount(credit.limit)}</div>
+          </div>
+          <div className="rounded-lg border p-3">
+            <div className="text-xs text-gray-500">Not yet invoiced</div>
+            <div className="font-semibold">{formatAmount(credit.exposure.unbilled)}</div>
+          </div>
+          <div className="rounded-lg border p-3">
+            <div className="text-xs text-gray-500">Unpaid invoices</div>
+            <div className="font-semibold">{formatAmount(credit.exposure.outstanding)}</div>
+          </div>
+          <div className="rounded-lg border p-3 bg-gray-50">
+            <div className="text-xs text-gray-500">Available</div>
+            <div className={`font-semibold ${(credit.available ?? 0) <= 0 ? 'text-red-600' : 'text-green-700'}`}>
+              {formatAmount(Math.max(credit.available ?? 0, 0))}
+            </div>
+          </div>
+        </div>
+        {credit.override && (
+          <p className="text-sm text-gray-600">
+            You may book past your limit until {new Date(credit.override.expiresAt).toLocaleString('en-IN')}.
+          </p>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default CreditLimitCard;
@@ -0,0 +1,253 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { AlertTriangle, Loader2, RefreshCw, CalendarClock } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+import NdrInstructionDialog, { NdrInstruction } from '@/components/NdrInstructionDialog';
+
+interface NdrCase {
+  _id: string;
+  consignmentNumber: number;
+  receiverName?: string;
+  destinationCity?: string;
+  attempts: Array<{ attemptNumber: number; reason: string; remarks?: string; attemptedAt: string }>;
+  instructions: Array<{ action: string; requestedAt: string }>;
+  status: 'pending_action' | 'reattempt_scheduled' | 'delivered' | 'rto';
+  nextAttemptDate?: string | null;
+}
+
+const statusStyles: { [key: string]: { label: string; className: string } } = {
+  pending_action: { label: 'Action Required', className: 'bg-amber-100 text-amber-700' },
+  reattempt_scheduled: { label: 'Reattempt Scheduled', className: 'bg-blue-100 text-blue-700' },
+  delivered: { label: 'Delivered', className: 'bg-green-100 text-green-700' },
+  rto: { label: 'Returned to Origin', className: 'bg-red-100 text-red-700' }
+};
+
+const DeliveryExceptions: React.FC = () => {
+  const [cases, setCases] = useState<NdrCase[]>([]);
+  const [reasons, setReasons] = useState<{ [key: string]: string }>({});
+  const [maxAttempts, setMaxAttempts] = useState(3);
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [loading, setLoading] = useState(true);
+  const [selectedCase, setSelectedCase] = useState<NdrCase | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+  const { toast } = useToast();
+
+  const fetchCases = async () => {
+    try {
+      setLoading(true);
+      const token = localStorage.getItem('corporateToken');
+      const [casesResponse, reasonsResponse] = await Promise.all([
+        fetch(`/api/ndr/corporate/cases?status=${statusFilter}`, {
+          headers: { 'Authorization': `Bearer ${token}` }
+        }),
+        fetch('/api/ndr/reasons')
+      ]);
+      const casesResult = await casesResponse.json();
+      const reasonsResult = await reasonsResponse.json();
+
+      if (!casesResponse.ok || !casesResult.success) {
+        throw new Error(casesResult.error || 'Failed to load delivery exceptions');
+      }
+
+      setCases(casesResult.data);
+      if (reasonsResult.success) {
+        setReasons(Object.fromEntries(
+          reasonsResult.data.reasons.map((reason: { value: string; label: string }) => [reason.value, reason.label])
+        ));
+        setMaxAttempts(reasonsResult.data.maxAttempts);
+      }
+    } catch (error) {
+      console.error('Error fetching delivery exceptions:', error);
+      toast({
+        title: "Error",
+        description: "Failed to load delivery exceptions. Please try again.",
+        variant: "destructive",
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchCases();
+  }, [statusFilter]);
+
+  const handleInstruction = async (instruction: NdrInstruction) => {
+    if (!selectedCase) return;
+
+    try {
+      setSubmitting(true);
+      const token = localStorage.getItem('corporateToken');
+      const response = await fetch(`/api/ndr/corporate/cases/${selectedCase._id}/instruction`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(instruction)
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.details?.join(', ') || result.error || 'Failed to save instruction');
+      }
+
+      toast({
+        title: "Instruction Sent",
+        description: `We will act on consignment #${selectedCase.consignmentNumber} as requested.`,
+      });
+      setSelectedCase(null);
+      fetchCases();
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : 'Failed to save instruction',
+        variant: "destructive",
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const formatDate = (dateString: string) => new Date(dateString).toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric'
+  });
+
+  const pendingCount = cases.filter(ndrCase => ndrCase.status === 'pending_action').length;
+
+  return (
+    <div className="space-y-4">
+      <Card>
+        <CardHeader className="pb-3">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+            <div>
+              <CardTitle className="flex items-center gap-2 text-lg">
+                <AlertTriangle className="h-5 w-5 text-amber-600" />
+                Delivery Exceptions
+                {pendingCount > 0 && (
+                  <Badge className="bg-amber-100 text-amber-700 border-0">{pendingCount} need action</Badge>
+                )}
+              </CardTitle>
+              <p className="text-sm text-gray-500 mt-1">
+                Shipments we could not deliver. Without an instruction they are returned after {maxAttempts} failed attempts.
+              </p>
+            </div>
+            <div className="flex gap-2">
+              <Select value={statusFilter} onValueChange={setStatusFilter}>
+                <SelectTrigger className="w-48 h-8 text-sm">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All</SelectItem>
+                  <SelectItem value="pending_action">Action Required</SelectItem>
+                  <SelectItem value="reattempt_scheduled">Reattempt Scheduled</SelectItem>
+                  <SelectItem value="rto">Returned to Origin</SelectItem>
+                  <SelectItem value="delivered">Delivered</SelectItem>
+                </SelectContent>
+              </Select>
+              <Button variant="outline" size="sm" onClick={fetchCases} disabled={loading}>
+                <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+              </Button>
+            </div>
+          </div>
+        </CardHeader>
+        <CardContent className="p-0">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Consignment</TableHead>
+                <TableHead>Receiver</TableHead>
+                <TableHead>Failed Attempts</TableHead>
+                <TableHead>Reason</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead>Action</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={6} className="text-center py-8">
+                    <Loader2 className="h-5 w-5 animate-spin inline mr-2" />
+                    Loading...
+                  </TableCell>
+                </TableRow>
+              ) : cases.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={6} className="text-center py-8 text-gray-500">
+                    No delivery exceptions
+                  </TableCell>
+                </TableRow>
+              ) : (
+                cases.map(ndrCase => {
+                  const lastAttempt = ndrCase.attempts[ndrCase.attempts.length - 1];
+                  const style = statusStyles[ndrCase.status];
+                  const isOpen = ndrCase.status === 'pending_action' || ndrCase.status === 'reattempt_scheduled';
+
+                  return (
+                    <TableRow key={ndrCase._id}>
+                      <TableCell className="font-medium text-sm">#{ndrCase.consignmentNumber}</TableCell>
+                      <TableCell>
+                        <div className="text-sm">{ndrCase.receiverName}</div>
+                        <div className="text-xs text-gray-500">{ndrCase.destinationCity}</div>
+                      </TableCell>
+                      <TableCell className="text-sm">{ndrCase.attempts.length} / {maxAttempts}</TableCell>
+                      <TableCell>
+                        {lastAttempt && (
+                          <>
+                            <div className="text-sm">{reasons[lastAttempt.reason] || lastAttempt.reason}</div>
+                            <div className="text-xs text-gray-500">{formatDate(lastAttempt.attemptedAt)}</div>
+                            {lastAttempt.remarks && <div className="text-xs text-gray-500 italic">{lastAttempt.remarks}</div>}
+                          </>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <Badge className={`${style.className} border-0 text-xs`}>{style.label}</Badge>
+                        {ndrCase.nextAttemptDate && (
+                          <div className="flex items-center gap-1 text-xs text-blue-700 mt-1">
+                            <CalendarClock className="h-3 w-3" />
+                            {formatDate(ndrCase.nextAttemptDate)}
+                          </div>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        {isOpen && (
+                          <Button size="sm" variant="outline" onClick={() => setSelectedCase(ndrCase)}>
+                            Give Instruction
+                          </Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })
+              )}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      <NdrInstructionDialog
+        key={selectedCase?._id || 'none'}
+        open={!!selectedCase}
+        consignmentNumber={selectedCase?.consignmentNumber}
+        submitting={submitting}
+        onClose={() => setSelectedCase(null)}
+        onSubmit={handleInstruction}
+      />
+    </div>
+  );
+};
+
+export default DeliveryExceptions;
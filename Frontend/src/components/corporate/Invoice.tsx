@@ -11,6 +11,7 @@ interface InvoiceItem {
   weight: number;
   freightCharges: number;
   totalAmount: number;
+  lineType?: 'forward' | 'rto'; // RTO lines bill the return leg under the same AWB
 }
 
 interface InvoiceSummary {
@@ -127,7 +128,9 @@ const Invoice: React.FC<InvoiceProps> = ({
 
   // Calculate fuel charge (assuming 10% of freight)
   const fuelCharge = summary.totalFreight * 0.1;
-  const awbCharges = items.length * 50; // 50rs per AWB
+  // 50rs per AWB; the return leg of an RTO reuses the forward AWB
+  const awbChargeFor = (item: InvoiceItem) => item.lineType === 'rto' ? 0 : 50;
+  const awbCharges = items.reduce((sum, item) => sum + awbChargeFor(item), 0);
   const subtotalAfterFuel = summary.totalAmount + fuelCharge;
   
   // GST Logic based on state codes
@@ -256,14 +259,17 @@ const Invoice: React.FC<InvoiceProps> = ({
             >
               <div className="pl-2 text-center">{index + 1}</div>
               <div className="border-l border-gray-300 pl-2">{formatDate(item.bookingDate)}</div>
-              <div className="border-l border-gray-300 pl-2">{item.serviceType === 'DOX' ? 'DOX' : 'NON-DOX'}</div>
+              <div className="border-l border-gray-300 pl-2">
+                {item.serviceType === 'DOX' ? 'DOX' : 'NON-DOX'}
+                {item.lineType === 'rto' && <Badge variant="outline" className="ml-1 px-1 py-0 text-[10px] border-red-300 text-red-600">RTO</Badge>}
+              </div>
               <div className="border-l border-gray-300 pl-2">{item.destination}</div>
               <div className="border-l border-gray-300 pl-2">{item.awbNumber || '-'}</div>
               <div className="border-l border-gray-300 pl-2">{item.weight} kg</div>
-              <div className="border-l border-gray-300 pl-2">₹50</div>
+              <div className="border-l border-gray-300 pl-2">{formatCurrency(awbChargeFor(item))}</div>
               <div className="border-l border-gray-300 pl-2">-</div>
               <div className="border-l border-gray-300 pl-2">{formatCurrency(item.freightCharges)}</div>
-              <div className="border-l border-gray-300 pl-2 font-medium">{formatCurrency(50 + item.freightCharges)}</div>
+              <div className="border-l border-gray-300 pl-2 font-medium">{formatCurrency(awbChargeFor(item) + item.freightCharges)}</div>
             </div>
           ))}
         </div>
@@ -274,7 +280,7 @@ const Invoice: React.FC<InvoiceProps> = ({
         <div className="flex items-center space-x-2">
           <div className="font-bold text-sm">Total</div>
           <div className="bg-[#4a9b8e] text-white px-4 py-1 rounded font-medium text-sm">
-            {formatCurrency(items.reduce((sum, item) => sum + 50 + item.freightCharges, 0))}
+            {formatCurrency(items.reduce((sum, item) => sum + awbChargeFor(item) + item.freightCharges, 0))}
           </div>
         </div>
       </div>
@@ -0,0 +1,160 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Download, FileMinus, Loader2 } from "lucide-react";
+import { useToast } from "@/hooks/use-toast";
+
+interface InvoiceNote {
+  _id: string;
+  noteNumber: string;
+  noteType: 'credit' | 'debit';
+  invoiceNumber: string;
+  noteDate: string;
+  reason: string;
+  remarks?: string;
+  lines: { consignmentNumber: string }[];
+  grandTotal: number;
+  status: 'issued' | 'cancelled';
+}
+
+const formatAmount = (amount: number) => `₹${amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date: string) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+// Credit and debit notes raised against the corporate's invoices
+const InvoiceNotesLedger: React.FC = () => {
+  const [notes, setNotes] = useState<InvoiceNote[]>([]);
+  const [loading, setLoading] = useState(true);
+  const { toast } = useToast();
+
+  useEffect(() => {
+    const fetchNotes = async () => {
+      try {
+        const response = await fetch('/api/invoice-notes/corporate?limit=50', {
+          headers: { 'Authorization': `Bearer ${localStorage.getItem('corporateToken')}` }
+        });
+        const result = await response.json();
+        if (result.success) setNotes(result.data.notes);
+      } catch (error) {
+        console.error('Error fetching invoice notes:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchNotes();
+  }, []);
+
+  const handleDownload = async (note: InvoiceNote) => {
+    try {
+      const response = await fetch(`/api/invoice-notes/corporate/${note._id}/pdf`, {
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('corporateToken')}` }
+      });
+      if (!response.ok) {
+        throw new Error('Failed to generate note');
+      }
+
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${note.noteType}-note-${note.noteNumber.replace(/[^A-Za-z0-9-]+/g, '_')}.${blob.type === 'application/pdf' ? 'pdf' : 'html'}`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast({
+        title: "Download Failed",
+        description: `Failed to download ${note.noteNumber}`,
+        variant: "destructive"
+      });
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-6 text-sm text-gray-500">
+        <Loader2 className="h-4 w-4 animate-spin mr-2" />
+        Loading credit and debit notes...
+      </div>
+    );
+  }
+
+  // Most corporates never have an invoice corrected
+  if (notes.length === 0) {
+    return null;
+  }
+
+  return (
+    <Card className="border-0 shadow-lg">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <FileMinus className="h-5 w-5 text-purple-600" />
+          Credit &amp; Debit Notes
+        </CardTitle>
+        <CardDescription>
+          Corrections to your invoices. Credit notes reduce what you owe; debit notes add to it.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Note</TableHead>
+              <TableHead>Date</TableHead>
+              <TableHead>Invoice</TableHead>
+              <TableHead>Consignments</TableHead>
+              <TableHead>Amount</TableHead>
+              <TableHead>Status</TableHead>
+              <TableHead></TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {notes.map(note => (
+              <TableRow key={note._id}>
+                <TableCell className="text-sm font-medium">
+                  {note.noteNumber}
+                  <Badge variant="outline" className="ml-2 text-xs">{note.noteType === 'credit' ? 'Credit' : 'Debit'}</Badge>
+                </TableCell>
+                <TableCell className="text-sm">{formatDate(note.noteDate)}</TableCell>
+                <TableCell className="text-sm">{note.invoiceNumber}</TableCell>
+                <TableCell className="text-sm">{note.lines.map(line => line.consignmentNumber).join(', ')}</TableCell>
+                <TableCell className={`text-sm font-medium ${note.noteType === 'credit' ? 'text-green-700' : 'text-red-700'}`}>
+                  {note.noteType === 'credit' ? '-' : '+'}{formatAmount(note.grandTotal)}
+                </TableCell>
+                <TableCell>
+                  {note.status === 'issued' ? (
+                    <Badge className="bg-green-100 text-green-800 text-xs">Issued</Badge>
+                  ) : (
+                    <Badge variant="secondary" className="text-xs">Cancelled</Badge>
+                  )}
+                </TableCell>
+                <TableCell className="text-right">
+                  <Button variant="outline" size="sm" onClick={() => handleDownload(note)}>
+                    <Download className="h-4 w-4" />
+                  </Button>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default InvoiceNotesLedger;
@@ -0,0 +1,175 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Download, Loader2, Wallet } from "lucide-react";
+import { useToast } from "@/hooks/use-toast";
+
+interface PaymentReceipt {
+  _id: string;
+  receiptNumber: string;
+  receiptDate: string;
+  paymentMode: string;
+  reference?: string;
+  amountReceived: number;
+  tdsAmount: number;
+  unallocatedAmount: number;
+  allocations: { invoiceNumber: string }[];
+  status: 'active' | 'cancelled';
+}
+
+const MODE_LABELS: Record<string, string> = {
+  neft: 'NEFT',
+  rtgs: 'RTGS',
+  imps: 'IMPS',
+  upi: 'UPI',
+  cheque: 'Cheque',
+  demand_draft: 'Demand Draft',
+  cash: 'Cash',
+  other: 'Other'
+};
+
+const formatAmount = (amount: number) => `₹${amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date: string) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+// Payments OCL has received from the corporate and the invoices they settled
+const PaymentReceiptsLedger: React.FC = () => {
+  const [receipts, setReceipts] = useState<PaymentReceipt[]>([]);
+  const [loading, setLoading] = useState(true);
+  const { toast } = useToast();
+
+  useEffect(() => {
+    const fetchReceipts = async () => {
+      try {
+        const response = await fetch('/api/payments/corporate/receipts?limit=50', {
+          headers: { 'Authorization': `Bearer ${localStorage.getItem('corporateToken')}` }
+        });
+        const result = await response.json();
+        if (result.success) setReceipts(result.data.receipts);
+      } catch (error) {
+        console.error('Error fetching payment receipts:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchReceipts();
+  }, []);
+
+  const handleDownload = async (receipt: PaymentReceipt) => {
+    try {
+      const response = await fetch(`/api/payments/corporate/receipts/${receipt._id}/pdf`, {
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('corporateToken')}` }
+      });
+      if (!response.ok) {
+        throw new Error('Failed to generate receipt');
+      }
+
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `receipt-${receipt.receiptNumber.replace(/[^A-Za-z0-9-]+/g, '_')}.${blob.type === 'application/pdf' ? 'pdf' : 'html'}`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast({
+        title: "Download Failed",
+        description: `Failed to download ${receipt.receiptNumber}`,
+        variant: "destructive"
+      });
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-6 text-sm text-gray-500">
+        <Loader2 className="h-4 w-4 animate-spin mr-2" />
+        Loading payment receipts...
+      </div>
+    );
+  }
+
+  if (receipts.length === 0) {
+    return null;
+  }
+
+  return (
+    <Card className="border-0 shadow-lg">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Wallet className="h-5 w-5 text-emerald-600" />
+          Payment Receipts
+        </CardTitle>
+        <CardDescription>
+          Payments we have received from you. TDS you deducted counts towards the invoice it was deducted on.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Receipt</TableHead>
+              <TableHead>Date</TableHead>
+              <TableHead>Mode</TableHead>
+              <TableHead>Invoices</TableHead>
+              <TableHead>Amount</TableHead>
+              <TableHead>TDS</TableHead>
+              <TableHead>Status</TableHead>
+              <TableHead></TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {receipts.map(receipt => (
+              <TableRow key={receipt._id}>
+                <TableCell className="text-sm font-medium">{receipt.receiptNumber}</TableCell>
+                <TableCell className="text-sm">{formatDate(receipt.receiptDate)}</TableCell>
+                <TableCell className="text-sm">
+                  {MODE_LABELS[receipt.paymentMode] || receipt.paymentMode}
+                  {receipt.reference && <div className="text-xs text-gray-500 font-mono">{receipt.reference}</div>}
+                </TableCell>
+                <TableCell className="text-sm">
+                  {receipt.allocations.map(allocation => allocation.invoiceNumber).join(', ') || '-'}
+                  {receipt.unallocatedAmount > 0 && (
+                    <div className="text-xs text-gray-500">{formatAmount(receipt.unallocatedAmount)} on account</div>
+                  )}
+                </TableCell>
+                <TableCell className="text-sm font-medium">{formatAmount(receipt.amountReceived)}</TableCell>
+                <TableCell className="text-sm">{receipt.tdsAmount > 0 ? formatAmount(receipt.tdsAmount) : '-'}</TableCell>
+                <TableCell>
+                  {receipt.status === 'active' ? (
+                    <Badge className="bg-green-100 text-green-800 text-xs">Received</Badge>
+                  ) : (
+                    <Badge variant="secondary" className="text-xs">Cancelled</Badge>
+                  )}
+                </TableCell>
+                <TableCell className="text-right">
+                  <Button variant="outline" size="sm" onClick={() => handleDownload(receipt)}>
+                    <Download className="h-4 w-4" />
+                  </Button>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default PaymentReceiptsLedger;
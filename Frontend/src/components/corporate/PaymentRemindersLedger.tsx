@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { BellRing, Loader2 } from "lucide-react";
+
+interface PaymentReminder {
+  _id: string;
+  invoiceNumber: string;
+  stage: string;
+  daysFromDue: number;
+  dueDate: string;
+  balanceDue: number;
+  sentTo: string;
+  sentAt: string;
+}
+
+const formatAmount = (amount: number) => `₹${amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date: string) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+const reminderLabel = (daysFromDue: number) => {
+  if (daysFromDue > 0) return `${daysFromDue} days overdue`;
+  if (daysFromDue === 0) return 'Due today';
+  return `Due in ${-daysFromDue} days`;
+};
+
+// Payment reminders emailed to the corporate for invoices falling due or overdue
+const PaymentRemindersLedger: React.FC = () => {
+  const [reminders, setReminders] = useState<PaymentReminder[]>([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchReminders = async () => {
+      try {
+        const response = await fetch('/api/dunning/corporate/reminders?limit=50', {
+          headers: { 'Authorization': `Bearer ${localStorage.getItem('corporateToken')}` }
+        });
+        const result = await response.json();
+        if (result.success) setReminders(result.data.reminders);
+      } catch (error) {
+        console.error('Error fetching payment reminders:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchReminders();
+  }, []);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-6 text-sm text-gray-500">
+        <Loader2 className="h-4 w-4 animate-spin mr-2" />
+        Loading payment reminders...
+      </div>
+    );
+  }
+
+  if (reminders.length === 0) {
+    return null;
+  }
+
+  return (
+    <Card className="border-0 shadow-lg">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <BellRing className="h-5 w-5 text-amber-600" />
+          Payment Reminders
+        </CardTitle>
+        <CardDescription>
+          Reminders we have emailed for invoices falling due or overdue, with the invoice attached.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Sent</TableHead>
+              <TableHead>Invoice</TableHead>
+              <TableHead>Due Date</TableHead>
+              <TableHead>Reminder</TableHead>
+              <TableHead>Balance Due</TableHead>
+              <TableHead>Sent To</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {reminders.map(reminder => (
+              <TableRow key={reminder._id}>
+                <TableCell className="text-sm">{formatDate(reminder.sentAt)}</TableCell>
+                <TableCell className="text-sm font-medium">{reminder.invoiceNumber}</TableCell>
+                <TableCell className="text-sm">{formatDate(reminder.dueDate)}</TableCell>
+                <TableCell>
+                  <Badge className={`text-xs ${reminder.daysFromDue > 0 ? 'bg-red-100 text-red-800' : 'bg-amber-100 text-amber-800'}`}>
+                    {reminderLabel(reminder.daysFromDue)}
+                  </Badge>
+                </TableCell>
+                <TableCell className="text-sm font-medium">{formatAmount(reminder.balanceDue)}</TableCell>
+                <TableCell className="text-sm text-gray-600">{reminder.sentTo}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default PaymentRemindersLedger;
@@ -17,6 +17,12 @@ import {
 } from "lucide-react";
 import { useToast } from "@/hooks/use-toast";
 import Invoice from './Invoice';
+import CodLedger from './CodLedger';
+import InvoiceNotesLedger from './InvoiceNotesLedger';
+import StatementOfAccount from '@/components/StatementOfAccount';
+import PaymentReceiptsLedger from './PaymentReceiptsLedger';
+import PaymentRemindersLedger from './PaymentRemindersLedger';
+import CreditLimitCard from './CreditLimitCard';
 
 
 interface UnpaidBill {
@@ -31,6 +37,7 @@ interface UnpaidBill {
   totalAmount: number;
   status: string;
   paymentStatus: string;
+  lineType?: 'forward' | 'rto';
 }
 
 interface UnpaidBillsSummary {
@@ -100,7 +107,8 @@ const SettlementSection: React.FC = () => {
       
       if (response.ok) {
         const data = await response.json();
-        setUnpaidBills(data.data.bills);
+        // Return legs of RTO shipments are billed as separate lines
+        setUnpaidBills([...data.data.bills, ...(data.data.rtoBills || [])]);
         setUnpaidBillsSummary(data.data.summary);
       }
     } catch (error) {
@@ -339,7 +347,8 @@ const SettlementSection: React.FC = () => {
                   awbNumber: bill.bookingReference,
                   weight: bill.weight,
                   freightCharges: bill.freightCharges,
-                  totalAmount: bill.totalAmount
+                  totalAmount: bill.totalAmount,
+                  lineType: bill.lineType
                 }))}
                 summary={unpaidBillsSummary || {
                   totalBills: 0,
@@ -359,6 +368,24 @@ const SettlementSection: React.FC = () => {
         </CardContent>
       </Card>
 
+      {/* Credit limit and what is used of it */}
+      <CreditLimitCard />
+
+      {/* Running balance and aging of the corporate's account */}
+      <StatementOfAccount statementUrl="/api/settlement/statement" token={localStorage.getItem('corporateToken')} />
+
+      {/* Corrections to issued invoices */}
+      <InvoiceNotesLedger />
+
+      {/* Payments received and the invoices they settled */}
+      <PaymentReceiptsLedger />
+
+      {/* Reminders emailed for invoices falling due or overdue */}
+      <PaymentRemindersLedger />
+
+      {/* Cash on delivery collections and remittances */}
+      <CodLedger />
+
     </div>
   );
 };
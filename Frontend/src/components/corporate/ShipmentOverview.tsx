@@ -32,7 +32,9 @@ import {
   Clock,
   CheckCircle,
   AlertCircle,
-  Loader2
+  Loader2,
+  ShieldCheck,
+  Undo2
 } from 'lucide-react';
 import { useToast } from '@/hooks/use-toast';
 
@@ -91,7 +93,7 @@ interface ShipmentData {
     transportMode: string;
     chargeableWeight: string;
   };
-  status: 'booked' | 'picked_up' | 'in_transit' | 'out_for_delivery' | 'delivered' | 'cancelled';
+  status: string; // Latest tracking scan status (booked, picked_up, in_transit, delivered, ...)
   paymentStatus: 'paid' | 'unpaid';
   paymentType: 'FP' | 'TP'; // FP = Freight Paid, TP = To Pay
   bookingDate: string;
@@ -103,6 +105,23 @@ interface ShipmentData {
     timestamp: string;
     description: string;
   }>;
+  pod?: {
+    receivedBy: string;
+    relationship?: string;
+    deliveredAt: string;
+    otpVerified: boolean;
+    signatureUrl?: string | null;
+    photoUrl?: string | null;
+  } | null;
+  // Return-to-origin leg, billed separately from the forward freight
+  rto?: {
+    status: 'initiated' | 'in_transit' | 'returned';
+    initiatedAt: string;
+    returnedAt?: string | null;
+    freightCharges: number;
+    totalAmount: number;
+    paymentStatus: string;
+  } | null;
 }
 
 const ShipmentOverview: React.FC = () => {
@@ -145,18 +164,21 @@ const ShipmentOverview: React.FC = () => {
             destinationData: booking.bookingData.destinationData,
             shipmentData: booking.bookingData.shipmentData,
             invoiceData: booking.bookingData.invoiceData,
-            status: 'booked', // Default status
+            status: booking.tracking?.currentStatus || 'booked',
             paymentStatus: 'unpaid', // Default payment status
             paymentType: booking.paymentType || 'FP', // Include payment type from backend
             bookingDate: booking.usedAt,
-            trackingUpdates: [
+            deliveryDate: booking.tracking?.deliveredAt || undefined,
+            trackingUpdates: booking.tracking?.timeline?.length ? booking.tracking.timeline : [
               {
                 status: 'booked',
                 location: booking.bookingData.originData.city,
                 timestamp: booking.usedAt,
                 description: 'Shipment booked and ready for pickup'
               }
-            ]
+            ],
+            pod: booking.tracking?.pod || null,
+            rto: booking.rto || null
           }));
           setShipments(transformedShipments);
         } catch (apiError) {
@@ -206,7 +228,8 @@ const ShipmentOverview: React.FC = () => {
       shipment.originData.city.toLowerCase().includes(searchTerm.toLowerCase()) ||
       shipment.destinationData.city.toLowerCase().includes(searchTerm.toLowerCase());
     
-    const matchesStatus = statusFilter === 'all' || shipment.status === statusFilter;
+    const matchesStatus = statusFilter === 'all' || shipment.status === statusFilter ||
+      (statusFilter === 'rto' && !!shipment.rto);
     const matchesPayment = paymentFilter === 'all' || shipment.paymentStatus === paymentFilter;
     
     // Month filtering
@@ -269,6 +292,23 @@ const ShipmentOverview: React.FC = () => {
           color: 'text-green-600',
           bgColor: 'bg-green-100'
         };
+      case 'failed':
+      case 'reattempt_scheduled':
+        return {
+          variant: 'default' as const,
+          icon: <AlertCircle className="h-4 w-4" />,
+          color: 'text-amber-600',
+          bgColor: 'bg-amber-100'
+        };
+      case 'rto_initiated':
+      case 'rto_in_transit':
+      case 'rto_delivered':
+        return {
+          variant: 'default' as const,
+          icon: <Undo2 className="h-4 w-4" />,
+          color: 'text-red-600',
+          bgColor: 'bg-red-100'
+        };
       case 'cancelled':
         return {
           variant: 'destructive' as const,
@@ -353,6 +393,7 @@ const ShipmentOverview: React.FC = () => {
                   <SelectItem value="in_transit">In Transit</SelectItem>
                   <SelectItem value="out_for_delivery">Out for Delivery</SelectItem>
                   <SelectItem value="delivered">Delivered</SelectItem>
+                  <SelectItem value="rto">Returned (RTO)</SelectItem>
                   <SelectItem value="cancelled">Cancelled</SelectItem>
                 </SelectContent>
               </Select>
@@ -476,7 +517,7 @@ const ShipmentOverview: React.FC = () => {
                           >
                             {statusInfo.icon}
                             <span className="ml-1 capitalize">
-                              {shipment.status.replace('_', ' ')}
+                              {shipment.status.replace(/_/g, ' ')}
                             </span>
                           </Badge>
                         </TableCell>
@@ -590,6 +631,53 @@ const ShipmentOverview: React.FC = () => {
                                     </div>
                                   </div>
                                 </div>
+
+                                {/* Return to Origin */}
+                                {shipment.rto && (
+                                  <div className="bg-white rounded p-2 border border-red-200">
+                                    <h4 className="font-semibold text-red-800 mb-1 flex items-center gap-1 text-xs">
+                                      <Undo2 className="h-3 w-3" />
+                                      Return to Origin
+                                    </h4>
+                                    <div className="grid grid-cols-1 md:grid-cols-2 gap-1 text-xs">
+                                      <div><strong>Return Status:</strong> {{ initiated: 'Initiated', in_transit: 'In Transit', returned: 'Returned' }[shipment.rto.status]}</div>
+                                      <div><strong>Initiated On:</strong> {formatDate(shipment.rto.initiatedAt)}</div>
+                                      {shipment.rto.returnedAt && (
+                                        <div><strong>Returned On:</strong> {formatDate(shipment.rto.returnedAt)}</div>
+                                      )}
+                                      <div><strong>RTO Freight:</strong> ₹{shipment.rto.freightCharges.toFixed(2)}</div>
+                                      <div><strong>RTO Total (incl. GST):</strong> ₹{shipment.rto.totalAmount.toFixed(2)}</div>
+                                      <div className="capitalize"><strong>Billing:</strong> {shipment.rto.paymentStatus}</div>
+                                    </div>
+                                  </div>
+                                )}
+
+                                {/* Proof of Delivery */}
+                                {shipment.pod && (
+                                  <div className="bg-white rounded p-2 border border-green-200">
+                                    <h4 className="font-semibold text-green-800 mb-1 flex items-center gap-1 text-xs">
+                                      <ShieldCheck className="h-3 w-3" />
+                                      Proof of Delivery
+                                    </h4>
+                                    <div className="flex flex-wrap items-start gap-4 text-xs">
+                                      <div className="space-y-0.5">
+                                        <div><strong>Received By:</strong> {shipment.pod.receivedBy}{shipment.pod.relationship && ` (${shipment.pod.relationship})`}</div>
+                                        <div><strong>Delivered On:</strong> {formatDate(shipment.pod.deliveredAt)}</div>
+                                        <div><strong>Receiver OTP:</strong> {shipment.pod.otpVerified ? 'Verified' : 'Not verified'}</div>
+                                      </div>
+                                      {shipment.pod.signatureUrl && (
+                                        <a href={shipment.pod.signatureUrl} target="_blank" rel="noopener noreferrer">
+                                          <img src={shipment.pod.signatureUrl} alt="Receiver signature" className="h-16 w-28 object-contain rounded border bg-white" />
+                                        </a>
+                                      )}
+                                      {shipment.pod.photoUrl && (
+                                        <a href={shipment.pod.photoUrl} target="_blank" rel="noopener noreferrer">
+                                          <img src={shipment.pod.photoUrl} alt="Delivery photo" className="h-16 w-28 object-cover rounded border" />
+                                        </a>
+                                      )}
+                                    </div>
+                                  </div>
+                                )}
                               </div>
                             </div>
                           </TableCell>
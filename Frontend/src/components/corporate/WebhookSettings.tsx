@@ -0,0 +1,565 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Switch } from "@/components/ui/switch";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { useToast } from "@/hooks/use-toast";
+import {
+  Webhook,
+  Plus,
+  Edit3,
+  Trash2,
+  Send,
+  KeyRound,
+  RefreshCw,
+  RotateCcw,
+  Copy,
+  Loader2
+} from "lucide-react";
+
+interface WebhookEventOption {
+  value: string;
+  event: string;
+  label: string;
+  description: string;
+}
+
+interface WebhookSubscription {
+  _id: string;
+  url: string;
+  description?: string;
+  events: string[];
+  isActive: boolean;
+  secretHint: string;
+  lastDeliveryAt?: string | null;
+  lastDeliveryStatus?: 'delivered' | 'failed' | null;
+}
+
+interface WebhookDelivery {
+  _id: string;
+  subscriptionId: { _id: string; url: string; description?: string } | null;
+  event: string;
+  consignmentNumber?: number | null;
+  status: 'pending' | 'delivered' | 'failed';
+  attemptCount: number;
+  nextAttemptAt?: string | null;
+  createdAt: string;
+  attempts: Array<{ attemptedAt: string; responseStatus?: number | null; error?: string; durationMs: number }>;
+}
+
+interface SubscriptionForm {
+  url: string;
+  description: string;
+  events: string[];
+}
+
+const emptyForm: SubscriptionForm = { url: '', description: '', events: [] };
+
+const deliveryStatusStyles: { [key: string]: string } = {
+  pending: 'bg-amber-100 text-amber-700',
+  delivered: 'bg-green-100 text-green-700',
+  failed: 'bg-red-100 text-red-700'
+};
+
+const WebhookSettings = () => {
+  const [eventOptions, setEventOptions] = useState<WebhookEventOption[]>([]);
+  const [subscriptions, setSubscriptions] = useState<WebhookSubscription[]>([]);
+  const [deliveries, setDeliveries] = useState<WebhookDelivery[]>([]);
+  const [deliveryFilter, setDeliveryFilter] = useState('all');
+  const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingDeliveries, setIsLoadingDeliveries] = useState(false);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [form, setForm] = useState<SubscriptionForm>(emptyForm);
+  const [isSaving, setIsSaving] = useState(false);
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [revealedSecret, setRevealedSecret] = useState<string | null>(null);
+  const { toast } = useToast();
+
+  const request = async (url: string, options: RequestInit = {}) => {
+    const token = localStorage.getItem('corporateToken');
+    const response = await fetch(url, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      }
+    });
+    const result = await response.json();
+
+    if (!response.ok || !result.success) {
+      throw new Error(result.details?.join(', ') || result.error || 'Request failed');
+    }
+    return result;
+  };
+
+  const showError = (error: unknown, fallback: string) => {
+    toast({
+      title: "Error",
+      description: error instanceof Error ? error.message : fallback,
+      variant: "destructive",
+    });
+  };
+
+  const fetchSubscriptions = async () => {
+    try {
+      setIsLoading(true);
+      const [eventsResult, subscriptionsResult] = await Promise.all([
+        request('/api/webhooks/events'),
+        request('/api/webhooks/subscriptions')
+      ]);
+      setEventOptions(eventsResult.data);
+      setSubscriptions(subscriptionsResult.data);
+    } catch (error) {
+      console.error('Error fetching webhooks:', error);
+      showError(error, 'Failed to load webhooks');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const fetchDeliveries = async () => {
+    try {
+      setIsLoadingDeliveries(true);
+      const result = await request(`/api/webhooks/deliveries?status=${deliveryFilter}&limit=25`);
+      setDeliveries(result.data);
+    } catch (error) {
+      console.error('Error fetching webhook deliveries:', error);
+      showError(error, 'Failed to load delivery log');
+    } finally {
+      setIsLoadingDeliveries(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSubscriptions();
+  }, []);
+
+  useEffect(() => {
+    fetchDeliveries();
+  }, [deliveryFilter]);
+
+  const openCreate = () => {
+    setEditingId(null);
+    setForm(emptyForm);
+    setDialogOpen(true);
+  };
+
+  const openEdit = (subscription: WebhookSubscription) => {
+    setEditingId(subscription._id);
+    setForm({
+      url: subscription.url,
+      description: subscription.description || '',
+      events: subscription.events
+    });
+    setDialogOpen(true);
+  };
+
+  const toggleEvent = (value: string, checked: boolean) => {
+    setForm(prev => ({
+      ...prev,
+      events: checked ? [...prev.events, value] : prev.events.filter(event => event !== value)
+    }));
+  };
+
+  const handleSave = async () => {
+    if (!form.url.trim() || form.events.length === 0) {
+      toast({
+        title: "Missing details",
+        description: "Enter the endpoint URL and select at least one event.",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      const result = await request(
+        editingId ? `/api/webhooks/subscriptions/${editingId}` : '/api/webhooks/subscriptions',
+        {
+          method: editingId ? 'PUT' : 'POST',
+          body: JSON.stringify(form)
+        }
+      );
+
+      toast({
+        title: editingId ? "Webhook Updated" : "Webhook Added",
+        description: result.message,
+      });
+      if (result.secret) {
+        setRevealedSecret(result.secret);
+      }
+      setDialogOpen(false);
+      fetchSubscriptions();
+    } catch (error) {
+      showError(error, 'Failed to save webhook');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const runAction = async (subscription: WebhookSubscription, action: () => Promise<void>) => {
+    try {
+      setBusyId(subscription._id);
+      await action();
+    } catch (error) {
+      showError(error, 'Request failed');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleToggleActive = (subscription: WebhookSubscription, isActive: boolean) => runAction(subscription, async () => {
+    await request(`/api/webhooks/subscriptions/${subscription._id}`, {
+      method: 'PUT',
+      body: JSON.stringify({ isActive })
+    });
+    fetchSubscriptions();
+  });
+
+  const handleDelete = (subscription: WebhookSubscription) => {
+    if (!window.confirm(`Stop sending events to ${subscription.url}?`)) return;
+
+    runAction(subscription, async () => {
+      await request(`/api/webhooks/subscriptions/${subscription._id}`, { method: 'DELETE' });
+      toast({ title: "Webhook Deleted", description: "No more events will be sent to this endpoint." });
+      fetchSubscriptions();
+    });
+  };
+
+  const handleRotate = (subscription: WebhookSubscription) => {
+    if (!window.confirm('Requests signed with the old secret will stop verifying. Rotate now?')) return;
+
+    runAction(subscription, async () => {
+      const result = await request(`/api/webhooks/subscriptions/${subscription._id}/rotate-secret`, { method: 'POST' });
+      setRevealedSecret(result.secret);
+      fetchSubscriptions();
+    });
+  };
+
+  const handleTest = (subscription: WebhookSubscription) => runAction(subscription, async () => {
+    const result = await request(`/api/webhooks/subscriptions/${subscription._id}/test`, { method: 'POST' });
+    toast({
+      title: result.data.status === 'delivered' ? "Test Delivered" : "Test Failed",
+      description: result.data.status === 'delivered'
+        ? 'Your endpoint acknowledged the ping event.'
+        : result.data.attempts[result.data.attempts.length - 1]?.error || result.message,
+      variant: result.data.status === 'delivered' ? undefined : "destructive",
+    });
+    fetchSubscriptions();
+    fetchDeliveries();
+  });
+
+  const handleResend = async (delivery: WebhookDelivery) => {
+    try {
+      setBusyId(delivery._id);
+      const result = await request(`/api/webhooks/deliveries/${delivery._id}/resend`, { method: 'POST' });
+      toast({
+        title: result.data.status === 'delivered' ? "Delivery Resent" : "Resend Failed",
+        description: result.message,
+        variant: result.data.status === 'delivered' ? undefined : "destructive",
+      });
+      fetchDeliveries();
+    } catch (error) {
+      showError(error, 'Failed to resend delivery');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const copySecret = async () => {
+    if (!revealedSecret) return;
+    await navigator.clipboard.writeText(revealedSecret);
+    toast({ title: "Copied", description: "Signing secret copied to clipboard." });
+  };
+
+  const formatDateTime = (dateString: string) => new Date(dateString).toLocaleString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  const eventLabel = (value: string) => eventOptions.find(option => option.value === value)?.label || value;
+
+  return (
+    <Card className="bg-white/80 backdrop-blur-sm shadow-lg hover:shadow-xl transition-all duration-300 border-0 rounded-xl overflow-hidden">
+      <CardHeader className="bg-gradient-to-r from-slate-50 to-gray-100 border-b border-gray-100 py-4">
+        <div className="flex items-center justify-between gap-3">
+          <div>
+            <CardTitle className="flex items-center gap-2 text-gray-800 text-lg">
+              <Webhook className="h-4 w-4 text-slate-600" />
+              Webhooks
+            </CardTitle>
+            <CardDescription className="text-gray-600 text-sm">
+              Get an HTTP POST on your server whenever one of your shipments changes status
+            </CardDescription>
+          </div>
+          <Button size="sm" onClick={openCreate} className="flex items-center gap-1">
+            <Plus className="h-4 w-4" />
+            Add Endpoint
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="p-4 space-y-6">
+        <div className="text-xs text-gray-600 bg-gray-50 rounded-lg p-3 space-y-1">
+          <p>
+            Each request carries <code>X-OCL-Event</code>, <code>X-OCL-Delivery</code>, <code>X-OCL-Timestamp</code> and{' '}
+            <code>X-OCL-Signature</code> headers. The signature is <code>sha256=</code> followed by the hex HMAC SHA-256 of{' '}
+            <code>timestamp + "." + raw body</code> using your signing secret.
+          </p>
+          <p>Respond with any 2xx status within 10 seconds. Failed deliveries are retried after 1 minute, 5 minutes, 30 minutes, 2 hours and 12 hours.</p>
+        </div>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-6 text-sm text-gray-500">
+            <Loader2 className="h-4 w-4 animate-spin mr-2" />
+            Loading webhooks...
+          </div>
+        ) : subscriptions.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-6">No webhook endpoints yet</p>
+        ) : (
+          <div className="space-y-3">
+            {subscriptions.map(subscription => (
+              <div key={subscription._id} className="border border-gray-200 rounded-lg p-3 space-y-2">
+                <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+                  <div className="min-w-0">
+                    <div className="font-medium text-sm text-gray-800 break-all">{subscription.url}</div>
+                    {subscription.description && (
+                      <div className="text-xs text-gray-500">{subscription.description}</div>
+                    )}
+                    <div className="text-xs text-gray-500 mt-1">
+                      Secret <code>{subscription.secretHint}</code>
+                      {subscription.lastDeliveryAt && (
+                        <> · Last delivery {formatDateTime(subscription.lastDeliveryAt)}{' '}
+                          <span className={subscription.lastDeliveryStatus === 'failed' ? 'text-red-600' : 'text-green-600'}>
+                            ({subscription.lastDeliveryStatus})
+                          </span>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-2 flex-shrink-0">
+                    <Switch
+                      checked={subscription.isActive}
+                      disabled={busyId === subscription._id}
+                      onCheckedChange={checked => handleToggleActive(subscription, checked)}
+                    />
+                    <Button size="sm" variant="outline" disabled={busyId === subscription._id || !subscription.isActive} onClick={() => handleTest(subscription)} title="Send test event">
+                      {busyId === subscription._id ? <Loader2 className="h-4 w-4 animate-spin" /> : <Send className="h-4 w-4" />}
+                    </Button>
+                    <Button size="sm" variant="outline" disabled={busyId === subscription._id} onClick={() => handleRotate(subscription)} title="Rotate secret">
+                      <KeyRound className="h-4 w-4" />
+                    </Button>
+                    <Button size="sm" variant="outline" disabled={busyId === subscription._id} onClick={() => openEdit(subscription)} title="Edit">
+                      <Edit3 className="h-4 w-4" />
+                    </Button>
+                    <Button size="sm" variant="outline" disabled={busyId === subscription._id} onClick={() => handleDelete(subscription)} title="Delete" className="text-red-600">
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </div>
+                </div>
+                <div className="flex flex-wrap gap-1">
+                  {subscription.events.map(event => (
+                    <Badge key={event} variant="secondary" className="text-xs">{eventLabel(event)}</Badge>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <h3 className="text-sm font-semibold text-gray-800">Delivery Log</h3>
+            <div className="flex gap-2">
+              <Select value={deliveryFilter} onValueChange={setDeliveryFilter}>
+                <SelectTrigger className="w-36 h-8 text-sm">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All</SelectItem>
+                  <SelectItem value="delivered">Delivered</SelectItem>
+                  <SelectItem value="pending">Retrying</SelectItem>
+                  <SelectItem value="failed">Failed</SelectItem>
+                </SelectContent>
+              </Select>
+              <Button variant="outline" size="sm" onClick={fetchDeliveries} disabled={isLoadingDeliveries}>
+                <RefreshCw className={`h-4 w-4 ${isLoadingDeliveries ? 'animate-spin' : ''}`} />
+              </Button>
+            </div>
+          </div>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Time</TableHead>
+                <TableHead>Event</TableHead>
+                <TableHead>Consignment</TableHead>
+                <TableHead>Endpoint</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead>Last Response</TableHead>
+                <TableHead></TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {deliveries.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={7} className="text-center py-6 text-sm text-gray-500">
+                    {isLoadingDeliveries ? 'Loading...' : 'No deliveries yet'}
+                  </TableCell>
+                </TableRow>
+              ) : (
+                deliveries.map(delivery => {
+                  const lastAttempt = delivery.attempts[delivery.attempts.length - 1];
+                  return (
+                    <TableRow key={delivery._id}>
+                      <TableCell className="text-xs whitespace-nowrap">{formatDateTime(delivery.createdAt)}</TableCell>
+                      <TableCell className="text-xs"><code>{delivery.event}</code></TableCell>
+                      <TableCell className="text-xs">{delivery.consignmentNumber ? `#${delivery.consignmentNumber}` : '-'}</TableCell>
+                      <TableCell className="text-xs max-w-[180px] truncate">{delivery.subscriptionId?.url || 'Deleted endpoint'}</TableCell>
+                      <TableCell>
+                        <Badge className={`${deliveryStatusStyles[delivery.status]} border-0 text-xs`}>
+                          {delivery.status === 'pending' ? 'Retrying' : delivery.status}
+                        </Badge>
+                        <div className="text-xs text-gray-500 mt-1">
+                          {delivery.attemptCount} attempt{delivery.attemptCount === 1 ? '' : 's'}
+                          {delivery.status === 'pending' && delivery.nextAttemptAt && <> · next {formatDateTime(delivery.nextAttemptAt)}</>}
+                        </div>
+                      </TableCell>
+                      <TableCell className="text-xs max-w-[200px]">
+                        {lastAttempt ? (
+                          <>
+                            {lastAttempt.responseStatus && <span className="font-medium">HTTP {lastAttempt.responseStatus} </span>}
+                            <span className="text-gray-500">{lastAttempt.durationMs} ms</span>
+                            {lastAttempt.error && <div className="text-red-600 truncate" title={lastAttempt.error}>{lastAttempt.error}</div>}
+                          </>
+                        ) : '-'}
+                      </TableCell>
+                      <TableCell>
+                        {delivery.subscriptionId && (
+                          <Button size="sm" variant="outline" disabled={busyId === delivery._id} onClick={() => handleResend(delivery)}>
+                            {busyId === delivery._id ? <Loader2 className="h-3 w-3 animate-spin" /> : <RotateCcw className="h-3 w-3" />}
+                            <span className="ml-1">Resend</span>
+                          </Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })
+              )}
+            </TableBody>
+          </Table>
+        </div>
+      </CardContent>
+
+      <Dialog open={dialogOpen} onOpenChange={setDialogOpen}>
+        <DialogContent className="max-w-lg">
+          <DialogHeader>
+            <DialogTitle>{editingId ? 'Edit Webhook Endpoint' : 'Add Webhook Endpoint'}</DialogTitle>
+            <DialogDescription>Choose where to send shipment events and which ones you need.</DialogDescription>
+          </DialogHeader>
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="webhookUrl">Endpoint URL</Label>
+              <Input
+                id="webhookUrl"
+                value={form.url}
+                placeholder="https://example.com/ocl/webhook"
+                onChange={e => setForm(prev => ({ ...prev, url: e.target.value }))}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="webhookDescription">Description</Label>
+              <Input
+                id="webhookDescription"
+                value={form.description}
+                placeholder="Optional"
+                onChange={e => setForm(prev => ({ ...prev, description: e.target.value }))}
+              />
+            </div>
+            <div className="space-y-2">
+              <div className="flex items-center justify-between">
+                <Label>Events</Label>
+                <Button
+                  type="button"
+                  variant="link"
+                  size="sm"
+                  className="h-auto p-0 text-xs"
+                  onClick={() => setForm(prev => ({
+                    ...prev,
+                    events: prev.events.length === eventOptions.length ? [] : eventOptions.map(option => option.value)
+                  }))}
+                >
+                  {form.events.length === eventOptions.length ? 'Clear all' : 'Select all'}
+                </Button>
+              </div>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 max-h-60 overflow-y-auto">
+                {eventOptions.map(option => (
+                  <label key={option.value} className="flex items-start gap-2 text-sm cursor-pointer" title={option.description}>
+                    <Checkbox
+                      checked={form.events.includes(option.value)}
+                      onCheckedChange={checked => toggleEvent(option.value, checked === true)}
+                    />
+                    <span>
+                      {option.label}
+                      <span className="block text-xs text-gray-500">{option.event}</span>
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setDialogOpen(false)} disabled={isSaving}>Cancel</Button>
+            <Button onClick={handleSave} disabled={isSaving}>
+              {isSaving && <Loader2 className="h-4 w-4 animate-spin mr-2" />}
+              {editingId ? 'Save Changes' : 'Add Endpoint'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={!!revealedSecret} onOpenChange={open => !open && setRevealedSecret(null)}>
+        <DialogContent className="max-w-lg">
+          <DialogHeader>
+            <DialogTitle>Signing Secret</DialogTitle>
+            <DialogDescription>
+              Store this secret on your server now. It will not be shown again.
+            </DialogDescription>
+          </DialogHeader>
+          <div className="flex items-center gap-2">
+            <Input value={revealedSecret || ''} readOnly className="font-mono text-xs" />
+            <Button variant="outline" size="sm" onClick={copySecret}>
+              <Copy className="h-4 w-4" />
+            </Button>
+          </div>
+          <DialogFooter>
+            <Button onClick={() => setRevealedSecret(null)}>Done</Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default WebhookSettings;
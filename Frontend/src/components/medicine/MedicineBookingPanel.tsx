@@ -36,6 +36,7 @@ import {
   Eye,
   Loader2
 } from 'lucide-react';
+import { calculatePiecesVolumetricWeight } from '@/utils/calc';
 
 const API_BASE: string = (import.meta as any).env?.VITE_API_BASE_URL || 'http://localhost:5000';
 
@@ -1347,16 +1348,7 @@ const MedicineBookingPanel: React.FC = () => {
 
   // Calculate volumetric weight
   const calculateVolumetricWeight = () => {
-    const { length, breadth, height, unit } = shipmentData.dimensions[0];
-    if (length && breadth && height) {
-      const l = parseFloat(length) || 0;
-      const b = parseFloat(breadth) || 0;
-      const h = parseFloat(height) || 0;
-      const multiplier = unit === 'cm' ? 1 : (unit === 'mm' ? 0.1 : 100);
-      const volWeight = (l * b * h * multiplier) / 5000;
-      return parseFloat(volWeight.toFixed(2));
-    }
-    return 0;
+    return calculatePiecesVolumetricWeight(shipmentData.dimensions, shipmentData.mode);
   };
 
   // Calculate chargeable weight
@@ -1376,7 +1368,7 @@ const MedicineBookingPanel: React.FC = () => {
       volumetricWeight,
       chargeableWeight
     }));
-  }, [shipmentData.dimensions, shipmentData.actualWeight]);
+  }, [shipmentData.dimensions, shipmentData.actualWeight, shipmentData.mode]);
 
   // Update freight charge when chargeable weight or per kg rate changes
   useEffect(() => {
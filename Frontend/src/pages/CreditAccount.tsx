@@ -12,6 +12,15 @@ import { useToast } from "@/hooks/use-toast";
 import Navbar from "@/components/Navbar";
 import Footer from "@/components/Footer";
 
+type DocumentField = "gstCertificate" | "panCard" | "addressProof" | "otherDocuments";
+
+const documentFields: { field: DocumentField; label: string; multiple?: boolean }[] = [
+  { field: "panCard", label: "PAN Card *" },
+  { field: "gstCertificate", label: "GST Registration Certificate" },
+  { field: "addressProof", label: "Address Proof" },
+  { field: "otherDocuments", label: "Other Documents (up to 3)", multiple: true }
+];
+
 const CreditAccount = () => {
   const [formData, setFormData] = useState({
     companyName: "",
@@ -29,22 +38,70 @@ const CreditAccount = () => {
     creditLimit: "",
     acceptTerms: false
   });
+  const [customCreditLimit, setCustomCreditLimit] = useState("");
+  const [documents, setDocuments] = useState<Record<DocumentField, File[]>>({
+    gstCertificate: [],
+    panCard: [],
+    addressProof: [],
+    otherDocuments: []
+  });
+  const [submittedReference, setSubmittedReference] = useState<string | null>(null);
   const [isLoading, setIsLoading] = useState(false);
   const { toast } = useToast();
 
+  const showError = (description: string) => {
+    toast({
+      title: "Application Failed",
+      description,
+      variant: "destructive",
+    });
+  };
+
+  const handleDocumentChange = (field: DocumentField, files: FileList | null) => {
+    setDocuments({ ...documents, [field]: files ? Array.from(files) : [] });
+  };
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
+
+    if (documents.panCard.length === 0) {
+      showError("Please upload a copy of your PAN card.");
+      return;
+    }
+    if (formData.gstNumber.trim() && documents.gstCertificate.length === 0) {
+      showError("Please upload your GST registration certificate.");
+      return;
+    }
+
     setIsLoading(true);
+    try {
+      const body = new FormData();
+      Object.entries(formData).forEach(([key, value]) => {
+        if (key !== "creditLimit") body.append(key, String(value));
+      });
+      body.append("creditLimit", formData.creditLimit === "custom" ? customCreditLimit : formData.creditLimit);
+      (Object.keys(documents) as DocumentField[]).forEach(field => {
+        documents[field].forEach(file => body.append(field, file));
+      });
 
-    // TODO: Replace with actual API call
-    await new Promise(resolve => setTimeout(resolve, 2000));
+      const response = await fetch("/api/credit-applications", { method: "POST", body });
+      const result = await response.json();
 
-    toast({
-      title: "Application Submitted Successfully!",
-      description: "Your credit account application has been received. We'll contact you within 2-3 business days.",
-    });
+      if (!response.ok || !result.success) {
+        throw new Error(result.details?.join(", ") || result.error || "Failed to submit application");
+      }
 
-    setIsLoading(false);
+      setSubmittedReference(result.data.reference);
+      toast({
+        title: "Application Submitted Successfully!",
+        description: result.message,
+      });
+    } catch (error) {
+      console.error("Credit application error:", error);
+      showError(error instanceof Error ? error.message : "Failed to submit application");
+    } finally {
+      setIsLoading(false);
+    }
   };
 
   const benefits = [
@@ -144,6 +201,16 @@ const CreditAccount = () => {
                 </CardTitle>
               </CardHeader>
               <CardContent>
+                {submittedReference ? (
+                  <div className="text-center py-12 space-y-4">
+                    <CheckCircle className="h-12 w-12 text-green-500 mx-auto" />
+                    <h3 className="text-xl font-semibold">Application Received</h3>
+                    <p className="text-muted-foreground">
+                      Your reference number is <span className="font-mono font-semibold text-primary">{submittedReference}</span>.
+                      We'll review your documents and contact you at {formData.email} within 2-3 business days.
+                    </p>
+                  </div>
+                ) : (
                 <form onSubmit={handleSubmit} className="space-y-6">
                   {/* Company Information */}
                   <div className="space-y-4">
@@ -377,6 +444,45 @@ const CreditAccount = () => {
                           <SelectItem value="custom">Custom Amount</SelectItem>
                         </SelectContent>
                       </Select>
+                      {formData.creditLimit === "custom" && (
+                        <Input
+                          id="customCreditLimit"
+                          type="number"
+                          min="0"
+                          placeholder="Enter amount in ₹"
+                          value={customCreditLimit}
+                          onChange={(e) => setCustomCreditLimit(e.target.value)}
+                          className="mt-2 border-2 border-brand-red/30 focus:border-brand-red"
+                          required
+                        />
+                      )}
+                    </div>
+                  </div>
+
+                  {/* KYC Documents */}
+                  <div className="space-y-4">
+                    <h3 className="text-lg font-semibold border-b pb-2">KYC Documents</h3>
+                    <p className="text-sm text-muted-foreground">
+                      PDF or image files, up to 10 MB each. The GST certificate is required when you give a GST number.
+                    </p>
+
+                    <div className="grid md:grid-cols-2 gap-4">
+                      {documentFields.map(({ field, label, multiple }) => (
+                        <div key={field}>
+                          <Label htmlFor={field} className="text-sm font-medium">
+                            {label}
+                          </Label>
+                          <Input
+                            id={field}
+                            type="file"
+                            accept="image/*,application/pdf"
+                            multiple={multiple}
+                            onChange={(e) => handleDocumentChange(field, e.target.files)}
+                            className="border-2 border-brand-red/30 focus:border-brand-red"
+                            required={field === "panCard"}
+                          />
+                        </div>
+                      ))}
                     </div>
                   </div>
 
@@ -409,6 +515,7 @@ const CreditAccount = () => {
                     {isLoading ? "Submitting Application..." : "Submit Application"}
                   </Button>
                 </form>
+                )}
               </CardContent>
             </Card>
           </motion.div>
@@ -1,4 +1,4 @@
-import { useState } from "react";
+import { useState, useEffect } from "react";
 import { motion } from "framer-motion";
 import { Calculator, TrendingUp, Info } from "lucide-react";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
@@ -11,16 +11,63 @@ import Navbar from "@/components/Navbar";
 import Footer from "@/components/Footer";
 import businessBg from "@/assets/business-bg.jpg";
 
+interface FuelIndexEntry {
+  effectiveFrom: string;
+  percentage: number;
+  note: string;
+}
+
+// Entries shown in the history grid
+const HISTORY_LENGTH = 12;
+
+const formatMonth = (date: string) => new Date(`${date}T00:00:00`).toLocaleDateString("en-IN", {
+  month: "short",
+  year: "numeric"
+});
+
+const formatDay = (date: string) => new Date(`${date}T00:00:00`).toLocaleDateString("en-IN", {
+  day: "numeric",
+  month: "long",
+  year: "numeric"
+});
+
+const surchargeLevel = (percentage: number) => {
+  if (percentage < 10) return "Low";
+  if (percentage < 20) return "Moderate";
+  return "High";
+};
+
 const FuelSurcharge = () => {
   const [baseRate, setBaseRate] = useState<number>(0);
   const [calculatedRate, setCalculatedRate] = useState<number>(0);
+  const [current, setCurrent] = useState<FuelIndexEntry | null>(null);
+  const [history, setHistory] = useState<FuelIndexEntry[]>([]);
+  const [loading, setLoading] = useState(true);
   
   const titleAnimation = useScrollAnimation();
   const cardAnimations = useStaggeredAnimation(2, 200);
   const historyAnimation = useScrollAnimation({ delay: 600 });
-  
-  // Demo fuel surcharge percentage
-  const currentSurcharge = 12.5;
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        const response = await fetch("/api/fuel-surcharge/history");
+        const result = await response.json();
+        if (result.success) {
+          setCurrent(result.data.current);
+          // Newest first from the server; shown oldest to newest
+          setHistory(result.data.history.slice(0, HISTORY_LENGTH).reverse());
+        }
+      } catch (error) {
+        console.error("Error fetching fuel surcharge history:", error);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchHistory();
+  }, []);
+
+  const currentSurcharge = current?.percentage ?? 0;
   
   const calculateRate = () => {
     const surchargeAmount = (baseRate * currentSurcharge) / 100;
@@ -64,20 +111,29 @@ const FuelSurcharge = () => {
                 <CardTitle className="text-xl">Current Fuel Surcharge</CardTitle>
               </CardHeader>
               <CardContent className="space-y-4">
-                <div className="text-center">
-                  <div className="text-4xl font-bold text-brand-red mb-2">
-                    {currentSurcharge}%
-                  </div>
-                  <p className="text-muted-foreground text-sm">Effective from March 2024</p>
-                </div>
-                
-                <div className="space-y-2">
-                  <div className="flex justify-between text-sm">
-                    <span>Surcharge Level</span>
-                    <span className="font-medium">Moderate</span>
+                {current ? (
+                  <>
+                    <div className="text-center">
+                      <div className="text-4xl font-bold text-brand-red mb-2">
+                        {currentSurcharge}%
+                      </div>
+                      <p className="text-muted-foreground text-sm">Effective from {formatDay(current.effectiveFrom)}</p>
+                      {current.note && <p className="text-muted-foreground text-xs mt-1">{current.note}</p>}
+                    </div>
+
+                    <div className="space-y-2">
+                      <div className="flex justify-between text-sm">
+                        <span>Surcharge Level</span>
+                        <span className="font-medium">{surchargeLevel(currentSurcharge)}</span>
+                      </div>
+                      <Progress value={Math.min(100, currentSurcharge * 2)} className="h-2" />
+                    </div>
+                  </>
+                ) : (
+                  <div className="text-center text-muted-foreground text-sm py-6">
+                    {loading ? "Loading current surcharge..." : "The current fuel surcharge is not published yet. Please contact us for details."}
                   </div>
-                  <Progress value={currentSurcharge * 2} className="h-2" />
-                </div>
+                )}
 
                 <div className="bg-warning-light/20 border border-warning rounded-lg p-3">
                   <div className="flex items-start space-x-2">
@@ -124,6 +180,7 @@ const FuelSurcharge = () => {
                     variant="learn-more"
                     size="sm"
                     className="w-full"
+                    disabled={!current}
                   >
                     Calculate Final Rate
                   </Button>
@@ -168,31 +225,33 @@ const FuelSurcharge = () => {
             <CardHeader>
               <CardTitle className="text-2xl text-center">Historical Fuel Surcharge</CardTitle>
               <p className="text-center text-muted-foreground">
-                Last 6 months surcharge rates
+                Published surcharge rates and the dates they took effect
               </p>
             </CardHeader>
             <CardContent>
-              <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-3">
-                {[
-                  { month: "Oct 2023", rate: 10.2 },
-                  { month: "Nov 2023", rate: 11.1 },
-                  { month: "Dec 2023", rate: 11.8 },
-                  { month: "Jan 2024", rate: 12.0 },
-                  { month: "Feb 2024", rate: 12.3 },
-                  { month: "Mar 2024", rate: 12.5 }
-                ].map((item, index) => (
-                  <motion.div
-                    key={item.month}
-                    initial={{ opacity: 0, y: 20 }}
-                    animate={{ opacity: 1, y: 0 }}
-                    transition={{ duration: 0.4, delay: 0.1 * index }}
-                    className="text-center p-3 border-2 border-brand-red/20 rounded-lg bg-success-light/5 hover:shadow-sm transition-all duration-300"
-                  >
-                    <div className="text-sm text-muted-foreground mb-1">{item.month}</div>
-                    <div className="text-xl font-bold text-primary">{item.rate}%</div>
-                  </motion.div>
-                ))}
-              </div>
+              {history.length === 0 ? (
+                <p className="text-center text-muted-foreground text-sm">
+                  {loading ? "Loading history..." : "No surcharge history has been published yet."}
+                </p>
+              ) : (
+                <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-3">
+                  {history.map((item, index) => (
+                    <motion.div
+                      key={item.effectiveFrom}
+                      initial={{ opacity: 0, y: 20 }}
+                      animate={{ opacity: 1, y: 0 }}
+                      transition={{ duration: 0.4, delay: 0.1 * index }}
+                      className="text-center p-3 border-2 border-brand-red/20 rounded-lg bg-success-light/5 hover:shadow-sm transition-all duration-300"
+                      title={item.note ? `From ${formatDay(item.effectiveFrom)}: ${item.note}` : `From ${formatDay(item.effectiveFrom)}`}
+                    >
+                      <div className="text-sm text-muted-foreground mb-1">
+                        {item.effectiveFrom.endsWith("-01") ? formatMonth(item.effectiveFrom) : formatDay(item.effectiveFrom)}
+                      </div>
+                      <div className="text-xl font-bold text-primary">{item.percentage}%</div>
+                    </motion.div>
+                  ))}
+                </div>
+              )}
             </CardContent>
           </Card>
         </div>
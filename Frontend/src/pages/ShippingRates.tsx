@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import { motion } from "framer-motion";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
@@ -7,41 +7,95 @@ import { Label } from "@/components/ui/label";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Badge } from "@/components/ui/badge";
 import { Calculator, IndianRupee, Truck, Clock, Download, Upload } from "lucide-react";
-import { calculateShippingRate } from "@/utils/calc";
-import ratesData from "@/data/rates.json";
+import { zoneLabel } from "@/utils/rateCardTest";
 import { useToast } from "@/hooks/use-toast";
 import Navbar from "@/components/Navbar";
 import Footer from "@/components/Footer";
 
-interface RateCalculation {
-  baseAmount: number;
+interface PublicQuote {
+  natureOfConsignment: string;
+  service: string;
+  mode: string;
+  destination: {
+    location: string;
+    zone: string;
+    isOda: boolean;
+  };
+  chargeableWeight: number;
+  isMinimumWeightApplied: boolean;
+  breakdown: { weightSlab: string; pricePerUnit: number; units: number };
+  freight: number;
+  awbCharge: number;
+  fuelPercentage: number;
   fuelSurcharge: number;
-  subtotal: number;
-  gst: number;
+  odaCharge: number;
+  taxableValue: number;
+  gst: { rate: number; total: number };
   total: number;
-  zone: string;
-  service: string;
-  deliveryDays: string;
+  estimate: { estimatedDelivery: string; transitDays: number } | null;
 }
 
+type RegionRates = Record<string, number>;
+
+interface PublicRateCard {
+  doxPricing: Record<string, RegionRates> | null;
+  nonDoxSurfacePricing: RegionRates | null;
+  nonDoxAirPricing: RegionRates | null;
+  priorityPricing: Record<string, RegionRates> | null;
+  fuelChargePercentage: number | null;
+}
+
+const REGIONS = ["assam", "neBySurface", "neByAirAgtImp", "restOfIndia"];
+
+// Rows of the published rate card: DOX and priority by slab, NON-DOX per kg
+const RATE_CARD_ROWS: { label: string; rates: (card: PublicRateCard) => RegionRates | undefined }[] = [
+  { label: "DOX 1 - 250 gm", rates: card => card.doxPricing?.["01gm-250gm"] },
+  { label: "DOX 251 - 500 gm", rates: card => card.doxPricing?.["251gm-500gm"] },
+  { label: "DOX add. 500 gm", rates: card => card.doxPricing?.add500gm },
+  { label: "NON-DOX Surface / kg", rates: card => card.nonDoxSurfacePricing ?? undefined },
+  { label: "NON-DOX Air / kg", rates: card => card.nonDoxAirPricing ?? undefined },
+  { label: "Priority 1 - 500 gm", rates: card => card.priorityPricing?.["01gm-500gm"] },
+  { label: "Priority add. 500 gm", rates: card => card.priorityPricing?.add500gm }
+];
+
+const formatDate = (date: string) =>
+  new Date(`${date}T00:00:00`).toLocaleDateString("en-IN", { weekday: "short", day: "numeric", month: "short" });
+
 const ShippingRates = () => {
   const [formData, setFormData] = useState({
     fromPincode: "",
     toPincode: "",
     weight: "",
-    serviceType: "",
-    zone: ""
+    natureOfConsignment: "NON-DOX",
+    service: "Standard",
+    mode: "Surface"
   });
-  const [calculation, setCalculation] = useState<RateCalculation | null>(null);
+  const [calculation, setCalculation] = useState<PublicQuote | null>(null);
+  const [rateCard, setRateCard] = useState<PublicRateCard | null>(null);
   const [loading, setLoading] = useState(false);
   const { toast } = useToast();
 
+  useEffect(() => {
+    const fetchRateCard = async () => {
+      try {
+        const response = await fetch("/api/rates/card");
+        const result = await response.json();
+        if (result.success) {
+          setRateCard(result.data);
+        }
+      } catch (error) {
+        console.error("Error fetching rate card:", error);
+      }
+    };
+    fetchRateCard();
+  }, []);
+
   const handleCalculate = async (e: React.FormEvent) => {
     e.preventDefault();
     
-    if (!formData.fromPincode || !formData.toPincode || !formData.weight || !formData.serviceType || !formData.zone) {
+    if (!/^\d{6}$/.test(formData.fromPincode) || !/^\d{6}$/.test(formData.toPincode) || !(parseFloat(formData.weight) > 0)) {
       toast({
-        title: "Please fill all required fields",
+        title: "Please enter valid pincodes and weight",
         variant: "destructive",
       });
       return;
@@ -50,22 +104,25 @@ const ShippingRates = () => {
     setLoading(true);
     
     try {
-      // TODO: Replace with Supabase call to determine zone based on pincodes
-      await new Promise(resolve => setTimeout(resolve, 1500));
-      
-      const weight = parseFloat(formData.weight);
-      const result = calculateShippingRate(weight, formData.zone, formData.serviceType, ratesData);
-      
-      setCalculation(result);
+      const params = new URLSearchParams(formData);
+      const response = await fetch(`/api/rates/quote?${params.toString()}`);
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || "Please check your inputs and try again");
+      }
+
+      setCalculation(result.data);
       
       toast({
         title: "Rate calculated successfully!",
-        description: `Total amount: ₹${result.total}`,
+        description: `Total amount: ₹${result.data.total}`,
       });
     } catch (error) {
+      setCalculation(null);
       toast({
         title: "Calculation failed",
-        description: "Please check your inputs and try again",
+        description: error instanceof Error ? error.message : "Please check your inputs and try again",
         variant: "destructive",
       });
     } finally {
@@ -85,9 +142,11 @@ const ShippingRates = () => {
         fromPincode: formData.fromPincode,
         toPincode: formData.toPincode,
         weight: formData.weight,
-        serviceType: formData.serviceType,
-        zone: calculation.zone,
-        deliveryDays: calculation.deliveryDays
+        natureOfConsignment: calculation.natureOfConsignment,
+        service: calculation.service,
+        mode: calculation.mode,
+        zone: zoneLabel(calculation.destination.zone),
+        estimatedDelivery: calculation.estimate?.estimatedDelivery || null
       },
       breakdown: calculation,
       generatedAt: new Date().toISOString(),
@@ -186,45 +245,44 @@ const ShippingRates = () => {
                       />
                     </div>
                     <div>
-                      <Label>Zone *</Label>
-                      <Select value={formData.zone} onValueChange={handleInputChange("zone")}>
+                      <Label>Shipment Type *</Label>
+                      <Select value={formData.natureOfConsignment} onValueChange={handleInputChange("natureOfConsignment")}>
                         <SelectTrigger className="border-2 border-brand-red bg-background">
-                          <SelectValue placeholder="Select zone" />
+                          <SelectValue placeholder="Select type" />
                         </SelectTrigger>
                         <SelectContent>
-                          <SelectItem value="local">Local (Same City)</SelectItem>
-                          <SelectItem value="regional">Regional (Same State)</SelectItem>
-                          <SelectItem value="national">National</SelectItem>
-                          <SelectItem value="remote">Remote Areas</SelectItem>
+                          <SelectItem value="DOX">Documents (DOX)</SelectItem>
+                          <SelectItem value="NON-DOX">Parcel (NON-DOX)</SelectItem>
                         </SelectContent>
                       </Select>
                     </div>
                   </div>
 
-                  <div>
-                    <Label>Service Type *</Label>
-                    <Select value={formData.serviceType} onValueChange={handleInputChange("serviceType")}>
-                      <SelectTrigger className="border-2 border-brand-red bg-background">
-                        <SelectValue placeholder="Select service" />
-                      </SelectTrigger>
-                      <SelectContent>
-                        <SelectItem value="standard">
-                          <div className="flex items-center justify-between w-full">
-                            <span>Standard (3-5 days)</span>
-                          </div>
-                        </SelectItem>
-                        <SelectItem value="express">
-                          <div className="flex items-center justify-between w-full">
-                            <span>Express (1-2 days)</span>
-                          </div>
-                        </SelectItem>
-                        <SelectItem value="priority">
-                          <div className="flex items-center justify-between w-full">
-                            <span>Priority (Same Day)</span>
-                          </div>
-                        </SelectItem>
-                      </SelectContent>
-                    </Select>
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <Label>Service *</Label>
+                      <Select value={formData.service} onValueChange={handleInputChange("service")}>
+                        <SelectTrigger className="border-2 border-brand-red bg-background">
+                          <SelectValue placeholder="Select service" />
+                        </SelectTrigger>
+                        <SelectContent>
+                          <SelectItem value="Standard">Standard</SelectItem>
+                          <SelectItem value="Priority">Priority</SelectItem>
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    <div>
+                      <Label>Mode *</Label>
+                      <Select value={formData.mode} onValueChange={handleInputChange("mode")}>
+                        <SelectTrigger className="border-2 border-brand-red bg-background">
+                          <SelectValue placeholder="Select mode" />
+                        </SelectTrigger>
+                        <SelectContent>
+                          <SelectItem value="Surface">Surface</SelectItem>
+                          <SelectItem value="Air">Air</SelectItem>
+                        </SelectContent>
+                      </Select>
+                    </div>
                   </div>
 
                   <Button
@@ -238,36 +296,45 @@ const ShippingRates = () => {
               </CardContent>
             </Card>
 
-            {/* Rate Slabs Table */}
-            <Card className="border-2 border-brand-red bg-card-light">
-              <CardHeader>
-                <CardTitle>Weight Slabs & Multipliers</CardTitle>
-              </CardHeader>
-              <CardContent className="p-0">
-                <div className="overflow-x-auto">
-                  <table className="w-full text-sm">
-                    <thead>
-                      <tr className="border-b border-brand-red/20">
-                        <th className="text-left p-3">Weight Range</th>
-                        <th className="text-center p-3">Multiplier</th>
-                      </tr>
-                    </thead>
-                    <tbody>
-                      {ratesData.weightSlabs.map((slab, index) => (
-                        <tr key={index} className="border-b border-brand-red/10">
-                          <td className="p-3">
-                            {slab.min} - {slab.max === 999 ? "∞" : slab.max} kg
-                          </td>
-                          <td className="text-center p-3">
-                            <Badge variant="secondary">{slab.multiplier}x</Badge>
-                          </td>
+            {/* Published Rate Card */}
+            {rateCard && (
+              <Card className="border-2 border-brand-red bg-card-light">
+                <CardHeader>
+                  <CardTitle>Our Rate Card</CardTitle>
+                </CardHeader>
+                <CardContent className="p-0">
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="border-b border-brand-red/20">
+                          <th className="text-left p-3">Shipment</th>
+                          {REGIONS.map(region => (
+                            <th key={region} className="text-center p-3">{zoneLabel(region)}</th>
+                          ))}
                         </tr>
-                      ))}
-                    </tbody>
-                  </table>
-                </div>
-              </CardContent>
-            </Card>
+                      </thead>
+                      <tbody>
+                        {RATE_CARD_ROWS.map(row => (
+                          <tr key={row.label} className="border-b border-brand-red/10">
+                            <td className="p-3">{row.label}</td>
+                            {REGIONS.map(region => (
+                              <td key={region} className="text-center p-3">
+                                {row.rates(rateCard)?.[region] !== undefined ? `₹${row.rates(rateCard)?.[region]}` : "-"}
+                              </td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  {rateCard.fuelChargePercentage !== null && (
+                    <p className="text-xs text-muted-foreground p-3">
+                      Rates exclude the {rateCard.fuelChargePercentage}% fuel surcharge, AWB charge and GST.
+                    </p>
+                  )}
+                </CardContent>
+              </Card>
+            )}
           </motion.div>
 
           {/* Results and Breakdown */}
@@ -305,15 +372,24 @@ const ShippingRates = () => {
                         <div className="flex items-center gap-2">
                           <Truck className="w-4 h-4 text-brand-red" />
                           <div>
-                            <div className="font-medium">{calculation.service}</div>
-                            <div className="text-sm text-muted-foreground">{calculation.zone}</div>
+                            <div className="font-medium">{calculation.service} · {calculation.mode}</div>
+                            <div className="text-sm text-muted-foreground">
+                              {zoneLabel(calculation.destination.zone)}
+                              {calculation.destination.isOda && (
+                                <Badge variant="secondary" className="ml-2">ODA</Badge>
+                              )}
+                            </div>
                           </div>
                         </div>
                         <div className="flex items-center gap-2">
                           <Clock className="w-4 h-4 text-brand-red" />
                           <div>
                             <div className="font-medium">Delivery</div>
-                            <div className="text-sm text-muted-foreground">{calculation.deliveryDays}</div>
+                            <div className="text-sm text-muted-foreground">
+                              {calculation.estimate
+                                ? `By ${formatDate(calculation.estimate.estimatedDelivery)} (${calculation.estimate.transitDays} days)`
+                                : "Confirmed at booking"}
+                            </div>
                           </div>
                         </div>
                       </div>
@@ -321,20 +397,39 @@ const ShippingRates = () => {
                       {/* Cost Breakdown */}
                       <div className="space-y-3">
                         <div className="flex justify-between text-sm">
-                          <span className="text-muted-foreground">Base Rate:</span>
-                          <span className="font-medium">₹{calculation.baseAmount}</span>
+                          <span className="text-muted-foreground">Chargeable Weight:</span>
+                          <span className="font-medium">
+                            {calculation.chargeableWeight} kg
+                            {calculation.isMinimumWeightApplied && " (minimum)"}
+                          </span>
+                        </div>
+                        <div className="flex justify-between text-sm">
+                          <span className="text-muted-foreground">
+                            Freight ({calculation.breakdown.weightSlab}):
+                          </span>
+                          <span className="font-medium">₹{calculation.freight}</span>
+                        </div>
+                        <div className="flex justify-between text-sm">
+                          <span className="text-muted-foreground">AWB Charge:</span>
+                          <span className="font-medium">₹{calculation.awbCharge}</span>
                         </div>
                         <div className="flex justify-between text-sm">
-                          <span className="text-muted-foreground">Fuel Surcharge:</span>
+                          <span className="text-muted-foreground">Fuel Surcharge ({calculation.fuelPercentage}%):</span>
                           <span className="font-medium">₹{calculation.fuelSurcharge}</span>
                         </div>
+                        {calculation.odaCharge > 0 && (
+                          <div className="flex justify-between text-sm">
+                            <span className="text-muted-foreground">Out of Delivery Area:</span>
+                            <span className="font-medium">₹{calculation.odaCharge}</span>
+                          </div>
+                        )}
                         <div className="flex justify-between text-sm border-t border-brand-red/20 pt-2">
                           <span className="text-muted-foreground">Subtotal:</span>
-                          <span className="font-medium">₹{calculation.subtotal}</span>
+                          <span className="font-medium">₹{calculation.taxableValue}</span>
                         </div>
                         <div className="flex justify-between text-sm">
-                          <span className="text-muted-foreground">GST (18%):</span>
-                          <span className="font-medium">₹{calculation.gst}</span>
+                          <span className="text-muted-foreground">GST ({calculation.gst.rate}%):</span>
+                          <span className="font-medium">₹{calculation.gst.total}</span>
                         </div>
                         <div className="flex justify-between text-xl font-bold border-t-2 border-brand-red pt-3">
                           <span className="text-brand-red">Total Amount:</span>
@@ -351,42 +446,6 @@ const ShippingRates = () => {
               </motion.div>
             )}
 
-            {/* Zone Information */}
-            <Card className="border-2 border-brand-red bg-card-light">
-              <CardHeader>
-                <CardTitle>Zone & Service Information</CardTitle>
-              </CardHeader>
-              <CardContent>
-                <div className="space-y-4">
-                  <div>
-                    <h4 className="font-semibold mb-2">Shipping Zones:</h4>
-                    <div className="space-y-2 text-sm">
-                      {Object.entries(ratesData.zones).map(([key, zone]) => (
-                        <div key={key} className="flex justify-between items-center">
-                          <span className="text-muted-foreground">{zone.name}:</span>
-                          <Badge variant="secondary">₹{zone.baseRate} base</Badge>
-                        </div>
-                      ))}
-                    </div>
-                  </div>
-                  
-                  <div>
-                    <h4 className="font-semibold mb-2">Service Types:</h4>
-                    <div className="space-y-2 text-sm">
-                      {Object.entries(ratesData.serviceTypes).map(([key, service]) => (
-                        <div key={key} className="flex justify-between items-center">
-                          <span className="text-muted-foreground">
-                            {service.name} ({service.deliveryDays}):
-                          </span>
-                          <Badge variant="secondary">{service.multiplier}x rate</Badge>
-                        </div>
-                      ))}
-                    </div>
-                  </div>
-                </div>
-              </CardContent>
-            </Card>
-
             {/* Bulk Options */}
             <Card className="border-2 border-brand-red bg-card-light">
               <CardHeader>
@@ -7,7 +7,6 @@ import { TrackingResultCard } from "@/components/TrackingResultCard";
 import { Card, CardContent } from "@/components/ui/card";
 import { Package, AlertCircle, Loader2 } from "lucide-react";
 import { useScrollAnimation } from "@/hooks/useScrollAnimation";
-import shipmentsData from "@/data/shipments.json";
 import supportCenter from "@/assets/support-center.jpg";
 
 interface Shipment {
@@ -21,10 +20,37 @@ interface Shipment {
   service: string;
   timeline: {
     status: string;
+    label?: string;
     location: string;
     timestamp: string;
     description: string;
+    actor?: string;
+    remarks?: string;
   }[];
+  pod?: {
+    receivedBy: string;
+    relationship?: string;
+    deliveredAt: string;
+    otpVerified: boolean;
+    signatureUrl?: string | null;
+    photoUrl?: string | null;
+  } | null;
+}
+
+// Normalized record returned by /api/track
+interface TrackedShipment {
+  awb: string;
+  source: string;
+  origin: { city: string; state: string; pincode: string };
+  destination: { city: string; state: string; pincode: string };
+  weight: number | string | null;
+  service: string;
+  currentStatus: string;
+  currentStatusLabel: string;
+  deliveredAt: string | null;
+  estimatedDelivery: string | null;
+  timeline: Shipment['timeline'];
+  pod: Shipment['pod'];
 }
 
 const Track = () => {
@@ -42,48 +68,33 @@ const Track = () => {
     setHasSearched(true);
     
     try {
-      const foundShipments: Shipment[] = [];
-      const notFoundAwbs: string[] = [];
-      
-      // Track each consignment number
-      for (const awb of awbs) {
-        try {
-          const response = await fetch(`/api/corporate/track/${awb}`);
-          
-          if (response.ok) {
-            const data = await response.json();
-            if (data.success) {
-              // Transform the API response to match the expected format
-              const shipment: Shipment = {
-                awb: data.data.consignmentNumber.toString(),
-                status: data.data.status,
-                origin: `${data.data.bookingData.originData.city}, ${data.data.bookingData.originData.state}`,
-                destination: `${data.data.bookingData.destinationData.city}, ${data.data.bookingData.destinationData.state}`,
-                estimatedDelivery: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString(), // 3 days from now
-                weight: data.data.bookingData.shipmentData.actualWeight,
-                service: data.data.bookingData.shipmentData.services,
-                timeline: data.data.timeline
-              };
-              foundShipments.push(shipment);
-            } else {
-              notFoundAwbs.push(awb);
-            }
-          } else {
-            notFoundAwbs.push(awb);
-          }
-        } catch (apiError) {
-          // Fallback to mock data for demo purposes
-          const shipment = (shipmentsData.shipments as any)[awb];
-          if (shipment) {
-            foundShipments.push(shipment);
-          } else {
-            notFoundAwbs.push(awb);
-          }
-        }
+      const response = await fetch('/api/track/batch', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ awbs })
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || 'Failed to track consignments');
       }
-      
+
+      // Transform the API response to match the expected format
+      const foundShipments: Shipment[] = data.data.map((shipment: TrackedShipment) => ({
+        awb: shipment.awb,
+        status: shipment.currentStatusLabel,
+        origin: [shipment.origin.city, shipment.origin.state].filter(Boolean).join(', '),
+        destination: [shipment.destination.city, shipment.destination.state].filter(Boolean).join(', '),
+        estimatedDelivery: shipment.estimatedDelivery || undefined,
+        actualDelivery: shipment.deliveredAt || undefined,
+        weight: shipment.weight ? `${shipment.weight} kg` : '-',
+        service: shipment.service,
+        timeline: shipment.timeline,
+        pod: shipment.pod
+      }));
+
       setResults(foundShipments);
-      setNotFound(notFoundAwbs);
+      setNotFound(data.notFound || []);
     } catch (error) {
       console.error('Error tracking shipments:', error);
       setResults([]);
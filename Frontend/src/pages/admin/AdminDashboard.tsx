@@ -23,6 +23,17 @@ import {
   Building2,
   Package,
   Bike,
+  PackageX,
+  CalendarDays,
+  Map as MapIcon,
+  Fuel,
+  Banknote,
+  Hash,
+  Wallet,
+  CalendarClock,
+  BellRing,
+  Gauge,
+  ClipboardCheck,
 } from 'lucide-react';
 import { useToast } from '@/hooks/use-toast';
 import { isAdminLoggedIn, getStoredAdminInfo, getStoredToken, clearAuthData, isTokenExpired, getTimeUntilExpiry } from '@/utils/auth';
@@ -48,6 +59,18 @@ import BaggingManagement from '@/components/admin/BaggingManagement';
 import AssignCourierBoy from '@/components/admin/AssignCourierBoy';
 import CourierBoyManagement from '@/components/admin/CourierBoyManagement';
 import SingleQuotation from '@/components/admin/SingleQuotation';
+import DeliveryConfirmation from '@/components/admin/DeliveryConfirmation';
+import NdrQueue from '@/components/admin/NdrQueue';
+import HolidayCalendar from '@/components/admin/HolidayCalendar';
+import ZoneMaster from '@/components/admin/ZoneMaster';
+import FuelSurchargeIndex from '@/components/admin/FuelSurchargeIndex';
+import CodRemittances from '@/components/admin/CodRemittances';
+import PaymentReceipts from '@/components/admin/PaymentReceipts';
+import BillingRuns from '@/components/admin/BillingRuns';
+import DunningSettings from '@/components/admin/DunningSettings';
+import CreditLimits from '@/components/admin/CreditLimits';
+import CreditApplications from '@/components/admin/CreditApplications';
+import DocumentSeriesSettings from '@/components/admin/DocumentSeriesSettings';
 
 interface AdminInfo {
   id: string;
@@ -290,6 +313,45 @@ const AdminDashboard = () => {
               {!isSidebarCollapsed && <span className="font-medium text-sm">Pincode Management</span>}
             </button>
 
+            <button
+              onClick={() => setActiveTab('holidays')}
+              className={`w-full ${isSidebarCollapsed ? 'flex justify-center p-2' : 'text-left flex items-center gap-3 px-3 py-2'} rounded-xl transition ${
+                activeTab === 'holidays'
+                  ? 'bg-gradient-to-r from-blue-500 to-blue-600 text-white shadow-md'
+                  : 'text-gray-700 hover:bg-gray-50'
+              }`}
+              title={isSidebarCollapsed ? "Holiday Calendar" : ""}
+            >
+              <CalendarDays className="h-5 w-5" />
+              {!isSidebarCollapsed && <span className="font-medium text-sm">Holiday Calendar</span>}
+            </button>
+
+            <button
+              onClick={() => setActiveTab('zones')}
+              className={`w-full ${isSidebarCollapsed ? 'flex justify-center p-2' : 'text-left flex items-center gap-3 px-3 py-2'} rounded-xl transition ${
+                activeTab === 'zones'
+                  ? 'bg-gradient-to-r from-blue-500 to-blue-600 text-white shadow-md'
+                  : 'text-gray-700 hover:bg-gray-50'
+              }`}
+              title={isSidebarCollapsed ? "Zone Master" : ""}
+            >
+              <MapIcon className="h-5 w-5" />
+              {!isSidebarCollapsed && <span className="font-medium text-sm">Zone Master</span>}
+            </button>
+
+            <button
+              onClick={() => setActiveTab('fuelIndex')}
+              className={`w-full ${isSidebarCollapsed ? 'flex justify-center p-2' : 'text-left flex items-center gap-3 px-3 py-2'} rounded-xl transition ${
+                activeTab === 'fuelIndex'
+                  ? 'bg-gradient-to-r from-blue-500 to-blue-600 text-white shadow-md'
+                  : 'text-gray-700 hover:bg-gray-50'
+              }`}
+              title={isSidebarCollapsed ? "Fuel Surcharge Index" : ""}
+            >
+              <Fuel className="h-5 w-5" />
+              {!isSidebarCollapsed && <span className="font-medium text-sm">Fuel Surcharge Index</span>}
+            </button>
+
             <button
               onClick={() => setActiveTab('users')}
               className={`w-full ${isSidebarCollapsed ? 'flex justify-center p-2' : 'text-left flex items-center gap-3 px-3 py-2'} rounded-xl transition ${
@@ -447,6 +509,84 @@ const AdminDashboard = () => {
               {!isSidebarCollapsed && <span className="font-medium text-sm">Invoice Management</span>}
             </button>
 
+            <button
+              onClick={() => setActiveTab('codRemittances')}
+              className={`w-full ${isSidebarCollapsed ? 'flex justify-center p-2' : 'text-left flex items-center gap-3 px-3 py-2'} rounded-xl transition ${
+                activeTab === 'codRemittances'
+                  ? 'bg-gradient-to-r from-emerald-500 to-emerald-600 text-white shadow-md'
+                  : 'text-gray-700 hover:bg-gray-50'
+              }`}
+              title={isSidebarCollapsed ? "COD Remittances" : ""}
+            >
+              <Banknote className="h-5 w-5" />
+              {!isSidebarCollapsed && <span className="font-medium text-sm">COD Remittances</span>}
+            </button>
+
+            <button
+              onClick={() => setActiveTab('payments')}
+              className={`w-full ${isSidebarCollapsed ? 'flex justify-center p-2' : 'text-left flex items-center gap-3 px-3 py-2'} rounded-xl transition ${
+                activeTab === 'payments'
+                  ? 'bg-gradient-to-r from-emerald-500 to-emerald-600 text-white shadow-md'
+                  : 'text-gray-700 hover:bg-gray-50'
+              }`}
+              title={isSidebarCollapsed ? "Payments" : ""}
+            >
+              <Wallet className="h-5 w-5" />
+              {!isSidebarCollapsed && <span className="font-medium text-sm">Payments</span>}
+            </button>
+
+            <button
+              onClick={() => setActiveTab('billing')}
+              className={`w-full ${isSidebarCollapsed ? 'flex justify-center p-2' : 'text-left flex items-center gap-3 px-3 py-2'} rounded-xl transition ${
+                activeTab === 'billing'
+                  ? 'bg-gradient-to-r from-emerald-500 to-emerald-600 text-white shadow-md'
+                  : 'text-gray-700 hover:bg-gray-50'
+              }`}
+              title={isSidebarCollapsed ? "Automatic Billing" : ""}
+            >
+              <CalendarClock className="h-5 w-5" />
+              {!isSidebarCollapsed && <span className="font-medium text-sm">Automatic Billing</span>}
+            </button>
+
+            <button
+              onClick={() => setActiveTab('dunning')}
+              className={`w-full ${isSidebarCollapsed ? 'flex justify-center p-2' : 'text-left flex items-center gap-3 px-3 py-2'} rounded-xl transition ${
+                activeTab === 'dunning'
+                  ? 'bg-gradient-to-r from-emerald-500 to-emerald-600 text-white shadow-md'
+                  : 'text-gray-700 hover:bg-gray-50'
+              }`}
+              title={isSidebarCollapsed ? "Payment Reminders" : ""}
+            >
+              <BellRing className="h-5 w-5" />
+              {!isSidebarCollapsed && <span className="font-medium text-sm">Payment Reminders</span>}
+            </button>
+
+            <button
+              onClick={() => setActiveTab('credit')}
+              className={`w-full ${isSidebarCollapsed ? 'flex justify-center p-2' : 'text-left flex items-center gap-3 px-3 py-2'} rounded-xl transition ${
+                activeTab === 'credit'
+                  ? 'bg-gradient-to-r from-emerald-500 to-emerald-600 text-white shadow-md'
+                  : 'text-gray-700 hover:bg-gray-50'
+              }`}
+              title={isSidebarCollapsed ? "Credit Limits" : ""}
+            >
+              <Gauge className="h-5 w-5" />
+              {!isSidebarCollapsed && <span className="font-medium text-sm">Credit Limits</span>}
+            </button>
+
+            <button
+              onClick={() => setActiveTab('creditApplications')}
+              className={`w-full ${isSidebarCollapsed ? 'flex justify-center p-2' : 'text-left flex items-center gap-3 px-3 py-2'} rounded-xl transition ${
+                activeTab === 'creditApplications'
+                  ? 'bg-gradient-to-r from-emerald-500 to-emerald-600 text-white shadow-md'
+                  : 'text-gray-700 hover:bg-gray-50'
+              }`}
+              title={isSidebarCollapsed ? "Credit Applications" : ""}
+            >
+              <ClipboardCheck className="h-5 w-5" />
+              {!isSidebarCollapsed && <span className="font-medium text-sm">Credit Applications</span>}
+            </button>
+
             <button
               onClick={() => setActiveTab('manageOrders')}
               className={`w-full ${isSidebarCollapsed ? 'flex justify-center p-2' : 'text-left flex items-center gap-3 px-3 py-2'} rounded-xl transition ${
@@ -473,6 +613,32 @@ const AdminDashboard = () => {
               {!isSidebarCollapsed && <span className="font-medium text-sm">Received Consignments</span>}
             </button>
 
+            <button
+              onClick={() => setActiveTab('deliveries')}
+              className={`w-full ${isSidebarCollapsed ? 'flex justify-center p-2' : 'text-left flex items-center gap-3 px-3 py-2'} rounded-xl transition ${
+                activeTab === 'deliveries'
+                  ? 'bg-gradient-to-r from-green-500 to-green-600 text-white shadow-md'
+                  : 'text-gray-700 hover:bg-gray-50'
+              }`}
+              title={isSidebarCollapsed ? "Delivery Confirmation" : ""}
+            >
+              <CheckCircle className="h-5 w-5" />
+              {!isSidebarCollapsed && <span className="font-medium text-sm">Delivery Confirmation</span>}
+            </button>
+
+            <button
+              onClick={() => setActiveTab('ndrQueue')}
+              className={`w-full ${isSidebarCollapsed ? 'flex justify-center p-2' : 'text-left flex items-center gap-3 px-3 py-2'} rounded-xl transition ${
+                activeTab === 'ndrQueue'
+                  ? 'bg-gradient-to-r from-amber-500 to-amber-600 text-white shadow-md'
+                  : 'text-gray-700 hover:bg-gray-50'
+              }`}
+              title={isSidebarCollapsed ? "NDR Queue" : ""}
+            >
+              <PackageX className="h-5 w-5" />
+              {!isSidebarCollapsed && <span className="font-medium text-sm">NDR Queue</span>}
+            </button>
+
           <button
             onClick={() => setActiveTab('baggingManagement')}
             className={`w-full ${isSidebarCollapsed ? 'flex justify-center p-2' : 'text-left flex items-center gap-3 px-3 py-2'} rounded-xl transition ${
@@ -539,6 +705,21 @@ const AdminDashboard = () => {
                 {!isSidebarCollapsed && <span className="font-medium text-sm">Admin Management</span>}
               </button>
             )}
+
+            {adminInfo?.role === 'super_admin' && (
+              <button
+                onClick={() => setActiveTab('documentSeries')}
+                className={`w-full ${isSidebarCollapsed ? 'flex justify-center p-2' : 'text-left flex items-center gap-3 px-3 py-2'} rounded-xl transition ${
+                  activeTab === 'documentSeries'
+                    ? 'bg-gradient-to-r from-blue-500 to-blue-600 text-white shadow-md'
+                    : 'text-gray-700 hover:bg-gray-50'
+                }`}
+                title={isSidebarCollapsed ? "Number Series" : ""}
+              >
+                <Hash className="h-5 w-5" />
+                {!isSidebarCollapsed && <span className="font-medium text-sm">Number Series</span>}
+              </button>
+            )}
           </nav>
         </div>
 
@@ -712,6 +893,9 @@ const AdminDashboard = () => {
           {/* Other pages */}
           {activeTab === 'addressforms' && <AddressFormsTable />}
           {activeTab === 'pincodes' && <PincodeManagement />}
+          {activeTab === 'holidays' && <HolidayCalendar />}
+          {activeTab === 'zones' && <ZoneMaster />}
+          {activeTab === 'fuelIndex' && <FuelSurchargeIndex />}
           {activeTab === 'users' && <UserManagement />}
           {activeTab === 'employeeRegistration' && <EmployeeRegistration />}
           {activeTab === 'employeeManagement' && <EmployeeManagement />}
@@ -724,12 +908,21 @@ const AdminDashboard = () => {
           {activeTab === 'consignment' && <AssignConsignment />}
           {activeTab === 'courierRequests' && <CourierRequests />}
           {activeTab === 'invoiceManagement' && <InvoiceManagement />}
+          {activeTab === 'codRemittances' && <CodRemittances />}
+          {activeTab === 'payments' && <PaymentReceipts />}
+          {activeTab === 'billing' && <BillingRuns />}
+          {activeTab === 'dunning' && <DunningSettings />}
+          {activeTab === 'credit' && <CreditLimits />}
+          {activeTab === 'creditApplications' && <CreditApplications />}
           {activeTab === 'manageOrders' && <AssignColoader />}
           {activeTab === 'receivedOrders' && <ReceivedConsignment />}
+          {activeTab === 'deliveries' && <DeliveryConfirmation />}
+          {activeTab === 'ndrQueue' && <NdrQueue />}
           {activeTab === 'baggingManagement' && <BaggingManagement />}
           {activeTab === 'singleQuotation' && <SingleQuotation />}
           {activeTab === 'courierBoyManagement' && <CourierBoyManagement />}
           {activeTab === 'assignCourierBoy' && <AssignCourierBoy />}
+          {activeTab === 'documentSeries' && adminInfo?.role === 'super_admin' && <DocumentSeriesSettings />}
           {activeTab === 'admins' && adminInfo?.role === 'super_admin' && (
             <AdminManagement />
           )}
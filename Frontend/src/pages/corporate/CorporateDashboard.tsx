@@ -27,6 +27,7 @@ import ComplaintDesk from "@/components/corporate/ComplaintDesk";
 import CourierComplaintDesk from "@/components/corporate/CourierComplaintDesk";
 import BookingSection from "@/components/corporate/BookingSection";
 import ShipmentOverview from "@/components/corporate/ShipmentOverview";
+import DeliveryExceptions from "@/components/corporate/DeliveryExceptions";
 import SettlementSection from "@/components/corporate/SettlementSection";
 import CompanyProfile from "@/components/corporate/CompanyProfile";
 import NewCorporateDashboard from "@/components/corporate/dashboard/NewCorporateDashboard";
@@ -475,6 +476,9 @@ const CorporateDashboard = () => {
           {/* Shipments Tab */}
           {activeTab === 'shipments' && <ShipmentOverview />}
 
+          {/* Delivery Exceptions Tab */}
+          {activeTab === 'ndr' && <DeliveryExceptions />}
+
           {/* Complaint Desk Tab */}
           {activeTab === 'complaints' && <ComplaintDesk />}
 
@@ -99,6 +99,24 @@ interface MedicineBooking {
   updatedAt: string;
 }
 
+// Normalized record returned by /api/track
+interface TrackingInfo {
+  awb: string;
+  currentStatus: string;
+  currentStatusLabel: string;
+  deliveredAt: string | null;
+  timeline: Array<{
+    status: string;
+    label: string;
+    location: string;
+    timestamp: string;
+    description: string;
+  }>;
+}
+
+// /api/track/batch accepts at most this many consignment numbers per request
+const TRACK_BATCH_SIZE = 25;
+
 const MedicineTracking: React.FC = () => {
   const [user, setUser] = useState<MedicineUserInfo | null>(null);
   const [isSidebarCollapsed, setIsSidebarCollapsed] = useState(false);
@@ -106,6 +124,7 @@ const MedicineTracking: React.FC = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [updatingStatus, setUpdatingStatus] = useState<{ [key: string]: boolean }>({});
+  const [tracking, setTracking] = useState<{ [awb: string]: TrackingInfo }>({});
   const navigate = useNavigate();
 
   useEffect(() => {
@@ -151,6 +170,7 @@ const MedicineTracking: React.FC = () => {
       const data = await response.json();
       if (data.success && data.bookings) {
         setBookings(data.bookings);
+        fetchTracking(data.bookings);
       } else {
         setBookings([]);
       }
@@ -162,6 +182,33 @@ const MedicineTracking: React.FC = () => {
     }
   };
 
+  // Latest scan for every booking comes from the shared tracking service
+  const fetchTracking = async (bookingList: MedicineBooking[]) => {
+    const awbs = bookingList
+      .filter(booking => booking.consignmentNumber)
+      .map(booking => String(booking.consignmentNumber));
+
+    try {
+      const trackingMap: { [awb: string]: TrackingInfo } = {};
+      for (let i = 0; i < awbs.length; i += TRACK_BATCH_SIZE) {
+        const response = await fetch('/api/track/batch', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ awbs: awbs.slice(i, i + TRACK_BATCH_SIZE) })
+        });
+        const data = await response.json();
+        if (response.ok && data.success) {
+          data.data.forEach((info: TrackingInfo) => {
+            trackingMap[info.awb] = info;
+          });
+        }
+      }
+      setTracking(trackingMap);
+    } catch (err) {
+      console.error('Error fetching tracking:', err);
+    }
+  };
+
   const handleLogout = () => {
     localStorage.removeItem('medicineToken');
     localStorage.removeItem('medicineInfo');
@@ -199,6 +246,7 @@ const MedicineTracking: React.FC = () => {
             : booking
         )
       );
+      fetchTracking(bookings);
     } catch (err: any) {
       console.error('Error updating booking status:', err);
       alert(err.message || 'Failed to update status');
@@ -414,6 +462,8 @@ const MedicineTracking: React.FC = () => {
                         {bookings.map((booking) => {
                           const isUpdating = updatingStatus[booking._id] || false;
                           const showReached = booking.status === 'in_transit';
+                          const bookingTracking = booking.consignmentNumber ? tracking[String(booking.consignmentNumber)] : undefined;
+                          const latestScan = bookingTracking?.timeline[bookingTracking.timeline.length - 1];
 
                           return (
                             <tr 
@@ -451,6 +501,12 @@ const MedicineTracking: React.FC = () => {
                               </td>
                               <td className="py-4 px-6">
                                 {getStatusBadge(booking.status)}
+                                {latestScan && (
+                                  <div className="text-xs text-gray-500 mt-1">
+                                    {latestScan.label}{latestScan.location ? ` · ${latestScan.location}` : ''}
+                                    <div>{formatDate(latestScan.timestamp)}</div>
+                                  </div>
+                                )}
                               </td>
                               <td className="py-4 px-6">
                                 {showReached && (
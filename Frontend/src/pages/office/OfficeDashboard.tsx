@@ -18,6 +18,7 @@ import {
   Package,
   X,
   Menu,
+  PackageX,
 } from 'lucide-react';
 import { useToast } from '@/hooks/use-toast';
 import BookingPanel from '@/components/BookingPanel';
@@ -40,6 +41,7 @@ import CourierRequests from '@/components/admin/CourierRequests';
 import InvoiceManagement from '@/components/admin/InvoiceManagement';
 import BaggingManagement from '@/components/admin/BaggingManagement';
 import ReceivedConsignment from '@/components/admin/ReceivedConsignment';
+import NdrQueue from '@/components/admin/NdrQueue';
 import AssignColoader from '@/components/admin/AssignColoader';
 
 interface OfficeUser {
@@ -84,6 +86,7 @@ interface OfficeUser {
       coloaderRegistration: boolean; // Add this new permission
       reports: boolean;
       settings: boolean;
+      receivedOrders?: boolean;
     };
     canAssignPermissions: boolean;
   };
@@ -698,6 +701,22 @@ const OfficeDashboard = () => {
               </button>
             )}
 
+            {/* NDR Queue - shares the received consignments permission */}
+            {(user?.permissions?.receivedOrders || user?.adminInfo?.permissions?.receivedOrders) && (
+              <button
+                onClick={() => setActiveTab('ndrQueue')}
+                className={`w-full text-left flex items-center ${isSidebarCollapsed ? 'justify-center' : 'gap-3'} px-3 py-2 rounded-xl transition ${
+                  activeTab === 'ndrQueue'
+                    ? 'bg-gradient-to-r from-blue-500 to-blue-600 text-white shadow-md'
+                    : 'text-gray-700 hover:bg-gray-50'
+                }`}
+                title={isSidebarCollapsed ? "NDR Queue" : ""}
+              >
+                <PackageX className="h-5 w-5" />
+                {!isSidebarCollapsed && <span className="font-medium text-sm">NDR Queue</span>}
+              </button>
+            )}
+
             {/* Assign Coloaders - only shown when user has access */}
             {(user?.permissions?.manageOrders || user?.adminInfo?.permissions?.manageOrders) && (
               <button
@@ -1138,6 +1157,19 @@ const OfficeDashboard = () => {
             </div>
           )}
 
+          {/* NDR Queue */}
+          {activeTab === 'ndrQueue' && (
+            <div className="space-y-6">
+              <div className="flex items-center justify-between">
+                <div>
+                  <h1 className="text-2xl font-bold text-gray-800">NDR Queue</h1>
+                  <p className="text-gray-600">Record failed delivery attempts and act on shipper instructions</p>
+                </div>
+              </div>
+              <NdrQueue />
+            </div>
+          )}
+
           {/* Assign Coloaders */}
           {activeTab === 'manageOrders' && (
             <div className="space-y-6">
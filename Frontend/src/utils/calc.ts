@@ -33,45 +33,54 @@ export function calculateVolumetricWeight(
   };
 }
 
+export interface PieceDimension {
+  length: string | number;
+  breadth: string | number;
+  height: string | number;
+  unit?: string; // 'cm', 'mm' or 'm'
+}
+
+// cm³ per kg by transport mode; matches the server defaults, pricing plans may override them
+export const DEFAULT_VOLUMETRIC_DIVISORS: Record<string, number> = {
+  byRoad: 4500,
+  byTrain: 4500,
+  byFlight: 5000
+};
+
+// Transport modes a pricing plan sets a volumetric divisor for
+export const VOLUMETRIC_MODES = [
+  { key: 'byRoad', label: 'Road' },
+  { key: 'byTrain', label: 'Train / Surface' },
+  { key: 'byFlight', label: 'Air' }
+];
+
+const DIMENSION_UNITS_IN_CM: Record<string, number> = { cm: 1, mm: 0.1, m: 100 };
+
+const MODE_KEYS: Record<string, string> = {
+  air: 'byFlight',
+  flight: 'byFlight',
+  surface: 'byTrain',
+  train: 'byTrain',
+  road: 'byRoad'
+};
+
 /**
- * Calculate shipping rates based on weight, zone, and service type
+ * Volumetric divisor for a booking mode ('Air', 'Surface', 'Road'...)
  */
-export function calculateShippingRate(
-  weight: number,
-  zone: string,
-  serviceType: string,
-  ratesData: any
-) {
-  const zoneData = ratesData.zones[zone];
-  const serviceData = ratesData.serviceTypes[serviceType];
-  
-  if (!zoneData || !serviceData) {
-    throw new Error('Invalid zone or service type');
-  }
-  
-  // Find weight slab
-  const weightSlab = ratesData.weightSlabs.find(
-    (slab: any) => weight >= slab.min && weight < slab.max
-  );
-  
-  if (!weightSlab) {
-    throw new Error('Weight out of range');
-  }
-  
-  const baseAmount = zoneData.baseRate * weightSlab.multiplier * serviceData.multiplier;
-  const fuelSurcharge = baseAmount * zoneData.fuelSurcharge;
-  const subtotal = baseAmount + fuelSurcharge;
-  const gst = subtotal * ratesData.gstRate;
-  const total = subtotal + gst;
-  
-  return {
-    baseAmount: Math.round(baseAmount * 100) / 100,
-    fuelSurcharge: Math.round(fuelSurcharge * 100) / 100,
-    subtotal: Math.round(subtotal * 100) / 100,
-    gst: Math.round(gst * 100) / 100,
-    total: Math.round(total * 100) / 100,
-    zone: zoneData.name,
-    service: serviceData.name,
-    deliveryDays: serviceData.deliveryDays
-  };
-}
\ No newline at end of file
+export function volumetricDivisorFor(mode?: string, divisors: Record<string, number> = DEFAULT_VOLUMETRIC_DIVISORS): number {
+  const key = MODE_KEYS[String(mode || '').trim().toLowerCase()] || 'byRoad';
+  return divisors[key] || DEFAULT_VOLUMETRIC_DIVISORS[key];
+}
+
+/**
+ * Volumetric weight in kg of all pieces; each side is converted to cm before the volume is taken
+ */
+export function calculatePiecesVolumetricWeight(dimensions: PieceDimension[], mode?: string): number {
+  const volume = dimensions.reduce((sum, dimension) => {
+    const factor = DIMENSION_UNITS_IN_CM[dimension.unit || 'cm'] || 1;
+    const [l, b, h] = [dimension.length, dimension.breadth, dimension.height]
+      .map(side => (parseFloat(String(side)) || 0) * factor);
+    return sum + l * b * h;
+  }, 0);
+  return Math.round((volume / volumetricDivisorFor(mode)) * 100) / 100;
+}
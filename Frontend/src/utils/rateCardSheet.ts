@@ -0,0 +1,338 @@
+// Spreadsheet layout of a corporate rate card, shared by the export and the import of plans
+import * as XLSX from 'xlsx';
+import { ZONE_RATE_CELLS, emptyZoneRates, type ZonePricing } from '@/components/admin/ZoneRatesEditor';
+import { DEFAULT_VOLUMETRIC_DIVISORS, VOLUMETRIC_MODES } from '@/utils/calc';
+
+export type SheetCell = string | number | null | undefined;
+
+export interface RateCardSheetError {
+  row?: number; // 1-based spreadsheet row; absent when a whole row or section is missing
+  message: string;
+}
+
+export interface ImportedRateCard {
+  name: string;
+  fuelChargeMode: 'fixed' | 'index';
+  fuelChargePercentage: number;
+  rtoChargePercentage: number;
+  codCharge: { percentage: number; minimum: number };
+  volumetricDivisors: Record<string, number>;
+  doxPricing: Record<string, Record<string, number>>;
+  nonDoxSurfacePricing: Record<string, number>;
+  nonDoxAirPricing: Record<string, number>;
+  priorityPricing: Record<string, Record<string, number>>;
+  reversePricing: Record<string, Record<string, { normal: number; priority: number }>>;
+  zonePricing: ZonePricing;
+}
+
+const REGION_COLUMNS = [
+  { key: 'assam', label: 'Assam' },
+  { key: 'neBySurface', label: 'NE By Surface' },
+  { key: 'neByAirAgtImp', label: 'NE By Air AGT IMP' },
+  { key: 'restOfIndia', label: 'Rest of India' }
+];
+
+// Same tables and row names as the pricing form; a null slab is a per kg table
+const REGION_SECTIONS: { table: string; title: string; rows: { slab: string | null; label: string }[] }[] = [
+  {
+    table: 'doxPricing',
+    title: 'DOX (Standard Service)',
+    rows: [
+      { slab: '01gm-250gm', label: '01 gm. to 250 gm.' },
+      { slab: '251gm-500gm', label: '251 gm. to 500 gm.' },
+      { slab: 'add500gm', label: 'Add. 500 gm.' }
+    ]
+  },
+  { table: 'nonDoxSurfacePricing', title: 'NON DOX (By Surface)', rows: [{ slab: null, label: 'Per Kg.' }] },
+  { table: 'nonDoxAirPricing', title: 'NON DOX (By Air)', rows: [{ slab: null, label: 'Per Kg.' }] },
+  {
+    table: 'priorityPricing',
+    title: 'Priority Service',
+    rows: [
+      { slab: '01gm-500gm', label: '01 gm. to 500 gm.' },
+      { slab: 'add500gm', label: 'Every Add. 500 gm.' }
+    ]
+  }
+];
+
+const REVERSE_TITLE = 'Reverse Pricing';
+const REVERSE_DESTINATIONS = [
+  { key: 'toAssam', label: 'To Guwahati (Assam)' },
+  { key: 'toNorthEast', label: 'To North East (6 States)' }
+];
+const REVERSE_COLUMNS = ['byRoad', 'byTrain', 'byFlight'].flatMap(mode => [
+  { mode, delivery: 'normal' as const, label: `${mode.replace('by', 'By ')} Normal` },
+  { mode, delivery: 'priority' as const, label: `${mode.replace('by', 'By ')} Priority` }
+]);
+
+const ZONE_TITLE = 'Special Zones';
+
+const SETTINGS = {
+  name: 'Plan Name',
+  fuelChargeMode: 'Fuel Surcharge',
+  fuelChargePercentage: 'Fuel Charge %',
+  rtoChargePercentage: 'RTO Charge %',
+  codChargePercentage: 'COD Charge %',
+  codChargeMinimum: 'Minimum COD Charge'
+};
+const divisorLabel = (label: string) => `Volumetric Divisor - ${label}`;
+
+// Values of the Fuel Surcharge setting; sheets without the row charge the fixed percentage
+const FUEL_MODE_VALUES: Record<'fixed' | 'index', string> = { fixed: 'Fixed', index: 'Index' };
+
+// Row names are matched loosely so "Add 500gm" and "Add. 500 gm." are the same row
+const normalize = (value: SheetCell) => String(value ?? '').toLowerCase().replace(/[^a-z0-9%]/g, '');
+
+const valueAt = (source: unknown, path: (string | null)[]): SheetCell => {
+  const value = path.filter((key): key is string => key !== null)
+    .reduce<unknown>((current, key) => (current && typeof current === 'object' ? (current as Record<string, unknown>)[key] : undefined), source);
+  return typeof value === 'number' || typeof value === 'string' ? value : '';
+};
+
+// Settings a blank template starts from
+const valueOr = (source: unknown, path: string[], fallback: number): SheetCell => {
+  const value = valueAt(source, path);
+  return value === '' ? fallback : value;
+};
+
+const valueAtObject = (source: unknown, key: string): Record<string, unknown> => {
+  const value = source && typeof source === 'object' ? (source as Record<string, unknown>)[key] : undefined;
+  return value && typeof value === 'object' ? value as Record<string, unknown> : {};
+};
+
+/**
+ * Sheet rows of a plan, laid out like the pricing form. A plan without rates gives a blank template.
+ */
+export function rateCardToRows(plan: unknown): SheetCell[][] {
+  const rows: SheetCell[][] = [
+    [SETTINGS.name, valueAt(plan, ['name'])],
+    [SETTINGS.fuelChargeMode, FUEL_MODE_VALUES[valueAt(plan, ['fuelChargeMode']) === 'index' ? 'index' : 'fixed']],
+    [SETTINGS.fuelChargePercentage, valueOr(plan, ['fuelChargePercentage'], 15)],
+    [SETTINGS.rtoChargePercentage, valueOr(plan, ['rtoChargePercentage'], 100)],
+    [SETTINGS.codChargePercentage, valueOr(plan, ['codCharge', 'percentage'], 2)],
+    [SETTINGS.codChargeMinimum, valueOr(plan, ['codCharge', 'minimum'], 50)],
+    ...VOLUMETRIC_MODES.map(({ key, label }) => [
+      divisorLabel(label),
+      valueOr(plan, ['volumetricDivisors', key], DEFAULT_VOLUMETRIC_DIVISORS[key])
+    ])
+  ];
+
+  REGION_SECTIONS.forEach(section => {
+    rows.push([], [section.title], ['Weight', ...REGION_COLUMNS.map(column => column.label)]);
+    section.rows.forEach(row => {
+      rows.push([row.label, ...REGION_COLUMNS.map(column => valueAt(plan, [section.table, row.slab, column.key]))]);
+    });
+  });
+
+  rows.push([], [REVERSE_TITLE], ['Destination', ...REVERSE_COLUMNS.map(column => column.label)]);
+  REVERSE_DESTINATIONS.forEach(destination => {
+    rows.push([
+      destination.label,
+      ...REVERSE_COLUMNS.map(column => valueAt(plan, ['reversePricing', destination.key, column.mode, column.delivery]))
+    ]);
+  });
+
+  rows.push([], [ZONE_TITLE], ['Zone Code', ...ZONE_RATE_CELLS.map(cell => cell.label)]);
+  Object.keys(valueAtObject(plan, 'zonePricing')).forEach(code => {
+    rows.push([code, ...ZONE_RATE_CELLS.map(cell => valueAt(plan, ['zonePricing', code, cell.table, cell.slab ?? null]))]);
+  });
+
+  return rows;
+}
+
+/**
+ * Read a plan back from sheet rows. Every rate cell must hold a number of 0 or more;
+ * problems are reported against the spreadsheet row they were found on.
+ * @param rows - Sheet rows, blank rows included so row numbers match the file
+ * @param zoneCodes - Active special zone codes; other codes in the zone section are reported
+ */
+export function rowsToRateCard(rows: SheetCell[][], zoneCodes?: string[]): { plan: ImportedRateCard; errors: RateCardSheetError[] } {
+  const errors: RateCardSheetError[] = [];
+  const plan: ImportedRateCard = {
+    name: '',
+    fuelChargeMode: 'fixed',
+    fuelChargePercentage: 15,
+    rtoChargePercentage: 100,
+    codCharge: { percentage: 2, minimum: 50 },
+    volumetricDivisors: { ...DEFAULT_VOLUMETRIC_DIVISORS },
+    doxPricing: {},
+    nonDoxSurfacePricing: {},
+    nonDoxAirPricing: {},
+    priorityPricing: {},
+    reversePricing: {},
+    zonePricing: {}
+  };
+
+  const sectionTitles = new Map<string, string>([
+    ...REGION_SECTIONS.map(section => [normalize(section.title), section.table] as [string, string]),
+    [normalize(REVERSE_TITLE), 'reversePricing'],
+    [normalize(ZONE_TITLE), 'zonePricing']
+  ]);
+  const headerNames = ['weight', 'destination', 'zonecode'];
+  const seen = new Set<string>();
+  let section: string | null = null;
+
+  const readRate = (cell: SheetCell, rowNumber: number, column: string, max?: number) => {
+    const text = String(cell ?? '').trim();
+    const value = Number(text);
+    if (text === '' || !Number.isFinite(value) || value < 0 || (max !== undefined && value > max)) {
+      errors.push({
+        row: rowNumber,
+        message: max !== undefined
+          ? `${column} must be a number from 0 to ${max}`
+          : `${column} must be a number of 0 or more`
+      });
+      return 0;
+    }
+    return value;
+  };
+
+  rows.forEach((cells, index) => {
+    const rowNumber = index + 1;
+    const label = normalize(cells[0]);
+    if (!label) return;
+
+    if (sectionTitles.has(label)) {
+      section = sectionTitles.get(label) ?? null;
+      return;
+    }
+    if (headerNames.includes(label)) return;
+
+    // Settings come before the first rate table
+    if (!section) {
+      if (label === normalize(SETTINGS.name)) {
+        plan.name = String(cells[1] ?? '').trim();
+      } else if (label === normalize(SETTINGS.fuelChargeMode)) {
+        const mode = (Object.keys(FUEL_MODE_VALUES) as ('fixed' | 'index')[])
+          .find(key => normalize(FUEL_MODE_VALUES[key]) === normalize(cells[1]));
+        if (!mode) {
+          errors.push({ row: rowNumber, message: `${SETTINGS.fuelChargeMode} must be ${Object.values(FUEL_MODE_VALUES).join(' or ')}` });
+          return;
+        }
+        plan.fuelChargeMode = mode;
+      } else if (label === normalize(SETTINGS.fuelChargePercentage)) {
+        plan.fuelChargePercentage = readRate(cells[1], rowNumber, SETTINGS.fuelChargePercentage, 100);
+      } else if (label === normalize(SETTINGS.rtoChargePercentage)) {
+        plan.rtoChargePercentage = readRate(cells[1], rowNumber, SETTINGS.rtoChargePercentage, 200);
+      } else if (label === normalize(SETTINGS.codChargePercentage)) {
+        plan.codCharge.percentage = readRate(cells[1], rowNumber, SETTINGS.codChargePercentage, 100);
+      } else if (label === normalize(SETTINGS.codChargeMinimum)) {
+        plan.codCharge.minimum = readRate(cells[1], rowNumber, SETTINGS.codChargeMinimum);
+      } else {
+        const mode = VOLUMETRIC_MODES.find(({ label: modeLabel }) => normalize(divisorLabel(modeLabel)) === label);
+        if (!mode) {
+          errors.push({ row: rowNumber, message: `Unknown setting "${cells[0]}"` });
+          return;
+        }
+        const divisor = readRate(cells[1], rowNumber, divisorLabel(mode.label));
+        if (divisor > 0 && divisor < 1000) {
+          errors.push({ row: rowNumber, message: `${divisorLabel(mode.label)} must be at least 1000` });
+        }
+        plan.volumetricDivisors[mode.key] = divisor;
+      }
+      return;
+    }
+
+    const rowKey = `${section}:${label}`;
+    if (seen.has(rowKey)) {
+      errors.push({ row: rowNumber, message: `"${cells[0]}" is listed twice` });
+      return;
+    }
+    seen.add(rowKey);
+
+    if (section === 'reversePricing') {
+      const destination = REVERSE_DESTINATIONS.find(item => normalize(item.label) === label);
+      if (!destination) {
+        errors.push({ row: rowNumber, message: `Unknown ${REVERSE_TITLE} row "${cells[0]}"` });
+        return;
+      }
+      const rates: Record<string, { normal: number; priority: number }> = {};
+      REVERSE_COLUMNS.forEach((column, columnIndex) => {
+        rates[column.mode] = rates[column.mode] || { normal: 0, priority: 0 };
+        rates[column.mode][column.delivery] = readRate(cells[columnIndex + 1], rowNumber, `${destination.label} ${column.label}`);
+      });
+      plan.reversePricing[destination.key] = rates;
+      return;
+    }
+
+    if (section === 'zonePricing') {
+      const code = String(cells[0] ?? '').trim();
+      if (zoneCodes && !zoneCodes.includes(code)) {
+        errors.push({ row: rowNumber, message: `"${code}" is not an active special zone in the zone master` });
+        return;
+      }
+      const rates = emptyZoneRates();
+      ZONE_RATE_CELLS.forEach((cell, columnIndex) => {
+        const value = readRate(cells[columnIndex + 1], rowNumber, `${code} ${cell.label}`);
+        if (cell.slab) {
+          (rates[cell.table] as Record<string, string | number>)[cell.slab] = value;
+        } else {
+          (rates as unknown as Record<string, number>)[cell.table] = value;
+        }
+      });
+      plan.zonePricing[code] = rates;
+      return;
+    }
+
+    const regionSection = REGION_SECTIONS.find(item => item.table === section);
+    const row = regionSection?.rows.find(item => normalize(item.label) === label);
+    if (!regionSection || !row) {
+      errors.push({ row: rowNumber, message: `Unknown ${regionSection?.title || ''} row "${cells[0]}"` });
+      return;
+    }
+    const rates = Object.fromEntries(REGION_COLUMNS.map((column, columnIndex) => [
+      column.key,
+      readRate(cells[columnIndex + 1], rowNumber, `${regionSection.title} ${row.label} ${column.label}`)
+    ]));
+    const tables = plan as unknown as Record<string, Record<string, unknown>>;
+    if (row.slab) {
+      tables[regionSection.table][row.slab] = rates;
+    } else {
+      tables[regionSection.table] = rates;
+    }
+  });
+
+  if (!plan.name) {
+    errors.push({ message: `${SETTINGS.name} is missing` });
+  }
+  REGION_SECTIONS.forEach(regionSection => {
+    regionSection.rows.forEach(row => {
+      if (!seen.has(`${regionSection.table}:${normalize(row.label)}`)) {
+        errors.push({ message: `${regionSection.title}: the "${row.label}" row is missing` });
+      }
+    });
+  });
+  REVERSE_DESTINATIONS.forEach(destination => {
+    if (!seen.has(`reversePricing:${normalize(destination.label)}`)) {
+      errors.push({ message: `${REVERSE_TITLE}: the "${destination.label}" row is missing` });
+    }
+  });
+
+  return { plan, errors };
+}
+
+/**
+ * Download a plan as an XLSX or CSV rate card
+ */
+export function downloadRateCard(plan: unknown, format: 'xlsx' | 'csv'): void {
+  const worksheet = XLSX.utils.aoa_to_sheet(rateCardToRows(plan));
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'Rate Card');
+
+  const name = String(valueAt(plan, ['name']) || 'rate_card_template').replace(/[^a-zA-Z0-9\- ]/g, '_');
+  XLSX.writeFile(workbook, `${name}.${format}`, { bookType: format });
+}
+
+/**
+ * Rows of the first sheet of an uploaded XLSX or CSV rate card
+ */
+export async function readRateCardFile(file: File): Promise<SheetCell[][]> {
+  const workbook = XLSX.read(await file.arrayBuffer());
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!worksheet) return [];
+
+  // Rows above the used range are padded back in so row numbers in errors match the file
+  const firstRow = XLSX.utils.decode_range(worksheet['!ref'] || 'A1').s.r;
+  const rows = XLSX.utils.sheet_to_json<SheetCell[]>(worksheet, { header: 1, blankrows: true, defval: '' });
+  return [...Array.from({ length: firstRow }, () => []), ...rows];
+}
@@ -0,0 +1,79 @@
+// Helpers for the "test your rate card" calculators; prices come from the server pricing engine
+
+export interface RateCardTestInputs {
+  fromPincode: string;
+  destinationPincode: string;
+  weight: string;
+  type: string; // 'dox' or 'non-dox'
+  byAir: boolean;
+  priority: boolean;
+  transportMode: string; // 'byRoad', 'byTrain', 'byFlight' for reverse pricing
+  deliveryType: string; // 'normal' or 'priority' for reverse pricing
+}
+
+export interface RateCardTestShipment {
+  originPincode: string;
+  destinationPincode: string;
+  actualWeight: number;
+  natureOfConsignment: string;
+  services: string;
+  mode: string;
+  reverse: boolean;
+}
+
+export interface RateCardTestQuote {
+  lane: {
+    destinationZone: string;
+    location: string;
+    zones: string[];
+    isOda: boolean;
+  };
+  chargeableWeight: number;
+  isMinimumWeightApplied: boolean;
+  breakdown: { zone?: string; weightSlab: string; pricePerUnit: number; units: number };
+  freight: number;
+  fuelSurcharge: number;
+  odaCharge: number;
+  total: number;
+}
+
+const TRANSPORT_MODES: Record<string, string> = {
+  byRoad: 'Road',
+  byTrain: 'Train',
+  byFlight: 'Air'
+};
+
+const ZONE_LABELS: Record<string, string> = {
+  assam: 'Assam',
+  northEast: 'North East',
+  neBySurface: 'NE by Surface',
+  neByAirAgtImp: 'NE by Air (AGT/IMP)',
+  restOfIndia: 'Rest of India'
+};
+
+/**
+ * Shipment the pricing engine expects from the calculator inputs.
+ * A from pincode on a NON-DOX shipment is a reverse pickup; DOX weights are entered in grams.
+ */
+export function toTestShipment(inputs: RateCardTestInputs): RateCardTestShipment {
+  const weight = parseFloat(inputs.weight) || 0;
+  const reverse = !!inputs.fromPincode && inputs.type === 'non-dox';
+  const isDox = inputs.type === 'dox';
+
+  return {
+    originPincode: inputs.fromPincode,
+    destinationPincode: inputs.destinationPincode,
+    actualWeight: isDox && !inputs.fromPincode ? weight / 1000 : weight,
+    natureOfConsignment: isDox ? 'DOX' : 'NON-DOX',
+    services: (reverse ? inputs.deliveryType === 'priority' : inputs.priority) ? 'Priority' : 'Standard',
+    mode: reverse ? TRANSPORT_MODES[inputs.transportMode] || 'Road' : (inputs.byAir ? 'Air' : 'Surface'),
+    reverse
+  };
+}
+
+/**
+ * Readable name of a region, rate card column or zone master code
+ */
+export function zoneLabel(code?: string): string {
+  return code ? ZONE_LABELS[code] || code : '';
+}
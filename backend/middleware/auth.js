@@ -121,6 +121,26 @@ export const authenticateOfficeUser = async (req, res, next) => {
   }
 };
 
+// Middleware that sets req.user when a valid office user token is sent, and lets
+// the request through without one (for routes the public can use as well)
+export const optionalOfficeUser = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    if (token) {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'ocl-admin-secret-key-2024');
+      if (decoded.type === 'office') {
+        const user = await OfficeUser.findById(decoded.userId).select('-password');
+        if (user?.isActive) {
+          req.user = user;
+        }
+      }
+    }
+  } catch (error) {
+    // An expired or foreign token is treated like no token
+  }
+  next();
+};
+
 // Middleware to check if admin has super_admin role
 export const requireSuperAdmin = (req, res, next) => {
   if (req.admin.role !== 'super_admin') {
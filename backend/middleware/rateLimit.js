@@ -0,0 +1,43 @@
+// Fixed-window request limit per client IP for public endpoints.
+// Counts are kept in memory, so each server process limits on its own.
+export const rateLimit = ({ windowMs = 60 * 1000, max = 30, message = 'Too many requests. Please try again shortly.' } = {}) => {
+  const hits = new Map();
+
+  // Drop finished windows so the map does not grow with every visitor
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) {
+        hits.delete(key);
+      }
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const key = req.ip || req.socket?.remoteAddress || 'unknown';
+    let entry = hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count += 1;
+
+    const resetSeconds = Math.ceil((entry.resetAt - now) / 1000);
+    res.setHeader('RateLimit-Limit', max);
+    res.setHeader('RateLimit-Remaining', Math.max(0, max - entry.count));
+    res.setHeader('RateLimit-Reset', resetSeconds);
+
+    if (entry.count > max) {
+      res.setHeader('Retry-After', resetSeconds);
+      return res.status(429).json({
+        success: false,
+        error: message
+      });
+    }
+
+    next();
+  };
+};
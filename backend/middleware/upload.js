@@ -58,6 +58,20 @@ export const uploadScreenshots = upload.fields([
   { name: 'invoiceImages', maxCount: 10 }
 ]);
 
+// Middleware for proof of delivery (receiver signature and doorstep photo)
+export const uploadPodImages = upload.fields([
+  { name: 'signature', maxCount: 1 },
+  { name: 'photo', maxCount: 1 }
+]);
+
+// Middleware for KYC documents of a credit account application
+export const uploadKycDocuments = upload.fields([
+  { name: 'gstCertificate', maxCount: 1 },
+  { name: 'panCard', maxCount: 1 },
+  { name: 'addressProof', maxCount: 1 },
+  { name: 'otherDocuments', maxCount: 3 }
+]);
+
 // Error handling middleware
 export const handleUploadError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
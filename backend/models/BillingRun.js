@@ -0,0 +1,104 @@
+import mongoose from "mongoose";
+
+export const BILLING_RESULT_STATUSES = ['invoiced', 'skipped', 'failed'];
+
+// Report of one pass of automatic invoicing: what each due corporate was billed, or why not
+const billingRunSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    required: true
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  results: [{
+    corporateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CorporateData',
+      required: true
+    },
+    companyName: String,
+    billingCycle: String,
+    periodStart: Date,
+    periodEnd: Date,
+    status: {
+      type: String,
+      enum: BILLING_RESULT_STATUSES,
+      required: true
+    },
+    reason: String,
+    invoiceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+      default: null
+    },
+    invoiceNumber: String,
+    grandTotal: Number,
+    shipmentCount: Number,
+    emailedTo: String,
+    emailError: String
+  }],
+  invoicedCount: {
+    type: Number,
+    default: 0
+  },
+  skippedCount: {
+    type: Number,
+    default: 0
+  },
+  failedCount: {
+    type: Number,
+    default: 0
+  },
+  invoicedAmount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  collection: 'billingruns'
+});
+
+// Create indexes for better query performance
+billingRunSchema.index({ startedAt: -1 });
+billingRunSchema.index({ trigger: 1, startedAt: -1 });
+
+// Ensure virtual fields are serialized
+billingRunSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Pre-save middleware to count the results
+billingRunSchema.pre('save', function(next) {
+  const count = (status) => this.results.filter(result => result.status === status).length;
+  this.invoicedCount = count('invoiced');
+  this.skippedCount = count('skipped');
+  this.failedCount = count('failed');
+  this.invoicedAmount = Math.round(this.results.reduce((sum, result) => sum + (result.grandTotal || 0), 0) * 100) / 100;
+  next();
+});
+
+export default mongoose.model("BillingRun", billingRunSchema);
@@ -0,0 +1,110 @@
+import mongoose from "mongoose";
+
+// A batch of collected COD paid out to a corporate in one bank transfer
+const codRemittanceSchema = new mongoose.Schema({
+  remittanceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  corporateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CorporateData',
+    required: [true, 'Corporate is required']
+  },
+  shipments: [{
+    usageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ConsignmentUsage',
+      required: true
+    },
+    consignmentNumber: {
+      type: Number,
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true
+    },
+    collectedAt: {
+      type: Date,
+      default: null
+    }
+  }],
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: [0, 'Remittance amount cannot be negative']
+  },
+  // pending: batch prepared, money not sent yet; paid: transferred with a UTR
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'cancelled'],
+    default: 'pending'
+  },
+  // Bank transfer reference (UTR) of the payout
+  utrReference: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    required: [function() { return this.status === 'paid'; }, 'UTR reference is required once the remittance is paid'],
+    match: [/^[A-Z0-9]{6,30}$/, 'UTR reference must be 6 to 30 letters or digits']
+  },
+  paymentMode: {
+    type: String,
+    enum: ['neft', 'rtgs', 'imps', 'upi'],
+    default: 'neft'
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be longer than 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'codremittances'
+});
+
+// Create indexes for better query performance
+codRemittanceSchema.index({ corporateId: 1, createdAt: -1 });
+codRemittanceSchema.index({ status: 1 });
+
+// Ensure virtual fields are serialized
+codRemittanceSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Static method to generate the next remittance number (COD-YYYY-MM/NNN)
+codRemittanceSchema.statics.generateRemittanceNumber = async function() {
+  const now = new Date();
+  const prefix = `COD-${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+  const existing = await this.find({ remittanceNumber: new RegExp(`^${prefix}/\\d+$`) })
+    .select('remittanceNumber')
+    .lean();
+  const maxNumber = existing.reduce((max, doc) => Math.max(max, parseInt(doc.remittanceNumber.split('/')[1]) || 0), 0);
+  return `${prefix}/${String(maxNumber + 1).padStart(3, '0')}`;
+};
+
+// Static method to list the remittances of a corporate, newest first
+codRemittanceSchema.statics.findByCorporate = function(corporateId) {
+  return this.find({ corporateId }).sort({ createdAt: -1 });
+};
+
+export default mongoose.model("CodRemittance", codRemittanceSchema);
@@ -207,6 +207,127 @@ consignmentAssignmentSchema.statics.validateRange = function(startNumber, endNum
 
 export default mongoose.model("ConsignmentAssignment", consignmentAssignmentSchema);
 
+// Return-to-origin leg of a consignment. It travels back under the same
+// consignment number and is billed separately from the forward freight.
+const rtoLegSchema = new mongoose.Schema({
+  initiatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reason: {
+    type: String,
+    enum: ['attempt_limit', 'shipper_instruction', 'operations'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['initiated', 'in_transit', 'returned'],
+    default: 'initiated'
+  },
+  returnedAt: {
+    type: Date,
+    default: null
+  },
+  ndrCaseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NdrCase',
+    default: null
+  },
+  // Return freight as charged through the corporate pricing plan
+  freightCharges: {
+    type: Number,
+    default: 0
+  },
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  paymentStatus: {
+    type: String,
+    enum: ['unpaid', 'paid', 'invoiced'],
+    default: 'unpaid'
+  },
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    default: null
+  }
+}, { _id: false });
+
+// Cash on delivery: the amount the courier boy collects from the receiver and OCL
+// remits to the corporate. Independent of paymentType, which is about who pays freight.
+const codSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: [1, 'COD amount must be more than 0']
+  },
+  // COD handling fee billed to the corporate through its pricing plan
+  charge: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'collected', 'remitted', 'cancelled'],
+    default: 'pending'
+  },
+  collectedAmount: {
+    type: Number,
+    default: 0
+  },
+  collectionMode: {
+    type: String,
+    enum: ['cash', 'upi', 'card'],
+    default: null
+  },
+  // UPI / card transaction id when not paid in cash
+  collectionReference: {
+    type: String,
+    trim: true
+  },
+  collectedAt: {
+    type: Date,
+    default: null
+  },
+  // Delivering courier boy who holds the cash until it is deposited
+  collectedBy: {
+    courierBoyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CourierBoy',
+      default: null
+    },
+    name: {
+      type: String,
+      trim: true
+    }
+  },
+  // Staff member who entered the collection when delivery was completed
+  recordedBy: {
+    type: {
+      type: String,
+      enum: ['admin', 'office_user']
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    name: {
+      type: String,
+      trim: true
+    }
+  },
+  remittanceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CodRemittance',
+    default: null
+  },
+  remittedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
 // Consignment Usage Model to track which numbers are used
 const consignmentUsageSchema = new mongoose.Schema({
   // Assignment type: 'corporate', 'office_user', 'courier_boy', 'medicine'
@@ -306,6 +427,16 @@ const consignmentUsageSchema = new mongoose.Schema({
   assignedCourierBoyAt: {
     type: Date,
     default: null
+  },
+  // Set once the shipment is sent back to origin
+  rto: {
+    type: rtoLegSchema,
+    default: null
+  },
+  // Set when the receiver pays for the goods on delivery
+  cod: {
+    type: codSchema,
+    default: null
   }
 }, {
   timestamps: true,
@@ -324,6 +455,8 @@ consignmentUsageSchema.index({ paymentStatus: 1 });
 consignmentUsageSchema.index({ corporateId: 1, paymentStatus: 1 });
 consignmentUsageSchema.index({ invoiceId: 1 });
 consignmentUsageSchema.index({ assignedCourierBoyId: 1 });
+consignmentUsageSchema.index({ corporateId: 1, 'rto.paymentStatus': 1 });
+consignmentUsageSchema.index({ corporateId: 1, 'cod.status': 1 });
 
 // Static method to find unpaid shipments for any entity
 consignmentUsageSchema.statics.findUnpaidByEntity = function(assignmentType, entityId) {
@@ -368,10 +501,11 @@ consignmentUsageSchema.statics.findUnpaidForInvoice = function(corporateId, star
   }).sort({ usedAt: 1 });
 };
 
-// Static method to mark shipments as invoiced
-consignmentUsageSchema.statics.markAsInvoiced = function(shipmentIds, invoiceId) {
+// Static method to mark a corporate's unbilled shipments as invoiced. Shipments already on
+// another invoice are left alone, so modifiedCount tells the caller what it claimed.
+consignmentUsageSchema.statics.markAsInvoiced = function(shipmentIds, invoiceId, corporateId) {
   return this.updateMany(
-    { _id: { $in: shipmentIds } },
+    { _id: { $in: shipmentIds }, corporateId: corporateId, paymentStatus: 'unpaid' },
     { 
       paymentStatus: 'invoiced',
       invoiceId: invoiceId
@@ -379,4 +513,51 @@ consignmentUsageSchema.statics.markAsInvoiced = function(shipmentIds, invoiceId)
   );
 };
 
+// Static method to find unbilled RTO legs for a corporate, optionally by return date
+consignmentUsageSchema.statics.findUnpaidRtoByCorporate = function(corporateId, startDate, endDate) {
+  const query = {
+    corporateId: corporateId,
+    'rto.paymentStatus': 'unpaid',
+    'rto.totalAmount': { $gt: 0 }
+  };
+  if (startDate || endDate) {
+    query['rto.initiatedAt'] = {};
+    if (startDate) query['rto.initiatedAt'].$gte = new Date(startDate);
+    if (endDate) query['rto.initiatedAt'].$lte = new Date(endDate);
+  }
+  return this.find(query).sort({ 'rto.initiatedAt': 1 });
+};
+
+// Static method to mark a corporate's unbilled RTO legs as invoiced, like markAsInvoiced
+consignmentUsageSchema.statics.markRtoAsInvoiced = function(shipmentIds, invoiceId, corporateId) {
+  return this.updateMany(
+    { _id: { $in: shipmentIds }, corporateId: corporateId, 'rto.paymentStatus': 'unpaid' },
+    {
+      'rto.paymentStatus': 'invoiced',
+      'rto.invoiceId': invoiceId
+    }
+  );
+};
+
+// Static method to hand back the shipments and RTO legs claimed for an invoice that was not issued
+consignmentUsageSchema.statics.releaseInvoiced = async function(invoiceId) {
+  await this.updateMany(
+    { invoiceId: invoiceId, paymentStatus: 'invoiced' },
+    { paymentStatus: 'unpaid', invoiceId: null }
+  );
+  await this.updateMany(
+    { 'rto.invoiceId': invoiceId, 'rto.paymentStatus': 'invoiced' },
+    { 'rto.paymentStatus': 'unpaid', 'rto.invoiceId': null }
+  );
+};
+
+// Static method to find COD collected for a corporate that is not in a remittance batch yet
+consignmentUsageSchema.statics.findRemittableCod = function(corporateId) {
+  return this.find({
+    corporateId: corporateId,
+    'cod.status': 'collected',
+    'cod.remittanceId': null
+  }).sort({ 'cod.collectedAt': 1 });
+};
+
 export const ConsignmentUsage = mongoose.model("ConsignmentUsage", consignmentUsageSchema);
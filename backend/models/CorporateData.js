@@ -1,6 +1,31 @@
 import mongoose from "mongoose";
 import bcrypt from "bcrypt";
 
+// "manual" leaves invoicing to admins
+export const BILLING_CYCLES = ['monthly', 'fortnightly', 'weekly', 'manual'];
+
+// Temporary permission to book past the credit limit, granted by an admin
+const creditOverrideSchema = new mongoose.Schema({
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  grantedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  grantedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { _id: false });
+
 const corporateSchema = new mongoose.Schema({
   corporateId: {
     type: String,
@@ -121,6 +146,59 @@ const corporateSchema = new mongoose.Schema({
   logo: {
     type: String,
     trim: true
+  },
+  // How often the scheduled billing run invoices the corporate's unbilled shipments. Corporates
+  // are invoiced by admins until one is chosen.
+  billingCycle: {
+    type: String,
+    enum: BILLING_CYCLES,
+    default: 'manual'
+  },
+  // End (exclusive) of the last billing period the scheduled run has closed
+  billedThrough: {
+    type: Date,
+    default: null
+  },
+  // Payment reminders for overdue invoices are held while dunning is paused
+  dunningPaused: {
+    type: Boolean,
+    default: false
+  },
+  dunningPausedAt: {
+    type: Date,
+    default: null
+  },
+  dunningPausedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  dunningPauseReason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // New bookings are refused once an invoice is this many days past due; null leaves bookings open
+  bookingBlockDaysOverdue: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  // Most the corporate may owe on credit (FP) bookings, billed or not; null means no limit
+  creditLimit: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // Days from the invoice date to its due date; null keeps invoices due at the end of the month
+  creditPeriodDays: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  creditOverride: {
+    type: creditOverrideSchema,
+    default: null
   }
 }, {
   timestamps: true,
@@ -136,6 +214,7 @@ corporateSchema.index({ city: 1 });
 corporateSchema.index({ state: 1 });
 corporateSchema.index({ registrationDate: -1 });
 corporateSchema.index({ emailSent: 1 });
+corporateSchema.index({ billingCycle: 1, isActive: 1 });
 
 // Virtual for full address
 corporateSchema.virtual('fullAddress').get(function() {
@@ -1,6 +1,12 @@
 import mongoose from "mongoose";
 import crypto from "node:crypto";
 
+// cm³ per kg of volumetric weight by transport mode; plans can set their own
+export const DEFAULT_VOLUMETRIC_DIVISORS = { byRoad: 4500, byTrain: 4500, byFlight: 5000 };
+
+// Cash-on-delivery fee: a percentage of the COD amount, but at least the minimum (₹)
+export const DEFAULT_COD_CHARGE = { percentage: 2, minimum: 50 };
+
 const corporatePricingSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -95,6 +101,38 @@ const corporatePricingSchema = new mongoose.Schema({
       }
     }
   },
+  // Rates for special zones of the zone master (metro, ODA, J&K...), keyed by zone code:
+  // { [code]: { doxPricing, nonDoxSurfacePricing, nonDoxAirPricing, priorityPricing } }
+  // Destinations in a zone the plan does not price use the region columns above
+  zonePricing: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({})
+  },
+  // Volumetric weight = L × B × H (cm) / divisor of the transport mode
+  volumetricDivisors: {
+    byRoad: {
+      type: Number,
+      default: DEFAULT_VOLUMETRIC_DIVISORS.byRoad,
+      min: [1000, 'Volumetric divisor must be at least 1000']
+    },
+    byTrain: {
+      type: Number,
+      default: DEFAULT_VOLUMETRIC_DIVISORS.byTrain,
+      min: [1000, 'Volumetric divisor must be at least 1000']
+    },
+    byFlight: {
+      type: Number,
+      default: DEFAULT_VOLUMETRIC_DIVISORS.byFlight,
+      min: [1000, 'Volumetric divisor must be at least 1000']
+    }
+  },
+  // 'index' follows the admin-maintained fuel surcharge index on the booking date;
+  // 'fixed' always charges fuelChargePercentage (also used before the index has an entry)
+  fuelChargeMode: {
+    type: String,
+    enum: ['fixed', 'index'],
+    default: 'fixed'
+  },
   // Fuel Charge Percentage
   fuelChargePercentage: {
     type: Number,
@@ -102,6 +140,27 @@ const corporatePricingSchema = new mongoose.Schema({
     min: [0, 'Fuel charge percentage cannot be negative'],
     max: [100, 'Fuel charge percentage cannot exceed 100%']
   },
+  // RTO freight as a percentage of the forward freight of the returned shipment
+  rtoChargePercentage: {
+    type: Number,
+    default: 100,
+    min: [0, 'RTO charge percentage cannot be negative'],
+    max: [200, 'RTO charge percentage cannot exceed 200%']
+  },
+  // Fee billed on cash-on-delivery shipments
+  codCharge: {
+    percentage: {
+      type: Number,
+      default: DEFAULT_COD_CHARGE.percentage,
+      min: [0, 'COD charge percentage cannot be negative'],
+      max: [100, 'COD charge percentage cannot exceed 100%']
+    },
+    minimum: {
+      type: Number,
+      default: DEFAULT_COD_CHARGE.minimum,
+      min: [0, 'Minimum COD charge cannot be negative']
+    }
+  },
   // Approval information
   approvedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -180,6 +239,11 @@ const corporatePricingSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // The one approved plan quoted to the public on the Shipping Rates page
+  isRetail: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true,
@@ -192,6 +256,7 @@ corporatePricingSchema.index({ status: 1 });
 corporatePricingSchema.index({ createdBy: 1 });
 corporatePricingSchema.index({ corporateClient: 1 });
 corporatePricingSchema.index({ createdAt: -1 });
+corporatePricingSchema.index({ isRetail: 1, status: 1 });
 
 // Virtual for status display
 corporatePricingSchema.virtual('statusDisplay').get(function() {
@@ -238,6 +303,14 @@ corporatePricingSchema.statics.findPending = function() {
   return this.find({ status: 'pending' }).sort({ createdAt: -1 });
 };
 
+// Static method to make a plan the retail plan; only one plan is retail at a time
+corporatePricingSchema.statics.setRetail = async function(pricingId, isRetail) {
+  if (isRetail) {
+    await this.updateMany({ _id: { $ne: pricingId }, isRetail: true }, { $set: { isRetail: false } });
+  }
+  return this.findByIdAndUpdate(pricingId, { $set: { isRetail } }, { new: true });
+};
+
 // Static method to search pricing by name
 corporatePricingSchema.statics.searchByName = function(searchQuery) {
   const searchRegex = new RegExp(searchQuery, 'i');
@@ -259,6 +332,7 @@ corporatePricingSchema.methods.reject = function(reason) {
   this.rejectionReason = reason;
   this.approvedBy = null;
   this.approvedAt = null;
+  this.isRetail = false;
   return this.save();
 };
 
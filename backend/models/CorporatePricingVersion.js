@@ -0,0 +1,167 @@
+import mongoose from "mongoose";
+
+// Plan fields that make up the price of a shipment; these are what a version freezes
+export const PRICING_RATE_FIELDS = [
+  'doxPricing',
+  'nonDoxSurfacePricing',
+  'nonDoxAirPricing',
+  'priorityPricing',
+  'reversePricing',
+  'zonePricing',
+  'volumetricDivisors',
+  'fuelChargeMode',
+  'fuelChargePercentage',
+  'rtoChargePercentage',
+  'codCharge'
+];
+
+// Leaf values of a rate snapshot keyed by dotted path, e.g. "doxPricing.01gm-250gm.assam"
+const flattenRates = (value, prefix = '', result = {}) => {
+  if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+    Object.keys(value).forEach(key => flattenRates(value[key], prefix ? `${prefix}.${key}` : key, result));
+  } else {
+    result[prefix] = value;
+  }
+  return result;
+};
+
+const corporatePricingVersionSchema = new mongoose.Schema({
+  pricingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CorporatePricing',
+    required: [true, 'Pricing plan is required']
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Bookings made on or after this instant are priced from this version
+  effectiveFrom: {
+    type: Date,
+    required: [true, 'Effective from date is required']
+  },
+  // Set when a later version takes over; null while this version is the latest
+  effectiveTo: {
+    type: Date,
+    default: null
+  },
+  // Frozen copy of the plan's rate fields (see PRICING_RATE_FIELDS)
+  rates: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  changeNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Change note cannot be longer than 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'corporatepricingversions'
+});
+
+// Create indexes for better query performance
+corporatePricingVersionSchema.index({ pricingId: 1, version: 1 }, { unique: true });
+corporatePricingVersionSchema.index({ pricingId: 1, effectiveFrom: -1 });
+
+// Versions are immutable: only closing one off (effectiveTo) is allowed after creation
+corporatePricingVersionSchema.pre('save', function(next) {
+  if (!this.isNew && this.modifiedPaths().some(path => path !== 'effectiveTo')) {
+    return next(new Error('Pricing versions cannot be edited; create a new version instead'));
+  }
+  next();
+});
+
+// Ensure virtual fields are serialized
+corporatePricingVersionSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Static method to copy the rate fields of a plan
+corporatePricingVersionSchema.statics.snapshot = function(plan) {
+  const source = typeof plan.toObject === 'function' ? plan.toObject() : plan;
+  return Object.fromEntries(PRICING_RATE_FIELDS.map(field => [field, source[field] ?? null]));
+};
+
+// Static method to pick the version in force at a date from versions sorted by effectiveFrom
+corporatePricingVersionSchema.statics.pickActive = function(versions, date = new Date()) {
+  const at = new Date(date).getTime();
+  return [...versions].reverse().find(version =>
+    new Date(version.effectiveFrom).getTime() <= at &&
+    (!version.effectiveTo || new Date(version.effectiveTo).getTime() > at)
+  ) || null;
+};
+
+// Static method to list the versions of a plan, oldest first
+corporatePricingVersionSchema.statics.findForPlan = function(pricingId) {
+  return this.find({ pricingId }).sort({ effectiveFrom: 1, version: 1 });
+};
+
+// Static method to record the plan's current rates as version 1 if it has no history yet
+corporatePricingVersionSchema.statics.ensureInitial = async function(plan, createdBy = null) {
+  const existing = await this.findOne({ pricingId: plan._id }).sort({ version: -1 });
+  if (existing) {
+    return existing;
+  }
+  return this.create({
+    pricingId: plan._id,
+    version: 1,
+    effectiveFrom: plan.approvedAt || plan.createdAt || new Date(),
+    rates: this.snapshot(plan),
+    changeNote: 'Initial rates',
+    createdBy: createdBy || plan.approvedBy || plan.createdBy
+  });
+};
+
+// Static method to add a version that takes over from the latest one at effectiveFrom
+corporatePricingVersionSchema.statics.createVersion = async function(plan, rates, { effectiveFrom = new Date(), changeNote = '', createdBy = null } = {}) {
+  const latest = await this.ensureInitial(plan, createdBy);
+  const startsAt = new Date(effectiveFrom);
+
+  if (isNaN(startsAt.getTime())) {
+    const error = new Error('Effective from must be a valid date');
+    error.status = 400;
+    throw error;
+  }
+  if (startsAt <= latest.effectiveFrom) {
+    const error = new Error(`Effective from must be after ${latest.effectiveFrom.toISOString()} when version ${latest.version} took effect`);
+    error.status = 400;
+    throw error;
+  }
+
+  const version = await this.create({
+    pricingId: plan._id,
+    version: latest.version + 1,
+    effectiveFrom: startsAt,
+    rates,
+    changeNote,
+    createdBy
+  });
+
+  latest.effectiveTo = startsAt;
+  await latest.save();
+
+  return version;
+};
+
+// Static method to list rate cells that differ between two snapshots
+corporatePricingVersionSchema.statics.diffRates = function(fromRates = {}, toRates = {}) {
+  const before = flattenRates(fromRates);
+  const after = flattenRates(toRates);
+  const paths = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+
+  return paths
+    .filter(path => (before[path] ?? null) !== (after[path] ?? null))
+    .map(path => ({ path, from: before[path] ?? null, to: after[path] ?? null }));
+};
+
+export default mongoose.model("CorporatePricingVersion", corporatePricingVersionSchema);
@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import { ConsignmentUsage } from "./ConsignmentAssignment.js";
+import TrackingEvent from "./TrackingEvent.js";
 
 const courierRequestSchema = new mongoose.Schema({
   // Corporate Information
@@ -157,5 +159,16 @@ courierRequestSchema.methods.updateStatus = function(newStatus) {
   return this.save();
 };
 
+// Instance method to list the corporate's consignments booked by the time the pickup
+// was completed that have not been picked up yet
+courierRequestSchema.methods.pickupConsignments = async function() {
+  const usages = await ConsignmentUsage.find({
+    corporateId: this.corporateId,
+    status: 'active',
+    usedAt: { $lte: this.completedAt || new Date() }
+  }).select('consignmentNumber').lean();
+  return TrackingEvent.filterAwaitingPickup(usages.map(usage => usage.consignmentNumber));
+};
+
 export default mongoose.model("CourierRequest", courierRequestSchema);
 
@@ -0,0 +1,207 @@
+import mongoose from "mongoose";
+
+export const BUSINESS_TYPES = ['manufacturer', 'retailer', 'wholesaler', 'ecommerce', 'service', 'other'];
+
+export const MONTHLY_VOLUMES = ['0-100', '100-500', '500-1000', '1000+'];
+
+// KYC documents an applicant can upload, keyed by form field
+export const KYC_DOCUMENT_TYPES = {
+  gstCertificate: 'GST Certificate',
+  panCard: 'PAN Card',
+  addressProof: 'Address Proof',
+  otherDocuments: 'Other'
+};
+
+const kycDocumentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.keys(KYC_DOCUMENT_TYPES),
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  originalName: String,
+  mimetype: String,
+  size: Number,
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Application for a corporate credit account from the public Credit Account form,
+// reviewed by admins and converted into a corporate registration on approval
+const creditApplicationSchema = new mongoose.Schema({
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  companyName: {
+    type: String,
+    required: [true, 'Company name is required'],
+    trim: true,
+    maxlength: [200, 'Company name cannot be longer than 200 characters']
+  },
+  contactPerson: {
+    type: String,
+    required: [true, 'Contact person is required'],
+    trim: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email address']
+  },
+  phone: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    trim: true,
+    match: [/^[\d\s\-\+\(\)]{10,15}$/, 'Please enter a valid phone number']
+  },
+  address: {
+    type: String,
+    required: [true, 'Address is required'],
+    trim: true
+  },
+  city: {
+    type: String,
+    required: [true, 'City is required'],
+    trim: true
+  },
+  state: {
+    type: String,
+    required: [true, 'State is required'],
+    trim: true
+  },
+  pincode: {
+    type: String,
+    required: [true, 'PIN code is required'],
+    trim: true,
+    match: [/^\d{6}$/, 'PIN code must be 6 digits']
+  },
+  panNumber: {
+    type: String,
+    required: [true, 'PAN number is required'],
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z]{5}[0-9]{4}[A-Z]$/, 'Please enter a valid PAN number']
+  },
+  gstNumber: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: '',
+    match: [/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$|^$/, 'Please enter a valid GST number']
+  },
+  businessType: {
+    type: String,
+    enum: BUSINESS_TYPES,
+    required: [true, 'Business type is required']
+  },
+  monthlyVolume: {
+    type: String,
+    enum: MONTHLY_VOLUMES,
+    required: [true, 'Expected monthly volume is required']
+  },
+  // Credit limit asked for; null when the applicant left it to OCL
+  requestedCreditLimit: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  documents: {
+    type: [kycDocumentSchema],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['submitted', 'under_review', 'approved', 'rejected'],
+    default: 'submitted'
+  },
+  reviewNotes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Review notes cannot be longer than 1000 characters']
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Rejection reason cannot be longer than 500 characters']
+  },
+  // What the approval created
+  corporate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CorporateData',
+    default: null
+  },
+  pricing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CorporatePricing',
+    default: null
+  },
+  consignmentAssignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ConsignmentAssignment',
+    default: null
+  },
+  registrationEmailSent: {
+    type: Boolean,
+    default: false
+  },
+  registrationEmailError: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'creditapplications'
+});
+
+// Create indexes for better query performance
+creditApplicationSchema.index({ status: 1, createdAt: -1 });
+creditApplicationSchema.index({ email: 1 });
+creditApplicationSchema.index({ gstNumber: 1 });
+
+// Ensure virtual fields are serialized
+creditApplicationSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Static method to generate a reference the applicant can quote, e.g. CA-260419-4821
+creditApplicationSchema.statics.generateReference = async function() {
+  const now = new Date();
+  const date = `${String(now.getFullYear()).slice(-2)}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}`;
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const reference = `CA-${date}-${String(Math.floor(Math.random() * 10000)).padStart(4, '0')}`;
+    if (!await this.exists({ reference })) {
+      return reference;
+    }
+  }
+  throw new Error('Could not generate an application reference');
+};
+
+const CreditApplication = mongoose.model('CreditApplication', creditApplicationSchema);
+
+export default CreditApplication;
@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+import { DOCUMENT_TYPES } from "./DocumentSeries.js";
+
+// Last number issued in a document series for one financial year. Numbers are taken with an
+// atomic $inc (see DocumentSeriesService.allocate), never by reading the highest existing number.
+const documentCounterSchema = new mongoose.Schema({
+  documentType: {
+    type: String,
+    enum: DOCUMENT_TYPES,
+    required: true
+  },
+  // April to March, e.g. "25-26"
+  financialYear: {
+    type: String,
+    required: true,
+    match: [/^\d{2}-\d{2}$/, 'Financial year must look like 25-26']
+  },
+  lastNumber: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true,
+  collection: 'documentcounters'
+});
+
+// Create indexes for better query performance
+documentCounterSchema.index({ documentType: 1, financialYear: 1 }, { unique: true });
+
+// Ensure virtual fields are serialized
+documentCounterSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+export default mongoose.model("DocumentCounter", documentCounterSchema);
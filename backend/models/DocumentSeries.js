@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+// Documents numbered in their own series, e.g. OCL/25-26/000123
+export const DOCUMENT_TYPES = ['tax_invoice', 'credit_note', 'debit_note', 'quotation', 'payment_receipt'];
+
+// Used until an admin saves a series of their own
+export const DEFAULT_SERIES = {
+  tax_invoice: { prefix: 'OCL', padding: 6 },
+  credit_note: { prefix: 'OCL/CN', padding: 6 },
+  debit_note: { prefix: 'OCL/DN', padding: 6 },
+  quotation: { prefix: 'OCL/QT', padding: 6 },
+  payment_receipt: { prefix: 'OCL/RC', padding: 6 }
+};
+
+// How the numbers of a document type look; the running numbers live in DocumentCounter
+const documentSeriesSchema = new mongoose.Schema({
+  documentType: {
+    type: String,
+    enum: DOCUMENT_TYPES,
+    required: true,
+    unique: true
+  },
+  prefix: {
+    type: String,
+    required: [true, 'Prefix is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [20, 'Prefix cannot be longer than 20 characters'],
+    match: [/^[A-Z0-9]+(?:[/-][A-Z0-9]+)*$/, 'Prefix may only contain letters, digits, "/" and "-"']
+  },
+  // Digits the running number is zero padded to
+  padding: {
+    type: Number,
+    default: 6,
+    min: [3, 'Padding must be at least 3 digits'],
+    max: [10, 'Padding cannot exceed 10 digits']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'documentseries'
+});
+
+// Ensure virtual fields are serialized
+documentSeriesSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+export default mongoose.model("DocumentSeries", documentSeriesSchema);
@@ -0,0 +1,82 @@
+import mongoose from "mongoose";
+
+// Reminder schedule for open invoices, in days from the due date
+export const DUNNING_STAGES = [
+  { stage: 'due_soon', daysFromDue: -3, label: 'Due in 3 days' },
+  { stage: 'due_today', daysFromDue: 0, label: 'Due today' },
+  { stage: 'overdue_7', daysFromDue: 7, label: '7 days overdue' },
+  { stage: 'overdue_15', daysFromDue: 15, label: '15 days overdue' },
+  { stage: 'overdue_30', daysFromDue: 30, label: '30 days overdue' }
+];
+
+// One payment reminder emailed for an invoice at a stage of the schedule
+const dunningReminderSchema = new mongoose.Schema({
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true
+  },
+  invoiceNumber: {
+    type: String,
+    required: true
+  },
+  corporateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CorporateData',
+    required: true
+  },
+  stage: {
+    type: String,
+    enum: DUNNING_STAGES.map(entry => entry.stage),
+    required: true
+  },
+  daysFromDue: {
+    type: Number,
+    required: true
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  balanceDue: {
+    type: Number,
+    required: true
+  },
+  sentTo: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: true
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'dunningreminders'
+});
+
+// Create indexes for better query performance
+dunningReminderSchema.index({ invoiceId: 1, stage: 1 }, { unique: true });
+dunningReminderSchema.index({ corporateId: 1, sentAt: -1 });
+
+// Ensure virtual fields are serialized
+dunningReminderSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const DunningReminder = mongoose.model('DunningReminder', dunningReminderSchema);
+
+export default DunningReminder;
@@ -188,6 +188,8 @@ const formSchema = new mongoose.Schema({
       actualWeight: { type: Number },
       volumetricWeight: { type: Number },
       chargeableWeight: { type: Number },
+      perKgWeight: { type: Number },
+      isChargeableFixed: { type: Boolean },
       totalPackages: { type: String, trim: true },
       description: { type: String, trim: true },
       specialInstructions: { type: String, trim: true }
@@ -255,6 +257,7 @@ const formSchema = new mongoose.Schema({
       fuelCharge: { type: String, trim: true },
       total: { type: Number },
       fuelSurcharge: { type: Number },
+      odaCharge: { type: Number },
       cgst: { type: Number },
       sgst: { type: Number },
       igst: { type: Number },
@@ -262,6 +265,16 @@ const formSchema = new mongoose.Schema({
     }, { _id: false }),
     default: undefined
   },
+  // Office user who priced the booking by hand instead of on the retail plan
+  rateOverride: {
+    type: new mongoose.Schema({
+      type: { type: String, trim: true },
+      id: { type: mongoose.Schema.Types.ObjectId, ref: 'OfficeUser' },
+      name: { type: String, trim: true },
+      at: { type: Date }
+    }, { _id: false }),
+    default: undefined
+  },
   // Numeric consignment number (unique booking identifier)
   consignmentNumber: { type: Number, index: true, default: undefined },
   // Assignment data
@@ -471,6 +484,13 @@ formSchema.pre('save', function(next) {
   next();
 });
 
+// Static method to make a consignment number for bookings made without an assigned one
+formSchema.statics.generateFallbackConsignmentNumber = function() {
+  const timestamp = Date.now();
+  const randomSuffix = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+  return parseInt(`${timestamp.toString().slice(-8)}${randomSuffix}`);
+};
+
 // Static method to find incomplete forms
 formSchema.statics.findIncomplete = function() {
   return this.find({ formCompleted: false }).sort({ createdAt: -1 });
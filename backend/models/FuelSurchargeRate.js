@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+
+// India Standard Time is UTC+5:30; index entries start at midnight IST
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+const fuelSurchargeRateSchema = new mongoose.Schema({
+  // Calendar date in India (YYYY-MM-DD) from which the percentage applies; usually the 1st of a month
+  effectiveFrom: {
+    type: String,
+    required: [true, 'Effective from date is required'],
+    unique: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Effective from date must be in YYYY-MM-DD format']
+  },
+  percentage: {
+    type: Number,
+    required: [true, 'Fuel surcharge percentage is required'],
+    min: [0, 'Fuel surcharge percentage cannot be negative'],
+    max: [100, 'Fuel surcharge percentage cannot exceed 100%']
+  },
+  // Reason for the revision shown with the published history, e.g. "Diesel up ₹2/litre"
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot be longer than 200 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'fuelsurchargerates'
+});
+
+// Ensure virtual fields are serialized
+fuelSurchargeRateSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Static method to get the IST calendar date (YYYY-MM-DD) of a moment
+fuelSurchargeRateSchema.statics.istDate = function(date = new Date()) {
+  return new Date(new Date(date).getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+};
+
+// An entry is fixed from its first day on: it has been published, quoted and billed,
+// so corrections are made with a new dated entry
+fuelSurchargeRateSchema.methods.isLocked = function(date = new Date()) {
+  return this.effectiveFrom <= this.constructor.istDate(date);
+};
+
+// Static method to pick the entry in force at a date from entries sorted by effectiveFrom
+fuelSurchargeRateSchema.statics.pickActive = function(rates, date = new Date()) {
+  const day = this.istDate(date);
+  return [...rates].reverse().find(rate => rate.effectiveFrom <= day) || null;
+};
+
+// Static method to list the index, oldest first; `until` (YYYY-MM-DD) leaves out future entries
+fuelSurchargeRateSchema.statics.findHistory = function(until = null) {
+  const filter = until ? { effectiveFrom: { $lte: until } } : {};
+  return this.find(filter).sort({ effectiveFrom: 1 });
+};
+
+export default mongoose.model("FuelSurchargeRate", fuelSurchargeRateSchema);
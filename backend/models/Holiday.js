@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+const holidaySchema = new mongoose.Schema({
+  // Calendar date in India (YYYY-MM-DD); no pickups or deliveries happen on it
+  date: {
+    type: String,
+    required: [true, 'Holiday date is required'],
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Holiday date must be in YYYY-MM-DD format']
+  },
+  name: {
+    type: String,
+    required: [true, 'Holiday name is required'],
+    trim: true,
+    maxlength: [100, 'Holiday name cannot be longer than 100 characters']
+  },
+  // States the holiday applies to; empty means the whole network is closed
+  states: [{
+    type: String,
+    trim: true
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'holidays'
+});
+
+// Create indexes for better query performance
+holidaySchema.index({ date: 1 });
+
+// Ensure virtual fields are serialized
+holidaySchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Static method to get holidays between two dates (inclusive, YYYY-MM-DD)
+holidaySchema.statics.findBetween = function(fromDate, toDate) {
+  return this.find({ date: { $gte: fromDate, $lte: toDate } }).sort({ date: 1 });
+};
+
+// Instance method to check whether the holiday closes a given state
+holidaySchema.methods.appliesTo = function(state) {
+  if (!this.states || this.states.length === 0) {
+    return true;
+  }
+  const normalized = (state || '').trim().toLowerCase();
+  return this.states.some(item => item.toLowerCase() === normalized);
+};
+
+export default mongoose.model("Holiday", holidaySchema);
@@ -1,5 +1,13 @@
 import mongoose from "mongoose";
 
+export const INVOICE_STATUSES = ['unpaid', 'partial', 'paid', 'overdue'];
+
+// Statuses of invoices that still have something to collect
+export const OPEN_INVOICE_STATUSES = ['unpaid', 'partial', 'overdue'];
+
+// Amounts within this of each other are treated as equal (paise rounding)
+const SETTLEMENT_TOLERANCE = 0.01;
+
 const invoiceSchema = new mongoose.Schema({
   invoiceNumber: {
     type: String,
@@ -31,6 +39,27 @@ const invoiceSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Where the supply is made: the state of the client's GSTIN, else their billing state.
+  // Another state than ours means IGST instead of CGST + SGST.
+  placeOfSupply: {
+    state: {
+      type: String,
+      trim: true
+    },
+    stateCode: {
+      type: String,
+      trim: true
+    }
+  },
+  supplyType: {
+    type: String,
+    enum: ['intra_state', 'inter_state'],
+    default: 'intra_state'
+  },
+  sacCode: {
+    type: String,
+    default: '996812'
+  },
   contactNumber: {
     type: String,
     required: true
@@ -58,6 +87,12 @@ const invoiceSchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    // Forward freight or the return leg of an RTO shipment
+    lineType: {
+      type: String,
+      enum: ['forward', 'rto'],
+      default: 'forward'
+    },
     bookingDate: {
       type: Date,
       required: true
@@ -82,10 +117,35 @@ const invoiceSchema = new mongoose.Schema({
       type: Number,
       required: true
     },
+    awbCharge: {
+      type: Number
+    },
+    // Rate from the plan version in force on the booking date
+    fuelChargePercentage: {
+      type: Number,
+      default: null
+    },
+    pricingVersion: {
+      type: Number,
+      default: null
+    },
     fuelSurcharge: {
       type: Number,
       default: 0
     },
+    // COD handling fee from the pricing plan; RTO lines have none
+    codCharge: {
+      type: Number,
+      default: 0
+    },
+    // Freight, AWB, fuel and COD charges the GST is levied on
+    taxableValue: {
+      type: Number
+    },
+    gstRate: {
+      type: Number,
+      default: 18
+    },
     cgst: {
       type: Number,
       default: 0
@@ -94,6 +154,10 @@ const invoiceSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    igst: {
+      type: Number,
+      default: 0
+    },
     totalAmount: {
       type: Number,
       required: true
@@ -103,6 +167,9 @@ const invoiceSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  awbChargesTotal: {
+    type: Number
+  },
   fuelSurchargeTotal: {
     type: Number,
     default: 0
@@ -113,6 +180,10 @@ const invoiceSchema = new mongoose.Schema({
     min: [0, 'Fuel charge percentage cannot be negative'],
     max: [100, 'Fuel charge percentage cannot exceed 100%']
   },
+  codChargesTotal: {
+    type: Number,
+    default: 0
+  },
   cgstTotal: {
     type: Number,
     default: 0
@@ -121,6 +192,10 @@ const invoiceSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  igstTotal: {
+    type: Number,
+    default: 0
+  },
   grandTotal: {
     type: Number,
     required: true
@@ -129,9 +204,29 @@ const invoiceSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Grand totals of the issued credit and debit notes against this invoice (see InvoiceNote)
+  creditNotesTotal: {
+    type: Number,
+    default: 0
+  },
+  debitNotesTotal: {
+    type: Number,
+    default: 0
+  },
+  // Settled through payment receipts (see PaymentReceipt): money received and TDS the
+  // corporate deducted at source, which counts as paid once its certificate is filed
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  tdsDeducted: {
+    type: Number,
+    default: 0
+  },
+  // Derived from the amounts above on save; see refreshPaymentStatus
   status: {
     type: String,
-    enum: ['unpaid', 'paid', 'overdue'],
+    enum: INVOICE_STATUSES,
     default: 'unpaid'
   },
   paymentDate: {
@@ -176,10 +271,18 @@ const invoiceSchema = new mongoose.Schema({
     type: String,
     trim: true
   }],
+  // Admin who generated the invoice; invoices from a scheduled billing run have none
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Admin',
-    required: true
+    required: function() {
+      return !this.billingRunId;
+    }
+  },
+  billingRunId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BillingRun',
+    default: null
   },
   lastModifiedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -210,7 +313,7 @@ invoiceSchema.virtual('invoicePeriodDisplay').get(function() {
 
 // Virtual for days overdue
 invoiceSchema.virtual('daysOverdue').get(function() {
-  if (this.status === 'unpaid' && this.dueDate) {
+  if (OPEN_INVOICE_STATUSES.includes(this.status) && this.dueDate) {
     const today = new Date();
     const dueDate = new Date(this.dueDate);
     const diffTime = today - dueDate;
@@ -220,6 +323,16 @@ invoiceSchema.virtual('daysOverdue').get(function() {
   return 0;
 });
 
+// Virtual for what is owed on the invoice after credit and debit notes
+invoiceSchema.virtual('netAmount').get(function() {
+  return Math.round(((this.grandTotal || 0) - (this.creditNotesTotal || 0) + (this.debitNotesTotal || 0)) * 100) / 100;
+});
+
+// Virtual for what is still to be received after payments and TDS
+invoiceSchema.virtual('balanceDue').get(function() {
+  return Math.round((this.netAmount - (this.amountPaid || 0) - (this.tdsDeducted || 0)) * 100) / 100;
+});
+
 // Ensure virtual fields are serialized
 invoiceSchema.set('toJSON', {
   virtuals: true,
@@ -239,14 +352,21 @@ invoiceSchema.pre('save', function(next) {
     // Calculate fuel surcharge total
     this.fuelSurchargeTotal = this.shipments.reduce((sum, shipment) => sum + (shipment.fuelSurcharge || 0), 0);
     
-    // Calculate CGST total
+    // Calculate tax totals
     this.cgstTotal = this.shipments.reduce((sum, shipment) => sum + (shipment.cgst || 0), 0);
-    
-    // Calculate SGST total
     this.sgstTotal = this.shipments.reduce((sum, shipment) => sum + (shipment.sgst || 0), 0);
+    this.igstTotal = this.shipments.reduce((sum, shipment) => sum + (shipment.igst || 0), 0);
     
-    // Calculate grand total
-    this.grandTotal = this.subtotal + this.fuelSurchargeTotal + this.cgstTotal + this.sgstTotal;
+    // Calculate grand total. Invoices with per line AWB and COD charges total their lines;
+    // older ones left those charges out of the stored total.
+    if (this.shipments.every(shipment => shipment.awbCharge !== undefined && shipment.awbCharge !== null)) {
+      this.awbChargesTotal = this.shipments.reduce((sum, shipment) => sum + shipment.awbCharge, 0);
+      this.codChargesTotal = this.shipments.reduce((sum, shipment) => sum + (shipment.codCharge || 0), 0);
+      this.grandTotal = this.subtotal + this.awbChargesTotal + this.fuelSurchargeTotal + this.codChargesTotal +
+        this.cgstTotal + this.sgstTotal + this.igstTotal;
+    } else {
+      this.grandTotal = this.subtotal + this.fuelSurchargeTotal + this.cgstTotal + this.sgstTotal + this.igstTotal;
+    }
     
     // Generate amount in words
     this.amountInWords = this.numberToWords(this.grandTotal);
@@ -258,13 +378,7 @@ invoiceSchema.pre('save', function(next) {
       this.dueDate = dueDate;
     }
     
-    // Update status based on due date
-    if (this.status === 'unpaid' && this.dueDate) {
-      const today = new Date();
-      if (today > this.dueDate) {
-        this.status = 'overdue';
-      }
-    }
+    this.refreshPaymentStatus();
     
     next();
   } catch (error) {
@@ -272,41 +386,11 @@ invoiceSchema.pre('save', function(next) {
   }
 });
 
-// Static method to generate unique invoice number
-invoiceSchema.statics.generateInvoiceNumber = async function() {
-  try {
-    const currentYear = new Date().getFullYear();
-    const currentMonth = new Date().getMonth() + 1;
-    const yearMonth = `${currentYear}-${currentMonth.toString().padStart(2, '0')}`;
-    
-    // Find the highest existing invoice number for this year-month
-    const existingInvoices = await this.find({
-      invoiceNumber: new RegExp(`^${yearMonth}/\\d+$`)
-    }).select('invoiceNumber').lean();
-    
-    let maxNumber = 0;
-    existingInvoices.forEach(doc => {
-      const number = parseInt(doc.invoiceNumber.split('/')[1]);
-      if (number > maxNumber) {
-        maxNumber = number;
-      }
-    });
-    
-    // Generate next number
-    const nextNumber = maxNumber + 1;
-    const invoiceNumber = `${yearMonth}/${nextNumber.toString().padStart(3, '0')}`;
-    
-    return invoiceNumber;
-  } catch (error) {
-    throw new Error('Error generating invoice number: ' + error.message);
-  }
-};
-
 // Static method to find unpaid invoices for a corporate
 invoiceSchema.statics.findUnpaidByCorporate = function(corporateId) {
   return this.find({
     corporateId: corporateId,
-    status: { $in: ['unpaid', 'overdue'] }
+    status: { $in: OPEN_INVOICE_STATUSES }
   }).sort({ invoiceDate: -1 });
 };
 
@@ -314,7 +398,7 @@ invoiceSchema.statics.findUnpaidByCorporate = function(corporateId) {
 invoiceSchema.statics.findOverdue = function() {
   const today = new Date();
   return this.find({
-    status: 'unpaid',
+    status: { $in: OPEN_INVOICE_STATUSES },
     dueDate: { $lt: today }
   }).sort({ dueDate: 1 });
 };
@@ -323,34 +407,65 @@ invoiceSchema.statics.findOverdue = function() {
 invoiceSchema.statics.getInvoiceSummary = async function(corporateId) {
   try {
     const invoices = await this.find({ corporateId: corporateId });
+    const isUnpaid = (inv) => OPEN_INVOICE_STATUSES.includes(inv.status);
+    const sum = (list, amount) => Math.round(list.reduce((total, inv) => total + (amount(inv) || 0), 0) * 100) / 100;
     
     const summary = {
       totalInvoices: invoices.length,
       unpaidInvoices: invoices.filter(inv => inv.status === 'unpaid').length,
+      partialInvoices: invoices.filter(inv => inv.status === 'partial').length,
       overdueInvoices: invoices.filter(inv => inv.status === 'overdue').length,
       paidInvoices: invoices.filter(inv => inv.status === 'paid').length,
-      totalAmount: invoices.reduce((sum, inv) => sum + inv.grandTotal, 0),
-      unpaidAmount: invoices
-        .filter(inv => inv.status === 'unpaid' || inv.status === 'overdue')
-        .reduce((sum, inv) => sum + inv.grandTotal, 0),
-      paidAmount: invoices
-        .filter(inv => inv.status === 'paid')
-        .reduce((sum, inv) => sum + inv.grandTotal, 0)
+      totalAmount: sum(invoices, inv => inv.grandTotal),
+      unpaidAmount: sum(invoices.filter(isUnpaid), inv => inv.balanceDue),
+      paidAmount: sum(invoices.filter(inv => inv.status === 'paid'), inv => inv.grandTotal),
+      receivedAmount: sum(invoices, inv => inv.amountPaid),
+      tdsAmount: sum(invoices, inv => inv.tdsDeducted),
+      creditNotesAmount: sum(invoices, inv => inv.creditNotesTotal),
+      debitNotesAmount: sum(invoices, inv => inv.debitNotesTotal)
     };
     
+    // Notes raised after an invoice was paid still move the balance: a credit is owed back
+    // to the corporate, a debit is owed by them. Invoices marked paid without receipts
+    // count as settled in full.
+    summary.outstandingAmount = sum(invoices, inv => {
+      if (isUnpaid(inv) || (inv.amountPaid || 0) + (inv.tdsDeducted || 0) > 0) {
+        return inv.balanceDue;
+      }
+      return (inv.debitNotesTotal || 0) - (inv.creditNotesTotal || 0);
+    });
+    
     return summary;
   } catch (error) {
     throw new Error('Error getting invoice summary: ' + error.message);
   }
 };
 
-// Instance method to mark as paid
-invoiceSchema.methods.markAsPaid = function(paymentMethod, paymentReference) {
-  this.status = 'paid';
-  this.paymentDate = new Date();
-  this.paymentMethod = paymentMethod;
-  this.paymentReference = paymentReference;
-  return this.save();
+// Instance method to derive the status from what has been settled. Invoices marked paid
+// before receipts were recorded have nothing settled and keep their status.
+invoiceSchema.methods.refreshPaymentStatus = function() {
+  const settled = (this.amountPaid || 0) + (this.tdsDeducted || 0);
+  if (settled === 0 && this.status === 'paid') {
+    return this.status;
+  }
+
+  if (settled > 0 && settled >= this.netAmount - SETTLEMENT_TOLERANCE) {
+    this.status = 'paid';
+  } else if (settled > 0) {
+    this.status = 'partial';
+  } else {
+    this.status = this.dueDate && new Date() > this.dueDate ? 'overdue' : 'unpaid';
+  }
+  return this.status;
+};
+
+// Static method to re-derive an invoice's status after its settled amounts or notes changed
+invoiceSchema.statics.refreshStatus = async function(invoiceId) {
+  const invoice = await this.findById(invoiceId);
+  if (invoice) {
+    await invoice.save();
+  }
+  return invoice;
 };
 
 // Helper method to convert number to words
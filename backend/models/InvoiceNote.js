@@ -0,0 +1,224 @@
+import mongoose from "mongoose";
+import Invoice from "./Invoice.js";
+
+export const NOTE_TYPES = ['credit', 'debit'];
+
+export const NOTE_REASONS = [
+  'rate_revision',
+  'weight_revision',
+  'service_deficiency',
+  'shipment_cancelled',
+  'billing_error',
+  'other'
+];
+
+// Credit or debit note correcting an issued invoice. Each line adjusts one invoice line by a
+// taxable value and carries its own GST at the invoice's place of supply, so the original
+// invoice is never edited.
+const invoiceNoteSchema = new mongoose.Schema({
+  noteNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  noteType: {
+    type: String,
+    enum: NOTE_TYPES,
+    required: true
+  },
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true
+  },
+  // Copied from the invoice so the note prints without it
+  invoiceNumber: {
+    type: String,
+    required: true
+  },
+  invoiceDate: {
+    type: Date,
+    required: true
+  },
+  corporateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CorporateData',
+    required: true
+  },
+  companyName: {
+    type: String,
+    required: true
+  },
+  companyAddress: {
+    type: String
+  },
+  gstNumber: {
+    type: String,
+    trim: true
+  },
+  placeOfSupply: {
+    state: {
+      type: String,
+      trim: true
+    },
+    stateCode: {
+      type: String,
+      trim: true
+    }
+  },
+  supplyType: {
+    type: String,
+    enum: ['intra_state', 'inter_state'],
+    default: 'intra_state'
+  },
+  sacCode: {
+    type: String,
+    default: '996812'
+  },
+  noteDate: {
+    type: Date,
+    default: Date.now
+  },
+  reason: {
+    type: String,
+    enum: NOTE_REASONS,
+    required: [true, 'Reason is required']
+  },
+  remarks: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Remarks cannot be longer than 500 characters']
+  },
+  lines: {
+    type: [{
+      consignmentNumber: {
+        type: String,
+        required: true
+      },
+      lineType: {
+        type: String,
+        enum: ['forward', 'rto'],
+        default: 'forward'
+      },
+      description: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Line description cannot be longer than 200 characters']
+      },
+      // Value before tax being credited or debited
+      taxableValue: {
+        type: Number,
+        required: true,
+        min: [0.01, 'Line amount must be positive']
+      },
+      gstRate: {
+        type: Number,
+        default: 18
+      },
+      cgst: {
+        type: Number,
+        default: 0
+      },
+      sgst: {
+        type: Number,
+        default: 0
+      },
+      igst: {
+        type: Number,
+        default: 0
+      },
+      totalAmount: {
+        type: Number,
+        required: true
+      }
+    }],
+    validate: [lines => lines.length > 0, 'A note needs at least one line']
+  },
+  taxableTotal: {
+    type: Number,
+    default: 0
+  },
+  cgstTotal: {
+    type: Number,
+    default: 0
+  },
+  sgstTotal: {
+    type: Number,
+    default: 0
+  },
+  igstTotal: {
+    type: Number,
+    default: 0
+  },
+  grandTotal: {
+    type: Number,
+    default: 0
+  },
+  amountInWords: {
+    type: String
+  },
+  // Cancelled notes keep their number; their amounts no longer count against the invoice
+  status: {
+    type: String,
+    enum: ['issued', 'cancelled'],
+    default: 'issued'
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  cancellationReason: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'invoicenotes'
+});
+
+// Create indexes for better query performance
+invoiceNoteSchema.index({ invoiceId: 1, status: 1 });
+invoiceNoteSchema.index({ corporateId: 1, noteDate: -1 });
+invoiceNoteSchema.index({ noteType: 1, status: 1 });
+
+// Ensure virtual fields are serialized
+invoiceNoteSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Pre-save middleware to total the lines
+invoiceNoteSchema.pre('save', function(next) {
+  try {
+    this.taxableTotal = round(this.lines.reduce((sum, line) => sum + line.taxableValue, 0));
+    this.cgstTotal = round(this.lines.reduce((sum, line) => sum + (line.cgst || 0), 0));
+    this.sgstTotal = round(this.lines.reduce((sum, line) => sum + (line.sgst || 0), 0));
+    this.igstTotal = round(this.lines.reduce((sum, line) => sum + (line.igst || 0), 0));
+    this.grandTotal = round(this.taxableTotal + this.cgstTotal + this.sgstTotal + this.igstTotal);
+    this.amountInWords = Invoice.schema.methods.numberToWords(Math.floor(this.grandTotal));
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Static method to find the notes of an invoice that still count against it
+invoiceNoteSchema.statics.findIssuedByInvoice = function(invoiceId) {
+  return this.find({ invoiceId, status: 'issued' }).sort({ noteDate: 1 });
+};
+
+export default mongoose.model("InvoiceNote", invoiceNoteSchema);
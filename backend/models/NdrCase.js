@@ -0,0 +1,205 @@
+import mongoose from "mongoose";
+
+// Reasons a delivery attempt can fail (non-delivery report)
+export const NDR_REASONS = {
+  customer_unavailable: 'Customer not available',
+  address_incomplete: 'Address incomplete or incorrect',
+  refused: 'Customer refused delivery',
+  phone_unreachable: 'Customer phone not reachable',
+  premises_closed: 'Premises closed',
+  payment_not_ready: 'Payment not ready',
+  future_delivery: 'Customer asked for delivery on a later date',
+  out_of_delivery_area: 'Address outside delivery area',
+  other: 'Other'
+};
+
+// Failed attempts allowed before the shipment is automatically returned to origin
+export const MAX_DELIVERY_ATTEMPTS = 3;
+
+const actorSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['admin', 'office_user', 'corporate', 'courier_boy', 'system'],
+    default: 'system'
+  },
+  id: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  name: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const attemptSchema = new mongoose.Schema({
+  attemptNumber: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: Object.keys(NDR_REASONS),
+    required: [true, 'NDR reason is required']
+  },
+  remarks: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Remarks cannot be longer than 500 characters']
+  },
+  location: {
+    type: String,
+    trim: true
+  },
+  attemptedAt: {
+    type: Date,
+    default: Date.now
+  },
+  recordedBy: actorSchema
+}, { _id: false });
+
+const instructionSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['reattempt', 'update_address', 'update_phone', 'return'],
+    required: [true, 'Instruction action is required']
+  },
+  reattemptDate: {
+    type: Date,
+    default: null
+  },
+  updatedAddress: {
+    flatBuilding: { type: String, trim: true },
+    locality: { type: String, trim: true },
+    landmark: { type: String, trim: true },
+    area: { type: String, trim: true },
+    city: { type: String, trim: true },
+    district: { type: String, trim: true },
+    state: { type: String, trim: true },
+    pincode: { type: String, trim: true }
+  },
+  updatedPhone: {
+    type: String,
+    trim: true,
+    match: [/^\d{10}$/, 'Phone number must be 10 digits']
+  },
+  remarks: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Remarks cannot be longer than 500 characters']
+  },
+  requestedBy: actorSchema,
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const ndrCaseSchema = new mongoose.Schema({
+  consignmentNumber: {
+    type: Number,
+    required: [true, 'Consignment number is required'],
+    unique: true
+  },
+  // Booking collection the consignment was resolved from (public, corporate, medicine, ...)
+  source: {
+    type: String,
+    trim: true
+  },
+  corporateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CorporateData',
+    default: null
+  },
+  receiverName: {
+    type: String,
+    trim: true
+  },
+  destinationCity: {
+    type: String,
+    trim: true
+  },
+  attempts: [attemptSchema],
+  instructions: [instructionSchema],
+  status: {
+    type: String,
+    enum: ['pending_action', 'reattempt_scheduled', 'delivered', 'rto'],
+    default: 'pending_action'
+  },
+  nextAttemptDate: {
+    type: Date,
+    default: null
+  },
+  rto: {
+    initiatedAt: {
+      type: Date,
+      default: null
+    },
+    reason: {
+      type: String,
+      enum: ['attempt_limit', 'shipper_instruction', 'operations'],
+      default: null
+    }
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'ndrcases'
+});
+
+// Create indexes for better query performance
+ndrCaseSchema.index({ status: 1, updatedAt: -1 });
+ndrCaseSchema.index({ corporateId: 1, status: 1 });
+
+// Virtual for number of failed attempts
+ndrCaseSchema.virtual('attemptCount').get(function() {
+  return this.attempts.length;
+});
+
+// Virtual for the latest failed attempt
+ndrCaseSchema.virtual('lastAttempt').get(function() {
+  return this.attempts[this.attempts.length - 1] || null;
+});
+
+// Ensure virtual fields are serialized
+ndrCaseSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Static method to find the open NDR case of a consignment
+ndrCaseSchema.statics.findOpenCase = function(consignmentNumber) {
+  return this.findOne({
+    consignmentNumber: Number(consignmentNumber),
+    status: { $in: ['pending_action', 'reattempt_scheduled'] }
+  });
+};
+
+// Static method to close an open case once the shipment is delivered
+ndrCaseSchema.statics.closeAsDelivered = function(consignmentNumber) {
+  return this.updateOne(
+    {
+      consignmentNumber: Number(consignmentNumber),
+      status: { $in: ['pending_action', 'reattempt_scheduled'] }
+    },
+    { status: 'delivered', closedAt: new Date(), nextAttemptDate: null }
+  );
+};
+
+// Instance method to check whether the attempt cap has been reached
+ndrCaseSchema.methods.hasReachedAttemptLimit = function() {
+  return this.attempts.length >= MAX_DELIVERY_ATTEMPTS;
+};
+
+// Instance method to check whether the case still accepts attempts and instructions
+ndrCaseSchema.methods.isOpen = function() {
+  return ['pending_action', 'reattempt_scheduled'].includes(this.status);
+};
+
+export default mongoose.model("NdrCase", ndrCaseSchema);
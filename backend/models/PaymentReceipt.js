@@ -0,0 +1,172 @@
+import mongoose from "mongoose";
+
+export const PAYMENT_MODES = ['neft', 'rtgs', 'imps', 'upi', 'cheque', 'demand_draft', 'cash', 'other'];
+
+// Money received from a corporate and how it settles their invoices. A receipt may be
+// allocated across several invoices and keep the rest on account until allocated later.
+const paymentReceiptSchema = new mongoose.Schema({
+  receiptNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  corporateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CorporateData',
+    required: true
+  },
+  companyName: {
+    type: String,
+    required: true
+  },
+  receiptDate: {
+    type: Date,
+    required: [true, 'Receipt date is required']
+  },
+  paymentMode: {
+    type: String,
+    enum: PAYMENT_MODES,
+    required: [true, 'Payment mode is required']
+  },
+  // UTR, cheque or draft number
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Reference cannot be longer than 50 characters']
+  },
+  bankName: {
+    type: String,
+    trim: true
+  },
+  // Money actually received, after any TDS the corporate deducted
+  amountReceived: {
+    type: Number,
+    required: [true, 'Amount received is required'],
+    min: [0.01, 'Amount received must be positive']
+  },
+  allocations: [{
+    invoiceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+      required: true
+    },
+    invoiceNumber: {
+      type: String,
+      required: true
+    },
+    // Part of amountReceived applied to the invoice
+    amount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Allocated amount cannot be negative']
+    },
+    // Tax the corporate deducted at source on the invoice
+    tdsAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'TDS cannot be negative']
+    },
+    allocatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  allocatedAmount: {
+    type: Number,
+    default: 0
+  },
+  unallocatedAmount: {
+    type: Number,
+    default: 0
+  },
+  tdsAmount: {
+    type: Number,
+    default: 0
+  },
+  // Income-tax section the TDS was deducted under, e.g. 194C, and the Form 16A that proves it
+  tdsSection: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  tdsCertificateNumber: {
+    type: String,
+    trim: true
+  },
+  tdsCertificateReceivedAt: {
+    type: Date,
+    default: null
+  },
+  remarks: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Remarks cannot be longer than 500 characters']
+  },
+  // Cancelled receipts (bounced cheques, entries in error) no longer settle their invoices
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  cancellationReason: {
+    type: String,
+    trim: true
+  },
+  emailedTo: {
+    type: String,
+    trim: true
+  },
+  emailedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'paymentreceipts'
+});
+
+// Create indexes for better query performance
+paymentReceiptSchema.index({ corporateId: 1, receiptDate: -1 });
+paymentReceiptSchema.index({ 'allocations.invoiceId': 1 });
+paymentReceiptSchema.index({ status: 1, receiptDate: -1 });
+
+// Ensure virtual fields are serialized
+paymentReceiptSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Pre-save middleware to total the allocations
+paymentReceiptSchema.pre('save', function(next) {
+  try {
+    this.allocatedAmount = round(this.allocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+    this.tdsAmount = round(this.allocations.reduce((sum, allocation) => sum + allocation.tdsAmount, 0));
+    this.unallocatedAmount = round(this.amountReceived - this.allocatedAmount);
+    if (this.unallocatedAmount < 0) {
+      return next(new Error('Allocations exceed the amount received'));
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default mongoose.model("PaymentReceipt", paymentReceiptSchema);
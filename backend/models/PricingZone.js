@@ -0,0 +1,179 @@
+import mongoose from "mongoose";
+
+// Base rate card regions; every pincode falls in one of these
+export const REGION_CODES = ['assam', 'northEast', 'restOfIndia'];
+
+// Rate tables a plan can set for a special zone, with their weight slabs (null = per kg)
+export const ZONE_RATE_TABLES = {
+  doxPricing: ['01gm-250gm', '251gm-500gm', 'add500gm'],
+  nonDoxSurfacePricing: null,
+  nonDoxAirPricing: null,
+  priorityPricing: ['01gm-500gm', 'add500gm']
+};
+
+// Seeded when the master has no region zones: the pincode ranges the rate cards have always used
+const DEFAULT_REGION_ZONES = [
+  {
+    code: 'assam',
+    name: 'Assam',
+    category: 'region',
+    pincodeRanges: [{ from: 780000, to: 788999 }],
+    states: ['Assam']
+  },
+  {
+    code: 'northEast',
+    name: 'North East',
+    category: 'region',
+    pincodeRanges: [{ from: 790000, to: 799999 }],
+    states: ['Arunachal Pradesh', 'Manipur', 'Meghalaya', 'Mizoram', 'Nagaland', 'Tripura']
+  }
+];
+
+const normalizeName = (value) => String(value || '').trim().toLowerCase();
+
+const pricingZoneSchema = new mongoose.Schema({
+  // Key used in plan rate cards, e.g. "metro" or "jammuKashmir"
+  code: {
+    type: String,
+    required: [true, 'Zone code is required'],
+    unique: true,
+    trim: true,
+    match: [/^[a-zA-Z][a-zA-Z0-9]*$/, 'Zone code can only contain letters and digits and must start with a letter'],
+    maxlength: [40, 'Zone code cannot be longer than 40 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    trim: true,
+    maxlength: [100, 'Zone name cannot be longer than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be longer than 500 characters']
+  },
+  // Region zones pick the Assam / North East column; special zones can be priced on their own by a plan
+  category: {
+    type: String,
+    enum: ['region', 'special'],
+    default: 'special'
+  },
+  // Shipments to the zone attract the out-of-delivery-area surcharge
+  isOda: {
+    type: Boolean,
+    default: false
+  },
+  pincodes: [{
+    type: Number,
+    min: 100000,
+    max: 999999
+  }],
+  pincodeRanges: [{
+    _id: false,
+    from: { type: Number, required: true, min: 100000, max: 999999 },
+    to: { type: Number, required: true, min: 100000, max: 999999 }
+  }],
+  // District and state names as spelt in Pin_Code_Area
+  districts: [{
+    type: String,
+    trim: true
+  }],
+  states: [{
+    type: String,
+    trim: true
+  }],
+  // Breaks ties between zones matched at the same level (higher wins)
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'pricingzones'
+});
+
+// Create indexes for better query performance
+pricingZoneSchema.index({ isActive: 1, category: 1 });
+
+pricingZoneSchema.pre('validate', function(next) {
+  if (this.category === 'region' && !REGION_CODES.includes(this.code)) {
+    this.invalidate('code', `Region zones must use one of the codes: ${REGION_CODES.join(', ')}`);
+  }
+  if (this.category === 'special' && REGION_CODES.includes(this.code)) {
+    this.invalidate('code', `${this.code} is reserved for the ${this.code} region`);
+  }
+  if (this.pincodeRanges.some(range => range.from > range.to)) {
+    this.invalidate('pincodeRanges', 'Pincode range start must not be after its end');
+  }
+  next();
+});
+
+// Ensure virtual fields are serialized
+pricingZoneSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Instance method to tell how specifically the zone covers a pincode
+// Returns 'pincode', 'district', 'state' or null when it does not cover it
+pricingZoneSchema.methods.matchLevel = function({ pincode, district, state }) {
+  const pin = parseInt(pincode);
+  if (this.pincodes.includes(pin) || this.pincodeRanges.some(range => pin >= range.from && pin <= range.to)) {
+    return 'pincode';
+  }
+  if (district && this.districts.some(name => normalizeName(name) === normalizeName(district))) {
+    return 'district';
+  }
+  if (state && this.states.some(name => normalizeName(name) === normalizeName(state))) {
+    return 'state';
+  }
+  return null;
+};
+
+// Static method to seed the region zones if the master has none
+pricingZoneSchema.statics.ensureDefaults = async function() {
+  const regionCount = await this.countDocuments({ category: 'region' });
+  if (regionCount > 0) {
+    return 0;
+  }
+  await this.insertMany(DEFAULT_REGION_ZONES);
+  console.log(`🗺️ Seeded ${DEFAULT_REGION_ZONES.length} default pricing zones`);
+  return DEFAULT_REGION_ZONES.length;
+};
+
+// Static method to keep only numeric rates of active special zones in a plan's zonePricing
+pricingZoneSchema.statics.sanitizeZonePricing = async function(zonePricing) {
+  if (!zonePricing || typeof zonePricing !== 'object') {
+    return {};
+  }
+
+  const codes = await this.distinct('code', { category: 'special', isActive: true });
+  const toRate = (value) => Math.max(0, parseFloat(value) || 0);
+
+  return Object.fromEntries(
+    Object.entries(zonePricing)
+      .filter(([code]) => codes.includes(code))
+      .map(([code, rates]) => [
+        code,
+        Object.fromEntries(Object.entries(ZONE_RATE_TABLES).map(([table, slabs]) => [
+          table,
+          slabs
+            ? Object.fromEntries(slabs.map(slab => [slab, toRate(rates?.[table]?.[slab])]))
+            : toRate(rates?.[table])
+        ]))
+      ])
+  );
+};
+
+export default mongoose.model("PricingZone", pricingZoneSchema);
@@ -0,0 +1,143 @@
+import mongoose from "mongoose";
+
+// Maximum wrong OTP entries before a fresh OTP has to be sent
+export const MAX_POD_OTP_ATTEMPTS = 5;
+
+const podImageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    trim: true
+  },
+  key: {
+    type: String,
+    trim: true
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const proofOfDeliverySchema = new mongoose.Schema({
+  consignmentNumber: {
+    type: Number,
+    required: [true, 'Consignment number is required'],
+    unique: true
+  },
+  // Booking collection the consignment was resolved from (public, corporate, medicine, ...)
+  source: {
+    type: String,
+    trim: true
+  },
+  receiverName: {
+    type: String,
+    trim: true
+  },
+  receiverPhone: {
+    type: String,
+    trim: true,
+    match: [/^\d{10}$/, 'Receiver phone must be 10 digits']
+  },
+  // Person who actually accepted the parcel (may differ from the booked receiver)
+  receivedBy: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Received by cannot be longer than 100 characters']
+  },
+  relationship: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Relationship cannot be longer than 50 characters']
+  },
+  otp: {
+    sentAt: {
+      type: Date,
+      default: null
+    },
+    verified: {
+      type: Boolean,
+      default: false
+    },
+    verifiedAt: {
+      type: Date,
+      default: null
+    },
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    testMode: {
+      type: Boolean,
+      default: false
+    }
+  },
+  signature: {
+    type: podImageSchema,
+    default: undefined
+  },
+  photo: {
+    type: podImageSchema,
+    default: undefined
+  },
+  location: {
+    type: String,
+    trim: true
+  },
+  remarks: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Remarks cannot be longer than 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['otp_sent', 'otp_verified', 'completed'],
+    default: 'otp_sent'
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  capturedBy: {
+    type: {
+      type: String,
+      enum: ['admin', 'office_user', 'courier_boy', 'system'],
+      default: 'system'
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    name: {
+      type: String,
+      trim: true
+    }
+  }
+}, {
+  timestamps: true,
+  collection: 'proofofdeliveries'
+});
+
+// Create indexes for better query performance
+proofOfDeliverySchema.index({ status: 1 });
+proofOfDeliverySchema.index({ deliveredAt: -1 });
+
+// Ensure virtual fields are serialized
+proofOfDeliverySchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Static method to find the POD of a consignment
+proofOfDeliverySchema.statics.findByConsignment = function(consignmentNumber) {
+  return this.findOne({ consignmentNumber: Number(consignmentNumber) });
+};
+
+// Instance method to check whether all delivery evidence has been collected
+proofOfDeliverySchema.methods.isComplete = function() {
+  return this.otp.verified && !!this.signature?.url && !!this.photo?.url;
+};
+
+export default mongoose.model("ProofOfDelivery", proofOfDeliverySchema);
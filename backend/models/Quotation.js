@@ -0,0 +1,164 @@
+import mongoose from "mongoose";
+
+// Days a quotation stays open from the day it is sent
+export const QUOTATION_VALIDITY_DAYS = 7;
+
+// A price offered to a prospective customer, kept so later references to it can be looked up
+const quotationSchema = new mongoose.Schema({
+  quotationNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  customer: {
+    name: {
+      type: String,
+      required: [true, 'Customer name is required'],
+      trim: true,
+      maxlength: [100, 'Customer name cannot be longer than 100 characters']
+    },
+    email: {
+      type: String,
+      required: [true, 'Customer email is required'],
+      trim: true,
+      lowercase: true
+    },
+    phone: {
+      type: String,
+      trim: true,
+      default: ''
+    }
+  },
+  origin: {
+    type: String,
+    required: [true, 'Origin is required'],
+    trim: true
+  },
+  destination: {
+    type: String,
+    required: [true, 'Destination is required'],
+    trim: true
+  },
+  originPincode: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  destinationPincode: {
+    type: String,
+    required: [true, 'Destination pincode is required'],
+    match: [/^\d{6}$/, 'Destination pincode must be exactly 6 digits']
+  },
+  // What was quoted on; a conversion prices the booking or plan from these
+  weight: {
+    type: Number,
+    required: true,
+    min: [0, 'Weight cannot be negative']
+  },
+  ratePerKg: {
+    type: Number,
+    required: true,
+    min: [0, 'Rate per kg cannot be negative']
+  },
+  gstRate: {
+    type: Number,
+    default: 18
+  },
+  additionalCharges: [{
+    _id: false,
+    description: { type: String, trim: true },
+    amount: { type: Number, default: 0 }
+  }],
+  // Lines as printed on the quotation
+  lineItems: [{
+    _id: false,
+    description: { type: String, required: true, trim: true },
+    quantity: { type: String, trim: true },
+    rate: { type: Number, default: 0 },
+    amount: { type: Number, required: true }
+  }],
+  subtotal: {
+    type: Number,
+    required: true
+  },
+  gstAmount: {
+    type: Number,
+    default: 0
+  },
+  totalAmount: {
+    type: Number,
+    required: true
+  },
+  validUntil: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'accepted', 'expired'],
+    default: 'sent'
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  // What an accepted quotation was turned into; set once
+  conversion: {
+    type: {
+      type: String,
+      enum: ['booking', 'pricing']
+    },
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FormData',
+      default: null
+    },
+    consignmentNumber: {
+      type: Number,
+      default: null
+    },
+    pricingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CorporatePricing',
+      default: null
+    },
+    convertedAt: {
+      type: Date
+    },
+    convertedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'quotations'
+});
+
+// Create indexes for better query performance
+quotationSchema.index({ createdAt: -1 });
+quotationSchema.index({ status: 1, validUntil: 1 });
+quotationSchema.index({ 'customer.email': 1 });
+
+// Ensure virtual fields are serialized
+quotationSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Static method to mark sent quotations past their validity as expired
+quotationSchema.statics.expireOverdue = function() {
+  return this.updateMany(
+    { status: 'sent', validUntil: { $lt: new Date() } },
+    { status: 'expired' }
+  );
+};
+
+export default mongoose.model("Quotation", quotationSchema);
@@ -0,0 +1,182 @@
+import mongoose from "mongoose";
+import { EventEmitter } from "node:events";
+
+// Scan statuses a consignment can move through, in rough journey order
+export const TRACKING_STATUSES = [
+  'booked',
+  'picked_up',
+  'received',
+  'bagged',
+  'manifested',
+  'in_transit',
+  'reached_hub',
+  'out_for_delivery',
+  'delivered',
+  'failed',
+  'reattempt_scheduled',
+  'rto_initiated',
+  'rto_in_transit',
+  'rto_delivered',
+  'cancelled'
+];
+
+// Human readable label and default description for every status
+export const TRACKING_STATUS_INFO = {
+  booked: { label: 'Booked', description: 'Shipment booked and ready for pickup' },
+  picked_up: { label: 'Picked Up', description: 'Shipment picked up from the sender' },
+  received: { label: 'Received at Hub', description: 'Shipment received at the OCL processing hub' },
+  bagged: { label: 'Bagged', description: 'Shipment bagged for onward dispatch' },
+  manifested: { label: 'Manifested', description: 'Shipment added to a dispatch manifest' },
+  in_transit: { label: 'In Transit', description: 'Shipment is in transit to the destination' },
+  reached_hub: { label: 'Reached Destination Hub', description: 'Shipment reached the destination hub' },
+  out_for_delivery: { label: 'Out for Delivery', description: 'Shipment is out for delivery' },
+  delivered: { label: 'Delivered', description: 'Shipment delivered to the receiver' },
+  failed: { label: 'Delivery Attempt Failed', description: 'Delivery could not be completed' },
+  reattempt_scheduled: { label: 'Reattempt Scheduled', description: 'Delivery will be attempted again' },
+  rto_initiated: { label: 'Return to Origin Initiated', description: 'Shipment is being returned to the sender' },
+  rto_in_transit: { label: 'Return In Transit', description: 'Shipment is on its way back to the sender' },
+  rto_delivered: { label: 'Returned to Origin', description: 'Shipment handed back to the sender' },
+  cancelled: { label: 'Cancelled', description: 'Shipment has been cancelled' }
+};
+
+// Emits 'recorded' with every scan written through TrackingEvent.record, so
+// integrations (e.g. corporate webhooks) can react without the ops flows knowing
+export const trackingEmitter = new EventEmitter();
+
+const trackingEventSchema = new mongoose.Schema({
+  consignmentNumber: {
+    type: Number,
+    required: [true, 'Consignment number is required']
+  },
+  status: {
+    type: String,
+    enum: TRACKING_STATUSES,
+    required: [true, 'Tracking status is required']
+  },
+  location: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot be longer than 300 characters']
+  },
+  remarks: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Remarks cannot be longer than 500 characters']
+  },
+  // Who recorded the scan
+  actor: {
+    type: {
+      type: String,
+      enum: ['admin', 'office_user', 'corporate', 'courier_boy', 'medicine', 'coloader', 'customer', 'system'],
+      default: 'system'
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    name: {
+      type: String,
+      trim: true
+    }
+  },
+  // Screen or flow that produced the event (e.g. 'received_consignment', 'bagging')
+  source: {
+    type: String,
+    trim: true
+  },
+  eventAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'trackingevents'
+});
+
+// Create indexes for better query performance
+trackingEventSchema.index({ consignmentNumber: 1, eventAt: 1 });
+trackingEventSchema.index({ status: 1 });
+
+// Virtual for status label
+trackingEventSchema.virtual('label').get(function() {
+  return TRACKING_STATUS_INFO[this.status]?.label || this.status;
+});
+
+// Ensure virtual fields are serialized
+trackingEventSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Static method to append a scan event. Tracking is a side effect of the
+// ops flows, so a failed write is logged and never breaks the caller.
+trackingEventSchema.statics.record = async function(event) {
+  try {
+    const consignmentNumber = Number(event.consignmentNumber);
+    if (!Number.isFinite(consignmentNumber)) {
+      return null;
+    }
+
+    const created = await this.create({
+      ...event,
+      consignmentNumber,
+      description: event.description || TRACKING_STATUS_INFO[event.status]?.description
+    });
+    trackingEmitter.emit('recorded', created);
+    return created;
+  } catch (error) {
+    console.error(`Failed to record tracking event for ${event.consignmentNumber}:`, error.message);
+    return null;
+  }
+};
+
+// Static method to append the same scan event to several consignments
+trackingEventSchema.statics.recordMany = function(consignmentNumbers, event) {
+  return Promise.all(
+    (consignmentNumbers || []).map(consignmentNumber => this.record({ ...event, consignmentNumber }))
+  );
+};
+
+// Static method to keep the consignments whose latest scan is still 'booked'
+trackingEventSchema.statics.filterAwaitingPickup = async function(consignmentNumbers) {
+  const numbers = (consignmentNumbers || []).map(Number).filter(Number.isFinite);
+  if (numbers.length === 0) {
+    return [];
+  }
+
+  const latest = await this.aggregate([
+    { $match: { consignmentNumber: { $in: numbers } } },
+    { $sort: { eventAt: -1, createdAt: -1 } },
+    { $group: { _id: '$consignmentNumber', status: { $first: '$status' } } },
+    { $match: { status: 'booked' } }
+  ]);
+  return latest.map(entry => entry._id);
+};
+
+// Static method to get the ordered history of a consignment
+trackingEventSchema.statics.getTimeline = function(consignmentNumber) {
+  return this.find({ consignmentNumber: Number(consignmentNumber) }).sort({ eventAt: 1, createdAt: 1 });
+};
+
+// Static method to shape events for tracking responses
+trackingEventSchema.statics.formatTimeline = function(events) {
+  return events.map(event => ({
+    status: event.status,
+    label: TRACKING_STATUS_INFO[event.status]?.label || event.status,
+    location: event.location || '',
+    timestamp: event.eventAt,
+    description: event.description || TRACKING_STATUS_INFO[event.status]?.description || '',
+    actor: event.actor?.name || '',
+    remarks: event.remarks || ''
+  }));
+};
+
+export default mongoose.model("TrackingEvent", trackingEventSchema);
@@ -0,0 +1,107 @@
+import mongoose from "mongoose";
+
+// Automatic attempts per delivery before it is marked failed (a resend starts over)
+export const MAX_WEBHOOK_ATTEMPTS = 6;
+
+// Wait before each retry, in minutes: 1m, 5m, 30m, 2h, 12h
+export const WEBHOOK_RETRY_DELAYS = [1, 5, 30, 120, 720];
+
+const attemptSchema = new mongoose.Schema({
+  attemptedAt: {
+    type: Date,
+    default: Date.now
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    trim: true
+  },
+  durationMs: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+  corporateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CorporateData',
+    required: true
+  },
+  // e.g. 'shipment.delivered' or 'ping'
+  event: {
+    type: String,
+    required: true
+  },
+  consignmentNumber: {
+    type: Number,
+    default: null
+  },
+  // Exact JSON body that is signed and sent
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  // Attempts since the delivery was created or last resent
+  attemptCount: {
+    type: Number,
+    default: 0
+  },
+  // The first attempt is made inline; this only picks the delivery up again if
+  // that attempt never completes (e.g. the server restarted)
+  nextAttemptAt: {
+    type: Date,
+    default: () => new Date(Date.now() + WEBHOOK_RETRY_DELAYS[0] * 60 * 1000)
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  attempts: [attemptSchema]
+}, {
+  timestamps: true,
+  collection: 'webhookdeliveries'
+});
+
+// Create indexes for better query performance
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ corporateId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+
+// Ensure virtual fields are serialized
+webhookDeliverySchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Static method to find deliveries waiting for their next attempt
+webhookDeliverySchema.statics.findDue = function(limit = 50) {
+  return this.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit);
+};
+
+// Instance method to queue the delivery again from scratch before an inline attempt
+webhookDeliverySchema.methods.resetForResend = function() {
+  this.status = 'pending';
+  this.attemptCount = 0;
+  this.nextAttemptAt = new Date(Date.now() + WEBHOOK_RETRY_DELAYS[0] * 60 * 1000);
+  this.deliveredAt = null;
+};
+
+export default mongoose.model("WebhookDelivery", webhookDeliverySchema);
@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+import crypto from "node:crypto";
+import { TRACKING_STATUSES } from "./TrackingEvent.js";
+
+// Corporates can point at most this many endpoints at us
+export const MAX_SUBSCRIPTIONS_PER_CORPORATE = 5;
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  corporateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CorporateData',
+    required: [true, 'Corporate is required']
+  },
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true,
+    maxlength: [500, 'Webhook URL cannot be longer than 500 characters'],
+    match: [/^https?:\/\/\S+$/i, 'Webhook URL must start with http:// or https://']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be longer than 200 characters']
+  },
+  // Shared secret used to sign every delivery (HMAC SHA-256)
+  secret: {
+    type: String,
+    required: true,
+    default: () => `whsec_${crypto.randomBytes(24).toString('hex')}`
+  },
+  // Scan statuses the corporate wants to hear about
+  events: {
+    type: [{
+      type: String,
+      enum: TRACKING_STATUSES
+    }],
+    validate: {
+      validator: events => events.length > 0,
+      message: 'Select at least one event'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: {
+    type: Date,
+    default: null
+  },
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['delivered', 'failed', null],
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'webhooksubscriptions'
+});
+
+// Create indexes for better query performance
+webhookSubscriptionSchema.index({ corporateId: 1, isActive: 1 });
+
+// Never send the full secret back after creation
+webhookSubscriptionSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    ret.secretHint = ret.secret ? `${ret.secret.slice(0, 10)}…${ret.secret.slice(-4)}` : '';
+    delete ret.secret;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Static method to find active subscriptions of a corporate listening for an event
+webhookSubscriptionSchema.statics.findForEvent = function(corporateId, event) {
+  return this.find({ corporateId, isActive: true, events: event });
+};
+
+// Instance method to replace the signing secret
+webhookSubscriptionSchema.methods.rotateSecret = function() {
+  this.secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  return this.secret;
+};
+
+export default mongoose.model("WebhookSubscription", webhookSubscriptionSchema);
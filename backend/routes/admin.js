@@ -5,7 +5,12 @@ import FormData from '../models/FormData.js';
 import PinCodeArea from '../models/PinCodeArea.js';
 import Coloader from '../models/Coloader.js';
 import CorporatePricing from '../models/CorporatePricing.js';
+import CorporatePricingVersion, { PRICING_RATE_FIELDS } from '../models/CorporatePricingVersion.js';
+import PricingZone from '../models/PricingZone.js';
 import ConsignmentAssignment, { ConsignmentUsage } from '../models/ConsignmentAssignment.js';
+import TrackingEvent from '../models/TrackingEvent.js';
+import Quotation, { QUOTATION_VALIDITY_DAYS } from '../models/Quotation.js';
+import DocumentSeriesService from '../services/documentSeriesService.js';
 import { generateToken, authenticateAdmin, requireSuperAdmin, validateLoginInput, authenticateAdminOrOfficeAdmin } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -284,7 +289,7 @@ router.post('/mark-order-received', authenticateAdmin, async (req, res) => {
     });
   }
   try {
-    const { orderId, newWeight } = req.body;
+    const { orderId, newWeight, location, remarks } = req.body;
     if (!orderId) {
       return res.status(400).json({ error: 'orderId is required.' });
     }
@@ -304,6 +309,15 @@ router.post('/mark-order-received', authenticateAdmin, async (req, res) => {
       return res.status(404).json({ error: 'Address form not found.' });
     }
 
+    await TrackingEvent.record({
+      consignmentNumber: updated.consignmentNumber,
+      status: 'received',
+      location: location || '',
+      remarks: remarks || (update['shipmentData.actualWeight'] !== undefined ? `Weight updated to ${update['shipmentData.actualWeight']} kg` : ''),
+      actor: { type: 'admin', id: req.admin._id, name: req.admin.name },
+      source: 'received_consignment'
+    });
+
     res.json({ success: true, message: 'Order marked as received.', data: updated });
   } catch (error) {
     console.error('Mark order received error:', error);
@@ -1716,7 +1730,7 @@ router.post('/complete-assignment', authenticateAdminOrOfficeAdmin, async (req,
   }
   
   try {
-    const { orderId, completedAt } = req.body;
+    const { orderId, completedAt, location, remarks } = req.body;
     
     // Validate required fields
     if (!orderId) {
@@ -1757,6 +1771,16 @@ router.post('/complete-assignment', authenticateAdminOrOfficeAdmin, async (req,
       { new: true, runValidators: true }
     );
     
+    await TrackingEvent.record({
+      consignmentNumber: updatedOrder.consignmentNumber,
+      status: 'reached_hub',
+      location: location || updatedOrder.destinationData?.city || updatedOrder.receiverCity || '',
+      remarks: remarks || `Line haul completed by ${updatedOrder.assignmentData.assignedColoaderName || 'coloader'}`,
+      actor: { type: req.user ? 'office_user' : 'admin', id: (req.user || req.admin)._id, name: (req.user || req.admin).name },
+      source: 'assign_coloader',
+      eventAt: updatedOrder.assignmentData.completedAt || new Date()
+    });
+    
     console.log(`✅ Order ${orderId} marked as completed by admin ${req.admin.name}`);
     
     res.json({
@@ -1812,7 +1836,12 @@ router.post('/corporate-pricing', authenticateAdmin, async (req, res) => {
       nonDoxAirPricing, 
       priorityPricing, 
       reversePricing,
+      zonePricing,
+      volumetricDivisors,
+      fuelChargeMode,
+      codCharge,
       fuelChargePercentage,
+      rtoChargePercentage,
       clientEmail,
       clientName,
       clientCompany,
@@ -1845,7 +1874,12 @@ router.post('/corporate-pricing', authenticateAdmin, async (req, res) => {
       nonDoxAirPricing: nonDoxAirPricing || {},
       priorityPricing: priorityPricing || {},
       reversePricing: reversePricing || {},
+      zonePricing: await PricingZone.sanitizeZonePricing(zonePricing),
+      volumetricDivisors: volumetricDivisors || undefined,
+      fuelChargeMode: fuelChargeMode || 'fixed',
+      codCharge: codCharge || undefined,
       fuelChargePercentage: fuelChargePercentage || 15,
+      rtoChargePercentage: rtoChargePercentage ?? 100,
       clientEmail: clientEmail || null,
       clientName: clientName || null,
       clientCompany: clientCompany || null,
@@ -1933,6 +1967,37 @@ router.post('/corporate-pricing', authenticateAdmin, async (req, res) => {
   }
 });
 
+// Price a test shipment on rates that are still being edited (rate card calculator)
+// Body: { rates: { doxPricing, ..., zonePricing, volumetricDivisors, fuelChargeMode, fuelChargePercentage }, shipment: { originPincode, destinationPincode, actualWeight, dimensions, natureOfConsignment, services, mode, reverse } }
+router.post('/corporate-pricing/preview-quote', authenticateAdmin, async (req, res) => {
+  try {
+    const { rates = {}, shipment = {} } = req.body;
+    const PricingService = (await import('../services/pricingService.js')).default;
+    const FuelService = (await import('../services/fuelService.js')).default;
+
+    const quote = await PricingService.quote({
+      shipment: { ...shipment, service: shipment.services },
+      plan: FuelService.applyIndex({
+        ...rates,
+        fuelChargePercentage: parseFloat(rates.fuelChargePercentage) || 0
+      }, await FuelService.getRates())
+    });
+
+    res.json({
+      success: true,
+      data: quote
+    });
+
+  } catch (error) {
+    console.error('Preview corporate pricing quote error:', error);
+    if (error.status === 400) {
+      res.status(400).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to calculate price.' });
+    }
+  }
+});
+
 // Get all corporate pricing with pagination and search
 router.get('/corporate-pricing', authenticateAdmin, async (req, res) => {
   try {
@@ -2033,58 +2098,77 @@ router.get('/corporate-pricing/:id', authenticateAdmin, async (req, res) => {
 });
 
 // Update corporate pricing by ID
+// Draft plans are edited in place. Rate changes to an approved plan create a new immutable
+// version that takes effect at `effectiveFrom` (default now); earlier bookings keep their rates.
 router.put('/corporate-pricing/:id', authenticateAdmin, async (req, res) => {
   try {
-    const { 
-      name, 
-      doxPricing, 
-      nonDoxSurfacePricing, 
-      nonDoxAirPricing, 
-      priorityPricing, 
-      reversePricing,
-      fuelChargePercentage,
-      notes 
-    } = req.body;
-    
-    const updateData = {};
-    
-    if (name !== undefined) updateData.name = name.trim();
-    if (doxPricing !== undefined) updateData.doxPricing = doxPricing;
-    if (nonDoxSurfacePricing !== undefined) updateData.nonDoxSurfacePricing = nonDoxSurfacePricing;
-    if (nonDoxAirPricing !== undefined) updateData.nonDoxAirPricing = nonDoxAirPricing;
-    if (priorityPricing !== undefined) updateData.priorityPricing = priorityPricing;
-    if (reversePricing !== undefined) updateData.reversePricing = reversePricing;
-    if (fuelChargePercentage !== undefined) updateData.fuelChargePercentage = fuelChargePercentage;
-    if (notes !== undefined) updateData.notes = notes;
+    const { name, notes, effectiveFrom, changeNote } = req.body;
     
-    const updatedPricing = await CorporatePricing.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { 
-        new: true, 
-        runValidators: true 
-      }
-    ).populate('createdBy', 'name email')
-     .populate('approvedBy', 'name email')
-     .populate('corporateClient', 'companyName corporateId');
+    const pricing = await CorporatePricing.findById(req.params.id);
     
-    if (!updatedPricing) {
+    if (!pricing) {
       return res.status(404).json({ 
         error: 'Corporate pricing not found.' 
       });
     }
     
-    console.log(`✅ Corporate pricing updated by admin ${req.admin.name}: ${updatedPricing.name}`);
+    const rateUpdates = Object.fromEntries(
+      PRICING_RATE_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+    );
+    if (rateUpdates.zonePricing !== undefined) {
+      rateUpdates.zonePricing = await PricingZone.sanitizeZonePricing(rateUpdates.zonePricing);
+    }
+    
+    let newVersion = null;
+    if (pricing.status === 'approved' && Object.keys(rateUpdates).length > 0) {
+      // Validate the new rates against the schema before freezing them
+      const candidate = new CorporatePricing({ ...pricing.toObject(), ...rateUpdates });
+      await candidate.validate();
+      
+      const latest = await CorporatePricingVersion.ensureInitial(pricing, req.admin._id);
+      const rates = CorporatePricingVersion.snapshot(candidate);
+      
+      if (CorporatePricingVersion.diffRates(latest.rates, rates).length === 0) {
+        return res.status(400).json({
+          error: 'No rate changes to save.'
+        });
+      }
+      
+      newVersion = await CorporatePricingVersion.createVersion(pricing, rates, {
+        effectiveFrom: effectiveFrom || new Date(),
+        changeNote: changeNote?.trim() || '',
+        createdBy: req.admin._id
+      });
+    }
+    
+    // The plan document mirrors the rates of its latest version
+    Object.assign(pricing, rateUpdates);
+    if (name !== undefined) pricing.name = name.trim();
+    if (notes !== undefined) pricing.notes = notes;
+    
+    await pricing.save();
+    await pricing.populate([
+      { path: 'createdBy', select: 'name email' },
+      { path: 'approvedBy', select: 'name email' },
+      { path: 'corporateClient', select: 'companyName corporateId' }
+    ]);
+    
+    console.log(`✅ Corporate pricing updated by admin ${req.admin.name}: ${pricing.name}${newVersion ? ` (version ${newVersion.version} from ${newVersion.effectiveFrom.toISOString()})` : ''}`);
     
     res.json({
       success: true,
-      message: 'Corporate pricing updated successfully.',
-      data: updatedPricing
+      message: newVersion
+        ? `Pricing version ${newVersion.version} created. It applies to bookings from ${newVersion.effectiveFrom.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}.`
+        : 'Corporate pricing updated successfully.',
+      data: pricing,
+      version: newVersion
     });
     
   } catch (error) {
     console.error('Update corporate pricing error:', error);
-    if (error.name === 'ValidationError') {
+    if (error.status === 400) {
+      res.status(400).json({ error: error.message });
+    } else if (error.name === 'ValidationError') {
       const validationErrors = Object.values(error.errors).map(e => e.message);
       res.status(400).json({ 
         error: 'Validation failed',
@@ -2098,6 +2182,86 @@ router.put('/corporate-pricing/:id', authenticateAdmin, async (req, res) => {
   }
 });
 
+// Get the version history of a corporate pricing plan
+router.get('/corporate-pricing/:id/versions', authenticateAdmin, async (req, res) => {
+  try {
+    const pricing = await CorporatePricing.findById(req.params.id).select('name status');
+    
+    if (!pricing) {
+      return res.status(404).json({ 
+        error: 'Corporate pricing not found.' 
+      });
+    }
+    
+    const versions = await CorporatePricingVersion.findForPlan(pricing._id)
+      .populate('createdBy', 'name email')
+      .lean();
+    const active = CorporatePricingVersion.pickActive(versions);
+    
+    res.json({
+      success: true,
+      data: versions.map(version => ({
+        ...version,
+        isActive: !!active && String(active._id) === String(version._id),
+        isScheduled: new Date(version.effectiveFrom) > new Date()
+      }))
+    });
+    
+  } catch (error) {
+    console.error('Get corporate pricing versions error:', error);
+    if (error.name === 'CastError') {
+      res.status(400).json({ error: 'Invalid pricing ID format.' });
+    } else {
+      res.status(500).json({ error: 'Failed to get pricing versions.' });
+    }
+  }
+});
+
+// Compare two versions of a corporate pricing plan
+// Query: from, to (version numbers)
+router.get('/corporate-pricing/:id/versions/diff', authenticateAdmin, async (req, res) => {
+  try {
+    const fromVersion = parseInt(req.query.from);
+    const toVersion = parseInt(req.query.to);
+    
+    if (!fromVersion || !toVersion) {
+      return res.status(400).json({
+        error: 'Both from and to version numbers are required.'
+      });
+    }
+    
+    const versions = await CorporatePricingVersion.find({
+      pricingId: req.params.id,
+      version: { $in: [fromVersion, toVersion] }
+    }).lean();
+    const from = versions.find(version => version.version === fromVersion);
+    const to = versions.find(version => version.version === toVersion);
+    
+    if (!from || !to) {
+      return res.status(404).json({
+        error: 'Pricing version not found.'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        from: { version: from.version, effectiveFrom: from.effectiveFrom, effectiveTo: from.effectiveTo },
+        to: { version: to.version, effectiveFrom: to.effectiveFrom, effectiveTo: to.effectiveTo },
+        changes: CorporatePricingVersion.diffRates(from.rates, to.rates)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Diff corporate pricing versions error:', error);
+    if (error.name === 'CastError') {
+      res.status(400).json({ error: 'Invalid pricing ID format.' });
+    } else {
+      res.status(500).json({ error: 'Failed to compare pricing versions.' });
+    }
+  }
+});
+
 // Approve corporate pricing
 router.patch('/corporate-pricing/:id/approve', authenticateAdmin, async (req, res) => {
   try {
@@ -2116,6 +2280,7 @@ router.patch('/corporate-pricing/:id/approve', authenticateAdmin, async (req, re
     }
     
     await pricing.approve(req.admin._id);
+    await CorporatePricingVersion.ensureInitial(pricing, req.admin._id);
     
     console.log(`✅ Corporate pricing approved by admin ${req.admin.name}: ${pricing.name}`);
     
@@ -2135,6 +2300,47 @@ router.patch('/corporate-pricing/:id/approve', authenticateAdmin, async (req, re
   }
 });
 
+// Make an approved plan the retail plan quoted on the public Shipping Rates page, or stop quoting it
+// Body: { isRetail }
+router.patch('/corporate-pricing/:id/retail', authenticateAdmin, async (req, res) => {
+  try {
+    const isRetail = req.body.isRetail !== false;
+    const pricing = await CorporatePricing.findById(req.params.id);
+    
+    if (!pricing) {
+      return res.status(404).json({
+        error: 'Corporate pricing not found.'
+      });
+    }
+    
+    if (isRetail && pricing.status !== 'approved') {
+      return res.status(400).json({
+        error: 'Only an approved pricing can be used for retail rates.'
+      });
+    }
+    
+    const updated = await CorporatePricing.setRetail(pricing._id, isRetail);
+    
+    console.log(`🏷️ Retail pricing ${isRetail ? 'set to' : 'removed from'} ${pricing.name} by admin ${req.admin.name}`);
+    
+    res.json({
+      success: true,
+      message: isRetail
+        ? 'Public rates are now quoted from this pricing.'
+        : 'This pricing is no longer used for public rates.',
+      data: updated
+    });
+    
+  } catch (error) {
+    console.error('Set retail pricing error:', error);
+    if (error.name === 'CastError') {
+      res.status(400).json({ error: 'Invalid pricing ID format.' });
+    } else {
+      res.status(500).json({ error: 'Failed to update retail pricing.' });
+    }
+  }
+});
+
 // Reject corporate pricing
 router.patch('/corporate-pricing/:id/reject', authenticateAdmin, async (req, res) => {
   try {
@@ -2368,6 +2574,7 @@ router.post('/public/pricing-approval/:token/approve', async (req, res) => {
     
     // Approve the pricing
     await pricing.approveViaEmail(approvedBy || pricing.clientName || 'Email Approval');
+    await CorporatePricingVersion.ensureInitial(pricing);
     
     // Send confirmation email
     try {
@@ -2623,6 +2830,8 @@ router.delete('/corporate-pricing/:id', authenticateAdmin, async (req, res) => {
       });
     }
     
+    await CorporatePricingVersion.deleteMany({ pricingId: deletedPricing._id });
+    
     console.log(`🗑️ Corporate pricing deleted by admin ${req.admin.name}: ${deletedPricing.name}`);
     
     res.json({
@@ -3493,6 +3702,18 @@ router.put('/courier-requests/:requestId/status', authenticateAdmin, async (req,
     
     await courierRequest.updateStatus(status);
     
+    // A completed pickup request means the corporate's booked consignments were collected
+    if (status === 'completed') {
+      const consignmentNumbers = await courierRequest.pickupConsignments();
+      await TrackingEvent.recordMany(consignmentNumbers, {
+        status: 'picked_up',
+        location: courierRequest.requestData?.pickupAddress || '',
+        remarks: courierRequest.assignedCourier?.name ? `Picked up by ${courierRequest.assignedCourier.name}` : '',
+        actor: { type: 'admin', id: req.admin._id, name: req.admin.name },
+        source: 'courier_request'
+      });
+    }
+    
     console.log(`🚚 Admin updating courier request ${requestId} to status: ${status}`, {
       updatedBy: req.admin.username,
       timestamp: new Date().toISOString()
@@ -4107,11 +4328,19 @@ router.get('/corporates', authenticateAdmin, async (req, res) => {
   }
 });
 
-// Update invoice (Admin only)
+// Update invoice remarks (Admin only). Status and payment details follow the receipts
+// allocated to the invoice, so payments are recorded through /api/payments/receipts.
 router.put('/invoices/:invoiceId', authenticateAdmin, async (req, res) => {
   try {
     const { status, paymentMethod, paymentReference, remarks } = req.body;
     
+    if (status !== undefined || paymentMethod !== undefined || paymentReference !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invoice status and payment details are set by payment receipts. Record the payment from Payment Receipts instead.'
+      });
+    }
+    
     const Invoice = (await import('../models/Invoice.js')).default;
     const invoice = await Invoice.findById(req.params.invoiceId);
     
@@ -4122,16 +4351,7 @@ router.put('/invoices/:invoiceId', authenticateAdmin, async (req, res) => {
       });
     }
     
-    // Update fields
-    if (status) invoice.status = status;
-    if (paymentMethod) invoice.paymentMethod = paymentMethod;
-    if (paymentReference) invoice.paymentReference = paymentReference;
-    if (remarks) invoice.remarks = remarks;
-    
-    // Set payment date if status is changed to paid
-    if (status === 'paid' && !invoice.paymentDate) {
-      invoice.paymentDate = new Date();
-    }
+    if (remarks !== undefined) invoice.remarks = remarks;
     
     // Update last modified by
     invoice.lastModifiedBy = req.admin._id;
@@ -4950,6 +5170,18 @@ router.post('/send-manifest', authenticateAdmin, async (req, res) => {
       filename: `manifest_${Date.now()}.pdf`
     });
 
+    await TrackingEvent.recordMany(
+      rows.map(r => r.consignment).filter(Boolean),
+      {
+        status: 'bagged',
+        location: req.body.location || '',
+        remarks: `Bagged on route ${route}`,
+        actor: { type: 'admin', id: req.admin._id, name: req.admin.name },
+        source: 'bagging',
+        eventAt: sentAt ? new Date(sentAt) : new Date()
+      }
+    );
+
     res.json({ success: true });
   } catch (error) {
     console.error('send-manifest error', error);
@@ -4959,6 +5191,8 @@ router.post('/send-manifest', authenticateAdmin, async (req, res) => {
 
 // Generate and send quotation PDF
 router.post('/generate-quotation', authenticateAdmin, async (req, res) => {
+  // Number taken from the quotation series; handed back if the quotation is never sent
+  let numbering = null;
   try {
     const {
       customerName,
@@ -4966,6 +5200,8 @@ router.post('/generate-quotation', authenticateAdmin, async (req, res) => {
       customerPhone,
       origin,
       destination,
+      originPincode,
+      destinationPincode,
       weight,
       ratePerKg,
       gstRate,
@@ -4973,28 +5209,46 @@ router.post('/generate-quotation', authenticateAdmin, async (req, res) => {
     } = req.body;
 
     // Validation
-    if (!customerName || !customerEmail || !origin || !destination || !weight) {
+    if (!customerName || !customerEmail || !origin || !destination || !destinationPincode || !weight || !ratePerKg) {
       return res.status(400).json({ 
         success: false, 
-        error: 'Missing required fields: customerName, customerEmail, origin, destination, weight' 
+        error: 'Missing required fields: customerName, customerEmail, origin, destination, destinationPincode, weight, ratePerKg' 
       });
     }
 
     const emailService = (await import('../services/emailService.js')).default;
+    const PricingService = (await import('../services/pricingService.js')).default;
+    const QuotationService = (await import('../services/quotationService.js')).default;
 
     // Calculate amounts
-    const weightNum = parseFloat(weight);
-    const ratePerKgNum = parseFloat(ratePerKg) || 45;
-    const gstRateNum = parseFloat(gstRate) || 18;
-    
-    const baseAmount = weightNum * ratePerKgNum;
-    const additionalChargesTotal = (additionalCharges || []).reduce((sum, charge) => {
-      return sum + (parseFloat(charge.amount) || 0);
-    }, 0);
-    
-    const subtotal = baseAmount + additionalChargesTotal;
-    const gstAmount = (subtotal * gstRateNum) / 100;
-    const totalAmount = subtotal + gstAmount;
+    let quote;
+    try {
+      quote = await PricingService.quote({
+        shipment: { originPincode, destinationPincode, actualWeight: weight },
+        counter: { ratePerKg, additionalCharges },
+        tax: { gstRate }
+      });
+    } catch (error) {
+      if (error.status !== 400) {
+        throw error;
+      }
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const ratePerKgNum = quote.breakdown.pricePerUnit;
+    const gstRateNum = quote.gst.rate;
+    const baseAmount = quote.freight;
+    const additionalChargesTotal = quote.otherChargesTotal;
+    const subtotal = quote.taxableValue;
+    const gstAmount = quote.gst.total;
+    const totalAmount = quote.total;
+    const lineItems = QuotationService.lineItems(quote);
+    numbering = await DocumentSeriesService.allocate('quotation');
+    const quotationNumber = numbering.number;
+    const validUntil = new Date(Date.now() + QUOTATION_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
 
     // Generate current date
     const currentDate = new Date();
@@ -5004,8 +5258,7 @@ router.post('/generate-quotation', authenticateAdmin, async (req, res) => {
       year: 'numeric'
     });
 
-    // Generate valid until date (7 days from now)
-    const validUntilDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toLocaleDateString('en-GB', {
+    const validUntilDate = validUntil.toLocaleDateString('en-GB', {
       day: '2-digit',
       month: '2-digit',
       year: 'numeric'
@@ -5328,6 +5581,7 @@ router.post('/generate-quotation', authenticateAdmin, async (req, res) => {
                   </div>
                   <div class="quotation-badge">
                     <h2>QUOTATION</h2>
+                    <p>${quotationNumber}</p>
                     <p>Valid Until: ${validUntilDate}</p>
                   </div>
                 </div>
@@ -5392,21 +5646,15 @@ router.post('/generate-quotation', authenticateAdmin, async (req, res) => {
                       </tr>
                     </thead>
                     <tbody>
+                      ${lineItems.map((item, index) => `
                       <tr>
-                        <td>Base Shipping Cost</td>
-                        <td>${weight} kg</td>
-                        <td>₹${ratePerKgNum}/kg</td>
-                        <td class="currency">₹${baseAmount.toFixed(2)}</td>
-                      </tr>
-                      ${additionalCharges && additionalCharges.length > 0 ? additionalCharges.map(charge => `
-                      <tr>
-                        <td>${charge.description || 'Additional Charge'}</td>
-                        <td>1</td>
-                        <td>₹${parseFloat(charge.amount || 0).toFixed(2)}</td>
-                        <td class="currency">₹${parseFloat(charge.amount || 0).toFixed(2)}</td>
+                        <td>${item.description}</td>
+                        <td>${item.quantity}</td>
+                        <td>₹${index === 0 ? `${item.rate}/kg` : item.rate.toFixed(2)}</td>
+                        <td class="currency">₹${item.amount.toFixed(2)}</td>
                       </tr>
-                      `).join('') : ''}
-                      ${additionalCharges && additionalCharges.length > 0 ? `
+                      `).join('')}
+                      ${lineItems.length > 1 ? `
                       <tr style="background: rgba(59, 130, 246, 0.1);">
                         <td colspan="3"><strong>Subtotal</strong></td>
                         <td class="currency"><strong>₹${subtotal.toFixed(2)}</strong></td>
@@ -5505,7 +5753,7 @@ router.post('/generate-quotation', authenticateAdmin, async (req, res) => {
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <h2 style="color: #1e3a8a;">Quotation Request</h2>
         <p>Dear ${customerName},</p>
-        <p>Thank you for your interest in our courier and logistics services. Please find attached the detailed quotation for your service from ${origin} to ${destination}.</p>
+        <p>Thank you for your interest in our courier and logistics services. Please find attached quotation ${quotationNumber} for your service from ${origin} to ${destination}. Please quote this number when you get back to us.</p>
         <p><strong>Service Details:</strong></p>
         <ul>
           <li>Route: ${origin} to ${destination}</li>
@@ -5531,16 +5779,44 @@ router.post('/generate-quotation', authenticateAdmin, async (req, res) => {
       html: emailHtml,
       text,
       pdfBuffer,
-      filename: `quotation_${customerName.replace(/\s+/g, '_')}_${Date.now()}.pdf`
+      filename: `quotation_${quotationNumber.replace(/[^A-Za-z0-9]+/g, '_')}.pdf`
     });
 
+    const quotation = await Quotation.create({
+      quotationNumber,
+      customer: { name: customerName, email: customerEmail, phone: customerPhone || '' },
+      origin,
+      destination,
+      originPincode: originPincode || '',
+      destinationPincode,
+      weight: parseFloat(weight),
+      ratePerKg: ratePerKgNum,
+      gstRate: gstRateNum,
+      additionalCharges: (additionalCharges || [])
+        .map(charge => ({ description: charge.description, amount: parseFloat(charge.amount) || 0 }))
+        .filter(charge => charge.amount > 0),
+      lineItems,
+      subtotal,
+      gstAmount,
+      totalAmount,
+      validUntil,
+      createdBy: req.admin._id
+    });
+    numbering = null;
+
+    console.log(`📝 Quotation ${quotationNumber} sent to ${customerEmail}: ₹${totalAmount.toFixed(2)}`);
+
     res.json({ 
       success: true, 
       message: 'Quotation PDF generated and sent successfully',
-      totalAmount: totalAmount.toFixed(2)
+      totalAmount: totalAmount.toFixed(2),
+      data: quotation
     });
   } catch (error) {
     console.error('generate-quotation error', error);
+    if (numbering) {
+      await DocumentSeriesService.release(numbering).catch(() => {});
+    }
     res.status(500).json({ success: false, error: error.message });
   }
 });
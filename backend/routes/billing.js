@@ -0,0 +1,170 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import BillingRun from '../models/BillingRun.js';
+import CorporateData, { BILLING_CYCLES } from '../models/CorporateData.js';
+import BillingService from '../services/billingService.js';
+import { authenticateAdmin, requireSuperAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Admin: billing cycle of each active corporate and the period its next automatic invoice closes
+router.get('/corporates', authenticateAdmin, async (req, res) => {
+  try {
+    const corporates = await CorporateData.find({ isActive: true })
+      .select('corporateId companyName email billingCycle billedThrough')
+      .sort({ companyName: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: corporates.map(corporate => {
+        const billingCycle = corporate.billingCycle || 'manual';
+        const period = billingCycle === 'manual' ? null : BillingService.closedPeriod(billingCycle);
+        return {
+          ...corporate,
+          billingCycle,
+          // Latest closed period is still to be billed when billedThrough has not reached its end
+          duePeriod: period && !(corporate.billedThrough && new Date(corporate.billedThrough) >= period.end) ? period : null
+        };
+      })
+    });
+
+  } catch (error) {
+    console.error('Get billing cycles error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get billing cycles'
+    });
+  }
+});
+
+// Admin: change how often a corporate is invoiced automatically
+router.patch('/corporates/:corporateId', authenticateAdmin, async (req, res) => {
+  try {
+    const { billingCycle } = req.body;
+    if (!BILLING_CYCLES.includes(billingCycle)) {
+      return res.status(400).json({
+        success: false,
+        error: `Billing cycle must be one of: ${BILLING_CYCLES.join(', ')}`
+      });
+    }
+
+    const corporate = mongoose.Types.ObjectId.isValid(req.params.corporateId)
+      ? await CorporateData.findByIdAndUpdate(req.params.corporateId, { billingCycle }, { new: true })
+        .select('corporateId companyName billingCycle billedThrough')
+      : null;
+    if (!corporate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Corporate not found'
+      });
+    }
+
+    console.log(`🧾 ${corporate.companyName} billing cycle set to ${billingCycle} by ${req.admin.name}`);
+
+    res.json({
+      success: true,
+      message: `${corporate.companyName} is now billed ${billingCycle === 'manual' ? 'manually' : billingCycle}`,
+      data: corporate
+    });
+
+  } catch (error) {
+    console.error('Update billing cycle error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update billing cycle'
+    });
+  }
+});
+
+// Admin: reports of past billing runs, newest first
+router.get('/runs', authenticateAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const [runs, totalCount] = await Promise.all([
+      BillingRun.find()
+        .populate('triggeredBy', 'name email')
+        .sort({ startedAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .lean(),
+      BillingRun.countDocuments()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        runs,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(totalCount / parseInt(limit)),
+          totalCount
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get billing runs error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get billing runs'
+    });
+  }
+});
+
+// Admin: one billing run report
+router.get('/runs/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const run = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await BillingRun.findById(req.params.id).populate('triggeredBy', 'name email').lean()
+      : null;
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Billing run not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: run
+    });
+
+  } catch (error) {
+    console.error('Get billing run error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get billing run'
+    });
+  }
+});
+
+// Super admin: invoice every corporate that is due now instead of waiting for the scheduled run
+router.post('/runs', authenticateAdmin, requireSuperAdmin, async (req, res) => {
+  try {
+    const run = await BillingService.run({ trigger: 'manual', admin: req.admin });
+
+    res.json({
+      success: run.status === 'completed',
+      message: `${run.invoicedCount} invoiced, ${run.skippedCount} skipped, ${run.failedCount} failed`,
+      error: run.error || undefined,
+      data: run
+    });
+
+  } catch (error) {
+    console.error('Start billing run error:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run billing'
+    });
+  }
+});
+
+export default router;
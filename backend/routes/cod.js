@@ -0,0 +1,306 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import CodRemittance from '../models/CodRemittance.js';
+import CorporateData from '../models/CorporateData.js';
+import { ConsignmentUsage } from '../models/ConsignmentAssignment.js';
+import CodService from '../services/codService.js';
+import { authenticateCorporate, authenticateAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const COD_STATUSES = ['pending', 'collected', 'remitted', 'cancelled'];
+
+const validationResponse = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Validation failed',
+  details: Object.values(error.errors).map(err => err.message)
+});
+
+const findRemittance = (id) => mongoose.Types.ObjectId.isValid(id) ? CodRemittance.findById(id) : null;
+
+// Shipment fields shown in the COD ledger
+const formatCodShipment = (usage) => ({
+  _id: usage._id,
+  consignmentNumber: usage.consignmentNumber,
+  bookingDate: usage.usedAt,
+  destination: usage.bookingData?.destinationData?.city || '',
+  receiver: usage.bookingData?.destinationData?.name || '',
+  ...usage.cod
+});
+
+// Corporate: COD totals by stage
+router.get('/corporate/summary', authenticateCorporate, async (req, res) => {
+  try {
+    const summary = await CodService.summary(req.corporate._id);
+
+    res.json({
+      success: true,
+      data: summary
+    });
+
+  } catch (error) {
+    console.error('Get COD summary error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get COD summary'
+    });
+  }
+});
+
+// Corporate: COD shipments, newest first, optionally of one stage
+router.get('/corporate/shipments', authenticateCorporate, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const query = { corporateId: req.corporate._id, cod: { $ne: null } };
+    if (COD_STATUSES.includes(status)) {
+      query['cod.status'] = status;
+    }
+
+    const [shipments, totalCount] = await Promise.all([
+      ConsignmentUsage.find(query)
+        .sort({ usedAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .lean(),
+      ConsignmentUsage.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        shipments: shipments.map(formatCodShipment),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(totalCount / parseInt(limit)),
+          totalCount
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get COD shipments error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get COD shipments'
+    });
+  }
+});
+
+// Corporate: remittance batches with their UTR references
+router.get('/corporate/remittances', authenticateCorporate, async (req, res) => {
+  try {
+    const remittances = await CodRemittance.findByCorporate(req.corporate._id)
+      .select('-createdBy -paidBy')
+      .lean();
+
+    res.json({
+      success: true,
+      data: remittances
+    });
+
+  } catch (error) {
+    console.error('Get COD remittances error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get COD remittances'
+    });
+  }
+});
+
+// Admin: collected COD not yet in a batch, grouped by corporate
+router.get('/remittable', authenticateAdmin, async (req, res) => {
+  try {
+    const groups = await ConsignmentUsage.aggregate([
+      { $match: { 'cod.status': 'collected', 'cod.remittanceId': null } },
+      { $sort: { 'cod.collectedAt': 1 } },
+      {
+        $group: {
+          _id: '$corporateId',
+          count: { $sum: 1 },
+          amount: { $sum: { $ifNull: ['$cod.collectedAmount', '$cod.amount'] } },
+          oldestCollectedAt: { $first: '$cod.collectedAt' }
+        }
+      },
+      { $sort: { oldestCollectedAt: 1 } }
+    ]);
+
+    const corporates = await CorporateData.find({ _id: { $in: groups.map(group => group._id) } })
+      .select('corporateId companyName')
+      .lean();
+    const corporateById = new Map(corporates.map(corporate => [String(corporate._id), corporate]));
+
+    res.json({
+      success: true,
+      data: groups.map(group => ({
+        corporate: corporateById.get(String(group._id)) || { _id: group._id },
+        count: group.count,
+        amount: Math.round(group.amount * 100) / 100,
+        oldestCollectedAt: group.oldestCollectedAt
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get remittable COD error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get remittable COD'
+    });
+  }
+});
+
+// Admin: remittance batches, optionally of one corporate or status
+router.get('/remittances', authenticateAdmin, async (req, res) => {
+  try {
+    const { corporateId, status } = req.query;
+    const query = {};
+    if (corporateId && mongoose.Types.ObjectId.isValid(corporateId)) query.corporateId = corporateId;
+    if (status && status !== 'all') query.status = status;
+
+    const remittances = await CodRemittance.find(query)
+      .sort({ createdAt: -1 })
+      .limit(200)
+      .populate('corporateId', 'corporateId companyName')
+      .populate('createdBy', 'name')
+      .populate('paidBy', 'name')
+      .lean();
+
+    res.json({
+      success: true,
+      data: remittances
+    });
+
+  } catch (error) {
+    console.error('Get COD remittances error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get COD remittances'
+    });
+  }
+});
+
+// Admin: batch a corporate's collected COD (all of it, or the given shipments) for payout
+router.post('/remittances', authenticateAdmin, async (req, res) => {
+  try {
+    const { corporateId, usageIds, notes } = req.body;
+
+    if (!corporateId || !mongoose.Types.ObjectId.isValid(corporateId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid corporate is required'
+      });
+    }
+
+    const remittance = await CodService.createRemittance(corporateId, {
+      usageIds,
+      notes,
+      adminId: req.admin._id
+    });
+
+    console.log(`💵 COD remittance ${remittance.remittanceNumber}: ₹${remittance.totalAmount} for ${remittance.shipments.length} shipment(s) (created by ${req.admin.name})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'COD remittance created',
+      data: remittance
+    });
+
+  } catch (error) {
+    console.error('Create COD remittance error:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return validationResponse(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create COD remittance'
+    });
+  }
+});
+
+// Admin: record the bank transfer of a batch
+router.patch('/remittances/:id/pay', authenticateAdmin, async (req, res) => {
+  try {
+    const remittance = await findRemittance(req.params.id);
+    if (!remittance) {
+      return res.status(404).json({
+        success: false,
+        error: 'COD remittance not found'
+      });
+    }
+
+    const { utrReference, paymentMode, paidAt } = req.body;
+    await CodService.markPaid(remittance, {
+      utrReference,
+      paymentMode,
+      paidAt,
+      adminId: req.admin._id
+    });
+
+    console.log(`✅ COD remittance ${remittance.remittanceNumber} paid, UTR ${remittance.utrReference} (by ${req.admin.name})`);
+
+    res.json({
+      success: true,
+      message: 'COD remittance marked as paid',
+      data: remittance
+    });
+
+  } catch (error) {
+    console.error('Pay COD remittance error:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return validationResponse(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark COD remittance as paid'
+    });
+  }
+});
+
+// Admin: cancel a batch that has not been paid; its shipments return to the remittable list
+router.patch('/remittances/:id/cancel', authenticateAdmin, async (req, res) => {
+  try {
+    const remittance = await findRemittance(req.params.id);
+    if (!remittance) {
+      return res.status(404).json({
+        success: false,
+        error: 'COD remittance not found'
+      });
+    }
+
+    await CodService.cancelRemittance(remittance);
+
+    console.log(`🚫 COD remittance ${remittance.remittanceNumber} cancelled by ${req.admin.name}`);
+
+    res.json({
+      success: true,
+      message: 'COD remittance cancelled',
+      data: remittance
+    });
+
+  } catch (error) {
+    console.error('Cancel COD remittance error:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel COD remittance'
+    });
+  }
+});
+
+export default router;
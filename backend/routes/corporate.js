@@ -2,6 +2,12 @@ import express from 'express';
 import CorporateData from '../models/CorporateData.js';
 import ConsignmentAssignment, { ConsignmentUsage } from '../models/ConsignmentAssignment.js';
 import CourierRequest from '../models/CourierRequest.js';
+import TrackingEvent, { TRACKING_STATUS_INFO } from '../models/TrackingEvent.js';
+import TrackingService from '../services/trackingService.js';
+import PricingService from '../services/pricingService.js';
+import GstService from '../services/gstService.js';
+import DunningService from '../services/dunningService.js';
+import CreditService from '../services/creditService.js';
 import { generateToken, authenticateCorporate, validateLoginInput } from '../middleware/auth.js';
 import { uploadCorporateLogo, handleCorporateLogoUploadError } from '../middleware/corporateLogoUpload.js';
 import S3Service from '../services/s3Service.js';
@@ -422,230 +428,62 @@ router.get('/pricing', authenticateCorporate, async (req, res) => {
   }
 });
 
+// Shipment to price from the booking form; booking away from the registered
+// address is a reverse pickup and is priced from the reverse rate card.
+// paymentData.codAmount marks a cash-on-delivery shipment.
+const corporateShipment = (corporate, { originData = {}, destinationData = {}, shipmentData = {}, paymentData = {} }) => {
+  const reverse = originData.useCurrentAddress === false;
+  return {
+    originPincode: reverse ? originData.pincode : corporate.pin,
+    destinationPincode: destinationData.pincode,
+    actualWeight: shipmentData.actualWeight,
+    dimensions: shipmentData.dimensions,
+    natureOfConsignment: shipmentData.natureOfConsignment,
+    service: shipmentData.services,
+    mode: shipmentData.mode,
+    reverse,
+    codAmount: paymentData?.codAmount
+  };
+};
+
 // Calculate price based on corporate pricing
+// Body: { originData, destinationData, shipmentData, paymentData } as sent by the booking panel
 router.post('/calculate-price', authenticateCorporate, async (req, res) => {
   try {
-    const { fromPincode, toPincode, weight, serviceType, deliveryType, transportMode } = req.body;
+    const { destinationData, shipmentData } = req.body;
     
     // Validate required fields
-    if (!fromPincode || !toPincode || !weight || !serviceType) {
+    if (!destinationData?.pincode || !shipmentData?.actualWeight || !shipmentData?.natureOfConsignment) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: fromPincode, toPincode, weight, serviceType'
+        error: 'Missing required fields: destination pincode, actual weight, nature of consignment'
       });
     }
     
-    const CorporatePricing = (await import('../models/CorporatePricing.js')).default;
-    
-    // Find the pricing plan assigned to this corporate client
-    const pricing = await CorporatePricing.findOne({ 
-      corporateClient: req.corporate._id,
-      status: 'approved'
-    });
-    
-    if (!pricing) {
-      return res.status(404).json({
-        success: false,
-        error: 'No approved pricing plan found for your corporate account.'
-      });
-    }
-    
-    // Helper functions for location classification
-    const classifyLocation = (pincode) => {
-      const pincodeNum = parseInt(pincode);
-      
-      // Assam pincodes (780xxx, 781xxx, 782xxx, 783xxx, 784xxx, 785xxx, 786xxx, 787xxx, 788xxx)
-      if (pincodeNum >= 780000 && pincodeNum <= 788999) {
-        return 'assam';
-      }
-      
-      // North East pincodes (790xxx, 791xxx, 792xxx, 793xxx, 794xxx, 795xxx, 796xxx, 797xxx, 798xxx, 799xxx)
-      if (pincodeNum >= 790000 && pincodeNum <= 799999) {
-        return 'neBySurface';
-      }
-      
-      // Rest of India
-      return 'restOfIndia';
-    };
-    
-    const isAssamPincode = (pincode) => {
-      const pincodeNum = parseInt(pincode);
-      return pincodeNum >= 780000 && pincodeNum <= 788999;
-    };
-    
-    const isNorthEastPincode = (pincode) => {
-      const pincodeNum = parseInt(pincode);
-      return pincodeNum >= 790000 && pincodeNum <= 799999;
-    };
-    
-    // Calculate price based on service type and conditions
-    let price = 0;
-    let location = '';
-    let transportModeUsed = transportMode || 'byRoad';
-    let chargeableWeight = parseFloat(weight);
-    let isMinimumWeightApplied = false;
-    let breakdown = {
-      weightSlab: '',
-      pricePerUnit: 0,
-      units: 0,
-      subtotal: 0
-    };
-    
-    // Check if this is reverse pricing (from pincode provided and destination is Assam/North East)
-    if (fromPincode && serviceType === 'non-dox') {
-      // Reverse pricing logic
-      const minChargeableWeights = {
-        byRoad: 500,
-        byTrain: 100,
-        byFlight: 25
-      };
-      
-      chargeableWeight = Math.max(parseFloat(weight), minChargeableWeights[transportModeUsed]);
-      isMinimumWeightApplied = chargeableWeight > parseFloat(weight);
-
-      if (isAssamPincode(toPincode)) {
-        location = 'Assam';
-        const pricePerKg = parseFloat(pricing.reversePricing.toAssam[transportModeUsed][deliveryType || 'normal']) || 0;
-        price = pricePerKg * chargeableWeight;
-        breakdown = {
-          weightSlab: `${weight}kg (min: ${chargeableWeight}kg)`,
-          pricePerUnit: pricePerKg,
-          units: chargeableWeight,
-          subtotal: price
-        };
-      } else if (isNorthEastPincode(toPincode)) {
-        location = 'North East';
-        const pricePerKg = parseFloat(pricing.reversePricing.toNorthEast[transportModeUsed][deliveryType || 'normal']) || 0;
-        price = pricePerKg * chargeableWeight;
-        breakdown = {
-          weightSlab: `${weight}kg (min: ${chargeableWeight}kg)`,
-          pricePerUnit: pricePerKg,
-          units: chargeableWeight,
-          subtotal: price
-        };
-      } else {
-        return res.status(400).json({
-          success: false,
-          error: 'Reverse pricing is only available for Assam and North East destinations'
-        });
-      }
-    } else {
-      // Forward pricing logic
-      const destinationLocation = classifyLocation(toPincode);
-      location = destinationLocation;
-
-      if (serviceType === 'dox') {
-        // DOX pricing
-        const weightNum = parseFloat(weight);
-        
-        if (weightNum <= 250) {
-          const pricePerUnit = pricing.doxPricing['01gm-250gm'][destinationLocation] || 0;
-          price = pricePerUnit;
-          breakdown = {
-            weightSlab: '0-250gm',
-            pricePerUnit,
-            units: weightNum,
-            subtotal: pricePerUnit
-          };
-        } else if (weightNum <= 500) {
-          const pricePerUnit = pricing.doxPricing['251gm-500gm'][destinationLocation] || 0;
-          price = pricePerUnit;
-          breakdown = {
-            weightSlab: '251-500gm',
-            pricePerUnit,
-            units: weightNum,
-            subtotal: pricePerUnit
-          };
-        } else {
-          // For weights above 500gm, calculate base price + additional weight
-          const basePrice = pricing.doxPricing['251gm-500gm'][destinationLocation] || 0;
-          const additionalWeight = weightNum - 500;
-          const additionalPrice = (pricing.doxPricing.add500gm[destinationLocation] || 0) * Math.ceil(additionalWeight / 500);
-          
-          breakdown = {
-            weightSlab: `500gm + ${Math.ceil(additionalWeight / 500)} × 500gm`,
-            pricePerUnit: pricing.doxPricing.add500gm[destinationLocation] || 0,
-            units: Math.ceil(additionalWeight / 500),
-            subtotal: basePrice + additionalPrice
-          };
-          price = basePrice + additionalPrice;
-        }
-      } else if (serviceType === 'non-dox') {
-        // Non-DOX pricing
-        const weightNum = parseFloat(weight);
-        
-        if (transportModeUsed === 'byRoad') {
-          const pricePerKg = pricing.nonDoxSurfacePricing[destinationLocation] || 0;
-          price = pricePerKg * weightNum;
-          breakdown = {
-            weightSlab: `${weight}kg`,
-            pricePerUnit: pricePerKg,
-            units: weightNum,
-            subtotal: price
-          };
-        } else {
-          const pricePerKg = pricing.nonDoxAirPricing[destinationLocation] || 0;
-          price = pricePerKg * weightNum;
-          breakdown = {
-            weightSlab: `${weight}kg`,
-            pricePerUnit: pricePerKg,
-            units: weightNum,
-            subtotal: price
-          };
-        }
-      } else if (serviceType === 'priority') {
-        // Priority pricing
-        const weightNum = parseFloat(weight);
-        
-        if (weightNum <= 500) {
-          const pricePerUnit = pricing.priorityPricing['01gm-500gm'][destinationLocation] || 0;
-          price = pricePerUnit;
-          breakdown = {
-            weightSlab: '0-500gm',
-            pricePerUnit,
-            units: weightNum,
-            subtotal: pricePerUnit
-          };
-        } else {
-          const basePrice = pricing.priorityPricing['01gm-500gm'][destinationLocation] || 0;
-          const additionalWeight = weightNum - 500;
-          const additionalPrice = (pricing.priorityPricing.add500gm[destinationLocation] || 0) * Math.ceil(additionalWeight / 500);
-          
-          breakdown = {
-            weightSlab: `500gm + ${Math.ceil(additionalWeight / 500)} × 500gm`,
-            pricePerUnit: pricing.priorityPricing.add500gm[destinationLocation] || 0,
-            units: Math.ceil(additionalWeight / 500),
-            subtotal: basePrice + additionalPrice
-          };
-          price = basePrice + additionalPrice;
-        }
-      }
-    }
-    
-    const gst = price * 0.18; // 18% GST
-    const finalPrice = price + gst;
-    
-    const result = {
-      basePrice: price,
-      totalPrice: price,
-      gst,
-      finalPrice,
-      serviceType,
-      location,
-      transportMode: transportModeUsed,
-      chargeableWeight,
-      isMinimumWeightApplied,
-      breakdown
-    };
+    const calculation = await PricingService.quoteForCorporate(
+      req.corporate._id,
+      corporateShipment(req.corporate, req.body),
+      { placeOfSupply: GstService.placeOfSupply(req.corporate) }
+    );
     
-    console.log(`✅ Price calculated for corporate: ${req.corporate.companyName} (${req.corporate.corporateId})`);
+    // Where the booking would leave the corporate against its credit limit
+    const creditCheck = (req.body.paymentData?.paymentType || 'FP') === 'FP'
+      ? await CreditService.check(req.corporate, calculation.total)
+      : null;
     
     res.json({
       success: true,
-      calculation: result
+      calculation,
+      creditCheck
     });
     
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
     console.error('Calculate price error:', error);
     res.status(500).json({ 
       success: false,
@@ -721,6 +559,43 @@ router.post('/bookings', authenticateCorporate, async (req, res) => {
       });
     }
     
+    // Refuse new bookings while an invoice is overdue past the corporate's limit
+    const block = await DunningService.bookingBlock(req.corporate);
+    if (block) {
+      return res.status(403).json({
+        success: false,
+        error: `Bookings are on hold: invoice ${block.invoiceNumber} is ${block.daysOverdue} days overdue. Please clear the payment or contact admin.`,
+        bookingBlock: block
+      });
+    }
+    
+    // Price the booking from the corporate's plan instead of the panel's preview
+    let quote;
+    try {
+      quote = await PricingService.quoteForCorporate(
+        req.corporate._id,
+        corporateShipment(req.corporate, req.body),
+        { placeOfSupply: GstService.placeOfSupply(req.corporate) }
+      );
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    // Credit (FP) bookings must stay within the corporate's credit limit unless an admin has overridden it
+    const paymentType = paymentData?.paymentType || 'FP';
+    const creditCheck = paymentType === 'FP' ? await CreditService.check(req.corporate, quote.total) : null;
+    if (creditCheck?.status === 'blocked') {
+      return res.status(403).json({
+        success: false,
+        error: `This booking would take your outstanding to ₹${creditCheck.projected.toFixed(2)}, over your credit limit of ₹${creditCheck.limit.toFixed(2)}. Please clear pending payments or contact admin.`,
+        creditCheck
+      });
+    }
+    
     // Check consignment availability first
     const assignments = await ConsignmentAssignment.find({
       corporateId: req.corporate._id,
@@ -772,9 +647,26 @@ router.post('/bookings', authenticateCorporate, async (req, res) => {
       },
       originData,
       destinationData,
-      shipmentData,
-      invoiceData,
+      shipmentData: {
+        ...shipmentData,
+        ...PricingService.toShipmentWeights(quote)
+      },
+      invoiceData: {
+        ...invoiceData,
+        calculatedPrice: quote.freight,
+        gst: quote.gst.total,
+        finalPrice: quote.total,
+        serviceType: quote.natureOfConsignment,
+        location: quote.lane.location,
+        transportMode: quote.transportMode,
+        chargeableWeight: quote.chargeableWeight,
+        charges: quote
+      },
       paymentData,
+      // Booked past the credit limit under an admin override
+      creditOverride: creditCheck?.status === 'override'
+        ? { reason: creditCheck.override.reason, grantedBy: creditCheck.override.grantedBy, limit: creditCheck.limit, projected: creditCheck.projected }
+        : undefined,
       consignmentNumber,
       bookingReference: consignmentNumber.toString(), // Use consignment number as booking reference
       bookingDate: new Date(),
@@ -789,13 +681,23 @@ router.post('/bookings', authenticateCorporate, async (req, res) => {
       consignmentNumber: consignmentNumber,
       bookingReference: consignmentNumber.toString(),
       bookingData: bookingPayload,
-      freightCharges: invoiceData.calculatedPrice || 0,
-      totalAmount: invoiceData.finalPrice || 0,
-      paymentType: paymentData?.paymentType || 'FP'
+      freightCharges: quote.freight,
+      totalAmount: quote.total,
+      paymentType,
+      cod: quote.codAmount > 0 ? { amount: quote.codAmount, charge: quote.codCharge } : null
     });
     
     await usage.save();
     
+    await TrackingEvent.record({
+      consignmentNumber,
+      status: 'booked',
+      location: originData.city || '',
+      actor: { type: 'corporate', id: req.corporate._id, name: req.corporate.companyName },
+      source: 'corporate_booking',
+      eventAt: usage.usedAt
+    });
+    
     console.log(`✅ Corporate booking created: ${req.corporate.companyName} - Consignment: ${consignmentNumber}`);
     
     res.json({
@@ -803,7 +705,10 @@ router.post('/bookings', authenticateCorporate, async (req, res) => {
       message: 'Booking created successfully',
       bookingReference: consignmentNumber.toString(),
       consignmentNumber: consignmentNumber,
-      bookingData: bookingPayload
+      bookingData: bookingPayload,
+      creditWarning: ['warning', 'override'].includes(creditCheck?.status)
+        ? `₹${creditCheck.projected.toFixed(2)} of your ₹${creditCheck.limit.toFixed(2)} credit limit is now in use`
+        : undefined
     });
     
   } catch (error) {
@@ -843,6 +748,12 @@ router.get('/bookings', authenticateCorporate, async (req, res) => {
       corporateId: req.corporate._id
     });
     
+    // Attach current scan status and proof of delivery
+    const trackingSummaries = await TrackingService.getSummaries(bookings.map(booking => booking.consignmentNumber));
+    bookings.forEach(booking => {
+      booking.tracking = trackingSummaries[booking.consignmentNumber] || null;
+    });
+    
     res.json({
       success: true,
       data: bookings,
@@ -1080,6 +991,17 @@ router.get('/track/:consignmentNumber', async (req, res) => {
       });
     }
     
+    // Build the scan history; bookings made before event recording only have the booking itself
+    const events = await TrackingEvent.getTimeline(usage.consignmentNumber).lean();
+    const timeline = events.length > 0
+      ? TrackingEvent.formatTimeline(events)
+      : TrackingEvent.formatTimeline([{
+          status: 'booked',
+          location: usage.bookingData?.originData?.city,
+          eventAt: usage.usedAt
+        }]);
+    const latestEvent = timeline[timeline.length - 1];
+    
     // Return tracking information
     res.json({
       success: true,
@@ -1087,20 +1009,16 @@ router.get('/track/:consignmentNumber', async (req, res) => {
         consignmentNumber: usage.consignmentNumber,
         bookingReference: usage.bookingReference,
         corporate: {
-          corporateId: usage.corporateId.corporateId,
-          companyName: usage.corporateId.companyName
+          corporateId: usage.corporateId?.corporateId,
+          companyName: usage.corporateId?.companyName
         },
         bookingData: usage.bookingData,
         status: usage.status,
+        currentStatus: latestEvent.status,
+        currentStatusLabel: TRACKING_STATUS_INFO[latestEvent.status]?.label || latestEvent.status,
         usedAt: usage.usedAt,
-        timeline: [
-          {
-            status: 'booked',
-            location: usage.bookingData.originData.city,
-            timestamp: usage.usedAt,
-            description: 'Shipment booked and ready for pickup'
-          }
-        ]
+        deliveredAt: timeline.find(e => e.status === 'delivered')?.timestamp || null,
+        timeline
       }
     });
     
@@ -0,0 +1,311 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import CreditApplication, { BUSINESS_TYPES, MONTHLY_VOLUMES, KYC_DOCUMENT_TYPES } from '../models/CreditApplication.js';
+import CreditApplicationService, { DEFAULT_CONSIGNMENT_COUNT } from '../services/creditApplicationService.js';
+import { authenticateAdmin } from '../middleware/auth.js';
+import { uploadKycDocuments, handleUploadError } from '../middleware/upload.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+
+const router = express.Router();
+
+const submitLimiter = rateLimit({ windowMs: 60 * 60 * 1000, max: 5, message: 'Too many applications. Please try again later.' });
+
+const validationResponse = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Validation failed',
+  details: Object.values(error.errors).map(err => err.message)
+});
+
+const findApplication = (id) => mongoose.Types.ObjectId.isValid(id) ? CreditApplication.findById(id) : null;
+
+// Public: options of the application form
+router.get('/options', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      businessTypes: BUSINESS_TYPES,
+      monthlyVolumes: MONTHLY_VOLUMES,
+      documentTypes: KYC_DOCUMENT_TYPES
+    }
+  });
+});
+
+// Public: apply for a credit account with KYC documents (multipart form)
+router.post('/', submitLimiter, uploadKycDocuments, handleUploadError, async (req, res) => {
+  try {
+    if (req.body.acceptTerms !== 'true' && req.body.acceptTerms !== true) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please accept the terms and conditions'
+      });
+    }
+
+    const application = await CreditApplicationService.submit(req.body, req.files || {});
+
+    console.log(`📝 Credit account application ${application.reference} from ${application.companyName}`);
+
+    res.status(201).json({
+      success: true,
+      message: `Application ${application.reference} received. We will contact you within 2-3 business days.`,
+      data: {
+        reference: application.reference,
+        status: application.status
+      }
+    });
+
+  } catch (error) {
+    console.error('Submit credit application error:', error);
+    if (error.name === 'ValidationError') {
+      return validationResponse(res, error);
+    }
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to submit application'
+    });
+  }
+});
+
+// Admin: review queue, oldest open applications first
+router.get('/', authenticateAdmin, async (req, res) => {
+  try {
+    const { status = 'open', search, page = 1, limit = 20 } = req.query;
+    const query = {};
+    if (status === 'open') {
+      query.status = { $in: ['submitted', 'under_review'] };
+    } else if (status !== 'all') {
+      query.status = status;
+    }
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ companyName: pattern }, { reference: pattern }, { email: pattern }, { gstNumber: pattern }];
+    }
+
+    const [applications, totalCount, counts] = await Promise.all([
+      CreditApplication.find(query)
+        .populate('reviewedBy', 'name email')
+        .populate('corporate', 'corporateId companyName')
+        .sort({ createdAt: status === 'open' ? 1 : -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .lean(),
+      CreditApplication.countDocuments(query),
+      CreditApplication.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        applications,
+        counts: Object.fromEntries(counts.map(entry => [entry._id, entry.count])),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(totalCount / parseInt(limit)),
+          totalCount
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get credit applications error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get credit applications'
+    });
+  }
+});
+
+// Admin: one application with links to its KYC documents
+router.get('/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const application = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await CreditApplication.findById(req.params.id)
+        .populate('reviewedBy', 'name email')
+        .populate('corporate', 'corporateId companyName')
+        .populate('pricing', 'name status')
+        .populate('consignmentAssignment', 'startNumber endNumber totalNumbers')
+        .lean()
+      : null;
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        error: 'Application not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...application,
+        documents: await CreditApplicationService.documentLinks(application),
+        defaultConsignmentCount: DEFAULT_CONSIGNMENT_COUNT
+      }
+    });
+
+  } catch (error) {
+    console.error('Get credit application error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get credit application'
+    });
+  }
+});
+
+// Admin: take an application into review and keep notes on it
+router.patch('/:id/review', authenticateAdmin, async (req, res) => {
+  try {
+    const application = await findApplication(req.params.id);
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        error: 'Application not found'
+      });
+    }
+    if (!['submitted', 'under_review'].includes(application.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Application is already ${application.status}`
+      });
+    }
+
+    application.status = 'under_review';
+    application.reviewedBy = req.admin._id;
+    application.reviewedAt = new Date();
+    if (req.body.reviewNotes !== undefined) {
+      application.reviewNotes = req.body.reviewNotes;
+    }
+    await application.save();
+
+    res.json({
+      success: true,
+      message: `Application ${application.reference} is under review`,
+      data: application
+    });
+
+  } catch (error) {
+    console.error('Review credit application error:', error);
+    if (error.name === 'ValidationError') {
+      return validationResponse(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update credit application'
+    });
+  }
+});
+
+// Admin: approve and convert into a corporate registration
+// Body: { locality, creditLimit, creditPeriodDays, billingCycle, consignmentCount, reviewNotes }
+router.post('/:id/approve', authenticateAdmin, async (req, res) => {
+  // Approval assigns consignment numbers to the new corporate
+  if (!req.admin.hasPermission('consignmentManagement')) {
+    return res.status(403).json({
+      success: false,
+      error: 'Access denied. Consignment management permission required.'
+    });
+  }
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Application not found'
+      });
+    }
+
+    const { application, corporate, pricing, assignment } = await CreditApplicationService.approve(req.params.id, req.admin, req.body);
+
+    console.log(`✅ Credit application ${application.reference} approved by ${req.admin.name}: ${corporate.companyName} (${corporate.corporateId})`);
+
+    res.json({
+      success: true,
+      message: application.registrationEmailSent
+        ? `${corporate.companyName} registered as ${corporate.corporateId} and login details emailed`
+        : `${corporate.companyName} registered as ${corporate.corporateId}, but the login email could not be sent`,
+      data: {
+        application,
+        corporate: {
+          _id: corporate._id,
+          corporateId: corporate.corporateId,
+          companyName: corporate.companyName,
+          username: corporate.username
+        },
+        pricing: { _id: pricing._id, name: pricing.name, status: pricing.status },
+        consignmentRange: { startNumber: assignment.startNumber, endNumber: assignment.endNumber }
+      }
+    });
+
+  } catch (error) {
+    console.error('Approve credit application error:', error);
+    if (error.name === 'ValidationError') {
+      return validationResponse(res, error);
+    }
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to approve credit application'
+    });
+  }
+});
+
+// Admin: reject an application with a reason
+router.post('/:id/reject', authenticateAdmin, async (req, res) => {
+  try {
+    const reason = req.body.reason?.trim();
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reason is required to reject an application'
+      });
+    }
+
+    const application = await findApplication(req.params.id);
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        error: 'Application not found'
+      });
+    }
+    if (!['submitted', 'under_review'].includes(application.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Application is already ${application.status}`
+      });
+    }
+
+    application.status = 'rejected';
+    application.rejectionReason = reason;
+    application.reviewedBy = req.admin._id;
+    application.reviewedAt = new Date();
+    await application.save();
+
+    console.log(`❌ Credit application ${application.reference} rejected by ${req.admin.name}: ${reason}`);
+
+    res.json({
+      success: true,
+      message: `Application ${application.reference} rejected`,
+      data: application
+    });
+
+  } catch (error) {
+    console.error('Reject credit application error:', error);
+    if (error.name === 'ValidationError') {
+      return validationResponse(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reject credit application'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,203 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import CorporateData from '../models/CorporateData.js';
+import CreditService, { CREDIT_WARNING_RATIO } from '../services/creditService.js';
+import { authenticateCorporate, authenticateAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Longest an admin override of the credit limit may run
+const MAX_OVERRIDE_HOURS = 7 * 24;
+
+const CREDIT_FIELDS = 'corporateId companyName creditLimit creditPeriodDays creditOverride';
+
+// Set fields on a corporate without re-validating the rest of its registration
+const updateCorporate = (id, update) => mongoose.Types.ObjectId.isValid(id)
+  ? CorporateData.findByIdAndUpdate(id, update, { new: true, runValidators: true }).select(CREDIT_FIELDS)
+  : null;
+
+// Corporate: its credit limit, what it owes against it and what is left
+router.get('/corporate/summary', authenticateCorporate, async (req, res) => {
+  try {
+    const credit = await CreditService.check(req.corporate);
+
+    res.json({
+      success: true,
+      data: {
+        ...credit,
+        creditPeriodDays: req.corporate.creditPeriodDays,
+        warningRatio: CREDIT_WARNING_RATIO
+      }
+    });
+
+  } catch (error) {
+    console.error('Get credit summary error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get credit summary'
+    });
+  }
+});
+
+// Admin: credit terms and live exposure of each active corporate
+router.get('/corporates', authenticateAdmin, async (req, res) => {
+  try {
+    const corporates = await CorporateData.find({ isActive: true })
+      .select(CREDIT_FIELDS)
+      .populate('creditOverride.grantedBy', 'name email')
+      .sort({ companyName: 1 });
+    const exposures = await CreditService.exposures(corporates.map(corporate => corporate._id));
+
+    const data = await Promise.all(corporates.map(async corporate => ({
+      _id: corporate._id,
+      corporateId: corporate.corporateId,
+      companyName: corporate.companyName,
+      creditPeriodDays: corporate.creditPeriodDays,
+      ...await CreditService.check(corporate, 0, exposures.get(String(corporate._id)))
+    })));
+
+    res.json({
+      success: true,
+      data,
+      warningRatio: CREDIT_WARNING_RATIO
+    });
+
+  } catch (error) {
+    console.error('Get credit limits error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get credit limits'
+    });
+  }
+});
+
+// Admin: set a corporate's credit limit and credit period; empty values remove them
+router.patch('/corporates/:corporateId', authenticateAdmin, async (req, res) => {
+  try {
+    const update = {};
+    for (const field of ['creditLimit', 'creditPeriodDays']) {
+      if (req.body[field] === undefined) continue;
+
+      const value = req.body[field] === null || req.body[field] === '' ? null : Number(req.body[field]);
+      if (value !== null && (!Number.isFinite(value) || value < 0 || (field === 'creditPeriodDays' && !Number.isInteger(value)))) {
+        return res.status(400).json({
+          success: false,
+          error: field === 'creditLimit'
+            ? 'Credit limit must be an amount of zero or more, or empty for no limit'
+            : 'Credit period must be a whole number of days, or empty for month-end'
+        });
+      }
+      update[field] = value;
+    }
+
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to update'
+      });
+    }
+
+    const corporate = await updateCorporate(req.params.corporateId, update);
+    if (!corporate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Corporate not found'
+      });
+    }
+
+    console.log(`💳 ${corporate.companyName} credit terms updated by ${req.admin.name}:`, update);
+
+    res.json({
+      success: true,
+      message: `Credit terms updated for ${corporate.companyName}`,
+      data: corporate
+    });
+
+  } catch (error) {
+    console.error('Update credit terms error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update credit terms'
+    });
+  }
+});
+
+// Admin: let a corporate book past its credit limit for a while
+// Body: { reason, hours }
+router.post('/corporates/:corporateId/override', authenticateAdmin, async (req, res) => {
+  try {
+    const reason = req.body.reason?.trim();
+    const hours = Number(req.body.hours || 24);
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reason is required to override the credit limit'
+      });
+    }
+    if (!Number.isFinite(hours) || hours < 1 || hours > MAX_OVERRIDE_HOURS) {
+      return res.status(400).json({
+        success: false,
+        error: `Override must last between 1 and ${MAX_OVERRIDE_HOURS} hours`
+      });
+    }
+
+    const corporate = await updateCorporate(req.params.corporateId, {
+      creditOverride: {
+        reason,
+        grantedBy: req.admin._id,
+        grantedAt: new Date(),
+        expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000)
+      }
+    });
+    if (!corporate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Corporate not found'
+      });
+    }
+
+    console.log(`💳 Credit limit of ${corporate.companyName} overridden for ${hours}h by ${req.admin.name}: ${reason}`);
+
+    res.json({
+      success: true,
+      message: `${corporate.companyName} may book past its credit limit for ${hours} hours`,
+      data: corporate.creditOverride
+    });
+
+  } catch (error) {
+    console.error('Override credit limit error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to override credit limit'
+    });
+  }
+});
+
+// Admin: end an override before it expires
+router.delete('/corporates/:corporateId/override', authenticateAdmin, async (req, res) => {
+  try {
+    const corporate = await updateCorporate(req.params.corporateId, { creditOverride: null });
+    if (!corporate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Corporate not found'
+      });
+    }
+
+    console.log(`💳 Credit limit override of ${corporate.companyName} ended by ${req.admin.name}`);
+
+    res.json({
+      success: true,
+      message: `Credit limit of ${corporate.companyName} is enforced again`
+    });
+
+  } catch (error) {
+    console.error('End credit override error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to end credit override'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,71 @@
+import express from 'express';
+import DocumentSeries, { DOCUMENT_TYPES, DEFAULT_SERIES } from '../models/DocumentSeries.js';
+import DocumentSeriesService from '../services/documentSeriesService.js';
+import { authenticateAdmin, requireSuperAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const validationResponse = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Validation failed',
+  details: Object.values(error.errors).map(err => err.message)
+});
+
+// Admin: number series of every document type with the next number of this financial year
+router.get('/', authenticateAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await DocumentSeriesService.list()
+    });
+
+  } catch (error) {
+    console.error('Get document series error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get document series'
+    });
+  }
+});
+
+// Super admin: change the prefix or padding of a series. Running numbers carry on; they
+// restart at 1 each April whatever the prefix.
+router.put('/:documentType', authenticateAdmin, requireSuperAdmin, async (req, res) => {
+  try {
+    const { documentType } = req.params;
+    if (!DOCUMENT_TYPES.includes(documentType)) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown document type: ${documentType}`
+      });
+    }
+
+    const { prefix, padding } = req.body;
+    const series = await DocumentSeries.findOne({ documentType })
+      || new DocumentSeries({ documentType, ...DEFAULT_SERIES[documentType] });
+    if (prefix !== undefined) series.prefix = prefix;
+    if (padding !== undefined) series.padding = parseInt(padding);
+    series.updatedBy = req.admin._id;
+    await series.save();
+
+    console.log(`🔢 ${documentType} series set to ${series.prefix} (${series.padding} digits) by ${req.admin.name}`);
+
+    res.json({
+      success: true,
+      message: 'Document series updated',
+      data: (await DocumentSeriesService.list()).find(item => item.documentType === documentType)
+    });
+
+  } catch (error) {
+    console.error('Update document series error:', error);
+    if (error.name === 'ValidationError') {
+      return validationResponse(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update document series'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,180 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import CorporateData from '../models/CorporateData.js';
+import DunningReminder, { DUNNING_STAGES } from '../models/DunningReminder.js';
+import DunningService from '../services/dunningService.js';
+import { authenticateCorporate, authenticateAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Page of reminders, newest first
+const paginate = async (query, { page = 1, limit = 20 }) => {
+  const [reminders, totalCount] = await Promise.all([
+    DunningReminder.find(query)
+      .populate('corporateId', 'corporateId companyName')
+      .sort({ sentAt: -1 })
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .limit(parseInt(limit))
+      .lean(),
+    DunningReminder.countDocuments(query)
+  ]);
+
+  return {
+    reminders,
+    stages: DUNNING_STAGES,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(totalCount / parseInt(limit)),
+      totalCount
+    }
+  };
+};
+
+// Corporate: payment reminders emailed to it
+router.get('/corporate/reminders', authenticateCorporate, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await paginate({ corporateId: req.corporate._id, status: 'sent' }, req.query)
+    });
+
+  } catch (error) {
+    console.error('Get corporate reminders error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get payment reminders'
+    });
+  }
+});
+
+// Admin: reminders sent or failed, optionally of one corporate or status
+router.get('/reminders', authenticateAdmin, async (req, res) => {
+  try {
+    const { corporateId, status } = req.query;
+    const query = {};
+    if (corporateId && mongoose.Types.ObjectId.isValid(corporateId)) query.corporateId = corporateId;
+    if (['sent', 'failed'].includes(status)) query.status = status;
+
+    res.json({
+      success: true,
+      data: await paginate(query, req.query)
+    });
+
+  } catch (error) {
+    console.error('Get reminders error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get payment reminders'
+    });
+  }
+});
+
+// Admin: dunning settings of each active corporate with what it has overdue
+router.get('/corporates', authenticateAdmin, async (req, res) => {
+  try {
+    const corporates = await CorporateData.find({ isActive: true })
+      .select('corporateId companyName email dunningPaused dunningPausedAt dunningPauseReason bookingBlockDaysOverdue')
+      .populate('dunningPausedBy', 'name email')
+      .sort({ companyName: 1 })
+      .lean();
+
+    const now = new Date();
+    const invoices = await DunningService.openInvoices({ corporateId: { $in: corporates.map(corporate => corporate._id) } }, now);
+    const overdue = new Map();
+    for (const invoice of invoices) {
+      const daysOverdue = DunningService.daysFromDue(invoice.dueDate, now);
+      if (daysOverdue <= 0) continue;
+
+      const entry = overdue.get(String(invoice.corporateId)) || { overdueCount: 0, overdueAmount: 0, maxDaysOverdue: 0 };
+      entry.overdueCount += 1;
+      entry.overdueAmount = Math.round((entry.overdueAmount + invoice.balanceDue) * 100) / 100;
+      entry.maxDaysOverdue = Math.max(entry.maxDaysOverdue, daysOverdue);
+      overdue.set(String(invoice.corporateId), entry);
+    }
+
+    res.json({
+      success: true,
+      data: corporates.map(corporate => {
+        const entry = overdue.get(String(corporate._id)) || { overdueCount: 0, overdueAmount: 0, maxDaysOverdue: 0 };
+        return {
+          ...corporate,
+          ...entry,
+          bookingsBlocked: Boolean(corporate.bookingBlockDaysOverdue) && entry.maxDaysOverdue >= corporate.bookingBlockDaysOverdue
+        };
+      })
+    });
+
+  } catch (error) {
+    console.error('Get dunning corporates error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get dunning settings'
+    });
+  }
+});
+
+// Admin: pause or resume a corporate's reminders and set its booking block
+router.patch('/corporates/:corporateId', authenticateAdmin, async (req, res) => {
+  try {
+    const { dunningPaused, reason, bookingBlockDaysOverdue } = req.body;
+    const update = {};
+
+    if (dunningPaused !== undefined) {
+      if (typeof dunningPaused !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: 'dunningPaused must be true or false'
+        });
+      }
+      Object.assign(update, dunningPaused
+        ? { dunningPaused, dunningPausedAt: new Date(), dunningPausedBy: req.admin._id, dunningPauseReason: reason?.trim() || null }
+        : { dunningPaused, dunningPausedAt: null, dunningPausedBy: null, dunningPauseReason: null });
+    }
+
+    if (bookingBlockDaysOverdue !== undefined) {
+      const days = bookingBlockDaysOverdue === null || bookingBlockDaysOverdue === '' ? null : Number(bookingBlockDaysOverdue);
+      if (days !== null && (!Number.isInteger(days) || days < 1)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Booking block must be a whole number of days, or empty to turn it off'
+        });
+      }
+      update.bookingBlockDaysOverdue = days;
+    }
+
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to update'
+      });
+    }
+
+    const corporate = mongoose.Types.ObjectId.isValid(req.params.corporateId)
+      ? await CorporateData.findByIdAndUpdate(req.params.corporateId, update, { new: true })
+        .select('corporateId companyName dunningPaused dunningPausedAt dunningPauseReason bookingBlockDaysOverdue')
+      : null;
+    if (!corporate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Corporate not found'
+      });
+    }
+
+    console.log(`🔔 ${corporate.companyName} dunning updated by ${req.admin.name}:`, update);
+
+    res.json({
+      success: true,
+      message: `Dunning settings updated for ${corporate.companyName}`,
+      data: corporate
+    });
+
+  } catch (error) {
+    console.error('Update dunning settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update dunning settings'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,147 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Holiday from '../models/Holiday.js';
+import EtaService from '../services/etaService.js';
+import { authenticateAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Expected delivery date for a booking being filled in (public endpoint)
+// Query: destinationPincode (required), originPincode, originState, destinationState, service, mode, bookedAt
+router.get('/estimate', async (req, res) => {
+  try {
+    const { originPincode, destinationPincode, originState, destinationState, service, mode, bookedAt } = req.query;
+
+    if (bookedAt && isNaN(new Date(bookedAt).getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'bookedAt must be a valid date'
+      });
+    }
+
+    const estimate = await EtaService.estimate({
+      originPincode,
+      destinationPincode,
+      originState,
+      destinationState,
+      service,
+      mode,
+      bookedAt
+    });
+
+    if (!estimate) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid 6 digit destination pincode is required'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: estimate
+    });
+
+  } catch (error) {
+    console.error('Delivery estimate error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to estimate delivery date'
+    });
+  }
+});
+
+// Admin: list holidays of a year
+router.get('/holidays', authenticateAdmin, async (req, res) => {
+  try {
+    const year = parseInt(req.query.year) || new Date().getFullYear();
+    const holidays = await Holiday.findBetween(`${year}-01-01`, `${year}-12-31`);
+
+    res.json({
+      success: true,
+      data: holidays
+    });
+
+  } catch (error) {
+    console.error('Get holidays error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get holidays'
+    });
+  }
+});
+
+// Admin: add a holiday to the calendar
+router.post('/holidays', authenticateAdmin, async (req, res) => {
+  try {
+    const { date, name, states } = req.body;
+
+    const existing = await Holiday.findOne({ date, name: name?.trim() });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        error: 'This holiday is already on the calendar'
+      });
+    }
+
+    const holiday = await Holiday.create({
+      date,
+      name,
+      states: Array.isArray(states) ? states.filter(Boolean) : [],
+      createdBy: req.admin._id
+    });
+
+    console.log(`📅 Holiday added: ${holiday.date} ${holiday.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Holiday added',
+      data: holiday
+    });
+
+  } catch (error) {
+    console.error('Create holiday error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add holiday'
+    });
+  }
+});
+
+// Admin: remove a holiday
+router.delete('/holidays/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const holiday = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Holiday.findByIdAndDelete(req.params.id)
+      : null;
+
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        error: 'Holiday not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Holiday removed'
+    });
+
+  } catch (error) {
+    console.error('Delete holiday error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove holiday'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,196 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import FuelSurchargeRate from '../models/FuelSurchargeRate.js';
+import FuelService from '../services/fuelService.js';
+import { authenticateAdmin } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+
+const router = express.Router();
+
+// The index changes at most a few times a month, so browsers and proxies may reuse it briefly
+const PUBLIC_CACHE_CONTROL = 'public, max-age=300';
+
+const historyLimiter = rateLimit({ windowMs: 60 * 1000, max: 60 });
+
+const validationResponse = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Validation failed',
+  details: Object.values(error.errors).map(err => err.message)
+});
+
+const findRate = (id) => mongoose.Types.ObjectId.isValid(id) ? FuelSurchargeRate.findById(id) : null;
+
+// Published fuel surcharge history and the rate in force today (public endpoint)
+router.get('/history', historyLimiter, async (req, res) => {
+  try {
+    const today = FuelSurchargeRate.istDate();
+    const history = (await FuelService.getRates()).filter(rate => rate.effectiveFrom <= today);
+    const current = history[history.length - 1] || null;
+
+    res.set('Cache-Control', PUBLIC_CACHE_CONTROL);
+    res.json({
+      success: true,
+      data: {
+        current: current && { effectiveFrom: current.effectiveFrom, percentage: current.percentage, note: current.note || '' },
+        history: history
+          .map(rate => ({ effectiveFrom: rate.effectiveFrom, percentage: rate.percentage, note: rate.note || '' }))
+          .reverse()
+      }
+    });
+
+  } catch (error) {
+    console.error('Fuel surcharge history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load fuel surcharge history'
+    });
+  }
+});
+
+// Admin: the whole index, including entries scheduled for later dates
+router.get('/', authenticateAdmin, async (req, res) => {
+  try {
+    const rates = await FuelSurchargeRate.find()
+      .sort({ effectiveFrom: -1 })
+      .populate('createdBy', 'name email');
+
+    res.json({
+      success: true,
+      data: rates
+    });
+
+  } catch (error) {
+    console.error('Get fuel surcharge index error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get fuel surcharge index'
+    });
+  }
+});
+
+// Admin: add an index entry
+router.post('/', authenticateAdmin, async (req, res) => {
+  try {
+    const { effectiveFrom, percentage, note } = req.body;
+
+    // A rate from today or earlier would reprice bookings already quoted on the old one
+    if (typeof effectiveFrom === 'string' && effectiveFrom <= FuelSurchargeRate.istDate()) {
+      return res.status(400).json({
+        success: false,
+        error: 'New rates must start after today'
+      });
+    }
+
+    const existing = await FuelSurchargeRate.findOne({ effectiveFrom });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        error: `The index already has a rate from ${effectiveFrom}; edit that entry instead`
+      });
+    }
+
+    const rate = await FuelSurchargeRate.create({
+      effectiveFrom,
+      percentage,
+      note,
+      createdBy: req.admin._id
+    });
+    FuelService.invalidate();
+
+    console.log(`⛽ Fuel surcharge index: ${rate.percentage}% from ${rate.effectiveFrom} (added by ${req.admin.name})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Fuel surcharge rate added',
+      data: rate
+    });
+
+  } catch (error) {
+    console.error('Create fuel surcharge rate error:', error);
+    if (error.name === 'ValidationError') {
+      return validationResponse(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add fuel surcharge rate'
+    });
+  }
+});
+
+const lockedResponse = (res, rate) => res.status(409).json({
+  success: false,
+  error: `The rate from ${rate.effectiveFrom} is already in effect and cannot be changed. Add a new dated entry to correct it.`
+});
+
+// Admin: correct the percentage or note of a scheduled entry; its date is fixed
+router.put('/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const rate = await findRate(req.params.id);
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Fuel surcharge rate not found'
+      });
+    }
+    if (rate.isLocked()) {
+      return lockedResponse(res, rate);
+    }
+
+    if (req.body.percentage !== undefined) rate.percentage = req.body.percentage;
+    if (req.body.note !== undefined) rate.note = req.body.note;
+    await rate.save();
+    FuelService.invalidate();
+
+    console.log(`⛽ Fuel surcharge index: ${rate.effectiveFrom} changed to ${rate.percentage}% by ${req.admin.name}`);
+
+    res.json({
+      success: true,
+      message: 'Fuel surcharge rate updated',
+      data: rate
+    });
+
+  } catch (error) {
+    console.error('Update fuel surcharge rate error:', error);
+    if (error.name === 'ValidationError') {
+      return validationResponse(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update fuel surcharge rate'
+    });
+  }
+});
+
+// Admin: remove a scheduled entry before it takes effect
+router.delete('/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const rate = await findRate(req.params.id);
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Fuel surcharge rate not found'
+      });
+    }
+    if (rate.isLocked()) {
+      return lockedResponse(res, rate);
+    }
+
+    await rate.deleteOne();
+    FuelService.invalidate();
+
+    res.json({
+      success: true,
+      message: 'Fuel surcharge rate removed'
+    });
+
+  } catch (error) {
+    console.error('Delete fuel surcharge rate error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove fuel surcharge rate'
+    });
+  }
+});
+
+export default router;
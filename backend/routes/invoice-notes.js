@@ -0,0 +1,455 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Invoice from '../models/Invoice.js';
+import InvoiceNote, { NOTE_TYPES, NOTE_REASONS } from '../models/InvoiceNote.js';
+import InvoiceNoteService from '../services/invoiceNoteService.js';
+import GstService, { SUPPLIER } from '../services/gstService.js';
+import PdfService from '../services/pdfService.js';
+import { authenticateCorporate, authenticateAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const validationResponse = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Validation failed',
+  details: Object.values(error.errors).map(err => err.message)
+});
+
+const findNote = (id) => mongoose.Types.ObjectId.isValid(id) ? InvoiceNote.findById(id) : null;
+
+const REASON_LABELS = {
+  rate_revision: 'Rate revision',
+  weight_revision: 'Weight revision',
+  service_deficiency: 'Service deficiency',
+  shipment_cancelled: 'Shipment cancelled',
+  billing_error: 'Billing error',
+  other: 'Other'
+};
+
+// Filters shared by the admin and corporate note lists
+const noteQuery = ({ invoiceId, noteType, status }) => {
+  const query = {};
+  if (invoiceId && mongoose.Types.ObjectId.isValid(invoiceId)) query.invoiceId = invoiceId;
+  if (NOTE_TYPES.includes(noteType)) query.noteType = noteType;
+  if (['issued', 'cancelled'].includes(status)) query.status = status;
+  return query;
+};
+
+// Function to generate HTML credit or debit note
+const generateNoteHTML = (note) => {
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-IN', {
+      style: 'currency',
+      currency: 'INR',
+      minimumFractionDigits: 2
+    }).format(amount);
+  };
+  const formatDate = (date) => new Date(date).toLocaleDateString('en-GB');
+
+  const title = note.noteType === 'credit' ? 'CREDIT NOTE' : 'DEBIT NOTE';
+  const interState = note.supplyType === 'inter_state';
+  const taxSummary = GstService.taxSummary(note.lines);
+  const placeOfSupply = note.placeOfSupply?.state
+    ? `${note.placeOfSupply.state}${note.placeOfSupply.stateCode ? ` (${note.placeOfSupply.stateCode})` : ''}`
+    : 'N/A';
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title} ${note.noteNumber}</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 20px; color: #333; }
+        .header { text-align: center; margin-bottom: 30px; }
+        .cancelled { color: #b91c1c; font-weight: bold; }
+        .parties { display: flex; justify-content: space-between; gap: 20px; margin-bottom: 20px; }
+        .parties p, .note-details p { margin: 3px 0; }
+        .note-details { display: flex; justify-content: space-between; margin-bottom: 20px; }
+        .table { width: 100%; border-collapse: collapse; margin-bottom: 20px; }
+        .table th, .table td { border: 1px solid #ddd; padding: 8px; text-align: left; }
+        .table th { background-color: #4a9b8e; color: white; }
+        .totals { text-align: right; margin-top: 20px; }
+        .total-row { margin: 5px 0; }
+        .grand-total { font-weight: bold; font-size: 1.2em; margin-top: 10px; }
+        .tax-summary { margin-top: 20px; }
+        .footer { margin-top: 30px; text-align: center; font-size: 0.9em; color: #666; }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>${title}</h1>
+        <h2>No: ${note.noteNumber}</h2>
+        ${note.status === 'cancelled' ? `<p class="cancelled">CANCELLED on ${formatDate(note.cancelledAt)}</p>` : ''}
+    </div>
+
+    <div class="parties">
+        <div>
+            <h3>Supplier:</h3>
+            <p><strong>${SUPPLIER.name}</strong></p>
+            <p>${SUPPLIER.address}</p>
+            <p>GSTIN: ${SUPPLIER.gstin}</p>
+            <p>State: ${SUPPLIER.state}, Code: ${SUPPLIER.stateCode}</p>
+        </div>
+        <div>
+            <h3>Recipient:</h3>
+            <p><strong>${note.companyName}</strong></p>
+            <p>${note.companyAddress || ''}</p>
+            <p>GSTIN: ${note.gstNumber || 'Unregistered'}</p>
+        </div>
+    </div>
+
+    <div class="note-details">
+        <div>
+            <p><strong>Note Date:</strong> ${formatDate(note.noteDate)}</p>
+            <p><strong>Against Invoice:</strong> ${note.invoiceNumber} dated ${formatDate(note.invoiceDate)}</p>
+            <p><strong>Reason:</strong> ${REASON_LABELS[note.reason] || note.reason}${note.remarks ? ` - ${note.remarks}` : ''}</p>
+        </div>
+        <div>
+            <p><strong>Place of Supply:</strong> ${placeOfSupply}</p>
+            <p><strong>SAC:</strong> ${note.sacCode} (Courier services)</p>
+        </div>
+    </div>
+
+    <table class="table">
+        <thead>
+            <tr>
+                <th>SN</th>
+                <th>AWB</th>
+                <th>Description</th>
+                <th>Taxable Value</th>
+                ${interState ? '<th>IGST</th>' : '<th>CGST</th><th>SGST</th>'}
+                <th>Amount INR</th>
+            </tr>
+        </thead>
+        <tbody>
+            ${note.lines.map((line, index) => `
+            <tr>
+                <td>${index + 1}</td>
+                <td>${line.consignmentNumber}${line.lineType === 'rto' ? ' (RTO)' : ''}</td>
+                <td>${line.description || ''}</td>
+                <td>${formatCurrency(line.taxableValue)}</td>
+                ${interState
+                  ? `<td>${formatCurrency(line.igst || 0)}</td>`
+                  : `<td>${formatCurrency(line.cgst || 0)}</td><td>${formatCurrency(line.sgst || 0)}</td>`}
+                <td>${formatCurrency(line.totalAmount)}</td>
+            </tr>`).join('')}
+        </tbody>
+    </table>
+
+    <div class="totals">
+        <div class="total-row">Taxable Value: ${formatCurrency(note.taxableTotal)}</div>
+        ${interState
+          ? `<div class="total-row">IGST: ${formatCurrency(note.igstTotal)}</div>`
+          : `<div class="total-row">CGST: ${formatCurrency(note.cgstTotal)}</div>
+        <div class="total-row">SGST: ${formatCurrency(note.sgstTotal)}</div>`}
+        <div class="grand-total">Total ${note.noteType === 'credit' ? 'Credited' : 'Debited'}: ${formatCurrency(note.grandTotal)}</div>
+        <p><em>INR ${note.amountInWords}</em></p>
+    </div>
+
+    <div class="tax-summary">
+        <h4>Tax Summary</h4>
+        <table class="table">
+            <thead>
+                <tr>
+                    <th>SAC</th>
+                    <th>Taxable Value</th>
+                    ${interState ? '<th>IGST Rate</th><th>IGST</th>' : '<th>CGST Rate</th><th>CGST</th><th>SGST Rate</th><th>SGST</th>'}
+                    <th>Total Tax</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${taxSummary.map(row => `
+                <tr>
+                    <td>${row.sacCode}</td>
+                    <td>${formatCurrency(row.taxableValue)}</td>
+                    ${interState
+                      ? `<td>${row.rate}%</td><td>${formatCurrency(row.igst)}</td>`
+                      : `<td>${row.rate / 2}%</td><td>${formatCurrency(row.cgst)}</td><td>${row.rate / 2}%</td><td>${formatCurrency(row.sgst)}</td>`}
+                    <td>${formatCurrency(row.totalTax)}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+    </div>
+
+    <div class="footer">
+        <p><strong>Disclaimer:</strong> This is a computer generated document and does not require any official signature.</p>
+    </div>
+</body>
+</html>
+  `;
+};
+
+// Render a note as a PDF, falling back to HTML when PDF generation fails
+const sendNotePdf = async (res, note) => {
+  const htmlContent = generateNoteHTML(note);
+  const filename = `${note.noteType}-note-${note.noteNumber.replace(/[^A-Za-z0-9-]+/g, '_')}`;
+
+  try {
+    const pdfBuffer = await PdfService.fromHtml(htmlContent);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+    res.send(pdfBuffer);
+
+  } catch (error) {
+    console.error('Note PDF generation error:', error);
+    res.setHeader('Content-Type', 'text/html');
+    res.setHeader('Content-Disposition', `inline; filename="${filename}.html"`);
+    res.send(htmlContent);
+  }
+};
+
+// Corporate: credit and debit notes against its invoices, newest first
+router.get('/corporate', authenticateCorporate, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const query = { ...noteQuery(req.query), corporateId: req.corporate._id };
+
+    const [notes, totalCount] = await Promise.all([
+      InvoiceNote.find(query)
+        .sort({ noteDate: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .lean(),
+      InvoiceNote.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notes,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(totalCount / parseInt(limit)),
+          totalCount
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get corporate invoice notes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get credit and debit notes'
+    });
+  }
+});
+
+// Corporate: PDF of one of its notes
+router.get('/corporate/:id/pdf', authenticateCorporate, async (req, res) => {
+  try {
+    const note = await findNote(req.params.id);
+    if (!note || String(note.corporateId) !== String(req.corporate._id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Note not found'
+      });
+    }
+
+    await sendNotePdf(res, note);
+
+  } catch (error) {
+    console.error('Corporate note PDF error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate note PDF'
+    });
+  }
+});
+
+// Admin: notes, optionally of one invoice, corporate, type or status
+router.get('/', authenticateAdmin, async (req, res) => {
+  try {
+    const { corporateId, page = 1, limit = 20 } = req.query;
+    const query = noteQuery(req.query);
+    if (corporateId && mongoose.Types.ObjectId.isValid(corporateId)) {
+      query.corporateId = corporateId;
+    }
+
+    const [notes, totalCount] = await Promise.all([
+      InvoiceNote.find(query)
+        .populate('createdBy', 'name email')
+        .populate('cancelledBy', 'name email')
+        .sort({ noteDate: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .lean(),
+      InvoiceNote.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notes,
+        reasons: NOTE_REASONS,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(totalCount / parseInt(limit)),
+          totalCount
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invoice notes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get credit and debit notes'
+    });
+  }
+});
+
+// Admin: lines of an invoice with what can still be credited on each
+router.get('/invoice/:invoiceId/balances', authenticateAdmin, async (req, res) => {
+  try {
+    const invoice = mongoose.Types.ObjectId.isValid(req.params.invoiceId)
+      ? await Invoice.findById(req.params.invoiceId).lean()
+      : null;
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found'
+      });
+    }
+
+    const notes = await InvoiceNote.findIssuedByInvoice(invoice._id).lean();
+    const balances = InvoiceNoteService.lineBalances(invoice, notes);
+
+    res.json({
+      success: true,
+      data: {
+        invoiceNumber: invoice.invoiceNumber,
+        supplyType: invoice.supplyType || 'intra_state',
+        lines: [...balances.values()].map(({ line, invoiced, credited, debited, creditable }) => ({
+          consignmentNumber: line.consignmentNumber,
+          lineType: line.lineType || 'forward',
+          bookingDate: line.bookingDate,
+          destination: line.destination,
+          gstRate: line.gstRate,
+          invoiced,
+          credited,
+          debited,
+          creditable
+        })),
+        notes
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invoice note balances error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get invoice balances'
+    });
+  }
+});
+
+// Admin: issue a credit or debit note against an invoice
+router.post('/', authenticateAdmin, async (req, res) => {
+  try {
+    const { invoiceId, noteType, reason, remarks, lines } = req.body;
+    const invoice = mongoose.Types.ObjectId.isValid(invoiceId) ? await Invoice.findById(invoiceId) : null;
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found'
+      });
+    }
+
+    const note = await InvoiceNoteService.issue(invoice, { noteType, reason, remarks, lines }, req.admin);
+
+    console.log(`🧾 ${noteType === 'credit' ? 'Credit' : 'Debit'} note ${note.noteNumber} for ₹${note.grandTotal} issued against ${invoice.invoiceNumber} by ${req.admin.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: `${noteType === 'credit' ? 'Credit' : 'Debit'} note ${note.noteNumber} issued`,
+      data: note
+    });
+
+  } catch (error) {
+    console.error('Issue invoice note error:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return validationResponse(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to issue note'
+    });
+  }
+});
+
+// Admin: PDF of a note
+router.get('/:id/pdf', authenticateAdmin, async (req, res) => {
+  try {
+    const note = await findNote(req.params.id);
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        error: 'Note not found'
+      });
+    }
+
+    await sendNotePdf(res, note);
+
+  } catch (error) {
+    console.error('Admin note PDF error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate note PDF'
+    });
+  }
+});
+
+// Admin: cancel a note issued in error
+router.patch('/:id/cancel', authenticateAdmin, async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cancellation reason is required'
+      });
+    }
+
+    const note = await findNote(req.params.id);
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        error: 'Note not found'
+      });
+    }
+
+    await InvoiceNoteService.cancel(note, reason.trim(), req.admin);
+
+    console.log(`🚫 Note ${note.noteNumber} cancelled by ${req.admin.name}: ${reason.trim()}`);
+
+    res.json({
+      success: true,
+      message: `Note ${note.noteNumber} cancelled`,
+      data: note
+    });
+
+  } catch (error) {
+    console.error('Cancel invoice note error:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel note'
+    });
+  }
+});
+
+export default router;
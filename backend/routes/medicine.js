@@ -8,6 +8,8 @@ import { uploadPackageImages, uploadInvoiceImages, uploadScreenshots, handleUplo
 import S3Service from '../services/s3Service.js';
 import ConsignmentAssignment from '../models/ConsignmentAssignment.js';
 import { ConsignmentUsage } from '../models/ConsignmentAssignment.js';
+import TrackingEvent from '../models/TrackingEvent.js';
+import PricingService from '../services/pricingService.js';
 
 const router = express.Router();
 
@@ -82,6 +84,35 @@ router.post('/bookings', async (req, res) => {
       });
     }
 
+    // Price the booking on the retail plan; the panel's rates and totals are only a preview
+    let quote;
+    try {
+      quote = await PricingService.quoteCounterBooking({
+        originData: origin,
+        destinationData: destination,
+        shipmentData: shipment,
+        billData: billing,
+        detailsData: charges || {}
+      });
+    } catch (error) {
+      if (!error.status) {
+        throw error;
+      }
+      return res.status(error.status).json({
+        error: 'Invalid booking charges',
+        message: error.message
+      });
+    }
+
+    const { cgst, sgst, igst, ...amounts } = PricingService.toDetailsData(quote);
+    const pricedCharges = {
+      ...Object.fromEntries(
+        Object.entries({ ...amounts, cgstAmount: cgst, sgstAmount: sgst, igstAmount: igst })
+          .map(([key, value]) => [key, value.toFixed(2)])
+      ),
+      fuelChargeType: 'percentage'
+    };
+
     // Check if medicineUserId is provided (required for consignment number assignment)
     if (!medicineUserId) {
       return res.status(400).json({
@@ -139,7 +170,10 @@ router.post('/bookings', async (req, res) => {
       medicineUserId: medicineUserId,
       origin,
       destination,
-      shipment,
+      shipment: {
+        ...shipment,
+        ...PricingService.toShipmentWeights(quote)
+      },
       package: {
         ...packageData,
         packageImages: packageData.packageImages || []
@@ -149,7 +183,7 @@ router.post('/bookings', async (req, res) => {
         invoiceImages: invoice.invoiceImages || []
       },
       billing,
-      charges: charges || {},
+      charges: pricedCharges,
       payment: payment || {}
     };
 
@@ -170,13 +204,21 @@ router.post('/bookings', async (req, res) => {
       consignmentNumber: consignmentNumber,
       bookingReference: consignmentNumber.toString(),
       bookingData: bookingPayload,
-      freightCharges: charges?.grandTotal ? parseFloat(charges.grandTotal) : 0,
-      totalAmount: charges?.grandTotal ? parseFloat(charges.grandTotal) : 0,
+      freightCharges: quote.freight,
+      totalAmount: quote.total,
       paymentType: payment?.mode === 'TP' ? 'TP' : 'FP'
     });
 
     await usage.save();
 
+    await TrackingEvent.record({
+      consignmentNumber,
+      status: 'booked',
+      location: origin.city || '',
+      actor: { type: 'medicine', id: medicineUserId },
+      source: 'medicine_booking'
+    });
+
     console.log(`✅ Medicine booking created: Medicine User ${medicineUserId} - Consignment: ${consignmentNumber}`);
 
     res.status(201).json({
@@ -651,6 +693,18 @@ router.patch('/bookings/:id/status', authenticateMedicine, async (req, res) => {
 
     await booking.updateStatus(status);
 
+    // Medicine statuses that correspond to a tracking scan
+    const trackingStatus = { in_transit: 'in_transit', delivered: 'delivered', cancelled: 'cancelled' }[status];
+    if (trackingStatus && booking.consignmentNumber) {
+      await TrackingEvent.record({
+        consignmentNumber: booking.consignmentNumber,
+        status: trackingStatus,
+        location: status === 'delivered' ? booking.destination?.city : '',
+        actor: { type: 'medicine', id: req.medicine._id, name: req.medicine.name },
+        source: 'medicine_status'
+      });
+    }
+
     res.json({
       success: true,
       message: 'Booking status updated successfully',
@@ -1066,6 +1120,17 @@ router.post('/manifests/:id/dispatch', authenticateMedicine, async (req, res) =>
       }
     );
     
+    await TrackingEvent.recordMany(
+      manifest.consignments.map(c => c.consignmentNumber),
+      {
+        status: 'in_transit',
+        location: manifest.originCity || '',
+        remarks: `Dispatched on manifest ${manifest.manifestNumber} via ${coloader.busNumber}`,
+        actor: { type: 'medicine', id: req.medicine._id, name: req.medicine.name },
+        source: 'medicine_manifest_dispatch'
+      }
+    );
+
     console.log(`✅ Manifest ${manifest.manifestNumber} dispatched with coloader ${coloader.busNumber}`);
     
     res.status(200).json({
@@ -0,0 +1,605 @@
+import express from 'express';
+import NdrCase, { NDR_REASONS, MAX_DELIVERY_ATTEMPTS } from '../models/NdrCase.js';
+import TrackingEvent from '../models/TrackingEvent.js';
+import FormData from '../models/FormData.js';
+import MedicineBooking from '../models/MedicineBooking.js';
+import { ConsignmentUsage } from '../models/ConsignmentAssignment.js';
+import PinCodeArea from '../models/PinCodeArea.js';
+import TrackingService from '../services/trackingService.js';
+import RtoService from '../services/rtoService.js';
+import { authenticateToken, authenticateCorporate } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// Admins and office users with access to received consignments work the NDR queue
+const requireOpsStaff = (req, res, next) => {
+  if (req.admin) {
+    return next();
+  }
+  if (req.user && !req.corporate && !req.medicine && req.user.permissions?.receivedOrders) {
+    return next();
+  }
+  return res.status(403).json({
+    error: 'Access denied. Insufficient permissions.'
+  });
+};
+
+const staffActor = (req) => req.admin
+  ? { type: 'admin', id: req.admin._id, name: req.admin.name }
+  : { type: 'office_user', id: req.user._id, name: req.user.name };
+
+const corporateActor = (req) => ({
+  type: 'corporate',
+  id: req.corporate._id,
+  name: req.corporate.companyName
+});
+
+// Receiver address fields a shipper or staff member may correct
+const CORRECTABLE_ADDRESS_FIELDS = ['flatBuilding', 'locality', 'landmark', 'pincode'];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Keep only the correctable address fields as trimmed strings. A new PIN code must be
+// one we know, and brings its city, district and state with it.
+const cleanAddress = async (updatedAddress) => {
+  if (!updatedAddress || typeof updatedAddress !== 'object' || Array.isArray(updatedAddress)) {
+    throw badRequest('Updated address is required');
+  }
+
+  const address = {};
+  for (const field of CORRECTABLE_ADDRESS_FIELDS) {
+    const value = updatedAddress[field];
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+    if (typeof value !== 'string') {
+      throw badRequest(`Address ${field} must be text`);
+    }
+    if (value.trim()) {
+      address[field] = value.trim().slice(0, 200);
+    }
+  }
+
+  if (!address.flatBuilding && !address.locality && !address.pincode) {
+    throw badRequest('Updated address is required');
+  }
+
+  if (address.pincode) {
+    const area = /^\d{6}$/.test(address.pincode)
+      ? await PinCodeArea.findOne({ pincode: Number(address.pincode) }).select('cityname distrcitname statename').lean()
+      : null;
+    if (!area) {
+      throw badRequest(`PIN code ${address.pincode} is not a known PIN code`);
+    }
+    address.city = area.cityname;
+    address.district = area.distrcitname;
+    address.state = area.statename;
+  }
+
+  return address;
+};
+
+// Reduce a phone number to the 10 digits bookings store, dropping a +91 or 0 prefix
+const cleanPhone = (updatedPhone) => {
+  if (typeof updatedPhone !== 'string' || !updatedPhone.trim()) {
+    throw badRequest('Updated phone number is required');
+  }
+  let digits = updatedPhone.replace(/\D/g, '');
+  if (digits.length === 12 && digits.startsWith('91')) {
+    digits = digits.slice(2);
+  } else if (digits.length === 11 && digits.startsWith('0')) {
+    digits = digits.slice(1);
+  }
+  if (!/^\d{10}$/.test(digits)) {
+    throw badRequest('Please enter a valid 10 digit mobile number');
+  }
+  return digits;
+};
+
+// Calendar date in India, as YYYY-MM-DD
+const istDay = (date) => new Date(date.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+
+// Reattempts can be scheduled from today on
+const cleanReattemptDate = (reattemptDate) => {
+  if (reattemptDate === undefined || reattemptDate === null || reattemptDate === '') {
+    return null;
+  }
+  const date = new Date(reattemptDate);
+  if (typeof reattemptDate !== 'string' || Number.isNaN(date.getTime())) {
+    throw badRequest('Reattempt date is not a valid date');
+  }
+  if (istDay(date) < istDay(new Date())) {
+    throw badRequest('Reattempt date cannot be in the past');
+  }
+  return date;
+};
+
+// Write the corrected receiver address or phone back to the booking so the reattempt uses it
+const updateBookingDestination = async (ndrCase, { address, phone }) => {
+  const fields = { ...address };
+  if (phone) {
+    fields.mobileNumber = phone;
+  }
+  if (Object.keys(fields).length === 0) {
+    return;
+  }
+
+  const consignmentNumber = ndrCase.consignmentNumber;
+  const prefixed = (prefix) => Object.fromEntries(
+    Object.entries(fields).map(([key, value]) => [`${prefix}.${key}`, value])
+  );
+
+  if (ndrCase.source === 'medicine') {
+    await MedicineBooking.updateOne({ consignmentNumber }, { $set: prefixed('destination') });
+  } else if (ndrCase.source === 'public') {
+    await FormData.updateOne({ consignmentNumber }, { $set: prefixed('destinationData') });
+  } else {
+    await ConsignmentUsage.updateOne({ consignmentNumber }, { $set: prefixed('bookingData.destinationData') });
+  }
+};
+
+// Find the NDR case of a consignment, opening a new one on first use
+const findOrCreateCase = async (found) => {
+  const ndrCase = await NdrCase.findOne({ consignmentNumber: found.consignmentNumber });
+  if (ndrCase) {
+    return ndrCase;
+  }
+
+  const receiver = await TrackingService.getReceiver(found.consignmentNumber);
+  return new NdrCase({
+    consignmentNumber: found.consignmentNumber,
+    source: receiver.source,
+    corporateId: found.type === 'usage' ? found.booking.corporateId?._id || null : null,
+    receiverName: receiver.name,
+    destinationCity: receiver.city
+  });
+};
+
+// Apply a reattempt / address / phone / return instruction to an open case
+const applyInstruction = async (ndrCase, body, actor) => {
+  const { action, reattemptDate, updatedAddress, updatedPhone, remarks } = body;
+
+  if (!['reattempt', 'update_address', 'update_phone', 'return'].includes(action)) {
+    throw badRequest('Invalid instruction action');
+  }
+
+  // Only the correction the action names is taken from the request
+  const address = action === 'update_address' ? await cleanAddress(updatedAddress) : null;
+  const phone = action === 'update_phone' ? cleanPhone(updatedPhone) : null;
+  const nextAttemptDate = action === 'return' ? null : cleanReattemptDate(reattemptDate);
+
+  ndrCase.instructions.push({
+    action,
+    reattemptDate: nextAttemptDate,
+    updatedAddress: address || undefined,
+    updatedPhone: phone || undefined,
+    remarks,
+    requestedBy: actor
+  });
+
+  if (action === 'return') {
+    await RtoService.initiate(ndrCase.consignmentNumber, {
+      reason: actor.type === 'corporate' ? 'shipper_instruction' : 'operations',
+      actor,
+      ndrCase,
+      remarks
+    });
+    return ndrCase;
+  }
+
+  // Address and phone corrections are reattempted as well
+  ndrCase.status = 'reattempt_scheduled';
+  ndrCase.nextAttemptDate = nextAttemptDate;
+  await ndrCase.save();
+
+  await updateBookingDestination(ndrCase, { address, phone });
+
+  const changes = { update_address: ' with updated address', update_phone: ' with updated phone number', reattempt: '' };
+  await TrackingEvent.record({
+    consignmentNumber: ndrCase.consignmentNumber,
+    status: 'reattempt_scheduled',
+    description: `Delivery reattempt scheduled${ndrCase.nextAttemptDate ? ` for ${ndrCase.nextAttemptDate.toLocaleDateString('en-IN')}` : ''}${changes[action]}`,
+    remarks,
+    actor,
+    source: 'ndr'
+  });
+
+  return ndrCase;
+};
+
+// Get NDR reasons and the attempt cap (for dropdowns)
+router.get('/reasons', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      reasons: Object.entries(NDR_REASONS).map(([value, label]) => ({ value, label })),
+      maxAttempts: MAX_DELIVERY_ATTEMPTS
+    }
+  });
+});
+
+// Corporate: list NDR cases for own shipments
+router.get('/corporate/cases', authenticateCorporate, async (req, res) => {
+  try {
+    const query = { corporateId: req.corporate._id };
+    if (req.query.status && req.query.status !== 'all') {
+      query.status = req.query.status;
+    }
+
+    const cases = await NdrCase.find(query).sort({ updatedAt: -1 }).limit(200);
+
+    res.json({
+      success: true,
+      data: cases
+    });
+
+  } catch (error) {
+    console.error('Get corporate NDR cases error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get NDR cases'
+    });
+  }
+});
+
+// Corporate: give an instruction on an open NDR case
+router.post('/corporate/cases/:id/instruction', authenticateCorporate, async (req, res) => {
+  try {
+    const ndrCase = await NdrCase.findOne({ _id: req.params.id, corporateId: req.corporate._id });
+
+    if (!ndrCase) {
+      return res.status(404).json({
+        success: false,
+        error: 'NDR case not found'
+      });
+    }
+
+    if (!ndrCase.isOpen()) {
+      return res.status(400).json({
+        success: false,
+        error: 'This NDR case is already closed'
+      });
+    }
+
+    await applyInstruction(ndrCase, req.body, corporateActor(req));
+
+    res.json({
+      success: true,
+      message: 'Instruction saved',
+      data: ndrCase
+    });
+
+  } catch (error) {
+    console.error('Corporate NDR instruction error:', error);
+
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save instruction'
+    });
+  }
+});
+
+// Record a failed delivery attempt
+router.post('/', authenticateToken, requireOpsStaff, async (req, res) => {
+  try {
+    const { consignmentNumber, reason, remarks, location } = req.body;
+
+    if (!consignmentNumber || !reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'Consignment number and reason are required'
+      });
+    }
+
+    if (!NDR_REASONS[reason]) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid NDR reason'
+      });
+    }
+
+    const found = await TrackingService.findBooking(consignmentNumber);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        error: 'Consignment number not found'
+      });
+    }
+
+    const ndrCase = await findOrCreateCase(found);
+    if (!ndrCase.isNew && !ndrCase.isOpen()) {
+      return res.status(400).json({
+        success: false,
+        error: `This consignment is already closed as ${ndrCase.status === 'rto' ? 'RTO' : 'delivered'}`
+      });
+    }
+
+    const actor = staffActor(req);
+    ndrCase.attempts.push({
+      attemptNumber: ndrCase.attempts.length + 1,
+      reason,
+      remarks,
+      location,
+      recordedBy: actor
+    });
+    ndrCase.status = 'pending_action';
+    ndrCase.nextAttemptDate = null;
+    await ndrCase.save();
+
+    if (found.type === 'public') {
+      await FormData.updateOne(
+        { consignmentNumber: found.consignmentNumber, assignmentData: { $exists: true } },
+        { 'assignmentData.status': 'failed' }
+      );
+    }
+
+    await TrackingEvent.record({
+      consignmentNumber: found.consignmentNumber,
+      status: 'failed',
+      location: location || '',
+      description: `Delivery attempt ${ndrCase.attempts.length} failed: ${NDR_REASONS[reason]}`,
+      remarks,
+      actor,
+      source: 'ndr'
+    });
+
+    if (ndrCase.hasReachedAttemptLimit()) {
+      await RtoService.initiate(ndrCase.consignmentNumber, {
+        reason: 'attempt_limit',
+        actor: { type: 'system', name: 'NDR attempt limit' },
+        ndrCase
+      });
+    }
+
+    console.log(`🚫 NDR recorded for consignment ${found.consignmentNumber}: ${reason} (attempt ${ndrCase.attempts.length})`);
+
+    res.status(201).json({
+      success: true,
+      message: ndrCase.status === 'rto'
+        ? `Attempt limit of ${MAX_DELIVERY_ATTEMPTS} reached. Shipment moved to RTO.`
+        : 'Failed delivery attempt recorded',
+      data: ndrCase
+    });
+
+  } catch (error) {
+    console.error('Record NDR error:', error);
+
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record failed delivery attempt'
+    });
+  }
+});
+
+// NDR queue with pagination, status filter and search
+router.get('/', authenticateToken, requireOpsStaff, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const { status = 'open', search } = req.query;
+
+    const query = {};
+    if (status === 'open') {
+      query.status = { $in: ['pending_action', 'reattempt_scheduled'] };
+    } else if (status !== 'all') {
+      query.status = status;
+    }
+    if (search && /^\d+$/.test(search.trim())) {
+      query.consignmentNumber = parseInt(search.trim());
+    } else if (search) {
+      query.receiverName = { $regex: search.trim(), $options: 'i' };
+    }
+
+    const [cases, totalCount] = await Promise.all([
+      NdrCase.find(query)
+        .populate('corporateId', 'corporateId companyName')
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      NdrCase.countDocuments(query)
+    ]);
+
+    // Returned cases carry the progress of their return leg
+    const returnLegs = await TrackingService.getSummaries(
+      cases.filter(ndrCase => ndrCase.status === 'rto').map(ndrCase => ndrCase.consignmentNumber)
+    );
+
+    res.json({
+      success: true,
+      data: cases.map(ndrCase => ({
+        ...ndrCase.toJSON(),
+        returnLeg: returnLegs[ndrCase.consignmentNumber]?.rto || null
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount,
+        hasNext: page * limit < totalCount,
+        hasPrev: page > 1,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get NDR queue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get NDR queue'
+    });
+  }
+});
+
+// Ops: act on an NDR case on behalf of the shipper or receiver
+router.post('/:id/instruction', authenticateToken, requireOpsStaff, async (req, res) => {
+  try {
+    const ndrCase = await NdrCase.findById(req.params.id);
+
+    if (!ndrCase) {
+      return res.status(404).json({
+        success: false,
+        error: 'NDR case not found'
+      });
+    }
+
+    if (!ndrCase.isOpen()) {
+      return res.status(400).json({
+        success: false,
+        error: 'This NDR case is already closed'
+      });
+    }
+
+    await applyInstruction(ndrCase, req.body, staffActor(req));
+
+    res.json({
+      success: true,
+      message: 'Instruction saved',
+      data: ndrCase
+    });
+
+  } catch (error) {
+    console.error('NDR instruction error:', error);
+
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save instruction'
+    });
+  }
+});
+
+// Ops: send a consignment back to origin without waiting for the attempt cap
+router.post('/rto', authenticateToken, requireOpsStaff, async (req, res) => {
+  try {
+    const { consignmentNumber, remarks } = req.body;
+
+    if (!consignmentNumber) {
+      return res.status(400).json({
+        success: false,
+        error: 'Consignment number is required'
+      });
+    }
+
+    const found = await TrackingService.findBooking(consignmentNumber);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        error: 'Consignment number not found'
+      });
+    }
+
+    const ndrCase = await findOrCreateCase(found);
+    if (!ndrCase.isNew && !ndrCase.isOpen()) {
+      return res.status(400).json({
+        success: false,
+        error: `This consignment is already closed as ${ndrCase.status === 'rto' ? 'RTO' : 'delivered'}`
+      });
+    }
+
+    const { usage } = await RtoService.initiate(found.consignmentNumber, {
+      reason: 'operations',
+      actor: staffActor(req),
+      ndrCase,
+      remarks
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Shipment marked for return to origin',
+      data: {
+        ndrCase,
+        rto: usage?.rto || null
+      }
+    });
+
+  } catch (error) {
+    console.error('Initiate RTO error:', error);
+
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to initiate RTO'
+    });
+  }
+});
+
+// Ops: scan the return leg as dispatched back or handed over to the sender
+router.patch('/rto/:consignmentNumber', authenticateToken, requireOpsStaff, async (req, res) => {
+  try {
+    const { status, location, remarks } = req.body;
+
+    const legStatus = await RtoService.updateLegStatus(req.params.consignmentNumber, status, {
+      actor: staffActor(req),
+      location,
+      remarks
+    });
+
+    res.json({
+      success: true,
+      message: legStatus === 'returned' ? 'Shipment returned to origin' : 'Return dispatched',
+      data: { status: legStatus }
+    });
+
+  } catch (error) {
+    console.error('Update RTO status error:', error);
+
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update return status'
+    });
+  }
+});
+
+export default router;
@@ -2,6 +2,8 @@ import express from 'express';
 import OfficeUser from '../models/OfficeUser.js';
 import FormData from '../models/FormData.js';
 import PinCodeArea from '../models/PinCodeArea.js';
+import TrackingEvent from '../models/TrackingEvent.js';
+import PricingService from '../services/pricingService.js';
 import { generateToken, authenticateOfficeUser, authenticateAdminOrOfficeAdmin, validateLoginInput } from '../middleware/auth.js';
 import { OAuth2Client } from 'google-auth-library';
 
@@ -1240,6 +1242,18 @@ router.put('/courier-requests/:requestId/status', authenticateOfficeUser, checkP
     
     await courierRequest.updateStatus(status);
     
+    // A completed pickup request means the corporate's booked consignments were collected
+    if (status === 'completed') {
+      const consignmentNumbers = await courierRequest.pickupConsignments();
+      await TrackingEvent.recordMany(consignmentNumbers, {
+        status: 'picked_up',
+        location: courierRequest.requestData?.pickupAddress || '',
+        remarks: courierRequest.assignedCourier?.name ? `Picked up by ${courierRequest.assignedCourier.name}` : '',
+        actor: { type: 'office_user', id: req.user._id, name: req.user.name },
+        source: 'courier_request'
+      });
+    }
+    
     console.log(`🚚 Office user updating courier request ${requestId} to status: ${status}`, {
       updatedBy: req.officeUser.username,
       timestamp: new Date().toISOString()
@@ -1493,6 +1507,11 @@ router.post('/consignment/use', authenticateOfficeUser, async (req, res) => {
       return res.status(409).json({ error: 'This consignment number is already in use.' });
     }
 
+    // Amounts are priced on the retail plan unless this user may set counter rates by hand
+    const quote = await PricingService.quoteCounterBooking(bookingData, {
+      overriddenBy: PricingService.rateOverrideActor(req.user)
+    });
+
     // Record usage
     const usage = new ConsignmentUsage({
       assignmentType: 'office_user',
@@ -1500,7 +1519,17 @@ router.post('/consignment/use', authenticateOfficeUser, async (req, res) => {
       officeUserId: req.user._id,
       consignmentNumber: parsedNumber,
       bookingReference,
-      bookingData
+      bookingData: {
+        ...bookingData,
+        shipmentData: {
+          ...bookingData.shipmentData,
+          ...PricingService.toShipmentWeights(quote)
+        },
+        detailsData: PricingService.toDetailsData(quote),
+        rateOverride: quote.rateOverride
+      },
+      freightCharges: quote.freight,
+      totalAmount: quote.total
     });
 
     await usage.save();
@@ -1508,6 +1537,9 @@ router.post('/consignment/use', authenticateOfficeUser, async (req, res) => {
     return res.json({ success: true, data: usage });
   } catch (error) {
     console.error('Record consignment usage error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Failed to record consignment usage.' });
   }
 });
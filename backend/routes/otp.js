@@ -1,10 +1,97 @@
 import express from 'express';
 import axios from 'axios';
 import dotenv from 'dotenv';
+import ProofOfDelivery, { MAX_POD_OTP_ATTEMPTS } from '../models/ProofOfDelivery.js';
+import NdrCase from '../models/NdrCase.js';
+import TrackingService from '../services/trackingService.js';
+import { authenticateAdminOrOfficeAdmin } from '../middleware/auth.js';
 
 dotenv.config();
 const router = express.Router();
 
+// MSG91-approved template used for login OTPs
+const LOGIN_OTP_TEMPLATE_ID = '68f38e33cb45e90f1c4a8003';
+
+// Delivery OTPs use their own DLT template when one is configured
+const DELIVERY_OTP_TEMPLATE_ID = process.env.MSG91_DELIVERY_TEMPLATE_ID || LOGIN_OTP_TEMPLATE_ID;
+
+// Reduce a phone number to 10 digits; returns null when it cannot be normalized
+const normalizePhoneNumber = (phoneNumber) => {
+  let cleanPhoneNumber = String(phoneNumber || '').replace(/\D/g, '');
+  if (cleanPhoneNumber.startsWith('91') && (cleanPhoneNumber.length === 12 || cleanPhoneNumber.length === 11)) {
+    cleanPhoneNumber = cleanPhoneNumber.substring(2);
+  }
+  return cleanPhoneNumber.length === 10 ? cleanPhoneNumber : null;
+};
+
+// Send an OTP through MSG91 (v5 API with an approved template, v4 API as fallback)
+const requestMsg91Otp = async (msg91PhoneNumber, authKey, templateId = LOGIN_OTP_TEMPLATE_ID) => {
+  try {
+    console.log(`Using MSG91 v5 API with template ${templateId}...`);
+    const response = await axios.post(
+      'https://control.msg91.com/api/v5/otp',
+      {
+        mobile: msg91PhoneNumber,
+        authkey: authKey,
+        template_id: templateId,
+        otp_length: 6 // Ensure 6-digit OTP
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    console.log('v5 API response:', response.data);
+    return response;
+  } catch (error) {
+    console.log('v5 API with DLT template failed:', error.response?.data || error.message);
+
+    // Fallback: Try v4 API
+    console.log('Falling back to v4 API...');
+    const response = await axios.get(
+      `https://control.msg91.com/api/sendotp.php?authkey=${authKey}&mobile=${msg91PhoneNumber}&message=Your%20OTP%20is%20%23%23OTP%23%23&sender=MSGIND&otp_expiry=5&otp_length=6`
+    );
+    console.log('v4 API response:', response.data);
+    return response;
+  }
+};
+
+// Verify an OTP through MSG91 (v5 API, v4 API as fallback)
+const verifyMsg91Otp = async (msg91PhoneNumber, otp, authKey) => {
+  try {
+    return await axios.post(
+      'https://control.msg91.com/api/v5/otp/verify',
+      {
+        mobile: msg91PhoneNumber,
+        otp: otp,
+        authkey: authKey
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+  } catch (error) {
+    console.log('v5 verify API failed, trying v4 API...');
+    return axios.get(
+      `https://control.msg91.com/api/verifyRequestOTP.php?authkey=${authKey}&mobile=${msg91PhoneNumber}&otp=${otp}`
+    );
+  }
+};
+
+// Handle both v5 and v4 API responses
+const isOtpSent = (responseData) => (responseData && responseData.type === 'success') ||
+  (typeof responseData === 'string' && responseData.includes('OTP sent')) ||
+  (typeof responseData === 'string' && responseData.includes('success'));
+
+const isOtpVerified = (responseData) => (responseData && responseData.type === 'success') ||
+  (typeof responseData === 'string' && responseData.includes('OTP verified'));
+
+// Test OTP mode is available everywhere except production
+const isTestOtpAllowed = () => process.env.NODE_ENV !== 'production';
+
 // Test MSG91 configuration endpoint
 router.get('/test-config', async (req, res) => {
   try {
@@ -105,68 +192,17 @@ router.post('/send', async (req, res) => {
     }
 
     // Send OTP using MSG91 API (try multiple approaches)
-    let msg91Response;
-    
     console.log('Attempting to send OTP via MSG91...');
     console.log('Phone number being sent:', cleanPhoneNumber);
     console.log('Auth key being used:', authKey ? 'Present' : 'Missing');
     
-    try {
-      // Primary: Use v5 API with MSG91-approved template
-       console.log('Using MSG91 v5 API with MSG91-approved template...');
-       console.log('Template ID: 68f38e33cb45e90f1c4a8003');
-       console.log('Template Message: "Your OTP for login to OCL Services is ##OTP##. Do not share it with anyone. -OCL Services"');
-       console.log('OTP Length: 6 digits');
-       console.log('Status: Approved by MSG91');
-      
-       msg91Response = await axios.post(
-         'https://control.msg91.com/api/v5/otp',
-         {
-           mobile: msg91PhoneNumber,
-           authkey: authKey,
-           template_id: '68f38e33cb45e90f1c4a8003', // MSG91-approved template ID
-           otp_length: 6 // Ensure 6-digit OTP
-         },
-        {
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-      console.log('v5 API response:', msg91Response.data);
-      console.log('v5 API status:', msg91Response.status);
-    } catch (error) {
-      console.log('v5 API with DLT template failed:', error.response?.data || error.message);
-      console.log('Error details:', {
-        status: error.response?.status,
-        statusText: error.response?.statusText,
-        data: error.response?.data,
-        message: error.message
-      });
-      
-      // Fallback: Try v4 API
-      console.log('Falling back to v4 API...');
-      try {
-         msg91Response = await axios.get(
-           `https://control.msg91.com/api/sendotp.php?authkey=${authKey}&mobile=${msg91PhoneNumber}&message=Your%20OTP%20is%20%23%23OTP%23%23&sender=MSGIND&otp_expiry=5&otp_length=6`
-         );
-        console.log('v4 API response:', msg91Response.data);
-        console.log('v4 API status:', msg91Response.status);
-      } catch (v4Error) {
-        console.log('v4 API fallback also failed:', v4Error.response?.data || v4Error.message);
-        throw v4Error;
-      }
-    }
+    const msg91Response = await requestMsg91Otp(msg91PhoneNumber, authKey);
 
     console.log('MSG91 OTP send response:', msg91Response.data);
 
-    // Handle both v5 and v4 API responses
     const responseData = msg91Response.data;
-    const isSuccess = (responseData && responseData.type === 'success') || 
-                     (typeof responseData === 'string' && responseData.includes('OTP sent')) ||
-                     (typeof responseData === 'string' && responseData.includes('success'));
 
-    if (isSuccess) {
+    if (isOtpSent(responseData)) {
       console.log('OTP sent successfully to:', cleanPhoneNumber);
       return res.json({
         success: true,
@@ -255,39 +291,13 @@ router.post('/verify', async (req, res) => {
     }
 
     // Verify OTP using MSG91 API (try multiple approaches)
-    let msg91Response;
-    
-    try {
-      // First try: v5 API
-      msg91Response = await axios.post(
-        'https://control.msg91.com/api/v5/otp/verify',
-        {
-          mobile: msg91PhoneNumber,
-          otp: otp,
-          authkey: authKey
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-    } catch (error) {
-      console.log('v5 verify API failed, trying v4 API...');
-      // Fallback: v4 API
-      msg91Response = await axios.get(
-        `https://control.msg91.com/api/verifyRequestOTP.php?authkey=${authKey}&mobile=${msg91PhoneNumber}&otp=${otp}`
-      );
-    }
+    const msg91Response = await verifyMsg91Otp(msg91PhoneNumber, otp, authKey);
 
     console.log('MSG91 OTP verify response:', msg91Response.data);
 
-    // Handle both v5 and v4 API responses
     const responseData = msg91Response.data;
-    const isSuccess = (responseData && responseData.type === 'success') || 
-                     (typeof responseData === 'string' && responseData.includes('OTP verified'));
 
-    if (isSuccess) {
+    if (isOtpVerified(responseData)) {
       console.log('OTP verified successfully for:', phoneNumber);
       return res.json({
         success: true,
@@ -405,4 +415,183 @@ router.post('/verify-access-token', async (req, res) => {
   }
 });
 
+// Send a delivery OTP to the receiver of a consignment (proof of delivery)
+router.post('/delivery/send', authenticateAdminOrOfficeAdmin, async (req, res) => {
+  try {
+    const { consignmentNumber } = req.body;
+
+    if (!consignmentNumber) {
+      return res.status(400).json({
+        success: false,
+        error: 'Consignment number is required'
+      });
+    }
+
+    const receiver = await TrackingService.getReceiver(consignmentNumber);
+    if (!receiver) {
+      return res.status(404).json({
+        success: false,
+        error: 'Consignment number not found'
+      });
+    }
+
+    const existingPod = await ProofOfDelivery.findByConsignment(consignmentNumber);
+    if (existingPod?.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        error: 'Proof of delivery has already been captured for this consignment'
+      });
+    }
+
+    const returnedCase = await NdrCase.findOne({ consignmentNumber: Number(consignmentNumber), status: 'rto' });
+    if (returnedCase) {
+      return res.status(400).json({
+        success: false,
+        error: 'This consignment has been moved to RTO and cannot be delivered to the receiver'
+      });
+    }
+
+    const cleanPhoneNumber = normalizePhoneNumber(receiver.mobileNumber);
+    if (!cleanPhoneNumber) {
+      return res.status(400).json({
+        success: false,
+        error: 'Receiver does not have a valid 10 digit mobile number on the booking'
+      });
+    }
+
+    const authKey = process.env.MSG91_AUTH_KEY;
+    if (!authKey) {
+      console.error('MSG91_AUTH_KEY not found in environment variables');
+      return res.status(500).json({
+        success: false,
+        error: 'Server configuration error'
+      });
+    }
+
+    let otpSent = false;
+    try {
+      const msg91Response = await requestMsg91Otp(`91${cleanPhoneNumber}`, authKey, DELIVERY_OTP_TEMPLATE_ID);
+      otpSent = isOtpSent(msg91Response.data);
+    } catch (error) {
+      console.error('Delivery OTP send failed:', error.response?.data || error.message);
+    }
+
+    const testMode = !otpSent && isTestOtpAllowed();
+    if (!otpSent && !testMode) {
+      return res.status(502).json({
+        success: false,
+        error: 'Failed to send delivery OTP'
+      });
+    }
+
+    await ProofOfDelivery.findOneAndUpdate(
+      { consignmentNumber: Number(consignmentNumber) },
+      {
+        source: receiver.source,
+        receiverName: receiver.name,
+        receiverPhone: cleanPhoneNumber,
+        otp: { sentAt: new Date(), verified: false, verifiedAt: null, failedAttempts: 0, testMode },
+        status: 'otp_sent'
+      },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    console.log(`✅ Delivery OTP sent for consignment ${consignmentNumber}${testMode ? ' (test mode)' : ''}`);
+
+    res.json({
+      success: true,
+      message: testMode ? 'Test OTP mode - Use 1234 as OTP' : 'Delivery OTP sent to the receiver',
+      data: {
+        receiverName: receiver.name,
+        maskedPhone: `******${cleanPhoneNumber.slice(-4)}`,
+        testMode,
+        codAmount: receiver.codAmount,
+        assignedCourierBoyId: receiver.assignedCourierBoyId
+      }
+    });
+
+  } catch (error) {
+    console.error('Send delivery OTP error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send delivery OTP'
+    });
+  }
+});
+
+// Verify the delivery OTP read out by the receiver
+router.post('/delivery/verify', authenticateAdminOrOfficeAdmin, async (req, res) => {
+  try {
+    const { consignmentNumber, otp } = req.body;
+
+    if (!consignmentNumber || !otp) {
+      return res.status(400).json({
+        success: false,
+        error: 'Consignment number and OTP are required'
+      });
+    }
+
+    const pod = await ProofOfDelivery.findByConsignment(consignmentNumber);
+    if (!pod || !pod.otp?.sentAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'No delivery OTP has been sent for this consignment'
+      });
+    }
+
+    if (pod.otp.verified) {
+      return res.json({
+        success: true,
+        message: 'Delivery OTP already verified'
+      });
+    }
+
+    if (pod.otp.failedAttempts >= MAX_POD_OTP_ATTEMPTS) {
+      return res.status(429).json({
+        success: false,
+        error: 'Too many incorrect attempts. Please send a new OTP.'
+      });
+    }
+
+    let verified = false;
+    if (!pod.otp.testMode) {
+      try {
+        const msg91Response = await verifyMsg91Otp(`91${pod.receiverPhone}`, otp, process.env.MSG91_AUTH_KEY);
+        verified = isOtpVerified(msg91Response.data);
+      } catch (error) {
+        console.error('Delivery OTP verify failed:', error.response?.data || error.message);
+      }
+    } else {
+      verified = isTestOtpAllowed() && otp === '1234';
+    }
+
+    if (!verified) {
+      pod.otp.failedAttempts += 1;
+      await pod.save();
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired OTP',
+        attemptsLeft: MAX_POD_OTP_ATTEMPTS - pod.otp.failedAttempts
+      });
+    }
+
+    pod.otp.verified = true;
+    pod.otp.verifiedAt = new Date();
+    pod.status = 'otp_verified';
+    await pod.save();
+
+    res.json({
+      success: true,
+      message: 'Delivery OTP verified successfully'
+    });
+
+  } catch (error) {
+    console.error('Verify delivery OTP error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify delivery OTP'
+    });
+  }
+});
+
 export default router;
@@ -0,0 +1,495 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import PaymentReceipt from '../models/PaymentReceipt.js';
+import Invoice from '../models/Invoice.js';
+import CorporateData from '../models/CorporateData.js';
+import PaymentService from '../services/paymentService.js';
+import DocumentSeriesService from '../services/documentSeriesService.js';
+import emailService from '../services/emailService.js';
+import PdfService from '../services/pdfService.js';
+import { SUPPLIER } from '../services/gstService.js';
+import { authenticateCorporate, authenticateAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const validationResponse = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Validation failed',
+  details: Object.values(error.errors).map(err => err.message)
+});
+
+const findReceipt = (id) => mongoose.Types.ObjectId.isValid(id) ? PaymentReceipt.findById(id) : null;
+
+const MODE_LABELS = {
+  neft: 'NEFT',
+  rtgs: 'RTGS',
+  imps: 'IMPS',
+  upi: 'UPI',
+  cheque: 'Cheque',
+  demand_draft: 'Demand Draft',
+  cash: 'Cash',
+  other: 'Other'
+};
+
+// Function to generate HTML payment receipt
+const generateReceiptHTML = (receipt) => {
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-IN', {
+      style: 'currency',
+      currency: 'INR',
+      minimumFractionDigits: 2
+    }).format(amount || 0);
+  };
+  const formatDate = (date) => new Date(date).toLocaleDateString('en-GB');
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Payment Receipt ${receipt.receiptNumber}</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 20px; color: #333; }
+        .header { text-align: center; margin-bottom: 30px; }
+        .cancelled { color: #b91c1c; font-weight: bold; }
+        .parties { display: flex; justify-content: space-between; gap: 20px; margin-bottom: 20px; }
+        .parties p { margin: 3px 0; }
+        .table { width: 100%; border-collapse: collapse; margin-bottom: 20px; }
+        .table th, .table td { border: 1px solid #ddd; padding: 8px; text-align: left; }
+        .table th { background-color: #4a9b8e; color: white; }
+        .totals { text-align: right; margin-top: 20px; }
+        .total-row { margin: 5px 0; }
+        .grand-total { font-weight: bold; font-size: 1.2em; margin-top: 10px; }
+        .footer { margin-top: 30px; text-align: center; font-size: 0.9em; color: #666; }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>PAYMENT RECEIPT</h1>
+        <h2>No: ${receipt.receiptNumber}</h2>
+        ${receipt.status === 'cancelled' ? `<p class="cancelled">CANCELLED on ${formatDate(receipt.cancelledAt)}${receipt.cancellationReason ? ` - ${receipt.cancellationReason}` : ''}</p>` : ''}
+    </div>
+
+    <div class="parties">
+        <div>
+            <h3>Received by:</h3>
+            <p><strong>${SUPPLIER.name}</strong></p>
+            <p>${SUPPLIER.address}</p>
+            <p>GSTIN: ${SUPPLIER.gstin}</p>
+        </div>
+        <div>
+            <h3>Received from:</h3>
+            <p><strong>${receipt.companyName}</strong></p>
+            <p>Date: ${formatDate(receipt.receiptDate)}</p>
+            <p>Mode: ${MODE_LABELS[receipt.paymentMode] || receipt.paymentMode}${receipt.reference ? ` (${receipt.reference})` : ''}</p>
+            ${receipt.bankName ? `<p>Bank: ${receipt.bankName}</p>` : ''}
+        </div>
+    </div>
+
+    <table class="table">
+        <thead>
+            <tr>
+                <th>SN</th>
+                <th>Invoice No.</th>
+                <th>Amount Received</th>
+                <th>TDS Deducted</th>
+                <th>Total Settled</th>
+            </tr>
+        </thead>
+        <tbody>
+            ${receipt.allocations.map((allocation, index) => `
+            <tr>
+                <td>${index + 1}</td>
+                <td>${allocation.invoiceNumber}</td>
+                <td>${formatCurrency(allocation.amount)}</td>
+                <td>${formatCurrency(allocation.tdsAmount)}</td>
+                <td>${formatCurrency(allocation.amount + allocation.tdsAmount)}</td>
+            </tr>`).join('')}
+        </tbody>
+    </table>
+
+    <div class="totals">
+        <div class="total-row">Allocated to invoices: ${formatCurrency(receipt.allocatedAmount)}</div>
+        ${receipt.unallocatedAmount > 0 ? `<div class="total-row">Held on account: ${formatCurrency(receipt.unallocatedAmount)}</div>` : ''}
+        ${receipt.tdsAmount > 0 ? `<div class="total-row">TDS deducted${receipt.tdsSection ? ` u/s ${receipt.tdsSection}` : ''}: ${formatCurrency(receipt.tdsAmount)}</div>` : ''}
+        <div class="grand-total">Amount Received: ${formatCurrency(receipt.amountReceived)}</div>
+    </div>
+
+    ${receipt.remarks ? `<p><strong>Remarks:</strong> ${receipt.remarks}</p>` : ''}
+
+    <div class="footer">
+        <p>Receipts against cheques are subject to realisation.</p>
+        <p><strong>Disclaimer:</strong> This is a computer generated receipt and does not require any official signature.</p>
+    </div>
+</body>
+</html>
+  `;
+};
+
+const renderReceiptPdf = (receipt) => PdfService.fromHtml(generateReceiptHTML(receipt));
+
+const receiptFilename = (receipt) => `receipt-${receipt.receiptNumber.replace(/[^A-Za-z0-9-]+/g, '_')}.pdf`;
+
+// Email a receipt PDF to the corporate's registered address and note when it went
+const emailReceipt = async (receipt) => {
+  const corporate = await CorporateData.findById(receipt.corporateId).select('email companyName').lean();
+  if (!corporate?.email) {
+    throw new Error(`No email address on file for ${receipt.companyName}`);
+  }
+
+  const pdfBuffer = await renderReceiptPdf(receipt);
+  const amount = receipt.amountReceived.toLocaleString('en-IN', { minimumFractionDigits: 2 });
+  await emailService.sendEmailWithPdfAttachment({
+    to: corporate.email,
+    subject: `Payment Receipt ${receipt.receiptNumber} - ₹${amount}`,
+    html: `<p>Dear ${corporate.companyName},</p><p>Thank you for your payment of <strong>₹${amount}</strong> received on ${new Date(receipt.receiptDate).toLocaleDateString('en-GB')}. Please find the receipt attached.</p>`,
+    text: `Payment of Rs. ${amount} received. Receipt ${receipt.receiptNumber} attached.`,
+    pdfBuffer,
+    filename: receiptFilename(receipt)
+  });
+
+  receipt.emailedTo = corporate.email;
+  receipt.emailedAt = new Date();
+  await receipt.save();
+};
+
+const sendReceiptPdf = async (res, receipt) => {
+  try {
+    const pdfBuffer = await renderReceiptPdf(receipt);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${receiptFilename(receipt)}"`);
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('Receipt PDF generation error:', error);
+    res.setHeader('Content-Type', 'text/html');
+    res.send(generateReceiptHTML(receipt));
+  }
+};
+
+const paginate = async (query, { page = 1, limit = 20 }, populate = []) => {
+  let find = PaymentReceipt.find(query)
+    .sort({ receiptDate: -1, createdAt: -1 })
+    .skip((parseInt(page) - 1) * parseInt(limit))
+    .limit(parseInt(limit));
+  populate.forEach(([path, fields]) => { find = find.populate(path, fields); });
+
+  const [receipts, totalCount] = await Promise.all([find.lean(), PaymentReceipt.countDocuments(query)]);
+  return {
+    receipts,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(totalCount / parseInt(limit)),
+      totalCount
+    }
+  };
+};
+
+const errorResponse = (res, error, fallback) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return validationResponse(res, error);
+  }
+  res.status(500).json({
+    success: false,
+    error: fallback
+  });
+};
+
+// Corporate: its payment receipts, newest first
+router.get('/corporate/receipts', authenticateCorporate, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await paginate({ corporateId: req.corporate._id }, req.query)
+    });
+
+  } catch (error) {
+    console.error('Get corporate receipts error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get payment receipts'
+    });
+  }
+});
+
+// Corporate: PDF of one of its receipts
+router.get('/corporate/receipts/:id/pdf', authenticateCorporate, async (req, res) => {
+  try {
+    const receipt = await findReceipt(req.params.id);
+    if (!receipt || String(receipt.corporateId) !== String(req.corporate._id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Receipt not found'
+      });
+    }
+
+    await sendReceiptPdf(res, receipt);
+
+  } catch (error) {
+    console.error('Corporate receipt PDF error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate receipt PDF'
+    });
+  }
+});
+
+// Admin: receipts, optionally of one corporate or status
+router.get('/receipts', authenticateAdmin, async (req, res) => {
+  try {
+    const { corporateId, status } = req.query;
+    const query = {};
+    if (corporateId && mongoose.Types.ObjectId.isValid(corporateId)) query.corporateId = corporateId;
+    if (['active', 'cancelled'].includes(status)) query.status = status;
+
+    res.json({
+      success: true,
+      data: await paginate(query, req.query, [['createdBy', 'name email'], ['cancelledBy', 'name email']])
+    });
+
+  } catch (error) {
+    console.error('Get receipts error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get payment receipts'
+    });
+  }
+});
+
+// Admin: invoices of a corporate that still have a balance to settle, oldest first
+router.get('/open-invoices/:corporateId', authenticateAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.corporateId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Corporate not found'
+      });
+    }
+
+    const invoices = await Invoice.findUnpaidByCorporate(req.params.corporateId).sort({ invoiceDate: 1 });
+    res.json({
+      success: true,
+      data: invoices
+        .filter(invoice => invoice.balanceDue > 0)
+        .map(invoice => ({
+          _id: invoice._id,
+          invoiceNumber: invoice.invoiceNumber,
+          invoiceDate: invoice.invoiceDate,
+          dueDate: invoice.dueDate,
+          status: invoice.status,
+          netAmount: invoice.netAmount,
+          amountPaid: invoice.amountPaid,
+          tdsDeducted: invoice.tdsDeducted,
+          balanceDue: invoice.balanceDue
+        }))
+    });
+
+  } catch (error) {
+    console.error('Get open invoices error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get open invoices'
+    });
+  }
+});
+
+// Admin: TDS deducted per corporate in a financial year, with certificates still to collect
+router.get('/tds-register', authenticateAdmin, async (req, res) => {
+  try {
+    const financialYear = req.query.financialYear || DocumentSeriesService.financialYear();
+    res.json({
+      success: true,
+      data: {
+        financialYear,
+        corporates: await PaymentService.tdsRegister(financialYear)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get TDS register error:', error);
+    errorResponse(res, error, 'Failed to get TDS register');
+  }
+});
+
+// Admin: record a payment and allocate it across invoices; the receipt is emailed unless sendEmail is false
+router.post('/receipts', authenticateAdmin, async (req, res) => {
+  try {
+    const receipt = await PaymentService.record(req.body, req.admin);
+
+    console.log(`💰 Receipt ${receipt.receiptNumber}: ₹${receipt.amountReceived} from ${receipt.companyName} (${receipt.allocations.length} invoice(s), TDS ₹${receipt.tdsAmount}) by ${req.admin.name}`);
+
+    let emailError = null;
+    if (req.body.sendEmail !== false) {
+      try {
+        await emailReceipt(receipt);
+      } catch (error) {
+        console.error(`Receipt ${receipt.receiptNumber} email error:`, error);
+        emailError = error.message;
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Receipt ${receipt.receiptNumber} recorded${emailError ? ' but could not be emailed' : ''}`,
+      data: receipt,
+      emailError
+    });
+
+  } catch (error) {
+    console.error('Record receipt error:', error);
+    errorResponse(res, error, 'Failed to record payment');
+  }
+});
+
+// Admin: allocate money held on account to more invoices
+router.patch('/receipts/:id/allocate', authenticateAdmin, async (req, res) => {
+  try {
+    const receipt = await findReceipt(req.params.id);
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Receipt not found'
+      });
+    }
+
+    await PaymentService.allocate(receipt, req.body.allocations);
+
+    res.json({
+      success: true,
+      message: `Receipt ${receipt.receiptNumber} allocated`,
+      data: receipt
+    });
+
+  } catch (error) {
+    console.error('Allocate receipt error:', error);
+    errorResponse(res, error, 'Failed to allocate receipt');
+  }
+});
+
+// Admin: record the TDS certificate (Form 16A) received for a receipt
+router.patch('/receipts/:id/tds-certificate', authenticateAdmin, async (req, res) => {
+  try {
+    const { tdsCertificateNumber, tdsSection } = req.body;
+    if (!tdsCertificateNumber || !String(tdsCertificateNumber).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Certificate number is required'
+      });
+    }
+
+    const receipt = await findReceipt(req.params.id);
+    if (!receipt || receipt.tdsAmount <= 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Receipt with TDS not found'
+      });
+    }
+
+    receipt.tdsCertificateNumber = String(tdsCertificateNumber).trim();
+    receipt.tdsCertificateReceivedAt = new Date();
+    if (tdsSection) receipt.tdsSection = tdsSection;
+    await receipt.save();
+
+    res.json({
+      success: true,
+      message: 'TDS certificate recorded',
+      data: receipt
+    });
+
+  } catch (error) {
+    console.error('Record TDS certificate error:', error);
+    errorResponse(res, error, 'Failed to record TDS certificate');
+  }
+});
+
+// Admin: cancel a receipt, e.g. when its cheque bounces
+router.patch('/receipts/:id/cancel', authenticateAdmin, async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cancellation reason is required'
+      });
+    }
+
+    const receipt = await findReceipt(req.params.id);
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Receipt not found'
+      });
+    }
+
+    await PaymentService.cancel(receipt, reason.trim(), req.admin);
+
+    console.log(`🚫 Receipt ${receipt.receiptNumber} cancelled by ${req.admin.name}: ${reason.trim()}`);
+
+    res.json({
+      success: true,
+      message: `Receipt ${receipt.receiptNumber} cancelled`,
+      data: receipt
+    });
+
+  } catch (error) {
+    console.error('Cancel receipt error:', error);
+    errorResponse(res, error, 'Failed to cancel receipt');
+  }
+});
+
+// Admin: PDF of a receipt
+router.get('/receipts/:id/pdf', authenticateAdmin, async (req, res) => {
+  try {
+    const receipt = await findReceipt(req.params.id);
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Receipt not found'
+      });
+    }
+
+    await sendReceiptPdf(res, receipt);
+
+  } catch (error) {
+    console.error('Admin receipt PDF error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate receipt PDF'
+    });
+  }
+});
+
+// Admin: email a receipt again
+router.post('/receipts/:id/email', authenticateAdmin, async (req, res) => {
+  try {
+    const receipt = await findReceipt(req.params.id);
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Receipt not found'
+      });
+    }
+
+    await emailReceipt(receipt);
+
+    res.json({
+      success: true,
+      message: `Receipt ${receipt.receiptNumber} emailed to ${receipt.emailedTo}`
+    });
+
+  } catch (error) {
+    console.error('Email receipt error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to email receipt'
+    });
+  }
+});
+
+export default router;
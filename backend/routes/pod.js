@@ -0,0 +1,197 @@
+import express from 'express';
+import ProofOfDelivery from '../models/ProofOfDelivery.js';
+import TrackingEvent from '../models/TrackingEvent.js';
+import NdrCase from '../models/NdrCase.js';
+import FormData from '../models/FormData.js';
+import MedicineBooking from '../models/MedicineBooking.js';
+import CourierBoy from '../models/CourierBoy.js';
+import S3Service from '../services/s3Service.js';
+import TrackingService from '../services/trackingService.js';
+import CodService from '../services/codService.js';
+import { authenticateAdminOrOfficeAdmin } from '../middleware/auth.js';
+import { uploadPodImages, handleUploadError } from '../middleware/upload.js';
+
+const router = express.Router();
+
+// Approved courier boys, to name the one who collected a COD payment
+router.get('/courier-boys', authenticateAdminOrOfficeAdmin, async (req, res) => {
+  try {
+    const courierBoys = await CourierBoy.find({ status: 'approved' })
+      .select('fullName phone area')
+      .sort({ fullName: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: courierBoys
+    });
+
+  } catch (error) {
+    console.error('Get POD courier boys error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get courier boys'
+    });
+  }
+});
+
+// Get the proof of delivery captured for a consignment
+router.get('/:consignmentNumber', authenticateAdminOrOfficeAdmin, async (req, res) => {
+  try {
+    const pod = await ProofOfDelivery.findByConsignment(req.params.consignmentNumber).lean();
+
+    if (!pod) {
+      return res.status(404).json({
+        success: false,
+        error: 'No proof of delivery found for this consignment'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        consignmentNumber: pod.consignmentNumber,
+        status: pod.status,
+        receiverName: pod.receiverName,
+        location: pod.location,
+        remarks: pod.remarks,
+        capturedBy: pod.capturedBy,
+        ...(await TrackingService.formatPod(pod, { details: true }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get POD error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get proof of delivery'
+    });
+  }
+});
+
+// Complete delivery: upload receiver signature and doorstep photo once the OTP is verified.
+// Cash-on-delivery shipments also need codAmount, codCollectionMode, (for UPI / card) codReference
+// and codCollectedBy, the courier boy who took the payment.
+router.post('/:consignmentNumber/complete', authenticateAdminOrOfficeAdmin, uploadPodImages, handleUploadError, async (req, res) => {
+  try {
+    const consignmentNumber = parseInt(req.params.consignmentNumber);
+    const { receivedBy, relationship, location, remarks, codAmount, codCollectionMode, codReference, codCollectedBy } = req.body;
+    const signatureFile = req.files?.signature?.[0];
+    const photoFile = req.files?.photo?.[0];
+
+    const pod = await ProofOfDelivery.findByConsignment(consignmentNumber);
+
+    if (!pod || !pod.otp?.verified) {
+      return res.status(400).json({
+        success: false,
+        error: 'Receiver OTP must be verified before completing delivery'
+      });
+    }
+
+    if (pod.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        error: 'Proof of delivery has already been captured for this consignment'
+      });
+    }
+
+    if (!signatureFile || !photoFile) {
+      return res.status(400).json({
+        success: false,
+        error: 'Receiver signature and doorstep photo are both required'
+      });
+    }
+
+    // No delivery without the COD in hand
+    const codUsage = await CodService.findPendingCollection(consignmentNumber);
+    const codCollection = { amount: codAmount, mode: codCollectionMode, reference: codReference };
+    let codCollector = null;
+    if (codUsage) {
+      try {
+        CodService.checkCollection(codUsage, codCollection);
+        codCollector = await CodService.findCollector(codCollectedBy);
+      } catch (error) {
+        if (!error.status) throw error;
+        return res.status(error.status).json({
+          success: false,
+          error: error.message
+        });
+      }
+    }
+
+    const [signatureUpload, photoUpload] = await Promise.all([
+      S3Service.uploadFile(signatureFile, 'uploads/pod/signatures'),
+      S3Service.uploadFile(photoFile, 'uploads/pod/photos')
+    ]);
+
+    const staff = req.user || req.admin;
+    const actor = { type: req.user ? 'office_user' : 'admin', id: staff._id, name: staff.name };
+    const deliveredAt = new Date();
+
+    pod.signature = { url: signatureUpload.url, key: signatureUpload.key };
+    pod.photo = { url: photoUpload.url, key: photoUpload.key };
+    pod.receivedBy = receivedBy || pod.receiverName;
+    pod.relationship = relationship;
+    pod.location = location;
+    pod.remarks = remarks;
+    pod.deliveredAt = deliveredAt;
+    pod.capturedBy = actor;
+    pod.status = 'completed';
+    await pod.save();
+
+    if (codUsage) {
+      await CodService.recordCollection(codUsage, codCollection, { collector: codCollector, recordedBy: actor });
+    }
+
+    // Keep the booking's own status in step with the POD
+    if (pod.source === 'medicine') {
+      await MedicineBooking.updateOne({ consignmentNumber }, { status: 'delivered' });
+    } else if (pod.source === 'public') {
+      await FormData.updateOne(
+        { consignmentNumber, assignmentData: { $exists: true } },
+        { 'assignmentData.status': 'delivered' }
+      );
+    }
+
+    // A successful reattempt closes any open non-delivery case
+    await NdrCase.closeAsDelivered(consignmentNumber);
+
+    await TrackingEvent.record({
+      consignmentNumber,
+      status: 'delivered',
+      location: location || '',
+      // The receiver's name stays on the POD; tracking events are public
+      description: 'Delivered to the receiver - OTP verified',
+      remarks,
+      actor,
+      source: 'proof_of_delivery',
+      eventAt: deliveredAt
+    });
+
+    console.log(`✅ POD captured for consignment ${consignmentNumber} by ${actor.name}${codUsage ? ` (COD ₹${codUsage.cod.collectedAmount} ${codUsage.cod.collectionMode} by ${codCollector.fullName})` : ''}`);
+
+    res.json({
+      success: true,
+      message: 'Delivery completed with proof of delivery',
+      data: await TrackingService.formatPod(pod.toObject(), { details: true })
+    });
+
+  } catch (error) {
+    console.error('Complete POD error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to complete delivery'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,212 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Quotation from '../models/Quotation.js';
+import QuotationService from '../services/quotationService.js';
+import { authenticateAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Quotations are created and emailed by POST /api/admin/generate-quotation
+
+const findQuotation = (id) => mongoose.Types.ObjectId.isValid(id) ? Quotation.findById(id) : null;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const errorResponse = (res, error, fallback) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: Object.values(error.errors).map(err => err.message)
+    });
+  }
+  res.status(500).json({
+    success: false,
+    error: fallback
+  });
+};
+
+// Admin: quotation history, newest first; search matches the number or the customer
+router.get('/', authenticateAdmin, async (req, res) => {
+  try {
+    const { status, search, page = 1, limit = 20 } = req.query;
+    await Quotation.expireOverdue();
+
+    const query = {};
+    if (status && status !== 'all') query.status = status;
+    if (search?.trim()) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      query.$or = [
+        { quotationNumber: pattern },
+        { 'customer.name': pattern },
+        { 'customer.email': pattern },
+        { 'customer.phone': pattern }
+      ];
+    }
+
+    const [quotations, totalCount] = await Promise.all([
+      Quotation.find(query)
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .populate('createdBy', 'name'),
+      Quotation.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: quotations,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalCount / parseInt(limit)),
+        totalCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Get quotations error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get quotations'
+    });
+  }
+});
+
+// Admin: one quotation
+router.get('/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const quotation = await findQuotation(req.params.id)
+      ?.populate('createdBy', 'name email');
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quotation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: quotation
+    });
+
+  } catch (error) {
+    console.error('Get quotation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get quotation'
+    });
+  }
+});
+
+// Admin: the customer accepted the quotation
+router.patch('/:id/accept', authenticateAdmin, async (req, res) => {
+  try {
+    const quotation = await findQuotation(req.params.id);
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quotation not found'
+      });
+    }
+
+    await QuotationService.accept(quotation);
+
+    console.log(`🤝 Quotation ${quotation.quotationNumber} accepted (recorded by ${req.admin.name})`);
+
+    res.json({
+      success: true,
+      message: 'Quotation marked as accepted',
+      data: quotation
+    });
+
+  } catch (error) {
+    console.error('Accept quotation error:', error);
+    errorResponse(res, error, 'Failed to accept quotation');
+  }
+});
+
+// Admin: withdraw an open quotation before its validity runs out
+router.patch('/:id/expire', authenticateAdmin, async (req, res) => {
+  try {
+    const quotation = await findQuotation(req.params.id);
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quotation not found'
+      });
+    }
+    if (quotation.status !== 'sent') {
+      return res.status(400).json({
+        success: false,
+        error: `Only open quotations can be expired; this one is ${quotation.status}`
+      });
+    }
+
+    quotation.status = 'expired';
+    await quotation.save();
+
+    res.json({
+      success: true,
+      message: 'Quotation expired',
+      data: quotation
+    });
+
+  } catch (error) {
+    console.error('Expire quotation error:', error);
+    errorResponse(res, error, 'Failed to expire quotation');
+  }
+});
+
+// Admin: turn an accepted quotation into a booking or a pending corporate pricing plan
+// Body: { target: 'booking' | 'pricing', ...booking details (see QuotationService.convertToBooking) }
+router.post('/:id/convert', authenticateAdmin, async (req, res) => {
+  try {
+    const { target, ...details } = req.body;
+    if (!['booking', 'pricing'].includes(target)) {
+      return res.status(400).json({
+        success: false,
+        error: 'target must be "booking" or "pricing"'
+      });
+    }
+
+    const quotation = await findQuotation(req.params.id);
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quotation not found'
+      });
+    }
+
+    if (target === 'booking') {
+      const booking = await QuotationService.convertToBooking(quotation, details, req.admin);
+      console.log(`📦 Quotation ${quotation.quotationNumber} booked as consignment ${booking.consignmentNumber} by ${req.admin.name}`);
+
+      return res.status(201).json({
+        success: true,
+        message: `Booked as consignment ${booking.consignmentNumber}`,
+        data: { quotation, booking }
+      });
+    }
+
+    const pricing = await QuotationService.convertToPricingDraft(quotation, req.admin);
+    console.log(`💰 Quotation ${quotation.quotationNumber} drafted as pricing plan "${pricing.name}" by ${req.admin.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Pricing plan draft created; complete its rates in Corporate Approval',
+      data: { quotation, pricing }
+    });
+
+  } catch (error) {
+    console.error('Convert quotation error:', error);
+    errorResponse(res, error, 'Failed to convert quotation');
+  }
+});
+
+export default router;
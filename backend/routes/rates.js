@@ -0,0 +1,134 @@
+import express from 'express';
+import PricingService, { parseAmount } from '../services/pricingService.js';
+import EtaService from '../services/etaService.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+
+const router = express.Router();
+
+// Public quotes only change when the retail plan does, so browsers and proxies may reuse them briefly
+const PUBLIC_CACHE_CONTROL = 'public, max-age=300';
+
+// Heaviest shipment quoted online; bigger loads are quoted by the sales team
+const MAX_PUBLIC_WEIGHT_KG = 1000;
+
+const quoteLimiter = rateLimit({ windowMs: 60 * 1000, max: 30 });
+const cardLimiter = rateLimit({ windowMs: 60 * 1000, max: 60 });
+
+// Rate card tables shown on the Shipping Rates page; fuelIndexFrom is set when the fuel rate comes from the index
+const PUBLIC_RATE_TABLES = ['doxPricing', 'nonDoxSurfacePricing', 'nonDoxAirPricing', 'priorityPricing', 'fuelChargePercentage', 'fuelIndexFrom'];
+
+// Live quote from the retail plan (public endpoint)
+// Query: fromPincode, toPincode (required), weight in kg (required), natureOfConsignment (DOX / NON-DOX), service (Standard / Priority), mode (Air / Surface)
+router.get('/quote', quoteLimiter, async (req, res) => {
+  try {
+    const { fromPincode, toPincode, natureOfConsignment = 'NON-DOX', service = 'Standard', mode = 'Surface' } = req.query;
+    const weight = parseAmount(req.query.weight);
+
+    if (!/^\d{6}$/.test(String(fromPincode || '')) || !/^\d{6}$/.test(String(toPincode || ''))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid 6 digit from and to pincodes are required'
+      });
+    }
+
+    if (weight <= 0 || weight > MAX_PUBLIC_WEIGHT_KG) {
+      return res.status(400).json({
+        success: false,
+        error: `Weight must be more than 0 and at most ${MAX_PUBLIC_WEIGHT_KG} kg`
+      });
+    }
+
+    const quote = await PricingService.quoteRetail({
+      originPincode: fromPincode,
+      destinationPincode: toPincode,
+      actualWeight: weight,
+      natureOfConsignment: natureOfConsignment === 'DOX' ? 'DOX' : 'NON-DOX',
+      service,
+      mode
+    });
+
+    let estimate = null;
+    try {
+      estimate = await EtaService.estimate({ originPincode: fromPincode, destinationPincode: toPincode, service, mode });
+    } catch (error) {
+      console.error('Public quote delivery estimate error:', error);
+    }
+
+    res.set('Cache-Control', PUBLIC_CACHE_CONTROL);
+    res.json({
+      success: true,
+      data: {
+        fromPincode,
+        toPincode,
+        natureOfConsignment: quote.natureOfConsignment,
+        service: quote.service,
+        mode: quote.mode,
+        destination: {
+          location: quote.lane.location,
+          zone: quote.breakdown.zone,
+          isOda: quote.lane.isOda
+        },
+        chargeableWeight: quote.chargeableWeight,
+        isMinimumWeightApplied: quote.isMinimumWeightApplied,
+        breakdown: quote.breakdown,
+        freight: quote.freight,
+        awbCharge: quote.awbCharge,
+        fuelPercentage: quote.fuelPercentage,
+        fuelSurcharge: quote.fuelSurcharge,
+        odaCharge: quote.odaCharge,
+        taxableValue: quote.taxableValue,
+        gst: { rate: quote.gst.rate, total: quote.gst.total },
+        total: quote.total,
+        estimate: estimate && {
+          estimatedDelivery: estimate.estimatedDelivery,
+          transitDays: estimate.transitDays
+        }
+      }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Public rate quote error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to calculate rate. Please try again.'
+    });
+  }
+});
+
+// Retail rate card in force today (public endpoint)
+router.get('/card', cardLimiter, async (req, res) => {
+  try {
+    const retailPlan = await PricingService.loadRetailPlan();
+
+    if (!retailPlan) {
+      return res.status(503).json({
+        success: false,
+        error: 'Online rates are not available right now. Please contact us for a quote.'
+      });
+    }
+
+    const rates = retailPlan.ratesAt(new Date());
+    const card = Object.fromEntries(PUBLIC_RATE_TABLES.map(field => [field, rates[field] ?? null]));
+
+    res.set('Cache-Control', PUBLIC_CACHE_CONTROL);
+    res.json({
+      success: true,
+      data: card
+    });
+
+  } catch (error) {
+    console.error('Public rate card error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load rates'
+    });
+  }
+});
+
+export default router;
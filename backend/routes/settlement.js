@@ -1,13 +1,37 @@
 import express from 'express';
-import Invoice from '../models/Invoice.js';
+import Invoice, { INVOICE_STATUSES } from '../models/Invoice.js';
 import CorporateData from '../models/CorporateData.js';
 import { ConsignmentUsage } from '../models/ConsignmentAssignment.js';
 import { authenticateCorporate, authenticateAdmin } from '../middleware/auth.js';
+import { AWB_CHARGE } from '../services/pricingService.js';
+import GstService, { SAC_CODE, SUPPLIER } from '../services/gstService.js';
+import PaymentService from '../services/paymentService.js';
+import StatementService from '../services/statementService.js';
+import PdfService from '../services/pdfService.js';
+import InvoiceService, {
+  formatRtoBill,
+  loadFuelRates,
+  latestFuelPercentage,
+  invoiceGstFields,
+  applyLineTax,
+  buildInvoiceLine,
+  buildRtoInvoiceLines,
+  sumInvoiceLines,
+  invoiceDueDate
+} from '../services/invoiceService.js';
 import { createRequire } from 'module';
 const require = createRequire(import.meta.url);
 
 const router = express.Router();
 
+// "15%" or "12% / 15%" when lines were booked on different plan versions
+const fuelPercentageLabel = (invoiceData) => {
+  const rates = [...new Set(invoiceData.shipments.map(line => line.fuelChargePercentage).filter(rate => rate !== undefined && rate !== null))];
+  return (rates.length ? rates.sort((a, b) => a - b) : [invoiceData.fuelChargePercentage]).map(rate => `${rate}%`).join(' / ');
+};
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
 // Function to generate HTML invoice
 const generateHTMLInvoice = (invoiceData, corporate) => {
   const formatCurrency = (amount) => {
@@ -19,6 +43,9 @@ const generateHTMLInvoice = (invoiceData, corporate) => {
   };
 
   const currentDate = new Date().toLocaleDateString('en-IN');
+  const interState = invoiceData.supplyType === 'inter_state';
+  const taxSummary = GstService.taxSummary(invoiceData.shipments);
+  const placeOfSupply = invoiceData.placeOfSupply || {};
   
   return `
 <!DOCTYPE html>
@@ -31,6 +58,8 @@ const generateHTMLInvoice = (invoiceData, corporate) => {
         body { font-family: Arial, sans-serif; margin: 20px; color: #333; }
         .header { text-align: center; margin-bottom: 30px; }
         .company-info { margin-bottom: 20px; }
+        .parties { display: flex; justify-content: space-between; gap: 20px; margin-bottom: 20px; }
+        .parties p { margin: 3px 0; }
         .invoice-details { display: flex; justify-content: space-between; margin-bottom: 20px; }
         .table { width: 100%; border-collapse: collapse; margin-bottom: 20px; }
         .table th, .table td { border: 1px solid #ddd; padding: 8px; text-align: left; }
@@ -38,31 +67,44 @@ const generateHTMLInvoice = (invoiceData, corporate) => {
         .totals { text-align: right; margin-top: 20px; }
         .total-row { margin: 5px 0; }
         .grand-total { font-weight: bold; font-size: 1.2em; margin-top: 10px; }
+        .tax-summary { margin-top: 20px; }
         .footer { margin-top: 30px; text-align: center; font-size: 0.9em; color: #666; }
     </style>
 </head>
 <body>
     <div class="header">
-        <h1>CONSOLIDATED INVOICE</h1>
+        <h1>CONSOLIDATED TAX INVOICE</h1>
         <h2>OCL Services</h2>
     </div>
     
-    <div class="company-info">
-        <h3>Bill To:</h3>
-        <p><strong>${corporate.companyName}</strong></p>
-        <p>${corporate.companyAddress || ''}</p>
-        <p>GST: ${corporate.gstNumber || 'N/A'}</p>
-        <p>Email: ${corporate.email || ''}</p>
-        <p>Phone: ${corporate.contactNumber || ''}</p>
+    <div class="parties">
+        <div class="company-info">
+            <h3>Supplier:</h3>
+            <p><strong>${SUPPLIER.name}</strong></p>
+            <p>${SUPPLIER.address}</p>
+            <p>GSTIN: ${SUPPLIER.gstin}</p>
+            <p>State: ${SUPPLIER.state}, Code: ${SUPPLIER.stateCode}</p>
+        </div>
+        <div class="company-info">
+            <h3>Bill To:</h3>
+            <p><strong>${corporate.companyName}</strong></p>
+            <p>${corporate.companyAddress || ''}</p>
+            <p>GSTIN: ${corporate.gstNumber || 'Unregistered'}</p>
+            <p>State: ${corporate.state || 'N/A'}${placeOfSupply.stateCode ? `, Code: ${placeOfSupply.stateCode}` : ''}</p>
+            <p>Email: ${corporate.email || ''}</p>
+            <p>Phone: ${corporate.contactNumber || ''}</p>
+        </div>
     </div>
     
     <div class="invoice-details">
         <div>
             <p><strong>Invoice Date:</strong> ${currentDate}</p>
-            <p><strong>Invoice Period:</strong> ${invoiceData.invoicePeriod}</p>
+            <p><strong>Invoice Period:</strong> ${invoiceData.invoicePeriod || 'All unpaid shipments'}</p>
+            <p><strong>Place of Supply:</strong> ${placeOfSupply.state || 'N/A'}${placeOfSupply.stateCode ? ` (${placeOfSupply.stateCode})` : ''}</p>
         </div>
         <div>
             <p><strong>Total Shipments:</strong> ${invoiceData.shipments.length}</p>
+            <p><strong>SAC:</strong> ${invoiceData.sacCode || SAC_CODE} (Courier services)</p>
             <p><strong>Status:</strong> ${invoiceData.status}</p>
         </div>
     </div>
@@ -79,46 +121,71 @@ const generateHTMLInvoice = (invoiceData, corporate) => {
                 <th>AWB</th>
                 <th>Freight</th>
                 <th>Fuel Charge</th>
-                <th>CGST</th>
-                <th>SGST</th>
+                <th>Taxable Value</th>
+                ${interState ? '<th>IGST</th>' : '<th>CGST</th><th>SGST</th>'}
                 <th>Amount</th>
             </tr>
         </thead>
         <tbody>
-            ${invoiceData.shipments.map((shipment, index) => {
-              const bookingData = shipment.bookingData || {};
-              const destinationData = bookingData.destinationData || {};
-              const shipmentData = bookingData.shipmentData || {};
-              
-              return `
+            ${invoiceData.shipments.map((shipment, index) => `
                 <tr>
                     <td>${index + 1}</td>
-                    <td>${bookingData.bookingDate ? new Date(bookingData.bookingDate).toLocaleDateString('en-IN') : 'N/A'}</td>
-                    <td>${bookingData.serviceType || 'NON-DOX'}</td>
-                    <td>${destinationData.city || 'N/A'}</td>
+                    <td>${shipment.bookingDate ? new Date(shipment.bookingDate).toLocaleDateString('en-IN') : 'N/A'}</td>
+                    <td>${shipment.lineType === 'rto' ? 'RTO' : shipment.serviceType || 'NON-DOX'}</td>
+                    <td>${shipment.destination || 'N/A'}</td>
                     <td>${shipment.consignmentNumber || 'N/A'}</td>
-                    <td>${shipmentData.actualWeight || 0} kg</td>
-                    <td>${formatCurrency(50)}</td>
+                    <td>${shipment.weight || 0} kg</td>
+                    <td>${formatCurrency(shipment.awbCharge ?? AWB_CHARGE)}</td>
                     <td>${formatCurrency(shipment.freightCharges || 0)}</td>
                     <td>${formatCurrency(shipment.fuelSurcharge || 0)}</td>
-                    <td>${formatCurrency(shipment.cgst || 0)}</td>
-                    <td>${formatCurrency(shipment.sgst || 0)}</td>
+                    <td>${formatCurrency(shipment.taxableValue || 0)}</td>
+                    ${interState
+                      ? `<td>${formatCurrency(shipment.igst || 0)}</td>`
+                      : `<td>${formatCurrency(shipment.cgst || 0)}</td><td>${formatCurrency(shipment.sgst || 0)}</td>`}
                     <td>${formatCurrency(shipment.totalAmount || 0)}</td>
                 </tr>
-              `;
-            }).join('')}
+              `).join('')}
         </tbody>
     </table>
     
     <div class="totals">
         <div class="total-row">Subtotal: ${formatCurrency(invoiceData.subtotal)}</div>
         <div class="total-row">AWB Charges: ${formatCurrency(invoiceData.awbChargesTotal)}</div>
-        <div class="total-row">Fuel Charge (${invoiceData.fuelChargePercentage}%): ${formatCurrency(invoiceData.fuelSurchargeTotal)}</div>
-        <div class="total-row">CGST: ${formatCurrency(invoiceData.cgstTotal)}</div>
-        <div class="total-row">SGST: ${formatCurrency(invoiceData.sgstTotal)}</div>
+        <div class="total-row">Fuel Charge (${fuelPercentageLabel(invoiceData)}): ${formatCurrency(invoiceData.fuelSurchargeTotal)}</div>
+        ${invoiceData.codChargesTotal > 0 ? `<div class="total-row">COD Charges: ${formatCurrency(invoiceData.codChargesTotal)}</div>` : ''}
+        ${interState
+          ? `<div class="total-row">IGST: ${formatCurrency(invoiceData.igstTotal)}</div>`
+          : `<div class="total-row">CGST: ${formatCurrency(invoiceData.cgstTotal)}</div>
+        <div class="total-row">SGST: ${formatCurrency(invoiceData.sgstTotal)}</div>`}
         <div class="total-row grand-total">Grand Total: ${formatCurrency(invoiceData.grandTotal)}</div>
     </div>
     
+    <div class="tax-summary">
+        <h3>Tax Summary</h3>
+        <table class="table">
+            <thead>
+                <tr>
+                    <th>SAC</th>
+                    <th>Taxable Value</th>
+                    ${interState ? '<th>IGST Rate</th><th>IGST</th>' : '<th>CGST Rate</th><th>CGST</th><th>SGST Rate</th><th>SGST</th>'}
+                    <th>Total Tax</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${taxSummary.map(row => `
+                <tr>
+                    <td>${row.sacCode}</td>
+                    <td>${formatCurrency(row.taxableValue)}</td>
+                    ${interState
+                      ? `<td>${row.rate}%</td><td>${formatCurrency(row.igst)}</td>`
+                      : `<td>${row.rate / 2}%</td><td>${formatCurrency(row.cgst)}</td><td>${row.rate / 2}%</td><td>${formatCurrency(row.sgst)}</td>`}
+                    <td>${formatCurrency(row.totalTax)}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+        <p>Tax payable on reverse charge: No</p>
+    </div>
+    
     <div class="footer">
         <p><strong>Disclaimer:</strong> This is a computer generated invoice and does not require any official signature.</p>
         <p>Kindly notify us immediately in case you find any discrepancy in the details of transactions.</p>
@@ -128,6 +195,180 @@ const generateHTMLInvoice = (invoiceData, corporate) => {
   `;
 };
 
+// Generate HTML statement of account
+const generateStatementHTML = (statement) => {
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-IN', {
+      style: 'currency',
+      currency: 'INR',
+      minimumFractionDigits: 2
+    }).format(amount);
+  };
+  const formatDate = (date) => new Date(date).toLocaleDateString('en-GB');
+  // Positive balances are owed to OCL
+  const formatBalance = (amount) => `${formatCurrency(Math.abs(amount))} ${amount < 0 ? 'Cr' : 'Dr'}`;
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Statement of Account - ${statement.corporate.companyName}</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 20px; color: #333; font-size: 12px; }
+        .header { text-align: center; margin-bottom: 20px; }
+        .parties { display: flex; justify-content: space-between; gap: 20px; margin-bottom: 20px; }
+        .parties p { margin: 3px 0; }
+        .table { width: 100%; border-collapse: collapse; margin: 15px 0; }
+        .table th, .table td { border: 1px solid #ddd; padding: 6px; text-align: left; }
+        .table th { background-color: #f5f5f5; font-weight: bold; }
+        .amount { text-align: right !important; }
+        .summary-row td { font-weight: bold; background-color: #fafafa; }
+        .footer { margin-top: 30px; text-align: center; font-size: 0.9em; color: #666; }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>STATEMENT OF ACCOUNT</h1>
+        <p>${formatDate(statement.from)} to ${formatDate(statement.to)}</p>
+    </div>
+
+    <div class="parties">
+        <div>
+            <p><strong>${SUPPLIER.name}</strong></p>
+            <p>${SUPPLIER.address}</p>
+            <p>GSTIN: ${SUPPLIER.gstin}</p>
+        </div>
+        <div>
+            <p><strong>${statement.corporate.companyName}</strong> (${statement.corporate.corporateId})</p>
+            <p>${statement.corporate.companyAddress || ''}</p>
+            ${statement.corporate.gstNumber ? `<p>GSTIN: ${statement.corporate.gstNumber}</p>` : ''}
+        </div>
+    </div>
+
+    <table class="table">
+        <thead>
+            <tr>
+                <th>Date</th>
+                <th>Reference</th>
+                <th>Particulars</th>
+                <th class="amount">Debit</th>
+                <th class="amount">Credit</th>
+                <th class="amount">Balance</th>
+            </tr>
+        </thead>
+        <tbody>
+            <tr class="summary-row">
+                <td>${formatDate(statement.from)}</td>
+                <td></td>
+                <td>Opening balance</td>
+                <td></td>
+                <td></td>
+                <td class="amount">${formatBalance(statement.openingBalance)}</td>
+            </tr>
+            ${statement.entries.map(entry => `
+            <tr>
+                <td>${formatDate(entry.date)}</td>
+                <td>${entry.reference}</td>
+                <td>${entry.description}</td>
+                <td class="amount">${entry.debit ? formatCurrency(entry.debit) : ''}</td>
+                <td class="amount">${entry.credit ? formatCurrency(entry.credit) : ''}</td>
+                <td class="amount">${formatBalance(entry.balance)}</td>
+            </tr>`).join('')}
+            <tr class="summary-row">
+                <td>${formatDate(statement.to)}</td>
+                <td></td>
+                <td>Closing balance</td>
+                <td class="amount">${formatCurrency(statement.totals.debit)}</td>
+                <td class="amount">${formatCurrency(statement.totals.credit)}</td>
+                <td class="amount">${formatBalance(statement.closingBalance)}</td>
+            </tr>
+        </tbody>
+    </table>
+
+    <h3>Aging of outstanding as on ${formatDate(statement.to)}</h3>
+    <table class="table">
+        <thead>
+            <tr>
+                ${statement.aging.buckets.map(bucket => `<th class="amount">${bucket.label} days</th>`).join('')}
+                <th class="amount">On account</th>
+                <th class="amount">Net outstanding</th>
+            </tr>
+        </thead>
+        <tbody>
+            <tr>
+                ${statement.aging.buckets.map(bucket => `<td class="amount">${formatCurrency(bucket.amount)}</td>`).join('')}
+                <td class="amount">${statement.aging.onAccount ? `-${formatCurrency(statement.aging.onAccount)}` : formatCurrency(0)}</td>
+                <td class="amount"><strong>${formatBalance(statement.aging.total)}</strong></td>
+            </tr>
+        </tbody>
+    </table>
+
+    ${statement.aging.invoices.length ? `
+    <table class="table">
+        <thead>
+            <tr>
+                <th>Invoice No.</th>
+                <th>Invoice Date</th>
+                <th>Due Date</th>
+                <th>Age (days)</th>
+                <th class="amount">Outstanding</th>
+            </tr>
+        </thead>
+        <tbody>
+            ${statement.aging.invoices.map(invoice => `
+            <tr>
+                <td>${invoice.invoiceNumber}</td>
+                <td>${formatDate(invoice.invoiceDate)}</td>
+                <td>${formatDate(invoice.dueDate)}</td>
+                <td>${invoice.ageDays}</td>
+                <td class="amount">${formatCurrency(invoice.balance)}</td>
+            </tr>`).join('')}
+        </tbody>
+    </table>` : ''}
+
+    <div class="footer">
+        <p>This is a computer generated statement generated on ${formatDate(statement.generatedAt)}.</p>
+        <p>Kindly notify us within 15 days in case you find any discrepancy; otherwise the balance will be taken as confirmed.</p>
+    </div>
+</body>
+</html>
+  `;
+};
+
+// Send a statement as PDF, falling back to HTML when PDF generation fails
+const sendStatementPdf = async (res, statement) => {
+  const htmlContent = generateStatementHTML(statement);
+  const filename = `statement-${statement.corporate.corporateId}-${statement.from}-to-${statement.to}`;
+
+  try {
+    const pdfBuffer = await PdfService.fromHtml(htmlContent);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+    res.send(pdfBuffer);
+
+  } catch (error) {
+    console.error('Statement PDF generation error:', error);
+    res.setHeader('Content-Type', 'text/html');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.html"`);
+    res.send(htmlContent);
+  }
+};
+
+// Statement as JSON, or as PDF with ?format=pdf
+const sendStatement = async (res, corporateId, query) => {
+  const statement = await StatementService.build(corporateId, query);
+  if (query.format === 'pdf') {
+    return sendStatementPdf(res, statement);
+  }
+  res.json({
+    success: true,
+    data: statement
+  });
+};
+
 // Get settlement summary for corporate
 router.get('/summary', authenticateCorporate, async (req, res) => {
   try {
@@ -152,7 +393,7 @@ router.get('/invoices', authenticateCorporate, async (req, res) => {
     const { status, page = 1, limit = 10 } = req.query;
     
     const query = { corporateId: req.corporate._id };
-    if (status && ['unpaid', 'paid', 'overdue'].includes(status)) {
+    if (status && INVOICE_STATUSES.includes(status)) {
       query.status = status;
     }
     
@@ -251,66 +492,42 @@ router.post('/generate-invoice', authenticateAdmin, async (req, res) => {
       });
     }
     
-    // Get corporate pricing to get fuel charge percentage
-    const CorporatePricing = (await import('../models/CorporatePricing.js')).default;
-    const pricing = await CorporatePricing.findOne({ 
-      corporateClient: corporateId,
-      status: 'approved'
-    });
-    
-    // Use fuel charge percentage from pricing, default to 15% if not found
-    const fuelChargePercentage = pricing?.fuelChargePercentage || 15;
+    // Fuel charge percentage per booking date from the corporate's plan versions
+    const fuelRateAt = await loadFuelRates(corporateId);
     
-    // Generate invoice number
-    const invoiceNumber = await Invoice.generateInvoiceNumber();
-    
-    // Calculate totals
-    let subtotal = 0;
-    let awbChargesTotal = 0;
-    let fuelSurchargeTotal = 0;
-    let cgstTotal = 0;
-    let sgstTotal = 0;
+    // CGST + SGST or IGST depending on where the corporate is registered
+    const placeOfSupply = GstService.placeOfSupply(corporate);
     
     const processedShipments = shipments.map(shipment => {
+      const isRto = shipment.lineType === 'rto';
+      const { fuelChargePercentage, pricingVersion } = fuelRateAt(shipment.pricedOn || shipment.bookingDate);
       const freightCharges = parseFloat(shipment.freightCharges) || 0;
-      const awbCharge = 50; // 50rs per AWB
-      const fuelSurcharge = freightCharges * (fuelChargePercentage / 100); // Dynamic fuel surcharge percentage
-      const cgst = freightCharges * 0.09; // 9% CGST
-      const sgst = freightCharges * 0.09; // 9% SGST
-      const totalAmount = freightCharges + awbCharge + fuelSurcharge + cgst + sgst;
       
-      subtotal += freightCharges;
-      awbChargesTotal += awbCharge;
-      fuelSurchargeTotal += fuelSurcharge;
-      cgstTotal += cgst;
-      sgstTotal += sgst;
-      
-      return {
+      return applyLineTax({
+        lineType: isRto ? 'rto' : 'forward',
         consignmentNumber: shipment.consignmentNumber,
         bookingDate: new Date(shipment.bookingDate),
+        origin: shipment.origin || 'N/A',
         destination: shipment.destination,
         serviceType: shipment.serviceType === 'DOX' ? 'DOX' : 'NON-DOX',
         weight: parseFloat(shipment.weight) || 0,
         freightCharges: freightCharges,
-        awbCharge: awbCharge,
-        fuelSurcharge: fuelSurcharge,
-        cgst: cgst,
-        sgst: sgst,
-        totalAmount: totalAmount
-      };
+        awbCharge: isRto ? 0 : AWB_CHARGE, // The return leg of an RTO reuses the forward AWB
+        fuelChargePercentage: fuelChargePercentage,
+        pricingVersion: pricingVersion,
+        fuelSurcharge: round(freightCharges * (fuelChargePercentage / 100)), // Dynamic fuel surcharge percentage
+        codCharge: isRto ? 0 : parseFloat(shipment.codCharge) || 0
+      }, placeOfSupply);
     });
     
-    const grandTotal = subtotal + awbChargesTotal + fuelSurchargeTotal + cgstTotal + sgstTotal;
-    
     // Create invoice
     const invoice = new Invoice({
-      invoiceNumber: invoiceNumber,
       corporateId: corporateId,
       companyName: corporate.companyName,
       companyAddress: corporate.fullAddress,
       gstNumber: corporate.gstNumber,
       state: corporate.state,
-      stateCode: '18', // Default to Assam
+      ...invoiceGstFields(placeOfSupply),
       contactNumber: corporate.contactNumber,
       email: corporate.email,
       invoicePeriod: {
@@ -318,16 +535,11 @@ router.post('/generate-invoice', authenticateAdmin, async (req, res) => {
         endDate: new Date(endDate)
       },
       shipments: processedShipments,
-      subtotal: subtotal,
-      awbChargesTotal: awbChargesTotal,
-      fuelSurchargeTotal: fuelSurchargeTotal,
-      fuelChargePercentage: fuelChargePercentage,
-      cgstTotal: cgstTotal,
-      sgstTotal: sgstTotal,
-      grandTotal: grandTotal,
+      ...sumInvoiceLines(processedShipments),
+      fuelChargePercentage: latestFuelPercentage(processedShipments),
       amountInWords: '', // Will be set by pre-save middleware
       status: 'unpaid',
-      dueDate: new Date(new Date().getFullYear(), new Date().getMonth() + 1, 0), // 30 days from now
+      dueDate: invoiceDueDate(corporate),
       termsAndConditions: [
         'Invoice Amount To Be Paid By Same Days From The Date Of Invoice',
         'Payment Should Be Crossed Account Payee Cheque/Demand Draft or Digital Transfer Our Courier & Logistics Services (I) Pvt.Ltd',
@@ -336,13 +548,13 @@ router.post('/generate-invoice', authenticateAdmin, async (req, res) => {
       createdBy: req.admin._id
     });
     
-    await invoice.save();
-    
-    // Mark shipments as invoiced
-    const shipmentIds = shipments.map(s => s._id);
-    await ConsignmentUsage.markAsInvoiced(shipmentIds, invoice._id);
+    // Claim the shipments and RTO legs, then number and save the invoice
+    await InvoiceService.issue(invoice, {
+      usageIds: shipments.filter(s => s.lineType !== 'rto').map(s => s._id),
+      rtoUsageIds: shipments.filter(s => s.lineType === 'rto').map(s => s._id)
+    });
     
-    console.log(`✅ Invoice generated: ${invoiceNumber} for ${corporate.companyName}`);
+    console.log(`✅ Invoice generated: ${invoice.invoiceNumber} for ${corporate.companyName}`);
     
     res.json({
       success: true,
@@ -357,7 +569,12 @@ router.post('/generate-invoice', authenticateAdmin, async (req, res) => {
     
   } catch (error) {
     console.error('Generate invoice error:', error);
-    if (error.name === 'ValidationError') {
+    if (error.status) {
+      res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    } else if (error.name === 'ValidationError') {
       const validationErrors = Object.values(error.errors).map(e => e.message);
       res.status(400).json({
         success: false,
@@ -373,7 +590,16 @@ router.post('/generate-invoice', authenticateAdmin, async (req, res) => {
   }
 });
 
-// Mark invoice as paid (Admin only)
+// Receipt mode recorded for the payment methods mark-paid accepts
+const MARK_PAID_MODES = {
+  cheque: 'cheque',
+  bank_transfer: 'neft',
+  cash: 'cash',
+  other: 'other'
+};
+
+// Mark invoice as paid (Admin only). Records a receipt for the balance due; part payments
+// and TDS go through /api/payments/receipts.
 router.patch('/invoices/:invoiceId/mark-paid', authenticateAdmin, async (req, res) => {
   try {
     const { paymentMethod, paymentReference } = req.body;
@@ -385,19 +611,40 @@ router.patch('/invoices/:invoiceId/mark-paid', authenticateAdmin, async (req, re
       });
     }
     
-    const invoice = await Invoice.findById(req.params.invoiceId);
-    if (!invoice) {
+    if (!MARK_PAID_MODES[paymentMethod]) {
+      return res.status(400).json({
+        success: false,
+        error: `Payment method must be one of: ${Object.keys(MARK_PAID_MODES).join(', ')}`
+      });
+    }
+    
+    const outstanding = await Invoice.findById(req.params.invoiceId);
+    if (!outstanding) {
       return res.status(404).json({
         success: false,
         error: 'Invoice not found'
       });
     }
+    if (outstanding.balanceDue <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invoice has nothing left to pay'
+      });
+    }
     
-    await invoice.markAsPaid(paymentMethod, paymentReference);
+    const receipt = await PaymentService.record({
+      corporateId: outstanding.corporateId,
+      paymentMode: MARK_PAID_MODES[paymentMethod],
+      reference: paymentReference,
+      amountReceived: outstanding.balanceDue,
+      allocations: [{ invoiceId: outstanding._id, amount: outstanding.balanceDue }]
+    }, req.admin);
+    
+    const invoice = await Invoice.findById(outstanding._id);
     invoice.lastModifiedBy = req.admin._id;
     await invoice.save();
     
-    console.log(`✅ Invoice ${invoice.invoiceNumber} marked as paid`);
+    console.log(`✅ Invoice ${invoice.invoiceNumber} marked as paid with receipt ${receipt.receiptNumber}`);
     
     res.json({
       success: true,
@@ -406,12 +653,19 @@ router.patch('/invoices/:invoiceId/mark-paid', authenticateAdmin, async (req, re
         invoiceNumber: invoice.invoiceNumber,
         paymentDate: invoice.paymentDate,
         paymentMethod: invoice.paymentMethod,
-        paymentReference: invoice.paymentReference
+        paymentReference: paymentReference,
+        receiptNumber: receipt.receiptNumber
       }
     });
     
   } catch (error) {
     console.error('Mark invoice paid error:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       error: 'Failed to mark invoice as paid'
@@ -438,6 +692,12 @@ router.get('/unpaid-shipments/:corporateId', authenticateAdmin, async (req, res)
       endDate
     );
     
+    const unpaidRtoShipments = await ConsignmentUsage.findUnpaidRtoByCorporate(
+      req.params.corporateId,
+      startDate,
+      endDate
+    ).lean();
+    
     // Format shipment data for invoice
     const formattedShipments = unpaidShipments.map(usage => {
       const bookingData = usage.bookingData;
@@ -445,13 +705,16 @@ router.get('/unpaid-shipments/:corporateId', authenticateAdmin, async (req, res)
         _id: usage._id,
         consignmentNumber: usage.consignmentNumber,
         bookingDate: usage.usedAt,
+        origin: bookingData.originData?.city || 'N/A',
         destination: bookingData.destinationData?.city || 'N/A',
         serviceType: bookingData.shipmentData?.natureOfConsignment === 'DOX' ? 'DOX' : 'NON-DOX',
-        weight: bookingData.shipmentData?.actualWeight || bookingData.shipmentData?.chargeableWeight || 0,
+        weight: bookingData.shipmentData?.chargeableWeight || bookingData.shipmentData?.actualWeight || 0,
         freightCharges: usage.freightCharges || 0,
+        codCharge: usage.cod?.charge || 0,
         totalAmount: usage.totalAmount || 0
       };
     });
+    formattedShipments.push(...unpaidRtoShipments.map(formatRtoBill));
     
     res.json({
       success: true,
@@ -531,9 +794,11 @@ router.get('/admin/consolidated-invoice', authenticateAdmin, async (req, res) =>
       .sort({ usedAt: 1 }) // Sort by date ascending
       .lean();
     
-    console.log('Found unpaid shipments:', unpaidShipments.length);
+    const unpaidRtoShipments = await ConsignmentUsage.findUnpaidRtoByCorporate(actualCorporateId).lean();
     
-    if (unpaidShipments.length === 0) {
+    console.log('Found unpaid shipments:', unpaidShipments.length, 'RTO legs:', unpaidRtoShipments.length);
+    
+    if (unpaidShipments.length === 0 && unpaidRtoShipments.length === 0) {
       return res.json({
         success: true,
         data: {
@@ -562,17 +827,19 @@ router.get('/admin/consolidated-invoice', authenticateAdmin, async (req, res) =>
         bookingDate: usage.usedAt,
         destination: bookingData.destinationData?.city || 'N/A',
         serviceType: bookingData.shipmentData?.natureOfConsignment === 'DOX' ? 'DOX' : 'NON-DOX',
-        weight: bookingData.shipmentData?.actualWeight || bookingData.shipmentData?.chargeableWeight || 0,
+        weight: bookingData.shipmentData?.chargeableWeight || bookingData.shipmentData?.actualWeight || 0,
         freightCharges: usage.freightCharges || 0,
+        codCharge: usage.cod?.charge || 0,
         totalAmount: usage.totalAmount || 0,
         status: usage.status,
         paymentStatus: usage.paymentStatus
       };
     });
+    shipments.push(...unpaidRtoShipments.map(formatRtoBill));
     
     // Calculate totals
-    const totalAmount = unpaidShipments.reduce((sum, usage) => sum + (usage.totalAmount || 0), 0);
-    const totalFreight = unpaidShipments.reduce((sum, usage) => sum + (usage.freightCharges || 0), 0);
+    const totalAmount = shipments.reduce((sum, shipment) => sum + (shipment.totalAmount || 0), 0);
+    const totalFreight = shipments.reduce((sum, shipment) => sum + (shipment.freightCharges || 0), 0);
     
     // Create consolidated invoice
     const consolidatedInvoice = {
@@ -606,7 +873,7 @@ router.get('/admin/consolidated-invoice', authenticateAdmin, async (req, res) =>
       data: {
         consolidatedInvoice: consolidatedInvoice,
         summary: {
-          totalBills: unpaidShipments.length,
+          totalBills: shipments.length,
           totalAmount: totalAmount,
           totalFreight: totalFreight,
           gstAmount: totalAmount - totalFreight
@@ -663,7 +930,7 @@ router.get('/admin/invoices', authenticateAdmin, async (req, res) => {
         }
       }
     }
-    if (status && ['unpaid', 'paid', 'overdue'].includes(status)) {
+    if (status && INVOICE_STATUSES.includes(status)) {
       query.status = status;
     }
     
@@ -724,6 +991,46 @@ router.get('/admin/overdue', authenticateAdmin, async (req, res) => {
   }
 });
 
+// Statement of account of the corporate for ?from=&to= (YYYY-MM-DD), with aging
+router.get('/statement', authenticateCorporate, async (req, res) => {
+  try {
+    await sendStatement(res, req.corporate._id, req.query);
+
+  } catch (error) {
+    console.error('Get statement error:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate statement'
+    });
+  }
+});
+
+// Statement of account of any corporate (Admin only)
+router.get('/admin/statement/:corporateId', authenticateAdmin, async (req, res) => {
+  try {
+    await sendStatement(res, req.params.corporateId, req.query);
+
+  } catch (error) {
+    console.error('Get admin statement error:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate statement'
+    });
+  }
+});
+
 // Get unpaid bills for corporate (Corporate users)
 router.get('/unpaid-bills', authenticateCorporate, async (req, res) => {
   try {
@@ -762,6 +1069,11 @@ router.get('/unpaid-bills', authenticateCorporate, async (req, res) => {
     
     const total = await ConsignmentUsage.countDocuments(query);
     
+    // RTO legs are billed on their own, dated by when the return started
+    const rtoEndDate = endDate ? new Date(new Date(endDate).getTime() + 24 * 60 * 60 * 1000) : undefined;
+    const unpaidRtoShipments = await ConsignmentUsage.findUnpaidRtoByCorporate(req.corporate._id, startDate, rtoEndDate).lean();
+    const rtoBills = unpaidRtoShipments.map(formatRtoBill);
+    
     // Format shipment data for display
     const formattedBills = unpaidShipments.map(usage => {
       const bookingData = usage.bookingData;
@@ -772,8 +1084,9 @@ router.get('/unpaid-bills', authenticateCorporate, async (req, res) => {
         bookingDate: usage.usedAt,
         destination: bookingData.destinationData?.city || 'N/A',
         serviceType: bookingData.shipmentData?.natureOfConsignment === 'DOX' ? 'DOX' : 'NON-DOX',
-        weight: bookingData.shipmentData?.actualWeight || bookingData.shipmentData?.chargeableWeight || 0,
+        weight: bookingData.shipmentData?.chargeableWeight || bookingData.shipmentData?.actualWeight || 0,
         freightCharges: usage.freightCharges || 0,
+        codCharge: usage.cod?.charge || 0,
         totalAmount: usage.totalAmount || 0,
         status: usage.status,
         paymentStatus: usage.paymentStatus
@@ -781,15 +1094,16 @@ router.get('/unpaid-bills', authenticateCorporate, async (req, res) => {
     });
     
     // Calculate totals
-    const totalAmount = unpaidShipments.reduce((sum, usage) => sum + (usage.totalAmount || 0), 0);
-    const totalFreight = unpaidShipments.reduce((sum, usage) => sum + (usage.freightCharges || 0), 0);
+    const totalAmount = [...unpaidShipments, ...rtoBills].reduce((sum, bill) => sum + (bill.totalAmount || 0), 0);
+    const totalFreight = [...unpaidShipments, ...rtoBills].reduce((sum, bill) => sum + (bill.freightCharges || 0), 0);
     
     res.json({
       success: true,
       data: {
         bills: formattedBills,
+        rtoBills: rtoBills,
         summary: {
-          totalBills: total,
+          totalBills: total + rtoBills.length,
           totalAmount: totalAmount,
           totalFreight: totalFreight,
           gstAmount: totalAmount - totalFreight
@@ -815,10 +1129,10 @@ router.get('/unpaid-bills', authenticateCorporate, async (req, res) => {
 // Generate consolidated invoice from unpaid bills (Corporate users)
 router.post('/generate-invoice', authenticateCorporate, async (req, res) => {
   try {
-    const { bills } = req.body;
+    const { bills, rtoBills = [] } = req.body;
     
     // Validate required fields
-    if (!bills || !Array.isArray(bills) || bills.length === 0) {
+    if (!Array.isArray(bills) || !Array.isArray(rtoBills) || bills.length + rtoBills.length === 0) {
       return res.status(400).json({
         success: false,
         error: 'Bills array is required and must not be empty'
@@ -834,7 +1148,14 @@ router.post('/generate-invoice', authenticateCorporate, async (req, res) => {
       status: 'active'
     }).lean();
     
-    if (unpaidShipments.length === 0) {
+    // Return legs of RTO shipments selected for billing
+    const unpaidRtoShipments = await ConsignmentUsage.find({
+      _id: { $in: rtoBills },
+      corporateId: req.corporate._id,
+      'rto.paymentStatus': 'unpaid'
+    }).lean();
+    
+    if (unpaidShipments.length === 0 && unpaidRtoShipments.length === 0) {
       return res.status(404).json({
         success: false,
         error: 'No unpaid bills found for the specified IDs'
@@ -850,84 +1171,37 @@ router.post('/generate-invoice', authenticateCorporate, async (req, res) => {
       });
     }
     
-    // Get corporate pricing to get fuel charge percentage
-    const CorporatePricing = (await import('../models/CorporatePricing.js')).default;
-    const pricing = await CorporatePricing.findOne({ 
-      corporateClient: req.corporate._id,
-      status: 'approved'
-    });
-    
-    // Use fuel charge percentage from pricing, default to 15% if not found
-    const fuelChargePercentage = pricing?.fuelChargePercentage || 15;
-    
-    // Generate invoice number
-    const invoiceNumber = await Invoice.generateInvoiceNumber();
+    // Fuel charge percentage per booking date from the corporate's plan versions
+    const fuelRateAt = await loadFuelRates(req.corporate._id);
     
-    // Calculate totals
-    let subtotal = 0;
-    let awbChargesTotal = 0;
-    let fuelSurchargeTotal = 0;
-    let cgstTotal = 0;
-    let sgstTotal = 0;
-    
-    const processedShipments = unpaidShipments.map(usage => {
-      const bookingData = usage.bookingData;
-      const freightCharges = parseFloat(usage.freightCharges) || 0;
-      const awbCharge = 50; // 50rs per AWB
-      const fuelSurcharge = freightCharges * (fuelChargePercentage / 100); // Dynamic fuel surcharge percentage
-      const cgst = freightCharges * 0.09; // 9% CGST
-      const sgst = freightCharges * 0.09; // 9% SGST
-      const totalAmount = freightCharges + awbCharge + fuelSurcharge + cgst + sgst;
-      
-      subtotal += freightCharges;
-      awbChargesTotal += awbCharge;
-      fuelSurchargeTotal += fuelSurcharge;
-      cgstTotal += cgst;
-      sgstTotal += sgst;
-      
-      return {
-        consignmentNumber: usage.consignmentNumber,
-        bookingDate: usage.usedAt,
-        destination: bookingData.destinationData?.city || 'N/A',
-        serviceType: bookingData.shipmentData?.natureOfConsignment === 'DOX' ? 'DOX' : 'NON-DOX',
-        weight: bookingData.shipmentData?.actualWeight || bookingData.shipmentData?.chargeableWeight || 0,
-        freightCharges: freightCharges,
-        awbCharge: awbCharge,
-        fuelSurcharge: fuelSurcharge,
-        cgst: cgst,
-        sgst: sgst,
-        totalAmount: totalAmount
-      };
-    });
+    // CGST + SGST or IGST depending on where the corporate is registered
+    const placeOfSupply = GstService.placeOfSupply(corporate);
     
-    const grandTotal = subtotal + awbChargesTotal + fuelSurchargeTotal + cgstTotal + sgstTotal;
+    const processedShipments = [
+      ...unpaidShipments.map(usage => buildInvoiceLine(usage, fuelRateAt, placeOfSupply)),
+      ...buildRtoInvoiceLines(unpaidRtoShipments, fuelRateAt, placeOfSupply)
+    ];
     
     // Create invoice
     const invoice = new Invoice({
-      invoiceNumber: invoiceNumber,
       corporateId: req.corporate._id,
       companyName: corporate.companyName,
       companyAddress: corporate.fullAddress,
       gstNumber: corporate.gstNumber,
       state: corporate.state,
-      stateCode: '18', // Default to Assam
+      ...invoiceGstFields(placeOfSupply),
       contactNumber: corporate.contactNumber,
       email: corporate.email,
       invoicePeriod: {
-        startDate: new Date(Math.min(...unpaidShipments.map(s => new Date(s.usedAt)))),
-        endDate: new Date(Math.max(...unpaidShipments.map(s => new Date(s.usedAt))))
+        startDate: new Date(Math.min(...processedShipments.map(s => new Date(s.bookingDate)))),
+        endDate: new Date(Math.max(...processedShipments.map(s => new Date(s.bookingDate))))
       },
       shipments: processedShipments,
-      subtotal: subtotal,
-      awbChargesTotal: awbChargesTotal,
-      fuelSurchargeTotal: fuelSurchargeTotal,
-      fuelChargePercentage: fuelChargePercentage,
-      cgstTotal: cgstTotal,
-      sgstTotal: sgstTotal,
-      grandTotal: grandTotal,
+      ...sumInvoiceLines(processedShipments),
+      fuelChargePercentage: latestFuelPercentage(processedShipments),
       amountInWords: '', // Will be set by pre-save middleware
       status: 'unpaid',
-      dueDate: new Date(new Date().getFullYear(), new Date().getMonth() + 1, 0), // 30 days from now
+      dueDate: invoiceDueDate(corporate),
       termsAndConditions: [
         'Invoice Amount To Be Paid By Same Days From The Date Of Invoice',
         'Payment Should Be Crossed Account Payee Cheque/Demand Draft or Digital Transfer Our Courier & Logistics Services (I) Pvt.Ltd',
@@ -936,13 +1210,13 @@ router.post('/generate-invoice', authenticateCorporate, async (req, res) => {
       createdBy: req.corporate._id
     });
     
-    await invoice.save();
-    
-    // Mark shipments as invoiced
-    const shipmentIds = unpaidShipments.map(s => s._id);
-    await ConsignmentUsage.markAsInvoiced(shipmentIds, invoice._id);
+    // Claim the shipments and RTO legs, then number and save the invoice
+    await InvoiceService.issue(invoice, {
+      usageIds: unpaidShipments.map(s => s._id),
+      rtoUsageIds: unpaidRtoShipments.map(s => s._id)
+    });
     
-    console.log(`✅ Consolidated invoice generated: ${invoiceNumber} for ${corporate.companyName}`);
+    console.log(`✅ Consolidated invoice generated: ${invoice.invoiceNumber} for ${corporate.companyName}`);
     
     res.json({
       success: true,
@@ -952,13 +1226,18 @@ router.post('/generate-invoice', authenticateCorporate, async (req, res) => {
         grandTotal: invoice.grandTotal,
         dueDate: invoice.dueDate,
         invoiceId: invoice._id,
-        totalBills: unpaidShipments.length
+        totalBills: processedShipments.length
       }
     });
     
   } catch (error) {
     console.error('Generate consolidated invoice error:', error);
-    if (error.name === 'ValidationError') {
+    if (error.status) {
+      res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    } else if (error.name === 'ValidationError') {
       const validationErrors = Object.values(error.errors).map(e => e.message);
       res.status(400).json({
         success: false,
@@ -979,8 +1258,9 @@ router.get('/download-consolidated-invoice', authenticateCorporate, async (req,
   try {
     // Get all unpaid FP bills for this corporate (TP shipments are excluded from settlement)
     const unpaidShipments = await ConsignmentUsage.findUnpaidFPByCorporate(req.corporate._id).lean();
+    const unpaidRtoShipments = await ConsignmentUsage.findUnpaidRtoByCorporate(req.corporate._id).lean();
     
-    if (unpaidShipments.length === 0) {
+    if (unpaidShipments.length === 0 && unpaidRtoShipments.length === 0) {
       return res.status(404).json({
         success: false,
         error: 'No unpaid bills found'
@@ -996,73 +1276,32 @@ router.get('/download-consolidated-invoice', authenticateCorporate, async (req,
       });
     }
     
-    // Get corporate pricing to get fuel charge percentage
-    const CorporatePricing = (await import('../models/CorporatePricing.js')).default;
-    const pricing = await CorporatePricing.findOne({ 
-      corporateClient: req.corporate._id,
-      status: 'approved'
-    });
+    // Fuel charge percentage per booking date from the corporate's plan versions
+    const fuelRateAt = await loadFuelRates(req.corporate._id);
     
-    // Use fuel charge percentage from pricing, default to 15% if not found
-    const fuelChargePercentage = pricing?.fuelChargePercentage || 15;
+    // CGST + SGST or IGST depending on where the corporate is registered
+    const placeOfSupply = GstService.placeOfSupply(corporate);
     
-    // Calculate totals
-    let subtotal = 0;
-    let awbChargesTotal = 0;
-    let fuelSurchargeTotal = 0;
-    let cgstTotal = 0;
-    let sgstTotal = 0;
-    
-    const processedShipments = unpaidShipments.map(usage => {
-      const bookingData = usage.bookingData;
-      const freightCharges = parseFloat(usage.freightCharges) || 0;
-      const awbCharge = 50; // 50rs per AWB
-      const fuelSurcharge = freightCharges * (fuelChargePercentage / 100); // Dynamic fuel surcharge percentage
-      const cgst = freightCharges * 0.09; // 9% CGST
-      const sgst = freightCharges * 0.09; // 9% SGST
-      const totalAmount = freightCharges + awbCharge + fuelSurcharge + cgst + sgst;
-      
-      subtotal += freightCharges;
-      awbChargesTotal += awbCharge;
-      fuelSurchargeTotal += fuelSurcharge;
-      cgstTotal += cgst;
-      sgstTotal += sgst;
-      
-      return {
-        consignmentNumber: usage.consignmentNumber,
-        bookingDate: usage.usedAt,
-        destination: bookingData.destinationData?.city || 'N/A',
-        serviceType: bookingData.shipmentData?.natureOfConsignment === 'DOX' ? 'DOX' : 'NON-DOX',
-        weight: bookingData.shipmentData?.actualWeight || bookingData.shipmentData?.chargeableWeight || 0,
-        freightCharges: freightCharges,
-        awbCharge: awbCharge,
-        fuelSurcharge: fuelSurcharge,
-        cgst: cgst,
-        sgst: sgst,
-        totalAmount: totalAmount
-      };
-    });
-    
-    const grandTotal = subtotal + awbChargesTotal + fuelSurchargeTotal + cgstTotal + sgstTotal;
+    const processedShipments = [
+      ...unpaidShipments.map(usage => buildInvoiceLine(usage, fuelRateAt, placeOfSupply)),
+      ...buildRtoInvoiceLines(unpaidRtoShipments, fuelRateAt, placeOfSupply)
+    ];
     
     // Create temporary invoice data for PDF generation
     const invoiceData = {
       invoiceNumber: `CONS-${new Date().getFullYear()}-${String(new Date().getMonth() + 1).padStart(2, '0')}-${String(new Date().getDate()).padStart(2, '0')}`,
       invoiceDate: new Date(),
-      dueDate: new Date(new Date().getFullYear(), new Date().getMonth() + 1, 0),
+      dueDate: invoiceDueDate(corporate),
       companyName: corporate.companyName,
       companyAddress: corporate.fullAddress,
       gstNumber: corporate.gstNumber,
+      state: corporate.state,
+      ...invoiceGstFields(placeOfSupply),
       contactNumber: corporate.contactNumber,
       email: corporate.email,
       shipments: processedShipments,
-      subtotal: subtotal,
-      awbChargesTotal: awbChargesTotal,
-      fuelSurchargeTotal: fuelSurchargeTotal,
-      fuelChargePercentage: fuelChargePercentage,
-      cgstTotal: cgstTotal,
-      sgstTotal: sgstTotal,
-      grandTotal: grandTotal,
+      ...sumInvoiceLines(processedShipments),
+      fuelChargePercentage: latestFuelPercentage(processedShipments),
       status: 'pending'
     };
     
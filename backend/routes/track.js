@@ -0,0 +1,69 @@
+import express from 'express';
+import TrackingService, { MAX_BATCH_SIZE } from '../services/trackingService.js';
+
+const router = express.Router();
+
+// Track several consignments at once (public endpoint)
+// Accepts { awbs: [...] } in the body
+router.post('/batch', async (req, res) => {
+  try {
+    const { awbs } = req.body || {};
+
+    if (!Array.isArray(awbs) || awbs.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'awbs must be a non-empty array of consignment numbers'
+      });
+    }
+
+    if (awbs.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        success: false,
+        error: `A maximum of ${MAX_BATCH_SIZE} consignment numbers can be tracked at once`
+      });
+    }
+
+    const { shipments, notFound } = await TrackingService.resolveMany(awbs);
+
+    res.json({
+      success: true,
+      data: shipments,
+      notFound
+    });
+
+  } catch (error) {
+    console.error('Batch track error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to track consignments'
+    });
+  }
+});
+
+// Track a single consignment (public endpoint)
+router.get('/:awb', async (req, res) => {
+  try {
+    const shipment = await TrackingService.resolve(req.params.awb);
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Consignment number not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: shipment
+    });
+
+  } catch (error) {
+    console.error('Track consignment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to track consignment'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,346 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import WebhookSubscription, { MAX_SUBSCRIPTIONS_PER_CORPORATE } from '../models/WebhookSubscription.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { TRACKING_STATUSES, TRACKING_STATUS_INFO } from '../models/TrackingEvent.js';
+import WebhookService from '../services/webhookService.js';
+import { authenticateCorporate } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Validation failed',
+  details: Object.values(error.errors).map(err => err.message)
+});
+
+const findSubscription = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return null;
+  }
+  return WebhookSubscription.findOne({ _id: req.params.id, corporateId: req.corporate._id });
+};
+
+// List events a subscription can listen to
+router.get('/events', authenticateCorporate, (req, res) => {
+  res.json({
+    success: true,
+    data: TRACKING_STATUSES.map(status => ({
+      value: status,
+      event: WebhookService.eventName(status),
+      label: TRACKING_STATUS_INFO[status].label,
+      description: TRACKING_STATUS_INFO[status].description
+    }))
+  });
+});
+
+// List webhook subscriptions of the logged in corporate
+router.get('/subscriptions', authenticateCorporate, async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find({ corporateId: req.corporate._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: subscriptions
+    });
+
+  } catch (error) {
+    console.error('Get webhook subscriptions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get webhook subscriptions'
+    });
+  }
+});
+
+// Create a webhook subscription. The secret is only returned here and on rotation.
+router.post('/subscriptions', authenticateCorporate, async (req, res) => {
+  try {
+    const { url, description, events } = req.body;
+
+    const urlProblem = await WebhookService.checkUrl(url);
+    if (urlProblem) {
+      return res.status(400).json({
+        success: false,
+        error: urlProblem
+      });
+    }
+
+    const count = await WebhookSubscription.countDocuments({ corporateId: req.corporate._id });
+    if (count >= MAX_SUBSCRIPTIONS_PER_CORPORATE) {
+      return res.status(400).json({
+        success: false,
+        error: `You can register at most ${MAX_SUBSCRIPTIONS_PER_CORPORATE} webhook endpoints`
+      });
+    }
+
+    const subscription = await WebhookSubscription.create({
+      corporateId: req.corporate._id,
+      url,
+      description,
+      events: Array.isArray(events) ? [...new Set(events)] : []
+    });
+
+    console.log(`🪝 Webhook subscription created for ${req.corporate.corporateId}: ${subscription.url}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook subscription created',
+      data: subscription,
+      secret: subscription.secret
+    });
+
+  } catch (error) {
+    console.error('Create webhook subscription error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create webhook subscription'
+    });
+  }
+});
+
+// Update URL, description, events or enable/disable a subscription
+router.put('/subscriptions/:id', authenticateCorporate, async (req, res) => {
+  try {
+    const subscription = await findSubscription(req);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook subscription not found'
+      });
+    }
+
+    const { url, description, events, isActive } = req.body;
+
+    if (url !== undefined) {
+      const urlProblem = await WebhookService.checkUrl(url);
+      if (urlProblem) {
+        return res.status(400).json({
+          success: false,
+          error: urlProblem
+        });
+      }
+      subscription.url = url;
+    }
+    if (description !== undefined) subscription.description = description;
+    if (Array.isArray(events)) subscription.events = [...new Set(events)];
+    if (isActive !== undefined) subscription.isActive = Boolean(isActive);
+
+    await subscription.save();
+
+    res.json({
+      success: true,
+      message: 'Webhook subscription updated',
+      data: subscription
+    });
+
+  } catch (error) {
+    console.error('Update webhook subscription error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update webhook subscription'
+    });
+  }
+});
+
+// Delete a subscription; its pending retries are dropped
+router.delete('/subscriptions/:id', authenticateCorporate, async (req, res) => {
+  try {
+    const subscription = await findSubscription(req);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook subscription not found'
+      });
+    }
+
+    await subscription.deleteOne();
+    await WebhookDelivery.updateMany(
+      { subscriptionId: subscription._id, status: 'pending' },
+      { status: 'failed', nextAttemptAt: null }
+    );
+
+    res.json({
+      success: true,
+      message: 'Webhook subscription deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete webhook subscription error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete webhook subscription'
+    });
+  }
+});
+
+// Replace the signing secret
+router.post('/subscriptions/:id/rotate-secret', authenticateCorporate, async (req, res) => {
+  try {
+    const subscription = await findSubscription(req);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook subscription not found'
+      });
+    }
+
+    const secret = subscription.rotateSecret();
+    await subscription.save();
+
+    res.json({
+      success: true,
+      message: 'Signing secret rotated',
+      data: subscription,
+      secret
+    });
+
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate signing secret'
+    });
+  }
+});
+
+// Send a ping event to check the endpoint
+router.post('/subscriptions/:id/test', authenticateCorporate, async (req, res) => {
+  try {
+    const subscription = await findSubscription(req);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook subscription not found'
+      });
+    }
+
+    if (!subscription.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'Enable the subscription before sending a test event'
+      });
+    }
+
+    const delivery = await WebhookService.sendPing(subscription);
+
+    res.json({
+      success: true,
+      message: delivery.status === 'delivered' ? 'Test event delivered' : 'Test event could not be delivered',
+      data: delivery
+    });
+
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send test event'
+    });
+  }
+});
+
+// Delivery log of the logged in corporate
+router.get('/deliveries', authenticateCorporate, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const query = { corporateId: req.corporate._id };
+    if (req.query.status && req.query.status !== 'all') {
+      query.status = req.query.status;
+    }
+    if (req.query.subscriptionId && mongoose.Types.ObjectId.isValid(req.query.subscriptionId)) {
+      query.subscriptionId = req.query.subscriptionId;
+    }
+    if (req.query.consignmentNumber) {
+      query.consignmentNumber = Number(req.query.consignmentNumber);
+    }
+
+    const [deliveries, totalCount] = await Promise.all([
+      WebhookDelivery.find(query)
+        .select('-attempts.responseBody')
+        .populate('subscriptionId', 'url description')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      WebhookDelivery.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: deliveries,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount,
+        hasNext: page * limit < totalCount,
+        hasPrev: page > 1,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get webhook deliveries'
+    });
+  }
+});
+
+// Send a delivery again with the same payload and a fresh retry schedule
+router.post('/deliveries/:id/resend', authenticateCorporate, async (req, res) => {
+  try {
+    const delivery = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await WebhookDelivery.findOne({ _id: req.params.id, corporateId: req.corporate._id }).select('-attempts.responseBody')
+      : null;
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook delivery not found'
+      });
+    }
+
+    const subscription = await WebhookSubscription.findById(delivery.subscriptionId);
+    if (!subscription || !subscription.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'The subscription for this delivery is disabled or deleted'
+      });
+    }
+
+    delivery.resetForResend();
+    await WebhookService.deliver(delivery);
+
+    res.json({
+      success: true,
+      message: delivery.status === 'delivered' ? 'Delivery resent' : 'Resend failed, it will be retried automatically',
+      data: delivery
+    });
+
+  } catch (error) {
+    console.error('Resend webhook delivery error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resend delivery'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,225 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import PricingZone from '../models/PricingZone.js';
+import PinCodeArea from '../models/PinCodeArea.js';
+import ZoneService from '../services/zoneService.js';
+import { authenticateAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Fields an admin can set on a zone; the code is fixed once created because plans key their rates by it
+const EDITABLE_FIELDS = ['name', 'description', 'isOda', 'pincodes', 'pincodeRanges', 'districts', 'states', 'priority', 'isActive'];
+
+const pickZoneFields = (body) => {
+  const fields = Object.fromEntries(
+    EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+  );
+  ['districts', 'states'].forEach(field => {
+    if (Array.isArray(fields[field])) {
+      fields[field] = [...new Set(fields[field].map(name => String(name).trim()).filter(Boolean))];
+    }
+  });
+  if (Array.isArray(fields.pincodes)) {
+    fields.pincodes = [...new Set(fields.pincodes.map(pin => parseInt(pin)).filter(Number.isFinite))];
+  }
+  return fields;
+};
+
+const validationResponse = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Validation failed',
+  details: Object.values(error.errors).map(err => err.message)
+});
+
+// Admin: list the zone master
+router.get('/', authenticateAdmin, async (req, res) => {
+  try {
+    const zones = await PricingZone.find()
+      .sort({ category: 1, priority: -1, name: 1 })
+      .populate('createdBy', 'name email');
+
+    res.json({
+      success: true,
+      data: zones
+    });
+
+  } catch (error) {
+    console.error('Get pricing zones error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get pricing zones'
+    });
+  }
+});
+
+// Admin: states, or the districts of a state, as listed in Pin_Code_Area
+// Query: state (optional)
+router.get('/areas', authenticateAdmin, async (req, res) => {
+  try {
+    const { state } = req.query;
+    const names = state
+      ? await PinCodeArea.distinct('distrcitname', { statename: state })
+      : await PinCodeArea.distinct('statename');
+
+    res.json({
+      success: true,
+      data: names.filter(Boolean).sort()
+    });
+
+  } catch (error) {
+    console.error('Get zone areas error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get areas'
+    });
+  }
+});
+
+// Admin: show how a pincode is zoned
+router.get('/resolve/:pincode', authenticateAdmin, async (req, res) => {
+  try {
+    const zone = await ZoneService.resolve(req.params.pincode);
+
+    if (!zone) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid 6 digit pincode is required'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: zone
+    });
+
+  } catch (error) {
+    console.error('Resolve pricing zone error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve pricing zone'
+    });
+  }
+});
+
+// Admin: add a special zone (metro, ODA, J&K...)
+router.post('/', authenticateAdmin, async (req, res) => {
+  try {
+    const code = String(req.body.code || '').trim();
+
+    const existing = await PricingZone.findOne({ code });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: 'A zone with this code already exists'
+      });
+    }
+
+    const zone = await PricingZone.create({
+      ...pickZoneFields(req.body),
+      code,
+      category: 'special',
+      createdBy: req.admin._id
+    });
+    ZoneService.invalidate();
+
+    console.log(`🗺️ Pricing zone added: ${zone.code} (${zone.name})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Zone added',
+      data: zone
+    });
+
+  } catch (error) {
+    console.error('Create pricing zone error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add zone'
+    });
+  }
+});
+
+// Admin: edit a zone's coverage or flags
+router.put('/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const zone = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await PricingZone.findById(req.params.id)
+      : null;
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        error: 'Zone not found'
+      });
+    }
+
+    Object.assign(zone, pickZoneFields(req.body));
+    await zone.save();
+    ZoneService.invalidate();
+
+    console.log(`🗺️ Pricing zone updated: ${zone.code} (${zone.name})`);
+
+    res.json({
+      success: true,
+      message: 'Zone updated',
+      data: zone
+    });
+
+  } catch (error) {
+    console.error('Update pricing zone error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update zone'
+    });
+  }
+});
+
+// Admin: remove a special zone; plans that priced it fall back to the region columns
+router.delete('/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const zone = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await PricingZone.findById(req.params.id)
+      : null;
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        error: 'Zone not found'
+      });
+    }
+
+    if (zone.category === 'region') {
+      return res.status(400).json({
+        success: false,
+        error: 'Region zones cannot be removed; edit their coverage instead'
+      });
+    }
+
+    await zone.deleteOne();
+    ZoneService.invalidate();
+
+    res.json({
+      success: true,
+      message: 'Zone removed'
+    });
+
+  } catch (error) {
+    console.error('Delete pricing zone error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove zone'
+    });
+  }
+});
+
+export default router;
@@ -21,6 +21,23 @@ import courierBoyRoutes from "./routes/courier-boy.js";
 import otpRoutes from "./routes/otp.js";
 import imageProxyRoutes from "./routes/image-proxy.js";
 import medicineRoutes from "./routes/medicine.js";
+import trackRoutes from "./routes/track.js";
+import podRoutes from "./routes/pod.js";
+import ndrRoutes from "./routes/ndr.js";
+import webhookRoutes from "./routes/webhooks.js";
+import etaRoutes from "./routes/eta.js";
+import zoneRoutes from "./routes/zones.js";
+import rateRoutes from "./routes/rates.js";
+import fuelRoutes from "./routes/fuel.js";
+import codRoutes from "./routes/cod.js";
+import quotationRoutes from "./routes/quotations.js";
+import documentSeriesRoutes from "./routes/document-series.js";
+import invoiceNoteRoutes from "./routes/invoice-notes.js";
+import paymentRoutes from "./routes/payments.js";
+import billingRoutes from "./routes/billing.js";
+import dunningRoutes from "./routes/dunning.js";
+import creditRoutes from "./routes/credit.js";
+import creditApplicationRoutes from "./routes/credit-applications.js";
 import FormData from "./models/FormData.js";
 import PinCodeArea from "./models/PinCodeArea.js";
 import CorporateData from "./models/CorporateData.js";
@@ -30,6 +47,13 @@ import OfficeUser from "./models/OfficeUser.js";
 import MedicineUser from "./models/MedicineUser.js";
 import Coloader from "./models/Coloader.js";
 import Employee from "./models/Employee.js";
+import TrackingEvent from "./models/TrackingEvent.js";
+import PricingZone from "./models/PricingZone.js";
+import WebhookService from "./services/webhookService.js";
+import BillingService from "./services/billingService.js";
+import DunningService from "./services/dunningService.js";
+import PricingService from "./services/pricingService.js";
+import { optionalOfficeUser } from "./middleware/auth.js";
 
 dotenv.config();
 const app = express();
@@ -109,6 +133,23 @@ app.use("/api/courier-boy", courierBoyRoutes);
 app.use("/api/otp", otpRoutes);
 app.use("/api/images", imageProxyRoutes);
 app.use("/api/medicine", medicineRoutes);
+app.use("/api/track", trackRoutes);
+app.use("/api/pod", podRoutes);
+app.use("/api/ndr", ndrRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/api/eta", etaRoutes);
+app.use("/api/zones", zoneRoutes);
+app.use("/api/rates", rateRoutes);
+app.use("/api/fuel-surcharge", fuelRoutes);
+app.use("/api/cod", codRoutes);
+app.use("/api/quotations", quotationRoutes);
+app.use("/api/document-series", documentSeriesRoutes);
+app.use("/api/invoice-notes", invoiceNoteRoutes);
+app.use("/api/payments", paymentRoutes);
+app.use("/api/billing", billingRoutes);
+app.use("/api/dunning", dunningRoutes);
+app.use("/api/credit", creditRoutes);
+app.use("/api/credit-applications", creditApplicationRoutes);
 
 // Serve corporate logos
 app.use('/uploads/corporate-logos', express.static(path.join(__dirname, 'uploads/corporate-logos')));
@@ -119,7 +160,7 @@ app.use('/uploads/employee-docs', express.static(path.join(__dirname, 'uploads/e
 // FORM DATA ROUTES
 
 // Save or update form data (handles both sender and receiver)
-app.post("/api/form", async (req, res) => {
+app.post("/api/form", optionalOfficeUser, async (req, res) => {
   try {
     console.log('Received form data:', req.body);
     
@@ -255,7 +296,7 @@ app.post("/api/form", async (req, res) => {
       updateData.receiverLandmark = formData.landmark || '';
     } else if (formType === 'full') {
       // Merge all steps into one document
-      const { originData, destinationData, shipmentData, uploadData, paymentData, consignmentNumber } = req.body;
+      const { originData, destinationData, shipmentData, uploadData, paymentData, billData, detailsData, consignmentNumber } = req.body;
       // Debug: Log the original invoice number
       console.log('🔍 DEBUG - Original invoice number from frontend:', uploadData?.invoiceNumber);
       console.log('🔍 DEBUG - Consignment number from frontend:', consignmentNumber);
@@ -274,10 +315,23 @@ app.post("/api/form", async (req, res) => {
       
       // Debug: Log the sanitized invoice number
       console.log('🔍 DEBUG - Sanitized invoice number:', sanitizedUploadData.invoiceNumber);
+      // Charges are priced here on the retail plan; the booking panel's rates and totals are only
+      // a preview unless an office user allowed to override rates is signed in
+      const quote = await PricingService.quoteCounterBooking(
+        { originData, destinationData, shipmentData, billData, detailsData },
+        { overriddenBy: PricingService.rateOverrideActor(req.user) }
+      );
+
       updateData.originData = originData;
       updateData.destinationData = destinationData;
-      updateData.shipmentData = shipmentData;
+      updateData.shipmentData = {
+        ...shipmentData,
+        ...PricingService.toShipmentWeights(quote)
+      };
       updateData.uploadData = sanitizedUploadData;
+      updateData.billData = billData;
+      updateData.detailsData = PricingService.toDetailsData(quote);
+      updateData.rateOverride = quote.rateOverride;
       
       // Use the consignment number provided by the frontend (from office user assignment)
       // If no consignment number provided, fall back to timestamp-based generation
@@ -286,14 +340,7 @@ app.post("/api/form", async (req, res) => {
         console.log('✅ Using provided consignment number:', consignmentNumber);
       } else {
         // Fallback: Generate unique consignment number (separate from invoice number)
-        // Use timestamp-based approach for unique consignment numbers
-        const generateConsignmentNumber = () => {
-          const timestamp = Date.now();
-          const randomSuffix = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-          return parseInt(`${timestamp.toString().slice(-8)}${randomSuffix}`);
-        };
-        
-        updateData.consignmentNumber = generateConsignmentNumber();
+        updateData.consignmentNumber = FormData.generateFallbackConsignmentNumber();
         console.log('⚠️ No consignment number provided, generated fallback:', updateData.consignmentNumber);
       }
       updateData.paymentData = paymentData;
@@ -347,6 +394,18 @@ app.post("/api/form", async (req, res) => {
     // Debug: Log what was actually saved
     console.log('🔍 DEBUG - Saved invoice number in database:', savedForm.uploadData?.invoiceNumber);
     
+    // Start the tracking history for full bookings
+    if (formType === 'full' && savedForm.consignmentNumber) {
+      await TrackingEvent.record({
+        consignmentNumber: savedForm.consignmentNumber,
+        status: 'booked',
+        location: savedForm.originData?.city || '',
+        actor: { type: 'customer', name: savedForm.originData?.name },
+        source: 'public_booking',
+        eventAt: savedForm.createdAt
+      });
+    }
+    
     // Send shipment confirmation email if this is a full booking
     if (formType === 'full' && savedForm.consignmentNumber) {
       try {
@@ -431,6 +490,10 @@ app.post("/api/form", async (req, res) => {
         error: 'Duplicate entry detected',
         details: 'A form with this information already exists'
       });
+    } else if (err.status) {
+      res.status(err.status).json({
+        error: err.message
+      });
     } else {
       res.status(500).json({ 
         error: err.message || 'Internal server error'
@@ -1532,6 +1595,9 @@ const startServer = async () => {
       console.log(`📊 Pin_Code_Area collection has ${pincodeCount} records`);
     }
     
+    // Seed the Assam / North East region zones used by the rate cards
+    await PricingZone.ensureDefaults();
+    
     // Check form collection
     const formCount = await FormData.countDocuments();
     const completedFormCount = await FormData.countDocuments({ formCompleted: true });
@@ -1562,6 +1628,15 @@ const startServer = async () => {
     const employeeCount = await Employee.countDocuments();
     console.log(`👥 Employee collection has ${employeeCount} records`);
     
+    // Send corporate webhooks for new scans and retry failed deliveries
+    WebhookService.start();
+    
+    // Invoice corporates automatically at the close of their billing cycle
+    BillingService.start();
+    
+    // Remind corporates of invoices falling due and overdue
+    DunningService.start();
+    
     // Start the server
     const PORT = process.env.PORT || 5000;
     app.listen(PORT, () => {
@@ -0,0 +1,246 @@
+import BillingRun from '../models/BillingRun.js';
+import CorporateData, { BILLING_CYCLES } from '../models/CorporateData.js';
+import { ConsignmentUsage } from '../models/ConsignmentAssignment.js';
+import InvoiceService from './invoiceService.js';
+import emailService from './emailService.js';
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The scheduled run goes once a day after this hour (IST), once late bookings of the closed period are in
+const RUN_HOUR_IST = 2;
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+let runTimer = null;
+let activeRun = null;
+
+// Calendar date and weekday of a moment in IST
+const istParts = (date) => {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  return {
+    year: ist.getUTCFullYear(),
+    month: ist.getUTCMonth(),
+    day: ist.getUTCDate(),
+    weekday: ist.getUTCDay(),
+    hour: ist.getUTCHours()
+  };
+};
+
+// Midnight IST of a calendar date; months and days may overflow as with Date.UTC
+const istMidnight = (year, month, day) => new Date(Date.UTC(year, month, day) - IST_OFFSET_MS);
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', { timeZone: 'Asia/Kolkata' });
+
+const conflict = (message) => {
+  const error = new Error(message);
+  error.status = 409;
+  return error;
+};
+
+class BillingService {
+  /**
+   * Latest billing period of a cycle that has closed by the given moment. Months run from the
+   * 1st, fortnights from the 1st and the 16th, weeks from Monday, all at midnight IST.
+   * @param {string} cycle - 'monthly', 'fortnightly' or 'weekly'
+   * @param {Date} now
+   * @returns {Object} { start, end } where end is exclusive
+   */
+  static closedPeriod(cycle, now = new Date()) {
+    const { year, month, day, weekday } = istParts(now);
+
+    if (cycle === 'weekly') {
+      const end = istMidnight(year, month, day - ((weekday + 6) % 7));
+      return { start: new Date(end.getTime() - 7 * DAY_MS), end };
+    }
+    if (cycle === 'fortnightly') {
+      return day >= 16
+        ? { start: istMidnight(year, month, 1), end: istMidnight(year, month, 16) }
+        : { start: istMidnight(year, month - 1, 16), end: istMidnight(year, month, 1) };
+    }
+    return { start: istMidnight(year, month - 1, 1), end: istMidnight(year, month, 1) };
+  }
+
+  /**
+   * Email an invoice PDF to the corporate
+   * @param {Object} invoice
+   * @param {Object} corporate
+   */
+  static async emailInvoice(invoice, corporate) {
+    const pdfBuffer = await InvoiceService.renderPdf(invoice);
+    const amount = invoice.grandTotal.toLocaleString('en-IN', { minimumFractionDigits: 2 });
+    const period = `${formatDate(invoice.invoicePeriod.startDate)} to ${formatDate(invoice.invoicePeriod.endDate)}`;
+
+    await emailService.sendEmailWithPdfAttachment({
+      to: corporate.email,
+      subject: `Invoice ${invoice.invoiceNumber} - ₹${amount}`,
+      html: `<p>Dear ${corporate.companyName},</p><p>Please find attached invoice <strong>${invoice.invoiceNumber}</strong> for your shipments from ${period}, amounting to <strong>₹${amount}</strong> and due by ${formatDate(invoice.dueDate)}.</p>`,
+      text: `Invoice ${invoice.invoiceNumber} for ${period}: Rs. ${amount}, due by ${formatDate(invoice.dueDate)}.`,
+      pdfBuffer,
+      filename: `invoice-${invoice.invoiceNumber.replace(/[^A-Za-z0-9-]+/g, '_')}.pdf`
+    });
+  }
+
+  /**
+   * Invoice a corporate's unbilled shipments up to the end of its latest closed period.
+   * The period is claimed on the corporate first so two runs cannot bill it twice.
+   * @param {Object} corporate - CorporateData document
+   * @param {Object} run - BillingRun document
+   * @param {Object|null} admin - Admin who started a manual run
+   * @returns {Promise<Object|null>} Run result, or null when the corporate is not due
+   */
+  static async billCorporate(corporate, run, admin = null) {
+    const { start, end } = this.closedPeriod(corporate.billingCycle, run.startedAt);
+    const claimed = await CorporateData.updateOne(
+      { _id: corporate._id, $or: [{ billedThrough: null }, { billedThrough: { $lt: end } }] },
+      { billedThrough: end }
+    );
+    if (claimed.modifiedCount !== 1) {
+      return null;
+    }
+
+    const result = {
+      corporateId: corporate._id,
+      companyName: corporate.companyName,
+      billingCycle: corporate.billingCycle,
+      periodStart: start,
+      periodEnd: new Date(end.getTime() - 1)
+    };
+
+    let invoice;
+    try {
+      // Shipments left unbilled from earlier periods go on this invoice too
+      const [usages, rtoUsages] = await Promise.all([
+        ConsignmentUsage.find({
+          corporateId: corporate._id,
+          paymentStatus: 'unpaid',
+          paymentType: 'FP', // Only FP shipments are included in invoice generation
+          status: 'active',
+          usedAt: { $lt: end }
+        }).sort({ usedAt: 1 }).lean(),
+        ConsignmentUsage.findUnpaidRtoByCorporate(corporate._id, null, result.periodEnd).lean()
+      ]);
+
+      if (usages.length === 0 && rtoUsages.length === 0) {
+        return { ...result, status: 'skipped', reason: 'No unbilled shipments in the period' };
+      }
+
+      const earliest = Math.min(
+        start.getTime(),
+        ...usages.map(usage => new Date(usage.usedAt).getTime()),
+        ...rtoUsages.map(usage => new Date(usage.rto.initiatedAt).getTime())
+      );
+      invoice = await InvoiceService.generate(corporate, {
+        usages,
+        rtoUsages,
+        period: { startDate: new Date(earliest), endDate: result.periodEnd },
+        createdBy: admin?._id,
+        billingRunId: run._id
+      });
+
+      Object.assign(result, {
+        status: 'invoiced',
+        periodStart: new Date(earliest),
+        invoiceId: invoice._id,
+        invoiceNumber: invoice.invoiceNumber,
+        grandTotal: invoice.grandTotal,
+        shipmentCount: usages.length + rtoUsages.length
+      });
+    } catch (error) {
+      // Hand the period back so the next run tries again
+      await CorporateData.updateOne({ _id: corporate._id, billedThrough: end }, { billedThrough: corporate.billedThrough });
+      return { ...result, status: 'failed', reason: error.message };
+    }
+
+    // The invoice stands even when it cannot be emailed; the report says so
+    if (!corporate.email) {
+      result.emailError = 'No email address on file';
+    } else {
+      try {
+        await this.emailInvoice(invoice, corporate);
+        result.emailedTo = corporate.email;
+      } catch (error) {
+        result.emailError = error.message;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Invoice every active corporate on a billing cycle whose latest period is still unbilled
+   * @param {Object} options - { trigger: 'scheduled'|'manual', admin }
+   * @returns {Promise<Object>} Saved BillingRun report
+   */
+  static async run({ trigger = 'scheduled', admin = null } = {}) {
+    if (activeRun) {
+      throw conflict('A billing run is already in progress');
+    }
+
+    const run = new BillingRun({ trigger, triggeredBy: admin?._id || null, startedAt: new Date() });
+    activeRun = run;
+    try {
+      await run.save();
+      // Records saved before billing cycles existed have none stored and stay manual
+      const corporates = await CorporateData.find({
+        isActive: true,
+        billingCycle: { $in: BILLING_CYCLES.filter(cycle => cycle !== 'manual') }
+      }).sort({ companyName: 1 });
+
+      for (const corporate of corporates) {
+        const result = await this.billCorporate(corporate, run, admin);
+        if (result) {
+          run.results.push(result);
+        }
+      }
+      run.status = 'completed';
+    } catch (error) {
+      console.error('Billing run error:', error);
+      run.status = 'failed';
+      run.error = error.message;
+    } finally {
+      run.finishedAt = new Date();
+      await run.save();
+      activeRun = null;
+    }
+
+    console.log(`🧾 Billing run ${run._id}: ${run.invoicedCount} invoiced, ${run.skippedCount} skipped, ${run.failedCount} failed`);
+    return run;
+  }
+
+  /**
+   * Start the scheduled run if today's has not happened yet
+   * @param {Date} now
+   * @returns {Promise<Object|null>} The run, or null when it was not due
+   */
+  static async runIfDue(now = new Date()) {
+    const { year, month, day, hour } = istParts(now);
+    if (hour < RUN_HOUR_IST || activeRun) {
+      return null;
+    }
+
+    const ranToday = await BillingRun.exists({
+      trigger: 'scheduled',
+      startedAt: { $gte: istMidnight(year, month, day) }
+    });
+    return ranToday ? null : this.run({ trigger: 'scheduled' });
+  }
+
+  /**
+   * Start the scheduled billing worker. Called once the database connection is up.
+   */
+  static start() {
+    if (runTimer) {
+      return;
+    }
+
+    const tick = () => this.runIfDue().catch(error => {
+      console.error('Billing worker error:', error.message);
+    });
+    runTimer = setInterval(tick, CHECK_INTERVAL_MS);
+    runTimer.unref();
+    tick();
+
+    console.log('🧾 Billing worker started');
+  }
+}
+
+export default BillingService;
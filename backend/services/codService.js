@@ -0,0 +1,203 @@
+import mongoose from 'mongoose';
+import CodRemittance from '../models/CodRemittance.js';
+import CourierBoy from '../models/CourierBoy.js';
+import { ConsignmentUsage } from '../models/ConsignmentAssignment.js';
+
+// How the receiver paid the courier boy; anything but cash needs a transaction reference
+const COLLECTION_MODES = ['cash', 'upi', 'card'];
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+class CodService {
+  /**
+   * Corporate shipment that still has COD to collect
+   * @param {number|string} consignmentNumber - Consignment number
+   * @returns {Promise<Object|null>} ConsignmentUsage document or null when nothing is due
+   */
+  static findPendingCollection(consignmentNumber) {
+    return ConsignmentUsage.findOne({
+      consignmentNumber: Number(consignmentNumber),
+      'cod.status': 'pending'
+    });
+  }
+
+  /**
+   * Check a doorstep collection before delivery is completed.
+   * The full amount must be collected; part payments are not accepted.
+   * @param {Object} usage - ConsignmentUsage document with cod.status 'pending'
+   * @param {Object} collection - { amount, mode, reference }
+   * @throws {Error} With status 400 when the collection does not settle the COD
+   */
+  static checkCollection(usage, { amount, mode, reference } = {}) {
+    if (round(parseFloat(amount)) !== round(usage.cod.amount)) {
+      throw badRequest(`Collect the full COD amount of ₹${round(usage.cod.amount).toFixed(2)} before completing delivery`);
+    }
+    if (!COLLECTION_MODES.includes(mode)) {
+      throw badRequest('COD collection mode must be cash, upi or card');
+    }
+    if (mode !== 'cash' && !String(reference || '').trim()) {
+      throw badRequest('Transaction reference is required for UPI and card collections');
+    }
+  }
+
+  /**
+   * Approved courier boy named as the one holding the COD cash
+   * @param {string} courierBoyId - CourierBoy id
+   * @returns {Promise<Object>} { _id, fullName }
+   * @throws {Error} With status 400 when no approved courier boy has the id
+   */
+  static async findCollector(courierBoyId) {
+    const courierBoy = mongoose.Types.ObjectId.isValid(String(courierBoyId || ''))
+      ? await CourierBoy.findOne({ _id: courierBoyId, status: 'approved' }).select('fullName').lean()
+      : null;
+    if (!courierBoy) {
+      throw badRequest('Select the courier boy who collected the COD');
+    }
+    return courierBoy;
+  }
+
+  /**
+   * Record the COD collected at the doorstep against the courier boy who collected it
+   * @param {Object} usage - ConsignmentUsage document with cod.status 'pending'
+   * @param {Object} collection - { amount, mode, reference }, see checkCollection()
+   * @param {Object} people - { collector: see findCollector(), recordedBy: { type, id, name } of the staff member }
+   * @returns {Promise<Object>} The usage after the update
+   */
+  static async recordCollection(usage, { amount, mode, reference } = {}, { collector, recordedBy }) {
+    this.checkCollection(usage, { amount, mode, reference });
+    const collected = round(parseFloat(amount));
+
+    usage.cod.status = 'collected';
+    usage.cod.collectedAmount = collected;
+    usage.cod.collectionMode = mode;
+    usage.cod.collectionReference = mode === 'cash' ? undefined : String(reference).trim();
+    usage.cod.collectedAt = new Date();
+    usage.cod.collectedBy = {
+      courierBoyId: collector._id,
+      name: collector.fullName
+    };
+    usage.cod.recordedBy = recordedBy;
+    await usage.save();
+
+    return usage;
+  }
+
+  /**
+   * COD totals of a corporate by stage
+   * @param {string} corporateId - CorporateData id
+   * @returns {Promise<Object>} { pending, collected, remitted, cancelled } each { count, amount }
+   */
+  static async summary(corporateId) {
+    const rows = await ConsignmentUsage.aggregate([
+      { $match: { corporateId: new mongoose.Types.ObjectId(String(corporateId)), cod: { $ne: null } } },
+      { $group: { _id: '$cod.status', count: { $sum: 1 }, amount: { $sum: '$cod.amount' } } }
+    ]);
+
+    const summary = Object.fromEntries(
+      ['pending', 'collected', 'remitted', 'cancelled'].map(status => [status, { count: 0, amount: 0 }])
+    );
+    rows.forEach(row => {
+      if (summary[row._id]) {
+        summary[row._id] = { count: row.count, amount: round(row.amount) };
+      }
+    });
+    return summary;
+  }
+
+  /**
+   * Put collected COD that is not yet in a batch into a new pending remittance
+   * @param {string} corporateId - CorporateData id
+   * @param {Object} options - { usageIds (optional, defaults to all remittable), notes, adminId }
+   * @returns {Promise<Object>} CodRemittance document
+   */
+  static async createRemittance(corporateId, { usageIds, notes, adminId }) {
+    let usages = await ConsignmentUsage.findRemittableCod(corporateId);
+    if (Array.isArray(usageIds) && usageIds.length > 0) {
+      const selected = new Set(usageIds.map(String));
+      usages = usages.filter(usage => selected.has(String(usage._id)));
+    }
+    if (usages.length === 0) {
+      throw badRequest('No collected COD is waiting to be remitted for this corporate');
+    }
+
+    const remittance = await CodRemittance.create({
+      remittanceNumber: await CodRemittance.generateRemittanceNumber(),
+      corporateId,
+      shipments: usages.map(usage => ({
+        usageId: usage._id,
+        consignmentNumber: usage.consignmentNumber,
+        amount: usage.cod.collectedAmount || usage.cod.amount,
+        collectedAt: usage.cod.collectedAt
+      })),
+      totalAmount: round(usages.reduce((sum, usage) => sum + (usage.cod.collectedAmount || usage.cod.amount), 0)),
+      notes,
+      createdBy: adminId
+    });
+
+    await ConsignmentUsage.updateMany(
+      { _id: { $in: usages.map(usage => usage._id) } },
+      { 'cod.remittanceId': remittance._id }
+    );
+
+    return remittance;
+  }
+
+  /**
+   * Record the bank transfer of a pending remittance
+   * @param {Object} remittance - CodRemittance document
+   * @param {Object} payment - { utrReference, paymentMode, paidAt, adminId }
+   * @returns {Promise<Object>} The remittance after the update
+   */
+  static async markPaid(remittance, { utrReference, paymentMode, paidAt, adminId }) {
+    if (remittance.status !== 'pending') {
+      throw badRequest(`This remittance is already ${remittance.status}`);
+    }
+    const paidOn = paidAt ? new Date(paidAt) : new Date();
+    if (isNaN(paidOn.getTime()) || paidOn > new Date()) {
+      throw badRequest('Paid date must be a valid date that is not in the future');
+    }
+
+    remittance.status = 'paid';
+    remittance.utrReference = utrReference;
+    if (paymentMode) remittance.paymentMode = paymentMode;
+    remittance.paidAt = paidOn;
+    remittance.paidBy = adminId;
+    await remittance.save();
+
+    await ConsignmentUsage.updateMany(
+      { 'cod.remittanceId': remittance._id },
+      { 'cod.status': 'remitted', 'cod.remittedAt': paidOn }
+    );
+
+    return remittance;
+  }
+
+  /**
+   * Cancel a pending remittance; its shipments can go into a later batch
+   * @param {Object} remittance - CodRemittance document
+   * @returns {Promise<Object>} The remittance after the update
+   */
+  static async cancelRemittance(remittance) {
+    if (remittance.status !== 'pending') {
+      throw badRequest('Only pending remittances can be cancelled');
+    }
+
+    remittance.status = 'cancelled';
+    await remittance.save();
+
+    await ConsignmentUsage.updateMany(
+      { 'cod.remittanceId': remittance._id },
+      { 'cod.remittanceId': null }
+    );
+
+    return remittance;
+  }
+}
+
+export default CodService;
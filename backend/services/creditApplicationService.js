@@ -0,0 +1,316 @@
+import fs from 'fs';
+import CreditApplication, { KYC_DOCUMENT_TYPES } from '../models/CreditApplication.js';
+import CorporateData, { BILLING_CYCLES } from '../models/CorporateData.js';
+import CorporatePricing from '../models/CorporatePricing.js';
+import { PRICING_RATE_FIELDS } from '../models/CorporatePricingVersion.js';
+import ConsignmentAssignment from '../models/ConsignmentAssignment.js';
+import S3Service from './s3Service.js';
+import emailService from './emailService.js';
+
+// Consignment numbers given to a new corporate unless the admin asks for another count
+export const DEFAULT_CONSIGNMENT_COUNT = 100;
+
+// Lowest number a consignment range may start at (see ConsignmentAssignment.validateRange)
+const FIRST_CONSIGNMENT_NUMBER = 871026572;
+
+const REVIEWABLE_STATUSES = ['submitted', 'under_review'];
+
+// Applications being converted, so a double click cannot register a corporate twice
+const converting = new Set();
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const conflict = (message) => {
+  const error = new Error(message);
+  error.status = 409;
+  return error;
+};
+
+// Remove multer temp files that were not uploaded
+const discardFiles = (files = []) => {
+  for (const file of files) {
+    if (file.path && fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+  }
+};
+
+class CreditApplicationService {
+  /**
+   * Save an application from the public form with its KYC documents
+   * @param {Object} body - Form fields
+   * @param {Object} files - Multer files keyed by KYC document type
+   * @returns {Promise<Object>} Saved CreditApplication
+   */
+  static async submit(body, files = {}) {
+    const uploads = Object.entries(files).flatMap(([type, list]) => list.map(file => ({ type, file })));
+
+    try {
+      if (!uploads.some(upload => upload.type === 'panCard')) {
+        throw badRequest('A copy of the PAN card is required');
+      }
+      if (body.gstNumber?.trim() && !uploads.some(upload => upload.type === 'gstCertificate')) {
+        throw badRequest('A GST certificate is required when a GSTIN is given');
+      }
+
+      const requested = body.creditLimit === undefined || body.creditLimit === '' ? null : Number(body.creditLimit);
+      const application = new CreditApplication({
+        reference: await CreditApplication.generateReference(),
+        companyName: body.companyName,
+        contactPerson: body.contactPerson,
+        email: body.email,
+        phone: body.phone,
+        address: body.address,
+        city: body.city,
+        state: body.state,
+        pincode: body.pincode,
+        panNumber: body.panNumber,
+        gstNumber: body.gstNumber || '',
+        businessType: body.businessType,
+        monthlyVolume: body.monthlyVolume,
+        requestedCreditLimit: Number.isFinite(requested) ? requested : null
+      });
+
+      // Check the form before anything is uploaded
+      await application.validate();
+
+      for (const { type, file } of uploads) {
+        const upload = await S3Service.uploadFile(file, `uploads/credit-applications/${application.reference}`);
+        application.documents.push({
+          type,
+          url: upload.url,
+          key: upload.key,
+          originalName: upload.originalName,
+          mimetype: upload.mimetype,
+          size: upload.size
+        });
+      }
+
+      await application.save();
+      return application;
+    } finally {
+      discardFiles(uploads.map(upload => upload.file));
+    }
+  }
+
+  /**
+   * Time-limited links to an application's documents for reviewers
+   * @param {Object} application - CreditApplication document or lean object
+   * @returns {Promise<Array>}
+   */
+  static async documentLinks(application) {
+    return Promise.all(application.documents.map(async document => ({
+      type: document.type,
+      label: KYC_DOCUMENT_TYPES[document.type],
+      originalName: document.originalName,
+      mimetype: document.mimetype,
+      size: document.size,
+      uploadedAt: document.uploadedAt,
+      url: await S3Service.getPresignedUrl(document.key).catch(() => null)
+    })));
+  }
+
+  /**
+   * A registration already using the applicant's name, contact, email or GSTIN
+   * @param {Object} application
+   * @returns {Promise<Object|null>}
+   */
+  static async findExistingCorporate(application) {
+    const conditions = [
+      { companyName: application.companyName },
+      { contactNumber: application.phone.replace(/\D/g, '') },
+      { email: application.email }
+    ];
+    if (application.gstNumber) {
+      conditions.push({ gstNumber: application.gstNumber });
+    }
+    return CorporateData.findOne({ $or: conditions }).select('corporateId companyName');
+  }
+
+  /**
+   * Draft pricing plan for a new corporate, starting from the retail plan's rates when there is one
+   * @param {Object} corporate - CorporateData document
+   * @param {Object} application
+   * @param {Object} admin
+   * @returns {Promise<Object>} Saved CorporatePricing in 'pending' status
+   */
+  static async createDraftPricing(corporate, application, admin) {
+    const retail = await CorporatePricing.findOne({ isRetail: true, status: 'approved' }).lean();
+    const rates = retail
+      ? Object.fromEntries(PRICING_RATE_FIELDS.filter(field => retail[field] !== undefined).map(field => [field, retail[field]]))
+      : {};
+
+    const pricing = new CorporatePricing({
+      ...rates,
+      name: `${corporate.companyName} (${corporate.corporateId})`,
+      status: 'pending',
+      corporateClient: corporate._id,
+      clientEmail: corporate.email,
+      clientName: application.contactPerson,
+      clientCompany: corporate.companyName,
+      notes: `Draft from credit application ${application.reference}${retail ? `, rates copied from ${retail.name}` : ''}`,
+      createdBy: admin._id
+    });
+    await pricing.save();
+    return pricing;
+  }
+
+  /**
+   * Assign the next free consignment range after the highest one in use
+   * @param {Object} corporate - CorporateData document
+   * @param {number} count
+   * @param {Object} admin
+   * @returns {Promise<Object>} Saved ConsignmentAssignment
+   */
+  static async assignConsignmentRange(corporate, count, admin) {
+    const highest = await ConsignmentAssignment.findOne({ isActive: true }).sort({ endNumber: -1 }).lean();
+    const startNumber = highest ? highest.endNumber + 1 : FIRST_CONSIGNMENT_NUMBER;
+    const endNumber = startNumber + count - 1;
+
+    try {
+      ConsignmentAssignment.validateRange(startNumber, endNumber);
+    } catch (error) {
+      throw badRequest(error.message);
+    }
+    if (!await ConsignmentAssignment.isRangeAvailable(startNumber, endNumber)) {
+      throw conflict('The next consignment range was just taken. Please try again.');
+    }
+
+    const assignment = new ConsignmentAssignment({
+      assignmentType: 'corporate',
+      corporateId: corporate._id,
+      companyName: corporate.companyName,
+      assignedToName: corporate.companyName,
+      assignedToEmail: corporate.email,
+      startNumber,
+      endNumber,
+      totalNumbers: count,
+      assignedBy: admin._id,
+      notes: 'Initial range on credit account approval'
+    });
+    await assignment.save();
+    return assignment;
+  }
+
+  /**
+   * Convert an application into a corporate registration with a draft pricing plan and an
+   * initial consignment range, and email the login credentials. Anything created is removed
+   * again if a later step fails.
+   * @param {string} id - CreditApplication id
+   * @param {Object} admin - Approving admin
+   * @param {Object} options - { locality, creditLimit, creditPeriodDays, billingCycle, consignmentCount, reviewNotes }
+   * @returns {Promise<Object>} { application, corporate, pricing, assignment }
+   */
+  static async approve(id, admin, options = {}) {
+    if (converting.has(String(id))) {
+      throw conflict('This application is already being approved');
+    }
+    converting.add(String(id));
+
+    const created = [];
+    try {
+      const application = await CreditApplication.findById(id);
+      if (!application) {
+        const error = new Error('Application not found');
+        error.status = 404;
+        throw error;
+      }
+      if (!REVIEWABLE_STATUSES.includes(application.status)) {
+        throw conflict(`Application is already ${application.status}`);
+      }
+
+      const consignmentCount = Number(options.consignmentCount ?? DEFAULT_CONSIGNMENT_COUNT);
+      if (!Number.isInteger(consignmentCount) || consignmentCount < 1) {
+        throw badRequest('Consignment count must be a whole number of at least 1');
+      }
+      const creditLimit = options.creditLimit === undefined ? application.requestedCreditLimit : options.creditLimit;
+      if (creditLimit !== null && creditLimit !== '' && !(Number(creditLimit) >= 0)) {
+        throw badRequest('Credit limit must be an amount of zero or more, or empty for no limit');
+      }
+      if (options.billingCycle && !BILLING_CYCLES.includes(options.billingCycle)) {
+        throw badRequest(`Billing cycle must be one of: ${BILLING_CYCLES.join(', ')}`);
+      }
+
+      const existing = await this.findExistingCorporate(application);
+      if (existing) {
+        throw conflict(`${existing.companyName} (${existing.corporateId}) is already registered with this name, contact number, email or GST number`);
+      }
+
+      const generatedPassword = CorporateData.generatePassword();
+      const corporate = new CorporateData({
+        corporateId: await CorporateData.generateCorporateId(application.companyName),
+        companyName: application.companyName,
+        companyAddress: application.address,
+        pin: application.pincode,
+        city: application.city,
+        state: application.state,
+        locality: options.locality?.trim() || application.city,
+        gstNumber: application.gstNumber || '',
+        contactNumber: application.phone,
+        email: application.email,
+        addressType: 'corporate',
+        password: generatedPassword,
+        username: CorporateData.generateUsername(application.email, application.phone),
+        generatedPassword,
+        creditLimit: creditLimit === null || creditLimit === '' ? null : Number(creditLimit),
+        creditPeriodDays: options.creditPeriodDays == null || options.creditPeriodDays === '' ? null : Number(options.creditPeriodDays),
+        billingCycle: options.billingCycle || undefined
+      });
+      await corporate.save();
+      created.push(corporate);
+
+      const pricing = await this.createDraftPricing(corporate, application, admin);
+      created.push(pricing);
+
+      const assignment = await this.assignConsignmentRange(corporate, consignmentCount, admin);
+      created.push(assignment);
+
+      Object.assign(application, {
+        status: 'approved',
+        reviewedBy: admin._id,
+        reviewedAt: new Date(),
+        reviewNotes: options.reviewNotes?.trim() || application.reviewNotes,
+        corporate: corporate._id,
+        pricing: pricing._id,
+        consignmentAssignment: assignment._id
+      });
+      await application.save();
+      created.length = 0;
+
+      // The registration stands even when the credentials cannot be emailed
+      try {
+        await emailService.sendCorporateRegistrationEmail({
+          corporateId: corporate.corporateId,
+          companyName: corporate.companyName,
+          email: corporate.email,
+          contactNumber: corporate.contactNumber,
+          username: corporate.username,
+          password: generatedPassword
+        });
+        await corporate.markEmailSent();
+        application.registrationEmailSent = true;
+      } catch (error) {
+        console.error('❌ Failed to send corporate registration email:', error.message);
+        application.registrationEmailError = error.message;
+      }
+      await application.save();
+
+      return { application, corporate, pricing, assignment };
+    } catch (error) {
+      for (const document of created.reverse()) {
+        await document.deleteOne().catch(cleanupError => {
+          console.error('Credit application rollback error:', cleanupError.message);
+        });
+      }
+      throw error;
+    } finally {
+      converting.delete(String(id));
+    }
+  }
+}
+
+export default CreditApplicationService;
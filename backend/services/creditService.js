@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+import Invoice, { OPEN_INVOICE_STATUSES } from '../models/Invoice.js';
+import { ConsignmentUsage } from '../models/ConsignmentAssignment.js';
+
+// Share of the credit limit in use at which bookings carry a warning
+export const CREDIT_WARNING_RATIO = 0.8;
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Sum of a field per corporate over the matching consignment usages
+const sumByCorporate = async (match, field) => {
+  const rows = await ConsignmentUsage.aggregate([
+    { $match: match },
+    { $group: { _id: '$corporateId', total: { $sum: `$${field}` } } }
+  ]);
+  return new Map(rows.map(row => [String(row._id), row.total]));
+};
+
+class CreditService {
+  /**
+   * What each corporate owes on credit right now: credit (FP) bookings and RTO legs not yet
+   * invoiced, plus the balance of its open invoices
+   * @param {Array<string|ObjectId>} corporateIds
+   * @returns {Promise<Map>} Corporate id to { unbilled, outstanding, total }
+   */
+  static async exposures(corporateIds) {
+    const ids = corporateIds.map(id => new mongoose.Types.ObjectId(String(id)));
+    const [bookings, rto, invoices] = await Promise.all([
+      sumByCorporate({ corporateId: { $in: ids }, paymentType: 'FP', paymentStatus: 'unpaid', status: 'active' }, 'totalAmount'),
+      sumByCorporate({ corporateId: { $in: ids }, 'rto.paymentStatus': 'unpaid' }, 'rto.totalAmount'),
+      Invoice.find({ corporateId: { $in: ids }, status: { $in: OPEN_INVOICE_STATUSES } })
+    ]);
+
+    const outstanding = new Map();
+    for (const invoice of invoices) {
+      const key = String(invoice.corporateId);
+      outstanding.set(key, (outstanding.get(key) || 0) + Math.max(invoice.balanceDue, 0));
+    }
+
+    return new Map(ids.map(id => {
+      const key = String(id);
+      const unbilled = round((bookings.get(key) || 0) + (rto.get(key) || 0));
+      const owed = round(outstanding.get(key) || 0);
+      return [key, { unbilled, outstanding: owed, total: round(unbilled + owed) }];
+    }));
+  }
+
+  /**
+   * What one corporate owes on credit right now
+   * @param {string|ObjectId} corporateId
+   * @returns {Promise<Object>} { unbilled, outstanding, total }
+   */
+  static async exposure(corporateId) {
+    const exposures = await this.exposures([corporateId]);
+    return exposures.get(String(corporateId));
+  }
+
+  /**
+   * Admin override in force for a corporate, if any
+   * @param {Object} corporate - CorporateData document
+   * @param {Date} now
+   * @returns {Object|null}
+   */
+  static activeOverride(corporate, now = new Date()) {
+    const override = corporate.creditOverride;
+    return override && new Date(override.expiresAt) > now ? override : null;
+  }
+
+  /**
+   * Credit position of a corporate, optionally with a new booking added
+   * @param {Object} corporate - CorporateData document
+   * @param {number} amount - Value of the booking about to be made on credit
+   * @param {Object|null} exposure - Exposure already loaded, e.g. from exposures()
+   * @returns {Promise<Object>} { limit, exposure, projected, available, utilisation, status, override }
+   *   where status is 'unlimited', 'ok', 'warning', 'override' or 'blocked'
+   */
+  static async check(corporate, amount = 0, exposure = null) {
+    const limit = corporate.creditLimit;
+    exposure = exposure || await this.exposure(corporate._id);
+    const projected = round(exposure.total + amount);
+    const override = this.activeOverride(corporate);
+
+    if (limit === null || limit === undefined) {
+      return { limit: null, exposure, projected, available: null, utilisation: null, status: 'unlimited', override };
+    }
+
+    let status = 'ok';
+    if (projected > limit) {
+      status = override ? 'override' : 'blocked';
+    } else if (projected >= limit * CREDIT_WARNING_RATIO) {
+      status = 'warning';
+    }
+
+    return {
+      limit,
+      exposure,
+      projected,
+      available: round(limit - exposure.total),
+      utilisation: limit > 0 ? Math.round((projected / limit) * 1000) / 10 : null,
+      status,
+      override
+    };
+  }
+}
+
+export default CreditService;
@@ -0,0 +1,167 @@
+import DocumentSeries, { DOCUMENT_TYPES, DEFAULT_SERIES } from '../models/DocumentSeries.js';
+import DocumentCounter from '../models/DocumentCounter.js';
+
+// Financial years run April to March in India Standard Time (UTC+5:30)
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const FINANCIAL_YEAR_START_MONTH = 3; // April, zero based
+
+// Concurrent first allocations of a year race to insert its counter; the loser retries
+const UPSERT_RETRIES = 3;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+class DocumentSeriesService {
+  /**
+   * Financial year of a date, e.g. "25-26" from 1 April 2025 to 31 March 2026
+   * @param {Date} [date]
+   * @returns {string}
+   */
+  static financialYear(date = new Date()) {
+    const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+    const startYear = ist.getUTCMonth() >= FINANCIAL_YEAR_START_MONTH ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+    return `${String(startYear % 100).padStart(2, '0')}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+  }
+
+  /**
+   * First and last instant of a financial year
+   * @param {string} financialYear - e.g. "25-26"
+   * @returns {Object} { start, end } where end is exclusive (1 April of the next year, IST)
+   */
+  static financialYearRange(financialYear) {
+    const match = /^(\d{2})-\d{2}$/.exec(financialYear || '');
+    if (!match) {
+      throw badRequest('Financial year must look like 25-26');
+    }
+    const startYear = 2000 + parseInt(match[1]);
+    return {
+      start: new Date(Date.UTC(startYear, FINANCIAL_YEAR_START_MONTH, 1) - IST_OFFSET_MS),
+      end: new Date(Date.UTC(startYear + 1, FINANCIAL_YEAR_START_MONTH, 1) - IST_OFFSET_MS)
+    };
+  }
+
+  /**
+   * Prefix and padding of a document type, falling back to DEFAULT_SERIES
+   * @param {string} documentType - One of DOCUMENT_TYPES
+   * @returns {Promise<Object>} { documentType, prefix, padding }
+   */
+  static async getSeries(documentType) {
+    if (!DOCUMENT_TYPES.includes(documentType)) {
+      throw badRequest(`Unknown document type: ${documentType}`);
+    }
+    const series = await DocumentSeries.findOne({ documentType }).lean();
+    return {
+      documentType,
+      prefix: series?.prefix || DEFAULT_SERIES[documentType].prefix,
+      padding: series?.padding || DEFAULT_SERIES[documentType].padding
+    };
+  }
+
+  /**
+   * @param {Object} series - { prefix, padding }
+   * @param {string} financialYear - e.g. "25-26"
+   * @param {number} sequence - Running number within the year
+   * @returns {string} e.g. "OCL/25-26/000123"
+   */
+  static format(series, financialYear, sequence) {
+    return `${series.prefix}/${financialYear}/${String(sequence).padStart(series.padding, '0')}`;
+  }
+
+  /**
+   * Take the next number of a series. The counter is incremented atomically, so concurrent
+   * callers never get the same number; it starts again at 1 each April.
+   * @param {string} documentType - One of DOCUMENT_TYPES
+   * @param {Date} [date] - Document date, which decides the financial year
+   * @returns {Promise<Object>} { documentType, financialYear, sequence, number }
+   */
+  static async allocate(documentType, date = new Date()) {
+    const series = await this.getSeries(documentType);
+    const financialYear = this.financialYear(date);
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const counter = await DocumentCounter.findOneAndUpdate(
+          { documentType, financialYear },
+          { $inc: { lastNumber: 1 } },
+          { new: true, upsert: true }
+        );
+        return {
+          documentType,
+          financialYear,
+          sequence: counter.lastNumber,
+          number: this.format(series, financialYear, counter.lastNumber)
+        };
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= UPSERT_RETRIES) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Give back a number whose document could not be saved, so the series stays gap free.
+   * Only the latest number can be returned; once a later one is issued the gap stays.
+   * @param {Object} allocation - Output of allocate()
+   * @returns {Promise<boolean>} Whether the number was returned
+   */
+  static async release({ documentType, financialYear, sequence }) {
+    const result = await DocumentCounter.updateOne(
+      { documentType, financialYear, lastNumber: sequence },
+      { $inc: { lastNumber: -1 } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  /**
+   * Allocate a number and save the document built with it, releasing the number if saving fails
+   * @param {string} documentType - One of DOCUMENT_TYPES
+   * @param {Function} save - async (number, allocation) => saved document
+   * @param {Date} [date] - Document date
+   * @returns {Promise<*>} What save returned
+   */
+  static async issue(documentType, save, date = new Date()) {
+    const allocation = await this.allocate(documentType, date);
+    try {
+      return await save(allocation.number, allocation);
+    } catch (error) {
+      const released = await this.release(allocation).catch(() => false);
+      if (!released) {
+        console.error(`⚠️ ${allocation.number} was allocated but not used; the ${documentType} series has a gap`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Every series with the number the next document of this financial year will get
+   * @returns {Promise<Array>} [{ documentType, prefix, padding, financialYear, lastNumber, nextNumber, isDefault }]
+   */
+  static async list() {
+    const financialYear = this.financialYear();
+    const [saved, counters] = await Promise.all([
+      DocumentSeries.find().lean(),
+      DocumentCounter.find({ financialYear }).lean()
+    ]);
+
+    return DOCUMENT_TYPES.map(documentType => {
+      const own = saved.find(series => series.documentType === documentType);
+      const series = own || { documentType, ...DEFAULT_SERIES[documentType] };
+      const lastNumber = counters.find(counter => counter.documentType === documentType)?.lastNumber || 0;
+      return {
+        documentType,
+        prefix: series.prefix,
+        padding: series.padding,
+        financialYear,
+        lastNumber,
+        nextNumber: this.format(series, financialYear, lastNumber + 1),
+        isDefault: !own
+      };
+    });
+  }
+}
+
+export default DocumentSeriesService;
@@ -0,0 +1,224 @@
+import CorporateData from '../models/CorporateData.js';
+import Invoice, { OPEN_INVOICE_STATUSES } from '../models/Invoice.js';
+import DunningReminder, { DUNNING_STAGES } from '../models/DunningReminder.js';
+import InvoiceService from './invoiceService.js';
+import emailService from './emailService.js';
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reminders go out once a day after this hour (IST), during office hours
+const RUN_HOUR_IST = 9;
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// The earliest stage is the furthest before the due date
+const FIRST_STAGE_DAYS = Math.min(...DUNNING_STAGES.map(entry => entry.daysFromDue));
+
+let runTimer = null;
+let activeRun = null;
+let lastRunDay = null;
+
+// Midnight IST of the calendar day a moment falls on
+const istDayStart = (date) => {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  return new Date(Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate()) - IST_OFFSET_MS);
+};
+
+class DunningService {
+  /**
+   * Calendar days (IST) from an invoice's due date to the given moment; negative before it falls due
+   * @param {Date} dueDate
+   * @param {Date} now
+   * @returns {number}
+   */
+  static daysFromDue(dueDate, now = new Date()) {
+    return Math.round((istDayStart(now) - istDayStart(dueDate)) / DAY_MS);
+  }
+
+  /**
+   * Latest stage of the schedule an invoice has reached
+   * @param {number} daysFromDue
+   * @returns {Object|null} Entry of DUNNING_STAGES, or null before the first stage
+   */
+  static stageFor(daysFromDue) {
+    return DUNNING_STAGES.filter(entry => entry.daysFromDue <= daysFromDue).pop() || null;
+  }
+
+  /**
+   * Open invoices with something left to pay that have reached the first reminder stage
+   * @param {Object} filter - Extra invoice filter, e.g. { corporateId }
+   * @param {Date} now
+   * @returns {Promise<Array>} Invoice documents
+   */
+  static async openInvoices(filter = {}, now = new Date()) {
+    const invoices = await Invoice.find({
+      ...filter,
+      status: { $in: OPEN_INVOICE_STATUSES },
+      dueDate: { $lt: new Date(istDayStart(now).getTime() + (1 - FIRST_STAGE_DAYS) * DAY_MS) }
+    }).sort({ dueDate: 1 });
+    return invoices.filter(invoice => invoice.balanceDue > 0);
+  }
+
+  /**
+   * Email the reminder for the stage an invoice has reached, unless it already went out.
+   * Stages missed in between (e.g. while dunning was paused) are not sent late.
+   * @param {Object} invoice - Invoice document
+   * @param {Object} corporate - CorporateData document
+   * @param {Date} now
+   * @returns {Promise<Object|null>} DunningReminder, or null when nothing was due
+   */
+  static async remind(invoice, corporate, now = new Date()) {
+    const daysFromDue = this.daysFromDue(invoice.dueDate, now);
+    const stage = this.stageFor(daysFromDue);
+    if (!stage) {
+      return null;
+    }
+
+    // Failed reminders are tried again on the next run
+    const existing = await DunningReminder.findOne({ invoiceId: invoice._id, stage: stage.stage });
+    if (existing?.status === 'sent') {
+      return null;
+    }
+
+    const reminder = existing || new DunningReminder({
+      invoiceId: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      corporateId: corporate._id,
+      stage: stage.stage
+    });
+    Object.assign(reminder, {
+      daysFromDue,
+      dueDate: invoice.dueDate,
+      balanceDue: invoice.balanceDue,
+      sentTo: corporate.email || null,
+      sentAt: now,
+      error: null
+    });
+
+    try {
+      if (!corporate.email) {
+        throw new Error('No email address on file');
+      }
+      const pdfBuffer = await InvoiceService.renderPdf(invoice);
+      await emailService.sendPaymentReminderEmail({
+        email: corporate.email,
+        companyName: corporate.companyName,
+        invoiceNumber: invoice.invoiceNumber,
+        invoiceDate: invoice.invoiceDate,
+        dueDate: invoice.dueDate,
+        balanceDue: invoice.balanceDue,
+        daysFromDue,
+        pdfBuffer
+      });
+      reminder.status = 'sent';
+    } catch (error) {
+      reminder.status = 'failed';
+      reminder.error = error.message;
+    }
+
+    await reminder.save();
+    return reminder;
+  }
+
+  /**
+   * Send the reminders due today for every active corporate whose dunning is not paused
+   * @param {Date} now
+   * @returns {Promise<Object>} { sent, failed }
+   */
+  static async run(now = new Date()) {
+    if (activeRun) {
+      return activeRun;
+    }
+
+    activeRun = (async () => {
+      const corporates = await CorporateData.find({ isActive: true, dunningPaused: { $ne: true } });
+      const counts = { sent: 0, failed: 0 };
+
+      for (const corporate of corporates) {
+        const invoices = await this.openInvoices({ corporateId: corporate._id }, now);
+        for (const invoice of invoices) {
+          const reminder = await this.remind(invoice, corporate, now);
+          if (reminder) {
+            counts[reminder.status] += 1;
+          }
+        }
+      }
+
+      console.log(`🔔 Dunning run: ${counts.sent} reminders sent, ${counts.failed} failed`);
+      return counts;
+    })();
+
+    try {
+      return await activeRun;
+    } finally {
+      activeRun = null;
+    }
+  }
+
+  /**
+   * Run the reminders if today's run has not happened yet. A restart may run them again
+   * the same day, which only retries reminders that failed.
+   * @param {Date} now
+   * @returns {Promise<Object|null>} Counts, or null when it was not due
+   */
+  static async runIfDue(now = new Date()) {
+    const day = istDayStart(now).getTime();
+    const hour = new Date(now.getTime() + IST_OFFSET_MS).getUTCHours();
+    if (hour < RUN_HOUR_IST || lastRunDay === day) {
+      return null;
+    }
+
+    lastRunDay = day;
+    try {
+      return await this.run(now);
+    } catch (error) {
+      // Try again on the next check
+      lastRunDay = null;
+      throw error;
+    }
+  }
+
+  /**
+   * Oldest invoice holding up new bookings under the corporate's overdue limit
+   * @param {Object} corporate - CorporateData document
+   * @param {Date} now
+   * @returns {Promise<Object|null>} { invoiceNumber, daysOverdue, limit }, or null when bookings are open
+   */
+  static async bookingBlock(corporate, now = new Date()) {
+    const limit = corporate.bookingBlockDaysOverdue;
+    if (!limit) {
+      return null;
+    }
+
+    const invoices = await Invoice.find({
+      corporateId: corporate._id,
+      status: { $in: OPEN_INVOICE_STATUSES },
+      dueDate: { $lt: new Date(istDayStart(now).getTime() - (limit - 1) * DAY_MS) }
+    }).sort({ dueDate: 1 });
+    const invoice = invoices.find(entry => entry.balanceDue > 0);
+
+    return invoice
+      ? { invoiceNumber: invoice.invoiceNumber, daysOverdue: this.daysFromDue(invoice.dueDate, now), limit }
+      : null;
+  }
+
+  /**
+   * Start the daily reminder worker. Called once the database connection is up.
+   */
+  static start() {
+    if (runTimer) {
+      return;
+    }
+
+    const tick = () => this.runIfDue().catch(error => {
+      console.error('Dunning worker error:', error.message);
+    });
+    runTimer = setInterval(tick, CHECK_INTERVAL_MS);
+    runTimer.unref();
+    tick();
+
+    console.log('🔔 Dunning worker started');
+  }
+}
+
+export default DunningService;
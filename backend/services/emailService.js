@@ -1664,6 +1664,70 @@ For support, contact us at support@oclcourier.com
     return [];
   }
 
+  // Generate HTML email template for an invoice payment reminder
+  generatePaymentReminderEmail(reminderData) {
+    const { companyName, invoiceNumber, invoiceDate, dueDate, balanceDue, daysFromDue } = reminderData;
+    const amount = `₹${Number(balanceDue).toLocaleString('en-IN', { minimumFractionDigits: 2 })}`;
+    const overdue = daysFromDue > 0;
+    const heading = overdue
+      ? `Invoice ${invoiceNumber} is ${daysFromDue} days overdue`
+      : daysFromDue === 0 ? `Invoice ${invoiceNumber} is due today` : `Invoice ${invoiceNumber} is due in ${-daysFromDue} days`;
+
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2 style="color: ${overdue ? '#dc3545' : '#1e40af'};">${heading}</h2>
+        <p>Dear ${companyName || 'Valued Client'},</p>
+        <p>${overdue ? 'Our records show that the following invoice remains unpaid past its due date.' : 'This is a friendly reminder that the following invoice falls due shortly.'}</p>
+        <table style="border-collapse: collapse; margin: 16px 0;">
+          <tr><td style="padding: 4px 12px 4px 0; color: #6b7280;">Invoice No.</td><td style="padding: 4px 0;"><strong>${invoiceNumber}</strong></td></tr>
+          <tr><td style="padding: 4px 12px 4px 0; color: #6b7280;">Invoice Date</td><td style="padding: 4px 0;">${new Date(invoiceDate).toLocaleDateString('en-GB', { timeZone: 'Asia/Kolkata' })}</td></tr>
+          <tr><td style="padding: 4px 12px 4px 0; color: #6b7280;">Due Date</td><td style="padding: 4px 0;">${new Date(dueDate).toLocaleDateString('en-GB', { timeZone: 'Asia/Kolkata' })}</td></tr>
+          <tr><td style="padding: 4px 12px 4px 0; color: #6b7280;">Balance Due</td><td style="padding: 4px 0;"><strong>${amount}</strong></td></tr>
+        </table>
+        <p>The invoice is attached for your reference. Please arrange payment at the earliest, or ignore this reminder if it has already been made.</p>
+        <p>Thank you for your business with OCL Courier & Logistics.</p>
+        <hr>
+        <p><small>This is an automated message. For billing queries, contact us at support@oclcourier.com</small></p>
+      </div>
+    `;
+  }
+
+  // Generate text version of the payment reminder email
+  generatePaymentReminderTextVersion(reminderData) {
+    const { companyName, invoiceNumber, dueDate, balanceDue, daysFromDue } = reminderData;
+    const status = daysFromDue > 0
+      ? `is ${daysFromDue} days overdue`
+      : daysFromDue === 0 ? 'is due today' : `is due in ${-daysFromDue} days`;
+
+    return `Dear ${companyName || 'Valued Client'},\n\nInvoice ${invoiceNumber} ${status}. Balance due: Rs. ${Number(balanceDue).toFixed(2)}, due date ${new Date(dueDate).toLocaleDateString('en-GB', { timeZone: 'Asia/Kolkata' })}.\n\nThe invoice is attached for your reference. Please ignore this reminder if payment has already been made.\n\nOCL Courier & Logistics`;
+  }
+
+  // Send a payment reminder with the invoice PDF attached
+  async sendPaymentReminderEmail(reminderData) {
+    const { email, invoiceNumber, daysFromDue, pdfBuffer } = reminderData;
+    if (!email) {
+      throw new Error('Email is required to send a payment reminder');
+    }
+
+    if (!this.isInitialized) {
+      await this.initializeEmailService();
+    }
+
+    const subject = daysFromDue > 0
+      ? `Payment Overdue - Invoice ${invoiceNumber}`
+      : `Payment Reminder - Invoice ${invoiceNumber}`;
+    const result = await this.sendEmailWithPdfAttachment({
+      to: email,
+      subject,
+      html: this.generatePaymentReminderEmail(reminderData),
+      text: this.generatePaymentReminderTextVersion(reminderData),
+      pdfBuffer,
+      filename: `invoice-${invoiceNumber.replace(/[^A-Za-z0-9-]+/g, '_')}.pdf`
+    });
+    console.log(`✅ Payment reminder for ${invoiceNumber} sent to ${email}:`, result.messageId);
+    return { ...result, recipient: email };
+  }
+
   async sendEmailWithPdfAttachment({ to, subject, html, text, pdfBuffer, filename = 'manifest.pdf' }) {
     try {
       const mailOptions = {
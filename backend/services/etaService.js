@@ -0,0 +1,252 @@
+import Holiday from '../models/Holiday.js';
+import ZoneService from './zoneService.js';
+
+// India has no daylight saving, so IST is a fixed offset from UTC
+const IST_OFFSET_MINUTES = 330;
+
+// Shipments without a known origin are booked at the Guwahati hub
+const DEFAULT_ORIGIN_ZONE = 'assam';
+
+// Working days in transit per lane and transport mode for Standard service
+const TRANSIT_DAYS = {
+  withinAssam: { byRoad: 2, byTrain: 3, byFlight: 2 },
+  assamNorthEast: { byRoad: 4, byTrain: 5, byFlight: 2 },
+  withinNorthEast: { byRoad: 5, byTrain: 6, byFlight: 3 },
+  restOfIndia: { byRoad: 8, byTrain: 7, byFlight: 3 }
+};
+
+// Bookings after this hour (IST) are picked up on the next working day
+const CUTOFF_HOURS = {
+  standard: 17,
+  priority: 15,
+  express: 14,
+  sameDay: 11
+};
+
+// Service names used by the booking panels
+const SERVICE_KEYS = {
+  standard: 'standard',
+  priority: 'priority',
+  express: 'express',
+  'same day': 'sameDay',
+  sameday: 'sameDay',
+  same_day: 'sameDay'
+};
+
+// Booking panel modes and the transport they travel by
+const MODE_KEYS = {
+  air: 'byFlight',
+  flight: 'byFlight',
+  surface: 'byTrain',
+  train: 'byTrain',
+  road: 'byRoad'
+};
+
+// Holidays are looked up this far past the dispatch date
+const HOLIDAY_LOOKAHEAD_DAYS = 45;
+
+class EtaService {
+  /**
+   * Region of a pincode from the zone master, the same split the rate cards use
+   * @param {string|number} pincode - 6 digit pincode
+   * @returns {Promise<string|null>} 'assam', 'northEast', 'restOfIndia' or null when invalid
+   */
+  static async classifyZone(pincode) {
+    const zone = await ZoneService.resolve(pincode);
+    return zone ? zone.region : null;
+  }
+
+  /**
+   * Lane between two zones
+   * @param {string} originZone - Origin zone
+   * @param {string} destinationZone - Destination zone
+   * @returns {string} Key of TRANSIT_DAYS
+   */
+  static getLane(originZone, destinationZone) {
+    if (originZone === 'restOfIndia' || destinationZone === 'restOfIndia') {
+      return 'restOfIndia';
+    }
+    if (originZone === 'assam' && destinationZone === 'assam') {
+      return 'withinAssam';
+    }
+    if (originZone === 'northEast' && destinationZone === 'northEast') {
+      return 'withinNorthEast';
+    }
+    return 'assamNorthEast';
+  }
+
+  /**
+   * @param {string} service - 'Standard', 'Priority', 'Express' or 'Same Day'
+   * @returns {string} Service key, Standard when unknown
+   */
+  static normalizeService(service) {
+    return SERVICE_KEYS[String(service || '').trim().toLowerCase()] || 'standard';
+  }
+
+  /**
+   * @param {string} mode - 'Air', 'Surface', 'Train' or 'Road'
+   * @returns {string} 'byFlight', 'byTrain' or 'byRoad'; Road when unknown
+   */
+  static normalizeMode(mode) {
+    return MODE_KEYS[String(mode || '').trim().toLowerCase()] || 'byRoad';
+  }
+
+  /**
+   * Same Day is only run inside one city: both pincodes share a sorting district
+   * @param {string|number} originPincode - Origin pincode
+   * @param {string|number} destinationPincode - Destination pincode
+   * @returns {boolean} Whether Same Day can be offered
+   */
+  static isSameDayAvailable(originPincode, destinationPincode) {
+    return !!originPincode && !!destinationPincode &&
+      String(originPincode).slice(0, 3) === String(destinationPincode).slice(0, 3);
+  }
+
+  /**
+   * Working days in transit for a lane, mode and service
+   * @param {string} lane - Key of TRANSIT_DAYS
+   * @param {string} mode - Normalized mode
+   * @param {string} service - Normalized service
+   * @returns {number} Transit days (0 for Same Day)
+   */
+  static getTransitDays(lane, mode, service) {
+    const standardDays = TRANSIT_DAYS[lane][mode];
+    if (service === 'sameDay') {
+      return 0;
+    }
+    if (service === 'express') {
+      return Math.max(1, Math.ceil(Math.min(...Object.values(TRANSIT_DAYS[lane])) / 2));
+    }
+    if (service === 'priority') {
+      return Math.max(1, standardDays - 1);
+    }
+    return standardDays;
+  }
+
+  /**
+   * Estimate the delivery date of a shipment
+   * @param {Object} shipment - { originPincode, destinationPincode, originState, destinationState, service, mode, bookedAt }
+   * @returns {Promise<Object|null>} Estimate or null when the destination pincode is invalid
+   */
+  static async estimate({ originPincode, destinationPincode, originState, destinationState, service, mode, bookedAt }) {
+    const destinationZone = await this.classifyZone(destinationPincode);
+    if (!destinationZone) {
+      return null;
+    }
+
+    const originZone = await this.classifyZone(originPincode) || DEFAULT_ORIGIN_ZONE;
+    const lane = this.getLane(originZone, destinationZone);
+    const transportMode = this.normalizeMode(mode);
+    let serviceKey = this.normalizeService(service);
+    let note = null;
+
+    if (serviceKey === 'sameDay' && !this.isSameDayAvailable(originPincode, destinationPincode)) {
+      serviceKey = 'express';
+      note = 'Same Day is only available within the same city; estimated as Express';
+    }
+
+    const booked = this.toIst(bookedAt ? new Date(bookedAt) : new Date());
+    const afterCutoff = booked.hour >= CUTOFF_HOURS[serviceKey];
+    const holidays = await Holiday.findBetween(
+      booked.date,
+      this.addDays(booked.date, HOLIDAY_LOOKAHEAD_DAYS)
+    );
+
+    const skippedHolidays = [];
+    const isWorkingDay = (date, state) => {
+      if (this.isSunday(date)) {
+        return false;
+      }
+      const holiday = holidays.find(item => item.date === date && item.appliesTo(state));
+      if (holiday) {
+        if (!skippedHolidays.some(item => item.date === date)) {
+          skippedHolidays.push({ date, name: holiday.name });
+        }
+        return false;
+      }
+      return true;
+    };
+
+    // Pickup happens on the booking day when it is a working day before cutoff
+    let dispatchDate = afterCutoff ? this.addDays(booked.date, 1) : booked.date;
+    while (!isWorkingDay(dispatchDate, originState)) {
+      dispatchDate = this.addDays(dispatchDate, 1);
+    }
+
+    const transitDays = this.getTransitDays(lane, transportMode, serviceKey);
+    let deliveryDate = dispatchDate;
+    for (let remaining = transitDays; remaining > 0;) {
+      deliveryDate = this.addDays(deliveryDate, 1);
+      if (isWorkingDay(deliveryDate, destinationState)) {
+        remaining -= 1;
+      }
+    }
+
+    return {
+      estimatedDelivery: deliveryDate,
+      dispatchDate,
+      transitDays,
+      originZone,
+      destinationZone,
+      lane,
+      service: serviceKey,
+      mode: transportMode,
+      cutoffHour: CUTOFF_HOURS[serviceKey],
+      afterCutoff,
+      skippedHolidays,
+      note
+    };
+  }
+
+  /**
+   * Estimate for a normalized tracking record (see TrackingService)
+   * @param {Object} record - { origin, destination, service, mode, bookedAt }
+   * @returns {Promise<string|null>} Estimated delivery date (YYYY-MM-DD) or null
+   */
+  static async estimateForRecord(record) {
+    const estimate = await this.estimate({
+      originPincode: record.origin?.pincode,
+      destinationPincode: record.destination?.pincode,
+      originState: record.origin?.state,
+      destinationState: record.destination?.state,
+      service: record.service,
+      mode: record.mode,
+      bookedAt: record.bookedAt
+    });
+    return estimate?.estimatedDelivery || null;
+  }
+
+  /**
+   * Calendar date and hour of a moment in IST
+   * @param {Date} date - Moment in time
+   * @returns {Object} { date: 'YYYY-MM-DD', hour }
+   */
+  static toIst(date) {
+    const shifted = new Date(date.getTime() + IST_OFFSET_MINUTES * 60 * 1000);
+    return {
+      date: shifted.toISOString().slice(0, 10),
+      hour: shifted.getUTCHours()
+    };
+  }
+
+  /**
+   * @param {string} date - 'YYYY-MM-DD'
+   * @param {number} days - Days to add
+   * @returns {string} 'YYYY-MM-DD'
+   */
+  static addDays(date, days) {
+    const next = new Date(`${date}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + days);
+    return next.toISOString().slice(0, 10);
+  }
+
+  /**
+   * @param {string} date - 'YYYY-MM-DD'
+   * @returns {boolean} Whether the date is a Sunday
+   */
+  static isSunday(date) {
+    return new Date(`${date}T00:00:00Z`).getUTCDay() === 0;
+  }
+}
+
+export default EtaService;
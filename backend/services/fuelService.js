@@ -0,0 +1,63 @@
+import FuelSurchargeRate from '../models/FuelSurchargeRate.js';
+
+// The index is read on every quote; admins' edits show up within this time (or at once via invalidate)
+const CACHE_TTL_MS = 60 * 1000;
+
+let cachedRates = null;
+let cachedAt = 0;
+
+class FuelService {
+  /**
+   * All entries of the fuel surcharge index, oldest first, cached briefly
+   * @returns {Promise<Array>} Plain FuelSurchargeRate objects
+   */
+  static async getRates() {
+    if (!cachedRates || Date.now() - cachedAt > CACHE_TTL_MS) {
+      cachedRates = await FuelSurchargeRate.findHistory().lean();
+      cachedAt = Date.now();
+    }
+    return cachedRates;
+  }
+
+  /**
+   * Drop the cached index after it changes
+   */
+  static invalidate() {
+    cachedRates = null;
+  }
+
+  /**
+   * Index entry in force at a date
+   * @param {Date} [date] - Booking date
+   * @returns {Promise<Object|null>} { effectiveFrom, percentage, note } or null while the index is empty
+   */
+  static async rateAt(date = new Date()) {
+    return FuelSurchargeRate.pickActive(await this.getRates(), date);
+  }
+
+  /**
+   * Fuel surcharge of plan rates at a date: plans set to follow the index take the index
+   * percentage, fixed plans (and index plans before the first entry) keep their own
+   * @param {Object} rates - CorporatePricing document or version rates
+   * @param {Array} indexRates - Output of getRates()
+   * @param {Date} [date] - Booking date
+   * @returns {Object} The rates, with fuelChargePercentage and fuelIndexFrom set when the index applies
+   */
+  static applyIndex(rates, indexRates, date = new Date()) {
+    if (rates?.fuelChargeMode !== 'index') {
+      return rates;
+    }
+    const indexRate = FuelSurchargeRate.pickActive(indexRates, date);
+    if (!indexRate) {
+      return rates;
+    }
+    const source = typeof rates.toObject === 'function' ? rates.toObject() : rates;
+    return {
+      ...source,
+      fuelChargePercentage: indexRate.percentage,
+      fuelIndexFrom: indexRate.effectiveFrom
+    };
+  }
+}
+
+export default FuelService;
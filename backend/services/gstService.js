@@ -0,0 +1,159 @@
+import { GST_RATE } from './pricingService.js';
+
+// Courier services
+export const SAC_CODE = '996812';
+
+// Our registration, printed as the supplier on every tax invoice
+export const SUPPLIER = {
+  name: 'Our Courier & Logistics Services (I) Pvt.Ltd',
+  address: 'Rehabari, Guwahati, Kamrup',
+  gstin: '18AACCO3877C1ZE',
+  state: 'Assam',
+  stateCode: '18',
+  contact: '9085969696',
+  email: 'oclindia2016@gmail.com'
+};
+
+// GST state codes (first two digits of a GSTIN)
+export const GST_STATES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh'
+};
+
+// Older or informal spellings seen in addresses
+const STATE_ALIASES = {
+  'orissa': '21',
+  'pondicherry': '34',
+  'new delhi': '07',
+  'nct of delhi': '07',
+  'daman and diu': '26',
+  'dadra and nagar haveli': '26',
+  'andaman and nicobar': '35',
+  'uttaranchal': '05',
+  'chattisgarh': '22'
+};
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const normalizeState = (state) => String(state || '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z ]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const STATE_CODES_BY_NAME = {
+  ...Object.fromEntries(Object.entries(GST_STATES).map(([code, name]) => [normalizeState(name), code])),
+  ...STATE_ALIASES
+};
+
+class GstService {
+  /**
+   * GST state code of a state name
+   * @param {string} state - State name in any case, '&' or 'and'
+   * @returns {string|null} Two digit code or null when not recognised
+   */
+  static stateCode(state) {
+    return STATE_CODES_BY_NAME[normalizeState(state)] || null;
+  }
+
+  /**
+   * Place of supply of a registered recipient: the state of their GSTIN, else their billing state.
+   * Supplies into another state carry IGST; supplies inside Assam carry CGST + SGST.
+   * @param {Object} recipient - { gstNumber, state }
+   * @returns {Object} { state, stateCode, source: 'gstin' | 'state', interState }
+   */
+  static placeOfSupply({ gstNumber, state } = {}) {
+    const gstin = String(gstNumber || '').trim().toUpperCase();
+    const gstinCode = GSTIN_PATTERN.test(gstin) && GST_STATES[gstin.slice(0, 2)] ? gstin.slice(0, 2) : null;
+    const stateCode = gstinCode || this.stateCode(state);
+    const stateName = stateCode ? GST_STATES[stateCode] : String(state || '').trim();
+
+    return {
+      state: stateName,
+      stateCode: stateCode || '',
+      source: gstinCode ? 'gstin' : 'state',
+      // Without a recognisable state the booking-time rule applies: only a blank state stays intra-state
+      interState: stateCode ? stateCode !== SUPPLIER.stateCode : !!stateName
+    };
+  }
+
+  /**
+   * Tax on one invoice line for a place of supply
+   * @param {number} taxableValue - Line value before tax
+   * @param {Object} placeOfSupply - Output of placeOfSupply()
+   * @param {number} [gstRate] - Defaults to GST_RATE
+   * @returns {Object} { rate, type, cgst, sgst, igst, total }
+   */
+  static lineTax(taxableValue, placeOfSupply, gstRate = GST_RATE) {
+    const rate = Number(gstRate) || 0;
+    if (rate <= 0) {
+      return { rate: 0, type: 'none', cgst: 0, sgst: 0, igst: 0, total: 0 };
+    }
+
+    const tax = round(taxableValue * rate / 100);
+    if (!placeOfSupply.interState) {
+      const half = round(tax / 2);
+      return { rate, type: 'cgst_sgst', cgst: half, sgst: round(tax - half), igst: 0, total: tax };
+    }
+    return { rate, type: 'igst', cgst: 0, sgst: 0, igst: tax, total: tax };
+  }
+
+  /**
+   * Tax summary of an invoice, one row per SAC and rate as printed under the line items
+   * @param {Array} lines - Invoice lines with taxableValue, gstRate, cgst, sgst, igst
+   * @returns {Array} [{ sacCode, rate, taxableValue, cgst, sgst, igst, totalTax }]
+   */
+  static taxSummary(lines = []) {
+    const rows = new Map();
+    lines.forEach(line => {
+      const rate = line.gstRate ?? GST_RATE;
+      const row = rows.get(rate) || { sacCode: SAC_CODE, rate, taxableValue: 0, cgst: 0, sgst: 0, igst: 0, totalTax: 0 };
+      row.taxableValue = round(row.taxableValue + (line.taxableValue ?? line.freightCharges ?? 0));
+      row.cgst = round(row.cgst + (line.cgst || 0));
+      row.sgst = round(row.sgst + (line.sgst || 0));
+      row.igst = round(row.igst + (line.igst || 0));
+      row.totalTax = round(row.cgst + row.sgst + row.igst);
+      rows.set(rate, row);
+    });
+    return [...rows.values()].sort((a, b) => a.rate - b.rate);
+  }
+}
+
+export default GstService;
@@ -0,0 +1,208 @@
+import InvoiceNote, { NOTE_TYPES } from '../models/InvoiceNote.js';
+import Invoice from '../models/Invoice.js';
+import GstService, { SAC_CODE } from './gstService.js';
+import DocumentSeriesService from './documentSeriesService.js';
+import { GST_RATE } from './pricingService.js';
+
+// Credit and debit notes are numbered in their own series
+export const NOTE_DOCUMENT_TYPES = {
+  credit: 'credit_note',
+  debit: 'debit_note'
+};
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const lineKey = (consignmentNumber, lineType = 'forward') => `${consignmentNumber}:${lineType}`;
+
+// Invoice total each note type moves
+const totalField = (noteType) => noteType === 'credit' ? 'creditNotesTotal' : 'debitNotesTotal';
+
+class InvoiceNoteService {
+  /**
+   * Place of supply the invoice was taxed at; notes must carry the same tax type
+   * @param {Object} invoice
+   * @returns {Object} { state, stateCode, interState }
+   */
+  static placeOfSupply(invoice) {
+    return {
+      state: invoice.placeOfSupply?.state || invoice.state,
+      stateCode: invoice.placeOfSupply?.stateCode || '',
+      interState: invoice.supplyType === 'inter_state'
+    };
+  }
+
+  /**
+   * Taxable value of each invoice line net of the notes already issued against it
+   * @param {Object} invoice
+   * @param {Array} notes - Issued notes of the invoice
+   * @returns {Map} lineKey -> { line, invoiced, credited, debited, creditable }
+   */
+  static lineBalances(invoice, notes = []) {
+    const balances = new Map();
+    invoice.shipments.forEach(line => {
+      balances.set(lineKey(line.consignmentNumber, line.lineType), {
+        line,
+        invoiced: round(line.taxableValue ?? line.freightCharges),
+        credited: 0,
+        debited: 0
+      });
+    });
+
+    notes.forEach(note => {
+      note.lines.forEach(noteLine => {
+        const balance = balances.get(lineKey(noteLine.consignmentNumber, noteLine.lineType));
+        if (balance) {
+          balance[note.noteType === 'credit' ? 'credited' : 'debited'] += noteLine.taxableValue;
+        }
+      });
+    });
+
+    balances.forEach(balance => {
+      balance.credited = round(balance.credited);
+      balance.debited = round(balance.debited);
+      balance.creditable = round(balance.invoiced + balance.debited - balance.credited);
+    });
+    return balances;
+  }
+
+  /**
+   * Tax the requested adjustments at the invoice's place of supply and GST rate.
+   * Credits on a line cannot exceed what it was invoiced plus any earlier debits.
+   * @param {Object} invoice
+   * @param {string} noteType - 'credit' or 'debit'
+   * @param {Array} lines - [{ consignmentNumber, lineType, taxableValue, description }]
+   * @param {Array} notes - Issued notes of the invoice
+   * @returns {Array} Note lines
+   */
+  static buildLines(invoice, noteType, lines, notes = []) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw badRequest('At least one invoice line to adjust is required');
+    }
+
+    const balances = this.lineBalances(invoice, notes);
+    const placeOfSupply = this.placeOfSupply(invoice);
+    const seen = new Set();
+
+    return lines.map(requested => {
+      const lineType = requested.lineType || 'forward';
+      const key = lineKey(requested.consignmentNumber, lineType);
+      const balance = balances.get(key);
+      if (!balance) {
+        throw badRequest(`${requested.consignmentNumber}${lineType === 'rto' ? ' (RTO)' : ''} is not on invoice ${invoice.invoiceNumber}`);
+      }
+      if (seen.has(key)) {
+        throw badRequest(`${requested.consignmentNumber} is listed more than once`);
+      }
+      seen.add(key);
+
+      const taxableValue = round(requested.taxableValue);
+      if (!(taxableValue > 0)) {
+        throw badRequest(`Amount for ${requested.consignmentNumber} must be positive`);
+      }
+      if (noteType === 'credit' && taxableValue > balance.creditable) {
+        throw badRequest(`Only ₹${balance.creditable} of ${requested.consignmentNumber} can still be credited`);
+      }
+
+      const gstRate = balance.line.gstRate ?? GST_RATE;
+      const gst = GstService.lineTax(taxableValue, placeOfSupply, gstRate);
+      return {
+        consignmentNumber: balance.line.consignmentNumber,
+        lineType,
+        description: requested.description,
+        taxableValue,
+        gstRate,
+        cgst: gst.cgst,
+        sgst: gst.sgst,
+        igst: gst.igst,
+        totalAmount: round(taxableValue + gst.total)
+      };
+    });
+  }
+
+  /**
+   * Issue a credit or debit note against an invoice and move the invoice's balance by it
+   * @param {Object} invoice - Invoice document
+   * @param {Object} data - { noteType, reason, remarks, lines }
+   * @param {Object} admin - Issuing admin
+   * @returns {Promise<Object>} Saved note
+   */
+  static async issue(invoice, { noteType, reason, remarks, lines }, admin) {
+    if (!NOTE_TYPES.includes(noteType)) {
+      throw badRequest('Note type must be credit or debit');
+    }
+
+    const notes = await InvoiceNote.findIssuedByInvoice(invoice._id).lean();
+    const noteLines = this.buildLines(invoice, noteType, lines, notes);
+    const noteDate = new Date();
+
+    const note = await DocumentSeriesService.issue(NOTE_DOCUMENT_TYPES[noteType], (noteNumber) => InvoiceNote.create({
+      noteNumber,
+      noteType,
+      invoiceId: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      invoiceDate: invoice.invoiceDate,
+      corporateId: invoice.corporateId,
+      companyName: invoice.companyName,
+      companyAddress: invoice.companyAddress,
+      gstNumber: invoice.gstNumber,
+      placeOfSupply: {
+        state: invoice.placeOfSupply?.state || invoice.state,
+        stateCode: invoice.placeOfSupply?.stateCode || invoice.stateCode
+      },
+      supplyType: invoice.supplyType || 'intra_state',
+      sacCode: invoice.sacCode || SAC_CODE,
+      noteDate,
+      reason,
+      remarks,
+      lines: noteLines,
+      createdBy: admin._id
+    }), noteDate);
+
+    await Invoice.updateOne({ _id: invoice._id }, { $inc: { [totalField(noteType)]: note.grandTotal } });
+    // A credit can settle a part-paid invoice; a debit can reopen a paid one
+    await Invoice.refreshStatus(invoice._id);
+    return note;
+  }
+
+  /**
+   * Cancel an issued note. Its number stays used; its amount stops counting against the invoice.
+   * @param {Object} note - InvoiceNote document
+   * @param {string} reason
+   * @param {Object} admin
+   * @returns {Promise<Object>} Updated note
+   */
+  static async cancel(note, reason, admin) {
+    if (note.status !== 'issued') {
+      throw badRequest(`${note.noteNumber} is already cancelled`);
+    }
+
+    // A debit may have made room for later credits; it cannot go while they stand
+    if (note.noteType === 'debit') {
+      const invoice = await Invoice.findById(note.invoiceId).lean();
+      const others = (await InvoiceNote.findIssuedByInvoice(note.invoiceId).lean())
+        .filter(other => String(other._id) !== String(note._id));
+      const overCredited = invoice && [...this.lineBalances(invoice, others).values()].find(balance => balance.creditable < 0);
+      if (overCredited) {
+        throw badRequest(`Cancel the credit notes on ${overCredited.line.consignmentNumber} first`);
+      }
+    }
+
+    note.status = 'cancelled';
+    note.cancelledAt = new Date();
+    note.cancelledBy = admin._id;
+    note.cancellationReason = reason;
+    await note.save();
+
+    await Invoice.updateOne({ _id: note.invoiceId }, { $inc: { [totalField(note.noteType)]: -note.grandTotal } });
+    await Invoice.refreshStatus(note.invoiceId);
+    return note;
+  }
+}
+
+export default InvoiceNoteService;
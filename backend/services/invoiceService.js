@@ -0,0 +1,648 @@
+import Invoice from '../models/Invoice.js';
+import { ConsignmentUsage } from '../models/ConsignmentAssignment.js';
+import PricingService, { DEFAULT_FUEL_PERCENTAGE, AWB_CHARGE } from './pricingService.js';
+import GstService, { SAC_CODE, SUPPLIER } from './gstService.js';
+import DocumentSeriesService from './documentSeriesService.js';
+import PdfService from './pdfService.js';
+
+export const INVOICE_TERMS = [
+  'Invoice Amount To Be Paid By Same Days From The Date Of Invoice',
+  'Payment Should Be Crossed Account Payee Cheque/Demand Draft or Digital Transfer Our Courier & Logistics Services (I) Pvt.Ltd',
+  'Interest @ 3% Per Month Will Be Charged On Payment'
+];
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const conflict = (message) => {
+  const error = new Error(message);
+  error.status = 409;
+  return error;
+};
+
+// Bill the return leg of an RTO shipment as its own line under the same consignment number
+export const formatRtoBill = (usage) => {
+  const bookingData = usage.bookingData || {};
+  return {
+    _id: usage._id,
+    lineType: 'rto',
+    consignmentNumber: usage.consignmentNumber,
+    bookingReference: usage.bookingReference,
+    bookingDate: usage.rto.initiatedAt,
+    pricedOn: usage.usedAt, // Rates come from the plan version the forward leg was booked on
+    origin: bookingData.destinationData?.city || 'N/A',
+    destination: bookingData.originData?.city || 'N/A', // Returns travel back to the shipper
+    serviceType: bookingData.shipmentData?.natureOfConsignment === 'DOX' ? 'DOX' : 'NON-DOX',
+    weight: bookingData.shipmentData?.chargeableWeight || bookingData.shipmentData?.actualWeight || 0,
+    freightCharges: usage.rto.freightCharges || 0,
+    totalAmount: usage.rto.totalAmount || 0,
+    status: usage.rto.status,
+    paymentStatus: usage.rto.paymentStatus
+  };
+};
+
+// Fuel surcharge of each invoice line comes from the plan version in force on its booking
+// date, so a rate revision never reprices shipments booked before it. Plans that follow the
+// fuel index take the index percentage of that date instead (see FuelService.applyIndex).
+export const loadFuelRates = async (corporateId) => {
+  const corporatePlan = await PricingService.loadCorporatePlan(corporateId);
+  return (bookingDate) => {
+    const rates = corporatePlan?.ratesAt(bookingDate);
+    return {
+      fuelChargePercentage: rates?.fuelChargePercentage ?? DEFAULT_FUEL_PERCENTAGE,
+      pricingVersion: rates?.version ?? null
+    };
+  };
+};
+
+// Invoice-level fuel rate: the rate of the latest booking (lines keep their own)
+export const latestFuelPercentage = (lines) => {
+  const latest = [...lines].sort((a, b) => new Date(b.bookingDate) - new Date(a.bookingDate))[0];
+  return latest?.fuelChargePercentage ?? DEFAULT_FUEL_PERCENTAGE;
+};
+
+// GST fields of an invoice for a corporate: place of supply from its GSTIN or billing state
+export const invoiceGstFields = (placeOfSupply) => ({
+  stateCode: placeOfSupply.stateCode || 'N/A',
+  placeOfSupply: {
+    state: placeOfSupply.state,
+    stateCode: placeOfSupply.stateCode
+  },
+  supplyType: placeOfSupply.interState ? 'inter_state' : 'intra_state',
+  sacCode: SAC_CODE
+});
+
+// Tax an invoice line for the place of supply. GST is levied on everything the line
+// charges: freight, AWB, fuel surcharge and COD fee.
+export const applyLineTax = (line, placeOfSupply) => {
+  const taxableValue = round(line.freightCharges + line.awbCharge + line.fuelSurcharge + (line.codCharge || 0));
+  const gst = GstService.lineTax(taxableValue, placeOfSupply);
+  return {
+    ...line,
+    taxableValue: taxableValue,
+    gstRate: gst.rate,
+    cgst: gst.cgst,
+    sgst: gst.sgst,
+    igst: gst.igst,
+    totalAmount: round(taxableValue + gst.total)
+  };
+};
+
+// Price a forward shipment as an invoice line
+export const buildInvoiceLine = (usage, fuelRateAt, placeOfSupply) => {
+  const bookingData = usage.bookingData;
+  const { fuelChargePercentage, pricingVersion } = fuelRateAt(usage.usedAt);
+  const freightCharges = parseFloat(usage.freightCharges) || 0;
+
+  return applyLineTax({
+    consignmentNumber: usage.consignmentNumber,
+    bookingDate: usage.usedAt,
+    origin: bookingData.originData?.city || 'N/A',
+    destination: bookingData.destinationData?.city || 'N/A',
+    serviceType: bookingData.shipmentData?.natureOfConsignment === 'DOX' ? 'DOX' : 'NON-DOX',
+    weight: bookingData.shipmentData?.chargeableWeight || bookingData.shipmentData?.actualWeight || 0,
+    freightCharges: freightCharges,
+    awbCharge: AWB_CHARGE,
+    fuelChargePercentage: fuelChargePercentage,
+    pricingVersion: pricingVersion,
+    fuelSurcharge: round(freightCharges * (fuelChargePercentage / 100)),
+    codCharge: usage.cod?.charge || 0
+  }, placeOfSupply);
+};
+
+// Price RTO lines for an invoice. The return leg reuses the forward AWB, so no AWB charge.
+export const buildRtoInvoiceLines = (rtoShipments, fuelRateAt, placeOfSupply) => {
+  return rtoShipments.map(formatRtoBill).map(bill => {
+    const { fuelChargePercentage, pricingVersion } = fuelRateAt(bill.pricedOn);
+    const freightCharges = parseFloat(bill.freightCharges) || 0;
+
+    return applyLineTax({
+      lineType: 'rto',
+      consignmentNumber: bill.consignmentNumber,
+      bookingDate: bill.bookingDate,
+      origin: bill.origin,
+      destination: bill.destination,
+      serviceType: bill.serviceType,
+      weight: parseFloat(bill.weight) || 0,
+      freightCharges: freightCharges,
+      awbCharge: 0,
+      fuelChargePercentage: fuelChargePercentage,
+      pricingVersion: pricingVersion,
+      fuelSurcharge: round(freightCharges * (fuelChargePercentage / 100))
+    }, placeOfSupply);
+  });
+};
+
+// Invoice totals from its priced lines
+export const sumInvoiceLines = (lines) => {
+  const total = (field) => round(lines.reduce((sum, line) => sum + (line[field] || 0), 0));
+  const totals = {
+    subtotal: total('freightCharges'),
+    awbChargesTotal: total('awbCharge'),
+    fuelSurchargeTotal: total('fuelSurcharge'),
+    codChargesTotal: total('codCharge'),
+    cgstTotal: total('cgst'),
+    sgstTotal: total('sgst'),
+    igstTotal: total('igst')
+  };
+  return {
+    ...totals,
+    grandTotal: round(Object.values(totals).reduce((sum, value) => sum + value, 0))
+  };
+};
+
+// Due date of an invoice issued today: the corporate's credit period if it has one,
+// otherwise the end of the current month
+export const invoiceDueDate = (corporate, invoiceDate = new Date()) => {
+  if (corporate.creditPeriodDays === null || corporate.creditPeriodDays === undefined) {
+    return new Date(invoiceDate.getFullYear(), invoiceDate.getMonth() + 1, 0);
+  }
+  return new Date(invoiceDate.getTime() + corporate.creditPeriodDays * 24 * 60 * 60 * 1000);
+};
+
+// Generate HTML for invoice (temporary solution)
+export function generateInvoiceHTML(invoice) {
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-IN', {
+      style: 'currency',
+      currency: 'INR',
+      minimumFractionDigits: 2
+    }).format(amount);
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-GB');
+  };
+
+  // Lines booked on different plan versions can carry different fuel rates
+  const lineFuelRates = [...new Set(invoice.shipments
+    .map(shipment => shipment.fuelChargePercentage)
+    .filter(rate => rate !== undefined && rate !== null))].sort((a, b) => a - b);
+  const fuelRateLabel = (lineFuelRates.length ? lineFuelRates : [invoice.fuelChargePercentage ?? 15])
+    .map(rate => `${rate}%`)
+    .join(' / ');
+
+  // Invoices from before AWB charges were stored per line kept them out of the grand total
+  const legacyAwbTotals = invoice.awbChargesTotal === undefined || invoice.awbChargesTotal === null;
+  const awbChargesTotal = legacyAwbTotals ? invoice.shipments.length * AWB_CHARGE : invoice.awbChargesTotal;
+  const grandTotal = legacyAwbTotals ? invoice.grandTotal + awbChargesTotal : invoice.grandTotal;
+
+  const interState = invoice.supplyType === 'inter_state';
+  const placeOfSupply = invoice.placeOfSupply?.state
+    ? `${invoice.placeOfSupply.state}${invoice.placeOfSupply.stateCode ? ` (${invoice.placeOfSupply.stateCode})` : ''}`
+    : invoice.state;
+  const taxSummary = GstService.taxSummary(invoice.shipments);
+
+  // Function to convert number to words
+  const numberToWords = (num) => {
+    const ones = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine'];
+    const teens = ['Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+    const tens = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+    const scales = ['', 'Thousand', 'Lakh', 'Crore'];
+
+    if (num === 0) return 'Zero';
+
+    const convertHundreds = (n) => {
+      let result = '';
+      if (n > 99) {
+        result += ones[Math.floor(n / 100)] + ' Hundred ';
+        n %= 100;
+      }
+      if (n > 19) {
+        result += tens[Math.floor(n / 10)] + ' ';
+        n %= 10;
+      } else if (n > 9) {
+        result += teens[n - 10] + ' ';
+        return result.trim();
+      }
+      if (n > 0) {
+        result += ones[n] + ' ';
+      }
+      return result.trim();
+    };
+
+    let result = '';
+    let scaleIndex = 0;
+    
+    while (num > 0) {
+      const chunk = num % 1000;
+      if (chunk !== 0) {
+        const chunkWords = convertHundreds(chunk);
+        if (scaleIndex > 0) {
+          result = chunkWords + ' ' + scales[scaleIndex] + ' ' + result;
+        } else {
+          result = chunkWords;
+        }
+      }
+      num = Math.floor(num / 1000);
+      scaleIndex++;
+    }
+
+    return result.trim() + ' Rupees Only';
+  };
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Invoice ${invoice.invoiceNumber}</title>
+        <style>
+            body {
+                font-family: Arial, sans-serif;
+                margin: 0;
+                padding: 20px;
+                background-color: #f5f5f5;
+            }
+            .invoice-container {
+                max-width: 800px;
+                margin: 0 auto;
+                background: white;
+                padding: 30px;
+                border-radius: 8px;
+                box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            }
+            .header {
+                text-align: center;
+                border-bottom: 2px solid #e5e5e5;
+                padding-bottom: 20px;
+                margin-bottom: 30px;
+            }
+            .company-info {
+                display: flex;
+                justify-content: space-between;
+                margin-bottom: 30px;
+            }
+            .company-details, .invoice-details {
+                flex: 1;
+            }
+            .invoice-details {
+                text-align: right;
+            }
+            .invoice-title {
+                font-size: 24px;
+                font-weight: bold;
+                color: #333;
+                margin-bottom: 10px;
+            }
+            .invoice-number {
+                font-size: 18px;
+                color: #666;
+            }
+            .details-table {
+                width: 100%;
+                border-collapse: collapse;
+                margin-bottom: 30px;
+            }
+            .details-table th,
+            .details-table td {
+                border: 1px solid #ddd;
+                padding: 12px;
+                text-align: left;
+            }
+            .details-table th {
+                background-color: #f8f9fa;
+                font-weight: bold;
+            }
+            .details-table tr:nth-child(even) {
+                background-color: #f9f9f9;
+            }
+            .amount-summary {
+                float: right;
+                width: 300px;
+                margin-top: 20px;
+            }
+            .amount-row {
+                display: flex;
+                justify-content: space-between;
+                padding: 8px 0;
+                border-bottom: 1px solid #eee;
+            }
+            .amount-row.total {
+                font-weight: bold;
+                font-size: 18px;
+                border-top: 2px solid #333;
+                border-bottom: 2px solid #333;
+                margin-top: 10px;
+                padding-top: 15px;
+            }
+            .tax-summary {
+                clear: both;
+                padding-top: 30px;
+            }
+            .tax-summary table {
+                width: 100%;
+                border-collapse: collapse;
+            }
+            .tax-summary th,
+            .tax-summary td {
+                border: 1px solid #ddd;
+                padding: 8px;
+                text-align: right;
+            }
+            .tax-summary th {
+                background-color: #f8f9fa;
+            }
+            .amount-in-words {
+                margin-top: 20px;
+                font-style: italic;
+                color: #666;
+                min-height: 40px;
+                padding: 10px;
+                background-color: #f9f9f9;
+                border-radius: 4px;
+                word-wrap: break-word;
+            }
+            .footer {
+                margin-top: 50px;
+                padding-top: 20px;
+                border-top: 1px solid #e5e5e5;
+                text-align: center;
+                color: #666;
+                font-size: 12px;
+            }
+            .status-badge {
+                display: inline-block;
+                padding: 4px 12px;
+                border-radius: 20px;
+                font-size: 12px;
+                font-weight: bold;
+                text-transform: uppercase;
+            }
+            .status-paid {
+                background-color: #d4edda;
+                color: #155724;
+            }
+            .status-unpaid {
+                background-color: #fff3cd;
+                color: #856404;
+            }
+            .status-overdue {
+                background-color: #f8d7da;
+                color: #721c24;
+            }
+            @media print {
+                body { background-color: white; }
+                .invoice-container { box-shadow: none; }
+            }
+        </style>
+    </head>
+    <body>
+        <div class="invoice-container">
+            <div class="header">
+                <h1 class="invoice-title">TAX INVOICE</h1>
+                <p class="invoice-number">Invoice No: ${invoice.invoiceNumber}</p>
+            </div>
+            
+            <div class="company-info">
+                <div class="company-details">
+                    <h3>${SUPPLIER.name}</h3>
+                    <p>${SUPPLIER.address}</p>
+                    <p>GSTIN/UIN: ${SUPPLIER.gstin}</p>
+                    <p>State Name: ${SUPPLIER.state}, Code: ${SUPPLIER.stateCode}</p>
+                    <p>Contact: ${SUPPLIER.contact}</p>
+                    <p>E-Mail: ${SUPPLIER.email}</p>
+                </div>
+                <div class="invoice-details">
+                    <h3>${invoice.companyName}</h3>
+                    <p>${invoice.companyAddress}</p>
+                    <p>GSTIN/UIN: ${invoice.gstNumber || 'Unregistered'}</p>
+                    <p>State: ${invoice.state}${invoice.placeOfSupply?.stateCode ? `, Code: ${invoice.placeOfSupply.stateCode}` : ''}</p>
+                    <p>Contact: ${invoice.contactNumber}</p>
+                    <p>E-Mail: ${invoice.email}</p>
+                </div>
+            </div>
+            
+            <div class="company-info">
+                <div class="company-details">
+                    <p><strong>Invoice Period:</strong> ${formatDate(invoice.invoicePeriod.startDate)} to ${formatDate(invoice.invoicePeriod.endDate)}</p>
+                    <p><strong>Invoice Date:</strong> ${formatDate(invoice.invoiceDate)}</p>
+                    <p><strong>Place of Supply:</strong> ${placeOfSupply}</p>
+                    <p><strong>SAC:</strong> ${invoice.sacCode || SAC_CODE} (Courier services)</p>
+                </div>
+                <div class="invoice-details">
+                    <p><strong>Status:</strong> 
+                        <span class="status-badge status-${invoice.status}">${invoice.status}</span>
+                    </p>
+                    <p><strong>Due Date:</strong> ${formatDate(invoice.dueDate)}</p>
+                </div>
+            </div>
+            
+            <table class="details-table">
+                <thead>
+                    <tr>
+                        <th>SN</th>
+                        <th>Date</th>
+                        <th>Type of</th>
+                        <th>Destination</th>
+                        <th>AWB</th>
+                        <th>Weight</th>
+                        <th>AWB Charge</th>
+                        <th>Freight Charges</th>
+                        <th>Taxable Value</th>
+                        ${interState ? '<th>IGST</th>' : '<th>CGST</th><th>SGST</th>'}
+                        <th>Amount INR</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${invoice.shipments.map((shipment, index) => `
+                        <tr>
+                            <td>${index + 1}</td>
+                            <td>${formatDate(shipment.bookingDate)}</td>
+                            <td>${shipment.serviceType === 'DOX' ? 'DOX' : 'NON-DOX'}</td>
+                            <td>${shipment.destination}</td>
+                            <td>${shipment.consignmentNumber}</td>
+                            <td>${shipment.weight} kg</td>
+                            <td>${formatCurrency(shipment.awbCharge ?? (shipment.lineType === 'rto' ? 0 : AWB_CHARGE))}</td>
+                            <td>${formatCurrency(shipment.freightCharges)}</td>
+                            <td>${formatCurrency(shipment.taxableValue ?? shipment.freightCharges)}</td>
+                            ${interState
+                              ? `<td>${formatCurrency(shipment.igst || 0)}</td>`
+                              : `<td>${formatCurrency(shipment.cgst || 0)}</td><td>${formatCurrency(shipment.sgst || 0)}</td>`}
+                            <td>${formatCurrency(shipment.totalAmount)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            
+            <div class="amount-summary">
+                <div class="amount-row">
+                    <span>Total (Subtotal of services):</span>
+                    <span>${formatCurrency(invoice.subtotal)}</span>
+                </div>
+                <div class="amount-row">
+                    <span>AWB CHARGES:</span>
+                    <span>${formatCurrency(awbChargesTotal)}</span>
+                </div>
+                <div class="amount-row">
+                    <span>FUEL SURCHARGE (${fuelRateLabel}):</span>
+                    <span>${formatCurrency(invoice.fuelSurchargeTotal)}</span>
+                </div>
+                ${invoice.codChargesTotal > 0 ? `
+                <div class="amount-row">
+                    <span>COD CHARGES:</span>
+                    <span>${formatCurrency(invoice.codChargesTotal)}</span>
+                </div>` : ''}
+                ${interState ? `
+                <div class="amount-row">
+                    <span>IGST:</span>
+                    <span>${formatCurrency(invoice.igstTotal || 0)}</span>
+                </div>` : `
+                <div class="amount-row">
+                    <span>CGST:</span>
+                    <span>${formatCurrency(invoice.cgstTotal)}</span>
+                </div>
+                <div class="amount-row">
+                    <span>SGST:</span>
+                    <span>${formatCurrency(invoice.sgstTotal)}</span>
+                </div>`}
+                <div class="amount-row total">
+                    <span>Grand Total:</span>
+                    <span>${formatCurrency(grandTotal)}</span>
+                </div>
+                <div class="amount-in-words">
+                    <strong>In Words: INR ${numberToWords(Math.floor(grandTotal))}</strong>
+                </div>
+            </div>
+            
+            <div class="tax-summary">
+                <h4>Tax Summary</h4>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>SAC</th>
+                            <th>Taxable Value</th>
+                            ${interState ? '<th>IGST Rate</th><th>IGST</th>' : '<th>CGST Rate</th><th>CGST</th><th>SGST Rate</th><th>SGST</th>'}
+                            <th>Total Tax</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${taxSummary.map(row => `
+                        <tr>
+                            <td>${row.sacCode}</td>
+                            <td>${formatCurrency(row.taxableValue)}</td>
+                            ${interState
+                              ? `<td>${row.rate}%</td><td>${formatCurrency(row.igst)}</td>`
+                              : `<td>${row.rate / 2}%</td><td>${formatCurrency(row.cgst)}</td><td>${row.rate / 2}%</td><td>${formatCurrency(row.sgst)}</td>`}
+                            <td>${formatCurrency(row.totalTax)}</td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+                <p>Tax payable on reverse charge: No</p>
+            </div>
+            
+            <div style="clear: both;"></div>
+            
+            ${invoice.status === 'paid' && invoice.paymentDate ? `
+                <div style="background-color: #d4edda; padding: 15px; border-radius: 5px; margin-top: 30px;">
+                    <h4 style="color: #155724; margin: 0 0 10px 0;">Payment Information</h4>
+                    <p style="margin: 5px 0; color: #155724;"><strong>Payment Date:</strong> ${formatDate(invoice.paymentDate)}</p>
+                    <p style="margin: 5px 0; color: #155724;"><strong>Payment Method:</strong> ${invoice.paymentMethod?.replace('_', ' ').toUpperCase()}</p>
+                    <p style="margin: 5px 0; color: #155724;"><strong>Reference:</strong> ${invoice.paymentReference}</p>
+                </div>
+            ` : ''}
+            
+            <div class="footer">
+                <p><strong>Terms and Conditions:</strong></p>
+                <p>1. Invoice Amount To Be Paid By Same Days From The Date Of Invoice</p>
+                <p>2. Payment Should Be Crossed Account Payee Cheque/Demand Draft or Digital Transfer Our Courier & Logistics Services (I) Pvt.Ltd</p>
+                <p>3. Interest @ 3% Per Month Will Be Charged On Payment</p>
+                <br>
+                <p><strong>Disclaimer:</strong> This Is a Computer Generated Invoice and does not require any official signature. Kindly notify us immediately in case you find any discrepancy in the details of transactions.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+  `;
+}
+
+class InvoiceService {
+  /**
+   * Render an invoice to a PDF buffer, trying puppeteer first and html-pdf after
+   * @param {Object} invoice
+   * @returns {Promise<Buffer>}
+   */
+  static async renderPdf(invoice) {
+    return PdfService.fromHtml(generateInvoiceHTML(invoice));
+  }
+
+  /**
+   * Price unbilled shipments and RTO legs into a numbered invoice and mark them invoiced
+   * @param {Object} corporate - CorporateData document
+   * @param {Object} options - { usages, rtoUsages, period: { startDate, endDate }, createdBy, billingRunId }
+   * @returns {Promise<Object>} Saved invoice
+   */
+  static async generate(corporate, { usages = [], rtoUsages = [], period, createdBy, billingRunId }) {
+    // Fuel charge percentage per booking date from the corporate's plan versions
+    const fuelRateAt = await loadFuelRates(corporate._id);
+
+    // CGST + SGST or IGST depending on where the corporate is registered
+    const placeOfSupply = GstService.placeOfSupply(corporate);
+
+    const lines = [
+      ...usages.map(usage => buildInvoiceLine(usage, fuelRateAt, placeOfSupply)),
+      ...buildRtoInvoiceLines(rtoUsages, fuelRateAt, placeOfSupply)
+    ];
+
+    const invoice = new Invoice({
+      corporateId: corporate._id,
+      companyName: corporate.companyName,
+      companyAddress: corporate.fullAddress,
+      gstNumber: corporate.gstNumber,
+      state: corporate.state,
+      ...invoiceGstFields(placeOfSupply),
+      contactNumber: corporate.contactNumber,
+      email: corporate.email,
+      invoicePeriod: period,
+      shipments: lines,
+      ...sumInvoiceLines(lines),
+      fuelChargePercentage: latestFuelPercentage(lines),
+      status: 'unpaid',
+      dueDate: invoiceDueDate(corporate),
+      termsAndConditions: INVOICE_TERMS,
+      createdBy,
+      billingRunId
+    });
+    // Validation runs before the pre-save hook that would fill this in
+    invoice.amountInWords = invoice.numberToWords(invoice.grandTotal);
+
+    return this.issue(invoice, {
+      usageIds: usages.map(usage => usage._id),
+      rtoUsageIds: rtoUsages.map(usage => usage._id)
+    });
+  }
+
+  /**
+   * Claim the shipments and RTO legs billed on an invoice, then number and save it. The claim
+   * only takes unbilled lines, so when another invoice got to one of them first this one is
+   * not issued and every line goes back to unbilled.
+   * @param {Object} invoice - Unsaved Invoice document
+   * @param {Object} lines - { usageIds, rtoUsageIds } ConsignmentUsage ids of its lines
+   * @returns {Promise<Object>} Saved invoice
+   */
+  static async issue(invoice, { usageIds = [], rtoUsageIds = [] }) {
+    const unique = (ids) => [...new Set(ids.map(String))];
+    const forward = unique(usageIds);
+    const rto = unique(rtoUsageIds);
+
+    try {
+      const claimed = await ConsignmentUsage.markAsInvoiced(forward, invoice._id, invoice.corporateId);
+      const claimedRto = await ConsignmentUsage.markRtoAsInvoiced(rto, invoice._id, invoice.corporateId);
+      if (claimed.modifiedCount !== forward.length || claimedRto.modifiedCount !== rto.length) {
+        throw conflict('Some of these shipments are already invoiced or do not belong to this corporate');
+      }
+
+      // Number it from the financial-year series as it is saved; a failed save hands the number back
+      await DocumentSeriesService.issue('tax_invoice', (invoiceNumber) => {
+        invoice.invoiceNumber = invoiceNumber;
+        return invoice.save();
+      }, invoice.invoiceDate);
+    } catch (error) {
+      await ConsignmentUsage.releaseInvoiced(invoice._id);
+      throw error;
+    }
+    return invoice;
+  }
+}
+
+export default InvoiceService;
@@ -0,0 +1,302 @@
+import mongoose from 'mongoose';
+import PaymentReceipt, { PAYMENT_MODES } from '../models/PaymentReceipt.js';
+import Invoice from '../models/Invoice.js';
+import CorporateData from '../models/CorporateData.js';
+import DocumentSeriesService from './documentSeriesService.js';
+
+// Invoice.paymentMethod predates receipts and only knows these four
+const INVOICE_PAYMENT_METHODS = {
+  neft: 'bank_transfer',
+  rtgs: 'bank_transfer',
+  imps: 'bank_transfer',
+  upi: 'bank_transfer',
+  cheque: 'cheque',
+  demand_draft: 'other',
+  cash: 'cash',
+  other: 'other'
+};
+
+// Paise left over from rounding do not keep an invoice open
+const SETTLEMENT_TOLERANCE = 0.01;
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+class PaymentService {
+  /**
+   * Check requested allocations against the corporate's open invoices
+   * @param {string} corporateId
+   * @param {Array} allocations - [{ invoiceId, amount, tdsAmount }]
+   * @returns {Promise<Array>} [{ invoiceId, invoiceNumber, amount, tdsAmount }]
+   */
+  static async prepareAllocations(corporateId, allocations = []) {
+    if (!Array.isArray(allocations)) {
+      throw badRequest('Allocations must be a list');
+    }
+
+    const ids = allocations.map(allocation => String(allocation.invoiceId));
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw badRequest('Every allocation needs a valid invoice');
+    }
+    if (new Set(ids).size !== ids.length) {
+      throw badRequest('An invoice can only be allocated once per receipt');
+    }
+
+    const invoices = await Invoice.find({ _id: { $in: ids }, corporateId });
+    return allocations.map(requested => {
+      const invoice = invoices.find(candidate => String(candidate._id) === String(requested.invoiceId));
+      if (!invoice) {
+        throw badRequest('Invoice not found for this corporate');
+      }
+
+      const settled = (invoice.amountPaid || 0) + (invoice.tdsDeducted || 0);
+      if (invoice.status === 'paid' && settled === 0) {
+        throw badRequest(`${invoice.invoiceNumber} was marked paid before receipts were recorded`);
+      }
+
+      const amount = round(requested.amount);
+      const tdsAmount = round(requested.tdsAmount);
+      if (amount < 0 || tdsAmount < 0 || amount + tdsAmount <= 0) {
+        throw badRequest(`Amount for ${invoice.invoiceNumber} must be positive`);
+      }
+      if (amount + tdsAmount > invoice.balanceDue + SETTLEMENT_TOLERANCE) {
+        throw badRequest(`${invoice.invoiceNumber} has only ₹${invoice.balanceDue} left to settle`);
+      }
+
+      return { invoiceId: invoice._id, invoiceNumber: invoice.invoiceNumber, amount, tdsAmount };
+    });
+  }
+
+  /**
+   * Add allocations to their invoices. Each update only applies while the invoice still has
+   * that much left to settle, so two receipts cannot overpay it between check and write.
+   * @param {Array} allocations - Output of prepareAllocations()
+   */
+  static async applyAllocations(allocations) {
+    const applied = [];
+    for (const allocation of allocations) {
+      const result = await Invoice.updateOne({
+        _id: allocation.invoiceId,
+        $expr: {
+          $lte: [
+            { $add: [{ $ifNull: ['$amountPaid', 0] }, { $ifNull: ['$tdsDeducted', 0] }, allocation.amount + allocation.tdsAmount] },
+            { $add: ['$grandTotal', { $ifNull: ['$debitNotesTotal', 0] }, { $multiply: [-1, { $ifNull: ['$creditNotesTotal', 0] }] }, SETTLEMENT_TOLERANCE] }
+          ]
+        }
+      }, { $inc: { amountPaid: allocation.amount, tdsDeducted: allocation.tdsAmount } });
+
+      if (result.modifiedCount !== 1) {
+        await this.revertAllocations(applied);
+        throw badRequest(`${allocation.invoiceNumber} was settled by another receipt meanwhile`);
+      }
+      applied.push(allocation);
+    }
+  }
+
+  /**
+   * Take allocations back off their invoices
+   * @param {Array} allocations
+   */
+  static async revertAllocations(allocations) {
+    for (const allocation of allocations) {
+      await Invoice.updateOne(
+        { _id: allocation.invoiceId },
+        { $inc: { amountPaid: -allocation.amount, tdsDeducted: -allocation.tdsAmount } }
+      );
+    }
+  }
+
+  /**
+   * Re-derive the status of allocated invoices; those now paid record the receipt that settled them
+   * @param {Array} allocations
+   * @param {Object|null} receipt - Receipt that settled them, null when it was cancelled
+   */
+  static async settleInvoices(allocations, receipt = null) {
+    for (const allocation of allocations) {
+      const invoice = await Invoice.findById(allocation.invoiceId);
+      if (!invoice) continue;
+
+      // Settled through receipts, so 'paid' must not be read as paid before receipts existed
+      invoice.status = 'unpaid';
+      invoice.refreshPaymentStatus();
+      if (invoice.status === 'paid' && receipt) {
+        invoice.paymentDate = receipt.receiptDate;
+        invoice.paymentMethod = INVOICE_PAYMENT_METHODS[receipt.paymentMode];
+        invoice.paymentReference = receipt.receiptNumber;
+      } else if (invoice.status !== 'paid') {
+        invoice.paymentDate = undefined;
+        invoice.paymentMethod = undefined;
+        invoice.paymentReference = undefined;
+      }
+      await invoice.save();
+    }
+  }
+
+  /**
+   * Record money received from a corporate and allocate it to invoices
+   * @param {Object} data - { corporateId, receiptDate, paymentMode, reference, bankName,
+   *   amountReceived, allocations, tdsSection, remarks }
+   * @param {Object} admin - Recording admin
+   * @returns {Promise<Object>} Saved receipt
+   */
+  static async record(data, admin) {
+    const corporate = mongoose.Types.ObjectId.isValid(data.corporateId)
+      ? await CorporateData.findById(data.corporateId).lean()
+      : null;
+    if (!corporate) {
+      throw badRequest('Corporate not found');
+    }
+    if (!PAYMENT_MODES.includes(data.paymentMode)) {
+      throw badRequest(`Payment mode must be one of: ${PAYMENT_MODES.join(', ')}`);
+    }
+    if (data.paymentMode !== 'cash' && !String(data.reference || '').trim()) {
+      throw badRequest('UTR or cheque reference is required');
+    }
+
+    const amountReceived = round(data.amountReceived);
+    const receiptDate = data.receiptDate ? new Date(data.receiptDate) : new Date();
+    if (Number.isNaN(receiptDate.getTime()) || receiptDate > new Date()) {
+      throw badRequest('Receipt date must be a valid date, not in the future');
+    }
+
+    const allocations = await this.prepareAllocations(corporate._id, data.allocations);
+    if (round(allocations.reduce((sum, allocation) => sum + allocation.amount, 0)) > amountReceived) {
+      throw badRequest('Allocations exceed the amount received');
+    }
+
+    const receipt = await DocumentSeriesService.issue('payment_receipt', async (receiptNumber) => {
+      await this.applyAllocations(allocations);
+      try {
+        return await PaymentReceipt.create({
+          receiptNumber,
+          corporateId: corporate._id,
+          companyName: corporate.companyName,
+          receiptDate,
+          paymentMode: data.paymentMode,
+          reference: data.reference,
+          bankName: data.bankName,
+          amountReceived,
+          allocations,
+          tdsSection: data.tdsSection,
+          remarks: data.remarks,
+          createdBy: admin._id
+        });
+      } catch (error) {
+        await this.revertAllocations(allocations);
+        throw error;
+      }
+    }, receiptDate);
+
+    await this.settleInvoices(allocations, receipt);
+    return receipt;
+  }
+
+  /**
+   * Allocate money held on account to further invoices
+   * @param {Object} receipt - PaymentReceipt document
+   * @param {Array} requested - [{ invoiceId, amount, tdsAmount }]
+   * @returns {Promise<Object>} Updated receipt
+   */
+  static async allocate(receipt, requested) {
+    if (receipt.status !== 'active') {
+      throw badRequest(`${receipt.receiptNumber} is cancelled`);
+    }
+    if (!Array.isArray(requested) || requested.length === 0) {
+      throw badRequest('At least one allocation is required');
+    }
+    if (requested.some(allocation => receipt.allocations.some(existing => String(existing.invoiceId) === String(allocation.invoiceId)))) {
+      throw badRequest('An invoice can only be allocated once per receipt');
+    }
+
+    const allocations = await this.prepareAllocations(receipt.corporateId, requested);
+    if (round(allocations.reduce((sum, allocation) => sum + allocation.amount, 0)) > receipt.unallocatedAmount) {
+      throw badRequest(`Only ₹${receipt.unallocatedAmount} of ${receipt.receiptNumber} is unallocated`);
+    }
+
+    await this.applyAllocations(allocations);
+    try {
+      receipt.allocations.push(...allocations);
+      await receipt.save();
+    } catch (error) {
+      await this.revertAllocations(allocations);
+      throw error;
+    }
+
+    await this.settleInvoices(allocations, receipt);
+    return receipt;
+  }
+
+  /**
+   * Cancel a receipt, e.g. a bounced cheque. Its invoices fall back to what else settled them.
+   * @param {Object} receipt - PaymentReceipt document
+   * @param {string} reason
+   * @param {Object} admin
+   * @returns {Promise<Object>} Updated receipt
+   */
+  static async cancel(receipt, reason, admin) {
+    if (receipt.status !== 'active') {
+      throw badRequest(`${receipt.receiptNumber} is already cancelled`);
+    }
+
+    await this.revertAllocations(receipt.allocations);
+    receipt.status = 'cancelled';
+    receipt.cancelledAt = new Date();
+    receipt.cancelledBy = admin._id;
+    receipt.cancellationReason = reason;
+    await receipt.save();
+
+    await this.settleInvoices(receipt.allocations);
+    return receipt;
+  }
+
+  /**
+   * TDS deducted by each corporate in a financial year and how much of it is backed by certificates
+   * @param {string} financialYear - e.g. "25-26"
+   * @returns {Promise<Array>} [{ corporateId, companyName, receipts, tdsAmount, certifiedAmount, pendingAmount }]
+   */
+  static async tdsRegister(financialYear) {
+    const { start, end } = DocumentSeriesService.financialYearRange(financialYear);
+    const receipts = await PaymentReceipt.find({
+      status: 'active',
+      tdsAmount: { $gt: 0 },
+      receiptDate: { $gte: start, $lt: end }
+    }).sort({ receiptDate: 1 }).lean();
+
+    const register = new Map();
+    receipts.forEach(receipt => {
+      const key = String(receipt.corporateId);
+      const row = register.get(key) || {
+        corporateId: receipt.corporateId,
+        companyName: receipt.companyName,
+        receipts: [],
+        tdsAmount: 0,
+        certifiedAmount: 0,
+        pendingAmount: 0
+      };
+      row.receipts.push({
+        _id: receipt._id,
+        receiptNumber: receipt.receiptNumber,
+        receiptDate: receipt.receiptDate,
+        tdsAmount: receipt.tdsAmount,
+        tdsSection: receipt.tdsSection,
+        tdsCertificateNumber: receipt.tdsCertificateNumber
+      });
+      row.tdsAmount = round(row.tdsAmount + receipt.tdsAmount);
+      if (receipt.tdsCertificateNumber) {
+        row.certifiedAmount = round(row.certifiedAmount + receipt.tdsAmount);
+      } else {
+        row.pendingAmount = round(row.pendingAmount + receipt.tdsAmount);
+      }
+      register.set(key, row);
+    });
+
+    return [...register.values()].sort((a, b) => b.pendingAmount - a.pendingAmount);
+  }
+}
+
+export default PaymentService;
@@ -0,0 +1,55 @@
+const PAGE_MARGIN = '0.5in';
+
+class PdfService {
+  /**
+   * Render an HTML document to an A4 PDF, trying puppeteer first and html-pdf after.
+   * The browser is closed however rendering ends so a failed page cannot leave Chromium running.
+   * @param {string} html - Complete HTML document
+   * @returns {Promise<Buffer>} PDF bytes
+   */
+  static async fromHtml(html) {
+    try {
+      return await this.renderWithPuppeteer(html);
+    } catch (puppeteerErr) {
+      console.warn('Puppeteer failed, falling back to html-pdf:', puppeteerErr?.message);
+      return this.renderWithHtmlPdf(html);
+    }
+  }
+
+  /**
+   * @param {string} html
+   * @returns {Promise<Buffer>}
+   */
+  static async renderWithPuppeteer(html) {
+    const puppeteer = (await import('puppeteer')).default;
+    const browser = await puppeteer.launch({ headless: true, args: ['--no-sandbox', '--disable-setuid-sandbox'] });
+    try {
+      const page = await browser.newPage();
+      await page.setContent(html, { waitUntil: 'networkidle0' });
+      return await page.pdf({
+        format: 'A4',
+        printBackground: true,
+        margin: { top: PAGE_MARGIN, right: PAGE_MARGIN, bottom: PAGE_MARGIN, left: PAGE_MARGIN }
+      });
+    } finally {
+      await browser.close();
+    }
+  }
+
+  /**
+   * @param {string} html
+   * @returns {Promise<Buffer>}
+   */
+  static async renderWithHtmlPdf(html) {
+    const pdfModule = await import('html-pdf');
+    const pdfCreate = pdfModule.default?.create || pdfModule.create;
+    return new Promise((resolve, reject) => {
+      pdfCreate(html, { format: 'A4', border: PAGE_MARGIN }).toBuffer((err, buffer) => {
+        if (err) return reject(err);
+        resolve(buffer);
+      });
+    });
+  }
+}
+
+export default PdfService;
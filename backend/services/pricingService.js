@@ -0,0 +1,530 @@
+import CorporatePricing, { DEFAULT_VOLUMETRIC_DIVISORS, DEFAULT_COD_CHARGE } from '../models/CorporatePricing.js';
+import CorporatePricingVersion from '../models/CorporatePricingVersion.js';
+import EtaService from './etaService.js';
+import ZoneService from './zoneService.js';
+import FuelService from './fuelService.js';
+import GstService from './gstService.js';
+
+// GST on courier services (SAC 9968)
+export const GST_RATE = 18;
+
+// Charged once per consignment note
+export const AWB_CHARGE = 50;
+
+// Used when a corporate plan sets neither its own fuel surcharge nor follows the fuel index
+export const DEFAULT_FUEL_PERCENTAGE = 15;
+
+// Highest amount a courier boy may collect on one cash-on-delivery shipment
+export const MAX_COD_AMOUNT = 50000;
+
+// Out-of-delivery-area surcharge: per kg of chargeable weight with a floor
+export const ODA_CHARGE = { perKg: 3, minimum: 100 };
+
+// Each side is converted to cm before the volume is taken
+const DIMENSION_UNITS_IN_CM = { cm: 1, mm: 0.1, m: 100 };
+
+// Reverse (pickup to Assam / North East) shipments are billed on at least this weight
+const REVERSE_MIN_CHARGEABLE_WEIGHT = { byRoad: 500, byTrain: 100, byFlight: 25 };
+
+// Counter charges entered at booking, with the label shown on bills
+export const COUNTER_CHARGE_FIELDS = {
+  localCollection: 'Local Collection',
+  doorDelivery: 'Door Delivery',
+  loadingUnloading: 'Loading/Unloading',
+  demurrageCharge: 'Demurrage',
+  ddaCharge: 'DDA',
+  hamaliCharge: 'Hamali',
+  packingCharge: 'Packing',
+  otherCharge: 'Other'
+};
+
+// Rate card columns a destination region falls into
+const PLAN_LOCATIONS = {
+  assam: () => 'assam',
+  northEast: mode => mode === 'byFlight' ? 'neByAirAgtImp' : 'neBySurface',
+  restOfIndia: () => 'restOfIndia'
+};
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Amounts arrive as numbers or Indian formatted strings ("1,250.00")
+const parseAmount = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : 0;
+  }
+  return parseFloat(String(value ?? '').replace(/,/g, '')) || 0;
+};
+
+const pricingError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+class PricingService {
+  /**
+   * Resolve the zones of a lane from the zone master and the rate card column it is priced from
+   * @param {Object} lane - { originPincode, destinationPincode, mode }
+   * @returns {Promise<Object>} { originZone, destinationZone, location, zones, isOda }
+   */
+  static async resolveLane({ originPincode, destinationPincode, mode }) {
+    const [origin, destination] = await Promise.all([
+      ZoneService.resolve(originPincode),
+      ZoneService.resolve(destinationPincode)
+    ]);
+    if (!destination) {
+      throw pricingError('A valid 6 digit destination pincode is required');
+    }
+
+    return {
+      originZone: origin?.region || null,
+      destinationZone: destination.region,
+      location: PLAN_LOCATIONS[destination.region](EtaService.normalizeMode(mode)),
+      zones: destination.zones,
+      isOda: destination.isOda
+    };
+  }
+
+  /**
+   * Rate card cells a lane is priced from: the first special zone of the destination the plan
+   * prices (plan.zonePricing), otherwise the region column of the standard tables
+   * @param {Object} plan - CorporatePricing document or version rates
+   * @param {Object} lane - Output of resolveLane()
+   * @returns {Object} { zone, perKg(table), slab(table, slab) }
+   */
+  static planColumn(plan, lane) {
+    const zoneCode = (lane.zones || []).find(code => plan.zonePricing?.[code]);
+    if (zoneCode) {
+      const zoneRates = plan.zonePricing[zoneCode];
+      return {
+        zone: zoneCode,
+        perKg: table => zoneRates[table],
+        slab: (table, slab) => zoneRates[table]?.[slab]
+      };
+    }
+    return {
+      zone: lane.location,
+      perKg: table => plan[table]?.[lane.location],
+      slab: (table, slab) => plan[table]?.[slab]?.[lane.location]
+    };
+  }
+
+  /**
+   * Actual, volumetric and chargeable weight in kg
+   * @param {Object} shipment - { actualWeight, mode, dimensions: [{ length, breadth, height, unit }] }, one dimension per piece
+   * @param {Object} [divisors] - Volumetric divisor by transport mode, from the pricing plan
+   * @returns {Object} { actualWeight, volumetricWeight, chargeableWeight, volumetricDivisor }
+   */
+  static calculateWeights({ actualWeight, dimensions, mode }, divisors = {}) {
+    const transportMode = EtaService.normalizeMode(mode);
+    const divisor = parseAmount(divisors?.[transportMode]) || DEFAULT_VOLUMETRIC_DIVISORS[transportMode];
+    const actual = parseAmount(actualWeight);
+    const volume = (Array.isArray(dimensions) ? dimensions : []).reduce((sum, dimension) => {
+      const factor = DIMENSION_UNITS_IN_CM[dimension?.unit] || 1;
+      const sides = [dimension?.length, dimension?.breadth, dimension?.height].map(side => parseAmount(side) * factor);
+      return sum + sides[0] * sides[1] * sides[2];
+    }, 0);
+    const volumetric = round(volume / divisor);
+
+    return {
+      actualWeight: round(actual),
+      volumetricWeight: volumetric,
+      chargeableWeight: round(Math.max(actual, volumetric)),
+      volumetricDivisor: divisor
+    };
+  }
+
+  /**
+   * Freight from a corporate rate card
+   * @param {Object} plan - CorporatePricing document
+   * @param {Object} options - { lane, weights, natureOfConsignment, service, mode, reverse }
+   * @returns {Object} { freight, chargeableWeight, isMinimumWeightApplied, breakdown }
+   */
+  static planFreight(plan, { lane, weights, natureOfConsignment, service, mode, reverse }) {
+    const transportMode = EtaService.normalizeMode(mode);
+    const isPriority = EtaService.normalizeService(service) === 'priority';
+    const isDox = String(natureOfConsignment || '').toUpperCase() === 'DOX';
+    const rate = (value) => parseAmount(value);
+
+    if (reverse && !isDox) {
+      const target = { assam: 'toAssam', northEast: 'toNorthEast' }[lane.destinationZone];
+      if (!target) {
+        throw pricingError('Reverse pricing is only available for Assam and North East destinations');
+      }
+      const chargeableWeight = Math.max(weights.chargeableWeight, REVERSE_MIN_CHARGEABLE_WEIGHT[transportMode]);
+      const pricePerKg = rate(plan.reversePricing?.[target]?.[transportMode]?.[isPriority ? 'priority' : 'normal']);
+      return {
+        freight: round(pricePerKg * chargeableWeight),
+        chargeableWeight,
+        isMinimumWeightApplied: chargeableWeight > weights.chargeableWeight,
+        breakdown: { weightSlab: `${chargeableWeight}kg (reverse)`, pricePerUnit: pricePerKg, units: chargeableWeight }
+      };
+    }
+
+    const { chargeableWeight } = weights;
+    const column = this.planColumn(plan, lane);
+
+    if (!isDox) {
+      const pricePerKg = rate(column.perKg(transportMode === 'byFlight' ? 'nonDoxAirPricing' : 'nonDoxSurfacePricing'));
+      return {
+        freight: round(pricePerKg * chargeableWeight),
+        chargeableWeight,
+        isMinimumWeightApplied: false,
+        breakdown: { zone: column.zone, weightSlab: `${chargeableWeight}kg`, pricePerUnit: pricePerKg, units: chargeableWeight }
+      };
+    }
+
+    // Document slabs are in grams
+    const grams = chargeableWeight * 1000;
+    const table = isPriority ? 'priorityPricing' : 'doxPricing';
+    const baseSlab = isPriority ? '01gm-500gm' : (grams <= 250 ? '01gm-250gm' : '251gm-500gm');
+    const basePrice = rate(column.slab(table, baseSlab));
+
+    if (grams <= 500) {
+      return {
+        freight: round(basePrice),
+        chargeableWeight,
+        isMinimumWeightApplied: false,
+        breakdown: { zone: column.zone, weightSlab: baseSlab, pricePerUnit: basePrice, units: 1 }
+      };
+    }
+
+    const additionalUnits = Math.ceil((grams - 500) / 500);
+    const additionalPrice = rate(column.slab(table, 'add500gm'));
+    return {
+      freight: round(basePrice + additionalUnits * additionalPrice),
+      chargeableWeight,
+      isMinimumWeightApplied: false,
+      breakdown: { zone: column.zone, weightSlab: `500gm + ${additionalUnits} × 500gm`, pricePerUnit: additionalPrice, units: additionalUnits }
+    };
+  }
+
+  /**
+   * COD handling fee: the plan's percentage of the COD amount with its minimum
+   * @param {number} codAmount - Amount to collect from the receiver
+   * @param {Object} [rule] - plan.codCharge { percentage, minimum }
+   * @returns {number} Fee in ₹, 0 when the shipment is not COD
+   */
+  static calculateCodCharge(codAmount, rule = {}) {
+    const amount = parseAmount(codAmount);
+    if (amount <= 0) {
+      return 0;
+    }
+    const percentage = rule?.percentage ?? DEFAULT_COD_CHARGE.percentage;
+    const minimum = rule?.minimum ?? DEFAULT_COD_CHARGE.minimum;
+    return round(Math.max(minimum, amount * percentage / 100));
+  }
+
+  /**
+   * Work out the full charge breakdown of a shipment
+   * @param {Object} input
+   * @param {Object} input.shipment - { originPincode, destinationPincode, actualWeight, dimensions, natureOfConsignment, service, mode, reverse, codAmount } (codAmount is only charged on plan quotes)
+   * @param {Object} [input.plan] - CorporatePricing document or rates from ratesAt(); freight, AWB and fuel then come from the plan
+   * @param {Object} [input.counter] - { ratePerKg, freight, awbCharge, fuelPercentage, charges, additionalCharges } for counter, medicine and quotation bookings
+   * @param {Object} [input.tax] - { applyGst = true, billType = 'normal', placeOfSupply, gstRate }
+   * @returns {Promise<Object>} Charge breakdown
+   */
+  static async quote({ shipment, plan = null, counter = {}, tax = {} }) {
+    const lane = await this.resolveLane(shipment);
+    const weights = this.calculateWeights(shipment, plan?.volumetricDivisors);
+    let freightResult;
+    let awbCharge;
+    let fuelPercentage;
+    let codAmount = 0;
+    let codCharge = 0;
+
+    if (plan) {
+      freightResult = this.planFreight(plan, { lane, weights, ...shipment });
+      awbCharge = AWB_CHARGE;
+      fuelPercentage = plan.fuelChargePercentage ?? DEFAULT_FUEL_PERCENTAGE;
+      codAmount = round(parseAmount(shipment.codAmount));
+      if (codAmount > 0 && shipment.reverse) {
+        throw pricingError('Cash on delivery is not available on reverse pickups');
+      }
+      if (codAmount > MAX_COD_AMOUNT) {
+        throw pricingError(`COD amount cannot be more than ₹${MAX_COD_AMOUNT.toLocaleString('en-IN')}`);
+      }
+      codCharge = this.calculateCodCharge(codAmount, plan.codCharge);
+    } else {
+      const ratePerKg = parseAmount(counter.ratePerKg);
+      const fixedFreight = parseAmount(counter.freight);
+      freightResult = {
+        freight: round(ratePerKg > 0 ? ratePerKg * weights.chargeableWeight : fixedFreight),
+        chargeableWeight: weights.chargeableWeight,
+        isMinimumWeightApplied: false,
+        breakdown: ratePerKg > 0
+          ? { weightSlab: `${weights.chargeableWeight}kg`, pricePerUnit: ratePerKg, units: weights.chargeableWeight }
+          : { weightSlab: 'Fixed', pricePerUnit: fixedFreight, units: 1 }
+      };
+      awbCharge = round(parseAmount(counter.awbCharge));
+      fuelPercentage = parseAmount(counter.fuelPercentage);
+    }
+
+    const freight = freightResult.freight;
+    const fuelSurcharge = round(freight * fuelPercentage / 100);
+    const odaCharge = lane.isOda
+      ? round(Math.max(ODA_CHARGE.minimum, ODA_CHARGE.perKg * freightResult.chargeableWeight))
+      : 0;
+
+    const otherCharges = [
+      ...Object.entries(COUNTER_CHARGE_FIELDS)
+        .map(([key, label]) => ({ key, label, amount: round(parseAmount(counter.charges?.[key])) })),
+      ...(Array.isArray(counter.additionalCharges) ? counter.additionalCharges : [])
+        .map((charge, index) => ({
+          key: `additional${index + 1}`,
+          label: charge?.description || 'Additional Charge',
+          amount: round(parseAmount(charge?.amount))
+        }))
+    ].filter(item => item.amount > 0);
+    const otherChargesTotal = round(otherCharges.reduce((sum, item) => sum + item.amount, 0));
+
+    const taxableValue = round(freight + awbCharge + fuelSurcharge + odaCharge + codCharge + otherChargesTotal);
+    const gst = this.calculateGst(taxableValue, tax);
+
+    return {
+      lane,
+      natureOfConsignment: shipment.natureOfConsignment || '',
+      service: shipment.service || '',
+      mode: shipment.mode || '',
+      transportMode: EtaService.normalizeMode(shipment.mode),
+      rateSource: plan ? 'plan' : 'counter',
+      planId: plan?._id || null,
+      planVersion: plan?.version ?? null,
+      actualWeight: weights.actualWeight,
+      volumetricWeight: weights.volumetricWeight,
+      volumetricDivisor: weights.volumetricDivisor,
+      chargeableWeight: freightResult.chargeableWeight,
+      isMinimumWeightApplied: freightResult.isMinimumWeightApplied,
+      breakdown: freightResult.breakdown,
+      freight,
+      awbCharge,
+      fuelPercentage,
+      // YYYY-MM-DD of the fuel index entry applied, null when the plan or counter rate was used
+      fuelIndexFrom: plan?.fuelIndexFrom ?? null,
+      fuelSurcharge,
+      odaCharge,
+      codAmount,
+      codCharge,
+      otherCharges,
+      otherChargesTotal,
+      taxableValue,
+      gst,
+      total: round(taxableValue + gst.total)
+    };
+  }
+
+  /**
+   * GST on the taxable value by place of supply (see GstService.placeOfSupply), always IGST
+   * under reverse charge. Without a place of supply the supply is taken as inside Assam.
+   * @param {number} taxableValue - Amount before tax
+   * @param {Object} tax - { applyGst = true, billType = 'normal', placeOfSupply, gstRate }
+   * @returns {Object} { rate, type, cgst, sgst, igst, total }
+   */
+  static calculateGst(taxableValue, { applyGst = true, billType = 'normal', placeOfSupply, gstRate } = {}) {
+    const rate = gstRate !== undefined && gstRate !== null && gstRate !== '' ? parseAmount(gstRate) : GST_RATE;
+    if (!applyGst || rate <= 0) {
+      return { rate: 0, type: 'none', cgst: 0, sgst: 0, igst: 0, total: 0 };
+    }
+
+    const supply = billType === 'rcm' ? { interState: true } : placeOfSupply || GstService.placeOfSupply();
+    return GstService.lineTax(taxableValue, supply, rate);
+  }
+
+  /**
+   * Load an approved plan with its version history
+   * @param {Object} filter - CorporatePricing query
+   * @returns {Promise<Object|null>} { plan, versions, ratesAt(date) } or null without an approved plan
+   */
+  static async loadApprovedPlan(filter) {
+    const plan = await CorporatePricing.findOne({ ...filter, status: 'approved' });
+    if (!plan) {
+      return null;
+    }
+
+    const [versions, fuelIndex] = await Promise.all([
+      CorporatePricingVersion.findForPlan(plan._id).lean(),
+      FuelService.getRates()
+    ]);
+    return {
+      plan,
+      versions,
+      // Rates in force at a date; plans approved before versioning have no history and use their own fields.
+      // Plans that follow the fuel index get the index percentage of that date.
+      ratesAt: (date = new Date()) => {
+        const version = CorporatePricingVersion.pickActive(versions, date);
+        const rates = version
+          ? { ...version.rates, _id: plan._id, version: version.version }
+          : plan;
+        return FuelService.applyIndex(rates, fuelIndex, date);
+      }
+    };
+  }
+
+  /**
+   * Load the approved plan of a corporate with its version history
+   * @param {string} corporateId - CorporateData id
+   * @returns {Promise<Object|null>} See loadApprovedPlan()
+   */
+  static loadCorporatePlan(corporateId) {
+    return this.loadApprovedPlan({ corporateClient: corporateId });
+  }
+
+  /**
+   * Load the plan designated for public (retail) quotes
+   * @returns {Promise<Object|null>} See loadApprovedPlan()
+   */
+  static loadRetailPlan() {
+    return this.loadApprovedPlan({ isRetail: true });
+  }
+
+  /**
+   * Quote a shipment on the approved plan of a corporate, using the plan version in force at `at`
+   * @param {string} corporateId - CorporateData id
+   * @param {Object} shipment - See quote()
+   * @param {Object} [tax] - See quote()
+   * @param {Date} [at] - Booking date
+   * @returns {Promise<Object>} Charge breakdown
+   */
+  static async quoteForCorporate(corporateId, shipment, tax = {}, at = new Date()) {
+    const corporatePlan = await this.loadCorporatePlan(corporateId);
+    if (!corporatePlan) {
+      throw pricingError('No approved pricing plan found for your corporate account.', 404);
+    }
+    return this.quote({ shipment, plan: corporatePlan.ratesAt(at), tax });
+  }
+
+  /**
+   * Quote a shipment for the public on the retail plan in force today
+   * @param {Object} shipment - See quote()
+   * @returns {Promise<Object>} Charge breakdown
+   */
+  static async quoteRetail(shipment) {
+    const retailPlan = await this.loadRetailPlan();
+    if (!retailPlan) {
+      throw pricingError('Online rates are not available right now. Please contact us for a quote.', 503);
+    }
+    return this.quote({ shipment, plan: retailPlan.ratesAt(new Date()) });
+  }
+
+  /**
+   * Tax settings of a counter or medicine booking from its bill details
+   * @param {Object} billData - { gst, partyType, billType, otherPartyDetails }
+   * @param {Object} addresses - { originData, destinationData }
+   * @returns {Object} { applyGst, billType, placeOfSupply }
+   */
+  static billingTax(billData = {}, { originData, destinationData } = {}) {
+    const parties = {
+      sender: originData,
+      recipient: destinationData,
+      other: billData.otherPartyDetails
+    };
+
+    return {
+      applyGst: billData.gst ? billData.gst === 'Yes' : ['normal', 'rcm'].includes(billData.billType),
+      billType: billData.billType || 'normal',
+      placeOfSupply: GstService.placeOfSupply(parties[billData.partyType] || {})
+    };
+  }
+
+  /**
+   * Office user allowed to set counter rates by hand, as recorded on the booking
+   * @param {Object|null} officeUser - Authenticated OfficeUser
+   * @returns {Object|null} { type, id, name } or null when the user may not override rates
+   */
+  static rateOverrideActor(officeUser) {
+    if (!officeUser?.isActive || !officeUser.permissions?.corporatePricing) {
+      return null;
+    }
+    return { type: 'office_user', id: officeUser._id, name: officeUser.name };
+  }
+
+  /**
+   * Price a counter booking (office, public or medicine) on the retail plan. The rates a
+   * clerk typed in are only used when `overriddenBy` is an office user allowed to set them
+   * (see rateOverrideActor()); the quote then carries who overrode the plan.
+   * @param {Object} booking - { originData, destinationData, shipmentData, billData, detailsData }
+   * @param {Object} [options] - { overriddenBy }
+   * @returns {Promise<Object>} Charge breakdown, with rateOverride when manual rates were used
+   */
+  static async quoteCounterBooking({ originData = {}, destinationData = {}, shipmentData = {}, billData = {}, detailsData = {} }, { overriddenBy = null } = {}) {
+    const shipment = {
+      originPincode: originData.pincode,
+      destinationPincode: destinationData.pincode,
+      actualWeight: shipmentData.actualWeight,
+      dimensions: shipmentData.dimensions,
+      natureOfConsignment: shipmentData.natureOfConsignment,
+      service: shipmentData.services,
+      mode: shipmentData.mode
+    };
+    const tax = this.billingTax(billData, { originData, destinationData });
+
+    const ratePerKg = shipmentData.isChargeableFixed ? 0 : parseAmount(shipmentData.perKgWeight);
+    const hasManualRates = ratePerKg > 0 || parseAmount(detailsData.freightCharge) > 0;
+
+    if (!overriddenBy || !hasManualRates) {
+      const retailPlan = await this.loadRetailPlan();
+      if (!retailPlan) {
+        throw pricingError('Counter rates are not available right now. Please ask an office user with pricing access to enter the rates.', 503);
+      }
+      return this.quote({ shipment, plan: retailPlan.ratesAt(new Date()), tax });
+    }
+
+    const quote = await this.quote({
+      shipment,
+      counter: {
+        ratePerKg,
+        freight: detailsData.freightCharge,
+        awbCharge: detailsData.awbCharge,
+        fuelPercentage: detailsData.fuelCharge,
+        charges: Object.fromEntries(Object.keys(COUNTER_CHARGE_FIELDS).map(key => [key, detailsData[key]]))
+      },
+      tax
+    });
+    quote.rateOverride = { ...overriddenBy, at: new Date() };
+    return quote;
+  }
+
+  /**
+   * Weights of a quote to store on the booking, so bills show what was charged
+   * @param {Object} quote - Output of quote()
+   * @returns {Object} { volumetricWeight, volumetricDivisor, chargeableWeight }
+   */
+  static toShipmentWeights(quote) {
+    return {
+      volumetricWeight: quote.volumetricWeight,
+      volumetricDivisor: quote.volumetricDivisor,
+      chargeableWeight: quote.chargeableWeight
+    };
+  }
+
+  /**
+   * Flatten a quote into the charge fields the booking panels and bills use
+   * @param {Object} quote - Output of quote()
+   * @returns {Object} detailsData style charges
+   */
+  static toDetailsData(quote) {
+    const charges = Object.fromEntries(Object.keys(COUNTER_CHARGE_FIELDS).map(key => [
+      key,
+      quote.otherCharges.find(item => item.key === key)?.amount || 0
+    ]));
+
+    return {
+      freightCharge: quote.freight,
+      awbCharge: quote.awbCharge,
+      ...charges,
+      fuelCharge: quote.fuelPercentage,
+      fuelSurcharge: quote.fuelSurcharge,
+      odaCharge: quote.odaCharge,
+      codCharge: quote.codCharge,
+      total: quote.taxableValue,
+      cgst: quote.gst.cgst,
+      sgst: quote.gst.sgst,
+      igst: quote.gst.igst,
+      gstAmount: quote.gst.total,
+      grandTotal: quote.total
+    };
+  }
+}
+
+export { parseAmount };
+export default PricingService;
@@ -0,0 +1,237 @@
+import FormData from '../models/FormData.js';
+import PinCodeArea from '../models/PinCodeArea.js';
+import CorporatePricing from '../models/CorporatePricing.js';
+import TrackingEvent from '../models/TrackingEvent.js';
+import PricingService from './pricingService.js';
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Regions of the per kg tables a quoted rate is copied into for a plan draft
+const PLAN_REGIONS = ['assam', 'neBySurface', 'neByAirAgtImp', 'restOfIndia'];
+
+class QuotationService {
+  /**
+   * Charge lines of a quotation as printed and stored
+   * @param {Object} quote - Output of PricingService.quote()
+   * @returns {Array} [{ description, quantity, rate, amount }]
+   */
+  static lineItems(quote) {
+    const lines = [{
+      description: 'Base Shipping Cost',
+      quantity: `${quote.chargeableWeight} kg`,
+      rate: quote.breakdown.pricePerUnit,
+      amount: quote.freight
+    }];
+    if (quote.odaCharge > 0) {
+      lines.push({ description: 'ODA Charge', quantity: '1', rate: quote.odaCharge, amount: quote.odaCharge });
+    }
+    quote.otherCharges.forEach(charge => {
+      lines.push({ description: charge.label, quantity: '1', rate: charge.amount, amount: charge.amount });
+    });
+    return lines;
+  }
+
+  /**
+   * Record the customer's acceptance
+   * @param {Object} quotation - Quotation document
+   * @returns {Promise<Object>} The quotation after the update
+   */
+  static async accept(quotation) {
+    if (quotation.status === 'sent' && quotation.validUntil < new Date()) {
+      quotation.status = 'expired';
+      await quotation.save();
+    }
+    if (quotation.status !== 'sent') {
+      throw badRequest(`Only open quotations can be accepted; this one is ${quotation.status}`);
+    }
+
+    quotation.status = 'accepted';
+    quotation.acceptedAt = new Date();
+    await quotation.save();
+    return quotation;
+  }
+
+  /**
+   * Turn an accepted quotation into a counter booking at the quoted rate.
+   * City, district and state come from the pincodes; the admin supplies the street addresses.
+   * @param {Object} quotation - Quotation document with status 'accepted'
+   * @param {Object} details - { originPincode, sender: { mobileNumber, flatBuilding, locality }, receiver: { name, mobileNumber, email, flatBuilding, locality }, consignmentNumber }
+   * @param {Object} admin - Admin converting the quotation
+   * @returns {Promise<Object>} FormData booking
+   */
+  static async convertToBooking(quotation, { originPincode, sender = {}, receiver = {}, consignmentNumber } = {}, admin) {
+    this.checkConvertible(quotation);
+
+    const fromPincode = quotation.originPincode || String(originPincode || '').trim();
+    if (!/^\d{6}$/.test(fromPincode)) {
+      throw badRequest('The quotation has no origin pincode; enter the 6 digit pickup pincode');
+    }
+    const senderPhone = quotation.customer.phone || sender.mobileNumber?.trim();
+    const missing = [
+      !senderPhone && 'sender mobile number',
+      !sender.flatBuilding?.trim() && 'sender address',
+      !receiver.name?.trim() && 'receiver name',
+      !receiver.mobileNumber?.trim() && 'receiver mobile number',
+      !receiver.flatBuilding?.trim() && 'receiver address'
+    ].filter(Boolean);
+    if (missing.length > 0) {
+      throw badRequest(`Missing ${missing.join(', ')}`);
+    }
+
+    const [originArea, destinationArea] = await Promise.all([
+      PinCodeArea.findOne({ pincode: Number(fromPincode) }).lean(),
+      PinCodeArea.findOne({ pincode: Number(quotation.destinationPincode) }).lean()
+    ]);
+    if (!originArea || !destinationArea) {
+      throw badRequest(`Pincode ${!originArea ? fromPincode : quotation.destinationPincode} is not serviceable`);
+    }
+
+    let bookingNumber = FormData.generateFallbackConsignmentNumber();
+    if (consignmentNumber) {
+      bookingNumber = Number(consignmentNumber);
+      if (!Number.isInteger(bookingNumber) || bookingNumber <= 0) {
+        throw badRequest('Consignment number must be a whole number');
+      }
+      if (await FormData.exists({ consignmentNumber: bookingNumber })) {
+        throw badRequest(`Consignment ${bookingNumber} is already booked`);
+      }
+    }
+
+    const address = (area, entered) => ({
+      flatBuilding: entered.flatBuilding.trim(),
+      locality: entered.locality?.trim() || '',
+      pincode: String(area.pincode),
+      area: area.areaname,
+      city: area.cityname,
+      district: area.distrcitname,
+      state: area.statename
+    });
+    const originData = {
+      name: quotation.customer.name,
+      email: quotation.customer.email,
+      mobileNumber: senderPhone,
+      ...address(originArea, sender)
+    };
+    const destinationData = {
+      name: receiver.name.trim(),
+      email: receiver.email?.trim() || undefined,
+      mobileNumber: receiver.mobileNumber.trim(),
+      ...address(destinationArea, receiver)
+    };
+    const billData = { partyType: 'sender', billType: 'normal' };
+
+    const quote = await PricingService.quote({
+      shipment: { originPincode: fromPincode, destinationPincode: quotation.destinationPincode, actualWeight: quotation.weight },
+      counter: { ratePerKg: quotation.ratePerKg, additionalCharges: quotation.additionalCharges },
+      tax: { ...PricingService.billingTax(billData, { originData, destinationData }), gstRate: quotation.gstRate }
+    });
+
+    const booking = await FormData.create({
+      senderName: originData.name,
+      senderEmail: originData.email,
+      senderPhone: originData.mobileNumber,
+      senderPincode: originData.pincode,
+      senderState: originData.state,
+      senderCity: originData.city,
+      senderDistrict: originData.district,
+      senderArea: originData.area,
+      senderAddressLine1: originData.flatBuilding,
+      senderAddressLine2: originData.locality,
+      receiverName: destinationData.name,
+      receiverEmail: destinationData.email,
+      receiverPhone: destinationData.mobileNumber,
+      receiverPincode: destinationData.pincode,
+      receiverState: destinationData.state,
+      receiverCity: destinationData.city,
+      receiverDistrict: destinationData.district,
+      receiverArea: destinationData.area,
+      receiverAddressLine1: destinationData.flatBuilding,
+      receiverAddressLine2: destinationData.locality,
+      originData,
+      destinationData,
+      shipmentData: {
+        natureOfConsignment: 'NON-DOX',
+        actualWeight: quotation.weight,
+        perKgWeight: quotation.ratePerKg,
+        ...PricingService.toShipmentWeights(quote),
+        description: `Booked against quotation ${quotation.quotationNumber}`
+      },
+      uploadData: { totalPackages: 1 },
+      paymentData: { mode: 'Cash', deliveryType: 'Door Delivery' },
+      billData,
+      detailsData: PricingService.toDetailsData(quote),
+      consignmentNumber: bookingNumber
+    });
+
+    await TrackingEvent.record({
+      consignmentNumber: booking.consignmentNumber,
+      status: 'booked',
+      location: originData.city,
+      actor: { type: 'admin', id: admin._id, name: admin.name },
+      source: 'quotation',
+      eventAt: booking.createdAt
+    });
+
+    quotation.conversion = {
+      type: 'booking',
+      bookingId: booking._id,
+      consignmentNumber: booking.consignmentNumber,
+      convertedAt: new Date(),
+      convertedBy: admin._id
+    };
+    await quotation.save();
+
+    return booking;
+  }
+
+  /**
+   * Turn an accepted quotation into a pending corporate pricing plan. The quoted rate goes
+   * into the per kg tables; the slab tables are left for the admin to fill before approval.
+   * @param {Object} quotation - Quotation document with status 'accepted'
+   * @param {Object} admin - Admin converting the quotation
+   * @returns {Promise<Object>} CorporatePricing document
+   */
+  static async convertToPricingDraft(quotation, admin) {
+    this.checkConvertible(quotation);
+
+    const perKg = Object.fromEntries(PLAN_REGIONS.map(region => [region, quotation.ratePerKg]));
+    const pricing = await CorporatePricing.create({
+      name: `${quotation.customer.name} (${quotation.quotationNumber})`,
+      nonDoxSurfacePricing: perKg,
+      nonDoxAirPricing: perKg,
+      clientEmail: quotation.customer.email,
+      clientName: quotation.customer.name,
+      notes: `Drafted from quotation ${quotation.quotationNumber} at ₹${quotation.ratePerKg}/kg. Fill in the DOX, priority and reverse rates before approval.`,
+      createdBy: admin._id
+    });
+
+    quotation.conversion = {
+      type: 'pricing',
+      pricingId: pricing._id,
+      convertedAt: new Date(),
+      convertedBy: admin._id
+    };
+    await quotation.save();
+
+    return pricing;
+  }
+
+  /**
+   * @param {Object} quotation - Quotation document
+   * @throws {Error} With status 400 unless the quotation is accepted and not yet converted
+   */
+  static checkConvertible(quotation) {
+    if (quotation.status !== 'accepted') {
+      throw badRequest('Only accepted quotations can be converted');
+    }
+    if (quotation.conversion?.type) {
+      throw badRequest(`This quotation was already converted into a ${quotation.conversion.type === 'booking' ? 'booking' : 'pricing plan'}`);
+    }
+  }
+}
+
+export default QuotationService;
@@ -0,0 +1,187 @@
+import NdrCase from '../models/NdrCase.js';
+import TrackingEvent from '../models/TrackingEvent.js';
+import { ConsignmentUsage } from '../models/ConsignmentAssignment.js';
+import CorporateData from '../models/CorporateData.js';
+import TrackingService from './trackingService.js';
+import PricingService, { DEFAULT_FUEL_PERCENTAGE } from './pricingService.js';
+import GstService from './gstService.js';
+import { applyLineTax } from './invoiceService.js';
+
+// Charged when the corporate has no approved plan: return freight equals forward freight
+const DEFAULT_RTO_CHARGE_PERCENTAGE = 100;
+
+// Return leg statuses in the order they happen, with the scan each one records
+const RETURN_LEG_FLOW = ['initiated', 'in_transit', 'returned'];
+const RETURN_LEG_SCANS = {
+  in_transit: 'rto_in_transit',
+  returned: 'rto_delivered'
+};
+
+const RTO_DESCRIPTIONS = {
+  shipper_instruction: 'Returning to origin as instructed by the shipper',
+  operations: 'Returning to origin'
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+class RtoService {
+  /**
+   * Send a consignment back to origin: close its NDR case, open the return leg
+   * on the consignment usage and charge RTO freight through the corporate plan
+   * @param {number} consignmentNumber - Consignment number
+   * @param {Object} options - { reason, actor, ndrCase, remarks }
+   * @returns {Promise<Object>} { ndrCase, usage } after the update
+   */
+  static async initiate(consignmentNumber, { reason, actor, ndrCase = null, remarks }) {
+    const number = Number(consignmentNumber);
+
+    const [alreadyReturned, delivered, usage] = await Promise.all([
+      TrackingEvent.exists({ consignmentNumber: number, status: 'rto_initiated' }),
+      TrackingEvent.exists({ consignmentNumber: number, status: 'delivered' }),
+      ConsignmentUsage.findOne({ consignmentNumber: number })
+    ]);
+
+    if (alreadyReturned || usage?.rto) {
+      throw badRequest('This consignment is already being returned to origin');
+    }
+    if (delivered) {
+      throw badRequest('Delivered consignments cannot be returned to origin');
+    }
+
+    const initiatedAt = new Date();
+    const openCase = ndrCase || await NdrCase.findOpenCase(number);
+    if (openCase) {
+      openCase.status = 'rto';
+      openCase.rto = { initiatedAt, reason };
+      openCase.nextAttemptDate = null;
+      openCase.closedAt = initiatedAt;
+      await openCase.save();
+    }
+
+    if (usage) {
+      const charges = await this.calculateCharges(usage);
+      usage.rto = {
+        initiatedAt,
+        reason,
+        status: 'initiated',
+        ndrCaseId: openCase?._id || null,
+        ...charges
+      };
+      // Nothing is collected from the receiver once the shipment turns back
+      if (usage.cod?.status === 'pending') {
+        usage.cod.status = 'cancelled';
+      }
+      await usage.save();
+    }
+
+    await TrackingEvent.record({
+      consignmentNumber: number,
+      status: 'rto_initiated',
+      description: reason === 'attempt_limit'
+        ? `Returning to origin after ${openCase?.attempts.length || 0} failed delivery attempts`
+        : RTO_DESCRIPTIONS[reason],
+      remarks,
+      actor,
+      source: 'rto',
+      eventAt: initiatedAt
+    });
+
+    console.log(`↩️ RTO initiated for consignment ${number} (${reason})`);
+
+    return { ndrCase: openCase, usage };
+  }
+
+  /**
+   * Move the return leg forward (dispatched back, handed over to the sender)
+   * @param {number} consignmentNumber - Consignment number
+   * @param {string} status - 'in_transit' or 'returned'
+   * @param {Object} options - { actor, location, remarks }
+   * @returns {Promise<string>} New return leg status
+   */
+  static async updateLegStatus(consignmentNumber, status, { actor, location, remarks }) {
+    const number = Number(consignmentNumber);
+
+    if (!RETURN_LEG_SCANS[status]) {
+      throw badRequest('Invalid return status');
+    }
+
+    const currentStatus = await this.getLegStatus(number);
+    if (!currentStatus) {
+      throw badRequest('This consignment has not been marked for return to origin');
+    }
+    if (RETURN_LEG_FLOW.indexOf(status) <= RETURN_LEG_FLOW.indexOf(currentStatus)) {
+      throw badRequest(`Return is already ${currentStatus.replace(/_/g, ' ')}`);
+    }
+
+    const eventAt = new Date();
+    await ConsignmentUsage.updateOne(
+      { consignmentNumber: number, rto: { $ne: null } },
+      {
+        'rto.status': status,
+        ...(status === 'returned' && { 'rto.returnedAt': eventAt })
+      }
+    );
+
+    await TrackingEvent.record({
+      consignmentNumber: number,
+      status: RETURN_LEG_SCANS[status],
+      location: location || '',
+      remarks,
+      actor,
+      source: 'rto',
+      eventAt
+    });
+
+    console.log(`↩️ RTO leg of consignment ${number} is now ${status}`);
+
+    return status;
+  }
+
+  /**
+   * Get the current status of the return leg from the scan history
+   * @param {number} consignmentNumber - Consignment number
+   * @returns {Promise<string|null>} Return leg status or null when not under RTO
+   */
+  static async getLegStatus(consignmentNumber) {
+    const events = await TrackingEvent.getTimeline(consignmentNumber).lean();
+    return TrackingService.formatRto(TrackingEvent.formatTimeline(events))?.status || null;
+  }
+
+  /**
+   * Work out RTO freight for a consignment usage. Only corporate shipments are
+   * billed; other bookings get a return leg without charges. The total is priced
+   * the way the invoice line will be: fuel surcharge and GST at the rates of the
+   * plan version the forward leg was booked on, no AWB charge.
+   * @param {Object} usage - ConsignmentUsage document
+   * @returns {Promise<Object>} { freightCharges, totalAmount }
+   */
+  static async calculateCharges(usage) {
+    if (usage.assignmentType !== 'corporate' || !usage.corporateId) {
+      return { freightCharges: 0, totalAmount: 0 };
+    }
+
+    const corporateId = usage.corporateId._id || usage.corporateId;
+    const [corporatePlan, corporate] = await Promise.all([
+      PricingService.loadCorporatePlan(corporateId),
+      CorporateData.findById(corporateId).select('gstNumber state').lean()
+    ]);
+    const rates = corporatePlan?.ratesAt(usage.usedAt);
+    const percentage = rates?.rtoChargePercentage ?? DEFAULT_RTO_CHARGE_PERCENTAGE;
+    const fuelChargePercentage = rates?.fuelChargePercentage ?? DEFAULT_FUEL_PERCENTAGE;
+
+    const freightCharges = Math.round((usage.freightCharges || 0) * percentage) / 100;
+    const { totalAmount } = applyLineTax({
+      freightCharges,
+      awbCharge: 0,
+      fuelSurcharge: Math.round(freightCharges * fuelChargePercentage) / 100
+    }, GstService.placeOfSupply(corporate || {}));
+
+    return { freightCharges, totalAmount };
+  }
+}
+
+export default RtoService;
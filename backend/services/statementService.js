@@ -0,0 +1,250 @@
+import mongoose from 'mongoose';
+import Invoice from '../models/Invoice.js';
+import InvoiceNote from '../models/InvoiceNote.js';
+import PaymentReceipt from '../models/PaymentReceipt.js';
+import CorporateData from '../models/CorporateData.js';
+import DocumentSeriesService from './documentSeriesService.js';
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days since the invoice date; the last bucket is open-ended
+export const AGING_BUCKETS = [
+  { label: '0-30', maxDays: 30 },
+  { label: '31-60', maxDays: 60 },
+  { label: '61-90', maxDays: 90 },
+  { label: '90+', maxDays: Infinity }
+];
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Midnight IST of a YYYY-MM-DD date
+const istDay = (value, field) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) {
+    throw badRequest(`${field} must be a date like 2025-04-01`);
+  }
+  return new Date(Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3])) - IST_OFFSET_MS);
+};
+
+// YYYY-MM-DD of a moment in IST
+const istDate = (date) => new Date(date.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+
+// Invoices marked paid before receipts were recorded carry no receipt to credit them
+const isLegacyPaid = (invoice) =>
+  invoice.status === 'paid' && !(invoice.amountPaid || 0) && !(invoice.tdsDeducted || 0);
+
+const legacyPaymentDate = (invoice) => invoice.paymentDate || invoice.updatedAt;
+
+class StatementService {
+  /**
+   * Resolve the statement period. Defaults to the current financial year up to today.
+   * @param {Object} query - { from, to } as YYYY-MM-DD
+   * @returns {Object} { from, to, start, end } where end is exclusive
+   */
+  static period({ from, to } = {}) {
+    const today = istDate(new Date());
+    const toDate = to || today;
+    const fromDate = from || istDate(DocumentSeriesService.financialYearRange(DocumentSeriesService.financialYear()).start);
+
+    const start = istDay(fromDate, 'From date');
+    const end = new Date(istDay(toDate, 'To date').getTime() + DAY_MS);
+    if (start >= end) {
+      throw badRequest('From date must not be after the to date');
+    }
+    return { from: fromDate, to: toDate, start, end };
+  }
+
+  /**
+   * Every document that moved the corporate's balance, oldest first.
+   * Debits raise what the corporate owes; credits lower it.
+   * @param {Array} invoices
+   * @param {Array} notes - Issued notes
+   * @param {Array} receipts - Active receipts
+   * @returns {Array} [{ date, type, reference, description, debit, credit }]
+   */
+  static ledgerEntries(invoices, notes, receipts) {
+    const entries = [];
+
+    invoices.forEach(invoice => {
+      entries.push({
+        date: invoice.invoiceDate,
+        type: 'invoice',
+        reference: invoice.invoiceNumber,
+        description: `Tax invoice due ${istDate(new Date(invoice.dueDate))}`,
+        debit: round(invoice.grandTotal),
+        credit: 0
+      });
+      if (isLegacyPaid(invoice)) {
+        entries.push({
+          date: legacyPaymentDate(invoice),
+          type: 'payment',
+          reference: invoice.paymentReference || invoice.invoiceNumber,
+          description: `Payment against ${invoice.invoiceNumber}`,
+          debit: 0,
+          credit: round(invoice.grandTotal)
+        });
+      }
+    });
+
+    notes.forEach(note => {
+      const credit = note.noteType === 'credit';
+      entries.push({
+        date: note.noteDate,
+        type: credit ? 'credit_note' : 'debit_note',
+        reference: note.noteNumber,
+        description: `${credit ? 'Credit' : 'Debit'} note against ${note.invoiceNumber}`,
+        debit: credit ? 0 : round(note.grandTotal),
+        credit: credit ? round(note.grandTotal) : 0
+      });
+    });
+
+    receipts.forEach(receipt => {
+      const invoiceNumbers = receipt.allocations.map(allocation => allocation.invoiceNumber).join(', ');
+      entries.push({
+        date: receipt.receiptDate,
+        type: 'receipt',
+        reference: receipt.receiptNumber,
+        description: `Payment received${receipt.reference ? ` (${receipt.reference})` : ''}${invoiceNumbers ? ` against ${invoiceNumbers}` : ' on account'}`,
+        debit: 0,
+        credit: round(receipt.amountReceived)
+      });
+      if (receipt.tdsAmount > 0) {
+        entries.push({
+          date: receipt.receiptDate,
+          type: 'tds',
+          reference: receipt.receiptNumber,
+          description: `TDS deducted${receipt.tdsSection ? ` u/s ${receipt.tdsSection}` : ''}`,
+          debit: 0,
+          credit: round(receipt.tdsAmount)
+        });
+      }
+    });
+
+    return entries.sort((a, b) => new Date(a.date) - new Date(b.date));
+  }
+
+  /**
+   * Age what each invoice still owed at the end of the period by days since its invoice date
+   * @param {Array} invoices
+   * @param {Array} notes - Issued notes
+   * @param {Array} receipts - Active receipts
+   * @param {Date} asOf - Exclusive end of the period
+   * @returns {Object} { buckets, invoices, onAccount, total }
+   */
+  static aging(invoices, notes, receipts, asOf) {
+    const settled = new Map();
+    const add = (invoiceId, amount) => {
+      const key = String(invoiceId);
+      settled.set(key, (settled.get(key) || 0) + amount);
+    };
+    notes.forEach(note => add(note.invoiceId, note.noteType === 'credit' ? note.grandTotal : -note.grandTotal));
+    receipts.forEach(receipt => {
+      receipt.allocations.forEach(allocation => add(allocation.invoiceId, allocation.amount + allocation.tdsAmount));
+    });
+
+    const buckets = AGING_BUCKETS.map(bucket => ({ label: bucket.label, amount: 0 }));
+    const open = [];
+    let unappliedCredits = 0;
+
+    invoices.forEach(invoice => {
+      // Legacy payments settled the invoice as it then stood; only note adjustments remain
+      const paidBefore = isLegacyPaid(invoice) && new Date(legacyPaymentDate(invoice)) < asOf;
+      const base = paidBefore ? 0 : invoice.grandTotal;
+      const balance = round(base - (settled.get(String(invoice._id)) || 0));
+      if (balance < 0) {
+        unappliedCredits += -balance;
+        return;
+      }
+      if (balance === 0) return;
+
+      const ageDays = Math.max(0, Math.floor((asOf - new Date(invoice.invoiceDate)) / DAY_MS));
+      const index = AGING_BUCKETS.findIndex(bucket => ageDays <= bucket.maxDays);
+      buckets[index].amount = round(buckets[index].amount + balance);
+      open.push({
+        _id: invoice._id,
+        invoiceNumber: invoice.invoiceNumber,
+        invoiceDate: invoice.invoiceDate,
+        dueDate: invoice.dueDate,
+        ageDays,
+        bucket: buckets[index].label,
+        balance
+      });
+    });
+
+    const onAccount = round(receipts.reduce((sum, receipt) => sum + receipt.unallocatedAmount, 0) + unappliedCredits);
+    return {
+      buckets,
+      invoices: open,
+      onAccount,
+      total: round(buckets.reduce((sum, bucket) => sum + bucket.amount, 0) - onAccount)
+    };
+  }
+
+  /**
+   * Statement of account of a corporate: opening balance, the period's invoices, notes and
+   * receipts with a running balance, the closing balance and its aging
+   * @param {string} corporateId
+   * @param {Object} query - { from, to } as YYYY-MM-DD
+   * @returns {Promise<Object>}
+   */
+  static async build(corporateId, query = {}) {
+    const corporate = mongoose.Types.ObjectId.isValid(corporateId)
+      ? await CorporateData.findById(corporateId)
+      : null;
+    if (!corporate) {
+      const error = new Error('Corporate not found');
+      error.status = 404;
+      throw error;
+    }
+
+    const { from, to, start, end } = this.period(query);
+    const [invoices, notes, receipts] = await Promise.all([
+      Invoice.find({ corporateId: corporate._id, invoiceDate: { $lt: end } }).sort({ invoiceDate: 1 }).lean(),
+      InvoiceNote.find({ corporateId: corporate._id, status: 'issued', noteDate: { $lt: end } }).lean(),
+      PaymentReceipt.find({ corporateId: corporate._id, status: 'active', receiptDate: { $lt: end } }).lean()
+    ]);
+
+    let balance = 0;
+    let openingBalance = 0;
+    const entries = [];
+    this.ledgerEntries(invoices, notes, receipts).forEach(entry => {
+      balance = round(balance + entry.debit - entry.credit);
+      if (new Date(entry.date) < start) {
+        openingBalance = balance;
+      } else if (new Date(entry.date) < end) {
+        entries.push({ ...entry, balance });
+      }
+    });
+
+    return {
+      corporate: {
+        _id: corporate._id,
+        corporateId: corporate.corporateId,
+        companyName: corporate.companyName,
+        companyAddress: corporate.fullAddress,
+        gstNumber: corporate.gstNumber,
+        email: corporate.email
+      },
+      from,
+      to,
+      openingBalance,
+      entries,
+      totals: {
+        debit: round(entries.reduce((sum, entry) => sum + entry.debit, 0)),
+        credit: round(entries.reduce((sum, entry) => sum + entry.credit, 0))
+      },
+      closingBalance: entries.length ? entries[entries.length - 1].balance : openingBalance,
+      aging: this.aging(invoices, notes, receipts, end),
+      generatedAt: new Date()
+    };
+  }
+}
+
+export default StatementService;
@@ -0,0 +1,349 @@
+import FormData from '../models/FormData.js';
+import MedicineBooking from '../models/MedicineBooking.js';
+import { ConsignmentUsage } from '../models/ConsignmentAssignment.js';
+import ProofOfDelivery from '../models/ProofOfDelivery.js';
+import TrackingEvent, { TRACKING_STATUSES, TRACKING_STATUS_INFO } from '../models/TrackingEvent.js';
+import S3Service from './s3Service.js';
+import EtaService from './etaService.js';
+
+// Maximum number of consignments accepted by a single batch lookup
+export const MAX_BATCH_SIZE = 25;
+
+// POD images are private; links handed out with tracking expire after an hour
+const POD_URL_EXPIRY_SECONDS = 3600;
+
+// Return-to-origin scans and the return leg status they put the shipment in
+const RTO_LEG_STATUSES = {
+  rto_initiated: 'initiated',
+  rto_in_transit: 'in_transit',
+  rto_delivered: 'returned'
+};
+
+// Medicine booking statuses that do not exist as scan statuses
+const MEDICINE_STATUS_MAP = {
+  pending: 'booked',
+  confirmed: 'booked'
+};
+
+class TrackingService {
+  /**
+   * Resolve a consignment number across medicine, corporate/office and public bookings
+   * @param {string|number} awb - Consignment number
+   * @returns {Promise<Object|null>} Normalized tracking record or null when not found
+   */
+  static async resolve(awb) {
+    const found = await this.findBooking(awb);
+    if (!found) {
+      return null;
+    }
+
+    const normalizers = {
+      medicine: booking => this.fromMedicineBooking(booking),
+      usage: booking => this.fromConsignmentUsage(booking),
+      public: booking => this.fromPublicBooking(booking)
+    };
+
+    return this.withTimeline(found.consignmentNumber, normalizers[found.type](found.booking));
+  }
+
+  /**
+   * Find the booking document behind a consignment number
+   * @param {string|number} awb - Consignment number
+   * @returns {Promise<Object|null>} { type, consignmentNumber, booking } or null when not found
+   */
+  static async findBooking(awb) {
+    const consignmentNumber = parseInt(awb);
+    if (isNaN(consignmentNumber)) {
+      return null;
+    }
+
+    // Medicine bookings also leave a ConsignmentUsage record, so check them first
+    const [medicineBooking, usage, publicBooking] = await Promise.all([
+      MedicineBooking.findOne({ consignmentNumber }).lean(),
+      ConsignmentUsage.findOne({ consignmentNumber, assignmentType: { $ne: 'medicine' } })
+        .populate('corporateId', 'corporateId companyName')
+        .lean(),
+      FormData.findOne({ consignmentNumber }).lean()
+    ]);
+
+    if (medicineBooking) {
+      return { type: 'medicine', consignmentNumber, booking: medicineBooking };
+    }
+    if (usage) {
+      return { type: 'usage', consignmentNumber, booking: usage };
+    }
+    if (publicBooking) {
+      return { type: 'public', consignmentNumber, booking: publicBooking };
+    }
+    return null;
+  }
+
+  /**
+   * Get the receiver contact of a consignment (not exposed by public tracking)
+   * @param {string|number} awb - Consignment number
+   * @returns {Promise<Object|null>} { source, name, mobileNumber, city, codAmount, assignedCourierBoyId } or null
+   * when not found. codAmount is the cash on delivery still to collect, 0 when there is none.
+   */
+  static async getReceiver(awb) {
+    const found = await this.findBooking(awb);
+    if (!found) {
+      return null;
+    }
+
+    const { type, booking } = found;
+    let destination;
+    if (type === 'medicine') {
+      destination = booking.destination;
+    } else if (type === 'usage') {
+      destination = booking.bookingData?.destinationData;
+    } else {
+      destination = booking.destinationData || {
+        name: booking.receiverName,
+        mobileNumber: booking.receiverPhone,
+        city: booking.receiverCity
+      };
+    }
+
+    return {
+      source: type === 'usage' ? booking.assignmentType : type,
+      name: destination?.name || '',
+      mobileNumber: destination?.mobileNumber || '',
+      city: destination?.city || '',
+      codAmount: type === 'usage' && booking.cod?.status === 'pending' ? booking.cod.amount : 0,
+      assignedCourierBoyId: type === 'usage' ? booking.assignedCourierBoyId || null : null
+    };
+  }
+
+  /**
+   * Resolve several consignment numbers at once
+   * @param {Array<string|number>} awbs - Consignment numbers
+   * @returns {Promise<Object>} Found records and the numbers that could not be resolved
+   */
+  static async resolveMany(awbs) {
+    const unique = [...new Set(awbs.map(awb => String(awb).trim()).filter(Boolean))];
+    const results = await Promise.all(unique.map(awb => this.resolve(awb)));
+
+    return {
+      shipments: results.filter(Boolean),
+      notFound: unique.filter((awb, index) => !results[index])
+    };
+  }
+
+  /**
+   * Attach the scan history and derived status fields to a normalized record
+   * @param {number} consignmentNumber - Consignment number
+   * @param {Object} record - Normalized record without timeline
+   * @returns {Promise<Object>} Record with timeline, current status, delivery date and estimate
+   */
+  static async withTimeline(consignmentNumber, record) {
+    const { fallbackStatus, ...shipment } = record;
+    const [events, pod] = await Promise.all([
+      TrackingEvent.getTimeline(consignmentNumber).lean(),
+      ProofOfDelivery.findOne({ consignmentNumber, status: 'completed' }).lean()
+    ]);
+
+    // Bookings made before event recording only have the booking itself. Older delivery
+    // events named the receiver, so public tracking shows the standard description.
+    const timeline = events.length > 0
+      ? TrackingEvent.formatTimeline(events).map(event => event.status === 'delivered'
+        ? { ...event, description: TRACKING_STATUS_INFO.delivered.description }
+        : event)
+      : TrackingEvent.formatTimeline([{
+          status: 'booked',
+          location: shipment.origin.city,
+          eventAt: shipment.bookedAt
+        }]);
+
+    const currentStatus = events.length > 0
+      ? timeline[timeline.length - 1].status
+      : fallbackStatus;
+    const deliveredAt = timeline.find(event => event.status === 'delivered')?.timestamp || null;
+    const rto = this.formatRto(timeline);
+
+    // No promise date once the shipment is delivered, cancelled or on its way back
+    const estimatedDelivery = deliveredAt || rto || currentStatus === 'cancelled'
+      ? null
+      : await EtaService.estimateForRecord(shipment);
+
+    return {
+      ...shipment,
+      currentStatus,
+      currentStatusLabel: TRACKING_STATUS_INFO[currentStatus]?.label || currentStatus,
+      deliveredAt,
+      estimatedDelivery,
+      timeline,
+      pod: await this.formatPod(pod),
+      rto
+    };
+  }
+
+  /**
+   * Get current status and proof of delivery for a list of consignments in two queries.
+   * Only for signed-in views: the proof of delivery includes the receiver and images.
+   * @param {Array<number>} consignmentNumbers - Consignment numbers
+   * @returns {Promise<Object>} Map of consignment number to { currentStatus, currentStatusLabel, deliveredAt, timeline, pod, rto }
+   */
+  static async getSummaries(consignmentNumbers) {
+    const numbers = consignmentNumbers.map(Number).filter(Number.isFinite);
+    const [events, pods] = await Promise.all([
+      TrackingEvent.find({ consignmentNumber: { $in: numbers } }).sort({ eventAt: 1, createdAt: 1 }).lean(),
+      ProofOfDelivery.find({ consignmentNumber: { $in: numbers }, status: 'completed' }).lean()
+    ]);
+
+    const summaries = {};
+    for (const consignmentNumber of numbers) {
+      const timeline = TrackingEvent.formatTimeline(events.filter(event => event.consignmentNumber === consignmentNumber));
+      const latestEvent = timeline[timeline.length - 1];
+      const pod = pods.find(item => item.consignmentNumber === consignmentNumber);
+
+      summaries[consignmentNumber] = {
+        currentStatus: latestEvent?.status || 'booked',
+        currentStatusLabel: latestEvent?.label || TRACKING_STATUS_INFO.booked.label,
+        deliveredAt: timeline.find(event => event.status === 'delivered')?.timestamp || null,
+        timeline,
+        pod: await this.formatPod(pod, { details: true }),
+        rto: this.formatRto(timeline)
+      };
+    }
+    return summaries;
+  }
+
+  /**
+   * Summarize the return leg of a shipment from its formatted timeline
+   * @param {Array<Object>} timeline - Output of TrackingEvent.formatTimeline
+   * @returns {Object|null} { status, initiatedAt, returnedAt } or null when not under RTO
+   */
+  static formatRto(timeline) {
+    const rtoEvents = timeline.filter(event => RTO_LEG_STATUSES[event.status]);
+    if (rtoEvents.length === 0) {
+      return null;
+    }
+
+    return {
+      status: RTO_LEG_STATUSES[rtoEvents[rtoEvents.length - 1].status],
+      initiatedAt: rtoEvents.find(event => event.status === 'rto_initiated')?.timestamp || null,
+      returnedAt: rtoEvents.find(event => event.status === 'rto_delivered')?.timestamp || null
+    };
+  }
+
+  /**
+   * Shape a completed proof of delivery for tracking responses. Public tracking only gets
+   * the delivery time and OTP check; who received it and the images are for signed-in
+   * corporate and staff views.
+   * @param {Object} pod - Lean ProofOfDelivery document
+   * @param {Object} [options] - { details: include receiver and short-lived image links }
+   * @returns {Promise<Object|null>} POD summary
+   */
+  static async formatPod(pod, { details = false } = {}) {
+    if (!pod) {
+      return null;
+    }
+    if (!details) {
+      return {
+        deliveredAt: pod.deliveredAt,
+        otpVerified: !!pod.otp?.verified
+      };
+    }
+
+    const signedUrl = async (image) => {
+      if (!image?.key) {
+        return image?.url || null;
+      }
+      try {
+        return await S3Service.getPresignedUrl(image.key, POD_URL_EXPIRY_SECONDS);
+      } catch (error) {
+        return image.url || null;
+      }
+    };
+
+    return {
+      receivedBy: pod.receivedBy || pod.receiverName || '',
+      relationship: pod.relationship || '',
+      deliveredAt: pod.deliveredAt,
+      otpVerified: !!pod.otp?.verified,
+      signatureUrl: await signedUrl(pod.signature),
+      photoUrl: await signedUrl(pod.photo)
+    };
+  }
+
+  /**
+   * Normalize a medicine booking
+   * @param {Object} booking - Lean MedicineBooking document
+   * @returns {Object} Normalized record
+   */
+  static fromMedicineBooking(booking) {
+    return {
+      awb: String(booking.consignmentNumber),
+      source: 'medicine',
+      bookingReference: booking.bookingReference,
+      origin: this.formatAddress(booking.origin),
+      destination: this.formatAddress(booking.destination),
+      weight: booking.shipment?.chargeableWeight || booking.shipment?.actualWeight || null,
+      service: booking.shipment?.services || '',
+      mode: booking.shipment?.mode || '',
+      bookedAt: booking.createdAt,
+      fallbackStatus: MEDICINE_STATUS_MAP[booking.status] || booking.status
+    };
+  }
+
+  /**
+   * Normalize a corporate, office or courier boy consignment usage
+   * @param {Object} usage - Lean ConsignmentUsage document
+   * @returns {Object} Normalized record
+   */
+  static fromConsignmentUsage(usage) {
+    const bookingData = usage.bookingData || {};
+    return {
+      awb: String(usage.consignmentNumber),
+      source: usage.assignmentType,
+      bookingReference: usage.bookingReference,
+      corporate: usage.corporateId ? {
+        corporateId: usage.corporateId.corporateId,
+        companyName: usage.corporateId.companyName
+      } : null,
+      origin: this.formatAddress(bookingData.originData),
+      destination: this.formatAddress(bookingData.destinationData),
+      weight: bookingData.shipmentData?.chargeableWeight || bookingData.shipmentData?.actualWeight || null,
+      service: bookingData.shipmentData?.services || '',
+      mode: bookingData.shipmentData?.mode || '',
+      bookedAt: usage.usedAt,
+      fallbackStatus: usage.status === 'cancelled' ? 'cancelled' : 'booked'
+    };
+  }
+
+  /**
+   * Normalize a public booking
+   * @param {Object} form - Lean FormData document
+   * @returns {Object} Normalized record
+   */
+  static fromPublicBooking(form) {
+    const status = form.assignmentData?.status;
+    return {
+      awb: String(form.consignmentNumber),
+      source: 'public',
+      bookingReference: String(form.consignmentNumber),
+      origin: this.formatAddress(form.originData || { city: form.senderCity, state: form.senderState, pincode: form.senderPincode }),
+      destination: this.formatAddress(form.destinationData || { city: form.receiverCity, state: form.receiverState, pincode: form.receiverPincode }),
+      weight: form.shipmentData?.chargeableWeight || form.shipmentData?.actualWeight || null,
+      service: form.shipmentData?.services || '',
+      mode: form.shipmentData?.mode || '',
+      bookedAt: form.createdAt,
+      fallbackStatus: TRACKING_STATUSES.includes(status) ? status : 'booked'
+    };
+  }
+
+  /**
+   * Reduce an address block to the parts that are safe to show publicly
+   * @param {Object} address - Origin or destination data
+   * @returns {Object} City, state and pincode
+   */
+  static formatAddress(address) {
+    return {
+      city: address?.city || '',
+      state: address?.state || '',
+      pincode: address?.pincode || ''
+    };
+  }
+}
+
+export default TrackingService;
@@ -0,0 +1,379 @@
+import axios from 'axios';
+import crypto from 'node:crypto';
+import dns from 'node:dns';
+import http from 'node:http';
+import https from 'node:https';
+import net from 'node:net';
+import { ConsignmentUsage } from '../models/ConsignmentAssignment.js';
+import { TRACKING_STATUS_INFO, trackingEmitter } from '../models/TrackingEvent.js';
+import WebhookDelivery, { MAX_WEBHOOK_ATTEMPTS, WEBHOOK_RETRY_DELAYS } from '../models/WebhookDelivery.js';
+import WebhookSubscription from '../models/WebhookSubscription.js';
+
+// Receivers must answer within this time or the attempt counts as failed
+const REQUEST_TIMEOUT_MS = 10000;
+
+// How often pending retries are picked up
+const RETRY_INTERVAL_MS = 60 * 1000;
+
+// Loopback, private, link-local (cloud metadata), shared, multicast and reserved ranges.
+// Webhooks may only reach the public internet. IPv4 and IPv6 are kept apart because a
+// BlockList also matches IPv4 addresses against IPv4-mapped IPv6 rules.
+const blockedIPv4 = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blockedIPv4.addSubnet(network, prefix, 'ipv4'));
+
+// IPv4-mapped and NAT64 addresses are refused outright rather than unwrapped
+const blockedIPv6 = new net.BlockList();
+[
+  ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['100::', 64],
+  ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => blockedIPv6.addSubnet(network, prefix, 'ipv6'));
+
+// Host names that only mean something inside our own network
+const INTERNAL_HOST_PATTERN = /(^|\.)(localhost|local|internal|localdomain|lan|home|corp|intranet)$/i;
+
+/**
+ * Whether an IP address is on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isPublicAddress = (address) => {
+  if (net.isIPv4(address)) {
+    return !blockedIPv4.check(address, 'ipv4');
+  }
+  if (net.isIPv6(address)) {
+    return !blockedIPv6.check(address, 'ipv6');
+  }
+  return false;
+};
+
+/**
+ * Whether a host was opted in through WEBHOOK_ALLOWED_HOSTS, a comma-separated list of
+ * host names and IP addresses (e.g. "localhost,127.0.0.1") that developers may point
+ * subscriptions at to reach a local receiver. Never honoured in production.
+ * @param {string} hostname - Host of the webhook URL, without IPv6 brackets
+ * @returns {boolean}
+ */
+const isAllowlistedHost = (hostname) => {
+  if (process.env.NODE_ENV === 'production') {
+    return false;
+  }
+  return (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(entry => entry.trim().replace(/^\[|\]$/g, '').toLowerCase())
+    .includes(hostname.toLowerCase());
+};
+
+// DNS lookup used for every webhook connection, so a host cannot resolve to a
+// public address when the URL is checked and to an internal one when we connect
+const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    const blocked = !isAllowlistedHost(hostname) && addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) {
+      const blockedError = new Error(`${hostname} resolves to a non-public address`);
+      blockedError.code = 'EBLOCKEDADDRESS';
+      return callback(blockedError);
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const httpAgent = new http.Agent({ lookup: publicOnlyLookup });
+const httpsAgent = new https.Agent({ lookup: publicOnlyLookup });
+
+let retryTimer = null;
+
+class WebhookService {
+  /**
+   * Name of the webhook event sent for a scan status
+   * @param {string} status - Tracking status
+   * @returns {string} Event name, e.g. 'shipment.delivered'
+   */
+  static eventName(status) {
+    return `shipment.${status}`;
+  }
+
+  /**
+   * Sign a request body the way receivers are told to verify it:
+   * HMAC SHA-256 of "<timestamp>.<raw body>" with the subscription secret
+   * @param {string} secret - Subscription secret
+   * @param {string|number} timestamp - Unix timestamp in seconds sent in X-OCL-Timestamp
+   * @param {string} body - Raw JSON body
+   * @returns {string} Hex digest
+   */
+  static sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Plain http endpoints are only accepted outside production
+   * @param {string} url - Webhook URL
+   * @returns {boolean} Whether the URL can be used
+   */
+  static isAllowedUrl(url) {
+    try {
+      const parsed = new URL(url);
+      if (parsed.protocol === 'https:') {
+        return true;
+      }
+      return parsed.protocol === 'http:' && process.env.NODE_ENV !== 'production';
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Check that a webhook URL is allowed and that its host resolves only to public
+   * addresses, unless the host is in the development allowlist. Done when a
+   * subscription is saved and again before every send.
+   * @param {string} url - Webhook URL
+   * @returns {Promise<string|null>} Why the URL cannot be used, or null when it can
+   */
+  static async checkUrl(url) {
+    if (!this.isAllowedUrl(url)) {
+      return 'Webhook URL must be a valid https:// URL';
+    }
+
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    if (isAllowlistedHost(hostname)) {
+      return null;
+    }
+    if (net.isIP(hostname)) {
+      return isPublicAddress(hostname) ? null : 'Webhook URL must not point to a private or internal address';
+    }
+    if (INTERNAL_HOST_PATTERN.test(hostname) || !hostname.includes('.')) {
+      return 'Webhook URL must not point to a private or internal address';
+    }
+
+    try {
+      const addresses = await dns.promises.lookup(hostname, { all: true });
+      if (addresses.some(entry => !isPublicAddress(entry.address))) {
+        return 'Webhook URL must not point to a private or internal address';
+      }
+    } catch {
+      return `Could not resolve ${hostname}`;
+    }
+    return null;
+  }
+
+  /**
+   * Queue and send deliveries for a freshly recorded scan. Only consignments
+   * booked under a corporate have subscribers.
+   * @param {Object} trackingEvent - TrackingEvent document
+   * @returns {Promise<Array>} Created deliveries
+   */
+  static async dispatch(trackingEvent) {
+    const usage = await ConsignmentUsage.findOne({
+      consignmentNumber: trackingEvent.consignmentNumber,
+      assignmentType: 'corporate'
+    }).select('corporateId bookingReference').lean();
+
+    if (!usage?.corporateId) {
+      return [];
+    }
+
+    const subscriptions = await WebhookSubscription.findForEvent(usage.corporateId, trackingEvent.status);
+    if (subscriptions.length === 0) {
+      return [];
+    }
+
+    const event = this.eventName(trackingEvent.status);
+    const data = {
+      awb: trackingEvent.consignmentNumber,
+      bookingReference: usage.bookingReference,
+      status: trackingEvent.status,
+      statusLabel: TRACKING_STATUS_INFO[trackingEvent.status]?.label || trackingEvent.status,
+      location: trackingEvent.location || '',
+      description: trackingEvent.description || '',
+      remarks: trackingEvent.remarks || '',
+      eventAt: trackingEvent.eventAt
+    };
+
+    const deliveries = await Promise.all(
+      subscriptions.map(subscription => this.createDelivery(subscription, event, data, trackingEvent.consignmentNumber))
+    );
+    await Promise.all(deliveries.map(delivery => this.deliver(delivery)));
+
+    return deliveries;
+  }
+
+  /**
+   * Create a delivery with its final payload; the payload id is the delivery id
+   * so receivers can ignore duplicates after a retry or resend
+   * @param {Object} subscription - WebhookSubscription document
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   * @param {number|null} consignmentNumber - Consignment the event is about
+   * @returns {Promise<Object>} WebhookDelivery document
+   */
+  static async createDelivery(subscription, event, data, consignmentNumber = null) {
+    const delivery = new WebhookDelivery({
+      subscriptionId: subscription._id,
+      corporateId: subscription.corporateId,
+      event,
+      consignmentNumber
+    });
+    delivery.payload = {
+      id: delivery._id.toString(),
+      event,
+      createdAt: new Date().toISOString(),
+      data
+    };
+    return delivery.save();
+  }
+
+  /**
+   * Send a test event to a subscription
+   * @param {Object} subscription - WebhookSubscription document
+   * @returns {Promise<Object>} WebhookDelivery document after the attempt
+   */
+  static async sendPing(subscription) {
+    const delivery = await this.createDelivery(subscription, 'ping', {
+      message: 'Webhook endpoint configured successfully'
+    });
+    return this.deliver(delivery);
+  }
+
+  /**
+   * Make one attempt at a delivery and schedule the next one if it fails
+   * @param {Object} delivery - WebhookDelivery document
+   * @returns {Promise<Object>} WebhookDelivery document after the attempt
+   */
+  static async deliver(delivery) {
+    const subscription = await WebhookSubscription.findById(delivery.subscriptionId);
+    const attempt = { attemptedAt: new Date() };
+
+    if (!subscription || !subscription.isActive) {
+      attempt.error = 'Subscription is disabled or deleted';
+      delivery.attempts.push(attempt);
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      return delivery.save();
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+      const urlProblem = await this.checkUrl(subscription.url);
+      if (urlProblem) {
+        throw new Error(urlProblem);
+      }
+
+      // The receiver's answer is never read back: only its status code is logged
+      const response = await axios.post(subscription.url, body, {
+        timeout: REQUEST_TIMEOUT_MS,
+        maxRedirects: 0,
+        httpAgent,
+        httpsAgent,
+        proxy: false,
+        validateStatus: () => true,
+        responseType: 'stream',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'OCL-Webhooks/1.0',
+          'X-OCL-Event': delivery.event,
+          'X-OCL-Delivery': delivery._id.toString(),
+          'X-OCL-Timestamp': String(timestamp),
+          'X-OCL-Signature': `sha256=${this.sign(subscription.secret, timestamp, body)}`
+        }
+      });
+
+      response.data.destroy();
+
+      attempt.responseStatus = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        attempt.error = `Endpoint responded with HTTP ${response.status}`;
+      }
+    } catch (error) {
+      attempt.error = error.code === 'EBLOCKEDADDRESS' || error.cause?.code === 'EBLOCKEDADDRESS'
+        ? 'Webhook URL resolves to a private or internal address'
+        : error.code ? `${error.code}: ${error.message}` : error.message;
+    }
+
+    attempt.durationMs = Date.now() - attempt.attemptedAt.getTime();
+    delivery.attempts.push(attempt);
+    delivery.attemptCount += 1;
+
+    if (!attempt.error) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = new Date();
+      delivery.nextAttemptAt = null;
+    } else if (delivery.attemptCount >= MAX_WEBHOOK_ATTEMPTS) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      console.log(`🪝 Webhook ${delivery.event} to ${subscription.url} failed after ${delivery.attemptCount} attempts`);
+    } else {
+      const delayMinutes = WEBHOOK_RETRY_DELAYS[delivery.attemptCount - 1];
+      delivery.status = 'pending';
+      delivery.nextAttemptAt = new Date(Date.now() + delayMinutes * 60 * 1000);
+    }
+
+    await delivery.save();
+
+    if (delivery.status !== 'pending') {
+      subscription.lastDeliveryAt = new Date();
+      subscription.lastDeliveryStatus = delivery.status;
+      await subscription.save();
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Retry every delivery whose backoff has elapsed
+   * @returns {Promise<number>} Number of deliveries attempted
+   */
+  static async processDue() {
+    const due = await WebhookDelivery.findDue();
+    for (const delivery of due) {
+      await this.deliver(delivery);
+    }
+    return due.length;
+  }
+
+  /**
+   * Listen for new scans and start the retry worker. Called once the database
+   * connection is up.
+   */
+  static start() {
+    if (retryTimer) {
+      return;
+    }
+
+    trackingEmitter.on('recorded', trackingEvent => {
+      this.dispatch(trackingEvent).catch(error => {
+        console.error(`Webhook dispatch failed for ${trackingEvent.consignmentNumber}:`, error.message);
+      });
+    });
+
+    let running = false;
+    retryTimer = setInterval(async () => {
+      if (running) {
+        return;
+      }
+      running = true;
+      try {
+        await this.processDue();
+      } catch (error) {
+        console.error('Webhook retry worker error:', error.message);
+      } finally {
+        running = false;
+      }
+    }, RETRY_INTERVAL_MS);
+    retryTimer.unref();
+
+    console.log('🪝 Webhook delivery worker started');
+  }
+}
+
+export default WebhookService;
@@ -0,0 +1,88 @@
+import PricingZone from '../models/PricingZone.js';
+import PinCodeArea from '../models/PinCodeArea.js';
+
+// Zones are read on every quote; admins' edits show up within this time (or at once via invalidate)
+const CACHE_TTL_MS = 60 * 1000;
+
+// Pincodes not covered by a region zone
+const DEFAULT_REGION = 'restOfIndia';
+
+// More specific matches win over broader ones
+const MATCH_LEVEL_RANK = { pincode: 3, district: 2, state: 1 };
+
+let cachedZones = null;
+let cachedAt = 0;
+
+class ZoneService {
+  /**
+   * Active zones of the master, cached briefly
+   * @returns {Promise<Array>} PricingZone documents
+   */
+  static async getZones() {
+    if (!cachedZones || Date.now() - cachedAt > CACHE_TTL_MS) {
+      cachedZones = await PricingZone.find({ isActive: true });
+      cachedAt = Date.now();
+    }
+    return cachedZones;
+  }
+
+  /**
+   * Drop the cached zones after the master changes
+   */
+  static invalidate() {
+    cachedZones = null;
+  }
+
+  /**
+   * District and state of a pincode from Pin_Code_Area
+   * @param {number} pincode - 6 digit pincode
+   * @returns {Promise<Object>} { district, state }, empty when the pincode is not listed
+   */
+  static async lookupArea(pincode) {
+    const area = await PinCodeArea.findOne({ pincode }).select('distrcitname statename').lean();
+    return {
+      district: area?.distrcitname || null,
+      state: area?.statename || null
+    };
+  }
+
+  /**
+   * Resolve the pricing zones of a pincode
+   * @param {string|number} pincode - 6 digit pincode
+   * @returns {Promise<Object|null>} { pincode, district, state, region, zones, isOda, matches } or null when invalid.
+   * `zones` lists the special zone codes that cover the pincode, most specific first.
+   */
+  static async resolve(pincode) {
+    const pin = parseInt(pincode);
+    if (!Number.isFinite(pin) || String(pin).length !== 6) {
+      return null;
+    }
+
+    const [zones, area] = await Promise.all([this.getZones(), this.lookupArea(pin)]);
+    const matches = zones
+      .map(zone => ({ zone, level: zone.matchLevel({ pincode: pin, ...area }) }))
+      .filter(match => match.level)
+      .sort((a, b) =>
+        MATCH_LEVEL_RANK[b.level] - MATCH_LEVEL_RANK[a.level] || b.zone.priority - a.zone.priority
+      );
+
+    const region = matches.find(match => match.zone.category === 'region');
+
+    return {
+      pincode: pin,
+      district: area.district,
+      state: area.state,
+      region: region?.zone.code || DEFAULT_REGION,
+      zones: matches.filter(match => match.zone.category === 'special').map(match => match.zone.code),
+      isOda: matches.some(match => match.zone.isOda),
+      matches: matches.map(match => ({
+        code: match.zone.code,
+        name: match.zone.name,
+        category: match.zone.category,
+        matchedBy: match.level
+      }))
+    };
+  }
+}
+
+export default ZoneService;
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import BillingService from '../services/billingService.js';
+
+// A moment given as IST wall-clock time
+const ist = (dateTime) => new Date(`${dateTime}+05:30`);
+
+const period = (cycle, now) => {
+  const { start, end } = BillingService.closedPeriod(cycle, now);
+  return { start: start.getTime(), end: end.getTime() };
+};
+
+const expected = (start, end) => ({ start: ist(`${start}T00:00:00`).getTime(), end: ist(`${end}T00:00:00`).getTime() });
+
+test('closedPeriod gives the previous calendar month for monthly billing', () => {
+  assert.deepEqual(period('monthly', ist('2025-03-20T10:00:00')), expected('2025-02-01', '2025-03-01'));
+});
+
+test('closedPeriod rolls a January run back into December', () => {
+  assert.deepEqual(period('monthly', ist('2025-01-10T10:00:00')), expected('2024-12-01', '2025-01-01'));
+  assert.deepEqual(period('fortnightly', ist('2025-01-10T10:00:00')), expected('2024-12-16', '2025-01-01'));
+});
+
+test('closedPeriod splits fortnights on the 1st and the 16th', () => {
+  assert.deepEqual(period('fortnightly', ist('2025-03-20T10:00:00')), expected('2025-03-01', '2025-03-16'));
+  assert.deepEqual(period('fortnightly', ist('2025-03-15T23:00:00')), expected('2025-02-16', '2025-03-01'));
+});
+
+test('closedPeriod gives the last full Monday-to-Sunday week for weekly billing', () => {
+  // Thursday
+  assert.deepEqual(period('weekly', ist('2025-03-20T10:00:00')), expected('2025-03-10', '2025-03-17'));
+  // Monday: the week that has just ended
+  assert.deepEqual(period('weekly', ist('2025-03-17T01:00:00')), expected('2025-03-10', '2025-03-17'));
+  // Sunday: the week is still running
+  assert.deepEqual(period('weekly', ist('2025-03-16T23:00:00')), expected('2025-03-03', '2025-03-10'));
+});
+
+test('closedPeriod follows the IST date, not the UTC one', () => {
+  // 1 April 01:30 IST is still 31 March in UTC
+  const now = new Date('2025-03-31T20:00:00Z');
+  assert.deepEqual(period('monthly', now), expected('2025-03-01', '2025-04-01'));
+  assert.deepEqual(period('fortnightly', now), expected('2025-03-16', '2025-04-01'));
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CreditService from '../services/creditService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The exposure is passed in, so check() does not go to the database
+const owing = (total) => ({ unbilled: total, outstanding: 0, total });
+
+const corporate = (creditLimit, creditOverride = null) => ({ _id: 'corporate-1', creditLimit, creditOverride });
+
+test('check leaves corporates without a credit limit unlimited', async () => {
+  const result = await CreditService.check(corporate(null), 1000, owing(50000));
+  assert.equal(result.status, 'unlimited');
+  assert.equal(result.projected, 51000);
+  assert.equal(result.available, null);
+});
+
+test('check allows bookings well inside the limit', async () => {
+  const result = await CreditService.check(corporate(10000), 1000, owing(5000));
+  assert.equal(result.status, 'ok');
+  assert.equal(result.projected, 6000);
+  assert.equal(result.available, 5000);
+  assert.equal(result.utilisation, 60);
+});
+
+test('check warns from 80% of the limit', async () => {
+  const result = await CreditService.check(corporate(10000), 1000, owing(7000));
+  assert.equal(result.status, 'warning');
+  assert.equal(result.utilisation, 80);
+});
+
+test('check allows a booking that reaches the limit exactly', async () => {
+  const result = await CreditService.check(corporate(10000), 1000, owing(9000));
+  assert.equal(result.status, 'warning');
+});
+
+test('check blocks a booking that would go over the limit', async () => {
+  const result = await CreditService.check(corporate(10000), 1000, owing(9500));
+  assert.equal(result.status, 'blocked');
+  assert.equal(result.available, 500);
+});
+
+test('check lets an admin override through until it expires', async () => {
+  const active = { expiresAt: new Date(Date.now() + DAY_MS), reason: 'Year-end dispatches' };
+  const expired = { expiresAt: new Date(Date.now() - DAY_MS), reason: 'Year-end dispatches' };
+
+  const overridden = await CreditService.check(corporate(10000, active), 1000, owing(9500));
+  assert.equal(overridden.status, 'override');
+  assert.equal(overridden.override, active);
+
+  const lapsed = await CreditService.check(corporate(10000, expired), 1000, owing(9500));
+  assert.equal(lapsed.status, 'blocked');
+  assert.equal(lapsed.override, null);
+});
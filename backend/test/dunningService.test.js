@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import DunningService from '../services/dunningService.js';
+
+test('daysFromDue counts IST calendar days, negative before the due date', () => {
+  const dueDate = new Date('2025-03-13T00:00:00+05:30');
+  assert.equal(DunningService.daysFromDue(dueDate, new Date('2025-03-10T18:00:00+05:30')), -3);
+  assert.equal(DunningService.daysFromDue(dueDate, new Date('2025-03-13T23:59:00+05:30')), 0);
+  assert.equal(DunningService.daysFromDue(dueDate, new Date('2025-03-20T09:00:00+05:30')), 7);
+});
+
+test('daysFromDue moves on at midnight IST, not after a full 24 hours', () => {
+  const dueDate = new Date('2025-03-10T23:30:00+05:30');
+  assert.equal(DunningService.daysFromDue(dueDate, new Date('2025-03-11T00:30:00+05:30')), 1);
+});
+
+test('stageFor has no stage before the first reminder', () => {
+  assert.equal(DunningService.stageFor(-4), null);
+});
+
+test('stageFor gives the latest stage reached', () => {
+  assert.equal(DunningService.stageFor(-3).stage, 'due_soon');
+  assert.equal(DunningService.stageFor(-1).stage, 'due_soon');
+  assert.equal(DunningService.stageFor(0).stage, 'due_today');
+  assert.equal(DunningService.stageFor(8).stage, 'overdue_7');
+  assert.equal(DunningService.stageFor(15).stage, 'overdue_15');
+  assert.equal(DunningService.stageFor(45).stage, 'overdue_30');
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import FuelService from '../services/fuelService.js';
+
+const INDEX = [
+  { effectiveFrom: '2025-01-01', percentage: 10 },
+  { effectiveFrom: '2025-03-01', percentage: 12 }
+];
+
+test('applyIndex leaves plans with a fixed fuel surcharge alone', () => {
+  const rates = { fuelChargeMode: 'fixed', fuelChargePercentage: 15 };
+  assert.equal(FuelService.applyIndex(rates, INDEX, new Date('2025-02-15T06:00:00Z')), rates);
+});
+
+test('applyIndex takes the index entry in force on the booking date', () => {
+  const rates = { fuelChargeMode: 'index', fuelChargePercentage: 15 };
+  const applied = FuelService.applyIndex(rates, INDEX, new Date('2025-02-15T06:00:00Z'));
+  assert.equal(applied.fuelChargePercentage, 10);
+  assert.equal(applied.fuelIndexFrom, '2025-01-01');
+  assert.equal(rates.fuelChargePercentage, 15);
+});
+
+test('applyIndex switches entries at midnight IST', () => {
+  const rates = { fuelChargeMode: 'index', fuelChargePercentage: 15 };
+  // 1 March 00:30 IST
+  const applied = FuelService.applyIndex(rates, INDEX, new Date('2025-02-28T19:00:00Z'));
+  assert.equal(applied.fuelChargePercentage, 12);
+});
+
+test('applyIndex keeps the plan percentage before the first index entry', () => {
+  const rates = { fuelChargeMode: 'index', fuelChargePercentage: 15 };
+  assert.equal(FuelService.applyIndex(rates, INDEX, new Date('2024-12-15T06:00:00Z')), rates);
+});
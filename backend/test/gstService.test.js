@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import GstService from '../services/gstService.js';
+
+const INTRA_STATE = { interState: false };
+const INTER_STATE = { interState: true };
+
+test('placeOfSupply takes the state of the GSTIN over the billing state', () => {
+  const place = GstService.placeOfSupply({ gstNumber: '27AAACB1234C1Z5', state: 'Assam' });
+  assert.deepEqual(place, { state: 'Maharashtra', stateCode: '27', source: 'gstin', interState: true });
+});
+
+test('placeOfSupply keeps supplies inside Assam intra-state', () => {
+  assert.equal(GstService.placeOfSupply({ gstNumber: '18AABCD1234E1Z2' }).interState, false);
+  assert.equal(GstService.placeOfSupply({ state: 'ASSAM' }).interState, false);
+});
+
+test('placeOfSupply falls back to the billing state without a valid GSTIN', () => {
+  const place = GstService.placeOfSupply({ gstNumber: 'not-a-gstin', state: 'west bengal' });
+  assert.deepEqual(place, { state: 'West Bengal', stateCode: '19', source: 'state', interState: true });
+});
+
+test('placeOfSupply treats an unknown state as inter-state and a blank one as intra-state', () => {
+  assert.equal(GstService.placeOfSupply({ state: 'Atlantis' }).interState, true);
+  assert.equal(GstService.placeOfSupply({}).interState, false);
+});
+
+test('lineTax splits intra-state tax into CGST and SGST', () => {
+  assert.deepEqual(GstService.lineTax(1000, INTRA_STATE), { rate: 18, type: 'cgst_sgst', cgst: 90, sgst: 90, igst: 0, total: 180 });
+});
+
+test('lineTax keeps the halves adding up to the rounded tax', () => {
+  const tax = GstService.lineTax(0.17, INTRA_STATE);
+  assert.equal(tax.total, 0.03);
+  assert.equal(Math.round((tax.cgst + tax.sgst) * 100) / 100, tax.total);
+});
+
+test('lineTax charges IGST across states', () => {
+  assert.deepEqual(GstService.lineTax(1000, INTER_STATE, 5), { rate: 5, type: 'igst', cgst: 0, sgst: 0, igst: 50, total: 50 });
+});
+
+test('lineTax charges nothing at a zero rate', () => {
+  assert.equal(GstService.lineTax(1000, INTER_STATE, 0).type, 'none');
+  assert.equal(GstService.lineTax(1000, INTER_STATE, 0).total, 0);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Invoice, { OPEN_INVOICE_STATUSES } from '../models/Invoice.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const invoiceDue = (daysFromNow, fields = {}) => new Invoice({
+  grandTotal: 1000,
+  dueDate: new Date(Date.now() + daysFromNow * DAY_MS),
+  ...fields
+});
+
+test('refreshPaymentStatus marks an unsettled invoice unpaid until its due date', () => {
+  const invoice = invoiceDue(5);
+  assert.equal(invoice.refreshPaymentStatus(), 'unpaid');
+});
+
+test('refreshPaymentStatus marks an unsettled invoice overdue after its due date', () => {
+  const invoice = invoiceDue(-3);
+  assert.equal(invoice.refreshPaymentStatus(), 'overdue');
+});
+
+test('overdue invoices stay open and report their days overdue', () => {
+  // Part days count as a full day overdue
+  const invoice = invoiceDue(-2.5);
+  invoice.refreshPaymentStatus();
+  assert.ok(OPEN_INVOICE_STATUSES.includes(invoice.status));
+  assert.equal(invoice.daysOverdue, 3);
+});
+
+test('refreshPaymentStatus counts payments and TDS towards settlement', () => {
+  assert.equal(invoiceDue(-3, { amountPaid: 400 }).refreshPaymentStatus(), 'partial');
+  assert.equal(invoiceDue(5, { amountPaid: 900, tdsDeducted: 100 }).refreshPaymentStatus(), 'paid');
+});
+
+test('refreshPaymentStatus settles against the amount after credit and debit notes', () => {
+  assert.equal(invoiceDue(5, { amountPaid: 800, creditNotesTotal: 200 }).refreshPaymentStatus(), 'paid');
+  assert.equal(invoiceDue(5, { amountPaid: 1000, debitNotesTotal: 50 }).refreshPaymentStatus(), 'partial');
+});
+
+test('refreshPaymentStatus ignores paise rounding differences', () => {
+  assert.equal(invoiceDue(5, { amountPaid: 999.995 }).refreshPaymentStatus(), 'paid');
+});
+
+test('refreshPaymentStatus keeps invoices marked paid before receipts were recorded', () => {
+  const invoice = invoiceDue(-3, { status: 'paid' });
+  assert.equal(invoice.refreshPaymentStatus(), 'paid');
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import PricingService from '../services/pricingService.js';
+
+const box = (length, breadth, height, unit = 'cm') => ({ length, breadth, height, unit });
+
+test('calculateWeights charges the volumetric weight of a light, bulky shipment', () => {
+  const weights = PricingService.calculateWeights({ actualWeight: 4, dimensions: [box(30, 30, 50)], mode: 'road' });
+  assert.deepEqual(weights, { actualWeight: 4, volumetricWeight: 10, chargeableWeight: 10, volumetricDivisor: 4500 });
+});
+
+test('calculateWeights charges the actual weight when it is heavier', () => {
+  const weights = PricingService.calculateWeights({ actualWeight: '12.5', dimensions: [box(30, 30, 50)], mode: 'road' });
+  assert.equal(weights.chargeableWeight, 12.5);
+});
+
+test('calculateWeights uses the divisor of the transport mode', () => {
+  const weights = PricingService.calculateWeights({ actualWeight: 1, dimensions: [box(30, 30, 50)], mode: 'air' });
+  assert.equal(weights.volumetricDivisor, 5000);
+  assert.equal(weights.volumetricWeight, 9);
+});
+
+test('calculateWeights prefers the divisor set on the pricing plan', () => {
+  const weights = PricingService.calculateWeights(
+    { actualWeight: 1, dimensions: [box(30, 30, 50)], mode: 'road' },
+    { byRoad: 5000 }
+  );
+  assert.equal(weights.volumetricWeight, 9);
+});
+
+test('calculateWeights adds up every piece and converts units to cm', () => {
+  const weights = PricingService.calculateWeights({
+    actualWeight: 1,
+    dimensions: [box(30, 30, 50), box(300, 300, 500, 'mm')],
+    mode: 'road'
+  });
+  assert.equal(weights.volumetricWeight, 20);
+});
+
+test('calculateWeights falls back to the actual weight without dimensions', () => {
+  const weights = PricingService.calculateWeights({ actualWeight: 2, mode: 'road' });
+  assert.equal(weights.volumetricWeight, 0);
+  assert.equal(weights.chargeableWeight, 2);
+});
+
+test('calculateCodCharge is nothing on shipments without COD', () => {
+  assert.equal(PricingService.calculateCodCharge(0), 0);
+  assert.equal(PricingService.calculateCodCharge(''), 0);
+});
+
+test('calculateCodCharge takes the default percentage with its minimum', () => {
+  assert.equal(PricingService.calculateCodCharge(1000), 50);
+  assert.equal(PricingService.calculateCodCharge(10000), 200);
+});
+
+test('calculateCodCharge follows the plan rule', () => {
+  assert.equal(PricingService.calculateCodCharge('1,000', { percentage: 1.5, minimum: 0 }), 15);
+  assert.equal(PricingService.calculateCodCharge(1000, { percentage: 1.5, minimum: 25 }), 25);
+});